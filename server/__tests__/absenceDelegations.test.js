@@ -0,0 +1,117 @@
+/**
+ * Unit tests for POST/DELETE /api/absence-requests/delegations: approvers
+ * maintain their own delegations, other approvers' only with
+ * `can_manage_system`.
+ *
+ * The route handlers are taken from the router stack and called with a
+ * stubbed request; the master pool is a mock `execute` dispatcher.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+const masterDb = vi.hoisted(() => ({ execute: null }));
+
+vi.mock('../index.js', () => ({
+  db: masterDb,
+  getTenantDb: () => ({}),
+  removeTenantPool: () => {},
+}));
+
+import absenceRequestsRouter from '../routes/absenceRequests.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+const approvers = [
+  { id: 'u-anna', email: 'anna@klinik.de', full_name: 'Anna', role: 'admin', is_active: 1, permissions: JSON.stringify({ can_manage_system: false }), allowed_tenants: null },
+  { id: 'u-ben', email: 'ben@klinik.de', full_name: 'Ben', role: 'admin', is_active: 1, permissions: JSON.stringify({ can_manage_system: false }), allowed_tenants: null },
+  { id: 'u-sys', email: 'sys@klinik.de', full_name: 'System', role: 'admin', is_active: 1, permissions: null, allowed_tenants: null },
+];
+
+function useMasterDb() {
+  const { db, calls } = createMockDb([
+    ['FROM db_tokens', () => [[{ id: 'tenant-1' }], []]],
+    ["FROM app_users WHERE role = 'admin'", () => [approvers, []]],
+    ['FROM app_users WHERE id', (_sql, [id]) => [approvers.filter((a) => a.id === id), []]],
+    ['SELECT * FROM AbsenceApprovalDelegation WHERE id', (_sql, [id]) => [[{ id, user_id: 'u-ben', delegate_user_id: 'u-anna' }], []]],
+    ['SELECT * FROM AbsenceApprovalDelegation', () => [[{ id: 'del-ben', user_id: 'u-ben', delegate_user_id: 'u-anna' }], []]],
+    ['DELETE FROM AbsenceApprovalDelegation', () => [{ affectedRows: 1 }, []]],
+  ]);
+  masterDb.execute = db.execute;
+  return calls;
+}
+
+function getHandler(path, method) {
+  const layer = absenceRequestsRouter.stack.find((entry) => entry.route?.path === path && entry.route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+async function call(path, method, { sub, body = {}, params = {} }) {
+  const req = {
+    body,
+    params,
+    headers: { 'x-db-token': 'token-1' },
+    user: { sub, role: 'admin' },
+  };
+  let statusCode = 200;
+  let payload;
+  const res = {
+    status(code) { statusCode = code; return this; },
+    json(data) { payload = data; },
+  };
+  const next = vi.fn();
+  await getHandler(path, method)(req, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return { statusCode, payload };
+}
+
+const delegationBody = { delegateUserId: 'u-anna', validFrom: '2026-07-01', validTo: '2026-07-14' };
+
+describe('POST /delegations', () => {
+  it('lets an approver create their own delegation', async () => {
+    const calls = useMasterDb();
+    const { statusCode } = await call('/delegations', 'post', { sub: 'u-ben', body: { ...delegationBody, userId: 'u-ben' } });
+
+    expect(statusCode).toBe(201);
+    expect(calls.find((c) => c.sql.startsWith('INSERT INTO AbsenceApprovalDelegation')).params.slice(1, 3)).toEqual(['u-ben', 'u-anna']);
+  });
+
+  it('refuses a delegation for another approver without can_manage_system', async () => {
+    const calls = useMasterDb();
+    const { statusCode } = await call('/delegations', 'post', { sub: 'u-anna', body: { ...delegationBody, userId: 'u-ben' } });
+
+    expect(statusCode).toBe(403);
+    expect(calls.some((c) => c.sql.startsWith('INSERT'))).toBe(false);
+  });
+
+  it('lets the system administration create delegations for others', async () => {
+    useMasterDb();
+    const { statusCode } = await call('/delegations', 'post', { sub: 'u-sys', body: { ...delegationBody, userId: 'u-ben' } });
+
+    expect(statusCode).toBe(201);
+  });
+});
+
+describe('DELETE /delegations/:delegationId', () => {
+  const params = { delegationId: 'del-ben' };
+
+  it('lets the represented approver delete their delegation', async () => {
+    const calls = useMasterDb();
+    const { statusCode } = await call('/delegations/:delegationId', 'delete', { sub: 'u-ben', params });
+
+    expect(statusCode).toBe(200);
+    expect(calls.find((c) => c.sql.startsWith('DELETE')).params).toEqual(['del-ben']);
+  });
+
+  it("refuses to delete another approver's delegation without can_manage_system", async () => {
+    const calls = useMasterDb();
+    const { statusCode } = await call('/delegations/:delegationId', 'delete', { sub: 'u-anna', params });
+
+    expect(statusCode).toBe(403);
+    expect(calls.some((c) => c.sql.startsWith('DELETE'))).toBe(false);
+  });
+
+  it('lets the system administration delete any delegation', async () => {
+    useMasterDb();
+    const { statusCode } = await call('/delegations/:delegationId', 'delete', { sub: 'u-sys', params });
+
+    expect(statusCode).toBe(200);
+  });
+});
@@ -7,6 +7,10 @@
  */
 import { describe, expect, it, vi, beforeAll } from 'vitest';
 
+// The approval chains pull in permissions.ts, which imports server/index.ts
+// (MySQL config is resolved at module load time).
+vi.mock('../index.js', () => ({ db: {} }));
+
 import {
   createAbsenceRequest,
   listAbsenceRequests,
@@ -15,9 +19,20 @@ import {
   ensureAbsenceRequestTables,
   isRequestableAbsencePosition,
   isFutureDate,
+  countAbsenceRequestDays,
+  eachRequestDate,
+  MAX_REQUEST_RANGE_DAYS,
   REQUEST_ABSENCE_POSITIONS,
   REQUEST_ABSENCE_POSITIONS_SET,
+  escalateOverdueAbsenceRequests,
+  decorateAbsenceRequestsWithApproval,
 } from '../utils/absenceRequests.js';
+import {
+  normalizeApprovalSteps,
+  selectApprovalRule,
+  resolveStepAuthority,
+  isApprovalStepOverdue,
+} from '../utils/absenceApprovalChains.js';
 
 // ─── Mock helpers ────────────────────────────────────────────────────────────
 
@@ -99,6 +114,39 @@ describe('isFutureDate', () => {
   });
 });
 
+describe('eachRequestDate', () => {
+  it('lists every calendar day inclusive, across month ends', () => {
+    expect(eachRequestDate('2027-02-27', '2027-03-02')).toEqual([
+      '2027-02-27', '2027-02-28', '2027-03-01', '2027-03-02',
+    ]);
+    expect(eachRequestDate('2027-06-15', '2027-06-15')).toEqual(['2027-06-15']);
+  });
+});
+
+describe('countAbsenceRequestDays', () => {
+  it('skips weekends', () => {
+    // Fr 2027-06-11 … Di 2027-06-15
+    expect(countAbsenceRequestDays({ from: '2027-06-11', to: '2027-06-15' })).toBe(3);
+  });
+
+  it('skips public holidays', () => {
+    const holidayDates = new Set(['2027-06-14']);
+    expect(countAbsenceRequestDays({ from: '2027-06-11', to: '2027-06-15', holidayDates })).toBe(2);
+  });
+
+  it('counts half first and last days as 0.5', () => {
+    expect(countAbsenceRequestDays({
+      from: '2027-06-14', to: '2027-06-18', startHalfDay: true, endHalfDay: true,
+    })).toBe(4);
+    expect(countAbsenceRequestDays({ from: '2027-06-15', startHalfDay: true })).toBe(0.5);
+  });
+
+  it('ignores a half flag on a non-countable day', () => {
+    // Start on Saturday: the half flag must not make it count.
+    expect(countAbsenceRequestDays({ from: '2027-06-12', to: '2027-06-14', startHalfDay: true })).toBe(1);
+  });
+});
+
 describe('createAbsenceRequest', () => {
   it('creates a pending request for Urlaub', async () => {
     const { db } = createMockDb([
@@ -272,6 +320,117 @@ describe('createAbsenceRequest', () => {
   });
 });
 
+describe('createAbsenceRequest (Zeitraum)', () => {
+  function rangeDb(overlapping = []) {
+    return createMockDb([
+      ['SELECT id FROM AbsenceRequest', async () => [overlapping]],
+      ['INSERT INTO AbsenceRequest', async () => [[], []]],
+      ['SELECT * FROM AbsenceRequest', async () => [[{ id: 'req-1', status: 'pending' }]]],
+    ]);
+  }
+
+  it('stores end date, half-day flags and the counted days', async () => {
+    const { db, calls } = rangeDb();
+
+    await createAbsenceRequest({
+      masterDb: db,
+      tenantId: TENANT_ID,
+      tenantDoctorId: DOCTOR_ID,
+      employeeId: EMPLOYEE_ID,
+      date: '2027-06-11',
+      endDate: '2027-06-15',
+      startHalfDay: true,
+      holidayDates: new Set(['2027-06-14']),
+      position: 'Urlaub',
+      createdBy: USER_ID,
+    });
+
+    const insert = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequest'));
+    const columns = insert.sql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+    const value = (col) => insert.params[columns.indexOf(col)];
+    expect(value('date')).toBe('2027-06-11');
+    expect(value('end_date')).toBe('2027-06-15');
+    expect(value('start_half_day')).toBe(1);
+    expect(value('end_half_day')).toBe(0);
+    // Fr (½) + Di; Wochenende und Feiertag am Montag zaehlen nicht.
+    expect(value('day_count')).toBe(1.5);
+  });
+
+  it('treats an end date equal to the start as a single day', async () => {
+    const { db, calls } = rangeDb();
+
+    await createAbsenceRequest({
+      masterDb: db,
+      tenantId: TENANT_ID,
+      tenantDoctorId: DOCTOR_ID,
+      employeeId: EMPLOYEE_ID,
+      date: FUTURE_DATE,
+      endDate: FUTURE_DATE,
+      endHalfDay: true,
+      position: 'Urlaub',
+      createdBy: USER_ID,
+    });
+
+    const insert = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequest'));
+    const columns = insert.sql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+    expect(insert.params[columns.indexOf('end_date')]).toBeNull();
+    expect(insert.params[columns.indexOf('start_half_day')]).toBe(1);
+    expect(insert.params[columns.indexOf('day_count')]).toBe(0.5);
+  });
+
+  it('rejects an end date before the start with 422', async () => {
+    const { db } = rangeDb();
+    await expect(
+      createAbsenceRequest({
+        masterDb: db,
+        tenantId: TENANT_ID,
+        tenantDoctorId: DOCTOR_ID,
+        employeeId: EMPLOYEE_ID,
+        date: '2027-06-15',
+        endDate: '2027-06-10',
+        position: 'Urlaub',
+        createdBy: USER_ID,
+      })
+    ).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it(`rejects ranges longer than ${MAX_REQUEST_RANGE_DAYS} days with 422`, async () => {
+    const { db } = rangeDb();
+    await expect(
+      createAbsenceRequest({
+        masterDb: db,
+        tenantId: TENANT_ID,
+        tenantDoctorId: DOCTOR_ID,
+        employeeId: EMPLOYEE_ID,
+        date: '2027-01-01',
+        endDate: '2028-06-30',
+        position: 'Urlaub',
+        createdBy: USER_ID,
+      })
+    ).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('returns 409 when the range overlaps a pending request', async () => {
+    const { db, calls } = rangeDb([{ id: 'existing-req' }]);
+    await expect(
+      createAbsenceRequest({
+        masterDb: db,
+        tenantId: TENANT_ID,
+        tenantDoctorId: DOCTOR_ID,
+        employeeId: EMPLOYEE_ID,
+        date: '2027-06-14',
+        endDate: '2027-06-18',
+        position: 'Urlaub',
+        createdBy: USER_ID,
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    const overlap = calls.find(c => c.sql.startsWith('SELECT id FROM AbsenceRequest'));
+    expect(overlap.params).toEqual([EMPLOYEE_ID, '2027-06-18', '2027-06-14']);
+    expect(calls.some(c => c.sql.startsWith('INSERT INTO AbsenceRequest'))).toBe(false);
+  });
+});
+
 describe('listAbsenceRequests', () => {
   it('returns empty array when no tenantId', async () => {
     const { db } = createMockDb([]);
@@ -336,6 +495,18 @@ describe('listAbsenceRequests', () => {
 
     expect(calls.some(c => c.sql.includes("status = ?"))).toBe(true);
   });
+
+  it('includes ranges that end in the requested year', async () => {
+    const { db, calls } = createMockDb([
+      ['SELECT * FROM AbsenceRequest', async () => [[]]],
+    ]);
+
+    await listAbsenceRequests({ masterDb: db, tenantId: TENANT_ID, year: 2027 });
+
+    const select = calls.find(c => c.sql.startsWith('SELECT * FROM AbsenceRequest'));
+    expect(select.sql).toContain('YEAR(COALESCE(end_date, date)) = ?');
+    expect(select.params.filter(p => p === 2027)).toHaveLength(2);
+  });
 });
 
 describe('updateAbsenceRequestStatus', () => {
@@ -382,6 +553,46 @@ describe('updateAbsenceRequestStatus', () => {
     expect(centralEntryInserted).toBe(true);
   });
 
+  it('expands an approved range into one CentralAbsenceEntry per day', async () => {
+    let updateCalled = false;
+    const { db, calls } = createMockDb([
+      [
+        'SELECT * FROM AbsenceRequest WHERE id = ?',
+        async () => {
+          const status = updateCalled ? 'approved' : 'pending';
+          return [[{
+            id: 'req-4', employee_id: EMPLOYEE_ID, date: '2027-06-11', end_date: '2027-06-14',
+            start_half_day: 1, end_half_day: 1, position: 'Urlaub', status, reason: null,
+            source_tenant_id: TENANT_ID, source_tenant_doctor_id: DOCTOR_ID,
+          }]];
+        },
+      ],
+      [
+        'UPDATE AbsenceRequest',
+        async () => { updateCalled = true; return [[], []]; },
+      ],
+      [
+        'INSERT INTO CentralAbsenceEntry',
+        async () => [[], []],
+      ],
+    ]);
+
+    await updateAbsenceRequestStatus({
+      masterDb: db,
+      requestId: 'req-4',
+      status: 'approved',
+      adminUserId: 'admin-1',
+    });
+
+    const inserts = calls.filter(c => c.sql.startsWith('INSERT INTO CentralAbsenceEntry'));
+    expect(inserts.map(c => [c.params[2], c.params[5]])).toEqual([
+      ['2027-06-11', 1],
+      ['2027-06-12', 0],
+      ['2027-06-13', 0],
+      ['2027-06-14', 1],
+    ]);
+  });
+
   it('rejects a pending request without writing CentralAbsenceEntry', async () => {
     let centralEntryInserted = false;
     let updateCalled = false;
@@ -539,3 +750,216 @@ describe('deleteAbsenceRequest', () => {
     expect(result).toBe(false);
   });
 });
+
+// ─── Genehmigungsketten ──────────────────────────────────────────────────────
+
+const CHAIN = [
+  { label: 'Oberarzt', approver_user_ids: ['oa-1'], escalate_after_days: 3 },
+  { label: 'Chefarzt', approver_user_ids: ['ca-1'], escalate_after_days: null },
+];
+
+describe('normalizeApprovalSteps', () => {
+  it('keeps label, approvers and escalation days', () => {
+    expect(normalizeApprovalSteps([
+      { label: ' Oberarzt ', approver_user_ids: ['oa-1', 'oa-1', ''], escalate_after_days: '3' },
+      { approver_user_ids: ['ca-1'] },
+    ])).toEqual([
+      { label: 'Oberarzt', approver_user_ids: ['oa-1'], escalate_after_days: 3 },
+      { label: 'Stufe 2', approver_user_ids: ['ca-1'], escalate_after_days: null },
+    ]);
+  });
+
+  it('rejects empty chains, steps without approvers and bad escalation days with 422', () => {
+    expect(() => normalizeApprovalSteps([])).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => normalizeApprovalSteps([{ label: 'OA', approver_user_ids: [] }]))
+      .toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => normalizeApprovalSteps([{ label: 'OA', approver_user_ids: ['oa-1'], escalate_after_days: 0 }]))
+      .toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+});
+
+describe('selectApprovalRule', () => {
+  const rules = [
+    { id: 'long', name: 'Lang', priority: 1, is_active: true, positions: ['Urlaub'], min_days: 10, requester_roles: [], steps: CHAIN },
+    { id: 'residents', name: 'Assistenz', priority: 2, is_active: true, positions: [], min_days: null, requester_roles: ['Assistenzarzt'], steps: CHAIN.slice(0, 1) },
+    { id: 'inactive', name: 'Aus', priority: 0, is_active: false, positions: [], min_days: null, requester_roles: [], steps: CHAIN },
+  ];
+
+  it('picks the first matching active rule by priority', () => {
+    expect(selectApprovalRule(rules, { position: 'Urlaub', dayCount: 12, requesterRole: 'Assistenzarzt' })?.id).toBe('long');
+    expect(selectApprovalRule(rules, { position: 'Urlaub', dayCount: 3, requesterRole: 'Assistenzarzt' })?.id).toBe('residents');
+    expect(selectApprovalRule(rules, { position: 'Frei', dayCount: 12, requesterRole: 'Assistenzarzt' })?.id).toBe('residents');
+  });
+
+  it('returns null when nothing matches (single-step approval)', () => {
+    expect(selectApprovalRule(rules, { position: 'Urlaub', dayCount: 3, requesterRole: 'Oberarzt' })).toBeNull();
+  });
+});
+
+describe('resolveStepAuthority', () => {
+  it('allows the step approver, a delegate and anyone after escalation', () => {
+    expect(resolveStepAuthority({ step: CHAIN[0], userId: 'oa-1' })).toEqual({ allowed: true, onBehalfOf: null });
+    expect(resolveStepAuthority({ step: CHAIN[0], userId: 'oa-2', delegatorIds: ['oa-1'] }))
+      .toEqual({ allowed: true, onBehalfOf: 'oa-1' });
+    expect(resolveStepAuthority({ step: CHAIN[0], userId: 'ca-1' }).allowed).toBe(false);
+    expect(resolveStepAuthority({ step: CHAIN[0], userId: 'ca-1', escalated: true }).allowed).toBe(true);
+  });
+});
+
+describe('isApprovalStepOverdue', () => {
+  const request = { approval_steps: JSON.stringify(CHAIN), current_step: 0, step_started_date: '2027-06-01 08:00:00', escalated_date: null };
+
+  it('is overdue once the step waited escalate_after_days', () => {
+    expect(isApprovalStepOverdue(request, new Date('2027-06-03T08:00:00'))).toBe(false);
+    expect(isApprovalStepOverdue(request, new Date('2027-06-04T08:00:00'))).toBe(true);
+  });
+
+  it('never escalates twice or steps without a deadline', () => {
+    expect(isApprovalStepOverdue({ ...request, escalated_date: '2027-06-04 08:00:00' }, new Date('2027-07-01'))).toBe(false);
+    expect(isApprovalStepOverdue({ ...request, current_step: 1 }, new Date('2027-07-01'))).toBe(false);
+  });
+});
+
+describe('createAbsenceRequest (Genehmigungskette)', () => {
+  it('stores a snapshot of the matching chain', async () => {
+    const { db, calls } = createMockDb([
+      ['SELECT * FROM AbsenceApprovalRule', async () => [[{
+        id: 'rule-1', name: 'Lang', priority: 0, is_active: 1, positions: '["Urlaub"]', min_days: null,
+        requester_roles: '[]', steps: JSON.stringify(CHAIN),
+      }]]],
+      ['INSERT INTO AbsenceRequest', async () => [[], []]],
+      ['SELECT * FROM AbsenceRequest WHERE id', async () => [[{ id: 'req-1', status: 'pending' }]]],
+    ]);
+
+    await createAbsenceRequest({
+      masterDb: db,
+      tenantId: TENANT_ID,
+      tenantDoctorId: DOCTOR_ID,
+      employeeId: EMPLOYEE_ID,
+      date: FUTURE_DATE,
+      position: 'Urlaub',
+      requesterRole: 'Assistenzarzt',
+      createdBy: USER_ID,
+    });
+
+    const insert = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequest'));
+    const columns = insert.sql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+    expect(insert.params[columns.indexOf('approval_rule_id')]).toBe('rule-1');
+    expect(JSON.parse(insert.params[columns.indexOf('approval_steps')])).toEqual(CHAIN);
+    expect(insert.params[columns.indexOf('current_step')]).toBe(0);
+    expect(insert.params[columns.indexOf('step_started_date')]).toBeInstanceOf(Date);
+  });
+});
+
+describe('updateAbsenceRequestStatus (Genehmigungskette)', () => {
+  function chainDb(request, { delegators = [], affectedRows = 1 } = {}) {
+    return createMockDb([
+      ['SELECT * FROM AbsenceRequest WHERE id = ?', async () => [[request]]],
+      ['SELECT user_id FROM AbsenceApprovalDelegation', async () => [delegators.map(user_id => ({ user_id }))]],
+      ['UPDATE AbsenceRequest', async () => [{ affectedRows }]],
+      ['INSERT INTO AbsenceRequestApproval', async () => [[], []]],
+      ['INSERT INTO CentralAbsenceEntry', async () => [[], []]],
+    ]);
+  }
+
+  const pending = {
+    id: 'req-5', employee_id: EMPLOYEE_ID, date: FUTURE_DATE, end_date: null, position: 'Urlaub',
+    status: 'pending', approval_steps: JSON.stringify(CHAIN), current_step: 0, escalated_date: null,
+    source_tenant_id: TENANT_ID, source_tenant_doctor_id: DOCTOR_ID,
+  };
+
+  it('advances to the next step without writing CentralAbsenceEntry', async () => {
+    const { db, calls } = chainDb(pending);
+
+    await updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'approved', adminUserId: 'oa-1' });
+
+    const update = calls.find(c => c.sql.startsWith('UPDATE AbsenceRequest'));
+    expect(update.sql).toContain('SET current_step = ?');
+    expect(update.params).toEqual([1, null, 'req-5', 0]);
+    const log = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequestApproval'));
+    expect(log.params.slice(1, 7)).toEqual(['req-5', 0, 'Oberarzt', 'approved', 'oa-1', null]);
+    expect(calls.some(c => c.sql.startsWith('INSERT INTO CentralAbsenceEntry'))).toBe(false);
+  });
+
+  it('approves on the last step and writes CentralAbsenceEntry', async () => {
+    const { db, calls } = chainDb({ ...pending, current_step: 1 });
+
+    await updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'approved', adminUserId: 'ca-1' });
+
+    const update = calls.find(c => c.sql.startsWith('UPDATE AbsenceRequest'));
+    expect(update.sql).toContain('SET status = ?');
+    expect(update.params).toEqual(['approved', 'ca-1', null, 'req-5', 1]);
+    expect(calls.some(c => c.sql.startsWith('INSERT INTO CentralAbsenceEntry'))).toBe(true);
+  });
+
+  it('lets a delegate decide on behalf of the approver', async () => {
+    const { db, calls } = chainDb(pending, { delegators: ['oa-1'] });
+
+    await updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'rejected', adminUserId: 'oa-2' });
+
+    const log = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequestApproval'));
+    expect(log.params.slice(4, 7)).toEqual(['rejected', 'oa-2', 'oa-1']);
+  });
+
+  it('returns 403 for approvers outside the open step', async () => {
+    const { db } = chainDb(pending);
+    await expect(
+      updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'approved', adminUserId: 'ca-1' })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('allows any approver once the step is escalated', async () => {
+    const { db } = chainDb({ ...pending, escalated_date: '2027-06-04 08:00:00' });
+    await expect(
+      updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'approved', adminUserId: 'ca-1' })
+    ).resolves.toBeDefined();
+  });
+
+  it('returns 409 when the step was decided concurrently', async () => {
+    const { db } = chainDb(pending, { affectedRows: 0 });
+    await expect(
+      updateAbsenceRequestStatus({ masterDb: db, requestId: 'req-5', status: 'approved', adminUserId: 'oa-1' })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('escalateOverdueAbsenceRequests', () => {
+  it('marks overdue steps as escalated and logs it', async () => {
+    const overdue = {
+      id: 'req-6', employee_id: EMPLOYEE_ID, date: FUTURE_DATE, position: 'Urlaub', status: 'pending',
+      approval_steps: JSON.stringify(CHAIN), current_step: 0, step_started_date: '2027-06-01 08:00:00', escalated_date: null,
+      source_tenant_id: TENANT_ID,
+    };
+    const fresh = { ...overdue, id: 'req-7', step_started_date: '2027-06-03 08:00:00' };
+    const { db, calls } = createMockDb([
+      ['SELECT * FROM AbsenceRequest', async () => [[overdue, fresh]]],
+      ['UPDATE AbsenceRequest', async () => [{ affectedRows: 1 }]],
+      ['INSERT INTO AbsenceRequestApproval', async () => [[], []]],
+    ]);
+
+    const escalated = await escalateOverdueAbsenceRequests({ masterDb: db, now: new Date('2027-06-04T09:00:00') });
+
+    expect(escalated).toEqual(['req-6']);
+    const log = calls.find(c => c.sql.startsWith('INSERT INTO AbsenceRequestApproval'));
+    expect(log.params[4]).toBe('escalated');
+  });
+});
+
+describe('decorateAbsenceRequestsWithApproval', () => {
+  it('exposes steps, decisions and can_decide per request', async () => {
+    const chained = { id: 'req-8', status: 'pending', approval_steps: JSON.stringify(CHAIN), current_step: 1, escalated_date: null };
+    const single = { id: 'req-9', status: 'pending', approval_steps: null, current_step: 0 };
+    const { db } = createMockDb([
+      ['FROM AbsenceRequestApproval', async () => [[{ request_id: 'req-8', step_index: 0, decision: 'approved' }]]],
+      ['SELECT user_id FROM AbsenceApprovalDelegation', async () => [[]]],
+    ]);
+
+    const [a, b] = await decorateAbsenceRequestsWithApproval({ masterDb: db, requests: [chained, single], userId: 'oa-1', canApprove: true });
+
+    expect(a.approval_steps).toEqual(CHAIN);
+    expect(a.approvals).toHaveLength(1);
+    expect(a.can_decide).toBe(false);
+    expect(b.approval_steps).toBeNull();
+    expect(b.can_decide).toBe(true);
+  });
+});
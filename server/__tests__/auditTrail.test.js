@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the structured audit trail: change detection, recording
+ * (redaction, exclusions, failure isolation), filtering and CSV export.
+ */
+import { describe, expect, it, vi } from 'vitest';
+import {
+  auditContextFromRequest,
+  auditEntriesToCsv,
+  computeChangedFields,
+  diffAuditRows,
+  listAuditEntries,
+  recordAudit,
+} from '../utils/auditTrail.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const CONTEXT = { tenantKey: 'tenant-a', actorId: 'u1', actorEmail: 'planer@klinik.de', source: 'dbProxy' };
+
+// ─── Change detection ────────────────────────────────────────────────────────
+
+describe('computeChangedFields', () => {
+  it('ignores bookkeeping columns and MySQL representation differences', () => {
+    const before = { id: 's1', position: 'CT', is_active: 1, hours: '38.50', updated_date: '2026-03-01 10:00:00' };
+    const after = { id: 's1', position: 'MRT', is_active: true, hours: 38.5, updated_date: new Date('2026-03-02T08:00:00Z') };
+    expect(computeChangedFields(before, after)).toEqual(['position']);
+  });
+
+  it('treats null, undefined and empty string alike', () => {
+    expect(computeChangedFields({ note: null }, { note: '' })).toEqual([]);
+    expect(computeChangedFields({}, { note: 'neu' })).toEqual(['note']);
+  });
+});
+
+describe('diffAuditRows', () => {
+  it('classifies rows by id into create, update and delete', () => {
+    const changes = diffAuditRows(
+      'EmployeeTenantAssignment',
+      [{ id: 'a', fte_share: '1.00' }, { id: 'b', fte_share: '0.50' }, { id: 'c', fte_share: '1.00' }],
+      [{ id: 'a', fte_share: 1 }, { id: 'b', fte_share: 0.75 }, { id: 'd', fte_share: 1 }],
+    );
+    expect(changes.map((c) => [c.action, c.recordId])).toEqual([
+      ['update', 'b'],
+      ['create', 'd'],
+      ['delete', 'c'],
+    ]);
+  });
+});
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+describe('recordAudit', () => {
+  it('writes all changes of a request in one INSERT with redacted secrets', async () => {
+    const { db, calls } = createMockDb();
+    await recordAudit(db, CONTEXT, [
+      { entity: 'ShiftEntry', action: 'update', recordId: 's1', before: { id: 's1', position: 'CT' }, after: { id: 's1', position: 'MRT' } },
+      { entity: 'Doctor', action: 'create', recordId: 'd1', after: { id: 'd1', name: 'Dr. A', calendar_token: 'abc' } },
+    ]);
+
+    expect(calls).toHaveLength(1);
+    const [rows] = calls[0].params;
+    expect(rows).toHaveLength(2);
+    const [, tenantKey, actorId, actorEmail, source, entity, recordId, action, changed, before, after] = rows[0];
+    expect([tenantKey, actorId, actorEmail, source, entity, recordId, action]).toEqual(
+      ['tenant-a', 'u1', 'planer@klinik.de', 'dbProxy', 'ShiftEntry', 's1', 'update'],
+    );
+    expect(JSON.parse(changed)).toEqual(['position']);
+    expect(JSON.parse(before).position).toBe('CT');
+    expect(JSON.parse(after).position).toBe('MRT');
+    expect(rows[1][9]).toBeNull();
+    expect(JSON.parse(rows[1][10]).calendar_token).toBe('[entfernt]');
+  });
+
+  it('skips log tables and changes without data', async () => {
+    const { db, calls } = createMockDb();
+    await recordAudit(db, CONTEXT, [
+      { entity: 'SystemLog', action: 'create', recordId: 'l1', after: { id: 'l1' } },
+      { entity: 'ShiftEntry', action: 'delete', recordId: 'gone', before: null },
+    ]);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('never throws when the AuditLog insert fails', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { db } = createMockDb([['INSERT INTO AuditLog', () => { throw new Error('ER_NO_SUCH_TABLE'); }]]);
+    await expect(recordAudit(db, CONTEXT, [
+      { entity: 'Doctor', action: 'delete', recordId: 'd1', before: { id: 'd1' } },
+    ])).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
+
+describe('auditContextFromRequest', () => {
+  it('uses the default tenant without a DB token and no tenant for master data', () => {
+    const req = { user: { sub: 'u1', email: 'admin@klinik.de' } };
+    expect(auditContextFromRequest(req, 'atomic')).toEqual({
+      tenantKey: 'default', actorId: 'u1', actorEmail: 'admin@klinik.de', source: 'atomic',
+    });
+    expect(auditContextFromRequest(req, 'master', { central: true }).tenantKey).toBeNull();
+  });
+});
+
+// ─── Viewer / export ─────────────────────────────────────────────────────────
+
+describe('listAuditEntries', () => {
+  it('filters by tenant, entity, actor and inclusive date range', async () => {
+    const { db, calls } = createMockDb([
+      ['SELECT COUNT(*)', () => [[{ total: 3 }], []]],
+      ['SELECT DISTINCT entity', () => [[{ entity: 'Doctor' }, { entity: 'ShiftEntry' }], []]],
+      ['FROM AuditLog WHERE', () => [[{
+        id: 'a1', tenant_key: 'tenant-a', actor_id: 'u1', actor_email: 'planer@klinik.de', source: 'dbProxy',
+        entity: 'ShiftEntry', record_id: 's1', action: 'update', changed_fields: '["position"]',
+        before_data: '{"position":"CT"}', after_data: '{"position":"MRT"}', created_date: '2026-03-02 08:00:00.000',
+      }], []]],
+    ]);
+
+    const result = await listAuditEntries(db, {
+      tenantKey: 'tenant-a', entity: 'ShiftEntry', actor: 'planer_', from: '2026-03-01', to: '2026-03-31', limit: 50, offset: 100,
+    });
+
+    expect(calls[0].sql).toContain('WHERE tenant_key = ? AND entity = ? AND actor_email LIKE ? AND created_date >= ? AND created_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    expect(calls[0].sql).toContain('LIMIT 50 OFFSET 100');
+    expect(calls[0].params).toEqual(['tenant-a', 'ShiftEntry', '%planer\\_%', '2026-03-01 00:00:00', '2026-03-31']);
+    expect(result.total).toBe(3);
+    expect(result.entities).toEqual(['Doctor', 'ShiftEntry']);
+    expect(result.entries[0]).toMatchObject({ changed_fields: ['position'], before_data: { position: 'CT' } });
+  });
+
+  it('lists central master data with tenant_key IS NULL', async () => {
+    const { db, calls } = createMockDb();
+    await listAuditEntries(db, { tenantKey: null });
+    expect(calls[0].sql).toContain('WHERE tenant_key IS NULL ORDER BY');
+    expect(calls[0].params).toEqual([]);
+  });
+});
+
+describe('auditEntriesToCsv', () => {
+  it('writes a semicolon CSV with BOM, quoting and formula protection', () => {
+    const csv = auditEntriesToCsv([{
+      id: 'a1', tenant_key: 'tenant-a', actor_id: 'u1', actor_email: 'planer@klinik.de', source: 'dbProxy',
+      entity: 'Doctor', record_id: '=1+1', action: 'update', changed_fields: ['name'],
+      before_data: { name: 'Dr. A; B', role: 'OA' }, after_data: { name: 'Dr. C', role: 'OA' },
+      created_date: '2026-03-02 08:00:00.000',
+    }]);
+
+    const [header, line] = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(header).toBe('Zeitpunkt;Benutzer;Quelle;Entität;Datensatz-ID;Aktion;Geänderte Felder;Vorher;Nachher');
+    expect(line).toBe(`2026-03-02 08:00:00.000;planer@klinik.de;dbProxy;Doctor;'=1+1;update;name;"{""name"":""Dr. A; B""}";"{""name"":""Dr. C""}"`);
+  });
+});
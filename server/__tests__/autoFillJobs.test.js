@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  cancelAutoFillJob,
+  getAutoFillJob,
+  listAutoFillJobs,
+  resetAutoFillJobs,
+  startAutoFillJob,
+} from '../../server/utils/autoFillJobs.js';
+
+const params = { startDate: '2026-03-02', endDate: '2026-03-02', categories: ['Dienste'], timeLimitMs: 1000, weightProfileId: null };
+
+const input = {
+  dates: ['2026-03-02'],
+  doctors: [{ id: 'd1', name: 'Anna', fte: 1 }],
+  workplaces: [{ id: 'w1', name: 'Dienst Vordergrund', category: 'Dienste', service_type: 1 }],
+  shifts: [],
+  wishes: [],
+  rotations: [],
+  timeslots: [],
+  doctorQualIds: {},
+  workplaceQualIds: {},
+  settings: {},
+  holidays: new Set(),
+  categories: ['Dienste'],
+};
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 50 && !predicate(); i++) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+describe('AutoFill jobs', () => {
+  beforeEach(() => resetAutoFillJobs());
+
+  it('runs a job to completion and lists it without suggestions', async () => {
+    const job = startAutoFillJob({ scope: 'tenant-a', params, createdBy: 'u1', loadInput: async () => input });
+    expect(job.status).toBe('queued');
+    await waitFor(() => job.status === 'completed');
+
+    expect(getAutoFillJob('tenant-a', job.id).result.suggestions).toEqual([
+      { date: '2026-03-02', position: 'Dienst Vordergrund', doctor_id: 'd1', isPreview: true },
+    ]);
+    expect(getAutoFillJob('tenant-b', job.id)).toBeNull();
+    const [listed] = listAutoFillJobs('tenant-a');
+    expect(listed.result).toBeUndefined();
+    expect(listed.stats).toMatchObject({ status: 'optimal', gap: 0, seats: 1, filledSeats: 1 });
+  });
+
+  it('allows one open job per scope', async () => {
+    let release;
+    const pending = new Promise((resolve) => { release = resolve; });
+    startAutoFillJob({ scope: 'tenant-a', params, loadInput: async () => { await pending; return input; } });
+
+    expect(() => startAutoFillJob({ scope: 'tenant-a', params, loadInput: async () => input }))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    const other = startAutoFillJob({ scope: 'tenant-b', params, loadInput: async () => input });
+    expect(other.status).toBe('queued');
+    release();
+    await waitFor(() => other.status === 'completed');
+  });
+
+  it('cancels queued jobs and rejects finished ones', async () => {
+    let release;
+    const pending = new Promise((resolve) => { release = resolve; });
+    const first = startAutoFillJob({ scope: 'tenant-a', params, loadInput: async () => { await pending; return input; } });
+    const second = startAutoFillJob({ scope: 'tenant-b', params, loadInput: async () => input });
+
+    expect(cancelAutoFillJob('tenant-b', second.id).status).toBe('cancelled');
+    expect(() => cancelAutoFillJob('tenant-a', second.id)).toThrow(expect.objectContaining({ statusCode: 404 }));
+    release();
+    await waitFor(() => first.status === 'completed');
+    expect(() => cancelAutoFillJob('tenant-a', first.id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(second.started_date).toBeNull();
+  });
+
+  it('marks the job failed when loading fails', async () => {
+    const job = startAutoFillJob({ scope: 'tenant-a', params, loadInput: async () => { throw new Error('DB weg'); } });
+    await waitFor(() => job.status === 'failed');
+    expect(job.error).toBe('DB weg');
+  });
+});
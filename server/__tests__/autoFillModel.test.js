@@ -0,0 +1,241 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUTOFILL_WEIGHTS,
+  buildAutoFillModel,
+  getAutoFreiDate,
+  loadAutoFillInput,
+  optimizeAutoFill,
+  resolveProfileWeights,
+} from '../../server/utils/autoFillModel.js';
+import { WEIGHTS } from '../../src/components/schedule/costFunction';
+
+// 2026-03-02 is a Monday
+const MON = '2026-03-02';
+const TUE = '2026-03-03';
+
+function makeInput(overrides = {}) {
+  return {
+    dates: [MON],
+    doctors: [
+      { id: 'd1', name: 'Anna', fte: 1 },
+      { id: 'd2', name: 'Ben', fte: 1 },
+    ],
+    workplaces: [
+      { id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste', order: 0, service_type: 1, active_days: [0, 1, 2, 3, 4, 5, 6], auto_off: true },
+      { id: 'w-ct', name: 'CT', category: 'Rotationen', order: 1, min_staff: 1, optimal_staff: 1 },
+    ],
+    shifts: [],
+    wishes: [],
+    rotations: [],
+    timeslots: [],
+    doctorQualIds: {},
+    workplaceQualIds: {},
+    settings: {},
+    holidays: new Set(),
+    categories: ['Rotationen', 'Dienste'],
+    ...overrides,
+  };
+}
+
+describe('AUTOFILL_WEIGHTS', () => {
+  it('matches the client CostFunction weights', () => {
+    for (const [key, value] of Object.entries(AUTOFILL_WEIGHTS)) {
+      expect(WEIGHTS[key], key).toBe(value);
+    }
+  });
+});
+
+describe('resolveProfileWeights', () => {
+  const settings = {
+    autofill_weight_profiles: JSON.stringify([{ id: 'p1', name: 'Fairness', weights: { FAIRNESS_WEIGHT: 15, UNDERSTAFF_BELOW_MIN: 5 } }]),
+    autofill_active_weight_profile: 'p1',
+  };
+
+  it('applies the active or the requested profile', () => {
+    expect(resolveProfileWeights(settings).FAIRNESS_WEIGHT).toBe(15);
+    expect(resolveProfileWeights(settings, 'missing')).toEqual(AUTOFILL_WEIGHTS);
+    expect(resolveProfileWeights({})).toBe(AUTOFILL_WEIGHTS);
+  });
+
+  it('feeds the profile weights into the model', () => {
+    const input = makeInput({ weights: resolveProfileWeights(settings) });
+    const { model } = buildAutoFillModel({ ...input, shifts: [{ date: '2026-02-25', position: 'Dienst Vordergrund', doctor_id: 'd1' }] });
+    expect(model.seats[0].options[0].cost).toBe(15);
+  });
+});
+
+describe('getAutoFreiDate', () => {
+  it('skips weekends and holidays', () => {
+    expect(getAutoFreiDate(MON, new Set())).toBe(TUE);
+    expect(getAutoFreiDate('2026-03-06', new Set())).toBeNull(); // Friday → Saturday
+    expect(getAutoFreiDate(MON, new Set([TUE]))).toBeNull();
+  });
+});
+
+describe('buildAutoFillModel', () => {
+  it('orders seats services first and excludes absent doctors', () => {
+    const { seats } = buildAutoFillModel(makeInput({
+      shifts: [{ date: MON, position: 'Urlaub', doctor_id: 'd2' }],
+    }));
+    expect(seats.map((s) => s.position)).toEqual(['Dienst Vordergrund', 'CT']);
+    expect(seats[0].options.map((o) => o.doctorId)).toEqual(['d1']);
+  });
+
+  it('drops doctors without mandatory or with excluded qualifications', () => {
+    const { seats } = buildAutoFillModel(makeInput({
+      doctorQualIds: { d1: ['q-ct'], d2: ['q-no'] },
+      workplaceQualIds: { 'w-ct': { required: ['q-ct'], optional: [], excluded: [], discouraged: [] },
+        'w-svc': { required: [], optional: [], excluded: ['q-no'], discouraged: [] } },
+    }));
+    expect(seats[0].options.map((o) => o.doctorId)).toEqual(['d1']);
+    expect(seats[1].options.map((o) => o.doctorId)).toEqual(['d1']);
+  });
+
+  it('stops counting a mandatory qualification once its evidence lapses', () => {
+    const { seats } = buildAutoFillModel(makeInput({
+      dates: [MON, TUE],
+      doctorQualIds: { d1: ['q-ct'], d2: ['q-ct'] },
+      doctorQualBlockedFrom: { d2: { 'q-ct': TUE } },
+      workplaceQualIds: { 'w-ct': { required: ['q-ct'], optional: [], excluded: [], discouraged: [] } },
+    }));
+    const ctSeats = seats.filter((s) => s.position === 'CT');
+    expect(ctSeats.map((s) => [s.date, s.options.map((o) => o.doctorId)])).toEqual([
+      [MON, ['d1', 'd2']],
+      [TUE, ['d1']],
+    ]);
+  });
+
+  it('respects approved no-service wishes and existing services', () => {
+    const { seats } = buildAutoFillModel(makeInput({
+      wishes: [{ doctor_id: 'd1', date: MON, type: 'no_service', status: 'approved' }],
+      workplaces: [
+        { id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste', order: 0, service_type: 1, active_days: [1] },
+        { id: 'w-svc2', name: 'Dienst Hintergrund', category: 'Dienste', order: 1, service_type: 2, active_days: [1] },
+      ],
+      shifts: [{ date: MON, position: 'Dienst Hintergrund', doctor_id: 'd2' }],
+    }));
+    expect(seats).toHaveLength(1);
+    expect(seats[0].options).toEqual([]);
+  });
+
+  it('blocks the day after an existing auto_off service', () => {
+    const { seats } = buildAutoFillModel(makeInput({
+      dates: [TUE],
+      shifts: [{ date: MON, position: 'Dienst Vordergrund', doctor_id: 'd1' }],
+    }));
+    expect(seats.every((s) => s.options.every((o) => o.doctorId !== 'd1'))).toBe(true);
+  });
+
+  it('reduces the limit capacity by the 4-week history', () => {
+    const { model } = buildAutoFillModel(makeInput({
+      settings: { limit_fore_services: '4' },
+      doctors: [{ id: 'd1', name: 'Anna', fte: 0.5 }],
+      shifts: [{ date: '2026-02-20', position: 'Dienst Vordergrund', doctor_id: 'd1' }],
+    }));
+    expect(model.counters['fg:d1']).toEqual({ capacity: 1, overflowCost: AUTOFILL_WEIGHTS.LIMIT_EXCEEDED });
+  });
+});
+
+describe('optimizeAutoFill', () => {
+  it('fills services and rotations and adds Auto-Frei', async () => {
+    const result = await optimizeAutoFill(makeInput({
+      rotations: [{ doctor_id: 'd2', modality: 'CT', start_date: MON, end_date: MON }],
+    }));
+    expect(result.stats.status).toBe('optimal');
+    expect(result.stats.gap).toBe(0);
+    expect(result.openSeats).toEqual([]);
+    expect(result.suggestions).toEqual([
+      { date: MON, position: 'Dienst Vordergrund', doctor_id: 'd1', isPreview: true },
+      { date: MON, position: 'CT', doctor_id: 'd2', isPreview: true },
+      { date: TUE, position: 'Frei', doctor_id: 'd1', note: 'Autom. Freizeitausgleich', isPreview: true },
+    ]);
+  });
+
+  it('never plans forbidden consecutive services', async () => {
+    const result = await optimizeAutoFill(makeInput({
+      dates: [MON, TUE],
+      doctors: [{ id: 'd1', name: 'Anna', fte: 1 }],
+      workplaces: [{ id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste', order: 0, service_type: 1,
+        active_days: [1, 2], consecutive_days_mode: 'forbidden' }],
+    }));
+    expect(result.suggestions).toHaveLength(1);
+    expect(result.openSeats).toEqual([
+      expect.objectContaining({ position: 'Dienst Vordergrund', below_min: true }),
+    ]);
+  });
+
+  it('prefers consecutive services when the workplace asks for it', async () => {
+    const result = await optimizeAutoFill(makeInput({
+      dates: [MON, TUE],
+      workplaces: [{ id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste', order: 0, service_type: 1,
+        active_days: [1, 2], consecutive_days_mode: 'preferred' }],
+      // Greedy per day: Monday d2 (less history), Tuesday d1 (d2 has a pending no-service wish)
+      shifts: [{ date: '2026-02-25', position: 'Dienst Vordergrund', doctor_id: 'd1' }],
+      wishes: [{ doctor_id: 'd2', date: TUE, type: 'no_service', status: 'pending' }],
+    }));
+    const doctors = result.suggestions.map((s) => s.doctor_id);
+    expect(doctors[0]).toBe(doctors[1]);
+  });
+});
+
+describe('loadAutoFillInput', () => {
+  it('maps workplace qualification flags like the client', async () => {
+    const tenantDb = {
+      async execute(sql) {
+        if (sql.includes('FROM WorkplaceQualification')) {
+          return [[
+            { workplace_id: 'w1', qualification_id: 'q1', is_mandatory: 1, is_excluded: 0 },
+            { workplace_id: 'w1', qualification_id: 'q2', is_mandatory: 0, is_excluded: 0 },
+            { workplace_id: 'w1', qualification_id: 'q3', is_mandatory: 1, is_excluded: 1 },
+            { workplace_id: 'w1', qualification_id: 'q4', is_mandatory: 0, is_excluded: 1 },
+          ]];
+        }
+        if (sql.includes('FROM WorkplaceTimeslot')) {
+          throw Object.assign(new Error('missing'), { code: 'ER_NO_SUCH_TABLE' });
+        }
+        if (sql.includes('FROM SystemSetting')) return [[{ key: 'limit_fore_services', value: '5' }]];
+        return [[]];
+      },
+    };
+    const input = await loadAutoFillInput({
+      tenantDb, startDate: MON, endDate: TUE, categories: ['Dienste'], shifts: [], holidays: new Set(),
+    });
+    expect(input.dates).toEqual([MON, TUE]);
+    expect(input.timeslots).toEqual([]);
+    expect(input.settings).toEqual({ limit_fore_services: '5' });
+    expect(input.workplaceQualIds.w1).toEqual({ required: ['q1'], optional: ['q2'], discouraged: ['q3'], excluded: ['q4'] });
+  });
+
+  it('derives the evidence block dates per doctor qualification', async () => {
+    const tenantDb = {
+      async execute(sql) {
+        if (sql.includes('FROM DoctorQualification')) {
+          return [[
+            { doctor_id: 'd1', qualification_id: 'q1', certificate_status: 'expired', certificate_valid_until: '2026-03-01' },
+            { doctor_id: 'd1', qualification_id: 'q2', certificate_status: 'missing', created_date: '2026-02-20 08:00:00' },
+            { doctor_id: 'd2', qualification_id: 'q1', certificate_status: 'valid', certificate_valid_until: '2027-01-31' },
+            { doctor_id: 'd2', qualification_id: 'q3', certificate_status: 'missing' },
+            { doctor_id: 'd3', qualification_id: 'q2', certificate_status: null, created_date: '2026-03-01 09:00:00' },
+          ]];
+        }
+        if (sql.includes('FROM Qualification')) {
+          return [[
+            { id: 'q1', requires_certificate: 1, certificate_grace_days: 0 },
+            { id: 'q2', requires_certificate: 1, certificate_grace_days: 14 },
+            { id: 'q3', requires_certificate: 0 },
+          ]];
+        }
+        return [[]];
+      },
+    };
+    const input = await loadAutoFillInput({
+      tenantDb, startDate: MON, endDate: TUE, categories: ['Dienste'], shifts: [], holidays: new Set(),
+    });
+    expect(input.doctorQualIds).toEqual({ d1: ['q1', 'q2'], d2: ['q1', 'q3'], d3: ['q2'] });
+    expect(input.doctorQualBlockedFrom).toEqual({
+      d1: { q1: '2026-03-02', q2: '2026-03-06' },
+      d2: { q1: '2027-02-01' },
+      d3: { q2: '2026-03-15' },
+    });
+  });
+});
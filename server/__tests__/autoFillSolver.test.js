@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { computeGap, solveAssignmentModel } from '../../server/utils/autoFillSolver.js';
+
+const seat = (costs, emptyCost = 100, extra = {}) => ({
+  options: costs.map((cost, index) => ({ cost, ...(extra[index] ?? {}) })),
+  emptyCost,
+});
+
+describe('solveAssignmentModel', () => {
+  it('finds the optimum where the greedy order fails', async () => {
+    // Greedy gives seat 0 to A (1) and seat 1 to B (10) = 11; optimum is B + A = 2 + 1 = 3
+    const model = {
+      seats: [
+        { options: [{ cost: 1, resources: ['A'] }, { cost: 2, resources: ['B'] }], emptyCost: 100 },
+        { options: [{ cost: 1, resources: ['A'] }, { cost: 10, resources: ['B'] }], emptyCost: 100 },
+      ],
+    };
+    const result = await solveAssignmentModel(model);
+    expect(result.status).toBe('optimal');
+    expect(result.assignment).toEqual([1, 0]);
+    expect(result.objective).toBe(3);
+    expect(result.gap).toBe(0);
+  });
+
+  it('leaves a seat empty when every option conflicts', async () => {
+    const model = {
+      seats: [
+        seat([0], 50, { 0: { resources: ['day:A'] } }),
+        seat([0], 50, { 0: { resources: ['day:A'] } }),
+      ],
+    };
+    const result = await solveAssignmentModel(model);
+    expect(result.assignment.filter((c) => c === -1)).toHaveLength(1);
+    expect(result.objective).toBe(50);
+  });
+
+  it('respects presence blocks in both directions', async () => {
+    // Seat 0 (service) would block A on the next day; seat 1 wants A on that day
+    const model = {
+      seats: [
+        seat([0], 30, { 0: { presence: ['A:d1'], blocks: ['A:d2'] } }),
+        seat([0], 40, { 0: { presence: ['A:d2'] } }),
+      ],
+    };
+    const result = await solveAssignmentModel(model);
+    expect(result.assignment).toEqual([-1, 0]);
+    expect(result.objective).toBe(30);
+  });
+
+  it('charges counter overflow per unit above capacity', async () => {
+    const model = {
+      seats: [
+        seat([0, 5], 100, { 0: { counters: ['fg:A'] }, 1: { counters: ['fg:B'] } }),
+        seat([0, 5], 100, { 0: { counters: ['fg:A'] }, 1: { counters: ['fg:B'] } }),
+      ],
+      counters: { 'fg:A': { capacity: 1, overflowCost: 25 }, 'fg:B': { capacity: 1, overflowCost: 25 } },
+    };
+    const result = await solveAssignmentModel(model);
+    expect(result.objective).toBe(5);
+    expect([...result.assignment].sort()).toEqual([0, 1]);
+  });
+
+  it('applies pair bonuses for preferred consecutive days', async () => {
+    const model = {
+      seats: [
+        seat([4, 0], 100, { 0: { pairs: [{ key: 'pref:A:d1', bonus: -25 }] } }),
+        seat([4, 0], 100, { 0: { pairs: [{ key: 'pref:A:d1', bonus: -25 }] } }),
+      ],
+    };
+    const result = await solveAssignmentModel(model);
+    expect(result.assignment).toEqual([0, 0]);
+    expect(result.objective).toBe(-17);
+  });
+
+  it('reports a gap when the node limit stops the search', async () => {
+    const seats = Array.from({ length: 8 }, () => ({
+      options: Array.from({ length: 6 }, (_, d) => ({ cost: d, resources: [`doc:${d}`] })),
+      emptyCost: 100,
+    }));
+    const result = await solveAssignmentModel({ seats }, { nodeLimit: 20 });
+    expect(result.status).toBe('feasible');
+    expect(result.bestBound).toBeLessThanOrEqual(result.objective);
+    expect(result.gap).toBeGreaterThan(0);
+  });
+
+  it('stops when cancelled and keeps the incumbent', async () => {
+    const seats = Array.from({ length: 10 }, () => ({
+      options: Array.from({ length: 8 }, (_, d) => ({ cost: d, resources: [`doc:${d}`] })),
+      emptyCost: 100,
+    }));
+    const result = await solveAssignmentModel({ seats }, { yieldEvery: 50, shouldCancel: () => true });
+    expect(result.status).toBe('cancelled');
+    expect(result.assignment).toHaveLength(10);
+    expect(Number.isFinite(result.objective)).toBe(true);
+  });
+});
+
+describe('computeGap', () => {
+  it('is relative to the objective and 0 when proven', () => {
+    expect(computeGap(100, 100)).toBe(0);
+    expect(computeGap(100, 80)).toBe(0.2);
+    expect(computeGap(0.5, 0)).toBe(0.5);
+    expect(computeGap(Infinity, 0)).toBe(1);
+  });
+});
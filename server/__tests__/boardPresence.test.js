@@ -0,0 +1,81 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import {
+  PRESENCE_TTL_MS,
+  findCellLock,
+  leaveBoardPresence,
+  listBoardPresence,
+  parseBoardPresenceUpdate,
+  resetBoardPresence,
+  updateBoardPresence,
+} from '../utils/boardPresence.js';
+
+const anna = { userId: 'u1', email: 'anna@klinik.de', name: 'Anna Berg' };
+const ben = { userId: 'u2', email: 'ben@klinik.de', name: null };
+const cell = { date: '2026-03-02', row: 'rotation:7', label: 'Springerpool' };
+
+const heartbeat = (sessionId, extra = {}) => ({
+  sessionId, weekStart: '2026-03-02', viewMode: 'week', cell: null, editing: false, ...extra,
+});
+
+beforeEach(() => {
+  resetBoardPresence();
+});
+
+describe('parseBoardPresenceUpdate', () => {
+  it('requires a session id and a well-formed cell', () => {
+    expect(() => parseBoardPresenceUpdate({})).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseBoardPresenceUpdate({ sessionId: 's1', cell: { date: '02.03.2026', row: 'x' } }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('only edits when a cell is given', () => {
+    expect(parseBoardPresenceUpdate({ sessionId: 's1', editing: true }).editing).toBe(false);
+    expect(parseBoardPresenceUpdate({ sessionId: 's1', editing: true, cell }))
+      .toEqual({ sessionId: 's1', weekStart: null, viewMode: null, cell, editing: true });
+  });
+});
+
+describe('updateBoardPresence', () => {
+  it('lists sessions per scope in order of arrival', () => {
+    updateBoardPresence('tenant:a', anna, heartbeat('s1'), 1000);
+    updateBoardPresence('tenant:a', ben, heartbeat('s2'), 2000);
+    updateBoardPresence('tenant:b', ben, heartbeat('s3'), 2000);
+    updateBoardPresence('tenant:a', anna, heartbeat('s1', { weekStart: '2026-03-09' }), 3000);
+
+    expect(listBoardPresence('tenant:a', 3000).map((e) => [e.sessionId, e.weekStart]))
+      .toEqual([['s1', '2026-03-09'], ['s2', '2026-03-02']]);
+  });
+
+  it('soft-locks a cell for the first editor and keeps the claim across heartbeats', () => {
+    updateBoardPresence('tenant:a', anna, heartbeat('s1', { cell, editing: true }), 1000);
+    const second = updateBoardPresence('tenant:a', ben, heartbeat('s2', { cell, editing: true }), 2000);
+
+    expect(second.lockedBy).toMatchObject({ sessionId: 's1', name: 'Anna Berg' });
+    expect(second.entry.editing).toBe(false);
+
+    updateBoardPresence('tenant:a', anna, heartbeat('s1', { cell, editing: true }), 20000);
+    expect(findCellLock('tenant:a', cell, 's2', 20000)).toMatchObject({ sessionId: 's1', editingSince: 1000 });
+    expect(findCellLock('tenant:a', cell, 's1', 20000)).toBeNull();
+  });
+
+  it('rejects a session id of another user', () => {
+    updateBoardPresence('tenant:a', anna, heartbeat('s1'), 1000);
+    expect(() => updateBoardPresence('tenant:a', ben, heartbeat('s1'), 2000)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('expiry and leave', () => {
+  it('drops sessions without heartbeat and releases their locks', () => {
+    updateBoardPresence('tenant:a', anna, heartbeat('s1', { cell, editing: true }), 1000);
+    expect(findCellLock('tenant:a', cell, 's2', 1000 + PRESENCE_TTL_MS + 1)).toBeNull();
+    expect(listBoardPresence('tenant:a', 1000 + PRESENCE_TTL_MS + 1)).toEqual([]);
+  });
+
+  it('lets only the owner leave', () => {
+    updateBoardPresence('tenant:a', anna, heartbeat('s1'), 1000);
+    expect(leaveBoardPresence('tenant:a', 's1', 'u2')).toBe(false);
+    expect(leaveBoardPresence('tenant:a', 's1', 'u1')).toBe(true);
+    expect(listBoardPresence('tenant:a', 1000)).toEqual([]);
+  });
+});
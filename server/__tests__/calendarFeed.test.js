@@ -0,0 +1,193 @@
+/**
+ * Unit tests for the iCalendar subscription feed helpers.
+ *
+ * Token handling is tested against a tiny `mysql2/promise`-shaped dispatcher,
+ * event building and rendering are pure.
+ */
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildCalendarEvents,
+  renderCalendarFeed,
+  rotateCalendarFeedToken,
+  revokeCalendarFeedToken,
+  resolveCalendarFeedToken,
+  hashCalendarFeedToken,
+  isCalendarFeedTokenFormat,
+} from '../utils/calendarFeed.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const WORKPLACES = [
+  { id: 'wp-1', name: 'Dienst Vordergrund', category: 'Dienste' },
+  { id: 'wp-2', name: 'CT', category: 'Rotationen' },
+];
+
+const TIMESLOTS = [
+  { id: 'ts-early', workplace_id: 'wp-2', label: 'Früh', start_time: '07:00:00', end_time: '15:30:00' },
+  { id: 'ts-night', workplace_id: 'wp-1', label: 'Nacht', start_time: '21:00:00', end_time: '07:30:00' },
+];
+
+// ─── buildCalendarEvents ─────────────────────────────────────────────────────
+
+describe('buildCalendarEvents', () => {
+  it('uses timeslot times and labels', () => {
+    const [event] = buildCalendarEvents({
+      shifts: [{ id: 's1', date: '2026-03-02', position: 'CT', timeslot_id: 'ts-early' }],
+      workplaces: WORKPLACES,
+      timeslots: TIMESLOTS,
+    });
+    expect(event).toMatchObject({
+      uid: 'shift-s1@curaflow',
+      date: '2026-03-02',
+      allDay: false,
+      startTime: '07:00',
+      endTime: '15:30',
+      endsNextDay: false,
+      summary: 'CT (Früh)',
+      description: 'Bereich: Rotationen',
+    });
+  });
+
+  it('marks timeslots across midnight as ending on the next day', () => {
+    const [event] = buildCalendarEvents({
+      shifts: [{ id: 's2', date: '2026-03-02', position: 'Dienst Vordergrund', timeslot_id: 'ts-night' }],
+      workplaces: WORKPLACES,
+      timeslots: TIMESLOTS,
+    });
+    expect(event.endsNextDay).toBe(true);
+  });
+
+  it('prefers explicit times on the entry over the timeslot', () => {
+    const [event] = buildCalendarEvents({
+      shifts: [{ id: 's3', date: '2026-03-02', position: 'CT', timeslot_id: 'ts-early', start_time: '08:15', end_time: '12:00' }],
+      timeslots: TIMESLOTS,
+    });
+    expect(event.startTime).toBe('08:15');
+    expect(event.endTime).toBe('12:00');
+  });
+
+  it('renders entries without times and absences as all-day', () => {
+    const events = buildCalendarEvents({
+      shifts: [
+        { id: 'a1', date: '2026-03-03', position: 'Urlaub', source_tenant_id: 'central', start_time: '08:00', end_time: '16:00' },
+        { id: 's4', date: '2026-03-02', position: 'CT' },
+      ],
+      workplaces: WORKPLACES,
+    });
+    expect(events.map((e) => e.uid)).toEqual(['shift-s4@curaflow', 'absence-a1@curaflow']);
+    expect(events.every((e) => e.allDay)).toBe(true);
+    expect(events[1].isAbsence).toBe(true);
+    expect(events[1].description).toBe('Zentral erfasste Abwesenheit');
+  });
+
+  it('skips rows without id, date or position', () => {
+    expect(buildCalendarEvents({
+      shifts: [
+        { date: '2026-03-02', position: 'CT' },
+        { id: 'x', position: 'CT' },
+        { id: 'y', date: '2026-03-02' },
+      ],
+    })).toEqual([]);
+  });
+});
+
+// ─── renderCalendarFeed ──────────────────────────────────────────────────────
+
+describe('renderCalendarFeed', () => {
+  it('emits floating wall-clock times, stable UIDs and exclusive all-day ends', () => {
+    const events = buildCalendarEvents({
+      shifts: [
+        { id: 's2', date: '2026-03-02', position: 'Dienst Vordergrund', timeslot_id: 'ts-night', updated_date: '2026-02-20 10:00:00' },
+        { id: 'a1', date: '2026-03-05', position: 'Urlaub' },
+      ],
+      workplaces: WORKPLACES,
+      timeslots: TIMESLOTS,
+    });
+    const ics = renderCalendarFeed(events, { name: 'Dienstplan Test' });
+
+    expect(ics).toContain('BEGIN:VCALENDAR');
+    expect(ics).toContain('X-WR-CALNAME:Dienstplan Test');
+    expect(ics).toContain('UID:shift-s2@curaflow');
+    expect(ics).toContain('DTSTART:20260302T210000');
+    expect(ics).toContain('DTEND:20260303T073000');
+    expect(ics).toContain('LAST-MODIFIED:20260220T100000Z');
+    expect(ics).toContain('UID:absence-a1@curaflow');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260305');
+    expect(ics).toContain('DTEND;VALUE=DATE:20260306');
+  });
+});
+
+// ─── Token lifecycle ─────────────────────────────────────────────────────────
+
+describe('feed tokens', () => {
+  it('rotate revokes the previous token and stores only the hash', async () => {
+    let inserted = null;
+    const { db, calls } = createMockDb([
+      ['CREATE TABLE IF NOT EXISTS CalendarFeedToken', () => [[], []]],
+      ['UPDATE CalendarFeedToken SET revoked_date', () => [{ affectedRows: 1 }, []]],
+      ['INSERT INTO CalendarFeedToken', (_sql, params) => {
+        inserted = params;
+        return [{ affectedRows: 1 }, []];
+      }],
+      ['SELECT * FROM CalendarFeedToken WHERE id = ?', () => [[{ id: inserted[0], doctor_id: 'doc-1' }], []]],
+    ]);
+
+    const { token, row } = await rotateCalendarFeedToken({
+      masterDb: db, tenantId: 'tenant-1', doctorId: 'doc-1', createdBy: 'admin@example.org',
+    });
+
+    expect(isCalendarFeedTokenFormat(token)).toBe(true);
+    expect(row.doctor_id).toBe('doc-1');
+    expect(inserted[1]).toBe(hashCalendarFeedToken(token));
+    expect(inserted).not.toContain(token);
+
+    const revokeIdx = calls.findIndex((c) => c.sql.startsWith('UPDATE CalendarFeedToken SET revoked_date'));
+    const insertIdx = calls.findIndex((c) => c.sql.startsWith('INSERT INTO CalendarFeedToken'));
+    expect(revokeIdx).toBeGreaterThan(-1);
+    expect(revokeIdx).toBeLessThan(insertIdx);
+  });
+
+  it('rotate without doctor id throws 422', async () => {
+    const { db } = createMockDb([]);
+    await expect(rotateCalendarFeedToken({ masterDb: db, tenantId: null, doctorId: '', createdBy: 'x' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('revoke scopes by tenant (null-safe) and doctor', async () => {
+    const { db, calls } = createMockDb([
+      ['UPDATE CalendarFeedToken SET revoked_date', () => [{ affectedRows: 1 }, []]],
+    ]);
+    const count = await revokeCalendarFeedToken({ masterDb: db, tenantId: null, doctorId: 'doc-1', revokedBy: 'u1' });
+    expect(count).toBe(1);
+    const update = calls.find((c) => c.sql.startsWith('UPDATE CalendarFeedToken SET revoked_date'));
+    expect(update.sql).toContain('tenant_id <=> ?');
+    expect(update.params).toEqual(['u1', null, 'doc-1']);
+  });
+
+  it('resolve rejects malformed tokens without querying', async () => {
+    const { db, calls } = createMockDb([]);
+    expect(await resolveCalendarFeedToken(db, 'not-a-token')).toBeNull();
+    expect(await resolveCalendarFeedToken(db, undefined)).toBeNull();
+    expect(calls).toHaveLength(0);
+  });
+
+  it('resolve looks up by hash and stamps the access time', async () => {
+    const token = 'a'.repeat(64);
+    const { db, calls } = createMockDb([
+      ['WHERE token_hash = ?', (_sql, params) => (
+        params[0] === hashCalendarFeedToken(token) ? [[{ id: 'row-1', doctor_id: 'doc-1' }], []] : [[], []]
+      )],
+      ['SET last_accessed_date', () => [{ affectedRows: 1 }, []]],
+    ]);
+    const row = await resolveCalendarFeedToken(db, token);
+    expect(row).toMatchObject({ id: 'row-1', doctor_id: 'doc-1' });
+    expect(calls.some((c) => c.sql.includes('SET last_accessed_date') && c.params[0] === 'row-1')).toBe(true);
+  });
+
+  it('resolve returns null for unknown or revoked tokens', async () => {
+    const { db } = createMockDb([]);
+    expect(await resolveCalendarFeedToken(db, 'b'.repeat(64))).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for GET /api/certificates/expiring.
+ *
+ * The route handler is taken from the router stack and called with a stubbed
+ * request; master (certificates, reminder log) and tenant pool (qualifications)
+ * are tiny `execute` dispatchers.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+const masterDb = vi.hoisted(() => ({ execute: null }));
+
+vi.mock('../index.js', () => ({
+  db: masterDb,
+  getTenantDb: () => ({}),
+  removeTenantPool: () => {},
+}));
+
+import certificatesRouter from '../routes/certificates.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+const isoInDays = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+function getExpiringHandler() {
+  const layer = certificatesRouter.stack.find((entry) => entry.route?.path === '/expiring' && entry.route.methods.get);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+async function callExpiring({ certificates, qualifications, query = {} }) {
+  masterDb.execute = createMockDb([['FROM QualificationCertificate', () => [certificates, []]]]).db.execute;
+  const req = {
+    query,
+    user: { role: 'admin' },
+    dbToken: null,
+    db: createMockDb([['FROM Qualification', () => [qualifications, []]]]).db,
+  };
+  let body;
+  const res = { json: (payload) => { body = payload; } };
+  const next = vi.fn();
+  await getExpiringHandler()(req, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return body;
+}
+
+const certificate = (overrides) => ({
+  evidence_role: 'single',
+  file_name: 'nachweis.pdf',
+  granted_date: isoInDays(-300),
+  uploaded_at: '2026-01-01 08:00:00',
+  doctor_qualification_id: null,
+  qualification_id: 'q1',
+  ...overrides,
+});
+
+describe('GET /expiring', () => {
+  it('judges every employee by their own certificates', async () => {
+    const rows = await callExpiring({
+      query: { days: '60' },
+      qualifications: [{ id: 'q1', name: 'Strahlenschutz', requires_certificate: 1, certificate_requirement_mode: 'single' }],
+      certificates: [
+        certificate({ id: 'c1', doctor_id: 'd1', expiry_date: isoInDays(10) }),
+        certificate({ id: 'c2', doctor_id: 'd2', expiry_date: isoInDays(300) }),
+      ],
+    });
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ id: 'c1', doctor_id: 'd1', qualification_id: 'q1', expiry_date: isoInDays(10), days_until_expiry: 10 });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the certificate expiry reminders (stages + daily tenant run).
+ *
+ * Master and tenant pools are tiny `mysql2/promise`-shaped dispatchers; the
+ * reminder log keeps its rows in memory so repeated runs can be asserted.
+ */
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+
+vi.mock('../index.js', () => ({ db: {} }));
+
+const sendEmail = vi.fn(async () => ({ success: true }));
+vi.mock('../utils/email.js', () => ({
+  sendEmail: (...args) => sendEmail(...args),
+  getEmailProviderInfo: () => ({ configured: true }),
+}));
+
+import { dueReminderStage, parseReminderOffsets } from '../utils/certificateReminders.js';
+import { runTenantCertificateReminders } from '../utils/certificateReminderCron.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+// ─── Mock helpers ────────────────────────────────────────────────────────────
+
+function createMasterDb({ admins = [], users = [] } = {}) {
+  const log = [];
+  const { db } = createMockDb([
+    ['INSERT IGNORE INTO CertificateReminderLog', (_sql, [, tenantKey, doctorId, qualificationId, validUntil, stage]) => {
+      const exists = log.some((row) => row.doctor_id === doctorId && row.qualification_id === qualificationId
+        && row.valid_until === validUntil && row.stage === stage);
+      if (!exists) log.push({ tenant_key: tenantKey, doctor_id: doctorId, qualification_id: qualificationId, valid_until: validUntil, stage, sent_at: '2026-03-01 06:15:00' });
+      return [{ affectedRows: exists ? 0 : 1 }, []];
+    }],
+    ['DELETE FROM CertificateReminderLog', (_sql, [, doctorId, qualificationId, validUntil, stage]) => {
+      const index = log.findIndex((row) => row.doctor_id === doctorId && row.qualification_id === qualificationId
+        && row.valid_until === validUntil && row.stage === stage);
+      if (index >= 0) log.splice(index, 1);
+      return [{ affectedRows: 1 }, []];
+    }],
+    ['FROM CertificateReminderLog', () => [log.map((row) => ({ ...row })), []]],
+    ["WHERE role = 'admin'", () => [admins, []]],
+    ['AND doctor_id = ?', (_sql, [doctorId]) => [users.filter((user) => user.doctor_id === doctorId), []]],
+  ]);
+  db.log = log;
+  return db;
+}
+
+function createTenantDb({ settings = { certificate_reminder_enabled: 'true' }, evidence = [] } = {}) {
+  return createMockDb([
+    ['FROM SystemSetting', () => [Object.entries(settings).map(([key, value]) => ({ key, value })), []]],
+    ['FROM DoctorQualification', (_sql, [maxDate]) => [evidence.filter((row) => row.valid_until <= maxDate), []]],
+  ]).db;
+}
+
+const tenant = { tenantId: '4', name: 'Radiologie', token: null };
+const anna = { id: 'u1', email: 'anna@klinik.de', full_name: 'Anna Berg', doctor_id: 'd1' };
+const evidence = (overrides) => ({
+  doctor_id: 'd1',
+  doctor_name: 'Anna Berg',
+  qualification_id: 'q1',
+  qualification_name: 'Strahlenschutz',
+  valid_until: '2026-04-01',
+  ...overrides,
+});
+
+beforeEach(() => {
+  sendEmail.mockClear();
+});
+
+describe('parseReminderOffsets', () => {
+  it('keeps distinct whole days, largest first', () => {
+    expect(parseReminderOffsets('7, 30;90 30')).toEqual([90, 30, 7]);
+    expect(parseReminderOffsets('14,0,400,abc')).toEqual([14]);
+  });
+
+  it('falls back to 90/30/7', () => {
+    expect(parseReminderOffsets('')).toEqual([90, 30, 7]);
+    expect(parseReminderOffsets(null)).toEqual([90, 30, 7]);
+  });
+});
+
+describe('dueReminderStage', () => {
+  const offsets = [90, 30, 7];
+
+  it('picks the tightest offset reached', () => {
+    expect(dueReminderStage(100, offsets, new Set())).toBeNull();
+    expect(dueReminderStage(90, offsets, new Set())).toBe('before_90');
+    expect(dueReminderStage(20, offsets, new Set())).toBe('before_30');
+    expect(dueReminderStage(0, offsets, new Set())).toBe('before_7');
+  });
+
+  it('skips stages already sent, or superseded by a tighter one', () => {
+    expect(dueReminderStage(20, offsets, new Set(['before_30']))).toBeNull();
+    expect(dueReminderStage(60, offsets, new Set(['before_30']))).toBeNull();
+    expect(dueReminderStage(5, offsets, new Set(['before_90', 'before_30']))).toBe('before_7');
+  });
+
+  it('escalates expired evidence once', () => {
+    expect(dueReminderStage(-1, offsets, new Set(['before_7']))).toBe('expired');
+    expect(dueReminderStage(-40, offsets, new Set(['expired']))).toBeNull();
+  });
+});
+
+describe('runTenantCertificateReminders', () => {
+  it('does nothing unless the tenant opted in', async () => {
+    const result = await runTenantCertificateReminders({
+      masterDb: createMasterDb({ users: [anna] }),
+      tenantDb: createTenantDb({ settings: {}, evidence: [evidence()] }),
+      tenant,
+      today: '2026-03-10',
+    });
+    expect(result.skipped).toBe('disabled');
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('reminds the employee once per stage', async () => {
+    const masterDb = createMasterDb({ users: [anna] });
+    const tenantDb = createTenantDb({ evidence: [evidence()] });
+
+    const first = await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-10' });
+    expect(first.reminded).toBe(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe('anna@klinik.de');
+    expect(sendEmail.mock.calls[0][0].text).toContain('Strahlenschutz: gueltig bis 01.04.2026 (noch 22 Tage)');
+    expect(masterDb.log.map((row) => row.stage)).toEqual(['before_30']);
+
+    const second = await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-11' });
+    expect(second.reminded).toBe(0);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+
+    await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-26' });
+    expect(masterDb.log.map((row) => row.stage)).toEqual(['before_30', 'before_7']);
+  });
+
+  it('escalates expired evidence to the tenant admins in one digest', async () => {
+    const masterDb = createMasterDb({
+      users: [anna],
+      admins: [
+        { email: 'chef@klinik.de', full_name: 'Dr. Chef', allowed_tenants: null },
+        { email: 'andere@klinik.de', full_name: 'Andere', allowed_tenants: JSON.stringify(['9']) },
+      ],
+    });
+    const tenantDb = createTenantDb({
+      evidence: [evidence({ valid_until: '2026-03-01' }), evidence({ qualification_id: 'q2', qualification_name: 'Notfall', valid_until: '2026-03-05' })],
+    });
+
+    const result = await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-10' });
+    expect(result.escalated).toBe(2);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe('chef@klinik.de');
+    expect(sendEmail.mock.calls[0][0].subject).toBe('CuraFlow: 2 abgelaufene Qualifikationsnachweise (Radiologie)');
+
+    await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-11' });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the claim when the mail fails so the next run retries', async () => {
+    const masterDb = createMasterDb({ users: [anna] });
+    const tenantDb = createTenantDb({ evidence: [evidence()] });
+    sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-10' });
+    expect(result.failed).toBe(1);
+    expect(masterDb.log).toEqual([]);
+
+    const retry = await runTenantCertificateReminders({ masterDb, tenantDb, tenant, today: '2026-03-10' });
+    expect(retry.reminded).toBe(1);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the server-side fairness ledger
+ * (GET /api/schedule/fairness-ledger).
+ */
+import { describe, expect, it } from 'vitest';
+import { addDays, format } from 'date-fns';
+
+import {
+  averageFte,
+  buildFairnessLedger,
+  ledgerDutiesFor,
+  loadFairnessLedger,
+} from '../utils/fairnessLedger.js';
+import { ledgerDutiesFor as clientLedgerDutiesFor } from '../../src/components/schedule/fairnessLedger';
+import { createMockDb } from './helpers/mockDb.js';
+
+const workplaces = [
+  { name: 'Dienst Vordergrund', category: 'Dienste', auto_off: false },
+  { name: 'Nachtdienst', category: 'Dienste', auto_off: true },
+  { name: 'CT', category: 'Rotationen', auto_off: false },
+];
+
+describe('ledgerDutiesFor', () => {
+  it('classifies every day like the browser cost function', () => {
+    const holidays = new Set(['2026-05-01', '2026-10-03']);
+    const options = [
+      [{ auto_off: false }, {}],
+      [{ auto_off: true }, {}],
+      [{ auto_off: true }, { times: { start: '08:00', end: '16:00' } }],
+      [{ auto_off: false }, { times: { start: '20:00', end: '08:00' } }],
+    ];
+    for (let day = new Date('2025-01-01T00:00:00'); day < new Date('2027-01-01T00:00:00'); day = addDays(day, 1)) {
+      const dateStr = format(day, 'yyyy-MM-dd');
+      for (const [workplace, { times }] of options) {
+        expect(ledgerDutiesFor(dateStr, workplace, { times, holidays })).toEqual(
+          clientLedgerDutiesFor(dateStr, workplace, { times, isPublicHoliday: (d) => holidays.has(d) }),
+        );
+      }
+    }
+  });
+});
+
+describe('buildFairnessLedger', () => {
+  it('balances counts against the FTE share of the team', () => {
+    const ledger = buildFairnessLedger({
+      shifts: [
+        { date: '2025-12-24', doctor_id: 'a', position: 'Nachtdienst' },
+        { date: '2026-01-10', doctor_id: 'a', position: 'Dienst Vordergrund' },
+        { date: '2026-01-12', doctor_id: 'a', position: 'Dienst Vordergrund', timeslot_id: 'late' },
+        { date: '2026-01-14', doctor_id: 'b', position: 'Dienst Vordergrund' },
+        { date: '2026-01-14', doctor_id: 'b', position: 'CT' },
+        { date: '2024-12-24', doctor_id: 'c', position: 'Dienst Vordergrund' },
+      ],
+      doctors: [
+        { id: 'a', fte: 1 },
+        { id: 'b', fte: 0.5 },
+        { id: 'c', fte: 1 },
+      ],
+      workplaces,
+      timeslots: [{ id: 'late', start_time: '22:00', end_time: '06:00' }],
+      start: '2025-03-01',
+      end: '2026-02-28',
+    });
+
+    const { a, b, c } = ledger.entries;
+    expect(a.counts).toMatchObject({ services: 3, weekend: 1, holiday: 1, christmas: 1, night: 2 });
+    expect(b.counts.services).toBe(1);
+    expect(b.perFte.services).toBe(2);
+    // 4 services over 1.5 FTE: a's share is 8/3, b's share 4/3
+    expect(a.balance.services).toBeCloseTo(1 / 3);
+    expect(b.balance.services).toBeCloseTo(-1 / 3);
+    expect(a.balance.night + b.balance.night).toBeCloseTo(0);
+    // Services outside the window do not count
+    expect(c.counts.services).toBe(0);
+    expect(c.balance.services).toBe(0);
+  });
+});
+
+describe('averageFte', () => {
+  const year = { start: '2025-01-01', end: '2025-12-31' };
+
+  it('averages the staffing plan over the days of the window', () => {
+    // Half a year at 0.5, the rest without entries (base 1.0)
+    const plan = [1, 2, 3, 4, 5, 6].map((month) => ({ doctor_id: 'a', year: 2025, month, value: '0,5' }));
+    expect(averageFte(1, plan, year.start, year.end)).toBeCloseTo((181 * 0.5 + 184) / 365);
+  });
+
+  it('counts status codes as 0 within their days', () => {
+    const plan = [{ doctor_id: 'a', year: 2025, month: 2, value: 'EZ', status_start_day: 15, status_end_day: null }];
+    expect(averageFte('0.8', plan, '2025-02-01', '2025-02-28')).toBeCloseTo((14 * 0.8) / 28);
+  });
+
+  it('falls back to the base FTE without any time in the window', () => {
+    const plan = [{ doctor_id: 'a', year: 2025, month: 3, value: 'KO' }];
+    expect(averageFte('0.75', plan, '2025-03-01', '2025-03-31')).toBe(0.75);
+    expect(averageFte(null, [], year.start, year.end)).toBe(1);
+  });
+});
+
+describe('loadFairnessLedger', () => {
+  it('reads only the services of the window and weights by the staffing plan', async () => {
+    const { db, calls } = createMockDb([
+      ['FROM Doctor', () => [[{ id: 'a', fte: 1 }, { id: 'b', fte: 1 }], []]],
+      ['FROM WorkplaceTimeslot', () => [[], []]],
+      ['FROM ShiftEntry', () => [[
+        { date: '2025-06-07', doctor_id: 'a', position: 'Dienst Vordergrund' },
+        { date: '2025-06-10', doctor_id: 'b', position: 'Dienst Vordergrund' },
+      ], []]],
+      ['FROM Workplace', () => [workplaces.filter((w) => w.category === 'Dienste'), []]],
+      // b worked half-time for the whole window
+      ['FROM StaffingPlanEntry', () => [
+        Array.from({ length: 12 }, (_, i) => ({ doctor_id: 'b', year: i < 9 ? 2025 : 2026, month: ((i + 3) % 12) + 1, value: '0.5' })),
+        [],
+      ]],
+    ]);
+
+    const ledger = await loadFairnessLedger(db, { planStart: '2026-04-01', holidays: new Set() });
+
+    expect(ledger).toMatchObject({ start: '2025-04-01', end: '2026-03-31' });
+    const shiftQuery = calls.find((c) => c.sql.includes('FROM ShiftEntry'));
+    expect(shiftQuery.sql).toContain("w.category = 'Dienste'");
+    expect(shiftQuery.params).toEqual(['2025-04-01', '2026-03-31']);
+    expect(ledger.entries.b.fte).toBeCloseTo(0.5);
+    // 2 services over 1.5 FTE: a's share is 4/3, b's share 2/3
+    expect(ledger.entries.a.balance.services).toBeCloseTo(-1 / 3);
+    expect(ledger.entries.b.balance.services).toBeCloseTo(1 / 3);
+    expect(ledger.entries.a.counts.weekend).toBe(1);
+  });
+});
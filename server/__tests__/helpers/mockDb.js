@@ -0,0 +1,42 @@
+/**
+ * Mock `mysql2/promise` pool for server tests.
+ *
+ * `handlers` is a list of `[matcher, fn]`. Each statement is whitespace-
+ * normalized and answered by the first handler whose matcher (substring or
+ * RegExp) fits, called as `fn(sql, params)`; unmatched statements answer
+ * `[[], []]`. Pool and connections share the handlers and the `calls` log,
+ * which also records BEGIN / COMMIT / ROLLBACK / RELEASE of connections.
+ */
+export function createMockDb(handlers = []) {
+  const calls = [];
+  const run = async (sql, params = []) => {
+    const norm = String(sql).trim().replace(/\s+/g, ' ');
+    calls.push({ sql: norm, params });
+    for (const [matcher, fn] of handlers) {
+      if (typeof matcher === 'string' ? norm.includes(matcher) : matcher.test(norm)) {
+        return fn(sql, params);
+      }
+    }
+    return [[], []];
+  };
+  const db = {
+    calls,
+    execute: run,
+    query: run,
+    async getConnection() {
+      return {
+        async beginTransaction() { calls.push({ sql: 'BEGIN', params: [] }); },
+        async commit() { calls.push({ sql: 'COMMIT', params: [] }); },
+        async rollback() { calls.push({ sql: 'ROLLBACK', params: [] }); },
+        execute: run,
+        query: run,
+        release() { calls.push({ sql: 'RELEASE', params: [] }); },
+      };
+    },
+  };
+  return { db, calls };
+}
+
+/** Transaction control recorded in `calls`, e.g. ['BEGIN', 'COMMIT', 'RELEASE']. */
+export const transactionSteps = (calls) =>
+  calls.map((call) => call.sql).filter((sql) => ['BEGIN', 'COMMIT', 'ROLLBACK', 'RELEASE'].includes(sql));
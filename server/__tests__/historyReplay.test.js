@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY_REPLAY_CHANGES,
+  diffHistoryRow,
+  findHistoryBlockConflicts,
+  findHistoryConflicts,
+  normalizeHistoryChanges,
+  planHistoryWrite,
+} from '../../server/utils/historyReplay.js';
+
+const row = (overrides = {}) => ({
+  id: 's1',
+  doctor_id: 'd1',
+  date: '2026-03-02',
+  position: 'CT',
+  timeslot_id: null,
+  is_free_text: 0,
+  updated_date: '2026-03-01 08:00:00',
+  ...overrides,
+});
+
+const columns = ['id', 'doctor_id', 'date', 'position', 'timeslot_id', 'is_free_text', 'note', 'created_date', 'updated_date', 'created_by'];
+
+describe('normalizeHistoryChanges', () => {
+  it('rejects empty, oversized and malformed payloads with status 400', () => {
+    const tooMany = Array.from({ length: MAX_HISTORY_REPLAY_CHANGES + 1 }, (_, i) => ({
+      entity: 'ShiftEntry',
+      id: `s${i}`,
+      expected: null,
+      target: row(),
+    }));
+    const cases = [
+      [[], /nicht-leere Liste/],
+      [tooMany, /Höchstens/],
+      [[{ entity: 'Doctor', id: 'x', expected: null, target: {} }], /entity muss/],
+      [[{ entity: 'ShiftEntry', expected: null, target: {} }], /id fehlt/],
+      [[{ entity: 'ShiftEntry', id: 's1', expected: 'x', target: null }], /Objekte oder null/],
+      [[{ entity: 'ShiftEntry', id: 's1', expected: null, target: null }], /erforderlich/],
+      [
+        [
+          { entity: 'ShiftEntry', id: 's1', expected: null, target: {} },
+          { entity: 'ShiftEntry', id: 's1', expected: {}, target: null },
+        ],
+        /doppelt/,
+      ],
+    ];
+    for (const [raw, message] of cases) {
+      try {
+        normalizeHistoryChanges(raw);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.message).toMatch(message);
+        expect(err.status).toBe(400);
+      }
+    }
+  });
+
+  it('allows the same id across entities', () => {
+    const changes = normalizeHistoryChanges([
+      { entity: 'ShiftEntry', id: 'x', target: row() },
+      { entity: 'ScheduleNote', id: 'x', expected: { content: 'Hi' }, target: null },
+    ]);
+    expect(changes.map((c) => [c.entity, c.expected === null])).toEqual([
+      ['ShiftEntry', true],
+      ['ScheduleNote', false],
+    ]);
+  });
+});
+
+describe('diffHistoryRow', () => {
+  it('ignores bookkeeping, unknown columns and client-side coercions', () => {
+    const current = row({ note: '' });
+    const expected = { ...row({ is_free_text: false, updated_date: '2026-03-05 10:00:00', note: null }), isPreview: false, doctor_name: 'X' };
+    expect(diffHistoryRow(current, expected)).toEqual([]);
+    expect(diffHistoryRow(current, row({ position: 'MRT', date: '2026-03-03' }))).toEqual(['date', 'position']);
+  });
+});
+
+describe('findHistoryConflicts', () => {
+  it('reports rows that were changed, deleted or re-created meanwhile', () => {
+    const changes = normalizeHistoryChanges([
+      { entity: 'ShiftEntry', id: 's1', expected: row(), target: null },
+      { entity: 'ShiftEntry', id: 's2', expected: row({ id: 's2' }), target: null },
+      { entity: 'ShiftEntry', id: 's3', expected: null, target: row({ id: 's3' }) },
+      { entity: 'ShiftEntry', id: 's4', expected: row({ id: 's4' }), target: row({ id: 's4', position: 'MRT' }) },
+    ]);
+    const conflicts = findHistoryConflicts(changes, [row({ doctor_id: 'd2' }), null, row({ id: 's3' }), row({ id: 's4' })]);
+    expect(conflicts.map((c) => [c.index, c.reason, c.fields])).toEqual([
+      [0, 'changed', ['doctor_id']],
+      [1, 'missing', undefined],
+      [2, 'exists', undefined],
+    ]);
+  });
+});
+
+describe('findHistoryBlockConflicts', () => {
+  const blocks = [
+    { id: 'b1', date: '2026-03-02', position: 'MRT', timeslot_id: null, reason: 'Wartung', type: 'block' },
+    { id: 'b2', date: '2026-03-03', position: 'CT', timeslot_id: null, reason: null, type: 'note' },
+  ];
+
+  it('reports entries that would land in a locked cell', () => {
+    const changes = normalizeHistoryChanges([
+      { entity: 'ShiftEntry', id: 's1', expected: row(), target: row({ position: 'MRT' }) },
+      { entity: 'ShiftEntry', id: 's2', expected: null, target: row({ id: 's2', position: 'MRT' }) },
+      { entity: 'ShiftEntry', id: 's3', expected: null, target: row({ id: 's3', date: '2026-03-03' }) },
+      { entity: 'ShiftEntry', id: 's4', expected: row({ id: 's4', position: 'MRT' }), target: null },
+    ]);
+    const conflicts = findHistoryBlockConflicts(changes, [row(), null, null, row({ id: 's4', position: 'MRT' })], blocks);
+    expect(conflicts.map((c) => [c.index, c.reason, c.message])).toEqual([
+      [0, 'blocked', 'Zelle gesperrt: Wartung'],
+      [1, 'blocked', 'Zelle gesperrt: Wartung'],
+    ]);
+  });
+
+  it('leaves entries that stay in their cell alone', () => {
+    const changes = normalizeHistoryChanges([
+      { entity: 'ShiftEntry', id: 's1', expected: row({ position: 'MRT' }), target: row({ position: 'MRT', doctor_id: 'd2' }) },
+    ]);
+    expect(findHistoryBlockConflicts(changes, [row({ position: 'MRT' })], blocks)).toEqual([]);
+  });
+});
+
+describe('planHistoryWrite', () => {
+  it('re-creates a deleted row with its id and known columns only', () => {
+    const write = planHistoryWrite('s1', null, { ...row({ note: 'Hi' }), doctor_name: 'X', created_by: 'a@b.de' }, columns);
+    expect(write).toEqual({
+      action: 'create',
+      data: { id: 's1', doctor_id: 'd1', date: '2026-03-02', position: 'CT', timeslot_id: null, is_free_text: 0, note: 'Hi' },
+    });
+  });
+
+  it('updates only the columns that differ', () => {
+    expect(planHistoryWrite('s1', row(), row({ position: 'MRT', is_free_text: false }), columns)).toEqual({
+      action: 'update',
+      data: { position: 'MRT' },
+    });
+    expect(planHistoryWrite('s1', row(), row({ updated_date: 'later' }), columns)).toEqual({ action: 'none' });
+  });
+
+  it('deletes rows without target state', () => {
+    expect(planHistoryWrite('s1', row(), null, columns)).toEqual({ action: 'delete' });
+    expect(planHistoryWrite('s1', null, null, columns)).toEqual({ action: 'none' });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import { optimizeSwapsLocally, scoreSwapPlan } from '../../server/utils/localSwapOptimizer.js';
+import { applySwaps, validateSwap } from '../../server/utils/swapValidation.js';
+
+const day = '2026-03-03';
+
+function baseData(overrides = {}) {
+  return {
+    doctors: [
+      { id: 'd1', name: 'Anna', fte: 1 },
+      { id: 'd2', name: 'Ben', fte: 1 },
+      { id: 'd3', name: 'Cleo', fte: 1 },
+    ],
+    workplaces: [
+      { id: 'w-ct', name: 'CT', category: 'Rotationen' },
+      { id: 'w-mrt', name: 'MRT', category: 'Rotationen' },
+      { id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste' },
+      { id: 'w-off', name: 'Nachtdienst', category: 'Dienste', auto_off: true },
+    ],
+    existingShifts: [],
+    trainingRotations: [],
+    wishes: [],
+    qualifications: { workplaceQuals: {}, doctorQuals: {} },
+    ...overrides,
+  };
+}
+
+describe('local swap optimizer', () => {
+  it('swaps doctors into their rotation and keeps every swap valid', async () => {
+    const data = baseData({
+      trainingRotations: [
+        { doctor_id: 'd1', modality: 'MRT', start_date: '2026-03-01', end_date: '2026-03-31' },
+        { doctor_id: 'd2', modality: 'CT', start_date: '2026-03-01', end_date: '2026-03-31' },
+      ],
+    });
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'MRT' },
+    ];
+
+    const result = await optimizeSwapsLocally(basePlan, data, { seed: 'kw10', maxIterations: 500 });
+
+    expect(result.plan).toEqual([
+      { date: day, doctor_id: 'd1', position: 'MRT' },
+      { date: day, doctor_id: 'd2', position: 'CT' },
+    ]);
+    expect(result.swaps).toHaveLength(1);
+    expect(result.scoreAfter).toBeLessThan(result.scoreBefore);
+    expect(result.scoreAfter).toBeCloseTo(scoreSwapPlan(result.plan, data));
+    expect(validateSwap(result.swaps[0], basePlan, data).valid).toBe(true);
+    expect(applySwaps(basePlan, result.swaps, { Anna: 'd1', Ben: 'd2' })).toEqual(result.plan);
+    expect(basePlan[0].position).toBe('CT');
+  });
+
+  it('is reproducible for the same seed', async () => {
+    const data = baseData({
+      trainingRotations: [{ doctor_id: 'd3', modality: 'CT', start_date: day, end_date: day }],
+      wishes: [{ doctor_id: 'd1', date: day, type: 'service', status: 'pending', position: null }],
+    });
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'MRT' },
+      { date: day, doctor_id: 'd3', position: 'Dienst Vordergrund' },
+    ];
+    const first = await optimizeSwapsLocally(basePlan, data, { seed: 'x', maxIterations: 300 });
+    expect(await optimizeSwapsLocally(basePlan, data, { seed: 'x', maxIterations: 300 })).toMatchObject({
+      plan: first.plan,
+      swaps: first.swaps,
+      scoreAfter: first.scoreAfter,
+    });
+    expect(first.plan).toContainEqual({ date: day, doctor_id: 'd1', position: 'Dienst Vordergrund' });
+    expect(first.plan).toContainEqual({ date: day, doctor_id: 'd3', position: 'CT' });
+  });
+
+  it('yields to the event loop while searching', async () => {
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'MRT' },
+    ];
+    let ranDuringSearch = false;
+    setImmediate(() => { ranDuringSearch = true; });
+
+    const result = await optimizeSwapsLocally(basePlan, baseData(), { seed: 'kw10', maxIterations: 100, yieldEvery: 10 });
+
+    expect(result.iterations).toBe(100);
+    expect(ranDuringSearch).toBe(true);
+  });
+
+  it('leaves auto_off services, NOT-qualifications and approved no-service wishes alone', async () => {
+    const data = baseData({
+      trainingRotations: [
+        { doctor_id: 'd1', modality: 'MRT', start_date: day, end_date: day },
+        { doctor_id: 'd2', modality: 'Dienst Vordergrund', start_date: day, end_date: day },
+        { doctor_id: 'd3', modality: 'CT', start_date: day, end_date: day },
+      ],
+      wishes: [{ doctor_id: 'd2', date: day, type: 'no_service', status: 'approved' }],
+      qualifications: {
+        workplaceQuals: { 'w-mrt': [{ qualification_id: 'q-x', is_mandatory: false, is_excluded: true }] },
+        doctorQuals: { d1: ['q-x'] },
+      },
+    });
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'MRT' },
+      { date: day, doctor_id: 'd3', position: 'Nachtdienst' },
+    ];
+
+    const result = await optimizeSwapsLocally(basePlan, data, { seed: 1, maxIterations: 500 });
+
+    expect(result.swaps).toEqual([]);
+    expect(result.plan).toEqual(basePlan);
+    expect(result.scoreAfter).toBe(result.scoreBefore);
+    expect(result.rejectedByValidator).toBeGreaterThan(0);
+  });
+
+  it('does not create forbidden consecutive services', async () => {
+    const next = '2026-03-04';
+    const data = baseData({
+      workplaces: [
+        { id: 'w-ct', name: 'CT', category: 'Rotationen' },
+        { id: 'w-svc', name: 'Dienst Vordergrund', category: 'Dienste', consecutive_days_mode: 'forbidden' },
+      ],
+      wishes: [{ doctor_id: 'd1', date: day, type: 'service', status: 'approved', position: 'Dienst Vordergrund' }],
+    });
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'Dienst Vordergrund' },
+      { date: next, doctor_id: 'd1', position: 'Dienst Vordergrund' },
+      { date: next, doctor_id: 'd2', position: 'CT' },
+    ];
+
+    const result = await optimizeSwapsLocally(basePlan, data, { seed: 'kw10', maxIterations: 500 });
+
+    // The approved wish would pay off, but every way there puts someone on two days in a row
+    expect(result.swaps).toEqual([]);
+    expect(result.plan).toEqual(basePlan);
+  });
+
+  it('moves nobody onto a Pflicht workplace after their evidence lapsed', async () => {
+    const next = '2026-03-04';
+    const data = baseData({
+      trainingRotations: [
+        { doctor_id: 'd1', modality: 'MRT', start_date: '2026-03-01', end_date: '2026-03-31' },
+        { doctor_id: 'd2', modality: 'CT', start_date: '2026-03-01', end_date: '2026-03-31' },
+      ],
+      qualifications: {
+        workplaceQuals: { 'w-mrt': [{ qualification_id: 'q-mrt', is_mandatory: true, is_excluded: false }] },
+        doctorQuals: { d1: ['q-mrt'], d2: ['q-mrt'] },
+        doctorQualBlockedFrom: { d1: { 'q-mrt': next } },
+      },
+    });
+    const basePlan = [
+      { date: day, doctor_id: 'd1', position: 'CT' },
+      { date: day, doctor_id: 'd2', position: 'MRT' },
+      { date: next, doctor_id: 'd1', position: 'CT' },
+      { date: next, doctor_id: 'd2', position: 'MRT' },
+    ];
+
+    const result = await optimizeSwapsLocally(basePlan, data, { seed: 'kw10', maxIterations: 500 });
+
+    expect(result.plan).toEqual([
+      { date: day, doctor_id: 'd1', position: 'MRT' },
+      { date: day, doctor_id: 'd2', position: 'CT' },
+      { date: next, doctor_id: 'd1', position: 'CT' },
+      { date: next, doctor_id: 'd2', position: 'MRT' },
+    ]);
+    const lapsedSwap = { date: next, doctor1: 'Anna', doctor2: 'Ben', position1: 'CT', position2: 'MRT' };
+    const mandatory = validateSwap(lapsedSwap, basePlan, data).checks.find((c) => c.check === 'mandatoryQualificationSoftFallback');
+    expect(mandatory.meta).toMatchObject({ doc1HasMandatoryForPos2: false, doc2HasMandatoryForPos1: true });
+    expect(scoreSwapPlan([{ date: next, doctor_id: 'd1', position: 'MRT' }], data))
+      .toBeGreaterThan(scoreSwapPlan([{ date: day, doctor_id: 'd1', position: 'MRT' }], data));
+  });
+});
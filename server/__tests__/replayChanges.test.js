@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the atomic operation replayChanges (undo/redo of the
+ * schedule board): locked reads, one transaction, no writes into locked cells.
+ *
+ * The route handler is taken from the router stack and called with a mock
+ * tenant pool.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('../index.js', () => ({
+  db: { execute: async () => [[], []] },
+  getTenantDb: () => ({}),
+  removeTenantPool: () => {},
+}));
+
+import atomicRouter from '../routes/atomic.js';
+import { createMockDb, transactionSteps } from './helpers/mockDb.js';
+
+const COLUMNS = ['id', 'doctor_id', 'date', 'position', 'timeslot_id', 'created_date', 'updated_date', 'created_by'];
+
+function getAtomicHandler() {
+  const layer = atomicRouter.stack.find((entry) => entry.route?.path === '/' && entry.route.methods.post);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+const entry = (overrides = {}) => ({ id: 's1', doctor_id: 'd1', date: '2027-03-02', position: 'CT', timeslot_id: null, ...overrides });
+
+function createTenantDb({ blocks = [], failOnUpdate = false } = {}) {
+  let current = entry();
+  return createMockDb([
+    ['SHOW COLUMNS', () => [COLUMNS.map((Field) => ({ Field })), []]],
+    ['FOR UPDATE', () => [[current], []]],
+    ['FROM `ScheduleBlock`', () => [blocks, []]],
+    ['UPDATE `ShiftEntry`', () => {
+      if (failOnUpdate) throw new Error('Deadlock found');
+      current = { ...current, position: 'MRT' };
+      return [{ affectedRows: 1 }, []];
+    }],
+    ['SELECT * FROM `ShiftEntry` WHERE `id` = ?', () => [[current], []]],
+  ]);
+}
+
+async function callReplay(db) {
+  const req = {
+    body: {
+      operation: 'replayChanges',
+      entity: 'ShiftEntry',
+      data: { changes: [{ entity: 'ShiftEntry', id: 's1', expected: entry(), target: entry({ position: 'MRT' }) }] },
+    },
+    user: { sub: 'u1', email: 'admin@klinik.de', role: 'admin' },
+    db,
+  };
+  let statusCode = 200;
+  let body;
+  const res = {
+    status(code) { statusCode = code; return this; },
+    json(payload) { body = payload; },
+  };
+  const next = vi.fn();
+  await getAtomicHandler()(req, res, next);
+  return { statusCode, body, error: next.mock.calls[0]?.[0] };
+}
+
+// The column lookup borrows its own connection; only the replay transaction counts
+const replaySteps = (calls) => transactionSteps(calls.slice(calls.findIndex((call) => call.sql === 'BEGIN')));
+
+describe('replayChanges', () => {
+  it('locks the rows and writes in one transaction', async () => {
+    const { db, calls } = createTenantDb();
+    const { statusCode, body } = await callReplay(db);
+
+    expect(statusCode).toBe(200);
+    expect(body.records).toEqual([{ entity: 'ShiftEntry', id: 's1', row: entry({ position: 'MRT' }) }]);
+    expect(replaySteps(calls)).toEqual(['BEGIN', 'COMMIT', 'RELEASE']);
+    const sqls = calls.map((call) => call.sql);
+    expect(sqls.findIndex((sql) => sql.endsWith('FOR UPDATE'))).toBeGreaterThan(sqls.indexOf('BEGIN'));
+    expect(sqls.findIndex((sql) => sql.startsWith('UPDATE'))).toBeLessThan(sqls.indexOf('COMMIT'));
+  });
+
+  it('rolls back when a write fails', async () => {
+    const { db, calls } = createTenantDb({ failOnUpdate: true });
+    const { error } = await callReplay(db);
+
+    expect(error?.message).toBe('Deadlock found');
+    expect(replaySteps(calls)).toEqual(['BEGIN', 'ROLLBACK', 'RELEASE']);
+  });
+
+  it('refuses to move an entry into a locked cell', async () => {
+    const blocks = [{ id: 'b1', date: '2027-03-02', position: 'MRT', timeslot_id: null, reason: 'Wartung', type: 'block' }];
+    const { db, calls } = createTenantDb({ blocks });
+    const { statusCode, body } = await callReplay(db);
+
+    expect(statusCode).toBe(409);
+    expect(body.conflicts).toEqual([
+      expect.objectContaining({ index: 0, id: 's1', reason: 'blocked', message: 'Zelle gesperrt: Wartung' }),
+    ]);
+    expect(replaySteps(calls)).toEqual(['BEGIN', 'ROLLBACK', 'RELEASE']);
+    expect(calls.some((call) => call.sql.startsWith('UPDATE'))).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  deleteVersionedRow,
+  isVersionedTable,
+  parseExpectedVersion,
+  updateVersionedRow,
+  versionConflict,
+} from '../utils/rowVersion.js';
+
+/**
+ * Mock mysql2/promise pool (same shape as in db.test.js) that answers the
+ * queued results in order: an OK packet for UPDATE/DELETE, rows for SELECT.
+ */
+function scriptedPool(results) {
+  const executed = [];
+  const next = (sqlText, params) => {
+    executed.push({ sql: sqlText, params });
+    return [results.shift() ?? [], []];
+  };
+  const connection = {
+    async query(sqlText, params) { return next(sqlText, params); },
+    async execute(sqlText, params) { return next(sqlText, params); },
+    release() {},
+  };
+  return { pool: { async getConnection() { return connection; } }, executed };
+}
+
+const okPacket = (affectedRows) => ({ insertId: 0, affectedRows, changedRows: affectedRows });
+
+describe('parseExpectedVersion', () => {
+  it('treats absent values as an unconditional write', () => {
+    expect(parseExpectedVersion(undefined)).toBeUndefined();
+    expect(parseExpectedVersion(null)).toBeUndefined();
+    expect(parseExpectedVersion('')).toBeUndefined();
+  });
+
+  it('accepts non-negative integers, also as strings', () => {
+    expect(parseExpectedVersion(3)).toBe(3);
+    expect(parseExpectedVersion('7')).toBe(7);
+  });
+
+  it('rejects anything else with a 400', () => {
+    for (const raw of [-1, 1.5, 'abc', {}, true]) {
+      expect(() => parseExpectedVersion(raw)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+});
+
+describe('isVersionedTable / versionConflict', () => {
+  it('covers the schedule tables only', () => {
+    expect(isVersionedTable('ShiftEntry')).toBe(true);
+    expect(isVersionedTable('ScheduleNote')).toBe(true);
+    expect(isVersionedTable('StaffingPlanEntry')).toBe(true);
+    expect(isVersionedTable('Doctor')).toBe(false);
+  });
+
+  it('carries the current row in a 409 body', () => {
+    const err = versionConflict({ id: 's1', version: 4 });
+    expect(err.status).toBe(409);
+    expect(err.body).toMatchObject({ error: 'CONCURRENCY_ERROR', currentData: { id: 's1', version: 4 } });
+    expect(versionConflict(null).body.message).toMatch(/gelöscht/);
+  });
+});
+
+describe('updateVersionedRow', () => {
+  it('bumps the version and guards on the expected one', async () => {
+    const { pool, executed } = scriptedPool([okPacket(1)]);
+    await updateVersionedRow(pool, 'ShiftEntry', ['position', 'version'], { position: 'CT', version: 99 }, 's1', 3);
+
+    expect(executed).toHaveLength(1);
+    expect(executed[0].sql).toBe('update `ShiftEntry` set `position` = ?, `version` = `version` + 1 where `id` = ? and `version` = ?');
+    expect(executed[0].params).toEqual(['CT', 's1', 3]);
+  });
+
+  it('writes unconditionally without an expected version', async () => {
+    const { pool, executed } = scriptedPool([okPacket(0)]);
+    await updateVersionedRow(pool, 'ScheduleNote', ['content'], { content: 'x' }, 'n1');
+    expect(executed[0].sql).not.toContain('and `version`');
+  });
+
+  it('throws a conflict with the current row when the version moved on', async () => {
+    const { pool } = scriptedPool([okPacket(0), [{ id: 's1', position: 'MRT', version: 4 }]]);
+    await expect(updateVersionedRow(pool, 'ShiftEntry', ['position'], { position: 'CT' }, 's1', 3))
+      .rejects.toMatchObject({ status: 409, body: { currentData: { id: 's1', position: 'MRT', version: 4 } } });
+  });
+});
+
+describe('deleteVersionedRow', () => {
+  it('rejects deleting a row changed meanwhile', async () => {
+    const { pool } = scriptedPool([okPacket(0), [{ id: 's1', version: 5 }]]);
+    await expect(deleteVersionedRow(pool, 'ShiftEntry', 's1', 4)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('accepts a row that is already gone', async () => {
+    const { pool, executed } = scriptedPool([okPacket(0), []]);
+    await expect(deleteVersionedRow(pool, 'ShiftEntry', 's1', 4)).resolves.toBeUndefined();
+    expect(executed[0].sql).toBe('delete from `ShiftEntry` where `id` = ? and `version` = ?');
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * Unit tests for schedule publications and change-only notifications.
+ *
+ * The pool is a tiny `mysql2/promise`-shaped dispatcher; `sendEmail` is
+ * mocked so the tests can assert who gets mailed which days.
+ */
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+
+const sendEmail = vi.fn(async () => ({ success: true }));
+vi.mock('../utils/email.js', () => ({ sendEmail: (...args) => sendEmail(...args) }));
+
+import {
+  diffAgainstPublished,
+  diffPublishedEntries,
+  describeDayEntries,
+  getPublishedShiftRow,
+  hashDayState,
+  listPublishedShiftRows,
+  loadPublishedEntries,
+  publishAndNotifyScheduleChanges,
+  readsPublishedScheduleOnly,
+  toPublishedEntry,
+  SCHEDULE_CHANGE_NOTIFICATION_TYPE,
+} from '../utils/schedulePublication.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+// ─── Mock helpers ────────────────────────────────────────────────────────────
+
+const entry = (overrides) => toPublishedEntry({
+  id: `s-${overrides.doctor_id}-${overrides.date}-${overrides.position}`,
+  timeslot_id: null,
+  start_time: null,
+  end_time: null,
+  ...overrides,
+});
+
+const MARCH = { startDate: '2026-03-02', endDate: '2026-03-04' };
+const PUBLISHED_MARCH = new Set(['2026-03-02', '2026-03-03', '2026-03-04']);
+
+const DOCTORS = [
+  { id: 'doc-a', name: 'Dr. Anna', email: 'anna@example.org', receive_email_notifications: 1 },
+  { id: 'doc-b', name: 'Dr. Ben', email: null, receive_email_notifications: 1 },
+];
+
+/**
+ * Pool with one earlier March publication containing `previous`; `notified`
+ * rows point to `pub-notified`, whose snapshot is `notifiedEntries`.
+ */
+function createPublishedDb(previous, { notified = [], notifiedEntries = [] } = {}) {
+  return createMockDb([
+    ['FROM SchedulePublication WHERE', () => [[{ id: 'pub-1', start_date: '2026-03-01', end_date: '2026-03-31' }], []]],
+    ['MIN(start_date)', () => [[{ first_date: '2026-03-01', last_date: '2026-03-31' }], []]],
+    ['FROM SchedulePublicationEntry', () => [[
+      ...previous.map((e) => ({ ...e, publication_id: 'pub-1' })),
+      ...notifiedEntries.map((e) => ({ ...e, publication_id: 'pub-notified' })),
+    ], []]],
+    ['SELECT doctor_id, date, publication_id FROM ShiftNotification', () => [notified, []]],
+    ['FROM Doctor WHERE id IN', () => [DOCTORS, []]],
+    ['FROM WorkplaceTimeslot', () => [[{ id: 'ts-early', label: 'Früh' }], []]],
+  ]);
+}
+
+/**
+ * Pool that keeps publications, their entries and change notifications in
+ * memory, so several publishes can run against each other.
+ */
+function createPublicationStore() {
+  const publications = [];
+  const entries = [];
+  const notifications = [];
+  const { db } = createMockDb([
+    ['INSERT INTO SchedulePublicationEntry', (_sql, params) => {
+      for (let i = 0; i < params.length; i += 10) {
+        const [, publication_id, shift_entry_id, date, doctor_id, position, timeslot_id, start_time, end_time, order] = params.slice(i, i + 10);
+        entries.push({ publication_id, shift_entry_id, date, doctor_id, position, timeslot_id, start_time, end_time, order });
+      }
+      return [{ affectedRows: params.length / 10 }, []];
+    }],
+    ['INSERT INTO SchedulePublication (', (_sql, [id, start_date, end_date]) => {
+      publications.push({ id, start_date, end_date });
+      return [{ affectedRows: 1 }, []];
+    }],
+    ['FROM SchedulePublication WHERE', (sql, [endDate, startDate]) => {
+      const rows = publications.filter((pub) => pub.start_date <= endDate && pub.end_date >= startDate);
+      return [sql.includes('DESC') ? [...rows].reverse() : rows, []];
+    }],
+    ['FROM SchedulePublicationEntry', (_sql, params) => {
+      const [startDate, endDate] = params.slice(-2);
+      const ids = params.slice(0, -2);
+      return [entries.filter((e) => ids.includes(e.publication_id) && e.date >= startDate && e.date <= endDate), []];
+    }],
+    ['INSERT INTO ShiftNotification', (_sql, params) => {
+      notifications.push({ doctor_id: params[2], status: params[4], date: params[6], publication_id: params[8] });
+      return [{ affectedRows: 1 }, []];
+    }],
+    ['FROM ShiftNotification', (_sql, [, startDate, endDate]) => [
+      notifications
+        .filter((n) => ['sent', 'skipped'].includes(n.status) && n.date >= startDate && n.date <= endDate)
+        .reverse(),
+      [],
+    ]],
+    ['FROM Doctor WHERE id IN', () => [DOCTORS, []]],
+  ]);
+  return { db, notifications };
+}
+
+beforeEach(() => {
+  sendEmail.mockClear();
+  sendEmail.mockImplementation(async () => ({ success: true }));
+});
+
+// ─── diffPublishedEntries ────────────────────────────────────────────────────
+
+describe('diffPublishedEntries', () => {
+  it('reports only days whose entries changed per employee', () => {
+    const previous = [
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'CT' }),
+      entry({ doctor_id: 'doc-a', date: '2026-03-03', position: 'MRT' }),
+      entry({ doctor_id: 'doc-b', date: '2026-03-02', position: 'Urlaub' }),
+    ];
+    const current = [
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'CT' }),
+      entry({ doctor_id: 'doc-a', date: '2026-03-03', position: 'Dienst Vordergrund' }),
+    ];
+
+    const changes = diffPublishedEntries(previous, current, PUBLISHED_MARCH);
+
+    expect(changes.map((c) => [c.doctorId, c.date])).toEqual([
+      ['doc-a', '2026-03-03'],
+      ['doc-b', '2026-03-02'],
+    ]);
+    expect(changes[1].after).toEqual([]);
+  });
+
+  it('treats a changed timeslot as a change and entry order as irrelevant', () => {
+    const previous = [
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'CT' }),
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'Demo', timeslot_id: 'ts-early' }),
+    ];
+    const reordered = [previous[1], previous[0]];
+    expect(diffPublishedEntries(previous, reordered, PUBLISHED_MARCH)).toEqual([]);
+
+    const moved = [previous[0], { ...previous[1], timeslot_id: 'ts-late' }];
+    expect(diffPublishedEntries(previous, moved, PUBLISHED_MARCH)).toHaveLength(1);
+  });
+
+  it('ignores dates without a previous publication', () => {
+    const current = [entry({ doctor_id: 'doc-a', date: '2026-04-01', position: 'CT' })];
+    expect(diffPublishedEntries([], current, PUBLISHED_MARCH)).toEqual([]);
+  });
+});
+
+describe('describeDayEntries', () => {
+  it('uses timeslot labels, explicit times and a placeholder for empty days', () => {
+    const labels = new Map([['ts-early', 'Früh']]);
+    expect(describeDayEntries([
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'CT', timeslot_id: 'ts-early' }),
+      entry({ doctor_id: 'doc-a', date: '2026-03-02', position: 'Sono', start_time: '12:00:00', end_time: '16:00:00' }),
+    ], labels)).toBe('CT (Früh), Sono (12:00–16:00)');
+    expect(describeDayEntries([], labels)).toBe('kein Eintrag');
+  });
+});
+
+// ─── loadPublishedEntries ────────────────────────────────────────────────────
+
+describe('loadPublishedEntries', () => {
+  it('takes each date from the latest publication covering it', async () => {
+    const { db } = createMockDb([
+      // newest first: a week re-published after the monthly publication
+      ['FROM SchedulePublication WHERE', () => [[
+        { id: 'pub-week', start_date: '2026-03-03', end_date: '2026-03-03' },
+        { id: 'pub-month', start_date: '2026-03-01', end_date: '2026-03-31' },
+      ], []]],
+      ['FROM SchedulePublicationEntry', () => [[
+        { publication_id: 'pub-month', date: '2026-03-02', doctor_id: 'doc-a', position: 'CT' },
+        { publication_id: 'pub-month', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' },
+        { publication_id: 'pub-week', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' },
+      ], []]],
+    ]);
+
+    const { entries, publishedDates } = await loadPublishedEntries(db, '2026-03-02', '2026-03-05');
+
+    expect(entries.map((e) => [e.date, e.position])).toEqual([
+      ['2026-03-02', 'CT'],
+      ['2026-03-03', 'MRT'],
+    ]);
+    expect([...publishedDates].sort()).toEqual(['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05']);
+  });
+});
+
+// ─── Published-only reads ────────────────────────────────────────────────────
+
+describe('published-only reads', () => {
+  const withWorkflow = (value) => createMockDb([
+    ['FROM SystemSetting', () => [value === undefined ? [] : [{ value }], []]],
+  ]).db;
+
+  it('applies to readers without can_edit_schedule while the workflow is on', async () => {
+    const canEdit = vi.fn(async () => false);
+    expect(await readsPublishedScheduleOnly(withWorkflow(undefined), canEdit)).toBe(false);
+    expect(await readsPublishedScheduleOnly(withWorkflow('false'), canEdit)).toBe(false);
+    expect(canEdit).not.toHaveBeenCalled();
+    expect(await readsPublishedScheduleOnly(withWorkflow('true'), canEdit)).toBe(true);
+    expect(await readsPublishedScheduleOnly(withWorkflow('true'), async () => true)).toBe(false);
+  });
+
+  it('lists published entries as ShiftEntry rows with the /api/db filters', async () => {
+    const { db } = createPublishedDb([
+      { shift_entry_id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT', order: 0 },
+      { shift_entry_id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'CT', timeslot_id: 'ts-early', order: 0 },
+      { shift_entry_id: 's3', date: '2026-03-02', doctor_id: 'doc-b', position: 'Urlaub', order: 0 },
+    ]);
+
+    const rows = await listPublishedShiftRows(db, {
+      filters: { doctor_id: 'doc-a', date: { $gte: '2026-03-01', $lte: '2026-03-31' } },
+      sort: 'date',
+    });
+
+    expect(rows).toEqual([
+      { id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'CT', timeslot_id: 'ts-early', start_time: null, end_time: null, order: 0, is_free_text: 0 },
+      { id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT', timeslot_id: null, start_time: null, end_time: null, order: 0, is_free_text: 0 },
+    ]);
+    expect((await listPublishedShiftRows(db, { filters: { position: 'Urlaub' } })).map((r) => r.id)).toEqual(['s3']);
+  });
+
+  it('finds a published entry by id only in the published version of its day', async () => {
+    const { db } = createMockDb([
+      ['SELECT DISTINCT date FROM SchedulePublicationEntry', () => [[{ date: '2026-03-03' }], []]],
+      ['FROM SchedulePublication WHERE', () => [[
+        { id: 'pub-week', start_date: '2026-03-03', end_date: '2026-03-03' },
+        { id: 'pub-month', start_date: '2026-03-01', end_date: '2026-03-31' },
+      ], []]],
+      ['FROM SchedulePublicationEntry', () => [[
+        { publication_id: 'pub-month', shift_entry_id: 's1', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' },
+        { publication_id: 'pub-week', shift_entry_id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' },
+      ], []]],
+    ]);
+
+    expect(await getPublishedShiftRow(db, 's2')).toMatchObject({ id: 's2', position: 'MRT' });
+    // s1 was replaced by the later publication of that week
+    expect(await getPublishedShiftRow(db, 's1')).toBeNull();
+  });
+
+  it("reads back an employee's own absence written after the publication", async () => {
+    const published = [
+      { shift_entry_id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'Dienst', order: 0 },
+      { shift_entry_id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'Urlaub', order: 0 },
+      { shift_entry_id: 's3', date: '2026-03-02', doctor_id: 'doc-b', position: 'CT', order: 0 },
+    ];
+    const { db } = createMockDb([
+      ["FROM Workplace WHERE category = 'Dienste'", () => [[{ name: 'Dienst' }], []]],
+      ['SELECT DISTINCT date FROM SchedulePublicationEntry', (_sql, [id]) => [
+        published.filter((e) => e.shift_entry_id === id).map((e) => ({ date: e.date })), [],
+      ]],
+      ['FROM SchedulePublication WHERE', () => [[{ id: 'pub-1', start_date: '2026-03-01', end_date: '2026-03-31' }], []]],
+      ['FROM SchedulePublicationEntry', () => [published.map((e) => ({ ...e, publication_id: 'pub-1' })), []]],
+    ]);
+    // Live rows of doc-a after the publication: s2 was deleted, a new absence
+    // was written and the draft moved a service to doc-a.
+    const ownDraft = {
+      doctorId: 'doc-a',
+      rows: [
+        { id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'Dienst' },
+        { id: 's4', date: '2026-03-05', doctor_id: 'doc-a', position: 'Frei' },
+        { id: 's5', date: '2026-03-06', doctor_id: 'doc-a', position: 'Dienst' },
+      ],
+    };
+    const filters = { date: { $gte: '2026-03-01', $lte: '2026-03-31' } };
+
+    const rows = await listPublishedShiftRows(db, { filters, sort: 'date', ownDraft });
+
+    expect(rows.map((r) => [r.id, r.position])).toEqual([['s1', 'Dienst'], ['s3', 'CT'], ['s4', 'Frei']]);
+    expect((await listPublishedShiftRows(db, { filters, sort: 'date' })).map((r) => r.id)).toEqual(['s1', 's3', 's2']);
+    expect(await getPublishedShiftRow(db, 's4', { doctorId: 'doc-a', rows: [ownDraft.rows[1]] })).toMatchObject({ position: 'Frei' });
+    expect(await getPublishedShiftRow(db, 's5', { doctorId: 'doc-a', rows: [ownDraft.rows[2]] })).toBeNull();
+    expect(await getPublishedShiftRow(db, 's2', { doctorId: 'doc-a', rows: [] })).toBeNull();
+  });
+});
+
+// ─── diffAgainstPublished ────────────────────────────────────────────────────
+
+describe('diffAgainstPublished', () => {
+  it('diffs published dates and lists the never-published ones separately', async () => {
+    const { db } = createMockDb([
+      ['FROM SchedulePublication WHERE', () => [[{ id: 'pub-1', start_date: '2026-03-02', end_date: '2026-03-03' }], []]],
+      ['FROM SchedulePublicationEntry', () => [[
+        { publication_id: 'pub-1', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' },
+      ], []]],
+    ]);
+
+    const result = await diffAgainstPublished(db, {
+      ...MARCH,
+      currentEntries: [
+        { id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' },
+        { id: 's3', date: '2026-03-04', doctor_id: 'doc-a', position: 'CT' },
+        { id: 's4', date: '2026-03-05', doctor_id: 'doc-a', position: 'CT' },
+      ],
+    });
+
+    expect(result.current.map((e) => e.shift_entry_id)).toEqual(['s2', 's3']);
+    expect(result.changes.map((c) => [c.doctorId, c.date])).toEqual([['doc-a', '2026-03-03']]);
+    expect(result.unpublishedDates).toEqual(['2026-03-04']);
+  });
+});
+
+// ─── publishAndNotifyScheduleChanges ─────────────────────────────────────────
+
+describe('publishAndNotifyScheduleChanges', () => {
+  it('stores the first publication as baseline without mailing anyone', async () => {
+    const { db, calls } = createMockDb([
+      ['FROM Doctor WHERE id IN', () => [DOCTORS, []]],
+    ]);
+
+    const result = await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [{ id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'CT' }],
+    });
+
+    expect(result).toMatchObject({ changedDays: 0, baselineDays: 3, entryCount: 1, sentCount: 0 });
+    expect(result.publicationId).toEqual(expect.any(String));
+    expect(calls.some((c) => c.sql.startsWith('INSERT INTO SchedulePublicationEntry'))).toBe(true);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('mails each affected employee only their changed days and records them', async () => {
+    const previous = [
+      { date: '2026-03-02', doctor_id: 'doc-a', position: 'CT' },
+      { date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' },
+      { date: '2026-03-02', doctor_id: 'doc-b', position: 'CT' },
+    ];
+    const { db, calls } = createPublishedDb(previous);
+
+    const result = await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [
+        { id: 's1', date: '2026-03-02', doctor_id: 'doc-a', position: 'CT' },
+        { id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'Dienst Vordergrund', timeslot_id: 'ts-early' },
+        { id: 's3', date: '2026-03-02', doctor_id: 'doc-b', position: 'Urlaub' },
+      ],
+    });
+
+    expect(result).toMatchObject({ changedDays: 2, notifiedDoctors: 2, sentCount: 1, skippedCount: 1, errors: [] });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const mail = sendEmail.mock.calls[0][0];
+    expect(mail.to).toBe('anna@example.org');
+    expect(mail.text).toContain('MRT → Dienst Vordergrund (Früh)');
+    expect(mail.text).not.toContain('02.03.2026:');
+
+    const inserts = calls.filter((c) => c.sql.startsWith('INSERT INTO ShiftNotification'));
+    expect(inserts).toHaveLength(2);
+    const [annaRow, benRow] = inserts.map((c) => c.params);
+    expect(annaRow).toEqual(expect.arrayContaining(['doc-a', SCHEDULE_CHANGE_NOTIFICATION_TYPE, 'sent', '2026-03-03']));
+    expect(annaRow[annaRow.length - 1]).toBe(hashDayState('doc-a', '2026-03-03', [
+      toPublishedEntry({ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'Dienst Vordergrund', timeslot_id: 'ts-early' }),
+    ]));
+    // no notification address: dashboard notification only
+    expect(benRow).toEqual(expect.arrayContaining(['doc-b', 'skipped', '2026-03-02', 'Dienstplan geändert: CT → Urlaub']));
+  });
+
+  it('does not mail a day state that was already notified', async () => {
+    const previous = [{ date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' }];
+    const current = [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }];
+    const { db, calls } = createPublishedDb(previous, {
+      notified: [{ doctor_id: 'doc-a', date: '2026-03-03', publication_id: 'pub-notified' }],
+      notifiedEntries: [{ shift_entry_id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }],
+    });
+
+    const result = await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: current });
+
+    expect(result.changedDays).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(calls.some((c) => c.sql.startsWith('INSERT INTO ShiftNotification'))).toBe(false);
+  });
+
+  it('mails a failed send again on the next publish', async () => {
+    const { db, notifications } = createPublicationStore();
+    await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' }],
+    });
+
+    sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+    const changed = [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }];
+    const failed = await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: changed });
+    expect(failed).toMatchObject({ changedDays: 1, sentCount: 0, errors: [{ doctor: 'Dr. Anna', error: 'SMTP down' }] });
+    expect(notifications.map((n) => n.status)).toEqual(['failed']);
+
+    const retry = await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: changed });
+    expect(retry).toMatchObject({ changedDays: 1, sentCount: 1, errors: [] });
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+    expect(sendEmail.mock.calls[1][0].text).toContain('MRT → CT');
+    expect(notifications.map((n) => n.status)).toEqual(['failed', 'sent']);
+
+    const again = await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: changed });
+    expect(again).toMatchObject({ changedDays: 0, sentCount: 0 });
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('mails changes published without notification on the next notify', async () => {
+    const { db } = createPublicationStore();
+    await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' }],
+    });
+    const changed = [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }];
+    await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: changed, notify: false });
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    const result = await publishAndNotifyScheduleChanges(db, { ...MARCH, currentEntries: changed });
+
+    expect(result).toMatchObject({ changedDays: 1, sentCount: 1 });
+    expect(sendEmail.mock.calls[0][0].text).toContain('MRT → CT');
+  });
+
+  it('only returns the diff on a dry run', async () => {
+    const { db, calls } = createPublishedDb([{ date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' }]);
+
+    const result = await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }],
+      dryRun: true,
+    });
+
+    expect(result.publicationId).toBeNull();
+    expect(result.changes).toHaveLength(1);
+    expect(calls.some((c) => c.sql.startsWith('INSERT'))).toBe(false);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('publishes without notifications when notify is off', async () => {
+    const { db, calls } = createPublishedDb([{ date: '2026-03-03', doctor_id: 'doc-a', position: 'MRT' }]);
+
+    const result = await publishAndNotifyScheduleChanges(db, {
+      ...MARCH,
+      currentEntries: [{ id: 's2', date: '2026-03-03', doctor_id: 'doc-a', position: 'CT' }],
+      notify: false,
+    });
+
+    expect(result).toMatchObject({ changedDays: 1, sentCount: 0, notifiedDoctors: 0 });
+    expect(result.publicationId).toEqual(expect.any(String));
+    expect(calls.some((c) => c.sql.startsWith('INSERT INTO SchedulePublicationEntry'))).toBe(true);
+    expect(calls.some((c) => /^(SELECT|INSERT INTO) .*ShiftNotification/.test(c.sql))).toBe(false);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SHIFT_BATCH_SIZE,
+  findShiftBatchConflicts,
+  normalizeShiftBatch,
+  normalizeShiftTransfer,
+  resolveShiftTransfer,
+  workplaceAllowsMultiple,
+} from '../../server/utils/shiftBatch.js';
+
+const isAbsence = (position) => ['Urlaub', 'Krank', 'Frei'].includes(position);
+
+const workplaces = [
+  { name: 'CT', category: 'Rotationen' },
+  { name: 'Dienst Vordergrund', category: 'Dienste' },
+  { name: 'Sono', category: 'Rotationen', allows_multiple: 0 },
+];
+
+const entry = (overrides = {}) => ({
+  doctor_id: 'd1',
+  date: '2026-03-02',
+  position: 'CT',
+  timeslot_id: null,
+  ...overrides,
+});
+
+describe('normalizeShiftBatch', () => {
+  it('rejects empty and oversized payloads', () => {
+    expect(() => normalizeShiftBatch([], isAbsence)).toThrow(/nicht-leere Liste/);
+    expect(() => normalizeShiftBatch('x', isAbsence)).toThrow(/nicht-leere Liste/);
+    const tooMany = Array.from({ length: MAX_SHIFT_BATCH_SIZE + 1 }, () => entry());
+    expect(() => normalizeShiftBatch(tooMany, isAbsence)).toThrow(/Höchstens/);
+  });
+
+  it('rejects invalid entries with status 400', () => {
+    const cases = [
+      [{ date: '2026-03-02', position: 'CT' }, /doctor_id fehlt/],
+      [{ doctor_id: 'd1', date: '02.03.2026', position: 'CT' }, /ungültiges Datum/],
+      [{ doctor_id: 'd1', date: '2026-03-02', position: ' ' }, /position fehlt/],
+      [{ doctor_id: 'd1', date: '2026-03-02', position: 'Urlaub' }, /Abwesenheiten/],
+    ];
+    for (const [raw, message] of cases) {
+      try {
+        normalizeShiftBatch([raw], isAbsence);
+        expect.unreachable();
+      } catch (err) {
+        expect(err.message).toMatch(message);
+        expect(err.status).toBe(400);
+      }
+    }
+  });
+
+  it('keeps only known columns and defaults timeslot_id to null', () => {
+    const [row] = normalizeShiftBatch([{ ...entry(), timeslot_id: '', id: 'x', created_by: 'evil', note: 'Hi' }], isAbsence);
+    expect(row).toEqual({ doctor_id: 'd1', date: '2026-03-02', position: 'CT', timeslot_id: null, note: 'Hi' });
+  });
+});
+
+describe('workplaceAllowsMultiple', () => {
+  it('prefers the explicit flag and falls back on the category', () => {
+    expect(workplaceAllowsMultiple(workplaces[0])).toBe(true);
+    expect(workplaceAllowsMultiple(workplaces[1])).toBe(false);
+    expect(workplaceAllowsMultiple(workplaces[2])).toBe(false);
+    expect(workplaceAllowsMultiple({ name: 'Konsil', category: 'Demonstrationen & Konsile' })).toBe(false);
+    expect(workplaceAllowsMultiple(undefined)).toBe(true);
+  });
+});
+
+describe('findShiftBatchConflicts', () => {
+  it('reports locked cells but ignores info blocks', () => {
+    const blocks = [
+      { id: 'b1', date: '2026-03-02', position: 'CT', timeslot_id: null, type: 'block', reason: 'Wartung' },
+      { id: 'b2', date: '2026-03-03', position: 'CT', timeslot_id: null, type: 'info' },
+    ];
+    const conflicts = findShiftBatchConflicts([entry(), entry({ date: '2026-03-03' })], { existing: [], blocks, workplaces });
+    expect(conflicts).toEqual([expect.objectContaining({ index: 0, reason: 'blocked', message: 'Zelle gesperrt: Wartung' })]);
+  });
+
+  it('reports duplicates against existing rows and within the batch', () => {
+    const existing = [{ id: 's1', doctor_id: 'd1', date: '2026-03-02', position: 'CT', timeslot_id: null }];
+    const conflicts = findShiftBatchConflicts(
+      [entry(), entry({ doctor_id: 'd2' }), entry({ doctor_id: 'd2' })],
+      { existing, blocks: [], workplaces },
+    );
+    expect(conflicts.map((c) => [c.index, c.reason])).toEqual([
+      [0, 'duplicate'],
+      [2, 'duplicate'],
+    ]);
+  });
+
+  it('keeps single-assignment positions to one person per cell', () => {
+    const existing = [{ id: 's1', doctor_id: 'd9', date: '2026-03-02', position: 'Dienst Vordergrund', timeslot_id: 'ts-a' }];
+    const conflicts = findShiftBatchConflicts(
+      [
+        entry({ position: 'Dienst Vordergrund', timeslot_id: 'ts-a' }),
+        entry({ position: 'Dienst Vordergrund', timeslot_id: 'ts-b' }),
+        // Without timeslot the whole position counts as occupied
+        entry({ doctor_id: 'd2', position: 'Dienst Vordergrund' }),
+        entry({ doctor_id: 'd2', position: 'Sono', date: '2026-03-04' }),
+        entry({ doctor_id: 'd3', position: 'Sono', date: '2026-03-04' }),
+      ],
+      { existing, blocks: [], workplaces },
+    );
+    expect(conflicts.map((c) => [c.index, c.reason])).toEqual([
+      [0, 'occupied'],
+      [2, 'occupied'],
+      [4, 'occupied'],
+    ]);
+  });
+});
+
+describe('normalizeShiftTransfer', () => {
+  it('requires unique source ids for moves only', () => {
+    expect(normalizeShiftTransfer([entry()], 'copy', isAbsence)).toEqual([entry()]);
+    expect(() => normalizeShiftTransfer([entry()], 'move', isAbsence)).toThrow(/source_id fehlt/);
+    expect(() =>
+      normalizeShiftTransfer([entry({ source_id: 's1' }), entry({ date: '2026-03-03', source_id: 's1' })], 'move', isAbsence),
+    ).toThrow(/source_id doppelt/);
+    expect(normalizeShiftTransfer([entry({ source_id: 's1' })], 'move', isAbsence)[0].source_id).toBe('s1');
+  });
+});
+
+describe('resolveShiftTransfer', () => {
+  const service = (overrides = {}) => entry({ position: 'Dienst Vordergrund', ...overrides });
+  const existing = [
+    { id: 'x1', doctor_id: 'd9', date: '2026-03-09', position: 'Dienst Vordergrund', timeslot_id: null },
+    { id: 'src1', doctor_id: 'd1', date: '2026-03-02', position: 'Dienst Vordergrund', timeslot_id: null },
+    { id: 'src2', doctor_id: 'd1', date: '2026-03-03', position: 'CT', timeslot_id: null },
+  ];
+  const context = (resolution, blocks = []) => ({ existing, blocks, workplaces, resolution });
+
+  it('skips occupied cells and keeps the source of a skipped move', () => {
+    const result = resolveShiftTransfer(
+      [service({ date: '2026-03-09', source_id: 'src1' }), entry({ date: '2026-03-10', source_id: 'src2' })],
+      context('skip'),
+    );
+    expect(result.skipped.map((c) => [c.index, c.reason])).toEqual([[0, 'occupied']]);
+    expect(result.accepted.map((a) => a.index)).toEqual([1]);
+    expect(result.sourceIds).toEqual(['src2']);
+    expect(result.replaced).toEqual([]);
+  });
+
+  it('replaces other people on single-assignment cells when overwriting', () => {
+    const result = resolveShiftTransfer([service({ date: '2026-03-09' })], context('overwrite'));
+    expect(result.skipped).toEqual([]);
+    expect(result.replaced.map((r) => r.id)).toEqual(['x1']);
+  });
+
+  it('never overwrites locked cells', () => {
+    const blocks = [{ id: 'b1', date: '2026-03-09', position: 'Dienst Vordergrund', timeslot_id: null, type: 'block' }];
+    const result = resolveShiftTransfer([service({ date: '2026-03-09' })], context('overwrite', blocks));
+    expect(result.skipped.map((c) => c.reason)).toEqual(['blocked']);
+    expect(result.replaced).toEqual([]);
+    expect(result.accepted).toEqual([]);
+  });
+
+  it('lets a moved entry take a cell its own move frees', () => {
+    // Handing a service to a colleague: without the move the cell would count as occupied
+    const result = resolveShiftTransfer([service({ doctor_id: 'd2', source_id: 'src1' })], context('abort'));
+    expect(result.skipped).toEqual([]);
+    expect(result.sourceIds).toEqual(['src1']);
+  });
+
+  it('reports missing or changed sources', () => {
+    const result = resolveShiftTransfer(
+      [entry({ source_id: 'gone' }), service({ date: '2026-03-10', source_id: 'src2' })],
+      context('abort'),
+    );
+    expect(result.skipped.map((c) => [c.index, c.reason])).toEqual([
+      [0, 'missing'],
+      [1, 'missing'],
+    ]);
+  });
+});
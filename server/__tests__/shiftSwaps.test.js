@@ -0,0 +1,362 @@
+/**
+ * Unit tests for the shift swap marketplace helpers.
+ *
+ * The pool is a tiny `mysql2/promise`-shaped dispatcher; `sendEmail` is
+ * mocked so the tests can assert who gets mailed.
+ */
+import { describe, expect, it, vi, beforeEach } from 'vitest';
+
+// permissions.ts pulls in server/index.ts, which resolves MySQL config at
+// module load time and throws without env vars.
+vi.mock('../index.js', () => ({ db: {} }));
+
+const sendEmail = vi.fn(async () => ({ success: true }));
+vi.mock('../utils/email.js', () => ({
+  sendEmail: (...args) => sendEmail(...args),
+  getEmailProviderInfo: () => ({ configured: true }),
+}));
+
+import {
+  acceptShiftSwap,
+  cancelShiftSwap,
+  createShiftSwap,
+  decideShiftSwap,
+  listSwapApproverEmails,
+  notifyShiftSwap,
+  shiftSwapRecipientDoctorIds,
+} from '../utils/shiftSwaps.js';
+import { createMockDb, transactionSteps } from './helpers/mockDb.js';
+
+// ─── Mock helpers ────────────────────────────────────────────────────────────
+
+const FUTURE_DATE = '2099-03-02';
+const PAST_DATE = '2020-03-02';
+
+function shiftRow(overrides = {}) {
+  return { id: 'shift-a', date: FUTURE_DATE, position: 'Dienst Vordergrund', doctor_id: 'doc-a', category: 'Dienste', ...overrides };
+}
+
+function swapRow(overrides = {}) {
+  return {
+    id: 'swap-1',
+    type: 'offer',
+    status: 'open',
+    shift_id: 'shift-a',
+    shift_date: FUTURE_DATE,
+    shift_position: 'Dienst Vordergrund',
+    requester_doctor_id: 'doc-a',
+    counter_shift_id: null,
+    counter_shift_date: null,
+    counter_shift_position: null,
+    target_doctor_id: null,
+    accepted_by_doctor_id: null,
+    ...overrides,
+  };
+}
+
+// ─── createShiftSwap ─────────────────────────────────────────────────────────
+
+describe('createShiftSwap', () => {
+  const shifts = {
+    'shift-a': shiftRow(),
+    'shift-b': shiftRow({ id: 'shift-b', doctor_id: 'doc-b', position: 'Dienst Hintergrund' }),
+    'shift-past': shiftRow({ id: 'shift-past', date: PAST_DATE }),
+    'shift-station': shiftRow({ id: 'shift-station', category: 'Stationen' }),
+  };
+
+  function swapDb({ active = [] } = {}) {
+    return createMockDb([
+      ['CREATE TABLE', async () => [[], []]],
+      ['FROM ShiftEntry s', async (_sql, [id]) => [shifts[id] ? [shifts[id]] : [], []]],
+      ["WHERE status IN ('open', 'accepted')", async () => [active, []]],
+      ['INSERT INTO ShiftSwapRequest', async () => [{ affectedRows: 1 }, []]],
+      ['SELECT * FROM ShiftSwapRequest WHERE id', async (_sql, [id]) => [[swapRow({ id })], []]],
+    ]).db;
+  }
+
+  it('creates an offer for an own future service', async () => {
+    const db = swapDb();
+    await createShiftSwap({ tenantDb: db, requesterDoctorId: 'doc-a', shiftId: 'shift-a', message: ' Bitte ', createdBy: 'a@example.org' });
+
+    const insert = db.calls.find((c) => c.sql.startsWith('INSERT INTO ShiftSwapRequest'));
+    expect(insert.params.slice(1, 6)).toEqual(['offer', 'shift-a', FUTURE_DATE, 'Dienst Vordergrund', 'doc-a']);
+    expect(insert.params.slice(6, 10)).toEqual([null, null, null, null]);
+    expect(insert.params[10]).toBe('Bitte');
+  });
+
+  it('creates a trade addressed to the owner of the counter service', async () => {
+    const db = swapDb();
+    await createShiftSwap({ tenantDb: db, requesterDoctorId: 'doc-a', shiftId: 'shift-a', counterShiftId: 'shift-b', createdBy: null });
+
+    const insert = db.calls.find((c) => c.sql.startsWith('INSERT INTO ShiftSwapRequest'));
+    expect(insert.params[1]).toBe('trade');
+    expect(insert.params.slice(6, 10)).toEqual(['shift-b', FUTURE_DATE, 'Dienst Hintergrund', 'doc-b']);
+  });
+
+  it('rejects services of other employees', async () => {
+    await expect(createShiftSwap({ tenantDb: swapDb(), requesterDoctorId: 'doc-b', shiftId: 'shift-a', createdBy: null }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('rejects past services and non-service positions', async () => {
+    await expect(createShiftSwap({ tenantDb: swapDb(), requesterDoctorId: 'doc-a', shiftId: 'shift-past', createdBy: null }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    await expect(createShiftSwap({ tenantDb: swapDb(), requesterDoctorId: 'doc-a', shiftId: 'shift-station', createdBy: null }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('rejects a trade against an own service', async () => {
+    await expect(createShiftSwap({ tenantDb: swapDb(), requesterDoctorId: 'doc-a', shiftId: 'shift-a', counterShiftId: 'shift-a', createdBy: null }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('returns 409 when a swap for the service is already running', async () => {
+    const db = swapDb({ active: [{ id: 'swap-0' }] });
+    await expect(createShiftSwap({ tenantDb: db, requesterDoctorId: 'doc-a', shiftId: 'shift-a', createdBy: null }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(db.calls.some((c) => c.sql.startsWith('INSERT'))).toBe(false);
+  });
+});
+
+// ─── acceptShiftSwap / cancelShiftSwap ───────────────────────────────────────
+
+describe('acceptShiftSwap', () => {
+  function acceptDb(swap, affectedRows = 1) {
+    return createMockDb([
+      ['CREATE TABLE', async () => [[], []]],
+      ['SELECT * FROM ShiftSwapRequest WHERE id', async () => [[swap], []]],
+      ["SET status = 'accepted'", async () => [{ affectedRows }, []]],
+    ]).db;
+  }
+
+  it('lets any colleague accept an open offer', async () => {
+    const db = acceptDb(swapRow());
+    await acceptShiftSwap({ tenantDb: db, swapId: 'swap-1', doctorId: 'doc-c' });
+    const update = db.calls.find((c) => c.sql.includes("SET status = 'accepted'"));
+    expect(update.params).toEqual(['doc-c', 'swap-1']);
+    expect(update.sql).toContain("AND status = 'open'");
+  });
+
+  it('only lets the addressed colleague accept a trade', async () => {
+    const trade = swapRow({ type: 'trade', counter_shift_id: 'shift-b', target_doctor_id: 'doc-b' });
+    await expect(acceptShiftSwap({ tenantDb: acceptDb(trade), swapId: 'swap-1', doctorId: 'doc-c' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(acceptShiftSwap({ tenantDb: acceptDb(trade), swapId: 'swap-1', doctorId: 'doc-b' })).resolves.toBeTruthy();
+  });
+
+  it('rejects own swaps and swaps that are no longer open', async () => {
+    await expect(acceptShiftSwap({ tenantDb: acceptDb(swapRow()), swapId: 'swap-1', doctorId: 'doc-a' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    await expect(acceptShiftSwap({ tenantDb: acceptDb(swapRow({ status: 'accepted' })), swapId: 'swap-1', doctorId: 'doc-c' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('returns 409 when another colleague accepted first', async () => {
+    await expect(acceptShiftSwap({ tenantDb: acceptDb(swapRow(), 0), swapId: 'swap-1', doctorId: 'doc-c' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('cancelShiftSwap', () => {
+  function cancelDb(swap) {
+    return createMockDb([
+      ['CREATE TABLE', async () => [[], []]],
+      ['SELECT * FROM ShiftSwapRequest WHERE id', async () => [[swap], []]],
+    ]).db;
+  }
+
+  it('cancels the swap for the requester', async () => {
+    const db = cancelDb(swapRow({ status: 'accepted', accepted_by_doctor_id: 'doc-c' }));
+    const { previousAcceptorId } = await cancelShiftSwap({ tenantDb: db, swapId: 'swap-1', doctorId: 'doc-a' });
+    expect(db.calls.some((c) => c.sql.includes("SET status = 'cancelled'"))).toBe(true);
+    expect(previousAcceptorId).toBe('doc-c');
+  });
+
+  it('reopens the swap when the accepting colleague withdraws', async () => {
+    const db = cancelDb(swapRow({ status: 'accepted', accepted_by_doctor_id: 'doc-c' }));
+    await cancelShiftSwap({ tenantDb: db, swapId: 'swap-1', doctorId: 'doc-c' });
+    expect(db.calls.some((c) => c.sql.includes("SET status = 'open', accepted_by_doctor_id = NULL"))).toBe(true);
+  });
+
+  it('forbids uninvolved employees', async () => {
+    await expect(cancelShiftSwap({ tenantDb: cancelDb(swapRow()), swapId: 'swap-1', doctorId: 'doc-x' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('lets approvers cancel any swap', async () => {
+    const db = cancelDb(swapRow());
+    await cancelShiftSwap({ tenantDb: db, swapId: 'swap-1', doctorId: null, isApprover: true });
+    expect(db.calls.some((c) => c.sql.includes("SET status = 'cancelled'"))).toBe(true);
+  });
+});
+
+// ─── decideShiftSwap ─────────────────────────────────────────────────────────
+
+describe('decideShiftSwap', () => {
+  const acceptedTrade = swapRow({
+    type: 'trade',
+    status: 'accepted',
+    counter_shift_id: 'shift-b',
+    target_doctor_id: 'doc-b',
+    accepted_by_doctor_id: 'doc-b',
+  });
+
+  function decideDb(swap, shiftOwners, { dayEntries = [], doctorQuals = [], workplaceQuals = [] } = {}) {
+    return createMockDb([
+      ['CREATE TABLE', async () => [[], []]],
+      ['SELECT * FROM ShiftSwapRequest WHERE id', async () => [[swap], []]],
+      ['SELECT * FROM ShiftEntry WHERE id', async (_sql, [id]) => [
+        shiftOwners[id] ? [{ id, date: FUTURE_DATE, position: 'Dienst', doctor_id: shiftOwners[id] }] : [],
+        [],
+      ]],
+      ['SELECT * FROM ShiftEntry WHERE date', async () => [dayEntries, []]],
+      ['FROM DoctorQualification', async () => [doctorQuals, []]],
+      ['FROM Doctor', async () => [[{ id: 'doc-a', name: 'Anna' }, { id: 'doc-b', name: 'Ben' }], []]],
+      ['FROM WorkplaceQualification', async () => [workplaceQuals, []]],
+      ['FROM Workplace', async () => [[{ id: 'wp-dienst', name: 'Dienst' }], []]],
+      ['UPDATE', async () => [{ affectedRows: 1 }, []]],
+    ]).db;
+  }
+
+  it('moves both services in one transaction on approval', async () => {
+    const db = decideDb(acceptedTrade, { 'shift-a': 'doc-a', 'shift-b': 'doc-b' });
+    const { changedShifts } = await decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: 'admin@example.org' });
+
+    const moves = db.calls.filter((c) => c.sql.startsWith('UPDATE ShiftEntry'));
+    expect(moves.map((c) => c.params)).toEqual([['doc-b', 'shift-a'], ['doc-a', 'shift-b']]);
+    expect(moves.some((c) => c.sql.includes('version'))).toBe(false);
+    expect(changedShifts.map((c) => [c.before.doctor_id, c.after.doctor_id])).toEqual([['doc-a', 'doc-b'], ['doc-b', 'doc-a']]);
+    expect(transactionSteps(db.calls)).toEqual(['BEGIN', 'COMMIT', 'RELEASE']);
+  });
+
+  it('rolls back with 409 when a service changed owner in the meantime', async () => {
+    const db = decideDb(acceptedTrade, { 'shift-a': 'doc-a', 'shift-b': 'doc-x' });
+    await expect(decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: null }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(transactionSteps(db.calls)).toEqual(['BEGIN', 'ROLLBACK', 'RELEASE']);
+  });
+
+  it('bumps the row version of both services when the column exists', async () => {
+    const db = createMockDb([
+      ['SELECT * FROM ShiftSwapRequest WHERE id', async () => [[acceptedTrade], []]],
+      ['SELECT * FROM ShiftEntry WHERE id', async (_sql, [id]) => [
+        [{ id, date: FUTURE_DATE, position: 'Dienst', doctor_id: id === 'shift-a' ? 'doc-a' : 'doc-b', version: 4 }],
+        [],
+      ]],
+      ['FROM Doctor', async () => [[{ id: 'doc-a', name: 'Anna' }, { id: 'doc-b', name: 'Ben' }], []]],
+      ['FROM Workplace', async () => [[{ id: 'wp-dienst', name: 'Dienst' }], []]],
+    ]).db;
+    const { changedShifts } = await decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: null });
+
+    const updates = db.calls.filter((c) => c.sql.startsWith('UPDATE ShiftEntry'));
+    expect(updates).toHaveLength(2);
+    for (const update of updates) expect(update.sql).toContain('`version` = `version` + 1');
+    expect(changedShifts.map((c) => [c.before.version, c.after.version])).toEqual([[4, 5], [4, 5]]);
+  });
+
+  it('refuses an approval that fails the swap validation', async () => {
+    const db = decideDb(acceptedTrade, { 'shift-a': 'doc-a', 'shift-b': 'doc-b' }, {
+      dayEntries: [{ id: 'abs-1', date: FUTURE_DATE, position: 'Urlaub', doctor_id: 'doc-b' }],
+    });
+    await expect(decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: null }))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining('absent') });
+    expect(db.calls.some((c) => c.sql.startsWith('UPDATE'))).toBe(false);
+    expect(transactionSteps(db.calls)).toEqual(['BEGIN', 'ROLLBACK', 'RELEASE']);
+  });
+
+  it('checks the receiving colleague of an offer for NOT-qualifications', async () => {
+    const acceptedOffer = swapRow({ status: 'accepted', accepted_by_doctor_id: 'doc-b' });
+    const db = decideDb(acceptedOffer, { 'shift-a': 'doc-a' }, {
+      doctorQuals: [{ doctor_id: 'doc-b', qualification_id: 'q-junior' }],
+      workplaceQuals: [{ workplace_id: 'wp-dienst', qualification_id: 'q-junior', is_mandatory: 0, is_excluded: 1 }],
+    });
+    await expect(decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: null }))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining('Ben has NOT-qualification for Dienst') });
+    expect(db.calls.some((c) => c.sql.startsWith('UPDATE ShiftEntry'))).toBe(false);
+  });
+
+  it('refuses to approve a swap nobody accepted yet', async () => {
+    const db = decideDb(swapRow(), { 'shift-a': 'doc-a' });
+    await expect(decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'approved', decidedBy: null }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('rejects without touching the plan', async () => {
+    const db = decideDb(swapRow(), {});
+    const { changedShifts } = await decideShiftSwap({ tenantDb: db, swapId: 'swap-1', status: 'rejected', decidedBy: null, comment: 'Zu kurzfristig' });
+    expect(changedShifts).toEqual([]);
+    expect(db.calls.some((c) => c.sql.startsWith('UPDATE ShiftEntry'))).toBe(false);
+    const update = db.calls.find((c) => c.sql.startsWith('UPDATE ShiftSwapRequest'));
+    expect(update.params).toEqual(['rejected', null, 'Zu kurzfristig', 'swap-1']);
+  });
+
+  it('validates the status', async () => {
+    await expect(decideShiftSwap({ tenantDb: decideDb(swapRow(), {}), swapId: 'swap-1', status: 'open', decidedBy: null }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+});
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+
+describe('shiftSwapRecipientDoctorIds', () => {
+  const accepted = swapRow({ status: 'accepted', accepted_by_doctor_id: 'doc-c' });
+
+  it('mails the addressed colleague of a new trade only', () => {
+    expect(shiftSwapRecipientDoctorIds('created', swapRow())).toEqual([]);
+    expect(shiftSwapRecipientDoctorIds('created', swapRow({ target_doctor_id: 'doc-b' }))).toEqual(['doc-b']);
+  });
+
+  it('mails the requester on acceptance and both parties on a decision', () => {
+    expect(shiftSwapRecipientDoctorIds('accepted', accepted)).toEqual(['doc-a']);
+    expect(shiftSwapRecipientDoctorIds('approved', accepted)).toEqual(['doc-a', 'doc-c']);
+  });
+
+  it('mails the former acceptor on cancellation', () => {
+    expect(shiftSwapRecipientDoctorIds('cancelled', swapRow({ status: 'cancelled' }), 'doc-c')).toEqual(['doc-c']);
+  });
+});
+
+describe('listSwapApproverEmails', () => {
+  const masterDb = createMockDb([
+    ['FROM app_users', async () => [[
+      { email: 'all@example.org', role: 'admin', permissions: '{"can_edit_schedule":true}', allowed_tenants: null },
+      { email: 'other@example.org', role: 'admin', permissions: '{"can_edit_schedule":true}', allowed_tenants: '["tenant-2"]' },
+      { email: 'readonly@example.org', role: 'admin', permissions: '{"can_edit_schedule":false}', allowed_tenants: '[]' },
+    ], []]],
+  ]).db;
+
+  it('keeps admins with schedule permission for the tenant', async () => {
+    expect(await listSwapApproverEmails(masterDb, 'tenant-1')).toEqual(['all@example.org']);
+  });
+});
+
+describe('notifyShiftSwap', () => {
+  beforeEach(() => sendEmail.mockClear());
+
+  const tenantDb = createMockDb([
+    ['FROM Doctor', async () => [[
+      { id: 'doc-a', name: 'Dr. Anna', email: 'anna@example.org', receive_email_notifications: 1 },
+      { id: 'doc-c', name: 'Dr. Carl', email: 'carl@example.org', receive_email_notifications: 0 },
+    ], []]],
+  ]).db;
+  const masterDb = createMockDb([
+    ['FROM app_users', async () => [[
+      { email: 'planer@example.org', role: 'admin', permissions: '{"can_edit_schedule":true}', allowed_tenants: null },
+    ], []]],
+  ]).db;
+
+  it('mails the requester and the approvers once a colleague accepted', async () => {
+    const swap = swapRow({ status: 'accepted', accepted_by_doctor_id: 'doc-c' });
+    const result = await notifyShiftSwap({ tenantDb, masterDb, tenantId: 'tenant-1', event: 'accepted', swap });
+
+    expect(result.sentCount).toBe(2);
+    expect(sendEmail.mock.calls.map(([mail]) => mail.to)).toEqual(['anna@example.org', 'planer@example.org']);
+    expect(sendEmail.mock.calls[0][0].text).toContain('Dr. Carl hat den Tausch');
+  });
+
+  it('respects the notification opt-out', async () => {
+    const swap = swapRow({ status: 'approved', accepted_by_doctor_id: 'doc-c' });
+    await notifyShiftSwap({ tenantDb, masterDb, tenantId: 'tenant-1', event: 'approved', swap });
+    expect(sendEmail.mock.calls.map(([mail]) => mail.to)).toEqual(['anna@example.org']);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for tenant backups: dump generation without row cap, storage
+ * with retention, restore validation and the transactional restore.
+ */
+import zlib from 'zlib';
+import { describe, expect, it, beforeEach, afterEach } from 'vitest';
+import { escapeSqlValue, generateSqlDump } from '../utils/masterDbDump.js';
+import {
+  applyTenantRestore,
+  createTenantBackup,
+  loadTenantBackup,
+  parseDumpStatements,
+  planTenantRestore,
+} from '../utils/tenantBackup.js';
+import { createMockDb } from './helpers/mockDb.js';
+
+// ─── Mock helpers ────────────────────────────────────────────────────────────
+
+const COLUMNS = {
+  Doctor: [
+    { column_name: 'id', data_type: 'varchar', column_type: 'varchar(36)', is_nullable: 'NO', column_default: null, column_key: 'PRI', extra: '' },
+    { column_name: 'name', data_type: 'varchar', column_type: 'varchar(255)', is_nullable: 'YES', column_default: null, column_key: '', extra: '' },
+    { column_name: 'created_by', data_type: 'varchar', column_type: 'varchar(255)', is_nullable: 'YES', column_default: 'seed', column_key: '', extra: '' },
+  ],
+  SystemSetting: [
+    { column_name: 'id', data_type: 'varchar', column_type: 'varchar(36)', is_nullable: 'NO', column_default: null, column_key: 'PRI', extra: '' },
+    { column_name: 'value', data_type: 'text', column_type: 'text', is_nullable: 'YES', column_default: null, column_key: '', extra: '' },
+    { column_name: 'updated_date', data_type: 'datetime', column_type: 'datetime(3)', is_nullable: 'YES', column_default: 'CURRENT_TIMESTAMP(3)', column_key: '', extra: 'DEFAULT_GENERATED on update CURRENT_TIMESTAMP(3)' },
+  ],
+};
+
+/** Tenant DB with two tables; Doctor has `doctorCount` rows. */
+function createTenantDb({ doctorCount = 2 } = {}) {
+  const doctors = Array.from({ length: doctorCount }, (_, i) => ({ id: `d${i}`, name: `Dr. ${i}`, created_by: 'seed' }));
+  return createMockDb([
+    ['FROM information_schema.TABLES', () => [[
+      { TABLE_NAME: 'BackupLog', TABLE_ROWS: 3 },
+      { TABLE_NAME: 'Doctor', TABLE_ROWS: 0 },
+      { TABLE_NAME: 'SystemSetting', TABLE_ROWS: 1 },
+    ], []]],
+    ['FROM information_schema.COLUMNS', (_sql, [table]) => [COLUMNS[table] ?? [], []]],
+    [/FROM `Doctor` ORDER BY `id` LIMIT (\d+) OFFSET (\d+)/, (sql) => {
+      const [, limit, offset] = /LIMIT (\d+) OFFSET (\d+)/.exec(sql);
+      return [doctors.slice(Number(offset), Number(offset) + Number(limit)), []];
+    }],
+    ['FROM `SystemSetting`', () => [[{ id: 's1', value: 'C:\\pfad\n"zwei" \'Zeilen\'', updated_date: '2026-03-01 10:00:00.000' }], []]],
+  ]);
+}
+
+let previousRetention;
+beforeEach(() => {
+  previousRetention = process.env.BACKUP_RETENTION_COUNT;
+  delete process.env.BACKUP_RETENTION_COUNT;
+});
+afterEach(() => {
+  if (previousRetention === undefined) delete process.env.BACKUP_RETENTION_COUNT;
+  else process.env.BACKUP_RETENTION_COUNT = previousRetention;
+});
+
+// ─── Dump generation ─────────────────────────────────────────────────────────
+
+describe('generateSqlDump', () => {
+  it('escapes backslashes and line breaks so each value row stays on one line', () => {
+    expect(escapeSqlValue('a\\b\nc\'d')).toBe("'a\\\\b\\nc''d'");
+    expect(escapeSqlValue({ x: 'y' })).toBe(`'{"x":"y"}'`);
+  });
+
+  it('dumps every row with restore-in-place DDL and skips excluded tables', async () => {
+    const { db } = createTenantDb({ doctorCount: 1500 });
+
+    const dump = await generateSqlDump(db, {
+      title: 'Test',
+      maxRowsPerTable: null,
+      includeEmptyTables: true,
+      excludeTables: ['BackupLog'],
+      ddl: 'create-if-missing',
+    });
+
+    expect(dump.tables).toEqual([{ table: 'Doctor', rows: 1500 }, { table: 'SystemSetting', rows: 1 }]);
+    expect(dump.sql).not.toContain('BackupLog');
+    expect(dump.sql).not.toContain('DROP TABLE');
+    expect(dump.sql).toContain('CREATE TABLE IF NOT EXISTS `Doctor` (');
+    expect(dump.sql).toContain("`created_by` varchar(255) DEFAULT 'seed'");
+    expect(dump.sql).toContain('`updated_date` datetime(3) DEFAULT CURRENT_TIMESTAMP(3) on update CURRENT_TIMESTAMP(3)');
+    expect(dump.sql).toContain('  PRIMARY KEY (`id`)');
+    expect(dump.sql).toContain('DELETE FROM `Doctor`;');
+  });
+});
+
+describe('parseDumpStatements', () => {
+  it('round-trips a generated dump', async () => {
+    const { db } = createTenantDb();
+    const { sql } = await generateSqlDump(db, {
+      title: 'Test', maxRowsPerTable: null, includeEmptyTables: true, excludeTables: ['BackupLog'], ddl: 'create-if-missing',
+    });
+
+    const statements = parseDumpStatements(sql);
+
+    expect(statements.map((s) => [s.kind, s.table])).toEqual([
+      ['set', null],
+      ['create', 'Doctor'], ['delete', 'Doctor'], ['insert', 'Doctor'],
+      ['create', 'SystemSetting'], ['delete', 'SystemSetting'], ['insert', 'SystemSetting'],
+    ]);
+  });
+
+  it('rejects statements the backup generator never emits', () => {
+    expect(() => parseDumpStatements('DROP TABLE IF EXISTS `Doctor`;')).toThrow('Unerwartete Anweisung');
+    expect(() => parseDumpStatements('DELETE FROM `BackupLog`;')).toThrow('Ungültige Tabelle');
+    expect(() => parseDumpStatements('INSERT INTO `Doctor` (`id`) VALUES\n  (\'d1\')')).toThrow('unvollständig');
+  });
+});
+
+// ─── Backup storage ──────────────────────────────────────────────────────────
+
+describe('createTenantBackup', () => {
+  it('stores a gzipped dump with checksum, logs it and applies the retention', async () => {
+    process.env.BACKUP_RETENTION_COUNT = '2';
+    const tenant = createTenantDb();
+    let stored;
+    const master = createMockDb([
+      ['INSERT INTO TenantBackup', (_sql, params) => { stored = params; return [{ affectedRows: 1 }, []]; }],
+      ['SELECT id, file_name FROM TenantBackup', () => [[
+        { id: 'new', file_name: 'c.sql' }, { id: 'b', file_name: 'b.sql' }, { id: 'a', file_name: 'a.sql' },
+      ], []]],
+    ]);
+
+    const { backup, deletedCount } = await createTenantBackup(tenant.db, master.db, { tenantKey: 'tk', createdBy: 'admin@example.org' });
+
+    expect(backup).toMatchObject({ kind: 'manual', table_count: 2, row_count: 3, created_by: 'admin@example.org' });
+    const sql = zlib.gunzipSync(stored[8]).toString('utf-8');
+    expect(sql).toContain('INSERT INTO `Doctor`');
+    expect(stored[1]).toBe('tk');
+
+    expect(deletedCount).toBe(1);
+    const deletion = master.calls.find((c) => c.sql.startsWith('DELETE FROM TenantBackup'));
+    expect(deletion.params).toEqual(['tk', 'a']);
+    const logs = tenant.calls.filter((c) => c.sql.startsWith('INSERT INTO BackupLog')).map((c) => c.params[1]);
+    expect(logs).toEqual(['success', 'retention']);
+  });
+
+  it('logs a failed backup to BackupLog', async () => {
+    const tenant = createTenantDb();
+    const master = createMockDb([
+      ['INSERT INTO TenantBackup', () => { throw new Error('max_allowed_packet'); }],
+    ]);
+
+    await expect(createTenantBackup(tenant.db, master.db, { tenantKey: 'tk', createdBy: null })).rejects.toThrow('max_allowed_packet');
+    const log = tenant.calls.find((c) => c.sql.startsWith('INSERT INTO BackupLog'));
+    expect(log.params).toEqual([expect.any(String), 'failed', 'Backup fehlgeschlagen: max_allowed_packet']);
+  });
+
+  it('refuses to load a backup whose checksum does not match', async () => {
+    const master = createMockDb([
+      ['FROM TenantBackup WHERE id = ?', () => [[{ id: 'b1', checksum: '0'.repeat(64), dump_data: zlib.gzipSync('SET NAMES utf8mb4;') }], []]],
+    ]);
+    await expect(loadTenantBackup(master.db, 'tk', 'b1')).rejects.toThrow('Prüfsumme');
+  });
+});
+
+// ─── Restore ─────────────────────────────────────────────────────────────────
+
+const BACKUP_SQL = [
+  'SET NAMES utf8mb4;',
+  'CREATE TABLE IF NOT EXISTS `Doctor` (',
+  '  `id` varchar(36) NOT NULL,',
+  '  `name` varchar(255),',
+  '  PRIMARY KEY (`id`)',
+  ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;',
+  'DELETE FROM `Doctor`;',
+  'INSERT INTO `Doctor` (`id`, `name`) VALUES',
+  "  ('d1', 'Dr. A;'),",
+  "  ('d2', 'Dr. B');",
+  'CREATE TABLE IF NOT EXISTS `Wish` (',
+  '  `id` varchar(36) NOT NULL',
+  ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;',
+  'DELETE FROM `Wish`;',
+].join('\n');
+
+function createRestoreTargetDb(doctorColumns = ['id', 'name']) {
+  return createMockDb([
+    ['FROM information_schema.COLUMNS c', () => [[
+      ...doctorColumns.map((col) => ({ TABLE_NAME: 'Doctor', COLUMN_NAME: col })),
+      { TABLE_NAME: 'ShiftEntry', COLUMN_NAME: 'id' },
+      { TABLE_NAME: 'BackupLog', COLUMN_NAME: 'id' },
+    ], []]],
+    ['SELECT COUNT(*) AS cnt FROM `Doctor`', () => [[{ cnt: 5 }], []]],
+  ]);
+}
+
+describe('planTenantRestore', () => {
+  it('reports row counts, new tables and tables the backup leaves untouched', async () => {
+    const { db, calls } = createRestoreTargetDb();
+
+    const { plan } = await planTenantRestore(db, BACKUP_SQL);
+
+    expect(plan.valid).toBe(true);
+    expect(plan.tables).toEqual([
+      { table: 'Doctor', rows: 2, exists: true, currentRows: 5 },
+      { table: 'Wish', rows: 0, exists: false, currentRows: null },
+    ]);
+    expect(plan.untouchedTables).toEqual(['ShiftEntry']);
+    expect(calls.some((c) => /^(DELETE|INSERT|CREATE)/.test(c.sql))).toBe(false);
+  });
+
+  it('is invalid when backed-up columns no longer exist', async () => {
+    const { db } = createRestoreTargetDb(['id']);
+
+    const { plan } = await planTenantRestore(db, BACKUP_SQL);
+
+    expect(plan.valid).toBe(false);
+    expect(plan.errors).toEqual(['Doctor: Spalten fehlen in der aktuellen Datenbank (name)']);
+  });
+});
+
+describe('applyTenantRestore', () => {
+  it('creates missing tables before replacing all rows in one transaction', async () => {
+    const { db, calls } = createMockDb([]);
+
+    await applyTenantRestore(db, parseDumpStatements(BACKUP_SQL));
+
+    const order = calls.map((c) => c.sql.split(' ').slice(0, 2).join(' '));
+    expect(order).toEqual([
+      'SET FOREIGN_KEY_CHECKS', 'SET NAMES', 'CREATE TABLE', 'CREATE TABLE',
+      'BEGIN', 'DELETE FROM', 'INSERT INTO', 'DELETE FROM', 'COMMIT',
+      'SET FOREIGN_KEY_CHECKS', 'RELEASE',
+    ]);
+  });
+
+  it('rolls back the row replacement when an insert fails', async () => {
+    const { db, calls } = createMockDb([
+      ['INSERT INTO `Doctor`', () => { throw new Error('Duplicate entry'); }],
+    ]);
+
+    await expect(applyTenantRestore(db, parseDumpStatements(BACKUP_SQL))).rejects.toThrow('Duplicate entry');
+    expect(calls.map((c) => c.sql)).toContain('ROLLBACK');
+    expect(calls.map((c) => c.sql)).not.toContain('COMMIT');
+  });
+});
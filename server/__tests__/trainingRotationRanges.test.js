@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the atomic operation replaceTrainingRotationRanges (accepted
+ * rotation plans): every range in one transaction, all or nothing.
+ *
+ * The route handler is taken from the router stack and called with a mock
+ * tenant pool.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('../index.js', () => ({
+  db: { execute: async () => [[], []] },
+  getTenantDb: () => ({}),
+  removeTenantPool: () => {},
+}));
+
+import atomicRouter from '../routes/atomic.js';
+import { createMockDb, transactionSteps } from './helpers/mockDb.js';
+
+function getAtomicHandler() {
+  const layer = atomicRouter.stack.find((entry) => entry.route?.path === '/' && entry.route.methods.post);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+function createTenantDb({ failOnInsert = Infinity } = {}) {
+  let inserts = 0;
+  return createMockDb([
+    ['INSERT INTO `TrainingRotation`', () => {
+      inserts += 1;
+      if (inserts >= failOnInsert) throw new Error('Deadlock found');
+      return [{ affectedRows: 1 }, []];
+    }],
+  ]);
+}
+
+async function callAtomic(data, db) {
+  const req = {
+    body: { operation: 'replaceTrainingRotationRanges', entity: 'TrainingRotation', data },
+    user: { sub: 'u1', email: 'admin@klinik.de', role: 'admin' },
+    db,
+  };
+  let statusCode = 200;
+  let body;
+  const res = {
+    status(code) { statusCode = code; return this; },
+    json(payload) { body = payload; },
+  };
+  const next = vi.fn();
+  await getAtomicHandler()(req, res, next);
+  return { statusCode, body, error: next.mock.calls[0]?.[0] };
+}
+
+const ranges = [
+  { doctor_id: 'd1', modality: 'CT', start_date: '2027-01-01', end_date: '2027-02-28' },
+  { doctor_id: 'd2', modality: 'MRT', start_date: '2027-03-31', end_date: '2027-03-01' },
+];
+
+describe('replaceTrainingRotationRanges', () => {
+  it('writes every range in one transaction', async () => {
+    const { db, calls } = createTenantDb();
+    const { statusCode, body } = await callAtomic({ ranges }, db);
+
+    expect(statusCode).toBe(200);
+    expect(body).toEqual({ success: true, changedCount: 2, rangeCount: 2 });
+    expect(transactionSteps(calls)).toEqual(['BEGIN', 'COMMIT', 'RELEASE']);
+    expect(calls.filter((call) => call.sql.startsWith('INSERT')).map((call) => call.params.slice(4))).toEqual([
+      ['d1', 'CT', '2027-01-01', '2027-02-28'],
+      ['d2', 'MRT', '2027-03-01', '2027-03-31'],
+    ]);
+  });
+
+  it('rolls back all ranges when one fails', async () => {
+    const { db, calls } = createTenantDb({ failOnInsert: 2 });
+    const { error } = await callAtomic({ ranges }, db);
+
+    expect(error?.message).toBe('Deadlock found');
+    expect(transactionSteps(calls)).toEqual(['BEGIN', 'ROLLBACK', 'RELEASE']);
+  });
+
+  it('rejects an empty or incomplete list before touching the database', async () => {
+    const { db, calls } = createTenantDb();
+    expect((await callAtomic({ ranges: [] }, db)).statusCode).toBe(400);
+    const incomplete = await callAtomic({ ranges: [ranges[0], { doctor_id: 'd2', modality: 'CT' }] }, db);
+    expect(incomplete.statusCode).toBe(400);
+    expect(incomplete.body.error).toMatch(/^Eintrag 2:/);
+    expect(calls).toEqual([]);
+  });
+});
@@ -36,10 +36,13 @@ import rotationsRouter from './routes/rotations.js';
 import workplaceLinksRouter from './routes/workplaceLinks.js';
 import vacationRouter from './routes/vacation.js';
 import absenceRequestsRouter from './routes/absenceRequests.js';
+import shiftSwapsRouter from './routes/shiftSwaps.js';
 import tisowareRouter from './routes/tisoware.js';
 import masterDbDumpRouter from './routes/masterDbDump.js';
 import { checkAndSendWishReminders } from './utils/wishReminder.js';
 import { startTisowareCron } from './utils/tisowareCron.js';
+import { startCertificateReminderCron } from './utils/certificateReminderCron.js';
+import { escalateOverdueAbsenceRequests } from './utils/absenceRequests.js';
 import { ensureTenantBaseTables } from './scripts/seed-runtime-shared.js';
 import { ensureDefaultWorkplaceTimeslots } from './utils/ensureDefaultWorkplaceTimeslots.js';
 
@@ -689,6 +692,7 @@ app.use('/api/holidays', holidaysRouter);
 app.use('/api/staff', staffRouter);
 app.use('/api/vacation', vacationRouter);
 app.use('/api/absence-requests', absenceRequestsRouter);
+app.use('/api/shift-swaps', shiftSwapsRouter);
 app.use('/api/calendar', calendarRouter);
 app.use('/api/voice', voiceRouter);
 app.use('/api/admin', adminRouter);
@@ -803,9 +807,26 @@ app.listen(PORT, async () => {
   }, WISH_REMINDER_INTERVAL);
   console.log('⏰ Wish reminder cron enabled (hourly check, sends between 7-9 UTC)');
 
+  // Absence approval escalation (hourly; steps overdue by their escalate_after_days)
+  setInterval(async () => {
+    try {
+      const escalated = await escalateOverdueAbsenceRequests({ masterDb: db });
+      if (escalated.length > 0) {
+        console.log(`⏫ [Cron] Escalated ${escalated.length} absence request(s)`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron] Absence escalation failed:', (err as Error).message);
+    }
+  }, 60 * 60 * 1000);
+  console.log('⏰ Absence approval escalation cron enabled (hourly check)');
+
   // Nightly Tisoware import cron (01:30 local time, all active employees, auto-resolve conflicts)
   startTisowareCron(db);
   console.log('⏰ Tisoware nightly import cron enabled (01:30 daily, resolveConflicts=true)');
+
+  // Certificate expiry reminders (06:15 local time, tenants opt in via SystemSetting)
+  startCertificateReminderCron(db);
+  console.log('⏰ Certificate reminder cron enabled (06:15 daily)');
 });
 
 // Auto-create essential tables if missing
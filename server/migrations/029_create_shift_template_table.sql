@@ -0,0 +1,17 @@
+-- Migration 029: Regelwochen (Dienstplan-Vorlagen)
+-- Eine Vorlage speichert die Einträge einer Woche bzw. eines N-Wochen-Zyklus
+-- (Tag im Zyklus, Mitarbeiter, Arbeitsplatz, Zeitfenster) als JSON und kann in
+-- künftige Wochen übernommen werden (atomic-Operation bulkCreateShifts).
+--
+-- Mandanten-Tabelle; wird auch von runTenantMigrations angelegt.
+-- Idempotent (IF NOT EXISTS) — mehrfaches Ausführen ist sicher.
+
+CREATE TABLE IF NOT EXISTS ShiftTemplate (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    cycle_weeks INT NOT NULL DEFAULT 1,
+    entries_json MEDIUMTEXT NOT NULL,
+    created_date DATETIME(3),
+    updated_date DATETIME(3),
+    created_by VARCHAR(255)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
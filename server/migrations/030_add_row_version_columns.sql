@@ -0,0 +1,17 @@
+-- Migration 030: Zeilenversionen für optimistische Sperren
+-- ShiftEntry, ScheduleNote und StaffingPlanEntry erhalten eine Spalte
+-- `version`, die jeder Schreibzugriff um 1 erhöht. Schickt der Client die
+-- zuletzt gelesene Version mit (expected_version), wird ein veralteter
+-- Schreibzugriff mit 409 abgewiesen, statt die Änderung eines Kollegen zu
+-- überschreiben (server/utils/rowVersion.ts).
+--
+-- Mandanten-Tabellen; wird auch von runTenantMigrations angelegt.
+
+ALTER TABLE ShiftEntry
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+
+ALTER TABLE ScheduleNote
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+
+ALTER TABLE StaffingPlanEntry
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
@@ -0,0 +1,25 @@
+-- Migration 031: Weiterbildungskatalog
+-- Soll-Anforderungen der Weiterbildungsordnung je Fachgebiet: Monate in
+-- Rotationen (aus TrainingRotation) oder Einsatztage an Arbeitsplätzen (aus
+-- ShiftEntry). Doctor.training_specialty ordnet Weiterbildende einem
+-- Fachgebiet zu.
+--
+-- Mandanten-Tabellen; wird auch von runTenantMigrations angelegt.
+-- Idempotent (IF NOT EXISTS) — mehrfaches Ausführen ist sicher.
+
+CREATE TABLE IF NOT EXISTS TrainingRequirement (
+    id VARCHAR(36) PRIMARY KEY,
+    specialty VARCHAR(100) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    unit VARCHAR(20) NOT NULL DEFAULT 'months',
+    target DECIMAL(6,1) NOT NULL DEFAULT 0,
+    workplaces_json TEXT NOT NULL,
+    `order` INT DEFAULT 0,
+    created_date DATETIME(3),
+    updated_date DATETIME(3),
+    created_by VARCHAR(255),
+    INDEX idx_training_requirement_specialty (specialty)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+ALTER TABLE Doctor
+ADD COLUMN IF NOT EXISTS training_specialty VARCHAR(100) DEFAULT NULL;
@@ -32,6 +32,7 @@ import {
   deleteRow,
   selectRow,
 } from '../utils/queryHelpers.js';
+import { deleteVersionedRow, updateVersionedRow, versionConflict, VERSION_COLUMN } from '../utils/rowVersion.js';
 import { fromSqlRow } from '../utils/sqlMarshal.js';
 
 export const SHIFT_ENTRY_TABLE = 'ShiftEntry';
@@ -397,6 +398,8 @@ interface UpdateShiftEntryOptions {
   data: SqlRow;
   cacheKey: string;
   getValidColumns: GetValidColumns;
+  /** Version the client last read; a mismatch rejects the write (409). */
+  expectedVersion?: number;
 }
 
 interface UpdateShiftEntryResult {
@@ -406,7 +409,11 @@ interface UpdateShiftEntryResult {
 
 /**
  * Update a ShiftEntry by id. Encapsulates: central routing, central→tenant and
- * tenant→central transitions, and the generic update fallback.
+ * tenant→central transitions, and the generic update fallback. Tenant rows are
+ * version-checked when `expectedVersion` is given; central absences carry no
+ * version and are written unconditionally.
+ *
+ * @throws VersionConflictError On a stale `expectedVersion` (409).
  */
 export async function updateShiftEntry({
   dbPool,
@@ -416,10 +423,19 @@ export async function updateShiftEntry({
   data,
   cacheKey,
   getValidColumns,
+  expectedVersion,
 }: UpdateShiftEntryOptions): Promise<UpdateShiftEntryResult> {
   const centralRouting = await resolveCentralShiftRouting({ dbPool, masterDb, req, action: 'update', id });
 
   data.updated_date = new Date();
+  delete data[VERSION_COLUMN];
+
+  // The transitions below bypass the versioned UPDATE, so check up front
+  const existingVersion = centralRouting?.existing?.[VERSION_COLUMN];
+  if (expectedVersion !== undefined && centralRouting?.mode === 'tenant' && existingVersion !== undefined
+      && Number(existingVersion) !== expectedVersion) {
+    throw versionConflict(centralRouting.existing ?? null);
+  }
 
   if (req.db && centralRouting?.existing) {
     const nextDoctorIdRaw = data.doctor_id || centralRouting.existing.doctor_id;
@@ -472,7 +488,11 @@ export async function updateShiftEntry({
   if (keys.length === 0) {
     return { result: { success: true }, central: false };
   }
-  await updateRow(dbPool, SHIFT_ENTRY_TABLE, keys, data, id);
+  if (validColumns?.includes(VERSION_COLUMN)) {
+    await updateVersionedRow(dbPool, SHIFT_ENTRY_TABLE, keys, data, id, expectedVersion);
+  } else {
+    await updateRow(dbPool, SHIFT_ENTRY_TABLE, keys, data, id);
+  }
   const row = await selectRow(dbPool, SHIFT_ENTRY_TABLE, id);
   return { result: row ? (fromSqlRow(row) as SqlRow) : null, central: false };
 }
@@ -482,6 +502,8 @@ interface DeleteShiftEntryOptions {
   masterDb: Pool;
   req: RepoRequest;
   id: string;
+  /** Version the client last read; a mismatch rejects the delete (409). */
+  expectedVersion?: number;
 }
 
 interface DeleteShiftEntryResult {
@@ -491,9 +513,12 @@ interface DeleteShiftEntryResult {
 
 /**
  * Delete a ShiftEntry by id. Central-mode deletes from centralAbsences;
- * otherwise falls through to the tenant delete.
+ * otherwise falls through to the tenant delete (version-checked when
+ * `expectedVersion` is given).
+ *
+ * @throws VersionConflictError On a stale `expectedVersion` (409).
  */
-export async function deleteShiftEntry({ dbPool, masterDb, req, id }: DeleteShiftEntryOptions): Promise<DeleteShiftEntryResult> {
+export async function deleteShiftEntry({ dbPool, masterDb, req, id, expectedVersion }: DeleteShiftEntryOptions): Promise<DeleteShiftEntryResult> {
   if (req.db) {
     const centralRouting = await resolveCentralShiftRouting({ dbPool, masterDb, req, action: 'delete', id });
     if (centralRouting?.mode === 'central') {
@@ -505,6 +530,10 @@ export async function deleteShiftEntry({ dbPool, masterDb, req, id }: DeleteShif
   // Tenant delete (caller handles audit + broadcast)
   const existing = await selectRow(dbPool, SHIFT_ENTRY_TABLE, id);
   const deletedRecord = existing ? (fromSqlRow(existing) as SqlRow) : null;
-  await deleteRow(dbPool, SHIFT_ENTRY_TABLE, id);
+  if (expectedVersion !== undefined) {
+    await deleteVersionedRow(dbPool, SHIFT_ENTRY_TABLE, id, expectedVersion);
+  } else {
+    await deleteRow(dbPool, SHIFT_ENTRY_TABLE, id);
+  }
   return { central: false, deletedRecord };
 }
@@ -8,32 +8,71 @@ import type { Request, Response, NextFunction } from 'express';
  * Der Admin sieht diese im MyDashboard und kann genehmigen/ablehnen.
  *
  * Erst bei Genehmigung wird der Eintrag in CentralAbsenceEntry geschrieben.
+ * Ein Antrag umfasst einen Zeitraum (`date` … `endDate`) mit optional halbem
+ * ersten/letzten Tag und wird als Einheit genehmigt oder abgelehnt.
+ *
+ * Mehrstufige Genehmigungsketten (Regeln, Vertretungen) werden unter
+ * `/approval-rules`, `/approvers` und `/delegations` gepflegt; siehe
+ * utils/absenceApprovalChains.ts.
  *
  * Authentication:
  *   - `authMiddleware` (JWT) is required for all endpoints.
- *   - `PATCH /:id` additionally requires `adminMiddleware`.
+ *   - `PATCH /:id` and the chain configuration additionally require
+ *     `can_approve_absence`.
+ *   - Delegations of other approvers additionally require `can_manage_system`.
  *   - Tenant resolution via `x-db-token` Header, exactly like vacation.js.
  */
 import express from 'express';
 import { authMiddleware } from './auth.js';
-import { requirePermission } from '../utils/permissions.js';
+import { checkAdminPermission, requirePermission } from '../utils/permissions.js';
 import { db } from '../index.js';
 import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
+import { getPublicHolidayDatesForYear } from './holidays.js';
 import {
   createAbsenceRequest,
   listAbsenceRequests,
   updateAbsenceRequestStatus,
   deleteAbsenceRequest,
+  decorateAbsenceRequestsWithApproval,
+  notifyAbsenceApprovalStep,
   REQUEST_ABSENCE_POSITIONS,
 } from '../utils/absenceRequests.js';
+import {
+  createDelegation,
+  deleteApprovalRule,
+  deleteDelegation,
+  listAbsenceApprovers,
+  listApprovalRules,
+  listDelegations,
+  saveApprovalRule,
+} from '../utils/absenceApprovalChains.js';
 
 const router = express.Router();
 router.use(authMiddleware);
 
 type ExtendedRequest = Request & {
   user?: { sub?: string; role?: string; doctor_id?: string; [key: string]: unknown };
+  db?: Pool;
 };
 
+function sendControlledError(res: Response, error: unknown): boolean {
+  const statusCode = (error as { statusCode?: number }).statusCode;
+  if (!statusCode) return false;
+  res.status(statusCode).json({ error: (error as Error).message });
+  return true;
+}
+
+async function requireTenantId(req: Request, res: Response): Promise<string | null> {
+  const tenantId = await resolveTenantIdFromToken(db, req.headers['x-db-token'] as string | undefined);
+  if (!tenantId) {
+    res.status(400).json({
+      error: 'Mandanten-Token fehlt. Bitte mit aktivem Mandanten verbinden.',
+    });
+    return null;
+  }
+  return tenantId;
+}
+
 // ─── Helper: Employee-ID aus Tenant-Doctor aufloesen ─────────────────────────
 
 async function resolveEmployeeIdForDoctor(tenantId: unknown, doctorId: unknown): Promise<string | null> {
@@ -49,6 +88,36 @@ async function resolveEmployeeIdForDoctor(tenantId: unknown, doctorId: unknown):
   return rows.length > 0 ? String(rows[0].employee_id) : null;
 }
 
+// ─── Helper: Rolle des Antragstellers (Routing der Genehmigungskette) ────────
+
+async function resolveRequesterRole(tenantDb: Pool | undefined, doctorId: unknown): Promise<string | null> {
+  if (!tenantDb || !doctorId) return null;
+  try {
+    const [rows] = await tenantDb.execute(
+      'SELECT role FROM Doctor WHERE id = ? LIMIT 1',
+      [String(doctorId)]
+    ) as [RowDataPacket[], unknown];
+    return rows[0]?.role ? String(rows[0].role) : null;
+  } catch (err) {
+    // Ohne Rolle greifen nur rollenunabhaengige Regeln.
+    console.warn('[absence-requests] Rolle nicht ermittelbar:', (err as Error).message);
+    return null;
+  }
+}
+
+// ─── Helper: Feiertage fuer den Zeitraum eines Antrags ───────────────────────
+
+async function holidayDatesForRange(from: string, to: string): Promise<Set<string>> {
+  const dates = new Set<string>();
+  const firstYear = Number(from.slice(0, 4));
+  // Mehr als ein Jahreswechsel sprengt MAX_REQUEST_RANGE_DAYS; createAbsenceRequest lehnt ab.
+  const lastYear = Math.min(Number(to.slice(0, 4)), firstYear + 1);
+  for (let year = firstYear; year <= lastYear; year++) {
+    for (const date of await getPublicHolidayDatesForYear(year)) dates.add(date);
+  }
+  return dates;
+}
+
 // ─── GET / — Antraege listen (tenant-scoped) ─────────────────────────────────
 
 router.get('/', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
@@ -79,7 +148,11 @@ router.get('/', async (req: Request, res: Response, next: NextFunction): Promise
       year: year ? parseInt(String(year), 10) : null,
     });
 
-    res.json({ requests });
+    const userId = String(extReq.user?.sub || '');
+    const canApprove = isAdmin && (await checkAdminPermission(db, userId, 'can_approve_absence')).allowed;
+    res.json({
+      requests: await decorateAbsenceRequestsWithApproval({ masterDb: db, requests, userId, canApprove }),
+    });
     return;
   } catch (error) {
     console.error('[absence-requests] GET failed', {
@@ -104,7 +177,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
     }
 
     const body = req.body as Record<string, unknown>;
-    const { doctorId, date, position, reason } = body;
+    const { doctorId, date, endDate, startHalfDay, endHalfDay, position, reason } = body;
     const extReq = req as ExtendedRequest;
     const isAdmin = extReq.user?.role === 'admin';
 
@@ -140,17 +213,28 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
       return;
     }
 
+    const lastDate = typeof endDate === 'string' && endDate ? endDate : null;
+    const holidayDates = /^\d{4}-\d{2}-\d{2}$/.test(String(date)) && (!lastDate || /^\d{4}-\d{2}-\d{2}$/.test(lastDate))
+      ? await holidayDatesForRange(String(date), lastDate || String(date))
+      : new Set<string>();
+
     const request = await createAbsenceRequest({
       masterDb: db,
       tenantId,
       tenantDoctorId: String(doctorId),
       employeeId,
       date: date as string,
+      endDate: lastDate,
+      startHalfDay: startHalfDay === true,
+      endHalfDay: endHalfDay === true,
+      holidayDates,
+      requesterRole: await resolveRequesterRole(extReq.db, doctorId),
       position: position as string,
       reason: reason ? String(reason) : null,
       createdBy: String(extReq.user?.sub || ''),
     });
 
+    await notifyAbsenceApprovalStep({ masterDb: db, request });
     res.status(201).json({ request });
     return;
   } catch (error) {
@@ -167,6 +251,159 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
   }
 });
 
+// ─── Genehmigungsketten: Regeln (tenant-scoped) ─────────────────────────────
+
+router.get('/approval-rules', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    res.json({ rules: await listApprovalRules(db, tenantId) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/approval-rules', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const rule = await saveApprovalRule({
+      masterDb: db,
+      tenantId,
+      input: req.body as Record<string, unknown>,
+      userId: String((req as ExtendedRequest).user?.sub || ''),
+    });
+    res.status(201).json({ rule });
+  } catch (error) {
+    if (sendControlledError(res, error)) return;
+    return next(error);
+  }
+});
+
+router.put('/approval-rules/:ruleId', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const rule = await saveApprovalRule({
+      masterDb: db,
+      tenantId,
+      ruleId: req.params.ruleId as string,
+      input: req.body as Record<string, unknown>,
+    });
+    res.json({ rule });
+  } catch (error) {
+    if (sendControlledError(res, error)) return;
+    return next(error);
+  }
+});
+
+router.delete('/approval-rules/:ruleId', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    if (!(await deleteApprovalRule(db, tenantId, req.params.ruleId as string))) {
+      res.status(404).json({ error: 'Regel nicht gefunden.' });
+      return;
+    }
+    res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ─── Genehmiger und Vertretungen ─────────────────────────────────────────────
+
+router.get('/approvers', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const approvers = await listAbsenceApprovers(db, tenantId);
+    res.json({ approvers: approvers.map(({ id, name }) => ({ id, name })) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * Genehmiger pflegen nur die eigenen Vertretungen; fuer andere Genehmiger nur
+ * die Systemverwaltung (`can_manage_system`, Super-Admins eingeschlossen).
+ */
+async function canManageDelegationOf(extReq: ExtendedRequest, userId: string): Promise<boolean> {
+  const sub = String(extReq.user?.sub || '');
+  if (userId === sub) return true;
+  return (await checkAdminPermission(db, sub, 'can_manage_system')).allowed;
+}
+
+router.get('/delegations', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const approvers = await listAbsenceApprovers(db, tenantId);
+    res.json({ delegations: await listDelegations(db, approvers.map((a) => a.id)) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/delegations', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const body = req.body as Record<string, unknown>;
+    const extReq = req as ExtendedRequest;
+    // Beide Seiten muessen Abwesenheits-Genehmiger dieses Mandanten sein.
+    const approverIds = new Set((await listAbsenceApprovers(db, tenantId)).map((a) => a.id));
+    const userId = String(body.userId || extReq.user?.sub || '');
+    const delegateUserId = String(body.delegateUserId || '');
+    if (!approverIds.has(userId) || !approverIds.has(delegateUserId)) {
+      res.status(422).json({ error: 'Genehmiger und Vertretung muessen Abwesenheiten freigeben duerfen.' });
+      return;
+    }
+    if (!(await canManageDelegationOf(extReq, userId))) {
+      res.status(403).json({ error: 'Vertretungen anderer Genehmiger darf nur die Systemverwaltung anlegen.' });
+      return;
+    }
+    const delegation = await createDelegation({
+      masterDb: db,
+      userId,
+      delegateUserId,
+      validFrom: String(body.validFrom || ''),
+      validTo: String(body.validTo || ''),
+      note: body.note ? String(body.note) : null,
+      createdBy: String(extReq.user?.sub || ''),
+    });
+    res.status(201).json({ delegation });
+  } catch (error) {
+    if (sendControlledError(res, error)) return;
+    return next(error);
+  }
+});
+
+router.delete('/delegations/:delegationId', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const tenantId = await requireTenantId(req, res);
+    if (!tenantId) return;
+    const approvers = await listAbsenceApprovers(db, tenantId);
+    const delegations = await listDelegations(db, approvers.map((a) => a.id));
+    const delegation = delegations.find((d) => d.id === req.params.delegationId);
+    if (!delegation) {
+      res.status(404).json({ error: 'Vertretung nicht gefunden.' });
+      return;
+    }
+    if (!(await canManageDelegationOf(req as ExtendedRequest, String(delegation.user_id)))) {
+      res.status(403).json({ error: 'Vertretungen anderer Genehmiger darf nur die Systemverwaltung loeschen.' });
+      return;
+    }
+    if (!(await deleteDelegation(db, delegation.id))) {
+      res.status(404).json({ error: 'Vertretung nicht gefunden.' });
+      return;
+    }
+    res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // ─── PATCH /:id — Antrag genehmigen/ablehnen (Admin only) ────────────────────
 
 router.patch('/:id', requirePermission('can_approve_absence'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
@@ -184,6 +421,10 @@ router.patch('/:id', requirePermission('can_approve_absence'), async (req: Reque
       adminComment: admin_comment ? String(admin_comment) : null,
     });
 
+    // Zwischenstufe genehmigt → naechste Stufe informieren
+    if (updated?.status === 'pending') {
+      await notifyAbsenceApprovalStep({ masterDb: db, request: updated });
+    }
     res.json({ request: updated });
     return;
   } catch (error) {
@@ -14,6 +14,24 @@ import { checkAndSendWishReminders } from '../utils/wishReminder.js';
 import { runTenantMigrations } from '../utils/tenantMigrations.js';
 import { resolveMasterDbConfig } from '../utils/mysqlConfig.js';
 import { ensureTenantBaseTables } from '../scripts/seed-runtime-shared.js';
+import { computeTenantKeyFromToken } from '../utils/crypto.js';
+import {
+  applyTenantRestore,
+  createTenantBackup,
+  getBackupRetentionCount,
+  listTenantBackups,
+  loadTenantBackup,
+  planTenantRestore,
+  writeBackupLog,
+} from '../utils/tenantBackup.js';
+import {
+  AUDIT_DEFAULT_LIMIT,
+  AUDIT_EXPORT_LIMIT,
+  AUDIT_MAX_LIMIT,
+  auditEntriesToCsv,
+  listAuditEntries,
+  type AuditFilters,
+} from '../utils/auditTrail.js';
 
 interface CuraRequest extends Request {
   db: Pool;
@@ -453,33 +471,158 @@ router.get('/users', async (req: Request, res: Response, next: NextFunction) =>
   }
 });
 
-// ===== GET SYSTEM LOGS =====
+// ===== AUDIT TRAIL =====
+// Structured audit entries (server/utils/auditTrail.ts) of the current tenant,
+// or of the central master data with ?scope=master.
+const AUDIT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseAuditFilters(req: Request, defaultLimit: number, maxLimit: number): AuditFilters | { error: string } {
+  const { scope, entity, actor, from, to, limit, offset } = req.query;
+  const { dbToken } = req as unknown as CuraRequest;
+  for (const value of [from, to]) {
+    if (value && !AUDIT_DATE_PATTERN.test(String(value))) {
+      return { error: 'Datum muss im Format YYYY-MM-DD angegeben werden' };
+    }
+  }
+  const parsedLimit = parseInt(String(limit ?? defaultLimit), 10);
+  const parsedOffset = parseInt(String(offset ?? 0), 10);
+  return {
+    tenantKey: scope === 'master' ? null : (dbToken && computeTenantKeyFromToken(dbToken)) || 'default',
+    entity: entity ? String(entity) : null,
+    actor: actor ? String(actor).trim() : null,
+    from: from ? String(from) : null,
+    to: to ? String(to) : null,
+    limit: Math.min(Number.isFinite(parsedLimit) && parsedLimit > 0 ? parsedLimit : defaultLimit, maxLimit),
+    offset: Number.isFinite(parsedOffset) && parsedOffset > 0 ? parsedOffset : 0,
+  };
+}
+
 router.get('/logs', async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const { limit = 100 } = req.query;
-    const dbPool = (req as unknown as CuraRequest).db || db;
-    
-    // Could query a logs table or return server logs
-    const [rows] = await dbPool.execute(
-      'SELECT * FROM system_logs ORDER BY created_date DESC LIMIT ?',
-      [parseInt(String(limit))]
-    ) as [RowDataPacket[], unknown];
-    
-    res.json(rows);
+    const filters = parseAuditFilters(req, AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT);
+    if ('error' in filters) {
+      return res.status(400).json({ error: filters.error });
+    }
+    const result = await listAuditEntries(db, filters);
+    res.json({ ...result, limit: filters.limit, offset: filters.offset });
   } catch (error) {
-    // If logs table doesn't exist, return empty array
     if ((error as Record<string, unknown>).code === 'ER_NO_SUCH_TABLE') {
-      return res.json([]);
+      return res.json({ entries: [], total: 0, entities: [], limit: 0, offset: 0 });
     }
     next(error);
   }
 });
 
+router.get('/logs/export', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const filters = parseAuditFilters(req, AUDIT_EXPORT_LIMIT, AUDIT_EXPORT_LIMIT);
+    if ('error' in filters) {
+      return res.status(400).json({ error: filters.error });
+    }
+    const { entries } = await listAuditEntries(db, { ...filters, offset: 0 });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(auditEntriesToCsv(entries));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ===== DATABASE MANAGEMENT =====
+// Backups of the current tenant DB are stored centrally in TenantBackup
+// (server/utils/tenantBackup.ts), keyed like QualificationCertificate.
+function getBackupTenantKey(req: Request): string {
+  const { dbToken } = req as unknown as CuraRequest;
+  return (dbToken && computeTenantKeyFromToken(dbToken)) || 'default';
+}
+
 router.post('/database/backup', async (req: Request, res: Response, next: NextFunction) => {
   try {
-    // Placeholder for database backup logic
-    res.json({ success: true, message: 'Backup initiated' });
+    const curaReq = req as unknown as CuraRequest;
+    const { backup, deletedCount } = await createTenantBackup(curaReq.db || db, db, {
+      tenantKey: getBackupTenantKey(req),
+      createdBy: curaReq.user?.email || null,
+    });
+    console.log(`[Backup] ${backup.file_name} created by ${curaReq.user?.email || 'unknown'} (${backup.row_count} rows, ${deletedCount} expired)`);
+    res.json({ success: true, message: 'Backup erstellt', backup, deletedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/database/backups', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const backups = await listTenantBackups(db, getBackupTenantKey(req));
+    res.json({ backups, retentionCount: getBackupRetentionCount() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/database/backups/:id/download', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const loaded = await loadTenantBackup(db, getBackupTenantKey(req), String(req.params.id));
+    if (!loaded) {
+      return res.status(404).json({ error: 'Backup nicht gefunden' });
+    }
+    res.setHeader('Content-Type', 'application/sql; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${loaded.backup.file_name}"`);
+    res.send(loaded.sql);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a stored backup into the current tenant DB. Validates only unless
+// `dryRun: false` is sent explicitly; a real restore first takes a
+// 'pre-restore' backup of the current state.
+router.post('/database/restore', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const curaReq = req as unknown as CuraRequest;
+    const tenantDb = curaReq.db || db;
+    const tenantKey = getBackupTenantKey(req);
+    const { backupId, dryRun = true } = req.body ?? {};
+    if (typeof backupId !== 'string' || !backupId) {
+      return res.status(400).json({ error: 'backupId ist erforderlich' });
+    }
+
+    const loaded = await loadTenantBackup(db, tenantKey, backupId);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Backup nicht gefunden' });
+    }
+
+    const { plan, statements } = await planTenantRestore(tenantDb, loaded.sql);
+    if (dryRun !== false) {
+      return res.json({ success: plan.valid, dryRun: true, backup: loaded.backup, plan });
+    }
+    if (!plan.valid) {
+      return res.status(422).json({ error: `Backup kann nicht wiederhergestellt werden: ${plan.errors.join('; ')}`, plan });
+    }
+
+    const { backup: safetyBackup } = await createTenantBackup(tenantDb, db, {
+      tenantKey,
+      createdBy: curaReq.user?.email || null,
+      kind: 'pre-restore',
+    });
+    try {
+      await applyTenantRestore(tenantDb, statements);
+    } catch (restoreError) {
+      await writeBackupLog(tenantDb, 'failed', `Wiederherstellung von ${loaded.backup.file_name} fehlgeschlagen: ${(restoreError as Error).message}`);
+      throw restoreError;
+    }
+    clearColumnsCache();
+
+    const rowCount = plan.tables.reduce((sum, t) => sum + t.rows, 0);
+    await writeBackupLog(tenantDb, 'restored', `${loaded.backup.file_name} wiederhergestellt: ${plan.tables.length} Tabellen, ${rowCount} Zeilen`);
+    await writeAuditLog(tenantDb, {
+      source: 'DatabaseBackup',
+      message: `Backup ${loaded.backup.file_name} wiederhergestellt`,
+      details: { backupId, safetyBackupId: safetyBackup.id, tables: plan.tables.length, rows: rowCount },
+      userEmail: curaReq.user?.email,
+    });
+
+    res.json({ success: true, dryRun: false, backup: loaded.backup, plan, safetyBackup });
   } catch (error) {
     next(error);
   }
@@ -1236,7 +1379,7 @@ router.put('/db-tokens/:id', async (req: Request, res: Response, next: NextFunct
     // Cascade-Update for tables that store the derived tenant_key.
     // When host or database change, sha256(host:database) changes too, so any
     // persisted tenant_key must be remapped or the rows become orphaned.
-    // Currently QualificationCertificate is the only such table.
+    // Currently QualificationCertificate, TenantBackup and AuditLog.
     if (newConfig) {
       try {
         const { computeTenantKeyFromConfig } = await import('../utils/crypto.js');
@@ -1244,18 +1387,20 @@ router.put('/db-tokens/:id', async (req: Request, res: Response, next: NextFunct
         const oldKey = computeTenantKeyFromConfig(parseDbToken(existing[0].token));
         const newKey = computeTenantKeyFromConfig(newConfig);
         if (oldKey && newKey && oldKey !== newKey) {
-          const [result] = await db.execute(
-            `UPDATE QualificationCertificate
-                SET tenant_key = ?
-              WHERE tenant_key = ?`,
-            [newKey, oldKey]
-          ) as [ResultSetHeader, unknown];
-          if (result.affectedRows > 0) {
-            console.log(
-              `[DB-Tokens] Remapped ${result.affectedRows} QualificationCertificate row(s) ` +
-              `from tenant_key ${oldKey.substring(0, 8)}… to ${newKey.substring(0, 8)}… ` +
-              `(token "${name || existing[0].name}" updated by ${(req as unknown as CuraRequest).user?.email || 'unknown'})`
-            );
+          for (const table of ['QualificationCertificate', 'TenantBackup', 'AuditLog']) {
+            const [result] = await db.execute(
+              `UPDATE ${table}
+                  SET tenant_key = ?
+                WHERE tenant_key = ?`,
+              [newKey, oldKey]
+            ) as [ResultSetHeader, unknown];
+            if (result.affectedRows > 0) {
+              console.log(
+                `[DB-Tokens] Remapped ${result.affectedRows} ${table} row(s) ` +
+                `from tenant_key ${oldKey.substring(0, 8)}… to ${newKey.substring(0, 8)}… ` +
+                `(token "${name || existing[0].name}" updated by ${(req as unknown as CuraRequest).user?.email || 'unknown'})`
+              );
+            }
           }
         }
       } catch (cascadeError) {
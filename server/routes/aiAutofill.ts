@@ -12,6 +12,10 @@
  *   5. Valid swaps are applied → optimized plan returned
  *   6. If LLM fails or no swaps → best deterministic variant is returned as-is
  *
+ * Without OPENAI_API_KEY / MISTRAL_API_KEY, steps 3–5 run locally: a
+ * simulated-annealing swap search (utils/localSwapOptimizer.ts) improves the
+ * best variant, validated by the same swap validator (provider 'local').
+ *
  * GUARANTEE: 0 constraint violations (base plan from deterministic engine,
  *            every swap validated before application)
  */
@@ -20,6 +24,11 @@ import express from 'express';
 import type { Request, Response } from 'express';
 import OpenAI from 'openai';
 import { authMiddleware } from './auth.js';
+import { resolveProfileWeights } from '../utils/autoFillModel.js';
+import { optimizeSwapsLocally } from '../utils/localSwapOptimizer.js';
+import type { LocalSwapData } from '../utils/localSwapOptimizer.js';
+import { applySwaps, validateSwap } from '../utils/swapValidation.js';
+import type { Doctor, ShiftEntry, SwapData, ValidationData, Workplace } from '../utils/swapValidation.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -47,35 +56,6 @@ function getMistralClient(): OpenAI | null {
 //  Build name↔ID maps
 // ============================================================
 
-interface Doctor {
-  id: string;
-  name: string;
-  [key: string]: unknown;
-}
-
-interface Workplace {
-  id: string;
-  name: string;
-  auto_off?: boolean;
-  [key: string]: unknown;
-}
-
-interface ShiftEntry {
-  date: string;
-  doctor_id: string;
-  position: string;
-  [key: string]: unknown;
-}
-
-interface SwapData {
-  date: string;
-  doctor1: string;
-  doctor2: string;
-  position1: string;
-  position2: string;
-  reason?: string;
-}
-
 interface Variant {
   plan: Record<string, Record<string, string | string[]>>;
   score?: number;
@@ -101,24 +81,6 @@ interface NameMaps {
   idByName: Record<string, string>;
 }
 
-interface QualificationsData {
-  workplaceQuals: Record<string, Array<{ qualification_id: string; is_mandatory: boolean; is_excluded: boolean }>>;
-  doctorQuals: Record<string, string[]>;
-}
-
-interface ValidationData {
-  doctors: Doctor[];
-  workplaces: Workplace[];
-  existingShifts: ShiftEntry[];
-  qualifications: QualificationsData;
-}
-
-interface ValidationResult {
-  valid: boolean;
-  reason: string;
-  checks: Array<Record<string, unknown>>;
-}
-
 function buildNameMaps(doctors: Doctor[]): NameMaps {
   const nameById: Record<string, string> = {};
   const idByName: Record<string, string> = {};
@@ -159,164 +121,6 @@ function createDebugCollector(enabled: boolean, requestId: string): DebugCollect
   };
 }
 
-// ============================================================
-//  Swap Validator — checks if a swap is safe
-// ============================================================
-
-function validateSwap(swap: SwapData, basePlan: ShiftEntry[], data: ValidationData): ValidationResult {
-  const { date, doctor1, doctor2, position1, position2 } = swap;
-  const { doctors, workplaces, existingShifts, qualifications } = data;
-  const absencePositions = ['Frei', 'Krank', 'Urlaub', 'Dienstreise', 'Nicht verfügbar'];
-  const checks: Array<Record<string, unknown>> = [];
-
-  const reject = (reason: string, meta: Record<string, unknown> | null = null): ValidationResult => {
-    checks.push({ check: 'result', ok: false, reason, ...(meta ? { meta } : {}) });
-    return { valid: false, reason, checks };
-  };
-
-  // Find doctors
-  const doc1 = doctors.find(d => d.name === doctor1);
-  const doc2 = doctors.find(d => d.name === doctor2);
-  checks.push({
-    check: 'doctorLookup',
-    ok: Boolean(doc1 && doc2),
-    meta: {
-      doctor1,
-      doctor2,
-      doctor1Found: Boolean(doc1),
-      doctor2Found: Boolean(doc2),
-    },
-  });
-  if (!doc1 || !doc2) return reject('Unknown doctor name');
-
-  const wp1 = workplaces.find(w => w.name === position1);
-  const wp2 = workplaces.find(w => w.name === position2);
-  checks.push({
-    check: 'positionLookup',
-    ok: Boolean(wp1 && wp2),
-    meta: {
-      position1,
-      position2,
-      position1Found: Boolean(wp1),
-      position2Found: Boolean(wp2),
-    },
-  });
-  if (!wp1 || !wp2) return reject('Unknown position');
-
-  // Verify swap source assignments exist in base plan
-  const hasDoc1AtPosition1 = basePlan.some(s => s.date === date && s.doctor_id === doc1.id && s.position === position1);
-  const hasDoc2AtPosition2 = basePlan.some(s => s.date === date && s.doctor_id === doc2.id && s.position === position2);
-  checks.push({
-    check: 'sourceAssignmentsExist',
-    ok: hasDoc1AtPosition1 && hasDoc2AtPosition2,
-    meta: {
-      date,
-      hasDoc1AtPosition1,
-      hasDoc2AtPosition2,
-    },
-  });
-  if (!hasDoc1AtPosition1 || !hasDoc2AtPosition2) {
-    return reject('Swap source assignment missing in base plan', {
-      date,
-      doctor1,
-      position1,
-      doctor2,
-      position2,
-    });
-  }
-
-  // Check absences
-  const isAbsent = (docId: string, dateStr: string): boolean => {
-    return existingShifts.some(s => s.date === dateStr && s.doctor_id === docId && absencePositions.includes(s.position));
-  };
-  const doc1Absent = isAbsent(doc1.id, date);
-  const doc2Absent = isAbsent(doc2.id, date);
-  checks.push({
-    check: 'absenceCheck',
-    ok: !doc1Absent && !doc2Absent,
-    meta: { date, doc1Absent, doc2Absent },
-  });
-  if (doc1Absent || doc2Absent) {
-    return reject(`Doctor is absent on ${date}`);
-  }
-
-  // Check NOT-qualifications: doc1 → pos2, doc2 → pos1
-  const checkNotQual = (docId: string, wpId: string): boolean => {
-    const excl = (qualifications.workplaceQuals[wpId] || [])
-      .filter(q => !q.is_mandatory && q.is_excluded)
-      .map(q => q.qualification_id);
-    const docQuals = qualifications.doctorQuals[docId] || [];
-    return excl.length > 0 && excl.some(q => docQuals.includes(q));
-  };
-
-  const doc1NotQual = checkNotQual(doc1.id, wp2.id);
-  checks.push({
-    check: 'notQualificationDoc1ToPos2',
-    ok: !doc1NotQual,
-    meta: { doctor: doctor1, targetPosition: position2 },
-  });
-  if (doc1NotQual) {
-    return reject(`${doctor1} has NOT-qualification for ${position2}`);
-  }
-  const doc2NotQual = checkNotQual(doc2.id, wp1.id);
-  checks.push({
-    check: 'notQualificationDoc2ToPos1',
-    ok: !doc2NotQual,
-    meta: { doctor: doctor2, targetPosition: position1 },
-  });
-  if (doc2NotQual) {
-    return reject(`${doctor2} has NOT-qualification for ${position1}`);
-  }
-
-  // Check mandatory qualifications: doc1 must have all Pflicht for pos2, doc2 for pos1
-  const checkMandatory = (docId: string, wpId: string): boolean => {
-    const reqs = (qualifications.workplaceQuals[wpId] || [])
-      .filter(q => q.is_mandatory && !q.is_excluded)
-      .map(q => q.qualification_id);
-    if (reqs.length === 0) return true;
-    const docQuals = qualifications.doctorQuals[docId] || [];
-    return reqs.every(r => docQuals.includes(r));
-  };
-
-  // Only check if the target position has mandatory quals — allow soft fallback
-  // (the deterministic engine also falls back, so we should too)
-
-  checks.push({
-    check: 'mandatoryQualificationSoftFallback',
-    ok: true,
-    meta: {
-      doc1HasMandatoryForPos2: checkMandatory(doc1.id, wp2.id),
-      doc2HasMandatoryForPos1: checkMandatory(doc2.id, wp1.id),
-      note: 'Informational only; does not reject swap by design',
-    },
-  });
-
-  checks.push({ check: 'result', ok: true, reason: 'Swap valid' });
-  return { valid: true, reason: 'Swap valid', checks };
-}
-
-function applySwaps(basePlan: ShiftEntry[], validSwaps: SwapData[], idByName: Record<string, string>): ShiftEntry[] {
-  const plan = basePlan.map(s => ({ ...s })); // deep copy
-
-  for (const swap of validSwaps) {
-    const doc1Id = idByName[swap.doctor1];
-    const doc2Id = idByName[swap.doctor2];
-    if (!doc1Id || !doc2Id) continue;
-
-    // Find entries to swap
-    const idx1 = plan.findIndex(s => s.date === swap.date && s.doctor_id === doc1Id && s.position === swap.position1);
-    const idx2 = plan.findIndex(s => s.date === swap.date && s.doctor_id === doc2Id && s.position === swap.position2);
-
-    if (idx1 !== -1 && idx2 !== -1) {
-      // Swap positions
-      plan[idx1].position = swap.position2;
-      plan[idx2].position = swap.position1;
-    }
-  }
-
-  return plan;
-}
-
 // ============================================================
 //  Auto-Frei Generation
 // ============================================================
@@ -543,20 +347,45 @@ router.post('/ai-autofill', async (req: Request, res: Response): Promise<void> =
     }
 
     if (!client) {
-      // No LLM available → return best deterministic variant
-      console.log('[AI AutoFill v3] No AI provider, returning best deterministic variant');
-      debug.push('provider', 'No AI provider available, deterministic fallback used');
-      const suggestions = (bestVariantRaw || []).map((s: ShiftEntry) => ({ ...s, isPreview: true }));
-      const autoFrei = generateAutoFreiEntries(suggestions, workplaces, existingShifts, weekDays, holidays || []);
+      // No LLM available → optimize the best deterministic variant locally
+      console.log('[AI AutoFill v3] No AI provider, running local swap optimizer');
+      debug.push('provider', 'No AI provider available, local swap optimizer used');
+      const settings: Record<string, string> = Object.fromEntries(
+        (systemSettings || []).map((s: { key: string; value: string }) => [s.key, s.value]),
+      );
+      const basePlan: ShiftEntry[] = (bestVariantRaw || []).map((s: ShiftEntry) => ({ ...s, isPreview: true }));
+      const local = await optimizeSwapsLocally(basePlan, data as unknown as LocalSwapData, {
+        seed: settings.autofill_seed || weekDays.join(','),
+        weights: resolveProfileWeights(settings),
+      });
+      const autoFrei = generateAutoFreiEntries(local.plan, workplaces, existingShifts, weekDays, holidays || []);
+      const improvement = Math.round((local.scoreBefore - local.scoreAfter) * 10) / 10;
+      debug.push('local', 'Local swap optimization finished', {
+        iterations: local.iterations,
+        swapsApplied: local.swaps.length,
+        rejectedByValidator: local.rejectedByValidator,
+        scoreBefore: local.scoreBefore,
+        scoreAfter: local.scoreAfter,
+        elapsed: local.elapsed,
+      });
       res.json({
-        suggestions: [...suggestions, ...autoFrei],
-        reasoning: 'Kein AI-Provider verfügbar, beste deterministische Variante',
-        provider: 'deterministic', model: 'none',
+        suggestions: [...local.plan, ...autoFrei],
+        reasoning: local.swaps.length > 0
+          ? `Kein AI-Provider verfügbar: lokale Tausch-Optimierung der besten deterministischen Variante, ${local.swaps.length} Tausch(e), Kosten um ${improvement} gesenkt`
+          : 'Kein AI-Provider verfügbar: lokale Tausch-Optimierung fand keine Verbesserung, beste deterministische Variante',
+        provider: 'local', model: 'local-search',
         stats: {
-          total: suggestions.length + autoFrei.length,
-          validated: suggestions.length,
+          total: local.plan.length + autoFrei.length,
+          validated: local.plan.length,
           autoFrei: autoFrei.length,
           errors: 0,
+          swapsApplied: local.swaps.length,
+          swapsRejected: local.rejectedByValidator,
+          swapDetails: local.swaps.slice(0, 20).map((swap) => `✓ ${swap.doctor1}↔${swap.doctor2} @ ${swap.date}: ${swap.reason || ''}`),
+          scoreBefore: local.scoreBefore,
+          scoreAfter: local.scoreAfter,
+          iterations: local.iterations,
+          elapsed: Date.now() - startTime,
           debugEntries: debug.count(),
         },
         debug: debugEnabled ? { requestId, entries: debug.dump() } : undefined,
@@ -4,7 +4,7 @@ import type { Request, Response, NextFunction } from 'express';
 import crypto from 'crypto';
 import { authMiddleware } from './auth.js';
 import { requirePermission, checkAdminPermission } from '../utils/permissions.js';
-import { writeAuditLog, enrichAuditDetails } from './dbProxy.js';
+import { writeAuditLog, enrichAuditDetails, getValidColumns } from './dbProxy.js';
 import { broadcastPlanUpdate, buildRealtimeScope, isPlanSyncEntity } from '../utils/realtime.js';
 import { db } from '../index.js';
 import {
@@ -15,6 +15,7 @@ import {
   writeShiftEntryToCentralAbsence,
 } from '../utils/centralAbsences.js';
 import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
+import { auditContextFromRequest, recordAudit, type AuditChange } from '../utils/auditTrail.js';
 import { assertValidIdentifier } from '../utils/schema.js';
 import { createKysely } from '../utils/db.js';
 import { sql } from 'kysely';
@@ -22,6 +23,29 @@ import type { Kysely } from 'kysely';
 // atomic's marshal variant: keeps '' (no ''→null), 9 bool fields, no JSON parse.
 // Aliased to the local names the closures already use, so behavior is identical.
 import { toSqlValueStrict as toSqlValue, fromSqlRowBasic as fromSqlRow } from '../utils/sqlMarshal.js';
+import {
+  SHIFT_CONFLICT_RESOLUTIONS,
+  SHIFT_TRANSFER_MODES,
+  findShiftBatchConflicts,
+  normalizeShiftBatch,
+  normalizeShiftTransfer,
+  resolveShiftTransfer,
+} from '../utils/shiftBatch.js';
+import {
+  findHistoryBlockConflicts,
+  findHistoryConflicts,
+  normalizeHistoryChanges,
+  planHistoryWrite,
+} from '../utils/historyReplay.js';
+import type { HistoryReplayChange, HistoryReplayWrite } from '../utils/historyReplay.js';
+import { isVersionedTable, parseExpectedVersion, versionConflict, VERSION_COLUMN } from '../utils/rowVersion.js';
+import type {
+  ExistingShiftRow,
+  ScheduleBlockRow,
+  ShiftConflictResolution,
+  ShiftTransferMode,
+  WorkplaceRow,
+} from '../utils/shiftBatch.js';
 
 interface CuraRequest extends Request {
   db: Pool;
@@ -64,6 +88,232 @@ async function isServicePosition(dbPool: Pool, positionName: string): Promise<bo
   }
 }
 
+type Connection = Awaited<ReturnType<Pool['getConnection']>>;
+
+// Workplaces and ScheduleBlocks for the batch checks in utils/shiftBatch.ts
+async function loadShiftBatchContext(
+  connection: Connection,
+  firstDate: string,
+  lastDate: string,
+): Promise<{ blocks: ScheduleBlockRow[]; workplaces: WorkplaceRow[] }> {
+  let workplaceRows: RowDataPacket[];
+  try {
+    [workplaceRows] = await connection.execute('SELECT name, category, allows_multiple FROM `Workplace`') as [RowDataPacket[], unknown];
+  } catch {
+    [workplaceRows] = await connection.execute('SELECT name, category FROM `Workplace`') as [RowDataPacket[], unknown];
+  }
+
+  let blockRows: RowDataPacket[] = [];
+  try {
+    [blockRows] = await connection.execute(
+      'SELECT * FROM `ScheduleBlock` WHERE `date` BETWEEN ? AND ?',
+      [firstDate, lastDate]
+    ) as [RowDataPacket[], unknown];
+  } catch {
+    // ScheduleBlock table may not exist yet
+  }
+
+  return {
+    blocks: blockRows as unknown as ScheduleBlockRow[],
+    workplaces: workplaceRows as unknown as WorkplaceRow[],
+  };
+}
+
+async function insertShiftRows(connection: Connection, rows: Record<string, unknown>[]): Promise<void> {
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    await connection.execute(
+      `INSERT INTO \`ShiftEntry\` (${columns.map((c) => `\`${c}\``).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((c) => toSqlValue(row[c]) ?? null)
+    );
+  }
+}
+
+// Rows of a replay (utils/historyReplay.ts) in request order, locked until the
+// commit. Entities are limited to HISTORY_REPLAY_ENTITIES, so the names are safe.
+async function selectHistoryRowsForUpdate(
+  connection: Connection,
+  changes: HistoryReplayChange[],
+): Promise<(Record<string, unknown> | null)[]> {
+  const rowsByKey = new Map<string, Record<string, unknown>>();
+  for (const entity of new Set(changes.map((change) => change.entity))) {
+    const ids = changes.filter((change) => change.entity === entity).map((change) => change.id);
+    const [rows] = await connection.execute(
+      `SELECT * FROM \`${entity}\` WHERE \`id\` IN (${ids.map(() => '?').join(', ')}) FOR UPDATE`,
+      ids
+    ) as [RowDataPacket[], unknown];
+    for (const row of rows) rowsByKey.set(`${entity}:${row.id}`, fromSqlRow(row) as Record<string, unknown>);
+  }
+  return changes.map((change) => rowsByKey.get(`${change.entity}:${change.id}`) ?? null);
+}
+
+async function insertHistoryRow(connection: Connection, entity: string, row: Record<string, unknown>): Promise<void> {
+  const columns = Object.keys(row);
+  await connection.execute(
+    `INSERT INTO \`${entity}\` (${columns.map((c) => `\`${c}\``).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => toSqlValue(row[c]) ?? null)
+  );
+}
+
+async function updateHistoryRow(
+  connection: Connection,
+  entity: string,
+  id: string,
+  changes: Record<string, unknown>,
+  bumpVersion: boolean,
+): Promise<void> {
+  const columns = Object.keys(changes).filter((c) => c !== 'id' && c !== VERSION_COLUMN);
+  const assignments = columns.map((c) => `\`${c}\` = ?`);
+  if (bumpVersion) assignments.push(`\`${VERSION_COLUMN}\` = \`${VERSION_COLUMN}\` + 1`);
+  await connection.execute(
+    `UPDATE \`${entity}\` SET ${assignments.join(', ')} WHERE \`id\` = ?`,
+    [...columns.map((c) => toSqlValue(changes[c]) ?? null), id]
+  );
+}
+
+interface RotationRange {
+  doctor_id: string;
+  modality: string | null;
+  start_date: string;
+  end_date: string;
+}
+
+// Payload of replaceTrainingRotationRange(s); start and end may come in either order.
+function normalizeRotationRange(payload: unknown): RotationRange | null {
+  const range = (payload && typeof payload === 'object' ? payload : {}) as Record<string, unknown>;
+  if (!range.doctor_id || !range.start_date || !range.end_date) return null;
+  const first = String(range.start_date);
+  const second = String(range.end_date);
+  return {
+    doctor_id: String(range.doctor_id),
+    modality: range.modality ? String(range.modality) : null,
+    start_date: first <= second ? first : second,
+    end_date: first <= second ? second : first,
+  };
+}
+
+// Gives the doctor `modality` on [start_date, end_date] (or clears the range when
+// modality is null): overlapping rotations are cut back, split or removed, and
+// adjacent rotations of the same modality are merged. Runs inside the caller's
+// transaction and returns the number of changed rows.
+async function replaceRotationRange(
+  connection: Connection,
+  { doctor_id: doctorId, modality, start_date: startDate, end_date: endDate }: RotationRange,
+  userEmail: string,
+  auditChanges: AuditChange[],
+): Promise<number> {
+  const leftNeighborDate = shiftIsoDate(startDate, -1);
+  const rightNeighborDate = shiftIsoDate(endDate, 1);
+  let changedCount = 0;
+  const auditRotationUpdate = (row: RowDataPacket, changes: Record<string, unknown>) => {
+    auditChanges.push({ entity: 'TrainingRotation', action: 'update', recordId: row.id, before: { ...row }, after: { ...row, ...changes } });
+  };
+  const auditRotationDelete = (row: RowDataPacket) => {
+    auditChanges.push({ entity: 'TrainingRotation', action: 'delete', recordId: row.id, before: { ...row } });
+  };
+
+  const insertRotation = async (rotationData: Record<string, unknown>): Promise<string> => {
+    const rotationId = crypto.randomUUID();
+    const createdAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await connection.execute(
+      `INSERT INTO \`TrainingRotation\` (\`id\`, \`created_date\`, \`updated_date\`, \`created_by\`, \`doctor_id\`, \`modality\`, \`start_date\`, \`end_date\`) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        rotationId,
+        createdAt,
+        createdAt,
+        userEmail,
+        rotationData.doctor_id,
+        rotationData.modality,
+        rotationData.start_date,
+        rotationData.end_date,
+      ]
+    );
+    changedCount += 1;
+    auditChanges.push({ entity: 'TrainingRotation', action: 'create', recordId: rotationId, after: { id: rotationId, ...rotationData } });
+    return rotationId;
+  };
+
+  const [overlappingRows] = await connection.execute(
+    `SELECT * FROM \`TrainingRotation\` WHERE \`doctor_id\` = ? AND \`start_date\` <= ? AND \`end_date\` >= ? ORDER BY \`start_date\` ASC, \`id\` ASC FOR UPDATE`,
+    [doctorId, endDate, startDate]
+  ) as [RowDataPacket[], unknown];
+
+  for (const row of overlappingRows) {
+    if (row.start_date >= startDate && row.end_date <= endDate) {
+      await connection.execute('DELETE FROM `TrainingRotation` WHERE `id` = ?', [row.id]);
+      changedCount += 1;
+      auditRotationDelete(row);
+      continue;
+    }
+
+    if (row.start_date < startDate && row.end_date > endDate) {
+      await connection.execute(
+        'UPDATE `TrainingRotation` SET `end_date` = ?, `updated_date` = ? WHERE `id` = ?',
+        [shiftIsoDate(startDate, -1), new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
+      );
+      changedCount += 1;
+      auditRotationUpdate(row, { end_date: shiftIsoDate(startDate, -1) });
+      await insertRotation({
+        doctor_id: row.doctor_id,
+        modality: row.modality,
+        start_date: rightNeighborDate,
+        end_date: row.end_date,
+      });
+      continue;
+    }
+
+    if (row.start_date < startDate) {
+      await connection.execute(
+        'UPDATE `TrainingRotation` SET `end_date` = ?, `updated_date` = ? WHERE `id` = ?',
+        [shiftIsoDate(startDate, -1), new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
+      );
+      changedCount += 1;
+      auditRotationUpdate(row, { end_date: shiftIsoDate(startDate, -1) });
+      continue;
+    }
+
+    if (row.end_date > endDate) {
+      await connection.execute(
+        'UPDATE `TrainingRotation` SET `start_date` = ?, `updated_date` = ? WHERE `id` = ?',
+        [rightNeighborDate, new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
+      );
+      changedCount += 1;
+      auditRotationUpdate(row, { start_date: rightNeighborDate });
+    }
+  }
+
+  if (modality) {
+    const [mergeRows] = await connection.execute(
+      `SELECT * FROM \`TrainingRotation\` WHERE \`doctor_id\` = ? AND \`modality\` = ? AND \`start_date\` <= ? AND \`end_date\` >= ? ORDER BY \`start_date\` ASC, \`id\` ASC FOR UPDATE`,
+      [doctorId, modality, rightNeighborDate, leftNeighborDate]
+    ) as [RowDataPacket[], unknown];
+
+    let mergedStart = startDate;
+    let mergedEnd = endDate;
+
+    for (const row of mergeRows) {
+      if (row.start_date < mergedStart) {
+        mergedStart = row.start_date;
+      }
+      if (row.end_date > mergedEnd) {
+        mergedEnd = row.end_date;
+      }
+      await connection.execute('DELETE FROM `TrainingRotation` WHERE `id` = ?', [row.id]);
+      changedCount += 1;
+      auditRotationDelete(row);
+    }
+
+    await insertRotation({
+      doctor_id: doctorId,
+      modality,
+      start_date: mergedStart,
+      end_date: mergedEnd,
+    });
+  }
+
+  return changedCount;
+}
+
 // ===== ATOMIC OPERATIONS ENDPOINT =====
 router.post('/', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
@@ -77,6 +327,21 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
       email: userEmail,
     };
     const tenantId = curaReq.dbToken ? await resolveTenantIdFromToken(db, curaReq.dbToken) : null;
+    const audit = (changes: AuditChange[]) => recordAudit(db, auditContextFromRequest(curaReq, 'atomic'), changes);
+
+    // Writes on services need can_edit_schedule (same rule as the dbProxy guard)
+    const canWriteShiftPositions = async (positions: string[]): Promise<boolean> => {
+      for (const position of new Set(positions)) {
+        if (await isServicePosition(dbPool, position)) {
+          try {
+            return (await checkAdminPermission(db, curaReq.user?.sub as string, 'can_edit_schedule')).allowed;
+          } catch {
+            return false;
+          }
+        }
+      }
+      return true;
+    };
 
     // Helper: Get single record
     const getRecord = async (tableName: string, recordId: string): Promise<Record<string, unknown> | null> => {
@@ -128,6 +393,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
           preserveId: true,
         });
         if (created) {
+          await audit([{ entity: tableName, action: 'create', recordId: created.id as string, after: created }]);
           return created;
         }
       }
@@ -147,13 +413,37 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
         row[k] = v === undefined ? null : v;
       }
       await (kysely as unknown as Kysely<Record<string, Record<string, unknown>>>).insertInto(tableName).values(row).executeTakeFirst();
+      await audit([{ entity: tableName, action: 'create', recordId: createData.id as string, after: createData }]);
       return createData;
     };
 
-    // Helper: Update record
+    // Helper: Update record (audited with the row before and after the write)
     const updateRecord = async (tableName: string, recordId: string, updateData: Record<string, unknown>): Promise<Record<string, unknown> | null> => {
+      const before = await getShiftAwareRecord(tableName, recordId);
+      const after = await writeRecordUpdate(tableName, recordId, updateData, before);
+      await audit([{ entity: tableName, action: 'update', recordId, before, after }]);
+      return after;
+    };
+
+    // Versioned tables (utils/rowVersion.ts) bump `version` on every write once
+    // the tenant migration added the column.
+    const hasVersionColumn = async (tableName: string): Promise<boolean> => {
+      if (!isVersionedTable(tableName)) return false;
+      const columns = await getValidColumns(dbPool, tableName, curaReq.dbToken || 'default');
+      return !!columns?.includes(VERSION_COLUMN);
+    };
+
+    // A stale expected version answers 409 with the current row (null = deleted)
+    const isStaleVersion = (current: Record<string, unknown> | null, expectedVersion: number | undefined): boolean =>
+      expectedVersion !== undefined && (!current || (current[VERSION_COLUMN] !== undefined && Number(current[VERSION_COLUMN]) !== expectedVersion));
+
+    const writeRecordUpdate = async (
+      tableName: string,
+      recordId: string,
+      updateData: Record<string, unknown>,
+      current: Record<string, unknown> | null,
+    ): Promise<Record<string, unknown> | null> => {
       if (tableName === 'ShiftEntry' && curaReq.db) {
-        const current = await getShiftAwareRecord(tableName, recordId);
         const nextPosition = (updateData.position || current?.position) as string | undefined;
         if (current && isCentralAbsencePosition(nextPosition)) {
           const updated = await writeShiftEntryToCentralAbsence({
@@ -189,10 +479,13 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
       // `UPDATE \`t\` SET \`k\`=?,... WHERE id = ?`.
       const kysely = createKysely(dbPool);
       const setObj: Record<string, unknown> = {};
-      for (const k of Object.keys(updateData).filter((k: string) => k !== 'id')) {
+      for (const k of Object.keys(updateData).filter((k: string) => k !== 'id' && k !== VERSION_COLUMN)) {
         const v = toSqlValue(updateData[k]);
         setObj[k] = v === undefined ? null : v;
       }
+      if (await hasVersionColumn(tableName)) {
+        setObj[VERSION_COLUMN] = sql`${sql.ref(VERSION_COLUMN)} + 1`;
+      }
       await (kysely as unknown as Kysely<Record<string, Record<string, unknown>>>).updateTable(tableName).set(setObj).where('id', '=', recordId).executeTakeFirst();
       return await getShiftAwareRecord(tableName, recordId);
     };
@@ -205,6 +498,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
           const centralCurrent = await getShiftEntryWithCentralAbsence({ tenantDb: dbPool, masterDb: db, id: recordId });
           if (centralCurrent && isCentralAbsencePosition(centralCurrent.position as string)) {
             await deleteCentralAbsenceById(db, recordId);
+            await audit([{ entity: tableName, action: 'delete', recordId, before: centralCurrent }]);
             return { success: true };
           }
         }
@@ -219,6 +513,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
       const deletedRecord = existingRows[0] ? fromSqlRow(existingRows[0]) : null;
 
       await (kysely as unknown as Kysely<Record<string, Record<string, unknown>>>).deleteFrom(tableName).where('id', '=', recordId).executeTakeFirst();
+      await audit([{ entity: tableName, action: 'delete', recordId, before: deletedRecord }]);
       
       // Write audit to SystemLog table
       const timestamp = new Date().toISOString();
@@ -240,7 +535,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
     };
 
     // ===== OPERATION: checkAndUpdate =====
-    // Optimistic locking - check updated_date before updating
+    // Optimistic locking - check updated_date and/or the row version before updating
     if (operation === 'checkAndUpdate') {
       if (!entity || !id) {
         res.status(400).json({ error: 'entity und id sind erforderlich' });
@@ -292,6 +587,11 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
           return;
         }
       }
+      const expectedVersion = parseExpectedVersion((check as Record<string, unknown> | undefined)?.version);
+      if (isStaleVersion(current, expectedVersion)) {
+        res.status(409).json(versionConflict(current).body);
+        return;
+      }
 
       const result = await updateRecord(entity as string, id as string, data as Record<string, unknown>);
       if (isPlanSyncEntity(entity as string)) {
@@ -375,7 +675,8 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
     // Special upsert logic for StaffingPlanEntry
     if (operation === 'upsertStaffing') {
       const upsertData = data as Record<string, unknown> || {};
-      const { doctor_id, year, month, value, old_value_check, status_start_day, status_end_day } = upsertData;
+      const { doctor_id, year, month, value, old_value_check, expected_version, status_start_day, status_end_day } = upsertData;
+      const expectedVersion = parseExpectedVersion(expected_version);
 
       if (!doctor_id || !year || !month) {
         res.status(400).json({ error: 'doctor_id, year und month sind erforderlich' });
@@ -385,6 +686,12 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
       const existingList = await filterRecords('StaffingPlanEntry', { doctor_id: doctor_id as string, year: year as string, month: month as string });
       const existing = existingList[0];
 
+      // The client read a version of this cell that is no longer current
+      if (isStaleVersion(existing ?? null, expectedVersion)) {
+        res.status(409).json({ ...versionConflict(existing ?? null).body, currentValue: existing?.value ?? '' });
+        return;
+      }
+
       const payload: Record<string, unknown> = { value };
       if (status_start_day !== undefined) payload.status_start_day = status_start_day;
       if (status_end_day !== undefined) payload.status_end_day = status_end_day;
@@ -447,118 +754,423 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
     }
 
     if (operation === 'replaceTrainingRotationRange') {
-      const payload = (data as Record<string, unknown>) || {};
-      const doctorId = payload.doctor_id;
-      const modality = payload.modality || null;
-      const inputStart = payload.start_date;
-      const inputEnd = payload.end_date;
-
-      if (!doctorId || !inputStart || !inputEnd) {
+      const range = normalizeRotationRange(data);
+      if (!range) {
         res.status(400).json({ error: 'doctor_id, start_date und end_date sind erforderlich' });
         return;
       }
 
-      const startDate = (inputStart as string) <= (inputEnd as string) ? inputStart as string : inputEnd as string;
-      const endDate = (inputStart as string) <= (inputEnd as string) ? inputEnd as string : inputStart as string;
-      const leftNeighborDate = shiftIsoDate(startDate, -1);
-      const rightNeighborDate = shiftIsoDate(endDate, 1);
       const connection = await dbPool.getConnection();
       let changedCount = 0;
+      // Recorded only after the commit, so a rolled-back replace leaves no trail.
+      const auditChanges: AuditChange[] = [];
+      try {
+        await connection.beginTransaction();
+        changedCount = await replaceRotationRange(connection, range, userEmail, auditChanges);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      await audit(auditChanges);
+
+      if (changedCount > 0) {
+        broadcastPlanUpdate({
+          scope: realtimeScope,
+          entity: 'TrainingRotation',
+          action: 'bulkUpdate',
+          recordCount: changedCount,
+          actor,
+        });
+      }
+
+      res.json({
+        success: true,
+        changedCount,
+        ...range,
+      });
+      return;
+    }
+
+    // ===== OPERATION: replaceTrainingRotationRanges =====
+    // Several ranges (e.g. an accepted rotation plan) in one transaction: all or none
+    if (operation === 'replaceTrainingRotationRanges') {
+      const rawRanges = (data as Record<string, unknown> | undefined)?.ranges;
+      if (!Array.isArray(rawRanges) || rawRanges.length === 0) {
+        res.status(400).json({ error: 'ranges muss eine nicht-leere Liste sein' });
+        return;
+      }
+      const ranges = rawRanges.map(normalizeRotationRange);
+      const invalidIndex = ranges.findIndex((range) => !range);
+      if (invalidIndex >= 0) {
+        res.status(400).json({ error: `Eintrag ${invalidIndex + 1}: doctor_id, start_date und end_date sind erforderlich` });
+        return;
+      }
+
+      const connection = await dbPool.getConnection();
+      let changedCount = 0;
+      const auditChanges: AuditChange[] = [];
+      try {
+        await connection.beginTransaction();
+        for (const range of ranges as RotationRange[]) {
+          changedCount += await replaceRotationRange(connection, range, userEmail, auditChanges);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      await audit(auditChanges);
+
+      if (changedCount > 0) {
+        broadcastPlanUpdate({
+          scope: realtimeScope,
+          entity: 'TrainingRotation',
+          action: 'bulkUpdate',
+          recordCount: changedCount,
+          actor,
+        });
+      }
+
+      res.json({ success: true, changedCount, rangeCount: ranges.length });
+      return;
+    }
+
+    // ===== OPERATION: bulkCreateShifts =====
+    // All-or-nothing creation of ShiftEntry rows (schedule templates); see utils/shiftBatch.ts
+    if (operation === 'bulkCreateShifts') {
+      const entries = normalizeShiftBatch((data as Record<string, unknown> | undefined)?.entries, isCentralAbsencePosition);
+
+      if (!(await canWriteShiftPositions(entries.map((e) => e.position)))) {
+        res.status(403).json({ error: 'Ihnen fehlt die Berechtigung f\u00fcr diese Aktion', missingPermission: 'can_edit_schedule' });
+        return;
+      }
 
-      const insertRotation = async (rotationData: Record<string, unknown>): Promise<string> => {
-        const rotationId = crypto.randomUUID();
-        const createdAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
-        await connection.execute(
-          `INSERT INTO \`TrainingRotation\` (\`id\`, \`created_date\`, \`updated_date\`, \`created_by\`, \`doctor_id\`, \`modality\`, \`start_date\`, \`end_date\`) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            rotationId,
-            createdAt,
-            createdAt,
-            userEmail,
-            rotationData.doctor_id,
-            rotationData.modality,
-            rotationData.start_date,
-            rotationData.end_date,
-          ]
-        );
-        changedCount += 1;
-        return rotationId;
-      };
+      const dates = entries.map((e) => e.date).sort();
+      const firstDate = dates[0];
+      const lastDate = dates[dates.length - 1];
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      const rows = entries.map((entry) => ({
+        ...entry,
+        id: crypto.randomUUID(),
+        created_date: now,
+        updated_date: now,
+        created_by: userEmail,
+      }));
 
+      const connection = await dbPool.getConnection();
       try {
         await connection.beginTransaction();
 
-        const [overlappingRows] = await connection.execute(
-          `SELECT * FROM \`TrainingRotation\` WHERE \`doctor_id\` = ? AND \`start_date\` <= ? AND \`end_date\` >= ? ORDER BY \`start_date\` ASC, \`id\` ASC FOR UPDATE`,
-          [doctorId, endDate, startDate]
+        // Locks the affected days so a concurrent write cannot slip in between check and insert
+        const [existingRows] = await connection.execute(
+          'SELECT id, doctor_id, date, position, timeslot_id FROM `ShiftEntry` WHERE `date` BETWEEN ? AND ? FOR UPDATE',
+          [firstDate, lastDate]
         ) as [RowDataPacket[], unknown];
 
-        for (const row of overlappingRows) {
-          if (row.start_date >= startDate && row.end_date <= endDate) {
-            await connection.execute('DELETE FROM `TrainingRotation` WHERE `id` = ?', [row.id]);
-            changedCount += 1;
-            continue;
+        const conflicts = findShiftBatchConflicts(entries, {
+          existing: existingRows as unknown as ExistingShiftRow[],
+          ...(await loadShiftBatchContext(connection, firstDate, lastDate)),
+        });
+        if (conflicts.length > 0) {
+          await connection.rollback();
+          res.status(409).json({
+            error: 'CONFLICT_ERROR',
+            message: `${conflicts.length} Einträge kollidieren mit dem aktuellen Plan. Es wurde nichts gespeichert.`,
+            conflicts,
+          });
+          return;
+        }
+
+        await insertShiftRows(connection, rows);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      await audit(rows.map((row) => ({ entity: 'ShiftEntry', action: 'create' as const, recordId: row.id, after: row })));
+      broadcastPlanUpdate({
+        scope: realtimeScope,
+        entity: 'ShiftEntry',
+        action: 'bulkUpdate',
+        recordCount: rows.length,
+        actor,
+      });
+
+      res.json({ success: true, created: rows });
+      return;
+    }
+
+    // ===== OPERATION: transferShifts =====
+    // Copy or move a selection of ShiftEntry rows (day, week, employee row) in one
+    // transaction. `resolution` decides about conflicts: skip, overwrite or abort.
+    // The response carries created and deleted rows so the client can undo.
+    if (operation === 'transferShifts') {
+      const payload = (data as Record<string, unknown>) || {};
+      const mode = payload.mode as ShiftTransferMode;
+      const resolution = payload.resolution as ShiftConflictResolution;
+      if (!SHIFT_TRANSFER_MODES.includes(mode)) {
+        res.status(400).json({ error: `mode muss ${SHIFT_TRANSFER_MODES.join(' oder ')} sein` });
+        return;
+      }
+      if (!SHIFT_CONFLICT_RESOLUTIONS.includes(resolution)) {
+        res.status(400).json({ error: `resolution muss ${SHIFT_CONFLICT_RESOLUTIONS.join(', ')} sein` });
+        return;
+      }
+      const entries = normalizeShiftTransfer(payload.entries, mode, isCentralAbsencePosition);
+
+      if (!(await canWriteShiftPositions(entries.map((e) => e.position)))) {
+        res.status(403).json({ error: 'Ihnen fehlt die Berechtigung f\u00fcr diese Aktion', missingPermission: 'can_edit_schedule' });
+        return;
+      }
+
+      const dates = entries.map((e) => e.date).sort();
+      const firstDate = dates[0];
+      const lastDate = dates[dates.length - 1];
+      const sourceIds = entries.map((e) => e.source_id).filter((sourceId): sourceId is string => Boolean(sourceId));
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+      let created: Record<string, unknown>[] = [];
+      let deleted: Record<string, unknown>[] = [];
+      let skipped: ReturnType<typeof resolveShiftTransfer>['skipped'] = [];
+
+      const connection = await dbPool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Target days and sources are locked until the commit
+        const [targetRows] = await connection.execute(
+          'SELECT id, doctor_id, date, position, timeslot_id FROM `ShiftEntry` WHERE `date` BETWEEN ? AND ? FOR UPDATE',
+          [firstDate, lastDate]
+        ) as [RowDataPacket[], unknown];
+        let sourceRows: RowDataPacket[] = [];
+        if (sourceIds.length > 0) {
+          [sourceRows] = await connection.execute(
+            `SELECT id, doctor_id, date, position, timeslot_id FROM \`ShiftEntry\` WHERE \`id\` IN (${sourceIds.map(() => '?').join(', ')}) FOR UPDATE`,
+            sourceIds
+          ) as [RowDataPacket[], unknown];
+        }
+        const existing = new Map<string, ExistingShiftRow>();
+        for (const row of [...targetRows, ...sourceRows]) existing.set(row.id, row as unknown as ExistingShiftRow);
+
+        const resolved = resolveShiftTransfer(entries, {
+          existing: [...existing.values()],
+          ...(await loadShiftBatchContext(connection, firstDate, lastDate)),
+          resolution,
+        });
+        skipped = resolved.skipped;
+
+        if (resolution === 'abort' && skipped.length > 0) {
+          await connection.rollback();
+          res.status(409).json({
+            error: 'CONFLICT_ERROR',
+            message: `${skipped.length} Einträge kollidieren mit dem aktuellen Plan. Es wurde nichts geändert.`,
+            conflicts: skipped,
+          });
+          return;
+        }
+
+        const deleteIds = [...resolved.replaced.map((row) => row.id), ...resolved.sourceIds];
+        if (deleteIds.length > 0) {
+          const placeholders = deleteIds.map(() => '?').join(', ');
+          const [deletedRows] = await connection.execute(
+            `SELECT * FROM \`ShiftEntry\` WHERE \`id\` IN (${placeholders})`,
+            deleteIds
+          ) as [RowDataPacket[], unknown];
+          deleted = deletedRows.map((row) => fromSqlRow(row)).filter((row): row is Record<string, unknown> => row !== null);
+          await connection.execute(`DELETE FROM \`ShiftEntry\` WHERE \`id\` IN (${placeholders})`, deleteIds);
+        }
+
+        created = resolved.accepted.map(({ entry }) => {
+          const { source_id: _sourceId, ...columns } = entry;
+          return { ...columns, id: crypto.randomUUID(), created_date: now, updated_date: now, created_by: userEmail };
+        });
+        await insertShiftRows(connection, created);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      await audit([
+        ...deleted.map((row) => ({ entity: 'ShiftEntry', action: 'delete' as const, recordId: row.id as string, before: row })),
+        ...created.map((row) => ({ entity: 'ShiftEntry', action: 'create' as const, recordId: row.id as string, after: row })),
+      ]);
+      if (created.length > 0 || deleted.length > 0) {
+        broadcastPlanUpdate({
+          scope: realtimeScope,
+          entity: 'ShiftEntry',
+          action: 'bulkUpdate',
+          recordCount: created.length + deleted.length,
+          actor,
+        });
+      }
+
+      res.json({ success: true, mode, created, deleted, skipped });
+      return;
+    }
+
+    // ===== OPERATION: replayChanges =====
+    // Undo/redo of schedule board edits; see utils/historyReplay.ts. In one
+    // transaction the rows are locked and checked against their expected state
+    // (a concurrent edit wins, 409) and against locked cells before anything is
+    // written. Absences of employees of a tenant group live in the master DB
+    // (CentralAbsenceEntry); they are written last, right before the commit.
+    if (operation === 'replayChanges') {
+      const changes = normalizeHistoryChanges((data as Record<string, unknown> | undefined)?.changes);
+
+      const positions = changes
+        .filter((change) => change.entity === 'ShiftEntry')
+        .flatMap((change) => [change.expected?.position, change.target?.position])
+        .filter((position): position is string => typeof position === 'string' && Boolean(position));
+      if (!(await canWriteShiftPositions(positions))) {
+        res.status(403).json({ error: 'Ihnen fehlt die Berechtigung f\u00fcr diese Aktion', missingPermission: 'can_edit_schedule' });
+        return;
+      }
+
+      const columnsByEntity = new Map<string, string[]>();
+      for (const entity of new Set(changes.map((change) => change.entity))) {
+        const columns = await getValidColumns(dbPool, entity, curaReq.dbToken || 'default');
+        if (!columns) throw new Error(`Spalten von ${entity} konnten nicht gelesen werden`);
+        columnsByEntity.set(entity, columns);
+      }
+
+      const records: { entity: string; id: string; row: Record<string, unknown> | null }[] = [];
+      const auditChanges: AuditChange[] = [];
+      const counts = new Map<string, number>();
+      const connection = await dbPool.getConnection();
+      // Helpers of utils/centralAbsences.ts read Doctor links through the transaction
+      const tenantDb = connection as unknown as Pool;
+      try {
+        await connection.beginTransaction();
+
+        const tenantRows = await selectHistoryRowsForUpdate(connection, changes);
+        const currentRows: (Record<string, unknown> | null)[] = [];
+        const centralIds = new Set<string>();
+        for (const [index, change] of changes.entries()) {
+          let current = tenantRows[index];
+          if (!current && change.entity === 'ShiftEntry') {
+            current = await getShiftEntryWithCentralAbsence({ tenantDb, masterDb: db, id: change.id });
+            if (current) centralIds.add(change.id);
           }
+          currentRows.push(current);
+        }
 
-          if (row.start_date < startDate && row.end_date > endDate) {
-            await connection.execute(
-              'UPDATE `TrainingRotation` SET `end_date` = ?, `updated_date` = ? WHERE `id` = ?',
-              [shiftIsoDate(startDate, -1), new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
-            );
-            changedCount += 1;
-            await insertRotation({
-              doctor_id: row.doctor_id,
-              modality: row.modality,
-              start_date: rightNeighborDate,
-              end_date: row.end_date,
-            });
+        const targetDates = changes
+          .flatMap((change, index) => (change.entity === 'ShiftEntry' && change.target
+            ? [String(change.target.date ?? currentRows[index]?.date ?? '').slice(0, 10)]
+            : []))
+          .filter(Boolean)
+          .sort();
+        const blocks = targetDates.length > 0
+          ? (await loadShiftBatchContext(connection, targetDates[0], targetDates[targetDates.length - 1])).blocks
+          : [];
+        const conflicts = [
+          ...findHistoryConflicts(changes, currentRows),
+          ...findHistoryBlockConflicts(changes, currentRows, blocks),
+        ].sort((a, b) => a.index - b.index);
+        if (conflicts.length > 0) {
+          await connection.rollback();
+          res.status(409).json({
+            error: 'CONFLICT_ERROR',
+            message: `${conflicts.length} Einträge wurden inzwischen geändert oder liegen in gesperrten Zellen. Es wurde nichts geändert.`,
+            conflicts,
+          });
+          return;
+        }
+
+        // Absences of linked employees are routed to the central store
+        const routesCentral = async (change: HistoryReplayChange, current: Record<string, unknown> | null): Promise<boolean> => {
+          if (change.entity !== 'ShiftEntry' || !change.target) return false;
+          if (!isCentralAbsencePosition(change.target.position ?? current?.position)) return false;
+          const [doctorRows] = await connection.execute(
+            'SELECT central_employee_id FROM `Doctor` WHERE `id` = ? LIMIT 1',
+            [change.target.doctor_id ?? current?.doctor_id]
+          ) as [RowDataPacket[], unknown];
+          return Boolean(doctorRows[0]?.central_employee_id);
+        };
+
+        const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+        const centralWrites: (() => Promise<void>)[] = [];
+        const plans: {
+          change: HistoryReplayChange;
+          current: Record<string, unknown> | null;
+          isCentral: boolean;
+          toCentral: boolean;
+          write: HistoryReplayWrite;
+          unchanged: boolean;
+        }[] = [];
+        for (const [index, change] of changes.entries()) {
+          const current = currentRows[index];
+          const isCentral = centralIds.has(change.id);
+          const toCentral = await routesCentral(change, current);
+          const columns = columnsByEntity.get(change.entity) as string[];
+          // A row moving between tenant and central store is re-created with all its columns
+          const tenantCurrent = isCentral || toCentral ? null : current;
+          const write = planHistoryWrite(change.id, tenantCurrent, toCentral ? null : change.target, columns);
+          const unchanged = planHistoryWrite(change.id, current, change.target, columns).action === 'none';
+          plans.push({ change, current, isCentral, toCentral, write, unchanged });
+        }
+
+        // Deletes first, so a re-created row never meets the one it replaces
+        plans.sort((a, b) => Number(b.write.action === 'delete') - Number(a.write.action === 'delete'));
+        for (const { change, current, isCentral, toCentral, write, unchanged } of plans) {
+          if (unchanged) {
+            records.push({ entity: change.entity, id: change.id, row: current });
             continue;
           }
+          counts.set(change.entity, (counts.get(change.entity) || 0) + 1);
 
-          if (row.start_date < startDate) {
-            await connection.execute(
-              'UPDATE `TrainingRotation` SET `end_date` = ?, `updated_date` = ? WHERE `id` = ?',
-              [shiftIsoDate(startDate, -1), new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
-            );
-            changedCount += 1;
-            continue;
+          if (!isCentral && current && (toCentral || write.action === 'delete')) {
+            await connection.execute(`DELETE FROM \`${change.entity}\` WHERE \`id\` = ?`, [change.id]);
+          } else if (write.action === 'create') {
+            await insertHistoryRow(connection, change.entity, { ...write.data, created_date: now, updated_date: now, created_by: userEmail });
+          } else if (write.action === 'update') {
+            const bumpVersion = isVersionedTable(change.entity) && (columnsByEntity.get(change.entity) as string[]).includes(VERSION_COLUMN);
+            await updateHistoryRow(connection, change.entity, change.id, { ...write.data, updated_date: now }, bumpVersion);
           }
+          if (isCentral && !toCentral) centralWrites.push(() => deleteCentralAbsenceById(db, change.id));
 
-          if (row.end_date > endDate) {
-            await connection.execute(
-              'UPDATE `TrainingRotation` SET `start_date` = ?, `updated_date` = ? WHERE `id` = ?',
-              [rightNeighborDate, new Date().toISOString().slice(0, 19).replace('T', ' '), row.id]
-            );
-            changedCount += 1;
+          const record = { entity: change.entity, id: change.id, row: null as Record<string, unknown> | null };
+          records.push(record);
+          if (toCentral) {
+            centralWrites.push(async () => {
+              record.row = await writeShiftEntryToCentralAbsence({
+                tenantDb,
+                masterDb: db,
+                tenantId: tenantId as string,
+                shiftEntry: { ...(current || {}), ...change.target, id: change.id },
+                doctorId: (change.target?.doctor_id ?? current?.doctor_id) as string,
+                preserveId: true,
+              });
+            });
+          } else if (change.target) {
+            const [rows] = await connection.execute(`SELECT * FROM \`${change.entity}\` WHERE \`id\` = ?`, [change.id]) as [RowDataPacket[], unknown];
+            record.row = rows[0] ? fromSqlRow(rows[0]) : null;
           }
         }
 
-        if (modality) {
-          const [mergeRows] = await connection.execute(
-            `SELECT * FROM \`TrainingRotation\` WHERE \`doctor_id\` = ? AND \`modality\` = ? AND \`start_date\` <= ? AND \`end_date\` >= ? ORDER BY \`start_date\` ASC, \`id\` ASC FOR UPDATE`,
-            [doctorId, modality, rightNeighborDate, leftNeighborDate]
-          ) as [RowDataPacket[], unknown];
-
-          let mergedStart = startDate;
-          let mergedEnd = endDate;
-
-          for (const row of mergeRows) {
-            if (row.start_date < mergedStart) {
-              mergedStart = row.start_date;
-            }
-            if (row.end_date > mergedEnd) {
-              mergedEnd = row.end_date;
-            }
-            await connection.execute('DELETE FROM `TrainingRotation` WHERE `id` = ?', [row.id]);
-            changedCount += 1;
-          }
+        for (const centralWrite of centralWrites) await centralWrite();
 
-          await insertRotation({
-            doctor_id: doctorId,
-            modality,
-            start_date: mergedStart,
-            end_date: mergedEnd,
-          });
+        // Recorded only after the commit, so a rolled-back replay leaves no trail
+        for (const { change, current, unchanged } of plans) {
+          if (unchanged) continue;
+          const after = records.find((record) => record.entity === change.entity && record.id === change.id)?.row ?? null;
+          const action = !current ? 'create' : !change.target ? 'delete' : 'update';
+          auditChanges.push({ entity: change.entity, action, recordId: change.id, before: current, after });
         }
 
         await connection.commit();
@@ -569,28 +1181,23 @@ router.post('/', async (req: Request, res: Response, next: NextFunction): Promis
         connection.release();
       }
 
-      if (changedCount > 0) {
+      await audit(auditChanges);
+
+      for (const [entity, recordCount] of counts) {
         broadcastPlanUpdate({
           scope: realtimeScope,
-          entity: 'TrainingRotation',
+          entity,
           action: 'bulkUpdate',
-          recordCount: changedCount,
+          recordCount,
           actor,
         });
       }
 
-      res.json({
-        success: true,
-        changedCount,
-        doctor_id: doctorId,
-        modality,
-        start_date: startDate,
-        end_date: endDate,
-      });
+      res.json({ success: true, records });
       return;
     }
 
-    res.status(400).json({ error: 'Invalid operation', validOperations: ['checkAndUpdate', 'checkAndCreate', 'upsertStaffing', 'replaceTrainingRotationRange'] });
+    res.status(400).json({ error: 'Invalid operation', validOperations: ['checkAndUpdate', 'checkAndCreate', 'upsertStaffing', 'replaceTrainingRotationRange', 'replaceTrainingRotationRanges', 'bulkCreateShifts', 'transferShifts', 'replayChanges'] });
     return;
 
   } catch (error) {
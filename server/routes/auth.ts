@@ -4,7 +4,8 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import { db } from '../index.js';
-import { broadcastUserEvent, buildRealtimeScope, registerRealtimeClient } from '../utils/realtime.js';
+import { broadcastScopeEvent, broadcastUserEvent, buildRealtimeScope, registerRealtimeClient } from '../utils/realtime.js';
+import { leaveBoardPresence, listBoardPresence, parseBoardPresenceUpdate, updateBoardPresence } from '../utils/boardPresence.js';
 import { getEmailProviderInfo, sendEmail } from '../utils/email.js';
 import { loadUserGroupContext, listUserGroups } from '../utils/tenantGroups.js';
 import { requirePermission, isSuperAdmin, loadPermissions, clampPermissionsToGranter, ALL_PERMISSIONS_TRUE } from '../utils/permissions.js';
@@ -918,6 +919,56 @@ router.post('/presence', authMiddleware, async (req: Request, res: Response, nex
   }
 });
 
+// ============ SCHEDULE BOARD PRESENCE ============
+// Fine-grained presence on the schedule board: which week each open tab shows
+// and which cell it edits (soft lock). Scoped like the SSE stream, by tenant.
+const boardPresenceScope = (req: Request): string =>
+  buildRealtimeScope(req.headers['x-db-token'] as string | undefined);
+
+const broadcastBoardPresence = (scope: string): void => {
+  broadcastScopeEvent({ scope, eventName: 'board-presence', payload: { sessions: listBoardPresence(scope) } });
+};
+
+router.post('/presence/board', authMiddleware, async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const authReq = req as AuthRequest;
+    const update = parseBoardPresenceUpdate(req.body);
+    const userId = authReq.user?.sub as string;
+
+    const [rows] = await db.execute(
+      'SELECT email, full_name FROM app_users WHERE id = ? AND is_active = 1',
+      [userId]
+    ) as [Record<string, unknown>[], unknown];
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Benutzer nicht gefunden' });
+      return;
+    }
+
+    const scope = boardPresenceScope(req);
+    const { entry, lockedBy } = updateBoardPresence(scope, {
+      userId,
+      email: (rows[0].email as string) || null,
+      name: (rows[0].full_name as string) || null,
+    }, update);
+    broadcastBoardPresence(scope);
+
+    res.json({ presence: entry, lockedBy, sessions: listBoardPresence(scope) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/presence/board/leave', authMiddleware, (req: Request, res: Response): void => {
+  const authReq = req as AuthRequest;
+  const sessionId = typeof req.body?.sessionId === 'string' ? req.body.sessionId : '';
+  const scope = boardPresenceScope(req);
+
+  if (leaveBoardPresence(scope, sessionId, authReq.user?.sub as string)) {
+    broadcastBoardPresence(scope);
+  }
+  res.json({ success: true });
+});
+
 router.get('/jitsi-token', authMiddleware, adminMiddleware, async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
     const authReq = req as AuthRequest;
@@ -1,36 +1,243 @@
 import express, { Request, Response, NextFunction } from 'express';
-import { db } from '../index.js';
+import type { Pool, RowDataPacket } from 'mysql2/promise';
+import { db, getTenantDb } from '../index.js';
 import { authMiddleware } from './auth.js';
+import { checkAdminPermission } from '../utils/permissions.js';
+import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
+import { listShiftEntriesWithCentralAbsences } from '../utils/centralAbsences.js';
+import { isPublishWorkflowEnabled, listPublishedShiftRows } from '../utils/schedulePublication.js';
+import {
+  CALENDAR_FEED_FUTURE_DAYS,
+  CALENDAR_FEED_PAST_DAYS,
+  buildCalendarEvents,
+  getActiveCalendarFeedToken,
+  listActiveCalendarFeedTokens,
+  renderCalendarFeed,
+  resolveCalendarFeedToken,
+  revokeCalendarFeedToken,
+  rotateCalendarFeedToken,
+  type CalendarShift,
+  type CalendarTimeslot,
+  type CalendarWorkplace,
+} from '../utils/calendarFeed.js';
 
 const router = express.Router();
+
+type ExtendedRequest = Request & {
+  user?: { sub?: string; role?: string; doctor_id?: string; [key: string]: unknown };
+  db?: Pool;
+};
+
+function isoDateOffset(days: number): string {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Base URL under which the API is reachable for calendar clients. Behind a
+ * proxy the request host may be internal, so CALENDAR_FEED_BASE_URL wins.
+ */
+function buildFeedBaseUrl(req: Request): string {
+  const configured = String(process.env.CALENDAR_FEED_BASE_URL || process.env.APP_URL || '').trim();
+  if (configured) return configured.replace(/\/+$/, '');
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+async function resolveTenantPool(tenantId: string | null): Promise<Pool | null> {
+  if (!tenantId) return db;
+  const [rows] = await db.execute<RowDataPacket[]>(
+    'SELECT token FROM db_tokens WHERE id = ? LIMIT 1',
+    [tenantId]
+  );
+  if (rows.length === 0) return null;
+  return getTenantDb(String(rows[0].token));
+}
+
+// ===== PUBLIC ICS FEED =====
+// Must stay above authMiddleware: calendar clients authenticate via the token in the URL only.
+router.get('/:token.ics', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const feed = await resolveCalendarFeedToken(db, req.params.token as string);
+    if (!feed) {
+      res.status(404).type('text/plain').send('Kalender-Abonnement nicht gefunden oder widerrufen.');
+      return;
+    }
+
+    const tenantDb = await resolveTenantPool(feed.tenant_id);
+    if (!tenantDb) {
+      res.status(404).type('text/plain').send('Mandant nicht mehr vorhanden.');
+      return;
+    }
+
+    const [doctorRows] = await tenantDb.execute<RowDataPacket[]>(
+      'SELECT id, name FROM Doctor WHERE id = ? LIMIT 1',
+      [feed.doctor_id]
+    );
+    if (doctorRows.length === 0) {
+      res.status(404).type('text/plain').send('Mitarbeiter nicht gefunden.');
+      return;
+    }
+
+    const filters = {
+      doctor_id: feed.doctor_id,
+      date: { $gte: isoDateOffset(-CALENDAR_FEED_PAST_DAYS), $lte: isoDateOffset(CALENDAR_FEED_FUTURE_DAYS) },
+    };
+    // A feed has no reader permissions: with the publish workflow it only carries published days
+    const shifts = (await isPublishWorkflowEnabled(tenantDb)
+      ? await listPublishedShiftRows(tenantDb, { filters, sort: 'date' })
+      : await listShiftEntriesWithCentralAbsences({ tenantDb, masterDb: db, filters, sort: 'date' })) as CalendarShift[];
+
+    const [workplaces] = await tenantDb.execute<RowDataPacket[]>('SELECT id, name, category FROM Workplace');
+    let timeslots: RowDataPacket[] = [];
+    try {
+      [timeslots] = await tenantDb.execute<RowDataPacket[]>(
+        'SELECT id, workplace_id, label, start_time, end_time FROM WorkplaceTimeslot'
+      );
+    } catch {
+      // Older tenants without timeslots → all services become all-day events
+    }
+
+    const events = buildCalendarEvents({
+      shifts,
+      workplaces: workplaces as CalendarWorkplace[],
+      timeslots: timeslots as CalendarTimeslot[],
+    });
+    const body = renderCalendarFeed(events, { name: `Dienstplan ${doctorRows[0].name || ''}`.trim() });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="dienstplan.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.use(authMiddleware);
 
-// ===== SYNC CALENDAR =====
-router.post('/sync', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+/**
+ * Employees manage their own feed; managing other employees' feeds requires
+ * can_manage_users (same gate as the employee master data).
+ */
+async function canManageFeed(req: ExtendedRequest, doctorId: string): Promise<boolean> {
+  if (req.user?.doctor_id && String(req.user.doctor_id) === String(doctorId)) return true;
+  if (!req.user?.sub) return false;
+  try {
+    return (await checkAdminPermission(db, req.user.sub, 'can_manage_users')).allowed;
+  } catch {
+    return false;
+  }
+}
+
+// ===== FEED STATUS =====
+router.get('/feed/:doctorId', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const r = req as ExtendedRequest;
+    const doctorId = req.params.doctorId as string;
+    if (!(await canManageFeed(r, doctorId))) {
+      res.status(403).json({ error: 'Keine Berechtigung für diesen Kalender' });
+      return;
+    }
+    const tenantId = await resolveTenantIdFromToken(db, req.headers['x-db-token'] as string | undefined);
+    const active = await getActiveCalendarFeedToken({ masterDb: db, tenantId, doctorId });
+    res.json({
+      active: !!active,
+      created_date: active?.created_date || null,
+      last_accessed_date: active?.last_accessed_date || null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== LIST ACTIVE FEEDS (admin) =====
+router.get('/feeds', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const r = req as ExtendedRequest;
+    const allowed = r.user?.sub
+      ? (await checkAdminPermission(db, r.user.sub, 'can_manage_users')).allowed
+      : false;
+    if (!allowed) {
+      res.status(403).json({ error: 'Ihnen fehlt die Berechtigung für diese Aktion', missingPermission: 'can_manage_users' });
+      return;
+    }
+    const tenantId = await resolveTenantIdFromToken(db, req.headers['x-db-token'] as string | undefined);
+    const rows = await listActiveCalendarFeedTokens({ masterDb: db, tenantId });
+    res.json(rows.map((row) => ({
+      doctor_id: row.doctor_id,
+      created_date: row.created_date,
+      created_by: row.created_by,
+      last_accessed_date: row.last_accessed_date,
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== ROTATE (create / regenerate) FEED TOKEN =====
+router.post('/feed/:doctorId/rotate', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
-    const { scheduleData, calendarId } = req.body;
-    
-    // Placeholder for Google Calendar integration
-    // Would use @googleapis/calendar package
-    
-    console.log('Calendar sync requested for:', calendarId);
-    
-    res.json({ 
-      success: true, 
-      message: 'Calendar sync completed',
-      syncedEvents: scheduleData?.length || 0
+    const r = req as ExtendedRequest;
+    const doctorId = req.params.doctorId as string;
+    if (!(await canManageFeed(r, doctorId))) {
+      res.status(403).json({ error: 'Keine Berechtigung für diesen Kalender' });
+      return;
+    }
+
+    const pool = r.db || db;
+    const [doctorRows] = await pool.execute<RowDataPacket[]>('SELECT id FROM Doctor WHERE id = ? LIMIT 1', [doctorId]);
+    if (doctorRows.length === 0) {
+      res.status(404).json({ error: 'Mitarbeiter nicht gefunden' });
+      return;
+    }
+
+    const tenantId = await resolveTenantIdFromToken(db, req.headers['x-db-token'] as string | undefined);
+    const { token, row } = await rotateCalendarFeedToken({
+      masterDb: db,
+      tenantId,
+      doctorId,
+      createdBy: r.user?.email ? String(r.user.email) : r.user?.sub,
+    });
+
+    // The plain token is only returned here — it is not stored.
+    res.json({
+      url: `${buildFeedBaseUrl(req)}/api/calendar/${token}.ics`,
+      created_date: row?.created_date || null,
     });
   } catch (error) {
     next(error);
   }
 });
 
+// ===== REVOKE FEED TOKEN =====
+router.delete('/feed/:doctorId', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const r = req as ExtendedRequest;
+    const doctorId = req.params.doctorId as string;
+    if (!(await canManageFeed(r, doctorId))) {
+      res.status(403).json({ error: 'Keine Berechtigung für diesen Kalender' });
+      return;
+    }
+    const tenantId = await resolveTenantIdFromToken(db, req.headers['x-db-token'] as string | undefined);
+    const revoked = await revokeCalendarFeedToken({
+      masterDb: db,
+      tenantId,
+      doctorId,
+      revokedBy: r.user?.email ? String(r.user.email) : r.user?.sub,
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ===== GET SERVICE ACCOUNT EMAIL =====
 router.get('/service-account', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
     // Return service account email if configured
     const serviceAccountEmail = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || null;
-    
+
     res.json({ email: serviceAccountEmail });
   } catch (error) {
     next(error);
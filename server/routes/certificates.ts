@@ -21,10 +21,19 @@ import multer from 'multer';
 import crypto from 'crypto';
 import { db } from '../index.js';
 import { authMiddleware } from './auth.js';
-import { parseDbToken } from '../utils/crypto.js';
 import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
 import { analyzeCertificate, isAnalyzerConfigured } from '../utils/certificateAnalyzer.js';
-import { getEmailProviderInfo, sendEmail } from '../utils/email.js';
+import { getEmailProviderInfo } from '../utils/email.js';
+import {
+  buildReminderUrl,
+  certificateTenantKey,
+  getCertificateSigningSecret,
+  getReminderRecipientsForDoctor as listReminderRecipients,
+  listReminderHistory,
+  reminderHistoryKey,
+  sendCertificateReminderMail,
+  verifyReminderToken,
+} from '../utils/certificateReminders.js';
 import type { Certificate, Qualification } from '../utils/qualificationEvidence.js';
 import {
   computeQualificationEvidenceSummary,
@@ -56,10 +65,6 @@ const ALLOWED_MIME = new Set([
 ]);
 const MAX_SIZE = 5 * 1024 * 1024; // 5 MB
 const ANALYSIS_TOKEN_TTL_MS = 15 * 60 * 1000;
-// Reminder-link tokens are single-purpose, short-lived, and carry NO DB
-// credential — replacing the previous scheme that embedded the raw tenant
-// `db_token` in the email link (SECURITY_REVIEW_SYSTEM.md Finding S3).
-const REMINDER_TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -74,18 +79,7 @@ const upload = multer({
 });
 
 function getTenantKey(req: CuraRequest): string {
-  const token = req.dbToken;
-  if (!token) return 'default';
-  try {
-    const cfg = parseDbToken(token);
-    if (!cfg?.host || !cfg?.database) return 'default';
-    return crypto
-      .createHash('sha256')
-      .update(`${cfg.host}:${cfg.database}`)
-      .digest('hex');
-  } catch {
-    return 'default';
-  }
+  return certificateTenantKey(req.dbToken);
 }
 
 function ensureCanAccessDoctor(req: CuraRequest, doctorId: string): void {
@@ -110,10 +104,6 @@ function sha256Buffer(buffer: Buffer): string {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
-function getAnalysisSigningSecret(): string {
-  return process.env.JWT_SECRET || process.env.AUTH_SECRET || 'curaflow-certificate-analysis-dev';
-}
-
 function encodeBase64Url(value: string): string {
   return Buffer.from(value).toString('base64url');
 }
@@ -125,7 +115,7 @@ function decodeBase64Url(value: string): string {
 function createAnalysisApprovalToken(payload: Record<string, unknown>): string {
   const encodedPayload = encodeBase64Url(JSON.stringify(payload));
   const signature = crypto
-    .createHmac('sha256', getAnalysisSigningSecret())
+    .createHmac('sha256', getCertificateSigningSecret())
     .update(encodedPayload)
     .digest('base64url');
   return `${encodedPayload}.${signature}`;
@@ -137,7 +127,7 @@ function verifyAnalysisApprovalToken(token: string): Record<string, unknown> | n
   }
   const [encodedPayload, signature] = token.split('.');
   const expected = crypto
-    .createHmac('sha256', getAnalysisSigningSecret())
+    .createHmac('sha256', getCertificateSigningSecret())
     .update(encodedPayload)
     .digest('base64url');
   if (signature !== expected) {
@@ -150,71 +140,9 @@ function verifyAnalysisApprovalToken(token: string): Record<string, unknown> | n
   }
 }
 
-// ─── Reminder-link token (Finding S3) ──────────────────────────────────────
-// A signed, short-lived token that resolves to { tenant_id, doctor_id,
-// qualification_ids[] } after the recipient authenticates. It carries NO
-// tenant DB credential, so a leaked reminder link (mail logs, browser
-// history, Referer headers) does not grant database access the way the raw
-// `db_token` it replaces did. The signature uses the same app secret as the
-// analysis token; both are single-purpose and verified server-side.
-
-export function createReminderToken(payload: {
-  tenantId: string;
-  doctorId: string;
-  qualificationIds: Array<string | number>;
-}): string {
-  const now = Date.now();
-  const fullPayload = {
-    ...payload,
-    iat: now,
-    exp: now + REMINDER_TOKEN_TTL_MS,
-  };
-  const encodedPayload = encodeBase64Url(JSON.stringify(fullPayload));
-  const signature = crypto
-    .createHmac('sha256', getAnalysisSigningSecret())
-    .update(encodedPayload)
-    .digest('base64url');
-  return `${encodedPayload}.${signature}`;
-}
-
-export function verifyReminderToken(token: string): {
-  tenantId: string;
-  doctorId: string;
-  qualificationIds: Array<string | number>;
-  exp: number;
-} | null {
-  if (!token || typeof token !== 'string' || !token.includes('.')) {
-    return null;
-  }
-  const [encodedPayload, signature] = token.split('.');
-  const expected = crypto
-    .createHmac('sha256', getAnalysisSigningSecret())
-    .update(encodedPayload)
-    .digest('base64url');
-  if (signature !== expected) {
-    return null;
-  }
-  try {
-    const parsed = JSON.parse(decodeBase64Url(encodedPayload)) as Record<string, unknown>;
-    if (typeof parsed.exp !== 'number' || parsed.exp < Date.now()) {
-      return null;
-    }
-    if (typeof parsed.tenantId !== 'string' || typeof parsed.doctorId !== 'string') {
-      return null;
-    }
-    if (!Array.isArray(parsed.qualificationIds)) {
-      return null;
-    }
-    return {
-      tenantId: parsed.tenantId,
-      doctorId: parsed.doctorId,
-      qualificationIds: parsed.qualificationIds as Array<string | number>,
-      exp: parsed.exp,
-    };
-  } catch {
-    return null;
-  }
-}
+// Reminder-link tokens moved to utils/certificateReminders.ts (shared with the
+// scheduler); re-exported for existing callers.
+export { createReminderToken, verifyReminderToken } from '../utils/certificateReminders.js';
 
 interface AnalysisResult {
   status: 'skipped' | 'error' | 'failed' | 'warning' | 'passed';
@@ -406,21 +334,11 @@ async function buildCertificateReminderLink(
   doctorId: string,
   qualificationIds: Array<string | number>,
 ): Promise<string> {
-  const url = new URL('/certificate-upload', buildAppBaseUrl(req));
   const tenantId = await resolveTenantIdFromToken(db, req.dbToken);
   // Fallback: if the tenant cannot be resolved (no token / master pool),
   // still issue a token so the link resolves to the recipient's own tenant
   // context after login — we just omit the deep-link tenant hint.
-  const reminderToken = createReminderToken({
-    tenantId: tenantId || '',
-    doctorId,
-    qualificationIds,
-  });
-  url.searchParams.set('rt', reminderToken);
-  if (qualificationIds.length === 1) {
-    url.searchParams.set('qualification_id', String(qualificationIds[0]));
-  }
-  return url.toString();
+  return buildReminderUrl({ baseUrl: buildAppBaseUrl(req), tenantId, doctorId, qualificationIds });
 }
 
 function formatReminderStatusLabel({ hasCertificates, summary, validUntil }: {
@@ -454,17 +372,7 @@ function diffIsoDaysFromToday(value: unknown): number | null {
 }
 
 async function getReminderRecipientsForDoctor(doctorId: string): Promise<Record<string, unknown>[]> {
-  const [rows] = await db.execute(
-    `SELECT id, email, full_name, doctor_id
-       FROM app_users
-      WHERE is_active = 1
-        AND doctor_id = ?
-        AND email IS NOT NULL
-        AND email != ''
-      ORDER BY created_date ASC`,
-    [doctorId]
-  ) as [Record<string, unknown>[], unknown];
-  return rows;
+  return listReminderRecipients(db, doctorId);
 }
 
 async function computeReminderQualificationEntry({ req, tenantKey, doctorId, qualificationId }: {
@@ -944,10 +852,10 @@ router.get('/expiring', async (req: Request, res: Response, next: NextFunction):
         continue;
       }
 
-  const summary = computeQualificationEvidenceSummary({
-    qualification,
-    certificates: certificates as unknown as Certificate[],
-  });
+      const summary = computeQualificationEvidenceSummary({
+        qualification: qualification as unknown as Qualification,
+        certificates: groupCertificates as unknown as Certificate[],
+      });
       const validUntil = toIsoDateOnly(summary.valid_until);
       const daysUntilExpiry = diffIsoDaysFromToday(validUntil);
       if (!Number.isFinite(daysUntilExpiry) || (daysUntilExpiry as number) > days) {
@@ -972,6 +880,21 @@ router.get('/expiring', async (req: Request, res: Response, next: NextFunction):
       });
     }
 
+    // Reminder history of the scheduler (certificateReminderCron.ts), per validity end
+    if (rows.length > 0) {
+      const earliest = rows.reduce((min, row) => (String(row.expiry_date) < min ? String(row.expiry_date) : min), String(rows[0].expiry_date));
+      const history = await listReminderHistory(db, tenantKey, earliest);
+      const historyByKey = new Map<string, Array<{ stage: string; sent_at: string }>>();
+      for (const entry of history) {
+        const key = reminderHistoryKey(entry.doctor_id, entry.qualification_id, entry.valid_until);
+        if (!historyByKey.has(key)) historyByKey.set(key, []);
+        historyByKey.get(key)!.push({ stage: entry.stage, sent_at: entry.sent_at });
+      }
+      for (const row of rows) {
+        row.reminders = historyByKey.get(reminderHistoryKey(row.doctor_id, row.qualification_id, row.expiry_date)) || [];
+      }
+    }
+
     rows.sort((left, right) => {
       if (left.days_until_expiry !== right.days_until_expiry) {
         return (left.days_until_expiry as number) - (right.days_until_expiry as number);
@@ -1116,38 +1039,14 @@ router.post('/reminders/send', express.json(), async (req: Request, res: Respons
         doctorId,
         pendingQualifications.map((item) => item.id as string | number),
       );
-      const qualificationLines = pendingQualifications
-        .map((item) => `<li><strong>${item.name}</strong>: ${item.reason}</li>`)
-        .join('');
-      const plainQualificationLines = pendingQualifications
-        .map((item) => `- ${item.name}: ${item.reason}`)
-        .join('\n');
 
       for (const linkedUser of linkedUsers) {
-        await sendEmail({
+        await sendCertificateReminderMail({
           to: linkedUser.email as string,
-          subject: 'CuraFlow: Zertifikatsnachweise hochladen',
-          text: [
-            `Hallo ${linkedUser.full_name || doctor.name},`,
-            '',
-            'fuer folgende Qualifikationen fehlt ein gueltiger Nachweis oder er ist ungueltig:',
-            plainQualificationLines,
-            '',
-            `Bitte melden Sie sich ueber diesen Link an und laden Sie die Nachweise hoch: ${reminderLink}`,
-            '',
-            'Der Link fuehrt in Ihren persoenlichen Upload-Bereich in CuraFlow.',
-          ].join('\n'),
-          html: `
-            <p>Hallo ${linkedUser.full_name || doctor.name},</p>
-            <p>fuer folgende Qualifikationen fehlt ein gueltiger Nachweis oder er ist ungueltig:</p>
-            <ul>${qualificationLines}</ul>
-            <p>
-              <a href="${reminderLink}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;">
-                Nachweise in CuraFlow hochladen
-              </a>
-            </p>
-            <p>Der Link fuehrt in Ihren persoenlichen Upload-Bereich in CuraFlow.</p>
-          `,
+          name: (linkedUser.full_name || doctor.name) as string,
+          intro: 'fuer folgende Qualifikationen fehlt ein gueltiger Nachweis oder er ist ungueltig:',
+          items: pendingQualifications.map((item) => ({ name: String(item.name), reason: String(item.reason) })),
+          link: reminderLink,
         });
         sentCount += 1;
       }
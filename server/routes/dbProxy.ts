@@ -38,10 +38,13 @@ import {
   writeShiftEntryToCentralAbsence,
 } from '../utils/centralAbsences.js';
 import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
+import { auditContextFromRequest, recordAudit, type AuditChange } from '../utils/auditTrail.js';
 import { createKysely } from '../utils/db.js';
 import { sql } from 'kysely';
 import { fromSqlRow } from '../utils/sqlMarshal.js';
 import { insertRow, updateRow, deleteRow, selectRow, filterRows, bulkInsert } from '../utils/queryHelpers.js';
+import { deleteVersionedRow, isVersionedTable, parseExpectedVersion, updateVersionedRow, VERSION_COLUMN } from '../utils/rowVersion.js';
+import { getPublishedShiftRow, listPublishedShiftRows, readsPublishedScheduleOnly } from '../utils/schedulePublication.js';
 import {
   createQualification,
   updateQualification,
@@ -159,7 +162,7 @@ const TENANT_BASE_TABLES = [
 ];
 const TENANT_BASE_TABLE_SET = new Set(TENANT_BASE_TABLES);
 
-export { clearColumnsCache, approvalWriteRequiresPermission };
+export { clearColumnsCache, approvalWriteRequiresPermission, getValidColumns };
 
 
 // HELPER: Get valid columns for entity (multi-tenant aware).
@@ -451,6 +454,7 @@ const ensureQualificationTables = async (dbPool: any, cacheKey: any) => {
         certificate_refresh_validity_months INT DEFAULT NULL,
         certificate_base_label VARCHAR(100) DEFAULT 'Grundnachweis',
         certificate_refresh_label VARCHAR(100) DEFAULT 'Verlängerung / Auffrischung',
+        certificate_grace_days INT NOT NULL DEFAULT 0,
         \`order\` INT NOT NULL DEFAULT 99,
         created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
         updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
@@ -508,6 +512,7 @@ const ensureQualificationTables = async (dbPool: any, cacheKey: any) => {
           ['certificate_refresh_validity_months', 'INT DEFAULT NULL'],
           ['certificate_base_label', "VARCHAR(100) DEFAULT 'Grundnachweis'"],
           ['certificate_refresh_label', "VARCHAR(100) DEFAULT 'Verlängerung / Auffrischung'"],
+          ['certificate_grace_days', 'INT NOT NULL DEFAULT 0'],
         ]),
         ensureColumns(dbPool, 'DoctorQualification', [
           ['certificate_status', 'VARCHAR(32) DEFAULT NULL'],
@@ -614,6 +619,13 @@ export const writeAuditLog = async (dbPool: any, { level = 'audit', source, mess
   }
 };
 
+// Helper: whether the user may see the schedule draft (can_edit_schedule,
+// resolved from the master DB; anonymous readers may not).
+async function canEditSchedule(userId: string | undefined): Promise<boolean> {
+  if (!userId) return false;
+  return (await checkAdminPermission(db, userId, 'can_edit_schedule')).allowed;
+}
+
 // Helper: check if a position name belongs to a "Dienste"-category workplace.
 // Fail-closed (F6): on DB error we cannot determine the category, so treat the
 // write as protected (return true) — the caller then requires can_edit_schedule.
@@ -748,6 +760,20 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       id: creq.user?.sub ?? undefined,
       email: creq.user?.email || 'system',
     };
+    // Structured audit trail (utils/auditTrail.ts). The context is resolved
+    // per call because creq.user is only set by the inline token check below.
+    const audit = (changes: AuditChange[]) => recordAudit(db, auditContextFromRequest(creq, 'dbProxy'), changes);
+    const loadAuditBefore = async (recordId: string): Promise<Record<string, unknown> | null> => {
+      try {
+        if (tableName === 'ShiftEntry' && creq.db) {
+          return await getShiftEntry({ tenantDb: dbPool, masterDb: db, id: recordId }) as Record<string, unknown> | null;
+        }
+        const row = await selectRow(dbPool, tableName, recordId);
+        return row ? fromSqlRow(row) as Record<string, unknown> : null;
+      } catch {
+        return null;
+      }
+    };
 
     if (creq.isCustomDb && tableName && TENANT_BASE_TABLE_SET.has(tableName)) {
       await ensureTenantBaseSchema(dbPool, cacheKey);
@@ -789,6 +815,12 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
     if (!effectiveAction) {
       return res.status(400).json({ error: 'Action/operation required' });
     }
+
+    // Optimistic concurrency (utils/rowVersion.ts): the version the client last
+    // read. Invalid values throw a 400; absent means an unconditional write.
+    const expectedVersion = isVersionedTable(tableName) && (effectiveAction === 'update' || effectiveAction === 'delete')
+      ? parseExpectedVersion(req.body.expected_version)
+      : undefined;
     
     // Check if this is a public read operation
     const isPublicRead = PUBLIC_READ_TABLES.includes(tableName) && 
@@ -818,6 +850,9 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       ShiftEntry: 'can_edit_schedule',
       WishRequest: 'can_approve_wishes',
       AbsenceRequest: 'can_approve_absence',
+      // Employees go through /api/shift-swaps; direct writes would skip the workflow.
+      ShiftSwapRequest: 'can_edit_schedule',
+      ShiftTemplate: 'can_edit_schedule',
     };
     const WRITE_ACTIONS = ['create', 'update', 'delete', 'bulkCreate'];
     const requiredPerm = (PROTECTED_WRITE_TABLES as Record<string, string>)[tableName];
@@ -915,6 +950,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
           validColumns,
           actorEmail: creq.user?.email || 'system',
         });
+        await audit([{ entity: tableName, action: 'create', recordId: (created as { id: string }).id, after: created as Record<string, unknown> }]);
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'create', recordId: (created as { id: string }).id, actor });
         }
@@ -923,7 +959,9 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'update') {
         if (!id) return res.status(400).json({ error: 'ID required for update' });
         const validColumns = await getValidColumns(dbPool, tableName, cacheKey);
+        const before = await loadAuditBefore(id);
         const updated = await updateQualification({ dbPool, id, data, validColumns });
+        await audit([{ entity: tableName, action: 'update', recordId: id, before, after: updated as Record<string, unknown> }]);
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'update', recordId: id, actor });
         }
@@ -932,6 +970,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'delete') {
         if (!id) return res.status(400).json({ error: 'ID required for delete' });
         const deletedRecord = await deleteQualification({ dbPool, id });
+        await audit([{ entity: tableName, action: 'delete', recordId: id, before: deletedRecord as Record<string, unknown> | null }]);
         await writeAuditLog(dbPool, {
           level: 'audit',
           source: 'Löschung',
@@ -997,6 +1036,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
           validColumns,
           actorEmail: creq.user?.email || 'system',
         });
+        await audit([{ entity: tableName, action: 'create', recordId: (created as { id: string }).id, after: created as Record<string, unknown> }]);
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'create', recordId: (created as { id: string }).id, actor });
         }
@@ -1005,7 +1045,9 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'update') {
         if (!id) return res.status(400).json({ error: 'ID required for update' });
         const validColumns = await getValidColumns(dbPool, tableName, cacheKey);
+        const before = await loadAuditBefore(id);
         const updated = await updateWishRequest({ dbPool, id, data, validColumns });
+        await audit([{ entity: tableName, action: 'update', recordId: id, before, after: updated as Record<string, unknown> }]);
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'update', recordId: id, actor });
         }
@@ -1014,6 +1056,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'delete') {
         if (!id) return res.status(400).json({ error: 'ID required for delete' });
         const deletedRecord = await deleteWishRequest({ dbPool, id });
+        await audit([{ entity: tableName, action: 'delete', recordId: id, before: deletedRecord as Record<string, unknown> | null }]);
         await writeAuditLog(dbPool, {
           level: 'audit',
           source: 'Löschung',
@@ -1066,6 +1109,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
             validColumns,
             actorEmail: creq.user?.email || 'system',
           });
+          await audit([{ entity: tableName, action: 'create', recordId: (created as { id: string }).id, after: created as Record<string, unknown> }]);
           if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'create', recordId: (created as { id: string }).id, actor });
           }
@@ -1088,8 +1132,10 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'update') {
         if (!id) return res.status(400).json({ error: 'ID required for update' });
         const validColumns = await getValidColumns(dbPool, tableName, cacheKey);
+        const before = await loadAuditBefore(id);
         try {
           const updated = await updateDoctor({ dbPool, id, data, validColumns });
+          await audit([{ entity: tableName, action: 'update', recordId: id, before, after: updated as Record<string, unknown> }]);
           if (isPlanSyncEntity(tableName)) {
             broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'update', recordId: id, actor });
           }
@@ -1111,6 +1157,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       if (effectiveAction === 'delete') {
         if (!id) return res.status(400).json({ error: 'ID required for delete' });
         const deletedRecord = await deleteDoctor({ dbPool, id });
+        await audit([{ entity: tableName, action: 'delete', recordId: id, before: deletedRecord as Record<string, unknown> | null }]);
         await writeAuditLog(dbPool, {
           level: 'audit',
           source: 'Löschung',
@@ -1134,6 +1181,26 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
     // permission guard already ran in the pre-action block. bulkCreate falls
     // through to the generic dispatch (complex central-split, no direct e2e).
     if (tableName === 'ShiftEntry') {
+      // Draft/publish workflow: readers without can_edit_schedule get the
+      // published version only (utils/schedulePublication.ts), except for
+      // their own non-service rows, which they maintain themselves.
+      const isRead = effectiveAction === 'list' || effectiveAction === 'filter' || effectiveAction === 'get';
+      if (isRead && await readsPublishedScheduleOnly(dbPool, () => canEditSchedule(creq.user?.sub))) {
+        const ownDoctorId = creq.user?.doctor_id ? String(creq.user.doctor_id) : null;
+        if (effectiveAction === 'get') {
+          if (!id) return res.json(null);
+          const ownRow = ownDoctorId ? await getShiftEntry({ tenantDb: dbPool, masterDb: db, id }) : null;
+          return res.json(await getPublishedShiftRow(
+            dbPool, id, ownDoctorId ? { doctorId: ownDoctorId, rows: ownRow ? [ownRow] : [] } : undefined,
+          ));
+        }
+        const filters = query || req.body.filters || {};
+        const ownDraft = ownDoctorId && (filters.doctor_id === undefined || String(filters.doctor_id) === ownDoctorId) ? {
+          doctorId: ownDoctorId,
+          rows: await listShiftEntries({ tenantDb: dbPool, masterDb: db, filters: { ...filters, doctor_id: ownDoctorId } }),
+        } : undefined;
+        return res.json(await listPublishedShiftRows(dbPool, { filters, sort, limit, skip, ownDraft }));
+      }
       if (effectiveAction === 'list' || effectiveAction === 'filter') {
         if (creq.db) {
           try {
@@ -1172,6 +1239,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
             dbPool, masterDb: db, req: creq, data, cacheKey,
             getValidColumns, WORKPLACE_CACHE, WORKPLACE_CACHE_TTL, ensureScheduleBlockTable,
           });
+          await audit([{ entity: tableName, action: 'create', recordId: (result as { id?: string })?.id, after: result as Record<string, unknown> }]);
           if (isPlanSyncEntity(tableName)) {
             broadcastPlanUpdate({ scope: realtimeScope, entity: tableName, action: 'create', recordId: (result as { id?: string })?.id || (data as { id: string }).id, actor });
           }
@@ -1185,10 +1253,12 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       }
       if (effectiveAction === 'update') {
         if (!id) return res.status(400).json({ error: 'ID required for update' });
+        const before = await loadAuditBefore(id);
         try {
           const { result } = await updateShiftEntry({
-            dbPool, masterDb: db, req: creq, id, data, cacheKey, getValidColumns,
+            dbPool, masterDb: db, req: creq, id, data, cacheKey, getValidColumns, expectedVersion,
           });
+          await audit([{ entity: tableName, action: 'update', recordId: id, before, after: result as Record<string, unknown> }]);
           if (isPlanSyncEntity(tableName)) {
             broadcastPlanUpdate({
               scope: realtimeScope, entity: tableName, action: 'update', recordId: id, actor,
@@ -1204,7 +1274,18 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       }
       if (effectiveAction === 'delete') {
         if (!id) return res.status(400).json({ error: 'ID required for delete' });
-        const { central, deletedRecord } = await deleteShiftEntry({ dbPool, masterDb: db, req: creq, id });
+        const before = await loadAuditBefore(id);
+        let deleted;
+        try {
+          deleted = await deleteShiftEntry({ dbPool, masterDb: db, req: creq, id, expectedVersion });
+        } catch (err) {
+          if ((err as CuraDbError).status === 409 && (err as CuraDbError).body) {
+            return res.status(409).json((err as CuraDbError).body);
+          }
+          throw err;
+        }
+        const { central, deletedRecord } = deleted;
+        await audit([{ entity: tableName, action: 'delete', recordId: id, before: before || deletedRecord }]);
         if (!central) {
           // Tenant delete: write audit log (central deletes don't audit here)
           await writeAuditLog(dbPool, {
@@ -1282,6 +1363,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
         // `INSERT INTO \`t\` (\`k\`,...) VALUES (?,...)` — same columns, same
         // toSqlValue marshaling, ER_DUP_ENTRY propagates with .code intact.
         await insertRow(dbPool, tableName, keys, data);
+        await audit([{ entity: tableName, action: 'create', recordId: data.id, after: data }]);
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({
             scope: realtimeScope,
@@ -1305,6 +1387,7 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
             data.name = retryName;
             try {
               await insertRow(dbPool, tableName, keys, data);
+              await audit([{ entity: tableName, action: 'create', recordId: data.id, after: data }]);
               if (isPlanSyncEntity(tableName)) {
                 broadcastPlanUpdate({
                   scope: realtimeScope,
@@ -1345,9 +1428,22 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       // UPDATE through Kysely (PR 1.2) so the table + column identifiers are
       // escaped centrally. Behavior matches the previous hand-built
       // `UPDATE \`t\` SET \`k\`=?,... WHERE id = ?`.
-      await updateRow(dbPool, tableName, keys, data, id);
+      const before = await loadAuditBefore(id);
+      if (validColumns?.includes(VERSION_COLUMN)) {
+        try {
+          await updateVersionedRow(dbPool, tableName, keys, data, id, expectedVersion);
+        } catch (err) {
+          if ((err as CuraDbError).status === 409 && (err as CuraDbError).body) {
+            return res.status(409).json((err as CuraDbError).body);
+          }
+          throw err;
+        }
+      } else {
+        await updateRow(dbPool, tableName, keys, data, id);
+      }
 
       const row = await selectRow(dbPool, tableName, id);
+      await audit([{ entity: tableName, action: 'update', recordId: id, before, after: row ? fromSqlRow(row) as Record<string, unknown> : null }]);
       if (isPlanSyncEntity(tableName)) {
         broadcastPlanUpdate({
           scope: realtimeScope,
@@ -1371,7 +1467,22 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       const existing = await selectRow(dbPool, tableName, id);
       const deletedRecord = existing ? fromSqlRow(existing) : null;
 
-      await deleteRow(dbPool, tableName, id);
+      // Same guard as the update path: tenants without the version column yet
+      // delete unconditionally instead of failing on an unknown column
+      const validColumns = expectedVersion !== undefined ? await getValidColumns(dbPool, tableName, cacheKey) : null;
+      if (expectedVersion !== undefined && validColumns?.includes(VERSION_COLUMN)) {
+        try {
+          await deleteVersionedRow(dbPool, tableName, id, expectedVersion);
+        } catch (err) {
+          if ((err as CuraDbError).status === 409 && (err as CuraDbError).body) {
+            return res.status(409).json((err as CuraDbError).body);
+          }
+          throw err;
+        }
+      } else {
+        await deleteRow(dbPool, tableName, id);
+      }
+      await audit([{ entity: tableName, action: 'delete', recordId: id, before: deletedRecord as Record<string, unknown> | null }]);
       
       // Write audit to SystemLog table
       const userEmail = creq.user?.email || 'unknown';
@@ -1456,6 +1567,9 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
           createdRows.push(...processed);
         }
 
+        await audit(createdRows.map((row) => ({
+          entity: tableName, action: 'create' as const, recordId: (row as { id?: string }).id, after: row as Record<string, unknown>,
+        })));
         if (isPlanSyncEntity(tableName)) {
           broadcastPlanUpdate({
             scope: realtimeScope,
@@ -1550,6 +1664,9 @@ router.post('/', async (req: Request, res: Response, next: NextFunction) => {
       // beginTransaction/commit/rollback loop). `keys` are already filtered via
       // getValidColumns above.
       await bulkInsert(dbPool, tableName, keys as string[], processed);
+      await audit(processed.map((row: Record<string, unknown>) => ({
+        entity: tableName, action: 'create' as const, recordId: row.id as string, after: row,
+      })));
 
       if (isPlanSyncEntity(tableName)) {
         broadcastPlanUpdate({
@@ -30,7 +30,7 @@ interface CuraRequest extends Request {
 import { db } from '../index.js';
 import { authMiddleware } from './auth.js';
 import { requirePermission } from '../utils/permissions.js';
-import { parseDbToken } from '../utils/crypto.js';
+import { computeTenantKeyFromToken, parseDbToken } from '../utils/crypto.js';
 import {
   loadUserGroupContext,
   listUserGroups,
@@ -47,6 +47,7 @@ import {
   validateSharedShiftTenantRules,
 } from '../utils/sharedShiftTenantRules.js';
 import { getPublicHolidayDatesForYear } from './holidays.js';
+import { auditContextFromRequest, recordAudit } from '../utils/auditTrail.js';
 import { ensureCentralAbsenceTables, isCentralAbsencePosition, loadLinkedDoctors } from '../utils/centralAbsences.js';
 import {
   ensureCentralWishTables,
@@ -1864,6 +1865,29 @@ async function loadShiftsWindow(workplaceId: any, dateStr: any) {
   return rows.map((r: any) => ({ ...r, date: String(r.date).slice(0, 10) }));
 }
 
+// force=1: removes the tenant rotation entries that block a pool shift. The
+// deletion is audited under the billing tenant, not the requesting one.
+async function deleteTenantRotationConflicts(req: CuraRequest, tenantToken: any, ids: string[]) {
+  if (ids.length === 0) return;
+  await withTenantDb(tenantToken, async (pool: any) => {
+    const placeholders = ids.map(() => '?').join(',');
+    const [rows] = await pool.execute(`SELECT * FROM ShiftEntry WHERE id IN (${placeholders})`, ids) as [any[], any];
+    await pool.execute(
+      `DELETE FROM ShiftEntry WHERE id IN (${placeholders})`,
+      ids
+    );
+    await recordAudit(db, {
+      ...auditContextFromRequest(req, 'groups'),
+      tenantKey: computeTenantKeyFromToken(tenantToken.token) || 'default',
+    }, rows.map((row: any) => ({ entity: 'ShiftEntry', action: 'delete' as const, recordId: row.id, before: row })));
+  });
+}
+
+async function loadSharedShiftForAudit(shiftId: string): Promise<Record<string, unknown> | null> {
+  const [rows] = await db.execute('SELECT * FROM shared_shift_entry WHERE id = ?', [shiftId]) as [any[], any];
+  return rows[0] || null;
+}
+
 router.post('/:groupId/shifts', requirePermission('can_assign_pool_shifts'), async (req: Request, res: Response) => {
   try {
     const ctx = await loadCtx(req, res);
@@ -1940,16 +1964,8 @@ router.post('/:groupId/shifts', requirePermission('can_assign_pool_shifts'), asy
       const rotationConflicts = (tenantRuleResult.blockers || []).filter((b: any) => b.rule === 'rotation_conflict' && b.rotationShiftId
       );
       if (rotationConflicts.length > 0) {
-        await withTenantDb(tenantRuleContext.tenantToken, async (pool: any) => {
-          const ids = rotationConflicts.map((b: any) => b.rotationShiftId).filter(Boolean);
-          if (ids.length > 0) {
-            const placeholders = ids.map(() => '?').join(',');
-            await pool.execute(
-              `DELETE FROM ShiftEntry WHERE id IN (${placeholders})`,
-              ids
-            );
-          }
-        });
+        await deleteTenantRotationConflicts(req as CuraRequest, tenantRuleContext.tenantToken,
+          rotationConflicts.map((b: any) => b.rotationShiftId).filter(Boolean));
       }
     }
 
@@ -1962,6 +1978,9 @@ router.post('/:groupId/shifts', requirePermission('can_assign_pool_shifts'), asy
        start_time || null, end_time || null, note || null,
        (req as CuraRequest).user?.email || (req as CuraRequest).user?.sub]
     );
+    await recordAudit(db, auditContextFromRequest(req as CuraRequest, 'groups'), [
+      { entity: 'shared_shift_entry', action: 'create', recordId: id, after: await loadSharedShiftForAudit(id) },
+    ]);
     await ensureTenantAutoFreiEntry({
       shiftId: id,
       workplace,
@@ -2075,21 +2094,21 @@ router.patch('/:groupId/shifts/:shiftId', requirePermission('can_assign_pool_shi
       const rotationConflicts = (tenantRuleResult.blockers || []).filter((b: any) => b.rule === 'rotation_conflict' && b.rotationShiftId
       );
       if (rotationConflicts.length > 0) {
-        await withTenantDb(tenantRuleContext.tenantToken, async (pool: any) => {
-          const ids = rotationConflicts.map((b: any) => b.rotationShiftId).filter(Boolean);
-          if (ids.length > 0) {
-            const placeholders = ids.map(() => '?').join(',');
-            await pool.execute(
-              `DELETE FROM ShiftEntry WHERE id IN (${placeholders})`,
-              ids
-            );
-          }
-        });
+        await deleteTenantRotationConflicts(req as CuraRequest, tenantRuleContext.tenantToken,
+          rotationConflicts.map((b: any) => b.rotationShiftId).filter(Boolean));
       }
     }
 
     values.push(String(req.params.shiftId));
+    const auditBefore = await loadSharedShiftForAudit(String(req.params.shiftId));
     await db.execute(`UPDATE shared_shift_entry SET ${fields.join(', ')} WHERE id = ?`, values);
+    await recordAudit(db, auditContextFromRequest(req as CuraRequest, 'groups'), [{
+      entity: 'shared_shift_entry',
+      action: 'update',
+      recordId: String(req.params.shiftId),
+      before: auditBefore,
+      after: await loadSharedShiftForAudit(String(req.params.shiftId)),
+    }]);
     await cleanupTenantAutoFreiEntry({ shiftId: String(req.params.shiftId), tenantId: currentShift.billing_tenant_id });
     if (String(nextState.billing_tenant_id) !== String(currentShift.billing_tenant_id)) {
       await cleanupTenantAutoFreiEntry({ shiftId: String(req.params.shiftId), tenantId: nextState.billing_tenant_id });
@@ -2129,6 +2148,7 @@ router.delete('/:groupId/shifts/:shiftId', requirePermission('can_assign_pool_sh
     if (rows.length === 0) return res.status(404).json({ error: 'Schicht nicht gefunden' });
 
     await cleanupTenantAutoFreiEntry({ shiftId: String(req.params.shiftId), tenantId: rows[0].billing_tenant_id });
+    const auditBefore = await loadSharedShiftForAudit(String(req.params.shiftId));
     const [result] = await db.execute(
       `DELETE s FROM shared_shift_entry s
          JOIN shared_workplace w ON w.id = s.shared_workplace_id
@@ -2136,6 +2156,9 @@ router.delete('/:groupId/shifts/:shiftId', requirePermission('can_assign_pool_sh
       [String(req.params.shiftId), String(String(req.params.groupId))]
     ) as [ResultSetHeader, unknown];
     if (result.affectedRows === 0) return res.status(404).json({ error: 'Schicht nicht gefunden' });
+    await recordAudit(db, auditContextFromRequest(req as CuraRequest, 'groups'), [
+      { entity: 'shared_shift_entry', action: 'delete', recordId: String(req.params.shiftId), before: auditBefore },
+    ]);
     res.status(204).end();
   } catch (err) {
     handleError(res, err);
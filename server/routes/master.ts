@@ -19,6 +19,7 @@ import { authMiddleware } from './auth.js';
 import { requirePermission } from '../utils/permissions.js';
 import { parseDbToken } from '../utils/crypto.js';
 import { deleteEmployeeDependentRecords } from '../utils/masterEmployees.js';
+import { auditContextFromRequest, diffAuditRows, recordAudit, type AuditChange } from '../utils/auditTrail.js';
 import {
   resolveEmployeeTargetWeeklyHours,
   syncEmployeeWorkSettingsToTenantDoctors,
@@ -56,6 +57,17 @@ const cuReq = (req: Request) => req as unknown as CuraRequest;
 const cuSub = (req: Request) => cuReq(req).user?.sub || '';
 const cuEmail = (req: Request) => cuReq(req).user?.email || null;
 
+// Employee master data is central: audited without a tenant (tenant_key NULL).
+const auditMaster = (req: Request, changes: AuditChange[]) =>
+  recordAudit(db, auditContextFromRequest(cuReq(req), 'master', { central: true }), changes);
+
+const loadAuditRows = async (sqlText: string, params: unknown[]): Promise<Record<string, unknown>[]> => {
+  const [rows] = await db.execute(sqlText, params) as [any[], any];
+  return rows;
+};
+const loadEmployeeForAudit = async (id: string) =>
+  (await loadAuditRows('SELECT * FROM Employee WHERE id = ?', [id]))[0] || null;
+
 const router = express.Router();
 router.use(authMiddleware);
 router.use(requirePermission('can_manage_master_data'));
@@ -1826,7 +1838,7 @@ async function aggregateVacationAcrossTenants(adminUserId: any, assignments: any
   if (employeeId) {
     try {
       const [centralRows] = await db.execute(
-        `SELECT date, position, note FROM CentralAbsenceEntry
+        `SELECT date, position, note, half_day FROM CentralAbsenceEntry
           WHERE employee_id = ? AND YEAR(date) = ? AND position IN (${placeholders})
           ORDER BY date`,
         [employeeId, currentYear, ...absencePositions]
@@ -1842,7 +1854,7 @@ async function aggregateVacationAcrossTenants(adminUserId: any, assignments: any
           type: r.position,
           from: dateStr,
           to: dateStr,
-          days: 1,
+          days: r.half_day ? 0.5 : 1,
           note: r.note || null,
           tenant_id: null,
           tenant_name: 'Zentral',
@@ -1905,9 +1917,11 @@ async function aggregateVacationAcrossTenants(adminUserId: any, assignments: any
   // Tisoware rule: past/today rows count as taken only when they carry a
   // [TISO:...] marker in the note (same rule as the tenant calendar).
   // Future rows always count as planned.
+  // Half days (approved half-day requests) count 0.5.
+  const sumDays = (rows: any[]) => rows.reduce((sum: number, a: any) => sum + a.days, 0);
   const vacationRows = absences.filter((a: any) => a.type === 'Urlaub' && isWorkday(a.from));
-  const vacationTaken = vacationRows.filter((a: any) => a.from <= today && String(a.note || '').includes('[TISO:')).length;
-  const vacationPlanned = vacationRows.filter((a: any) => a.from > today).length;
+  const vacationTaken = sumDays(vacationRows.filter((a: any) => a.from <= today && String(a.note || '').includes('[TISO:')));
+  const vacationPlanned = sumDays(vacationRows.filter((a: any) => a.from > today));
 
   // Schichturlaub: separate balance with the same counting rules, but
   // sourced from EmployeeVacationYear.shift_vacation_days (default 0).
@@ -1918,8 +1932,8 @@ async function aggregateVacationAcrossTenants(adminUserId: any, assignments: any
     : { shift_vacation_days: 0, carried_over: false, carried_over_from_year: null, expires_at: null };
 
   const shiftVacationRows = absences.filter((a: any) => a.type === 'Schichturlaub' && isWorkday(a.from));
-  const shiftVacationTaken = shiftVacationRows.filter((a: any) => a.from <= today && String(a.note || '').includes('[TISO:')).length;
-  const shiftVacationPlanned = shiftVacationRows.filter((a: any) => a.from > today).length;
+  const shiftVacationTaken = sumDays(shiftVacationRows.filter((a: any) => a.from <= today && String(a.note || '').includes('[TISO:')));
+  const shiftVacationPlanned = sumDays(shiftVacationRows.filter((a: any) => a.from > today));
   const shiftVacationTotal = Number(shiftEntitlement.shift_vacation_days) || 0;
 
   return {
@@ -2216,6 +2230,7 @@ router.post('/employees', async (req: Request, res: Response, next: NextFunction
       ]
     );
 
+    await auditMaster(req, [{ entity: 'Employee', action: 'create', recordId: id, after: await loadEmployeeForAudit(id) }]);
     console.log(`[Master employees] Created employee ${id} (${last_name}) by user ${cuSub(req)}`);
     res.status(201).json({ id, last_name, first_name });
   } catch (error: any) {
@@ -2269,7 +2284,11 @@ router.put('/employees/:id', async (req: Request, res: Response, next: NextFunct
     }
 
     values.push(id);
+    const auditBefore = await loadEmployeeForAudit(String(id));
     await db.execute(`UPDATE Employee SET ${updates.join(', ')} WHERE id = ?`, values);
+    await auditMaster(req, [{
+      entity: 'Employee', action: 'update', recordId: String(id), before: auditBefore, after: await loadEmployeeForAudit(String(id)),
+    }]);
 
     const [employeeRows] = await db.execute(
       `SELECT e.id, e.target_hours_per_week, e.vacation_days_annual, e.work_time_model_id, wtm.hours_per_week as model_hours_per_week
@@ -2360,6 +2379,9 @@ router.put('/employees/:id/assignments', async (req: Request, res: Response, nex
       }
     }
 
+    const updatedAssignments = await loadAuditRows('SELECT * FROM EmployeeTenantAssignment WHERE employee_id = ?', [id]);
+    await auditMaster(req, diffAuditRows('EmployeeTenantAssignment', currentAssignments, updatedAssignments));
+
     console.log(`[Master employees] Updated assignments for employee ${id} by user ${cuSub(req)}`);
     res.json({ success: true });
   } catch (error: any) {
@@ -2410,10 +2432,17 @@ router.delete('/employees/:id', async (req: Request, res: Response, next: NextFu
       }
     }
 
+    const auditEmployee = await loadEmployeeForAudit(String(id));
+    const auditAssignments = await loadAuditRows('SELECT * FROM EmployeeTenantAssignment WHERE employee_id = ?', [id]);
+
     await deleteEmployeeDependentRecords(db, String(id));
 
     // Delete employee
     await db.execute('DELETE FROM Employee WHERE id = ?', [id]);
+    await auditMaster(req, [
+      ...diffAuditRows('EmployeeTenantAssignment', auditAssignments, []),
+      { entity: 'Employee', action: 'delete', recordId: String(id), before: auditEmployee },
+    ]);
 
     const name = [empRows[0].first_name, empRows[0].last_name].filter(Boolean).join(' ');
     console.log(`[Master employees] Permanently deleted employee ${id} (${name}) by ${cuEmail(req)}`);
@@ -2497,6 +2526,12 @@ router.post('/employees/import-from-tenant', async (req: Request, res: Response,
            VALUES (?, ?, ?, ?, 1.00, TRUE, CURDATE())`,
           [crypto.randomUUID(), empId, tenant_id, doctor_id]
         );
+        await auditMaster(req, [
+          { entity: 'Employee', action: 'create', recordId: empId, after: await loadEmployeeForAudit(empId) },
+          ...diffAuditRows('EmployeeTenantAssignment', [], await loadAuditRows(
+            'SELECT * FROM EmployeeTenantAssignment WHERE employee_id = ?', [empId],
+          )),
+        ]);
 
         results.push({ doctor_id, name, employee_id: empId, status: 'success' });
       } catch (err: any) {
@@ -2558,6 +2593,9 @@ router.post('/employees/:id/link-tenant', async (req: Request, res: Response, ne
       );
     });
 
+    const linkAuditSql = 'SELECT * FROM EmployeeTenantAssignment WHERE tenant_id = ? AND (tenant_doctor_id = ? OR employee_id = ?)';
+    const assignmentsBefore = await loadAuditRows(linkAuditSql, [tenant_id, doctor_id, id]);
+
     await db.execute(
       'DELETE FROM EmployeeTenantAssignment WHERE tenant_id = ? AND tenant_doctor_id = ? AND employee_id != ?',
       [tenant_id, doctor_id, id]
@@ -2581,6 +2619,9 @@ router.post('/employees/:id/link-tenant', async (req: Request, res: Response, ne
       );
     }
 
+    await auditMaster(req, diffAuditRows(
+      'EmployeeTenantAssignment', assignmentsBefore, await loadAuditRows(linkAuditSql, [tenant_id, doctor_id, id]),
+    ));
     console.log(`[Master employees] Linked employee ${id} to tenant ${tenant_id} doctor ${doctor_id} by user ${cuSub(req)}`);
     await withTenantDb(token, async (pool: any) => {
       await migrateTenantDoctorAbsencesToCentral({
@@ -2651,10 +2692,15 @@ router.post('/employees/unlink-tenant', async (req: Request, res: Response, next
       return [];
     });
 
+    const unlinkedAssignments = await loadAuditRows(
+      'SELECT * FROM EmployeeTenantAssignment WHERE tenant_id = ? AND tenant_doctor_id = ?',
+      [tenant_id, doctor_id]
+    );
     await db.execute(
       'DELETE FROM EmployeeTenantAssignment WHERE tenant_id = ? AND tenant_doctor_id = ?',
       [tenant_id, doctor_id]
     );
+    await auditMaster(req, diffAuditRows('EmployeeTenantAssignment', unlinkedAssignments, []));
 
     console.log(`[Master employees] Unlinked tenant ${tenant_id} doctor ${doctor_id} by user ${cuSub(req)}`);
     res.json({ success: true });
@@ -2774,6 +2820,7 @@ router.post('/employees/:id/relationships', async (req: Request, res: Response,
       [relId]
     ) as [any[], any];
 
+    await auditMaster(req, [{ entity: 'EmployeeRelationship', action: 'create', recordId: relId, after: rows[0] || null }]);
     console.log(`[Master relationships] Created relationship ${relId}: ${id} <-> ${related_employee_id} (${relationship_type || 'lebensgemeinschaft'}) by user ${cuSub(req)}`);
     res.status(201).json({ relationship: rows[0] });
   } catch (error: any) {
@@ -2791,7 +2838,7 @@ router.delete('/employees/:id/relationships/:relationshipId', async (req: Reques
     const { id, relationshipId } = req.params;
 
     const [existing] = await db.execute(
-      'SELECT id FROM EmployeeRelationship WHERE id = ? AND (employee_id = ? OR related_employee_id = ?)',
+      'SELECT * FROM EmployeeRelationship WHERE id = ? AND (employee_id = ? OR related_employee_id = ?)',
       [relationshipId, id, id]
     ) as [any[], any];
     if (existing.length === 0) {
@@ -2799,6 +2846,7 @@ router.delete('/employees/:id/relationships/:relationshipId', async (req: Reques
     }
 
     await db.execute('DELETE FROM EmployeeRelationship WHERE id = ?', [relationshipId]);
+    await auditMaster(req, [{ entity: 'EmployeeRelationship', action: 'delete', recordId: String(relationshipId), before: existing[0] }]);
 
     console.log(`[Master relationships] Deleted relationship ${relationshipId} by user ${cuSub(req)}`);
     res.json({ success: true });
@@ -3532,10 +3580,13 @@ router.post('/employees/bulk-apply-tariff', async (req: Request, res: Response,
     const placeholders = employee_ids.map(() => '?').join(', ');
     params.push(...employee_ids);
 
+    const employeeAuditSql = `SELECT * FROM Employee WHERE id IN (${placeholders})`;
+    const employeesBefore = await loadAuditRows(employeeAuditSql, employee_ids);
     const [result] = await db.execute(
       `UPDATE Employee SET ${updates.join(', ')} WHERE id IN (${placeholders})`,
       params
     ) as [any[], any];
+    await auditMaster(req, diffAuditRows('Employee', employeesBefore, await loadAuditRows(employeeAuditSql, employee_ids)));
     const updatedCount = (result as Record<string, unknown>[] & [{ affectedRows?: number }])?.[0]?.affectedRows;
 
     // Sync to tenant doctors for all affected employees
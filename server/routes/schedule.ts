@@ -1,12 +1,28 @@
 import type { Pool, RowDataPacket } from 'mysql2/promise';
 import type { Request, Response, NextFunction } from 'express';
 import express from 'express';
+import crypto from 'crypto';
 import ExcelJS from 'exceljs';
 import { db } from '../index.js';
 import { authMiddleware } from './auth.js';
 import { format, addDays, parseISO } from 'date-fns';
 import { de } from 'date-fns/locale';
 import { listShiftEntriesWithCentralAbsences } from '../utils/centralAbsences.js';
+import { requirePermission, checkAdminPermission } from '../utils/permissions.js';
+import { getEmailProviderInfo } from '../utils/email.js';
+import { broadcastPlanUpdate, buildRealtimeScope } from '../utils/realtime.js';
+import {
+  diffAgainstPublished,
+  listPublications,
+  listPublishedShiftRows,
+  loadPublishedEntries,
+  publishAndNotifyScheduleChanges,
+  readsPublishedScheduleOnly,
+} from '../utils/schedulePublication.js';
+import { DEFAULT_FILL_CATEGORIES, loadAutoFillInput, shiftDay } from '../utils/autoFillModel.js';
+import { cancelAutoFillJob, getAutoFillJob, listAutoFillJobs, startAutoFillJob } from '../utils/autoFillJobs.js';
+import { getPublicHolidayDatesForYear } from './holidays.js';
+import { fairnessLedgerWindow, loadFairnessLedger } from '../utils/fairnessLedger.js';
 
 const router = express.Router();
 router.use(authMiddleware);
@@ -14,6 +30,7 @@ router.use(authMiddleware);
 type ExtendedRequest = Request & {
   user?: { sub?: string; role?: string; doctor_id?: string; [key: string]: unknown };
   db?: Pool;
+  dbToken?: string | null;
 };
 
 interface ShiftRow {
@@ -64,6 +81,12 @@ interface ColorRow {
   [key: string]: unknown;
 }
 
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PUBLISH_RANGE_DAYS = 366;
+const MAX_AUTOFILL_RANGE_DAYS = 62;
+const DEFAULT_AUTOFILL_TIME_LIMIT_SECONDS = 10;
+const MAX_AUTOFILL_TIME_LIMIT_SECONDS = 120;
+
 // Default colors for sections and positions
 const DEFAULT_COLORS: Record<string, Record<string, { bg: string; text: string }>> = {
   sections: {
@@ -115,23 +138,27 @@ router.post('/export', async (req: Request, res: Response, next: NextFunction):
     const extReq = req as ExtendedRequest;
     const dbPool = extReq.db || db;
 
-    // Fetch all required data from database
-    const shiftRows = (extReq.db
-      ? await listShiftEntriesWithCentralAbsences({
-          tenantDb: dbPool,
-          masterDb: db,
-          filters: {
-            date: {
-              $gte: String(startDate),
-              $lte: String(endDate),
-            },
-          },
-          sort: 'date',
-        })
-      : (await dbPool.execute(
-          `SELECT * FROM ShiftEntry WHERE date >= ? AND date <= ? ORDER BY date, \`order\``,
-          [String(startDate), String(endDate)]
-        ) as [ShiftRow[], unknown])[0]) as ShiftRow[];
+    // Fetch all required data from database. With the publish workflow, readers
+    // who may not see the draft export the published version.
+    const canEditSchedule = async () => Boolean(extReq.user?.sub)
+      && (await checkAdminPermission(db, String(extReq.user?.sub), 'can_edit_schedule')).allowed;
+    const shiftFilters = { date: { $gte: String(startDate), $lte: String(endDate) } };
+    let shiftRows: ShiftRow[];
+    if (await readsPublishedScheduleOnly(dbPool, canEditSchedule)) {
+      shiftRows = await listPublishedShiftRows(dbPool, { filters: shiftFilters, sort: 'date' }) as unknown as ShiftRow[];
+    } else if (extReq.db) {
+      shiftRows = await listShiftEntriesWithCentralAbsences({
+        tenantDb: dbPool,
+        masterDb: db,
+        filters: shiftFilters,
+        sort: 'date',
+      }) as unknown as ShiftRow[];
+    } else {
+      [shiftRows] = await dbPool.execute(
+        `SELECT * FROM ShiftEntry WHERE date >= ? AND date <= ? ORDER BY date, \`order\``,
+        [String(startDate), String(endDate)]
+      ) as [ShiftRow[], unknown];
+    }
 
     const [doctorRows] = await dbPool.execute(`SELECT * FROM Doctor`) as [DoctorRow[], unknown];
     const [workplaceRows] = await dbPool.execute(`SELECT * FROM Workplace ORDER BY \`order\``) as [WorkplaceRow[], unknown];
@@ -368,17 +395,282 @@ router.post('/export', async (req: Request, res: Response, next: NextFunction):
   }
 });
 
-// ===== SEND SCHEDULE NOTIFICATIONS =====
-router.post('/notify', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+// ===== PUBLISHED VERSIONS =====
+
+/** Validated `YYYY-MM-DD` range of at most MAX_PUBLISH_RANGE_DAYS, or an error message. */
+const readDateRange = (startValue: unknown, endValue: unknown): { startDate: string; endDate: string } | { error: string } => {
+  const startDate = String(startValue ?? '');
+  const endDate = String(endValue ?? '');
+  if (!ISO_DATE_PATTERN.test(startDate) || !ISO_DATE_PATTERN.test(endDate) || startDate > endDate) {
+    return { error: 'startDate und endDate (YYYY-MM-DD) sind erforderlich' };
+  }
+  if (addDays(parseISO(startDate), MAX_PUBLISH_RANGE_DAYS) <= parseISO(endDate)) {
+    return { error: `Der Zeitraum darf höchstens ${MAX_PUBLISH_RANGE_DAYS} Tage umfassen` };
+  }
+  return { startDate, endDate };
+};
+
+/** Current (draft) plan of the range, including central absences of linked employees. */
+const loadCurrentScheduleEntries = async (extReq: ExtendedRequest, startDate: string, endDate: string): Promise<Array<Record<string, unknown>>> => {
+  const dbPool = extReq.db || db;
+  return (extReq.db
+    ? await listShiftEntriesWithCentralAbsences({
+        tenantDb: dbPool,
+        masterDb: db,
+        filters: { date: { $gte: startDate, $lte: endDate } },
+      })
+    : (await dbPool.execute(
+        'SELECT * FROM ShiftEntry WHERE date >= ? AND date <= ?',
+        [startDate, endDate]
+      ) as [RowDataPacket[], unknown])[0]) as Array<Record<string, unknown>>;
+};
+
+const publishRange = async (req: Request, res: Response, { notify }: { notify: boolean }): Promise<void> => {
+  const body = req.body as Record<string, unknown>;
+  const range = readDateRange(body.startDate, body.endDate);
+  if ('error' in range) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+  const { startDate, endDate } = range;
+  const dryRun = body.dryRun === true;
+
+  if (notify && !dryRun && !getEmailProviderInfo().configured) {
+    res.status(503).json({
+      error: 'E-Mail nicht konfiguriert. Bitte BREVO_API_KEY oder SMTP_HOST + SMTP_USER + SMTP_PASS setzen.'
+    });
+    return;
+  }
+
+  const extReq = req as ExtendedRequest;
+  const dbPool = extReq.db || db;
+  const actorEmail = typeof extReq.user?.email === 'string' ? extReq.user.email : null;
+
+  const { changes, ...result } = await publishAndNotifyScheduleChanges(dbPool, {
+    startDate,
+    endDate,
+    currentEntries: await loadCurrentScheduleEntries(extReq, startDate, endDate),
+    publishedBy: actorEmail ?? extReq.user?.sub ?? null,
+    notify,
+    dryRun,
+  });
+
+  if (!dryRun) {
+    broadcastPlanUpdate({
+      scope: buildRealtimeScope(extReq.dbToken),
+      entity: 'SchedulePublication',
+      action: 'create',
+      recordId: result.publicationId,
+      actor: { id: extReq.user?.sub, email: actorEmail ?? undefined },
+    });
+
+    const summary = notify
+      ? `Geänderte Tage: ${result.changedDays}, E-Mails: ${result.sentCount}, Fehler: ${result.errors.length}`
+      : `Geänderte Tage: ${result.changedDays}, ohne Benachrichtigung`;
+    await dbPool.execute(
+      'INSERT INTO SystemLog (id, level, source, message, details, created_date) VALUES (?, ?, ?, ?, ?, NOW())',
+      [crypto.randomUUID(), result.errors.length > 0 ? 'warning' : 'success', 'SchedulePublish',
+       `Dienstplan ${startDate} – ${endDate} veröffentlicht. ${summary}`,
+       JSON.stringify({ publicationId: result.publicationId, errors: result.errors })]
+    ).catch(() => {}); // SystemLog table might not exist
+  }
+
+  res.json({ success: true, ...result, ...(dryRun ? { changes } : {}) });
+};
+
+// Published state of a range — what read-only users see when the publish
+// workflow is enabled. Dates never published come back empty.
+router.get('/published', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const range = readDateRange(req.query.from, req.query.to);
+    if ('error' in range) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+    const extReq = req as ExtendedRequest;
+    const dbPool = extReq.db || db;
+
+    const { entries, publishedDates } = await loadPublishedEntries(dbPool, range.startDate, range.endDate);
+    const publications = await listPublications(dbPool, range.startDate, range.endDate);
+
+    res.json({
+      entries: entries.map((entry, index) => ({
+        ...entry,
+        id: entry.shift_entry_id ?? `published-${entry.date}-${index}`,
+      })),
+      publishedDates: [...publishedDates].sort(),
+      publications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 12-month fairness ledger before a planning period (board tooltips,
+// AutoFill cost, statistics), computed from the stored services.
+router.get('/fairness-ledger', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const planStart = String(req.query.planStart ?? '');
+    if (!ISO_DATE_PATTERN.test(planStart)) {
+      res.status(400).json({ error: 'planStart (YYYY-MM-DD) ist erforderlich' });
+      return;
+    }
+    const extReq = req as ExtendedRequest;
+    const dbPool = extReq.db || db;
+
+    const { start, end } = fairnessLedgerWindow(planStart);
+    const holidays = new Set<string>();
+    for (let year = Number(start.slice(0, 4)); year <= Number(end.slice(0, 4)); year++) {
+      (await getPublicHolidayDatesForYear(year)).forEach((date) => holidays.add(date));
+    }
+
+    res.json(await loadFairnessLedger(dbPool, { planStart, holidays }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything changed since the last publication of the range (diff view).
+router.get('/publish/diff', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const range = readDateRange(req.query.from, req.query.to);
+    if ('error' in range) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+    const extReq = req as ExtendedRequest;
+    const dbPool = extReq.db || db;
+
+    const { changes, unpublishedDates } = await diffAgainstPublished(dbPool, {
+      ...range,
+      currentEntries: await loadCurrentScheduleEntries(extReq, range.startDate, range.endDate),
+    });
+    const [lastPublication] = await listPublications(dbPool, range.startDate, range.endDate, 1);
+
+    res.json({ changes, unpublishedDates, lastPublication: lastPublication ?? null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Publish a range; with `notify: true` also mail the changed days.
+router.post('/publish', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const notify = (req.body as Record<string, unknown>).notify === true;
+    if (notify && !(await checkAdminPermission(db, extReq.user?.sub as string, 'can_send_schedule_emails')).allowed) {
+      res.status(403).json({ error: 'Ihnen fehlt die Berechtigung für diese Aktion', missingPermission: 'can_send_schedule_emails' });
+      return;
+    }
+    await publishRange(req, res, { notify });
+  } catch (error) {
+    console.error('[schedule-publish] Fehler:', (error as Error).message);
+    next(error);
+  }
+});
+
+// Publishes the current plan for startDate..endDate and mails every affected
+// employee only the days that changed since the previous publication.
+router.post('/notify', requirePermission('can_send_schedule_emails'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    await publishRange(req, res, { notify: true });
+  } catch (error) {
+    console.error('[schedule-notify] Fehler:', (error as Error).message);
+    next(error);
+  }
+});
+
+// ===== AUTOFILL JOBS =====
+
+// Starts a server-side AutoFill run for startDate..endDate. The job solves the
+// assignment model with the bundled optimizer and returns preview suggestions
+// plus the optimality gap; nothing is written to the plan.
+router.post('/autofill/jobs', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
     const body = req.body as Record<string, unknown>;
-    const { scheduleId, type } = body;
+    const range = readDateRange(body.startDate, body.endDate);
+    if ('error' in range) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+    const { startDate, endDate } = range;
+    if (addDays(parseISO(startDate), MAX_AUTOFILL_RANGE_DAYS) <= parseISO(endDate)) {
+      res.status(400).json({ error: `Der Zeitraum darf höchstens ${MAX_AUTOFILL_RANGE_DAYS} Tage umfassen` });
+      return;
+    }
+    const categories = Array.isArray(body.categories)
+      ? body.categories.filter((c): c is string => typeof c === 'string' && c.trim() !== '')
+      : DEFAULT_FILL_CATEGORIES;
+    if (categories.length === 0) {
+      res.status(400).json({ error: 'Mindestens eine Kategorie ist erforderlich' });
+      return;
+    }
+    const timeLimitSeconds = body.timeLimitSeconds === undefined ? DEFAULT_AUTOFILL_TIME_LIMIT_SECONDS : Number(body.timeLimitSeconds);
+    if (!Number.isFinite(timeLimitSeconds) || timeLimitSeconds < 1 || timeLimitSeconds > MAX_AUTOFILL_TIME_LIMIT_SECONDS) {
+      res.status(400).json({ error: `timeLimitSeconds muss zwischen 1 und ${MAX_AUTOFILL_TIME_LIMIT_SECONDS} liegen` });
+      return;
+    }
 
-    // Placeholder - implement actual notification logic
-    // Could use email service, push notifications, etc.
+    const weightProfileId = typeof body.weightProfileId === 'string' && body.weightProfileId ? body.weightProfileId : null;
 
-    res.json({ success: true, message: 'Notifications sent' });
+    const extReq = req as ExtendedRequest;
+    const dbPool = extReq.db || db;
+    const job = startAutoFillJob({
+      scope: buildRealtimeScope(extReq.dbToken),
+      params: { startDate, endDate, categories, timeLimitMs: Math.round(timeLimitSeconds * 1000), weightProfileId },
+      createdBy: extReq.user?.sub ?? null,
+      loadInput: async () => {
+        // Limits look back 3 weeks; Auto-Frei and consecutive days look one day ahead
+        const shifts = await loadCurrentScheduleEntries(extReq, shiftDay(startDate, -21), shiftDay(endDate, 1));
+        const holidays = new Set<string>();
+        for (let year = Number(startDate.slice(0, 4)); year <= Number(endDate.slice(0, 4)) + 1; year++) {
+          (await getPublicHolidayDatesForYear(year)).forEach((date) => holidays.add(date));
+        }
+        return loadAutoFillInput({ tenantDb: dbPool, startDate, endDate, categories, shifts, holidays, weightProfileId });
+      },
+    });
+    res.status(202).json({ job });
+  } catch (error) {
+    const statusCode = (error as Error & { statusCode?: number }).statusCode;
+    if (statusCode) {
+      res.status(statusCode).json({ error: (error as Error).message });
+      return;
+    }
+    next(error);
+  }
+});
+
+router.get('/autofill/jobs', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    res.json({ jobs: listAutoFillJobs(buildRealtimeScope((req as ExtendedRequest).dbToken)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/autofill/jobs/:id', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const job = getAutoFillJob(buildRealtimeScope((req as ExtendedRequest).dbToken), req.params.id as string);
+    if (!job) {
+      res.status(404).json({ error: 'AutoFill-Job nicht gefunden' });
+      return;
+    }
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancels a job; a running job keeps the best plan found so far.
+router.delete('/autofill/jobs/:id', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    res.json({ job: cancelAutoFillJob(buildRealtimeScope((req as ExtendedRequest).dbToken), req.params.id as string) });
   } catch (error) {
+    const statusCode = (error as Error & { statusCode?: number }).statusCode;
+    if (statusCode) {
+      res.status(statusCode).json({ error: (error as Error).message });
+      return;
+    }
     next(error);
   }
 });
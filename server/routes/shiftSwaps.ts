@@ -0,0 +1,229 @@
+import type { Pool } from 'mysql2/promise';
+import type { Request, Response, NextFunction } from 'express';
+/**
+ * Shift swap routes (Diensttausch-Börse).
+ *
+ * Employees offer or trade their own services and accept colleagues' offers;
+ * approvers with `can_edit_schedule` approve or reject accepted swaps. See
+ * utils/shiftSwaps for the lifecycle.
+ *
+ * Authentication:
+ *   - `authMiddleware` (JWT) is required for all endpoints.
+ *   - `PATCH /:id` additionally requires `can_edit_schedule`.
+ *   - Tenant DB via `x-db-token` (req.db), like the schedule routes.
+ */
+import express from 'express';
+import { authMiddleware } from './auth.js';
+import { requirePermission, checkAdminPermission } from '../utils/permissions.js';
+import { db } from '../index.js';
+import { resolveTenantIdFromToken } from '../utils/tenantGroups.js';
+import { broadcastPlanUpdate, buildRealtimeScope } from '../utils/realtime.js';
+import { auditContextFromRequest, recordAudit } from '../utils/auditTrail.js';
+import {
+  acceptShiftSwap,
+  cancelShiftSwap,
+  createShiftSwap,
+  decideShiftSwap,
+  listShiftSwaps,
+  notifyShiftSwap,
+  type ShiftSwapEvent,
+  type ShiftSwapRow,
+} from '../utils/shiftSwaps.js';
+
+const router = express.Router();
+router.use(authMiddleware);
+
+type ExtendedRequest = Request & {
+  user?: { sub?: string; email?: string; role?: string; doctor_id?: string; [key: string]: unknown };
+  db?: Pool;
+  dbToken?: string;
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function ownDoctorId(extReq: ExtendedRequest): string | null {
+  return extReq.user?.doctor_id ? String(extReq.user.doctor_id) : null;
+}
+
+async function canApproveSwaps(extReq: ExtendedRequest): Promise<boolean> {
+  if (extReq.user?.role !== 'admin') return false;
+  return (await checkAdminPermission(db, extReq.user?.sub ?? '', 'can_edit_schedule')).allowed;
+}
+
+/** Live update for every client of the tenant plus the mails of the step. */
+async function announceSwap(
+  extReq: ExtendedRequest,
+  event: ShiftSwapEvent,
+  swap: ShiftSwapRow,
+  previousAcceptorId: string | null = null,
+): Promise<void> {
+  broadcastPlanUpdate({
+    scope: buildRealtimeScope(extReq.dbToken),
+    entity: 'ShiftSwapRequest',
+    action: event === 'created' ? 'create' : 'update',
+    recordId: swap.id,
+    actor: { id: extReq.user?.sub, email: extReq.user?.email },
+  });
+  await notifyShiftSwap({
+    tenantDb: extReq.db || db,
+    masterDb: db,
+    tenantId: await resolveTenantIdFromToken(db, extReq.dbToken),
+    event,
+    swap,
+    previousAcceptorId,
+  });
+}
+
+function sendControlledError(error: unknown, res: Response): boolean {
+  const statusCode = (error as { statusCode?: number }).statusCode;
+  if (!statusCode) return false;
+  res.status(statusCode).json({ error: (error as Error).message });
+  return true;
+}
+
+// ─── GET / — Tauschbörse (eigene Sicht) oder alle Anfragen (Genehmiger) ─────
+
+router.get('/', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const canApprove = await canApproveSwaps(extReq);
+    const all = req.query.view === 'approval';
+    if (all && !canApprove) {
+      res.status(403).json({ error: 'Ihnen fehlt die Berechtigung für diese Aktion', missingPermission: 'can_edit_schedule' });
+      return;
+    }
+
+    const requests = await listShiftSwaps({
+      tenantDb: extReq.db || db,
+      doctorId: ownDoctorId(extReq),
+      all,
+      status: req.query.status ? String(req.query.status) : null,
+    });
+    res.json({ requests, canApprove });
+  } catch (error) {
+    console.error('[shift-swaps] GET failed', { message: (error as Error).message });
+    next(error);
+  }
+});
+
+// ─── POST / — Dienst anbieten oder Tausch vorschlagen ────────────────────────
+
+router.post('/', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const doctorId = ownDoctorId(extReq);
+    if (!doctorId) {
+      res.status(403).json({ error: 'Ihrem Benutzerkonto ist keine Person zugeordnet.' });
+      return;
+    }
+
+    const { shiftId, counterShiftId, message } = req.body as Record<string, unknown>;
+    const request = await createShiftSwap({
+      tenantDb: extReq.db || db,
+      requesterDoctorId: doctorId,
+      shiftId,
+      counterShiftId: counterShiftId || null,
+      message: message ? String(message) : null,
+      createdBy: extReq.user?.email ?? extReq.user?.sub ?? null,
+    });
+    await announceSwap(extReq, 'created', request);
+
+    res.status(201).json({ request });
+  } catch (error) {
+    if (sendControlledError(error, res)) return;
+    console.error('[shift-swaps] POST failed', { message: (error as Error).message });
+    next(error);
+  }
+});
+
+// ─── POST /:id/accept — Kollege nimmt an ─────────────────────────────────────
+
+router.post('/:id/accept', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const doctorId = ownDoctorId(extReq);
+    if (!doctorId) {
+      res.status(403).json({ error: 'Ihrem Benutzerkonto ist keine Person zugeordnet.' });
+      return;
+    }
+
+    const request = await acceptShiftSwap({
+      tenantDb: extReq.db || db,
+      swapId: req.params.id as string,
+      doctorId,
+    });
+    await announceSwap(extReq, 'accepted', request);
+
+    res.json({ request });
+  } catch (error) {
+    if (sendControlledError(error, res)) return;
+    console.error('[shift-swaps] accept failed', { swapId: req.params.id, message: (error as Error).message });
+    next(error);
+  }
+});
+
+// ─── POST /:id/cancel — zurückziehen (Antragsteller) bzw. Annahme zurücknehmen
+
+router.post('/:id/cancel', async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const { request, previousAcceptorId } = await cancelShiftSwap({
+      tenantDb: extReq.db || db,
+      swapId: req.params.id as string,
+      doctorId: ownDoctorId(extReq),
+      isApprover: await canApproveSwaps(extReq),
+    });
+    await announceSwap(extReq, request.status === 'cancelled' ? 'cancelled' : 'withdrawn', request, previousAcceptorId);
+
+    res.json({ request });
+  } catch (error) {
+    if (sendControlledError(error, res)) return;
+    console.error('[shift-swaps] cancel failed', { swapId: req.params.id, message: (error as Error).message });
+    next(error);
+  }
+});
+
+// ─── PATCH /:id — genehmigen / ablehnen ──────────────────────────────────────
+
+router.patch('/:id', requirePermission('can_edit_schedule'), async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    const extReq = req as ExtendedRequest;
+    const tenantDb = extReq.db || db;
+    const { status, comment } = req.body as Record<string, unknown>;
+
+    const { request, changedShifts } = await decideShiftSwap({
+      tenantDb,
+      masterDb: extReq.db ? db : undefined,
+      swapId: req.params.id as string,
+      status: String(status ?? ''),
+      decidedBy: extReq.user?.email ?? extReq.user?.sub ?? null,
+      comment: comment ? String(comment) : null,
+    });
+
+    if (changedShifts.length > 0) {
+      await recordAudit(db, auditContextFromRequest(extReq, 'shiftSwaps'), changedShifts.map((change) => ({
+        entity: 'ShiftEntry',
+        recordId: String(change.before.id),
+        action: 'update' as const,
+        before: change.before,
+        after: change.after,
+      })));
+      broadcastPlanUpdate({
+        scope: buildRealtimeScope(extReq.dbToken),
+        entity: 'ShiftEntry',
+        action: 'update',
+        recordCount: changedShifts.length,
+        actor: { id: extReq.user?.sub, email: extReq.user?.email },
+      });
+    }
+    await announceSwap(extReq, request.status === 'approved' ? 'approved' : 'rejected', request);
+
+    res.json({ request });
+  } catch (error) {
+    if (sendControlledError(error, res)) return;
+    console.error('[shift-swaps] PATCH failed', { swapId: req.params.id, message: (error as Error).message });
+    next(error);
+  }
+});
+
+export default router;
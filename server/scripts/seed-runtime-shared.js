@@ -90,6 +90,8 @@ export async function ensureTenantBaseTables(tenantPool) {
       central_employee_id VARCHAR(36) DEFAULT NULL,
       work_time_model_id VARCHAR(36) DEFAULT NULL,
       target_weekly_hours DECIMAL(4,1) DEFAULT NULL,
+      working_time_opt_out TINYINT(1) DEFAULT 0,
+      training_specialty VARCHAR(100) DEFAULT NULL,
       created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
       updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
       created_by VARCHAR(255) DEFAULT 'seed',
@@ -243,6 +245,10 @@ export async function ensureTenantBaseTables(tenantPool) {
       status VARCHAR(32) DEFAULT 'pending',
       acknowledged TINYINT(1) DEFAULT 0,
       sent_at DATETIME DEFAULT NULL,
+      date DATE DEFAULT NULL,
+      message TEXT DEFAULT NULL,
+      publication_id VARCHAR(36) DEFAULT NULL,
+      content_hash CHAR(64) DEFAULT NULL,
       created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
       updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
     ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`,
@@ -305,6 +311,7 @@ export async function ensureTenantBaseTables(tenantPool) {
       certificate_refresh_validity_months INT DEFAULT NULL,
       certificate_base_label VARCHAR(100) DEFAULT 'Grundnachweis',
       certificate_refresh_label VARCHAR(100) DEFAULT 'Verlängerung / Auffrischung',
+      certificate_grace_days INT NOT NULL DEFAULT 0,
       \`order\` INT NOT NULL DEFAULT 99,
       created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
       updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
@@ -357,6 +364,10 @@ export async function ensureTenantBaseTables(tenantPool) {
 
   await ensureColumns(tenantPool, 'ShiftNotification', [
     ['acknowledged', 'TINYINT(1) DEFAULT 0'],
+    ['date', 'DATE DEFAULT NULL'],
+    ['message', 'TEXT DEFAULT NULL'],
+    ['publication_id', 'VARCHAR(36) DEFAULT NULL'],
+    ['content_hash', 'CHAR(64) DEFAULT NULL'],
   ]);
 
   // Patch WishRequest for tenants whose table predates the current schema.
@@ -406,6 +417,8 @@ export async function ensureTenantBaseTables(tenantPool) {
     ['central_employee_id', 'VARCHAR(36) DEFAULT NULL'],
     ['work_time_model_id', 'VARCHAR(36) DEFAULT NULL'],
     ['target_weekly_hours', 'DECIMAL(4,1) DEFAULT NULL'],
+    ['working_time_opt_out', 'TINYINT(1) DEFAULT 0'],
+    ['training_specialty', 'VARCHAR(100) DEFAULT NULL'],
   ]);
 
   await ensureColumns(tenantPool, 'Workplace', [
@@ -442,6 +442,7 @@ async function ensureTenantBaseTables(tenantPool) {
       certificate_refresh_validity_months INT DEFAULT NULL,
       certificate_base_label VARCHAR(100) DEFAULT 'Grundnachweis',
       certificate_refresh_label VARCHAR(100) DEFAULT 'Verlängerung / Auffrischung',
+      certificate_grace_days INT NOT NULL DEFAULT 0,
       \`order\` INT NOT NULL DEFAULT 99,
       created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
       updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
@@ -0,0 +1,616 @@
+/**
+ * Mehrstufige Genehmigungsketten fuer AbsenceRequests (Master-DB).
+ *
+ * Ein Mandant hinterlegt Routing-Regeln (`AbsenceApprovalRule`): welche
+ * Kette gilt fuer welchen Abwesenheitstyp, ab welcher Laenge und fuer welche
+ * Rolle des Antragstellers (Doctor.role im Mandanten). Die erste passende
+ * Regel (nach `priority`) wird beim Anlegen des Antrags als Snapshot in
+ * `AbsenceRequest.approval_steps` kopiert — spaetere Regelaenderungen wirken
+ * nur auf neue Antraege. Ohne passende Regel bleibt es beim einstufigen
+ * Ablauf (jeder mit `can_approve_absence`).
+ *
+ * Je Stufe entscheiden die hinterlegten Genehmiger oder deren Vertretung
+ * (`AbsenceApprovalDelegation`, zeitlich begrenzt). Bleibt eine Stufe
+ * `escalate_after_days` Tage liegen, wird sie eskaliert: danach darf jeder
+ * Abwesenheits-Genehmiger des Mandanten entscheiden. Jede Entscheidung landet
+ * in `AbsenceRequestApproval`.
+ *
+ * @module utils/absenceApprovalChains
+ */
+
+import crypto from 'crypto';
+import type { Pool, PoolConnection, RowDataPacket, ResultSetHeader } from 'mysql2/promise';
+import { sendEmail, getEmailProviderInfo } from './email.js';
+import { hasPermission } from './permissions.js';
+import { escapeHtml } from './schedulePublication.js';
+
+// ─── Row shapes ──────────────────────────────────────────────────────────────
+
+export interface ApprovalStep {
+  label: string;
+  approver_user_ids: string[];
+  /** Tage ohne Entscheidung bis zur Eskalation (null = nie). */
+  escalate_after_days: number | null;
+}
+
+export interface ApprovalRuleRow extends RowDataPacket {
+  id: string;
+  tenant_id: string;
+  name: string;
+  priority: number;
+  is_active: number;
+  positions: unknown;
+  min_days: number | string | null;
+  requester_roles: unknown;
+  steps: unknown;
+  created_by: string | null;
+  created_date: Date | string;
+  updated_date: Date | string;
+}
+
+export interface ApprovalRule {
+  id: string;
+  name: string;
+  priority: number;
+  is_active: boolean;
+  positions: string[];
+  min_days: number | null;
+  requester_roles: string[];
+  steps: ApprovalStep[];
+}
+
+export interface DelegationRow extends RowDataPacket {
+  id: string;
+  user_id: string;
+  delegate_user_id: string;
+  valid_from: Date | string;
+  valid_to: Date | string;
+  note: string | null;
+  created_by: string | null;
+  created_date: Date | string;
+}
+
+export interface ApprovalDecisionRow extends RowDataPacket {
+  id: string;
+  request_id: string;
+  step_index: number;
+  step_label: string | null;
+  decision: 'approved' | 'rejected' | 'escalated';
+  decided_by: string | null;
+  on_behalf_of: string | null;
+  comment: string | null;
+  created_date: Date | string;
+}
+
+interface ApproverUserRow extends RowDataPacket {
+  id: string;
+  email: string;
+  full_name: string | null;
+  role: string;
+  permissions: unknown;
+  allowed_tenants: unknown;
+}
+
+// ─── Table guard (einmal pro Process) ────────────────────────────────────────
+
+let approvalTablesEnsured = false;
+
+export async function ensureAbsenceApprovalTables(masterDb: Pool): Promise<void> {
+  if (approvalTablesEnsured) return;
+  await masterDb.execute(`
+    CREATE TABLE IF NOT EXISTS AbsenceApprovalRule (
+      id VARCHAR(36) PRIMARY KEY,
+      tenant_id VARCHAR(36) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      priority INT NOT NULL DEFAULT 0,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      positions JSON DEFAULT NULL,
+      min_days DECIMAL(5,1) DEFAULT NULL,
+      requester_roles JSON DEFAULT NULL,
+      steps JSON NOT NULL,
+      created_by VARCHAR(255) DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      INDEX idx_absence_approval_rule_tenant (tenant_id, priority)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  await masterDb.execute(`
+    CREATE TABLE IF NOT EXISTS AbsenceApprovalDelegation (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      delegate_user_id VARCHAR(36) NOT NULL,
+      valid_from DATE NOT NULL,
+      valid_to DATE NOT NULL,
+      note VARCHAR(255) DEFAULT NULL,
+      created_by VARCHAR(255) DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_absence_delegation_delegate (delegate_user_id, valid_from, valid_to),
+      INDEX idx_absence_delegation_user (user_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  await masterDb.execute(`
+    CREATE TABLE IF NOT EXISTS AbsenceRequestApproval (
+      id VARCHAR(36) PRIMARY KEY,
+      request_id VARCHAR(36) NOT NULL,
+      step_index INT NOT NULL,
+      step_label VARCHAR(255) DEFAULT NULL,
+      decision VARCHAR(16) NOT NULL,
+      decided_by VARCHAR(255) DEFAULT NULL,
+      on_behalf_of VARCHAR(255) DEFAULT NULL,
+      comment TEXT DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_absence_request_approval_request (request_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  approvalTablesEnsured = true;
+}
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+export const MAX_APPROVAL_STEPS = 5;
+export const MAX_ESCALATION_DAYS = 60;
+
+// ─── Helper ──────────────────────────────────────────────────────────────────
+
+function approvalError(message: string, statusCode: number): Error {
+  const err = new Error(message);
+  (err as Error & { statusCode?: number }).statusCode = statusCode;
+  return err;
+}
+
+function parseJsonValue(value: unknown): unknown {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function toStringList(value: unknown): string[] {
+  const parsed = parseJsonValue(value);
+  if (!Array.isArray(parsed)) return [];
+  return [...new Set(parsed.map((v) => String(v ?? '').trim()).filter(Boolean))];
+}
+
+function toYmd(value: Date | string): string {
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function toTimestamp(value: Date | string | null | undefined): number {
+  if (!value) return NaN;
+  if (value instanceof Date) return value.getTime();
+  return new Date(String(value).replace(' ', 'T')).getTime();
+}
+
+/**
+ * Validiert die Stufen einer Kette (Label, mind. ein Genehmiger, optionale
+ * Eskalationsfrist). Wirft 422 bei ungueltiger Eingabe.
+ */
+export function normalizeApprovalSteps(raw: unknown): ApprovalStep[] {
+  const parsed = parseJsonValue(raw);
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw approvalError('Eine Genehmigungskette braucht mindestens eine Stufe.', 422);
+  }
+  if (parsed.length > MAX_APPROVAL_STEPS) {
+    throw approvalError(`Eine Genehmigungskette darf hoechstens ${MAX_APPROVAL_STEPS} Stufen haben.`, 422);
+  }
+  return parsed.map((step: Record<string, unknown>, index: number) => {
+    const label = String(step?.label ?? '').trim() || `Stufe ${index + 1}`;
+    const approverIds = toStringList(step?.approver_user_ids);
+    if (approverIds.length === 0) {
+      throw approvalError(`Stufe "${label}" braucht mindestens einen Genehmiger.`, 422);
+    }
+    let escalateAfterDays: number | null = null;
+    if (step?.escalate_after_days !== null && step?.escalate_after_days !== undefined && step?.escalate_after_days !== '') {
+      const days = Number(step.escalate_after_days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_ESCALATION_DAYS) {
+        throw approvalError(`Eskalation fuer "${label}" muss zwischen 1 und ${MAX_ESCALATION_DAYS} Tagen liegen.`, 422);
+      }
+      escalateAfterDays = days;
+    }
+    return { label: label.slice(0, 255), approver_user_ids: approverIds, escalate_after_days: escalateAfterDays };
+  });
+}
+
+/** Steps-Snapshot eines Antrags; leer bei einstufigen Antraegen. */
+export function parseApprovalSteps(raw: unknown): ApprovalStep[] {
+  const parsed = parseJsonValue(raw);
+  if (!Array.isArray(parsed)) return [];
+  return parsed.map((step: Record<string, unknown>, index: number) => ({
+    label: String(step?.label ?? '') || `Stufe ${index + 1}`,
+    approver_user_ids: toStringList(step?.approver_user_ids),
+    escalate_after_days: step?.escalate_after_days == null ? null : Number(step.escalate_after_days),
+  }));
+}
+
+export function mapApprovalRule(row: ApprovalRuleRow): ApprovalRule {
+  return {
+    id: row.id,
+    name: row.name,
+    priority: Number(row.priority) || 0,
+    is_active: Boolean(row.is_active),
+    positions: toStringList(row.positions),
+    min_days: row.min_days === null || row.min_days === undefined ? null : Number(row.min_days),
+    requester_roles: toStringList(row.requester_roles),
+    steps: parseApprovalSteps(row.steps),
+  };
+}
+
+/**
+ * Erste aktive Regel (nach Prioritaet), deren Bedingungen passen. Leere
+ * Listen bzw. `min_days = null` bedeuten "keine Einschraenkung".
+ */
+export function selectApprovalRule(
+  rules: ApprovalRule[],
+  { position, dayCount, requesterRole }: { position: string; dayCount: number; requesterRole?: string | null },
+): ApprovalRule | null {
+  const sorted = [...rules].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+  for (const rule of sorted) {
+    if (!rule.is_active || rule.steps.length === 0) continue;
+    if (rule.positions.length > 0 && !rule.positions.includes(position)) continue;
+    if (rule.min_days !== null && dayCount < rule.min_days) continue;
+    if (rule.requester_roles.length > 0 && !rule.requester_roles.includes(String(requesterRole ?? ''))) continue;
+    return rule;
+  }
+  return null;
+}
+
+export interface StepAuthority {
+  allowed: boolean;
+  /** Genehmiger, fuer den per Vertretung entschieden wird. */
+  onBehalfOf: string | null;
+}
+
+/**
+ * Darf `userId` die aktuelle Stufe entscheiden? Reihenfolge: eigener
+ * Genehmiger, dann Vertretung eines Genehmigers, dann Eskalation (jeder
+ * Abwesenheits-Genehmiger).
+ */
+export function resolveStepAuthority({
+  step,
+  userId,
+  delegatorIds = [],
+  escalated = false,
+}: {
+  step: ApprovalStep | undefined;
+  userId: string | null | undefined;
+  delegatorIds?: string[];
+  escalated?: boolean;
+}): StepAuthority {
+  if (!step || !userId) return { allowed: false, onBehalfOf: null };
+  if (step.approver_user_ids.includes(String(userId))) return { allowed: true, onBehalfOf: null };
+  const delegator = delegatorIds.find((id) => step.approver_user_ids.includes(String(id)));
+  if (delegator) return { allowed: true, onBehalfOf: delegator };
+  if (escalated) return { allowed: true, onBehalfOf: null };
+  return { allowed: false, onBehalfOf: null };
+}
+
+/**
+ * True, wenn die aktuelle Stufe laenger als ihre Eskalationsfrist ohne
+ * Entscheidung liegt und noch nicht eskaliert wurde.
+ */
+export function isApprovalStepOverdue(
+  request: { approval_steps: unknown; current_step: number | null; step_started_date: Date | string | null; escalated_date: Date | string | null },
+  now: Date = new Date(),
+): boolean {
+  if (request.escalated_date) return false;
+  const step = parseApprovalSteps(request.approval_steps)[Number(request.current_step) || 0];
+  if (!step?.escalate_after_days) return false;
+  const started = toTimestamp(request.step_started_date);
+  if (!Number.isFinite(started)) return false;
+  return now.getTime() - started >= step.escalate_after_days * 24 * 60 * 60 * 1000;
+}
+
+// ─── Rules CRUD (tenant-scoped) ──────────────────────────────────────────────
+
+export async function listApprovalRules(masterDb: Pool, tenantId: string | null | undefined): Promise<ApprovalRule[]> {
+  if (!tenantId) return [];
+  await ensureAbsenceApprovalTables(masterDb);
+  const [rows] = await masterDb.execute<ApprovalRuleRow[]>(
+    'SELECT * FROM AbsenceApprovalRule WHERE tenant_id = ? ORDER BY priority ASC, name ASC',
+    [tenantId]
+  );
+  return rows.map(mapApprovalRule);
+}
+
+interface SaveApprovalRuleDeps {
+  masterDb: Pool;
+  tenantId: string;
+  ruleId?: string | null;
+  input: Record<string, unknown>;
+  userId?: string | null;
+}
+
+/**
+ * Legt eine Regel an oder aktualisiert sie. Nur Whitelist-Felder werden
+ * uebernommen.
+ */
+export async function saveApprovalRule({ masterDb, tenantId, ruleId, input, userId }: SaveApprovalRuleDeps): Promise<ApprovalRule> {
+  const name = String(input.name ?? '').trim();
+  if (!name) throw approvalError('Name der Regel ist erforderlich.', 422);
+  const steps = normalizeApprovalSteps(input.steps);
+  let minDays: number | null = null;
+  if (input.min_days !== null && input.min_days !== undefined && input.min_days !== '') {
+    minDays = Number(input.min_days);
+    if (!Number.isFinite(minDays) || minDays < 0) throw approvalError('Mindestdauer muss eine Zahl >= 0 sein.', 422);
+  }
+  const priority = Number.isFinite(Number(input.priority)) ? Math.trunc(Number(input.priority)) : 0;
+  const values = [
+    name.slice(0, 255),
+    priority,
+    input.is_active === false ? 0 : 1,
+    JSON.stringify(toStringList(input.positions)),
+    minDays,
+    JSON.stringify(toStringList(input.requester_roles)),
+    JSON.stringify(steps),
+  ];
+
+  await ensureAbsenceApprovalTables(masterDb);
+
+  let id = ruleId || null;
+  if (id) {
+    const [result] = await masterDb.execute<ResultSetHeader>(
+      `UPDATE AbsenceApprovalRule
+          SET name = ?, priority = ?, is_active = ?, positions = ?, min_days = ?, requester_roles = ?, steps = ?
+        WHERE id = ? AND tenant_id = ?`,
+      [...values, id, tenantId]
+    );
+    if (result.affectedRows === 0) throw approvalError('Regel nicht gefunden.', 404);
+  } else {
+    id = crypto.randomUUID();
+    await masterDb.execute<ResultSetHeader>(
+      `INSERT INTO AbsenceApprovalRule (id, tenant_id, name, priority, is_active, positions, min_days, requester_roles, steps, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, tenantId, ...values, userId || null]
+    );
+  }
+
+  const [rows] = await masterDb.execute<ApprovalRuleRow[]>(
+    'SELECT * FROM AbsenceApprovalRule WHERE id = ? LIMIT 1',
+    [id]
+  );
+  return mapApprovalRule(rows[0]);
+}
+
+export async function deleteApprovalRule(masterDb: Pool, tenantId: string, ruleId: string): Promise<boolean> {
+  await ensureAbsenceApprovalTables(masterDb);
+  const [result] = await masterDb.execute<ResultSetHeader>(
+    'DELETE FROM AbsenceApprovalRule WHERE id = ? AND tenant_id = ?',
+    [ruleId, tenantId]
+  );
+  return result.affectedRows > 0;
+}
+
+// ─── Delegations ─────────────────────────────────────────────────────────────
+
+export async function listDelegations(masterDb: Pool, userIds: string[]): Promise<DelegationRow[]> {
+  if (userIds.length === 0) return [];
+  await ensureAbsenceApprovalTables(masterDb);
+  const placeholders = userIds.map(() => '?').join(', ');
+  const [rows] = await masterDb.execute<DelegationRow[]>(
+    `SELECT * FROM AbsenceApprovalDelegation
+      WHERE user_id IN (${placeholders}) OR delegate_user_id IN (${placeholders})
+      ORDER BY valid_from ASC`,
+    [...userIds, ...userIds]
+  );
+  return rows;
+}
+
+interface CreateDelegationDeps {
+  masterDb: Pool;
+  userId: string;
+  delegateUserId: string;
+  validFrom: string;
+  validTo: string;
+  note?: string | null;
+  createdBy?: string | null;
+}
+
+export async function createDelegation({
+  masterDb,
+  userId,
+  delegateUserId,
+  validFrom,
+  validTo,
+  note,
+  createdBy,
+}: CreateDelegationDeps): Promise<DelegationRow> {
+  if (!userId || !delegateUserId) throw approvalError('Genehmiger und Vertretung sind erforderlich.', 422);
+  if (String(userId) === String(delegateUserId)) throw approvalError('Eine Vertretung muss eine andere Person sein.', 422);
+  const ymd = /^\d{4}-\d{2}-\d{2}$/;
+  if (!ymd.test(String(validFrom)) || !ymd.test(String(validTo))) {
+    throw approvalError('Zeitraum muss im Format yyyy-mm-dd angegeben werden.', 422);
+  }
+  if (validTo < validFrom) throw approvalError('Das Ende darf nicht vor dem Beginn liegen.', 422);
+
+  await ensureAbsenceApprovalTables(masterDb);
+
+  const id = crypto.randomUUID();
+  await masterDb.execute<ResultSetHeader>(
+    `INSERT INTO AbsenceApprovalDelegation (id, user_id, delegate_user_id, valid_from, valid_to, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, delegateUserId, validFrom, validTo, note ? String(note).slice(0, 255) : null, createdBy || null]
+  );
+  const [rows] = await masterDb.execute<DelegationRow[]>(
+    'SELECT * FROM AbsenceApprovalDelegation WHERE id = ? LIMIT 1',
+    [id]
+  );
+  return rows[0];
+}
+
+export async function deleteDelegation(masterDb: Pool, delegationId: string): Promise<boolean> {
+  await ensureAbsenceApprovalTables(masterDb);
+  const [result] = await masterDb.execute<ResultSetHeader>(
+    'DELETE FROM AbsenceApprovalDelegation WHERE id = ?',
+    [delegationId]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Genehmiger, die `delegateUserId` am Tag `day` vertritt. */
+export async function loadActiveDelegatorIds(
+  masterDb: Pool | PoolConnection,
+  delegateUserId: string | null | undefined,
+  day: Date = new Date(),
+): Promise<string[]> {
+  if (!delegateUserId) return [];
+  const today = toYmd(day);
+  const [rows] = await masterDb.execute<DelegationRow[]>(
+    `SELECT user_id FROM AbsenceApprovalDelegation
+      WHERE delegate_user_id = ? AND valid_from <= ? AND valid_to >= ?`,
+    [delegateUserId, today, today]
+  );
+  return rows.map((row) => String(row.user_id));
+}
+
+/** Aktive Vertretungen der angegebenen Genehmiger am Tag `day`. */
+export async function loadActiveDelegateIds(masterDb: Pool, userIds: string[], day: Date = new Date()): Promise<string[]> {
+  if (userIds.length === 0) return [];
+  const today = toYmd(day);
+  const [rows] = await masterDb.execute<DelegationRow[]>(
+    `SELECT delegate_user_id FROM AbsenceApprovalDelegation
+      WHERE user_id IN (${userIds.map(() => '?').join(', ')}) AND valid_from <= ? AND valid_to >= ?`,
+    [...userIds, today, today]
+  );
+  return rows.map((row) => String(row.delegate_user_id));
+}
+
+// ─── Decision log ────────────────────────────────────────────────────────────
+
+export async function recordApprovalDecision(
+  connection: Pool | PoolConnection,
+  entry: {
+    requestId: string;
+    stepIndex: number;
+    stepLabel: string | null;
+    decision: ApprovalDecisionRow['decision'];
+    decidedBy: string | null;
+    onBehalfOf?: string | null;
+    comment?: string | null;
+  },
+): Promise<void> {
+  await connection.execute<ResultSetHeader>(
+    `INSERT INTO AbsenceRequestApproval (id, request_id, step_index, step_label, decision, decided_by, on_behalf_of, comment)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      crypto.randomUUID(),
+      entry.requestId,
+      entry.stepIndex,
+      entry.stepLabel,
+      entry.decision,
+      entry.decidedBy,
+      entry.onBehalfOf || null,
+      entry.comment || null,
+    ]
+  );
+}
+
+export async function listApprovalDecisions(masterDb: Pool, requestIds: string[]): Promise<Map<string, ApprovalDecisionRow[]>> {
+  const byRequest = new Map<string, ApprovalDecisionRow[]>();
+  if (requestIds.length === 0) return byRequest;
+  await ensureAbsenceApprovalTables(masterDb);
+  const [rows] = await masterDb.execute<ApprovalDecisionRow[]>(
+    `SELECT * FROM AbsenceRequestApproval
+      WHERE request_id IN (${requestIds.map(() => '?').join(', ')})
+      ORDER BY created_date ASC`,
+    requestIds
+  );
+  for (const row of rows) {
+    const list = byRequest.get(row.request_id) ?? [];
+    list.push(row);
+    byRequest.set(row.request_id, list);
+  }
+  return byRequest;
+}
+
+// ─── Approver users ──────────────────────────────────────────────────────────
+
+export interface AbsenceApproverUser {
+  id: string;
+  email: string;
+  name: string;
+}
+
+function canOpenTenant(allowedTenants: unknown, tenantId: string | null): boolean {
+  if (!tenantId) return true;
+  const allowed = parseJsonValue(allowedTenants);
+  return !Array.isArray(allowed) || allowed.length === 0 || allowed.map(String).includes(tenantId);
+}
+
+/**
+ * Aktive Admins mit `can_approve_absence`, die den Mandanten oeffnen duerfen
+ * (leere `allowed_tenants` = alle Mandanten).
+ */
+export async function listAbsenceApprovers(masterDb: Pool, tenantId: string | null): Promise<AbsenceApproverUser[]> {
+  const [rows] = await masterDb.execute<ApproverUserRow[]>(
+    "SELECT id, email, full_name, role, permissions, allowed_tenants FROM app_users WHERE role = 'admin' AND is_active = 1"
+  );
+  return rows
+    .filter((row) => canOpenTenant(row.allowed_tenants, tenantId))
+    .filter((row) => hasPermission(row, 'can_approve_absence'))
+    .map((row) => ({ id: String(row.id), email: row.email, name: row.full_name || row.email }));
+}
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+
+interface NotifyAbsenceApproversDeps {
+  masterDb: Pool;
+  tenantId: string | null;
+  /** Empfaenger; `null` = alle Abwesenheits-Genehmiger des Mandanten. */
+  userIds: string[] | null;
+  subject: string;
+  text: string;
+}
+
+/**
+ * Mailt Genehmiger ueber eine neue Stufe oder Eskalation. Wirft nie — ein
+ * fehlgeschlagener Versand darf die Entscheidung nicht zuruecknehmen.
+ */
+export async function notifyAbsenceApprovers({
+  masterDb,
+  tenantId,
+  userIds,
+  subject,
+  text,
+}: NotifyAbsenceApproversDeps): Promise<{ sentCount: number; errors: string[] }> {
+  const result = { sentCount: 0, errors: [] as string[] };
+  if (!getEmailProviderInfo().configured) return result;
+
+  try {
+    const approvers = await listAbsenceApprovers(masterDb, tenantId);
+    const wanted = userIds ? new Set(userIds.map(String)) : null;
+    const recipients = approvers.filter((user) => user.email?.trim() && (!wanted || wanted.has(user.id)));
+    for (const user of recipients) {
+      try {
+        await sendEmail({
+          to: user.email.trim(),
+          subject,
+          text: [`Hallo ${user.name},`, '', text, '', 'Viele Grüße,', 'Ihr CuraFlow-System'].join('\n'),
+          html: `
+            <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;color:#1e293b">
+              <h2 style="color:#4f46e5">Urlaubsantrag</h2>
+              <p>Hallo <strong>${escapeHtml(user.name)}</strong>,</p>
+              <p>${escapeHtml(text)}</p>
+              <p style="font-size:13px;color:#94a3b8;margin-top:32px">Diese E-Mail wurde automatisch von CuraFlow versendet.</p>
+            </div>
+          `,
+        });
+        result.sentCount++;
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.error(`[AbsenceApproval] Fehler beim Senden an ${user.email}:`, message);
+        result.errors.push(message);
+      }
+    }
+  } catch (err) {
+    console.error('[AbsenceApproval] Benachrichtigung fehlgeschlagen:', err instanceof Error ? err.message : String(err));
+  }
+  return result;
+}
@@ -6,19 +6,44 @@
  * genehmigt oder lehnt ab. Erst bei Approbe wird in die CentralAbsenceEntry
  * geschrieben.
  *
+ * Ein Antrag umfasst einen Zeitraum `date` … `end_date` (end_date NULL =
+ * Einzeltag, Altbestand) mit optionalem halben ersten/letzten Tag. Er wird
+ * als Einheit entschieden und bei Genehmigung in je eine CentralAbsenceEntry
+ * pro Kalendertag aufgeloest; halbe Tage tragen `half_day = 1`. `day_count`
+ * zaehlt nur Werktage ohne Feiertage (wie vacationBalance.ts).
+ *
  * Lebenszyklus:
- *   pending  → approved  (INSERT INTO CentralAbsenceEntry + Status-Update)
+ *   pending  → approved  (INSERT INTO CentralAbsenceEntry je Tag + Status-Update)
  *   pending  → rejected  (nur Status-Update + admin_comment)
+ *   pending  → pending   (Stufe einer Genehmigungskette genehmigt → naechste Stufe)
  *   rejected → (kein Uebergang; neuer Antrag fuer gleiches Datum moeglich,
  *               weil rejected den Unique-Key nicht blockiert – der
  *               UNIQUE-Key (employee_id, date) in CentralAbsenceEntry
  *               entscheidet ueber die Sichtbarkeit)
  *
+ * Mehrstufige Ketten (siehe absenceApprovalChains.ts) halten den Antrag bis
+ * zur letzten Stufe in `pending`; `current_step` zeigt auf die offene Stufe.
+ *
  * @module utils/absenceRequests
  */
 
 import crypto from 'crypto';
 import type { Pool, PoolConnection, RowDataPacket, ResultSetHeader } from 'mysql2/promise';
+import {
+  ensureAbsenceApprovalTables,
+  isApprovalStepOverdue,
+  listApprovalDecisions,
+  listApprovalRules,
+  loadActiveDelegateIds,
+  loadActiveDelegatorIds,
+  notifyAbsenceApprovers,
+  parseApprovalSteps,
+  recordApprovalDecision,
+  resolveStepAuthority,
+  selectApprovalRule,
+  type ApprovalDecisionRow,
+  type ApprovalStep,
+} from './absenceApprovalChains.js';
 
 // ─── Row shapes ──────────────────────────────────────────────────────────────
 
@@ -28,6 +53,16 @@ interface AbsenceRequestRow extends RowDataPacket {
   source_tenant_id: string | null;
   source_tenant_doctor_id: string | null;
   date: Date | string;
+  end_date: Date | string | null;
+  start_half_day: number;
+  end_half_day: number;
+  day_count: number | string | null;
+  approval_rule_id: string | null;
+  /** JSON-Snapshot der Genehmigungsstufen (NULL = einstufig). */
+  approval_steps: unknown;
+  current_step: number;
+  step_started_date: Date | string | null;
+  escalated_date: Date | string | null;
   position: string;
   status: 'pending' | 'approved' | 'rejected';
   reason: string | null;
@@ -58,6 +93,15 @@ export async function ensureAbsenceRequestTables(masterDb: Pool): Promise<void>
       source_tenant_id VARCHAR(36) DEFAULT NULL,
       source_tenant_doctor_id VARCHAR(255) DEFAULT NULL,
       date DATE NOT NULL,
+      end_date DATE DEFAULT NULL,
+      start_half_day TINYINT(1) NOT NULL DEFAULT 0,
+      end_half_day TINYINT(1) NOT NULL DEFAULT 0,
+      day_count DECIMAL(5,1) DEFAULT NULL,
+      approval_rule_id VARCHAR(36) DEFAULT NULL,
+      approval_steps JSON DEFAULT NULL,
+      current_step INT NOT NULL DEFAULT 0,
+      step_started_date DATETIME DEFAULT NULL,
+      escalated_date DATETIME DEFAULT NULL,
       position VARCHAR(255) NOT NULL,
       status VARCHAR(32) NOT NULL DEFAULT 'pending',
       reason TEXT DEFAULT NULL,
@@ -94,6 +138,11 @@ export const REQUEST_ABSENCE_POSITIONS_SET = new Set(REQUEST_ABSENCE_POSITIONS);
  */
 export const REQUEST_STATUSES: string[] = ['pending', 'approved', 'rejected'];
 
+/**
+ * Laengster beantragbarer Zeitraum in Kalendertagen.
+ */
+export const MAX_REQUEST_RANGE_DAYS = 366;
+
 /**
  * Whitelist der Spalten, die ueber die API beschreibbar sind.
  * Nie req.body blind spreaden — Sicherheitsmassnahme analog
@@ -104,6 +153,15 @@ export const ABSENCE_REQUEST_WRITABLE_COLUMNS = new Set([
   'source_tenant_id',
   'source_tenant_doctor_id',
   'date',
+  'end_date',
+  'start_half_day',
+  'end_half_day',
+  'day_count',
+  'approval_rule_id',
+  'approval_steps',
+  'current_step',
+  'step_started_date',
+  'escalated_date',
   'position',
   'status',
   'reason',
@@ -139,6 +197,69 @@ export function isFutureDate(dateStr: unknown): boolean {
   return d > today;
 }
 
+// ─── Helper: Zeitraum ────────────────────────────────────────────────────────
+
+/**
+ * Alle Kalendertage von `from` bis `to` (jeweils yyyy-mm-dd, inklusive).
+ */
+export function eachRequestDate(from: string, to: string): string[] {
+  const dates: string[] = [];
+  const current = new Date(`${from}T12:00:00Z`);
+  const end = new Date(`${to}T12:00:00Z`);
+  while (current <= end) {
+    dates.push(current.toISOString().slice(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Werktag, der Urlaub verbraucht: Mo–Fr und kein Feiertag.
+ * Gleiche Regel wie isCountableVacationDay in vacationBalance.ts.
+ */
+function isCountableRequestDay(dateStr: string, holidayDates: Set<string>): boolean {
+  const day = new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6 && !holidayDates.has(dateStr);
+}
+
+/**
+ * Zaehlt die Urlaubstage eines Zeitraums: Wochenenden und Feiertage zaehlen
+ * nicht, ein halber erster/letzter Tag zaehlt 0,5. Bei einem Einzeltag
+ * genuegt eines der beiden Halbtags-Flags.
+ */
+export function countAbsenceRequestDays({
+  from,
+  to,
+  startHalfDay = false,
+  endHalfDay = false,
+  holidayDates = new Set<string>(),
+}: {
+  from: string;
+  to?: string | null;
+  startHalfDay?: boolean;
+  endHalfDay?: boolean;
+  holidayDates?: Set<string>;
+}): number {
+  const end = to || from;
+  let count = 0;
+  for (const dateStr of eachRequestDate(from, end)) {
+    if (!isCountableRequestDay(dateStr, holidayDates)) continue;
+    const half = (dateStr === from && startHalfDay) || (dateStr === end && endHalfDay);
+    count += half ? 0.5 : 1;
+  }
+  return count;
+}
+
+function isHalfDayOfRequest(dateStr: string, request: AbsenceRequestRow): boolean {
+  const from = toYmd(request.date);
+  const to = request.end_date ? toYmd(request.end_date) : from;
+  return (dateStr === from && Boolean(request.start_half_day)) || (dateStr === to && Boolean(request.end_half_day));
+}
+
+function toYmd(value: Date | string): string {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
 function getErrorCode(err: unknown): string | undefined {
   if (err instanceof Error && 'code' in err && typeof err.code === 'string') {
     return err.code;
@@ -154,6 +275,13 @@ interface CreateAbsenceRequestDeps {
   tenantDoctorId: string | null | undefined;
   employeeId: string;
   date: string;
+  endDate?: string | null;
+  startHalfDay?: boolean;
+  endHalfDay?: boolean;
+  /** Feiertage (yyyy-mm-dd) aller Jahre des Zeitraums, fuer day_count. */
+  holidayDates?: Set<string>;
+  /** Doctor.role des Antragstellers, fuer das Routing der Genehmigungskette. */
+  requesterRole?: string | null;
   position: string;
   reason?: string | null;
   createdBy: string | null | undefined;
@@ -168,11 +296,16 @@ interface CreateAbsenceRequestDeps {
  * @param {string} deps.tenantDoctorId - Tenant-lokale Doctor.id
  * @param {string} deps.employeeId     - Zentrale Employee.id (aus EmployeeTenantAssignment)
  * @param {string} deps.date           - ISO-Datum (yyyy-mm-dd), muss in der Zukunft liegen
+ * @param {string} [deps.endDate]      - Letzter Tag des Zeitraums (leer = Einzeltag)
+ * @param {boolean} [deps.startHalfDay] - Erster Tag nur halb
+ * @param {boolean} [deps.endHalfDay]  - Letzter Tag nur halb
+ * @param {Set<string>} [deps.holidayDates] - Feiertage fuer die Tageszaehlung
+ * @param {string} [deps.requesterRole] - Rolle des Antragstellers (Kettenauswahl)
  * @param {string} deps.position       - Einer aus REQUEST_ABSENCE_POSITIONS
  * @param {string} [deps.reason]       - Optionaler Grund
  * @param {string} deps.createdBy      - User-ID (req.user.sub)
  * @returns {Promise<Object>} Der angelegte Antrag als DB-Zeile
- * @throws {Error} mit .statusCode = 422 bei Validierungsfehlern, 409 bei Duplikat
+ * @throws {Error} mit .statusCode = 422 bei Validierungsfehlern, 409 bei Ueberschneidung
  */
 export async function createAbsenceRequest({
   masterDb,
@@ -180,6 +313,11 @@ export async function createAbsenceRequest({
   tenantDoctorId,
   employeeId,
   date,
+  endDate,
+  startHalfDay = false,
+  endHalfDay = false,
+  holidayDates,
+  requesterRole = null,
   position,
   reason,
   createdBy,
@@ -200,6 +338,22 @@ export async function createAbsenceRequest({
     (err as Error & { statusCode?: number }).statusCode = 422;
     throw err;
   }
+  if (endDate && (typeof endDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(endDate))) {
+    const err = new Error('Enddatum muss im Format yyyy-mm-dd angegeben werden.');
+    (err as Error & { statusCode?: number }).statusCode = 422;
+    throw err;
+  }
+  if (endDate && endDate < date) {
+    const err = new Error('Das Enddatum darf nicht vor dem Startdatum liegen.');
+    (err as Error & { statusCode?: number }).statusCode = 422;
+    throw err;
+  }
+  const lastDate = endDate && endDate !== date ? endDate : null;
+  if (lastDate && eachRequestDate(date, lastDate).length > MAX_REQUEST_RANGE_DAYS) {
+    const err = new Error(`Ein Antrag darf hoechstens ${MAX_REQUEST_RANGE_DAYS} Tage umfassen.`);
+    (err as Error & { statusCode?: number }).statusCode = 422;
+    throw err;
+  }
   if (!isRequestableAbsencePosition(position)) {
     const err = new Error(
       `Unzulaessige Position: "${position}". Erlaubt: ${REQUEST_ABSENCE_POSITIONS.join(', ')}.`
@@ -208,15 +362,59 @@ export async function createAbsenceRequest({
     throw err;
   }
 
+  // Ein Einzeltag hat nur ein Halbtags-Flag; end_half_day bleibt Bereichen vorbehalten.
+  const isStartHalf = Boolean(startHalfDay) || (!lastDate && Boolean(endHalfDay));
+  const isEndHalf = Boolean(lastDate) && Boolean(endHalfDay);
+  const dayCount = countAbsenceRequestDays({
+    from: date,
+    to: lastDate,
+    startHalfDay: isStartHalf,
+    endHalfDay: isEndHalf,
+    holidayDates,
+  });
+
   await ensureAbsenceRequestTables(masterDb);
 
+  // Genehmigungskette waehlen und als Snapshot am Antrag ablegen.
+  const rule = selectApprovalRule(await listApprovalRules(masterDb, tenantId), {
+    position,
+    dayCount,
+    requesterRole,
+  });
+  const approvalSteps = rule ? JSON.stringify(rule.steps) : null;
+  const stepStartedDate = rule ? new Date() : null;
+
+  // Offene Antraege desselben Mitarbeiters duerfen sich nicht ueberschneiden.
+  const [overlapping] = await masterDb.execute<RowDataPacket[]>(
+    `SELECT id FROM AbsenceRequest
+      WHERE employee_id = ? AND status = 'pending'
+        AND date <= ? AND COALESCE(end_date, date) >= ?
+      LIMIT 1`,
+    [employeeId, lastDate || date, date]
+  );
+  if (overlapping.length > 0) {
+    const conflict = new Error(
+      'Fuer diesen Mitarbeiter existiert in diesem Zeitraum bereits ein ausstehender Antrag.'
+    );
+    (conflict as Error & { statusCode?: number }).statusCode = 409;
+    throw conflict;
+  }
+
   const id = crypto.randomUUID();
-  const row: Record<string, string | number | null> = {
+  const row: Record<string, string | number | Date | null> = {
     id,
     employee_id: employeeId,
     source_tenant_id: tenantId || null,
     source_tenant_doctor_id: tenantDoctorId || null,
     date,
+    end_date: lastDate,
+    start_half_day: isStartHalf ? 1 : 0,
+    end_half_day: isEndHalf ? 1 : 0,
+    day_count: dayCount,
+    approval_rule_id: rule?.id ?? null,
+    approval_steps: approvalSteps,
+    current_step: 0,
+    step_started_date: stepStartedDate,
     position,
     status: 'pending',
     reason: reason || null,
@@ -255,11 +453,32 @@ export async function createAbsenceRequest({
       await masterDb.execute<ResultSetHeader>(
         `UPDATE AbsenceRequest
             SET position = ?, reason = ?, status = 'pending',
+                end_date = ?, start_half_day = ?, end_half_day = ?, day_count = ?,
+                approval_rule_id = ?, approval_steps = ?, current_step = 0,
+                step_started_date = ?, escalated_date = NULL,
                 created_by = ?, user_viewed = 0,
                 admin_comment = NULL, approved_by = NULL, approved_date = NULL,
                 updated_date = NOW()
           WHERE id = ?`,
-        [position, reason || null, createdBy || null, existingId]
+        [
+          position,
+          reason || null,
+          lastDate,
+          isStartHalf ? 1 : 0,
+          isEndHalf ? 1 : 0,
+          dayCount,
+          rule?.id ?? null,
+          approvalSteps,
+          stepStartedDate,
+          createdBy || null,
+          existingId,
+        ]
+      );
+      // Entscheidungen des ersetzten Antrags gehoeren nicht zum neuen.
+      await ensureAbsenceApprovalTables(masterDb);
+      await masterDb.execute<ResultSetHeader>(
+        'DELETE FROM AbsenceRequestApproval WHERE request_id = ?',
+        [existingId]
       );
 
       const [rows] = await masterDb.execute<AbsenceRequestRow[]>(
@@ -326,8 +545,9 @@ export async function listAbsenceRequests({
   if (year) {
     const y = parseInt(String(year), 10);
     if (Number.isFinite(y) && y > 1970 && y < 3000) {
-      conditions.push('YEAR(date) = ?');
-      params.push(y);
+      // Zeitraeume ueber den Jahreswechsel erscheinen in beiden Jahren.
+      conditions.push('(YEAR(date) = ? OR YEAR(COALESCE(end_date, date)) = ?)');
+      params.push(y, y);
     }
   }
 
@@ -349,7 +569,13 @@ interface UpdateAbsenceRequestStatusDeps {
 
 /**
  * Aktualisiert den Status eines AbsenceRequest.
- * Bei `approved` wird transaktional ein CentralAbsenceEntry angelegt.
+ * Bei `approved` wird transaktional je Tag des Zeitraums ein
+ * CentralAbsenceEntry angelegt.
+ *
+ * Antraege mit Genehmigungskette: entscheiden duerfen nur die Genehmiger der
+ * offenen Stufe, ihre aktive Vertretung oder — nach Eskalation — jeder
+ * Abwesenheits-Genehmiger (403 sonst). Eine Genehmigung vor der letzten
+ * Stufe schaltet nur `current_step` weiter; eine Ablehnung beendet die Kette.
  *
  * @param {Object} deps
  * @param {import('mysql2/promise').Pool} deps.masterDb
@@ -358,7 +584,7 @@ interface UpdateAbsenceRequestStatusDeps {
  * @param {string} deps.adminUserId - ID des genehmigenden Admins
  * @param {string} [deps.adminComment] - Optionaler Kommentar
  * @returns {Promise<Object>} Der aktualisierte Antrag
- * @throws {Error} mit .statusCode = 404/409/422 bei Fehlern
+ * @throws {Error} mit .statusCode = 403/404/409/422 bei Fehlern
  */
 export async function updateAbsenceRequestStatus({
   masterDb,
@@ -401,47 +627,106 @@ export async function updateAbsenceRequestStatus({
     throw err;
   }
 
+  const steps = parseApprovalSteps(request.approval_steps);
+  const stepIndex = Number(request.current_step) || 0;
+  const step: ApprovalStep | undefined = steps[stepIndex];
+  let onBehalfOf: string | null = null;
+  if (steps.length > 0) {
+    await ensureAbsenceApprovalTables(masterDb);
+    const authority = resolveStepAuthority({
+      step,
+      userId: adminUserId,
+      delegatorIds: await loadActiveDelegatorIds(masterDb, adminUserId),
+      escalated: Boolean(request.escalated_date),
+    });
+    if (!authority.allowed) {
+      const err = new Error(`Dieser Antrag wartet auf die Stufe "${step?.label ?? stepIndex + 1}". Sie sind dafuer nicht als Genehmiger eingetragen.`);
+      (err as Error & { statusCode?: number }).statusCode = 403;
+      throw err;
+    }
+    onBehalfOf = authority.onBehalfOf;
+  }
+  // Zwischenstufe: Antrag bleibt pending, naechste Stufe beginnt.
+  const advancesStep = status === 'approved' && stepIndex < steps.length - 1;
+
   // Transaktion: Status-Update + ggf. CentralAbsenceEntry anlegen
   const connection: PoolConnection = await masterDb.getConnection();
   try {
     await connection.beginTransaction();
 
-    // Status-Update
-    await connection.execute<ResultSetHeader>(
-      `UPDATE AbsenceRequest
-          SET status = ?, approved_by = ?, approved_date = NOW(),
-              admin_comment = COALESCE(?, admin_comment),
-              updated_date = NOW()
-        WHERE id = ?`,
-      [status, adminUserId || null, adminComment || null, requestId]
-    );
-
-    if (status === 'approved') {
-      // CentralAbsenceEntry anlegen (oder aktualisieren, falls bereits vorhanden).
-      // ON DUPLICATE KEY UPDATE: falls fuer employee_id + date bereits ein Eintrag
-      // existiert (z.B. Admin hat direkt eingetragen), wird die Position ueberschrieben.
-      // Das ist gewollt — der genehmigte Antrag ist die autoritative Quelle.
-      const entryId = crypto.randomUUID();
-      await connection.execute<ResultSetHeader>(
-        `INSERT INTO CentralAbsenceEntry (id, employee_id, date, position, note, source_tenant_id, source_tenant_doctor_id, created_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-           position = VALUES(position),
-           note = COALESCE(VALUES(note), note),
-           source_tenant_id = VALUES(source_tenant_id),
-           source_tenant_doctor_id = VALUES(source_tenant_doctor_id),
-           updated_date = NOW()`,
-        [
-          entryId,
-          request.employee_id,
-          request.date,
-          request.position,
-          request.reason ? `Genehmigter Antrag: ${request.reason}` : 'Genehmigter Antrag',
-          request.source_tenant_id,
-          request.source_tenant_doctor_id,
-          adminUserId || null,
-        ]
+    // Status-Update; `current_step` im WHERE verhindert Doppelentscheidungen
+    // derselben Stufe.
+    const [updateResult] = advancesStep
+      ? await connection.execute<ResultSetHeader>(
+        `UPDATE AbsenceRequest
+            SET current_step = ?, step_started_date = NOW(), escalated_date = NULL,
+                admin_comment = COALESCE(?, admin_comment),
+                updated_date = NOW()
+          WHERE id = ? AND status = 'pending' AND current_step = ?`,
+        [stepIndex + 1, adminComment || null, requestId, stepIndex]
+      )
+      : await connection.execute<ResultSetHeader>(
+        `UPDATE AbsenceRequest
+            SET status = ?, approved_by = ?, approved_date = NOW(),
+                admin_comment = COALESCE(?, admin_comment),
+                updated_date = NOW()
+          WHERE id = ?${steps.length > 0 ? " AND status = 'pending' AND current_step = ?" : ''}`,
+        steps.length > 0
+          ? [status, adminUserId || null, adminComment || null, requestId, stepIndex]
+          : [status, adminUserId || null, adminComment || null, requestId]
       );
+    if (steps.length > 0 && updateResult?.affectedRows === 0) {
+      const err = new Error('Der Antrag wurde inzwischen von jemand anderem bearbeitet.');
+      (err as Error & { statusCode?: number }).statusCode = 409;
+      throw err;
+    }
+
+    if (steps.length > 0) {
+      await recordApprovalDecision(connection, {
+        requestId,
+        stepIndex,
+        stepLabel: step?.label ?? null,
+        decision: status as 'approved' | 'rejected',
+        decidedBy: adminUserId || null,
+        onBehalfOf,
+        comment: adminComment || null,
+      });
+    }
+
+    if (status === 'approved' && !advancesStep) {
+      // CentralAbsenceEntry je Kalendertag anlegen (oder aktualisieren, falls
+      // bereits vorhanden). ON DUPLICATE KEY UPDATE: falls fuer employee_id + date
+      // bereits ein Eintrag existiert (z.B. Admin hat direkt eingetragen), wird die
+      // Position ueberschrieben. Das ist gewollt — der genehmigte Antrag ist die
+      // autoritative Quelle. Wochenenden/Feiertage werden wie bei direkter
+      // Bereichsbuchung mit eingetragen; die Urlaubszaehlung ueberspringt sie.
+      const from = toYmd(request.date);
+      const to = request.end_date ? toYmd(request.end_date) : from;
+      const note = request.reason ? `Genehmigter Antrag: ${request.reason}` : 'Genehmigter Antrag';
+      for (const dateStr of eachRequestDate(from, to)) {
+        await connection.execute<ResultSetHeader>(
+          `INSERT INTO CentralAbsenceEntry (id, employee_id, date, position, note, half_day, source_tenant_id, source_tenant_doctor_id, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             position = VALUES(position),
+             note = COALESCE(VALUES(note), note),
+             half_day = VALUES(half_day),
+             source_tenant_id = VALUES(source_tenant_id),
+             source_tenant_doctor_id = VALUES(source_tenant_doctor_id),
+             updated_date = NOW()`,
+          [
+            crypto.randomUUID(),
+            request.employee_id,
+            dateStr,
+            request.position,
+            note,
+            isHalfDayOfRequest(dateStr, request) ? 1 : 0,
+            request.source_tenant_id,
+            request.source_tenant_doctor_id,
+            adminUserId || null,
+          ]
+        );
+      }
     }
 
     await connection.commit();
@@ -460,6 +745,162 @@ export async function updateAbsenceRequestStatus({
   }
 }
 
+// ─── Genehmigungskette: Benachrichtigung, Eskalation, Anzeige ────────────────
+
+interface EmployeeNameRow extends RowDataPacket {
+  first_name: string | null;
+  last_name: string | null;
+}
+
+function formatRequestPeriod(request: AbsenceRequestRow): string {
+  const format = (value: Date | string) => toYmd(value).split('-').reverse().join('.');
+  const from = format(request.date);
+  return request.end_date && toYmd(request.end_date) !== toYmd(request.date)
+    ? `${from} – ${format(request.end_date)}`
+    : from;
+}
+
+async function describeRequestForMail(masterDb: Pool, request: AbsenceRequestRow): Promise<string> {
+  const [rows] = await masterDb.execute<EmployeeNameRow[]>(
+    'SELECT first_name, last_name FROM Employee WHERE id = ? LIMIT 1',
+    [request.employee_id]
+  );
+  const name = rows[0] ? [rows[0].first_name, rows[0].last_name].filter(Boolean).join(' ') : 'Ein Mitarbeiter';
+  return `${name}: ${request.position} ${formatRequestPeriod(request)}`;
+}
+
+/**
+ * Mailt die Genehmiger der offenen Stufe (und ihre aktive Vertretung).
+ * Einstufige Antraege loesen keine Mail aus. Wirft nie.
+ */
+export async function notifyAbsenceApprovalStep({
+  masterDb,
+  request,
+}: {
+  masterDb: Pool;
+  request: AbsenceRequestRow;
+}): Promise<void> {
+  try {
+    const steps = parseApprovalSteps(request.approval_steps);
+    const stepIndex = Number(request.current_step) || 0;
+    const step = steps[stepIndex];
+    if (request.status !== 'pending' || !step) return;
+    const delegates = await loadActiveDelegateIds(masterDb, step.approver_user_ids);
+    await notifyAbsenceApprovers({
+      masterDb,
+      tenantId: request.source_tenant_id,
+      userIds: [...step.approver_user_ids, ...delegates],
+      subject: `[CuraFlow] Urlaubsantrag wartet auf Freigabe (${step.label})`,
+      text: `${await describeRequestForMail(masterDb, request)} wartet auf Ihre Freigabe (Stufe ${stepIndex + 1} von ${steps.length}: ${step.label}).`,
+    });
+  } catch (err) {
+    console.error('[absence-requests] Stufen-Benachrichtigung fehlgeschlagen:', err instanceof Error ? err.message : String(err));
+  }
+}
+
+/**
+ * Eskaliert offene Stufen, deren Frist (`escalate_after_days`) abgelaufen
+ * ist: `escalated_date` wird gesetzt, die Eskalation protokolliert und alle
+ * Abwesenheits-Genehmiger des Mandanten werden informiert. Laeuft stuendlich
+ * aus dem Server-Cron.
+ *
+ * @returns IDs der eskalierten Antraege
+ */
+export async function escalateOverdueAbsenceRequests({
+  masterDb,
+  now = new Date(),
+}: {
+  masterDb: Pool;
+  now?: Date;
+}): Promise<string[]> {
+  await ensureAbsenceRequestTables(masterDb);
+  await ensureAbsenceApprovalTables(masterDb);
+
+  const [rows] = await masterDb.execute<AbsenceRequestRow[]>(
+    `SELECT * FROM AbsenceRequest
+      WHERE status = 'pending' AND approval_steps IS NOT NULL AND escalated_date IS NULL`
+  );
+
+  const escalated: string[] = [];
+  for (const request of rows) {
+    if (!isApprovalStepOverdue(request, now)) continue;
+    const steps = parseApprovalSteps(request.approval_steps);
+    const stepIndex = Number(request.current_step) || 0;
+    const [result] = await masterDb.execute<ResultSetHeader>(
+      `UPDATE AbsenceRequest
+          SET escalated_date = ?, updated_date = NOW()
+        WHERE id = ? AND status = 'pending' AND current_step = ? AND escalated_date IS NULL`,
+      [now, request.id, stepIndex]
+    );
+    if (result.affectedRows === 0) continue;
+    await recordApprovalDecision(masterDb, {
+      requestId: request.id,
+      stepIndex,
+      stepLabel: steps[stepIndex]?.label ?? null,
+      decision: 'escalated',
+      decidedBy: null,
+    });
+    escalated.push(request.id);
+
+    const step = steps[stepIndex];
+    await notifyAbsenceApprovers({
+      masterDb,
+      tenantId: request.source_tenant_id,
+      userIds: null,
+      subject: `[CuraFlow] Urlaubsantrag eskaliert (${step?.label ?? `Stufe ${stepIndex + 1}`})`,
+      text: `${await describeRequestForMail(masterDb, request)} liegt seit ${step?.escalate_after_days} Tagen unentschieden bei "${step?.label}". Jeder Abwesenheits-Genehmiger kann jetzt entscheiden.`,
+    });
+  }
+  return escalated;
+}
+
+export interface AbsenceRequestWithApproval extends AbsenceRequestRow {
+  approval_steps: ApprovalStep[] | null;
+  approvals: ApprovalDecisionRow[];
+  /** Ob der anfragende Benutzer die offene Stufe entscheiden darf. */
+  can_decide: boolean;
+}
+
+/**
+ * Ergaenzt Antraege um den geparsten Stufen-Snapshot, das Entscheidungs-
+ * protokoll und `can_decide` fuer den anfragenden Benutzer. Ohne
+ * `canApprove` (kein `can_approve_absence`) ist `can_decide` immer false.
+ */
+export async function decorateAbsenceRequestsWithApproval({
+  masterDb,
+  requests,
+  userId,
+  canApprove,
+}: {
+  masterDb: Pool;
+  requests: AbsenceRequestRow[];
+  userId: string | null | undefined;
+  canApprove: boolean;
+}): Promise<AbsenceRequestWithApproval[]> {
+  const chained = requests.filter((r) => parseApprovalSteps(r.approval_steps).length > 0);
+  const decisions = await listApprovalDecisions(masterDb, chained.map((r) => r.id));
+  const delegatorIds = canApprove && chained.length > 0 ? await loadActiveDelegatorIds(masterDb, userId) : [];
+
+  return requests.map((request) => {
+    const steps = parseApprovalSteps(request.approval_steps);
+    let canDecide = canApprove && request.status === 'pending';
+    if (canDecide && steps.length > 0) {
+      canDecide = resolveStepAuthority({
+        step: steps[Number(request.current_step) || 0],
+        userId,
+        delegatorIds,
+        escalated: Boolean(request.escalated_date),
+      }).allowed;
+    }
+    return {
+      ...request,
+      approval_steps: steps.length > 0 ? steps : null,
+      approvals: decisions.get(request.id) ?? [],
+      can_decide: canDecide,
+    } as AbsenceRequestWithApproval;
+  });
+}
+
 // ─── DELETE ──────────────────────────────────────────────────────────────────
 
 interface DeleteAbsenceRequestDeps {
@@ -0,0 +1,339 @@
+/**
+ * Structured audit trail for schedule and master-data mutations.
+ *
+ * Every write through `/api/db` (dbProxy), `/api/atomic`, the pool shift
+ * routes of `/api/groups` and the employee routes of `/api/master` records
+ * who changed which entity, the row before and after the change and the
+ * tenant. Entries live in the MasterDB table `AuditLog`, partitioned like
+ * `TenantBackup` by `tenant_key = sha256(host:database)` ('default' without a
+ * DB token). Central master data (Employee, EmployeeTenantAssignment, …) is
+ * stored with `tenant_key = NULL`.
+ *
+ * Recording never throws: an audit failure is logged but must not roll back
+ * or fail the mutation that triggered it.
+ */
+
+import crypto from 'crypto';
+import type { Pool, RowDataPacket } from 'mysql2/promise';
+import { computeTenantKeyFromToken } from './crypto.js';
+
+export type AuditAction = 'create' | 'update' | 'delete';
+export type AuditSource = 'dbProxy' | 'atomic' | 'groups' | 'master' | 'shiftSwaps';
+
+export interface AuditContext {
+  /** null for central master data that belongs to no single tenant. */
+  tenantKey: string | null;
+  actorId: string | null;
+  actorEmail: string | null;
+  source: AuditSource;
+}
+
+export interface AuditChange {
+  entity: string;
+  recordId: string | null | undefined;
+  action: AuditAction;
+  before?: Record<string, unknown> | null;
+  after?: Record<string, unknown> | null;
+}
+
+export interface AuditEntry {
+  id: string;
+  tenant_key: string | null;
+  actor_id: string | null;
+  actor_email: string | null;
+  source: AuditSource;
+  entity: string;
+  record_id: string | null;
+  action: AuditAction;
+  changed_fields: string[];
+  before_data: Record<string, unknown> | null;
+  after_data: Record<string, unknown> | null;
+  created_date: string;
+}
+
+export interface AuditFilters {
+  tenantKey: string | null;
+  entity?: string | null;
+  /** Substring of the actor's e-mail address. */
+  actor?: string | null;
+  /** Inclusive YYYY-MM-DD bounds. */
+  from?: string | null;
+  to?: string | null;
+  limit?: number;
+  offset?: number;
+}
+
+interface AuditLogRow extends RowDataPacket {
+  id: string;
+  tenant_key: string | null;
+  actor_id: string | null;
+  actor_email: string | null;
+  source: AuditSource;
+  entity: string;
+  record_id: string | null;
+  action: AuditAction;
+  changed_fields: string | null;
+  before_data: string | null;
+  after_data: string | null;
+  created_date: string;
+}
+
+/** Log tables written by the system itself; auditing them would only audit the audit. */
+const AUDIT_EXCLUDED_ENTITIES = new Set(['SystemLog', 'BackupLog', 'AuditLog']);
+
+/** Bookkeeping columns that change on every write and are never reported as changed. */
+const BOOKKEEPING_FIELDS = new Set(['created_date', 'updated_date', 'created_by', 'created_at', 'updated_at']);
+
+const REDACTED_FIELD_PATTERN = /password|token|secret/i;
+
+export const AUDIT_DEFAULT_LIMIT = 100;
+export const AUDIT_MAX_LIMIT = 1000;
+export const AUDIT_EXPORT_LIMIT = 10000;
+
+export function auditContextFromRequest(
+  req: { dbToken?: string; user?: { sub?: string; email?: string } },
+  source: AuditSource,
+  { central = false }: { central?: boolean } = {},
+): AuditContext {
+  return {
+    tenantKey: central ? null : (req.dbToken && computeTenantKeyFromToken(req.dbToken)) || 'default',
+    actorId: req.user?.sub || null,
+    actorEmail: req.user?.email || null,
+    source,
+  };
+}
+
+function normalizeAuditValue(value: unknown): unknown {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} Bytes]`;
+  return value === undefined ? null : value;
+}
+
+function toAuditSnapshot(row: Record<string, unknown> | null | undefined): Record<string, unknown> | null {
+  if (!row || typeof row !== 'object') return null;
+  const snapshot: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(row)) {
+    snapshot[key] = REDACTED_FIELD_PATTERN.test(key) ? '[entfernt]' : normalizeAuditValue(value);
+  }
+  return snapshot;
+}
+
+// MySQL hands back DECIMAL as string, TINYINT(1) as 0/1 and DATETIME without
+// the 'T' — compare loosely so such representation changes are no "change".
+function comparableAuditValue(value: unknown): string {
+  const normalized = normalizeAuditValue(value);
+  if (normalized === null || normalized === '') return '';
+  if (typeof normalized === 'boolean') return normalized ? '1' : '0';
+  if (typeof normalized === 'number') return String(normalized);
+  if (typeof normalized === 'string') {
+    if (/^-?\d+(\.\d+)?$/.test(normalized)) return String(Number(normalized));
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(normalized)) return normalized.slice(0, 19).replace('T', ' ');
+    return normalized;
+  }
+  return JSON.stringify(normalized);
+}
+
+export function computeChangedFields(
+  before: Record<string, unknown> | null | undefined,
+  after: Record<string, unknown> | null | undefined,
+): string[] {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed: string[] = [];
+  for (const key of keys) {
+    if (BOOKKEEPING_FIELDS.has(key)) continue;
+    if (comparableAuditValue(before?.[key]) !== comparableAuditValue(after?.[key])) {
+      changed.push(key);
+    }
+  }
+  return changed.sort();
+}
+
+/**
+ * Audit changes between two snapshots of the same row set, matched by `id`:
+ * rows only in `afterRows` were created, rows only in `beforeRows` deleted,
+ * rows in both with differing fields updated.
+ */
+export function diffAuditRows(
+  entity: string,
+  beforeRows: Record<string, unknown>[],
+  afterRows: Record<string, unknown>[],
+): AuditChange[] {
+  const beforeById = new Map(beforeRows.map((row) => [String(row.id), row]));
+  const afterById = new Map(afterRows.map((row) => [String(row.id), row]));
+  const changes: AuditChange[] = [];
+  for (const [id, after] of afterById) {
+    const before = beforeById.get(id);
+    if (!before) {
+      changes.push({ entity, action: 'create', recordId: id, after });
+    } else if (computeChangedFields(before, after).length > 0) {
+      changes.push({ entity, action: 'update', recordId: id, before, after });
+    }
+  }
+  for (const [id, before] of beforeById) {
+    if (!afterById.has(id)) changes.push({ entity, action: 'delete', recordId: id, before });
+  }
+  return changes;
+}
+
+/**
+ * Persist audit entries for one request. Changes to excluded log tables and
+ * changes without a record are dropped; all others go in one INSERT.
+ */
+export async function recordAudit(masterDb: Pool, context: AuditContext, changes: AuditChange[]): Promise<void> {
+  try {
+    await insertAuditRows(masterDb, context, changes);
+  } catch (err) {
+    console.error('[AUDIT] Failed to write AuditLog entries:', (err as Error).message);
+  }
+}
+
+async function insertAuditRows(masterDb: Pool, context: AuditContext, changes: AuditChange[]): Promise<void> {
+  const rows = changes
+    .filter((change) => change.entity && !AUDIT_EXCLUDED_ENTITIES.has(change.entity))
+    .filter((change) => change.before || change.after)
+    .map((change) => {
+      const before = change.action === 'create' ? null : toAuditSnapshot(change.before);
+      const after = change.action === 'delete' ? null : toAuditSnapshot(change.after);
+      const recordId = change.recordId ?? (after?.id as string | undefined) ?? (before?.id as string | undefined) ?? null;
+      return [
+        crypto.randomUUID(),
+        context.tenantKey,
+        context.actorId,
+        context.actorEmail,
+        context.source,
+        change.entity,
+        recordId === null ? null : String(recordId),
+        change.action,
+        JSON.stringify(computeChangedFields(before, after)),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+      ];
+    });
+  if (rows.length === 0) return;
+
+  await masterDb.query(
+    `INSERT INTO AuditLog
+       (id, tenant_key, actor_id, actor_email, source, entity, record_id, action, changed_fields, before_data, after_data)
+     VALUES ?`,
+    [rows],
+  );
+}
+
+function parseJsonColumn<T>(value: string | null, fallback: T): T {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value) as T;
+  } catch {
+    return fallback;
+  }
+}
+
+function buildAuditWhere(filters: AuditFilters): { clause: string; params: unknown[] } {
+  const conditions: string[] = [];
+  const params: unknown[] = [];
+  if (filters.tenantKey === null) {
+    conditions.push('tenant_key IS NULL');
+  } else {
+    conditions.push('tenant_key = ?');
+    params.push(filters.tenantKey);
+  }
+  if (filters.entity) {
+    conditions.push('entity = ?');
+    params.push(filters.entity);
+  }
+  if (filters.actor) {
+    conditions.push('actor_email LIKE ?');
+    params.push(`%${filters.actor.replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+  }
+  if (filters.from) {
+    conditions.push('created_date >= ?');
+    params.push(`${filters.from} 00:00:00`);
+  }
+  if (filters.to) {
+    conditions.push('created_date < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.to);
+  }
+  return { clause: conditions.join(' AND '), params };
+}
+
+export async function listAuditEntries(
+  masterDb: Pool,
+  filters: AuditFilters,
+): Promise<{ entries: AuditEntry[]; total: number; entities: string[] }> {
+  const { clause, params } = buildAuditWhere(filters);
+  const limit = Math.min(Math.max(1, Math.floor(filters.limit ?? AUDIT_DEFAULT_LIMIT)), AUDIT_EXPORT_LIMIT);
+  const offset = Math.max(0, Math.floor(filters.offset ?? 0));
+
+  const [rows] = await masterDb.execute<AuditLogRow[]>(
+    `SELECT id, tenant_key, actor_id, actor_email, source, entity, record_id, action,
+            changed_fields, before_data, after_data, created_date
+       FROM AuditLog
+      WHERE ${clause}
+      ORDER BY created_date DESC, id DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+    params,
+  );
+  const [countRows] = await masterDb.execute<RowDataPacket[]>(
+    `SELECT COUNT(*) AS total FROM AuditLog WHERE ${clause}`,
+    params,
+  );
+  const tenantScope = buildAuditWhere({ tenantKey: filters.tenantKey });
+  const [entityRows] = await masterDb.execute<RowDataPacket[]>(
+    `SELECT DISTINCT entity FROM AuditLog WHERE ${tenantScope.clause} ORDER BY entity`,
+    tenantScope.params,
+  );
+
+  return {
+    entries: rows.map((row) => ({
+      id: row.id,
+      tenant_key: row.tenant_key,
+      actor_id: row.actor_id,
+      actor_email: row.actor_email,
+      source: row.source,
+      entity: row.entity,
+      record_id: row.record_id,
+      action: row.action,
+      changed_fields: parseJsonColumn<string[]>(row.changed_fields, []),
+      before_data: parseJsonColumn<Record<string, unknown> | null>(row.before_data, null),
+      after_data: parseJsonColumn<Record<string, unknown> | null>(row.after_data, null),
+      created_date: row.created_date,
+    })),
+    total: Number(countRows[0]?.total ?? 0),
+    entities: entityRows.map((row) => String(row.entity)),
+  };
+}
+
+function csvCell(value: unknown): string {
+  const text = value === null || value === undefined ? '' : String(value);
+  // Leading =, +, -, @ would be evaluated as a formula by Excel.
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[";\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function pickFields(data: Record<string, unknown> | null, fields: string[]): string {
+  if (!data) return '';
+  const source = fields.length > 0 ? fields : Object.keys(data);
+  return JSON.stringify(Object.fromEntries(source.filter((f) => f in data).map((f) => [f, data[f]])));
+}
+
+/**
+ * Semicolon-separated CSV (German Excel default) with a UTF-8 BOM. Before /
+ * after are reduced to the changed fields to keep the export readable.
+ */
+export function auditEntriesToCsv(entries: AuditEntry[]): string {
+  const header = ['Zeitpunkt', 'Benutzer', 'Quelle', 'Entität', 'Datensatz-ID', 'Aktion', 'Geänderte Felder', 'Vorher', 'Nachher'];
+  const lines = entries.map((entry) => [
+    entry.created_date,
+    entry.actor_email || entry.actor_id || '',
+    entry.source,
+    entry.entity,
+    entry.record_id || '',
+    entry.action,
+    entry.changed_fields.join(', '),
+    pickFields(entry.before_data, entry.changed_fields),
+    pickFields(entry.after_data, entry.changed_fields),
+  ].map(csvCell).join(';'));
+  return `\uFEFF${[header.join(';'), ...lines].join('\r\n')}\r\n`;
+}
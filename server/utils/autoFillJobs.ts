@@ -0,0 +1,195 @@
+/**
+ * In-process job queue for server-side AutoFill runs.
+ *
+ * Jobs run one at a time (the solver is CPU bound and yields to the event
+ * loop between node batches) and are kept in memory: a restart drops queued
+ * and finished jobs, which is fine for suggestions that are only previews.
+ * A tenant scope may have at most one queued or running job.
+ */
+
+import crypto from 'crypto';
+import type { AutoFillInput, AutoFillOptimizationResult } from './autoFillModel.js';
+import { optimizeAutoFill } from './autoFillModel.js';
+import type { SolverProgress } from './autoFillSolver.js';
+
+export type AutoFillJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface AutoFillJobParams {
+  startDate: string;
+  endDate: string;
+  categories: string[];
+  timeLimitMs: number;
+  weightProfileId: string | null;
+}
+
+export interface AutoFillJob {
+  id: string;
+  scope: string;
+  status: AutoFillJobStatus;
+  params: AutoFillJobParams;
+  created_by: string | null;
+  created_date: string;
+  started_date: string | null;
+  finished_date: string | null;
+  progress: SolverProgress | null;
+  result: AutoFillOptimizationResult | null;
+  error: string | null;
+}
+
+interface JobEntry {
+  job: AutoFillJob;
+  loadInput: () => Promise<AutoFillInput>;
+  cancelRequested: boolean;
+}
+
+export const MAX_JOBS_PER_SCOPE = 20;
+export const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const jobs = new Map<string, JobEntry>();
+const queue: string[] = [];
+let running = false;
+
+function jobError(message: string, statusCode: number): Error {
+  const err = new Error(message);
+  (err as Error & { statusCode?: number }).statusCode = statusCode;
+  return err;
+}
+
+function isOpen(job: AutoFillJob): boolean {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+/** Drops finished jobs older than the retention and beyond the per-scope limit. */
+function pruneJobs(scope: string, now = Date.now()): void {
+  const finished = [...jobs.values()]
+    .filter((entry) => entry.job.scope === scope && !isOpen(entry.job))
+    .sort((a, b) => b.job.created_date.localeCompare(a.job.created_date));
+  finished.forEach((entry, index) => {
+    const age = now - Date.parse(entry.job.finished_date ?? entry.job.created_date);
+    if (index >= MAX_JOBS_PER_SCOPE || age > JOB_RETENTION_MS) jobs.delete(entry.job.id);
+  });
+}
+
+async function runJob(entry: JobEntry): Promise<void> {
+  const { job } = entry;
+  job.status = 'running';
+  job.started_date = new Date().toISOString();
+  try {
+    const input = await entry.loadInput();
+    const result = await optimizeAutoFill(input, {
+      timeLimitMs: job.params.timeLimitMs,
+      shouldCancel: () => entry.cancelRequested,
+      onProgress: (progress) => { job.progress = progress; },
+    });
+    job.result = result;
+    job.progress = {
+      nodes: result.stats.nodes,
+      objective: result.stats.objective,
+      bestBound: result.stats.bestBound,
+      gap: result.stats.gap,
+    };
+    job.status = entry.cancelRequested ? 'cancelled' : 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = (error as Error).message;
+    console.error(`[autofill-jobs] Job ${job.id} fehlgeschlagen:`, job.error);
+  } finally {
+    job.finished_date = new Date().toISOString();
+  }
+}
+
+async function drainQueue(): Promise<void> {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length > 0) {
+      const entry = jobs.get(queue.shift()!);
+      if (entry && entry.job.status === 'queued') await runJob(entry);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Enqueues an AutoFill run. `loadInput` is called when the job starts, so the
+ * plan is read as it is at that moment.
+ *
+ * @throws {Error} mit .statusCode = 409 wenn für den Mandanten bereits ein Job läuft
+ */
+export function startAutoFillJob({
+  scope,
+  params,
+  createdBy,
+  loadInput,
+}: {
+  scope: string;
+  params: AutoFillJobParams;
+  createdBy?: string | null;
+  loadInput: () => Promise<AutoFillInput>;
+}): AutoFillJob {
+  pruneJobs(scope);
+  const open = [...jobs.values()].find((entry) => entry.job.scope === scope && isOpen(entry.job));
+  if (open) throw jobError('Für diesen Mandanten läuft bereits ein AutoFill-Job', 409);
+
+  const job: AutoFillJob = {
+    id: crypto.randomUUID(),
+    scope,
+    status: 'queued',
+    params,
+    created_by: createdBy ?? null,
+    created_date: new Date().toISOString(),
+    started_date: null,
+    finished_date: null,
+    progress: null,
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, { job, loadInput, cancelRequested: false });
+  queue.push(job.id);
+  // Start after the current request has answered with the queued job
+  setImmediate(() => { void drainQueue(); });
+  return job;
+}
+
+/** Job of the scope, or null (jobs of other tenants are invisible). */
+export function getAutoFillJob(scope: string, id: string): AutoFillJob | null {
+  const entry = jobs.get(id);
+  return entry && entry.job.scope === scope ? entry.job : null;
+}
+
+/** Jobs of the scope, newest first, without the suggestions. */
+export function listAutoFillJobs(scope: string): Array<Omit<AutoFillJob, 'result'> & { stats: AutoFillOptimizationResult['stats'] | null }> {
+  pruneJobs(scope);
+  return [...jobs.values()]
+    .filter((entry) => entry.job.scope === scope)
+    .map(({ job }) => {
+      const { result, ...summary } = job;
+      return { ...summary, stats: result?.stats ?? null };
+    })
+    .sort((a, b) => b.created_date.localeCompare(a.created_date));
+}
+
+/**
+ * Cancels a queued job immediately; a running job stops at its next yield and
+ * keeps the best plan found so far.
+ *
+ * @throws {Error} mit .statusCode = 404 / 409
+ */
+export function cancelAutoFillJob(scope: string, id: string): AutoFillJob {
+  const entry = jobs.get(id);
+  if (!entry || entry.job.scope !== scope) throw jobError('AutoFill-Job nicht gefunden', 404);
+  if (!isOpen(entry.job)) throw jobError('Der AutoFill-Job ist bereits beendet', 409);
+  entry.cancelRequested = true;
+  if (entry.job.status === 'queued') {
+    entry.job.status = 'cancelled';
+    entry.job.finished_date = new Date().toISOString();
+  }
+  return entry.job;
+}
+
+/** Test helper: forget all jobs. */
+export function resetAutoFillJobs(): void {
+  jobs.clear();
+  queue.length = 0;
+}
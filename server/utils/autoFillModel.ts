@@ -0,0 +1,713 @@
+/**
+ * Server-side AutoFill: encodes the planning rules of the browser engine
+ * (`src/components/schedule/autoFillEngine.ts`) as an assignment model for
+ * the bundled solver (`autoFillSolver.ts`).
+ *
+ * Hard constraints (never violated):
+ *   - Pflicht-Qualifikation vorhanden, keine Nicht-Qualifikation
+ *   - Abwesenheiten, genehmigtes "kein Dienst", strikter Rotationsmodus
+ *   - ein Dienst und ein verfügbarkeitsrelevanter Arbeitsplatz pro Tag
+ *   - Auto-Frei am nächsten Werktag nach einem auto_off-Dienst
+ *   - aufeinanderfolgende Tage bei `consecutive_days_mode = 'forbidden'`
+ *
+ * Soft constraints use the CostFunction weights (`AUTOFILL_WEIGHTS`):
+ * qualification fit, rotation match, wishes, FTE fairness, weekly load, the
+ * 4-week service limits (per assignment above the limit) and preferred
+ * consecutive days. Open seats cost `COVERAGE_WEIGHTS`, which exceed every
+ * finite assignment cost — like the greedy engine, the optimizer fills a seat
+ * whenever an eligible doctor exists.
+ *
+ * Not modelled (the board validates them on apply): rest periods, weekly
+ * working-hours caps and part-time off days.
+ */
+
+import type { RowDataPacket, Pool } from 'mysql2/promise';
+import { fromSqlRow } from './sqlMarshal.js';
+import type { EvidenceDoctorQualification, EvidenceQualification } from './qualificationEvidence.js';
+import { getEvidenceBlockedFrom } from './qualificationEvidence.js';
+import type { SolverModel, SolverOption, SolverResult, SolverSeat, SolveOptions } from './autoFillSolver.js';
+import { solveAssignmentModel } from './autoFillSolver.js';
+
+// Same values as WEIGHTS in src/components/schedule/costFunction.ts (guarded by a test).
+export const AUTOFILL_WEIGHTS = {
+  QUAL_MISSING_MANDATORY: 50,
+  QUAL_DISCOURAGED: 45,
+  QUAL_MISSING_OPTIONAL: 3,
+  QUAL_HAS_OPTIONAL: -2,
+  QUAL_HAS_ANY_OPTIONAL: -1,
+  ROT_MATCH: -15,
+  ROT_ELSEWHERE: 8,
+  FAIRNESS_WEIGHT: 5,
+  WEEKLY_WEIGHT: 2,
+  WISH_APPROVED: -20,
+  WISH_PENDING: -10,
+  WISH_NO_SERVICE_PENDING: 12,
+  LIMIT_EXCEEDED: 25,
+  CONSECUTIVE_BONUS: -25,
+};
+
+export type AutoFillWeights = typeof AUTOFILL_WEIGHTS;
+
+/**
+ * Weights of a tenant weight profile (SystemSetting `autofill_weight_profiles`,
+ * see src/components/schedule/weightProfiles.ts); `profileId` defaults to the
+ * active profile. Unknown profiles fall back to the defaults.
+ */
+export function resolveProfileWeights(settings: Record<string, string>, profileId?: string | null): AutoFillWeights {
+  const id = profileId ?? settings.autofill_active_weight_profile;
+  if (!id || !settings.autofill_weight_profiles) return AUTOFILL_WEIGHTS;
+  try {
+    const profiles: unknown = JSON.parse(settings.autofill_weight_profiles);
+    const profile = Array.isArray(profiles)
+      ? (profiles as Array<{ id?: unknown; weights?: Record<string, unknown> }>).find((p) => p?.id === id)
+      : null;
+    const weights = { ...AUTOFILL_WEIGHTS };
+    for (const [key, value] of Object.entries(profile?.weights ?? {})) {
+      if (key in weights && typeof value === 'number' && Number.isFinite(value)) {
+        weights[key as keyof AutoFillWeights] = value;
+      }
+    }
+    return weights;
+  } catch {
+    return AUTOFILL_WEIGHTS;
+  }
+}
+
+export const COVERAGE_WEIGHTS = {
+  /** Open seat below min_staff (services: every seat). */
+  BELOW_MIN: 1000,
+  /** Open seat between min_staff and optimal_staff. */
+  BELOW_OPT: 250,
+};
+
+export const ABSENCE_POSITIONS = ['Frei', 'Krank', 'Urlaub', 'Dienstreise', 'Nicht verfügbar'];
+export const DEFAULT_FILL_CATEGORIES = ['Rotationen', 'Dienste', 'Demonstrationen & Konsile'];
+const DEFAULT_ACTIVE_DAYS = [1, 2, 3, 4, 5];
+const MULTIPLE_BY_CATEGORY: Record<string, boolean> = {
+  Rotationen: true,
+  Dienste: false,
+  'Demonstrationen & Konsile': false,
+};
+const AUTO_FREI_NOTE = 'Autom. Freizeitausgleich';
+
+// ─── Input shapes ────────────────────────────────────────────────────────────
+
+export interface AutoFillDoctor {
+  id: string;
+  name: string;
+  fte?: number | string | null;
+}
+
+export interface AutoFillWorkplace {
+  id: string;
+  name: string;
+  category: string;
+  order?: number | null;
+  active_days?: number[] | null;
+  affects_availability?: boolean | null;
+  allows_rotation_concurrently?: boolean | null;
+  allows_multiple?: boolean | null;
+  auto_off?: boolean | null;
+  service_type?: number | null;
+  min_staff?: number | null;
+  optimal_staff?: number | null;
+  consecutive_days_mode?: string | null;
+  allows_consecutive_days?: boolean | null;
+  timeslots_enabled?: boolean | null;
+}
+
+export interface AutoFillShift {
+  date: string;
+  position: string;
+  doctor_id: string | null;
+  timeslot_id?: string | null;
+}
+
+export interface AutoFillWish {
+  doctor_id: string;
+  date: string;
+  type: string;
+  status: string;
+  position?: string | null;
+}
+
+export interface AutoFillRotation {
+  doctor_id: string;
+  modality: string | null;
+  start_date: string;
+  end_date: string;
+}
+
+export interface AutoFillTimeslot {
+  id: string;
+  workplace_id: string;
+  label?: string | null;
+  order?: number | null;
+}
+
+export interface WorkplaceQualIds {
+  required: string[];
+  optional: string[];
+  excluded: string[];
+  discouraged: string[];
+}
+
+export interface AutoFillInput {
+  /** Planning days (yyyy-MM-dd, ascending). */
+  dates: string[];
+  doctors: AutoFillDoctor[];
+  workplaces: AutoFillWorkplace[];
+  /** Entries from 3 weeks before the first day through the day after the last. */
+  shifts: AutoFillShift[];
+  wishes: AutoFillWish[];
+  rotations: AutoFillRotation[];
+  timeslots: AutoFillTimeslot[];
+  doctorQualIds: Record<string, string[]>;
+  /** doctorId → qualificationId → first day the qualification is blocked for lack of valid evidence. */
+  doctorQualBlockedFrom?: Record<string, Record<string, string>>;
+  workplaceQualIds: Record<string, WorkplaceQualIds>;
+  settings: Record<string, string>;
+  holidays: Set<string>;
+  categories: string[];
+  /** Defaults to AUTOFILL_WEIGHTS. */
+  weights?: AutoFillWeights;
+}
+
+export interface AutoFillSuggestion {
+  date: string;
+  position: string;
+  doctor_id: string;
+  timeslot_id?: string | null;
+  note?: string | null;
+  isPreview: true;
+}
+
+export interface AutoFillOpenSeat {
+  date: string;
+  position: string;
+  timeslot_id: string | null;
+  below_min: boolean;
+}
+
+interface SeatMeta {
+  date: string;
+  position: string;
+  timeslotId: string | null;
+  belowMin: boolean;
+  /** Doctor and optional Auto-Frei date per solver option. */
+  options: Array<{ doctorId: string; autoFreiDate: string | null }>;
+}
+
+export interface BuiltAutoFillModel {
+  model: SolverModel;
+  seats: SeatMeta[];
+}
+
+// ─── Date helpers (local calendar days, like the browser engine) ─────────────
+
+function parseDay(dateStr: string): Date {
+  return new Date(`${dateStr}T00:00:00`);
+}
+
+function formatDay(date: Date): string {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function shiftDay(dateStr: string, days: number): string {
+  const date = parseDay(dateStr);
+  date.setDate(date.getDate() + days);
+  return formatDay(date);
+}
+
+/** Every day from `startDate` through `endDate`. */
+export function listDays(startDate: string, endDate: string): string[] {
+  const days: string[] = [];
+  for (let day = startDate; day <= endDate; day = shiftDay(day, 1)) days.push(day);
+  return days;
+}
+
+/** Same rule as src/utils/autoFrei.ts: next day unless weekend or holiday. */
+export function getAutoFreiDate(dateStr: string, holidays: Set<string>): string | null {
+  const next = shiftDay(dateStr, 1);
+  const weekday = parseDay(next).getDay();
+  if (weekday === 0 || weekday === 6 || holidays.has(next)) return null;
+  return next;
+}
+
+// ─── Model ───────────────────────────────────────────────────────────────────
+
+function toNumber(value: unknown, fallback: number): number {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseCustomCategories(raw: string | undefined): Record<string, boolean> {
+  if (!raw) return {};
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return {};
+    const result: Record<string, boolean> = {};
+    for (const entry of parsed) {
+      if (typeof entry === 'string') result[entry.trim()] = true;
+      else if (entry && typeof entry.name === 'string') result[entry.name.trim()] = entry.allows_multiple ?? true;
+    }
+    return result;
+  } catch {
+    return {};
+  }
+}
+
+export function buildAutoFillModel(input: AutoFillInput): BuiltAutoFillModel {
+  const { dates, doctors, workplaces, shifts, wishes, rotations, timeslots, settings, holidays } = input;
+  const W = input.weights ?? AUTOFILL_WEIGHTS;
+  const firstDay = dates[0];
+  const lastDay = dates[dates.length - 1];
+  const planDays = new Set(dates);
+  const wpByName = new Map(workplaces.map((wp) => [wp.name, wp]));
+  const customCategories = parseCustomCategories(settings.workplace_categories);
+
+  const limitFG = toNumber(settings.limit_fore_services, 4);
+  const limitBG = toNumber(settings.limit_back_services, 12);
+  const limitWeekend = toNumber(settings.limit_weekend_services, 1);
+  const strictRotationMode = settings.rotation_restricts_other_assignments === 'true'
+    || settings.rotation_restricts_other_assignments === '1';
+
+  const fteOf = new Map(doctors.map((d) => [d.id, toNumber(d.fte, 1) || 1]));
+  const qualsOf = (doctorId: string) => input.doctorQualIds[doctorId] ?? [];
+  // Qualifications that count on `dateStr`, i.e. without lapsed mandatory evidence
+  const usableQualsOf = (doctorId: string, dateStr: string) => {
+    const blocked = input.doctorQualBlockedFrom?.[doctorId];
+    if (!blocked) return qualsOf(doctorId);
+    return qualsOf(doctorId).filter((id) => !blocked[id] || dateStr < blocked[id]);
+  };
+  const wpQuals = (wpId: string): WorkplaceQualIds =>
+    input.workplaceQualIds[wpId] ?? { required: [], optional: [], excluded: [], discouraged: [] };
+
+  const isService = (wp: AutoFillWorkplace) => wp.category === 'Dienste';
+  const allowsMultiple = (wp: AutoFillWorkplace) => {
+    if (wp.allows_multiple !== undefined && wp.allows_multiple !== null) return Boolean(wp.allows_multiple);
+    return MULTIPLE_BY_CATEGORY[wp.category] ?? customCategories[wp.category] ?? true;
+  };
+  /** New assignments block the doctor for other availability-relevant workplaces. */
+  const blocksAvailability = (wp: AutoFillWorkplace) =>
+    !wp.allows_rotation_concurrently && (isService(wp) || wp.affects_availability !== false);
+  /** Existing entries block like in the engine's base blocked set. */
+  const existingBlocks = (wp: AutoFillWorkplace | undefined) => {
+    if (!wp) return true;
+    if (wp.affects_availability === false || wp.allows_rotation_concurrently) return false;
+    return !(wp.category === 'Demonstrationen & Konsile' && wp.affects_availability !== true);
+  };
+  const isActiveOn = (wp: AutoFillWorkplace, dateStr: string) => {
+    const activeDays = wp.active_days?.length ? wp.active_days : DEFAULT_ACTIVE_DAYS;
+    if (holidays.has(dateStr)) return activeDays.includes(0);
+    return activeDays.includes(parseDay(dateStr).getDay());
+  };
+  const consecutiveMode = (wp: AutoFillWorkplace) =>
+    wp.consecutive_days_mode || (wp.allows_consecutive_days === false ? 'forbidden' : 'allowed');
+
+  // Foreground/background services (legacy fallback: first service = FG)
+  const services = workplaces.filter(isService).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const fgPositions = new Set(services.filter((w) => w.service_type === 1).map((w) => w.name));
+  const bgPositions = new Set(services.filter((w) => w.service_type === 2).map((w) => w.name));
+  if (fgPositions.size === 0 && bgPositions.size === 0 && services.length > 0) {
+    fgPositions.add(services[0].name);
+    services.slice(1).forEach((w) => bgPositions.add(w.name));
+  }
+  const serviceType = (name: string) => (fgPositions.has(name) ? 'fg' : bgPositions.has(name) ? 'bg' : 'other');
+  const isWeekend = (dateStr: string) => [0, 6].includes(parseDay(dateStr).getDay());
+
+  // Index existing entries
+  const shiftsByDay = new Map<string, AutoFillShift[]>();
+  for (const shift of shifts) {
+    const list = shiftsByDay.get(shift.date) ?? [];
+    list.push(shift);
+    shiftsByDay.set(shift.date, list);
+  }
+  const hasEntry = (doctorId: string, dateStr: string) =>
+    (shiftsByDay.get(dateStr) ?? []).some((s) => s.doctor_id === doctorId);
+  const hasShiftAt = (doctorId: string, position: string, dateStr: string) =>
+    (shiftsByDay.get(dateStr) ?? []).some((s) => s.doctor_id === doctorId && s.position === position);
+
+  // 4-week service history and weekly load (existing entries only)
+  const historyStart = shiftDay(firstDay, -21);
+  const history = new Map<string, { fg: number; bg: number; weekend: number }>();
+  const weekly = new Map<string, number>();
+  for (const shift of shifts) {
+    if (!shift.doctor_id || shift.date < historyStart || shift.date > lastDay) continue;
+    const type = serviceType(shift.position);
+    const entry = history.get(shift.doctor_id) ?? { fg: 0, bg: 0, weekend: 0 };
+    if (type === 'fg') {
+      entry.fg++;
+      if (isWeekend(shift.date)) entry.weekend++;
+    }
+    if (type === 'bg') entry.bg++;
+    history.set(shift.doctor_id, entry);
+    if (planDays.has(shift.date) && !ABSENCE_POSITIONS.includes(shift.position) && shift.position !== 'Verfügbar') {
+      weekly.set(shift.doctor_id, (weekly.get(shift.doctor_id) ?? 0) + 1);
+    }
+  }
+
+  const counters: SolverModel['counters'] = {};
+  for (const doctor of doctors) {
+    const h = history.get(doctor.id) ?? { fg: 0, bg: 0, weekend: 0 };
+    const fte = fteOf.get(doctor.id) ?? 1;
+    counters[`fg:${doctor.id}`] = { capacity: Math.round(limitFG * fte) - h.fg, overflowCost: W.LIMIT_EXCEEDED };
+    counters[`bg:${doctor.id}`] = { capacity: Math.round(limitBG * fte) - h.bg, overflowCost: W.LIMIT_EXCEEDED };
+    counters[`wknd:${doctor.id}`] = { capacity: limitWeekend - h.weekend, overflowCost: W.LIMIT_EXCEEDED };
+  }
+
+  const rotationTargets = (doctorId: string, dateStr: string): string[] => rotations
+    .filter((r) => r.doctor_id === doctorId && r.start_date <= dateStr && r.end_date >= dateStr)
+    .map((r) => {
+      if (r.modality === 'Röntgen') {
+        const roeWp = workplaces.find((w) => w.name === 'DL/konv. Rö' || w.name.includes('Rö'));
+        return roeWp?.name || r.modality || '';
+      }
+      return r.modality || '';
+    })
+    .filter(Boolean);
+
+  const wishFor = (doctorId: string, dateStr: string, predicate: (w: AutoFillWish) => boolean) =>
+    wishes.find((w) => w.doctor_id === doctorId && w.date === dateStr && predicate(w));
+
+  const qualificationCost = (doctorId: string, wp: AutoFillWorkplace, dateStr: string): number | null => {
+    const docQuals = qualsOf(doctorId);
+    const usableQuals = usableQualsOf(doctorId, dateStr);
+    const q = wpQuals(wp.id);
+    if (q.excluded.some((id) => docQuals.includes(id))) return null;
+    if (q.required.length > 0 && !q.required.every((id) => usableQuals.includes(id))) return null;
+    let cost = 0;
+    if (q.discouraged.some((id) => docQuals.includes(id))) cost += W.QUAL_DISCOURAGED;
+    if (q.optional.length > 0) {
+      if (q.optional.every((id) => usableQuals.includes(id))) cost += W.QUAL_HAS_OPTIONAL;
+      else if (q.optional.some((id) => usableQuals.includes(id))) cost += W.QUAL_HAS_ANY_OPTIONAL;
+      else cost += W.QUAL_MISSING_OPTIONAL;
+    }
+    return cost;
+  };
+
+  const fairnessCost = (doctorId: string, name: string) => {
+    const h = history.get(doctorId) ?? { fg: 0, bg: 0, weekend: 0 };
+    const type = serviceType(name);
+    const count = type === 'fg' ? h.fg : type === 'bg' ? h.bg : h.fg + h.bg;
+    return (count / (fteOf.get(doctorId) ?? 1)) * W.FAIRNESS_WEIGHT;
+  };
+
+  // Seats in engine phase order: per day services, availability-relevant, the rest
+  const phaseOf = (wp: AutoFillWorkplace) => (isService(wp) ? 0 : wp.affects_availability !== false ? 1 : 2);
+  const fillable = workplaces
+    .filter((wp) => input.categories.includes(wp.category))
+    .sort((a, b) => phaseOf(a) - phaseOf(b) || (a.order ?? 0) - (b.order ?? 0));
+
+  const seats: SolverSeat[] = [];
+  const seatMeta: SeatMeta[] = [];
+
+  for (const dateStr of dates) {
+    const dayShifts = shiftsByDay.get(dateStr) ?? [];
+    const freiFromPreviousDay = new Set<string>();
+    const previousDay = shiftDay(dateStr, -1);
+    if (getAutoFreiDate(previousDay, holidays) === dateStr) {
+      for (const s of shiftsByDay.get(previousDay) ?? []) {
+        if (s.doctor_id && wpByName.get(s.position)?.auto_off && isService(wpByName.get(s.position)!)) {
+          freiFromPreviousDay.add(s.doctor_id);
+        }
+      }
+    }
+
+    const absent = new Set<string>(freiFromPreviousDay);
+    const blocked = new Set<string>();
+    const onService = new Set<string>();
+    for (const s of dayShifts) {
+      if (!s.doctor_id) continue;
+      if (ABSENCE_POSITIONS.includes(s.position)) { absent.add(s.doctor_id); continue; }
+      if (s.position === 'Verfügbar') continue;
+      const wp = wpByName.get(s.position);
+      if (existingBlocks(wp)) blocked.add(s.doctor_id);
+      if (wp && isService(wp)) onService.add(s.doctor_id);
+    }
+
+    for (const wp of fillable) {
+      if (!isActiveOn(wp, dateStr)) continue;
+      const wpSlots = wp.timeslots_enabled
+        ? timeslots.filter((t) => t.workplace_id === wp.id).sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+        : [];
+      const slotIds: Array<string | null> = wpSlots.length > 1 ? wpSlots.map((t) => t.id) : [wpSlots[0]?.id ?? null];
+      const optimal = allowsMultiple(wp) ? Math.max(wp.optimal_staff ?? 1, wp.min_staff ?? 1) : 1;
+      const minStaff = allowsMultiple(wp) ? (wp.min_staff ?? 1) : 1;
+      const mode = consecutiveMode(wp);
+
+      for (const timeslotId of slotIds) {
+        const inSlot = dayShifts.filter((s) => s.position === wp.name
+          && (timeslotId ? s.timeslot_id === timeslotId : !s.timeslot_id));
+        const slotKey = `${wp.name}::${timeslotId ?? ''}`;
+
+        // Options are identical for every seat of the slot
+        const options: SolverOption[] = [];
+        const optionMeta: SeatMeta['options'] = [];
+        for (const doctor of doctors) {
+          const id = doctor.id;
+          if (absent.has(id)) continue;
+          if (inSlot.some((s) => s.doctor_id === id)) continue;
+          const qCost = qualificationCost(id, wp, dateStr);
+          if (qCost === null) continue;
+
+          const targets = rotationTargets(id, dateStr);
+          const wishHere = wishFor(id, dateStr, (w) => w.type === 'service'
+            && (w.status === 'approved' || w.status === 'pending') && w.position === wp.name);
+          if (strictRotationMode && targets.length > 0 && !targets.includes(wp.name) && !wishHere
+            && (isService(wp) || wp.category !== 'Rotationen')) continue;
+
+          let cost = qCost;
+          if (targets.length > 0) cost += targets.includes(wp.name) ? W.ROT_MATCH : W.ROT_ELSEWHERE;
+          cost += (weekly.get(id) ?? 0) * W.WEEKLY_WEIGHT;
+
+          const option: SolverOption = {
+            cost,
+            resources: [`slot:${id}:${dateStr}:${slotKey}`],
+            presence: [`${id}:${dateStr}`],
+          };
+          let autoFreiDate: string | null = null;
+
+          if (blocksAvailability(wp)) {
+            if (blocked.has(id)) continue;
+            option.resources!.push(`day:${id}:${dateStr}`);
+          }
+
+          if (isService(wp)) {
+            if (onService.has(id)) continue;
+            if (wishFor(id, dateStr, (w) => w.type === 'no_service' && w.status === 'approved')) continue;
+            const prev = shiftDay(dateStr, -1);
+            const next = shiftDay(dateStr, 1);
+            const adjacentExisting = hasShiftAt(id, wp.name, prev) || hasShiftAt(id, wp.name, next);
+            if (mode === 'forbidden') {
+              if (adjacentExisting) continue;
+              option.resources!.push(`consec:${id}:${wp.name}:${prev}`, `consec:${id}:${wp.name}:${dateStr}`);
+            }
+            option.resources!.push(`svc:${id}:${dateStr}`);
+            option.blocks = [`nb:${id}:${dateStr}`];
+
+            cost += fairnessCost(id, wp.name);
+            if (wishFor(id, dateStr, (w) => w.type === 'no_service' && w.status === 'pending')) {
+              cost += W.WISH_NO_SERVICE_PENDING;
+            } else {
+              const wish = wishFor(id, dateStr, (w) => w.type === 'service' && (w.status === 'approved' || w.status === 'pending'));
+              if (wish && (!wish.position || wish.position === wp.name)) {
+                cost += wish.status === 'approved' ? W.WISH_APPROVED : W.WISH_PENDING;
+              }
+            }
+            if (mode === 'preferred') {
+              if (adjacentExisting) cost += W.CONSECUTIVE_BONUS;
+              option.pairs = [
+                { key: `pref:${id}:${wp.name}:${prev}`, bonus: W.CONSECUTIVE_BONUS },
+                { key: `pref:${id}:${wp.name}:${dateStr}`, bonus: W.CONSECUTIVE_BONUS },
+              ];
+            }
+            const type = serviceType(wp.name);
+            option.counters = type === 'fg'
+              ? [`fg:${id}`, ...(isWeekend(dateStr) ? [`wknd:${id}`] : [])]
+              : type === 'bg' ? [`bg:${id}`] : [];
+
+            if (wp.auto_off) {
+              autoFreiDate = getAutoFreiDate(dateStr, holidays);
+              if (autoFreiDate && hasEntry(id, autoFreiDate)) autoFreiDate = null;
+              if (autoFreiDate) option.blocks.push(`${id}:${autoFreiDate}`);
+            }
+            option.cost = cost;
+          } else if (!blocksAvailability(wp)) {
+            // Phase C: a service on the same day blocks, other assignments do not
+            if (onService.has(id)) continue;
+            option.presence!.push(`nb:${id}:${dateStr}`);
+          }
+
+          options.push(option);
+          optionMeta.push({ doctorId: id, autoFreiDate });
+        }
+
+        for (let k = inSlot.length; k < optimal; k++) {
+          const belowMin = isService(wp) || k < minStaff;
+          seats.push({ options, emptyCost: belowMin ? COVERAGE_WEIGHTS.BELOW_MIN : COVERAGE_WEIGHTS.BELOW_OPT });
+          seatMeta.push({ date: dateStr, position: wp.name, timeslotId, belowMin, options: optionMeta });
+        }
+      }
+    }
+  }
+
+  return { model: { seats, counters }, seats: seatMeta };
+}
+
+export function extractAutoFillPlan(built: BuiltAutoFillModel, assignment: number[]): {
+  suggestions: AutoFillSuggestion[];
+  openSeats: AutoFillOpenSeat[];
+} {
+  const suggestions: AutoFillSuggestion[] = [];
+  const autoFrei: AutoFillSuggestion[] = [];
+  const openSeats: AutoFillOpenSeat[] = [];
+  built.seats.forEach((seat, index) => {
+    const choice = assignment[index];
+    if (choice === undefined || choice < 0) {
+      openSeats.push({ date: seat.date, position: seat.position, timeslot_id: seat.timeslotId, below_min: seat.belowMin });
+      return;
+    }
+    const { doctorId, autoFreiDate } = seat.options[choice];
+    suggestions.push({
+      date: seat.date,
+      position: seat.position,
+      doctor_id: doctorId,
+      ...(seat.timeslotId ? { timeslot_id: seat.timeslotId } : {}),
+      isPreview: true,
+    });
+    if (autoFreiDate && !autoFrei.some((s) => s.date === autoFreiDate && s.doctor_id === doctorId)) {
+      autoFrei.push({ date: autoFreiDate, position: 'Frei', doctor_id: doctorId, note: AUTO_FREI_NOTE, isPreview: true });
+    }
+  });
+  return { suggestions: [...suggestions, ...autoFrei], openSeats };
+}
+
+export interface AutoFillOptimizationResult {
+  suggestions: AutoFillSuggestion[];
+  openSeats: AutoFillOpenSeat[];
+  stats: {
+    status: SolverResult['status'];
+    objective: number;
+    bestBound: number;
+    gap: number;
+    nodes: number;
+    elapsedMs: number;
+    seats: number;
+    filledSeats: number;
+  };
+}
+
+export async function optimizeAutoFill(input: AutoFillInput, options: SolveOptions = {}): Promise<AutoFillOptimizationResult> {
+  const built = buildAutoFillModel(input);
+  const result = await solveAssignmentModel(built.model, options);
+  const { suggestions, openSeats } = extractAutoFillPlan(built, result.assignment);
+  return {
+    suggestions,
+    openSeats,
+    stats: {
+      status: result.status,
+      objective: result.objective,
+      bestBound: result.bestBound,
+      gap: result.gap,
+      nodes: result.nodes,
+      elapsedMs: result.elapsedMs,
+      seats: built.seats.length,
+      filledSeats: built.seats.length - openSeats.length,
+    },
+  };
+}
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+function toDateString(value: unknown): string {
+  if (value instanceof Date) return formatDay(value);
+  return String(value ?? '').slice(0, 10);
+}
+
+async function selectRows(dbPool: Pool, sql: string, params: unknown[] = []): Promise<RowDataPacket[]> {
+  try {
+    const [rows] = await dbPool.execute<RowDataPacket[]>(sql, params);
+    return rows;
+  } catch (error) {
+    // Optional tables (timeslots, qualifications, rotations) may not exist in older tenants
+    if ((error as { code?: string }).code === 'ER_NO_SUCH_TABLE') return [];
+    throw error;
+  }
+}
+
+interface LoadAutoFillInputDeps {
+  tenantDb: Pool;
+  startDate: string;
+  endDate: string;
+  categories: string[];
+  /** Entries incl. central absences, 3 weeks before startDate through the day after endDate. */
+  shifts: Array<Record<string, unknown>>;
+  holidays: Set<string>;
+  /** Weight profile id; defaults to the tenant's active profile. */
+  weightProfileId?: string | null;
+}
+
+/** Loads the tenant's planning data for `optimizeAutoFill`. */
+export async function loadAutoFillInput({
+  tenantDb,
+  startDate,
+  endDate,
+  categories,
+  shifts,
+  holidays,
+  weightProfileId,
+}: LoadAutoFillInputDeps): Promise<AutoFillInput> {
+  const [doctorRows, workplaceRows, timeslotRows, wishRows, rotationRows, doctorQualRows, qualificationRows, workplaceQualRows, settingRows] = await Promise.all([
+    selectRows(tenantDb, 'SELECT * FROM Doctor ORDER BY `order` ASC'),
+    selectRows(tenantDb, 'SELECT * FROM Workplace ORDER BY `order` ASC'),
+    selectRows(tenantDb, 'SELECT id, workplace_id, label, `order` FROM WorkplaceTimeslot'),
+    selectRows(tenantDb, 'SELECT doctor_id, date, type, status, position FROM WishRequest WHERE date >= ? AND date <= ?', [startDate, shiftDay(endDate, 1)]),
+    selectRows(tenantDb, 'SELECT doctor_id, modality, start_date, end_date FROM TrainingRotation WHERE start_date <= ? AND end_date >= ?', [endDate, startDate]),
+    selectRows(tenantDb, 'SELECT * FROM DoctorQualification'),
+    selectRows(tenantDb, 'SELECT * FROM Qualification'),
+    selectRows(tenantDb, 'SELECT workplace_id, qualification_id, is_mandatory, is_excluded FROM WorkplaceQualification'),
+    selectRows(tenantDb, 'SELECT `key`, value FROM SystemSetting'),
+  ]);
+
+  const settings: Record<string, string> = Object.fromEntries(settingRows.map((row) => [String(row.key), String(row.value ?? '')]));
+  const qualificationById = new Map(qualificationRows.map((row) => [String(row.id), row as EvidenceQualification]));
+  const doctorQualIds: Record<string, string[]> = {};
+  // Same evidence rule as useAllDoctorQualifications().getQualificationIds(doctorId, dateStr)
+  const doctorQualBlockedFrom: Record<string, Record<string, string>> = {};
+  for (const row of doctorQualRows) {
+    const doctorId = String(row.doctor_id);
+    const qualificationId = String(row.qualification_id);
+    (doctorQualIds[doctorId] ??= []).push(qualificationId);
+    const blockedFrom = getEvidenceBlockedFrom(qualificationById.get(qualificationId), row as EvidenceDoctorQualification);
+    if (blockedFrom) (doctorQualBlockedFrom[doctorId] ??= {})[qualificationId] = blockedFrom;
+  }
+  // Same mapping as useAllWorkplaceQualifications()
+  const workplaceQualIds: Record<string, WorkplaceQualIds> = {};
+  for (const row of workplaceQualRows) {
+    const entry = (workplaceQualIds[String(row.workplace_id)] ??= { required: [], optional: [], excluded: [], discouraged: [] });
+    const mandatory = Boolean(row.is_mandatory);
+    const excluded = Boolean(row.is_excluded);
+    const list = mandatory ? (excluded ? entry.discouraged : entry.required) : (excluded ? entry.excluded : entry.optional);
+    list.push(String(row.qualification_id));
+  }
+
+  return {
+    dates: listDays(startDate, endDate),
+    doctors: doctorRows.map((row) => ({ id: String(row.id), name: String(row.name ?? ''), fte: row.fte as number | null })),
+    workplaces: workplaceRows.map((row) => fromSqlRow(row) as unknown as AutoFillWorkplace),
+    shifts: shifts.map((row) => ({
+      date: toDateString(row.date),
+      position: String(row.position ?? ''),
+      doctor_id: row.doctor_id ? String(row.doctor_id) : null,
+      timeslot_id: row.timeslot_id ? String(row.timeslot_id) : null,
+    })),
+    wishes: wishRows.map((row) => ({
+      doctor_id: String(row.doctor_id),
+      date: toDateString(row.date),
+      type: String(row.type ?? ''),
+      status: String(row.status ?? ''),
+      position: row.position ? String(row.position) : null,
+    })),
+    rotations: rotationRows.map((row) => ({
+      doctor_id: String(row.doctor_id),
+      modality: row.modality ? String(row.modality) : null,
+      start_date: toDateString(row.start_date),
+      end_date: toDateString(row.end_date),
+    })),
+    timeslots: timeslotRows.map((row) => ({
+      id: String(row.id),
+      workplace_id: String(row.workplace_id),
+      label: row.label ? String(row.label) : null,
+      order: Number(row.order) || 0,
+    })),
+    doctorQualIds,
+    doctorQualBlockedFrom,
+    workplaceQualIds,
+    settings,
+    holidays,
+    categories,
+    weights: resolveProfileWeights(settings, weightProfileId),
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Bundled branch-and-bound solver for the AutoFill assignment model.
+ *
+ * The model is a 0-1 program in CP form: every open seat (date × position ×
+ * timeslot × n-th person) picks exactly one option — a doctor or "empty".
+ * Constraints are expressed declaratively per option:
+ *
+ *   - `resources`  exclusive keys; two chosen options never share one
+ *                  (one service per doctor and day, one blocking workplace …)
+ *   - `presence` / `blocks`
+ *                  an option occupies its presence keys (doctor × date) and may
+ *                  block others (Auto-Frei after a service); an option is
+ *                  infeasible while one of its presences is blocked, and vice
+ *                  versa
+ *   - `counters`   soft capacities; every unit above the capacity costs the
+ *                  counter's `overflowCost` (4-week service limits)
+ *   - `pairs`      the second chosen option with the same key earns `bonus`
+ *                  (preferred consecutive days)
+ *
+ * Search is depth-first over the seats in model order, trying options in
+ * ascending optimistic cost, so the first leaf is the greedy plan. The lower
+ * bound of a node is its cost so far plus the cheapest optimistic option of
+ * every remaining seat (a relaxation of all coupling constraints). When the
+ * time or node limit stops the search, the best bound over all unexplored
+ * nodes yields the optimality gap.
+ *
+ * The search yields to the event loop every `yieldEvery` nodes so a running
+ * job does not block request handling.
+ */
+
+export interface SolverPair {
+  key: string;
+  /** Added once when the second option with this key is chosen (usually < 0). */
+  bonus: number;
+}
+
+export interface SolverOption {
+  cost: number;
+  resources?: string[];
+  presence?: string[];
+  blocks?: string[];
+  counters?: string[];
+  pairs?: SolverPair[];
+}
+
+export interface SolverSeat {
+  options: SolverOption[];
+  /** Cost of leaving the seat empty. */
+  emptyCost: number;
+}
+
+export interface SolverCounter {
+  capacity: number;
+  overflowCost: number;
+}
+
+export interface SolverModel {
+  seats: SolverSeat[];
+  counters?: Record<string, SolverCounter>;
+}
+
+export type SolverStatus = 'optimal' | 'feasible' | 'cancelled';
+
+export interface SolverProgress {
+  nodes: number;
+  objective: number;
+  bestBound: number;
+  gap: number;
+}
+
+export interface SolveOptions {
+  timeLimitMs?: number;
+  nodeLimit?: number;
+  yieldEvery?: number;
+  shouldCancel?: () => boolean;
+  onProgress?: (progress: SolverProgress) => void;
+  now?: () => number;
+}
+
+export interface SolverResult {
+  status: SolverStatus;
+  /** Chosen option index per seat, -1 = empty. */
+  assignment: number[];
+  objective: number;
+  bestBound: number;
+  /** (objective - bestBound) / max(1, |objective|); 0 = proven optimal. */
+  gap: number;
+  nodes: number;
+  elapsedMs: number;
+}
+
+export const DEFAULT_TIME_LIMIT_MS = 10_000;
+export const DEFAULT_NODE_LIMIT = 2_000_000;
+
+const EPSILON = 1e-9;
+const EMPTY = -1;
+
+interface Choice {
+  /** Option index or EMPTY. */
+  index: number;
+  /** Optimistic cost used for ordering and bounding. */
+  bound: number;
+}
+
+function optimisticCost(option: SolverOption): number {
+  let cost = option.cost;
+  for (const pair of option.pairs ?? []) cost += Math.min(0, pair.bonus);
+  return cost;
+}
+
+export function computeGap(objective: number, bestBound: number): number {
+  if (!Number.isFinite(objective) || !Number.isFinite(bestBound)) return 1;
+  const gap = (objective - bestBound) / Math.max(1, Math.abs(objective));
+  return gap <= EPSILON ? 0 : Math.round(gap * 10000) / 10000;
+}
+
+function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => { setImmediate(resolve); });
+}
+
+export async function solveAssignmentModel(model: SolverModel, options: SolveOptions = {}): Promise<SolverResult> {
+  const now = options.now ?? Date.now;
+  const startedAt = now();
+  const timeLimitMs = options.timeLimitMs ?? DEFAULT_TIME_LIMIT_MS;
+  const nodeLimit = options.nodeLimit ?? DEFAULT_NODE_LIMIT;
+  const yieldEvery = options.yieldEvery ?? 5_000;
+  const counters = model.counters ?? {};
+  const seats = model.seats;
+  const n = seats.length;
+
+  // Choices per seat sorted by optimistic cost; "empty" competes like any option.
+  const choices: Choice[][] = seats.map((seat) => {
+    const list: Choice[] = seat.options.map((option, index) => ({ index, bound: optimisticCost(option) }));
+    list.push({ index: EMPTY, bound: seat.emptyCost });
+    return list.sort((a, b) => a.bound - b.bound || a.index - b.index);
+  });
+
+  // suffix[i] = optimistic cost of seats i..n-1 (coupling relaxed)
+  const suffix = new Array<number>(n + 1).fill(0);
+  for (let i = n - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + choices[i][0].bound;
+
+  const resourceUsed = new Set<string>();
+  const presenceCount = new Map<string, number>();
+  const blockedCount = new Map<string, number>();
+  const counterUsed = new Map<string, number>();
+  const pairCount = new Map<string, number>();
+
+  const bump = (map: Map<string, number>, key: string, delta: number) => {
+    const next = (map.get(key) ?? 0) + delta;
+    if (next === 0) map.delete(key);
+    else map.set(key, next);
+  };
+
+  const isFeasible = (option: SolverOption): boolean => {
+    for (const key of option.resources ?? []) if (resourceUsed.has(key)) return false;
+    for (const key of option.presence ?? []) if (blockedCount.has(key)) return false;
+    for (const key of option.blocks ?? []) if (presenceCount.has(key)) return false;
+    return true;
+  };
+
+  /** Exact cost of choosing `option` in the current state. */
+  const deltaCost = (option: SolverOption): number => {
+    let cost = option.cost;
+    for (const key of option.counters ?? []) {
+      const counter = counters[key];
+      if (counter && (counterUsed.get(key) ?? 0) + 1 > counter.capacity) cost += counter.overflowCost;
+    }
+    for (const pair of option.pairs ?? []) {
+      if ((pairCount.get(pair.key) ?? 0) >= 1) cost += pair.bonus;
+    }
+    return cost;
+  };
+
+  const apply = (option: SolverOption, sign: 1 | -1) => {
+    for (const key of option.resources ?? []) {
+      if (sign > 0) resourceUsed.add(key);
+      else resourceUsed.delete(key);
+    }
+    for (const key of option.presence ?? []) bump(presenceCount, key, sign);
+    for (const key of option.blocks ?? []) bump(blockedCount, key, sign);
+    for (const key of option.counters ?? []) bump(counterUsed, key, sign);
+    for (const pair of option.pairs ?? []) bump(pairCount, pair.key, sign);
+  };
+
+  // DFS state per depth: next choice position, cost before the seat, chosen option
+  const nextChoice = new Array<number>(n).fill(0);
+  const costBefore = new Array<number>(n + 1).fill(0);
+  const chosen = new Array<number>(n).fill(EMPTY);
+
+  let incumbent = Infinity;
+  let bestAssignment: number[] = new Array<number>(n).fill(EMPTY);
+  let nodes = 0;
+  let depth = 0;
+  let stopped: 'limit' | 'cancelled' | null = null;
+
+  const undo = (level: number) => {
+    const index = chosen[level];
+    if (index !== EMPTY) apply(seats[level].options[index], -1);
+    chosen[level] = EMPTY;
+  };
+
+  const progress = (): SolverProgress => {
+    const bound = Math.min(incumbent, suffix[0]);
+    return { nodes, objective: incumbent, bestBound: bound, gap: computeGap(incumbent, bound) };
+  };
+
+  while (depth >= 0) {
+    if (depth === n) {
+      if (costBefore[n] < incumbent - EPSILON) {
+        incumbent = costBefore[n];
+        bestAssignment = chosen.slice();
+      }
+      depth--;
+      if (depth >= 0) undo(depth);
+      continue;
+    }
+
+    nodes++;
+    if (nodes % yieldEvery === 0) {
+      options.onProgress?.(progress());
+      await yieldToEventLoop();
+      if (options.shouldCancel?.()) { stopped = 'cancelled'; break; }
+    }
+    if (nodes >= nodeLimit || now() - startedAt >= timeLimitMs) { stopped = 'limit'; break; }
+
+    const list = choices[depth];
+    let advanced = false;
+    while (nextChoice[depth] < list.length) {
+      const choice = list[nextChoice[depth]++];
+      // Sorted by optimistic cost: once the bound fails, every later choice fails too.
+      if (costBefore[depth] + choice.bound + suffix[depth + 1] >= incumbent - EPSILON) {
+        nextChoice[depth] = list.length;
+        break;
+      }
+      let cost: number;
+      if (choice.index === EMPTY) {
+        cost = seats[depth].emptyCost;
+      } else {
+        const option = seats[depth].options[choice.index];
+        if (!isFeasible(option)) continue;
+        cost = deltaCost(option);
+        if (costBefore[depth] + cost + suffix[depth + 1] >= incumbent - EPSILON) continue;
+        apply(option, 1);
+      }
+      chosen[depth] = choice.index;
+      costBefore[depth + 1] = costBefore[depth] + cost;
+      depth++;
+      if (depth < n) nextChoice[depth] = 0;
+      advanced = true;
+      break;
+    }
+    if (!advanced) {
+      depth--;
+      if (depth >= 0) undo(depth);
+    }
+  }
+
+  // Unexplored region after a stop: the current node plus untried choices above it.
+  let bestBound = incumbent;
+  if (stopped) {
+    for (let level = Math.min(depth, n - 1); level >= 0; level--) {
+      const list = choices[level];
+      const untried = nextChoice[level];
+      if (untried < list.length) {
+        bestBound = Math.min(bestBound, costBefore[level] + list[untried].bound + suffix[level + 1]);
+      }
+    }
+  }
+  bestBound = Math.min(bestBound, incumbent);
+
+  // Greedy fallback when stopped before reaching the first leaf
+  if (!Number.isFinite(incumbent)) {
+    bestAssignment = new Array<number>(n).fill(EMPTY);
+    incumbent = seats.reduce((sum, seat) => sum + seat.emptyCost, 0);
+    bestBound = Math.min(incumbent, suffix[0]);
+  }
+
+  const status: SolverStatus = stopped === 'cancelled' ? 'cancelled' : stopped ? 'feasible' : 'optimal';
+  return {
+    status,
+    assignment: bestAssignment,
+    objective: Math.round(incumbent * 100) / 100,
+    bestBound: Math.round(bestBound * 100) / 100,
+    gap: status === 'optimal' ? 0 : computeGap(incumbent, bestBound),
+    nodes,
+    elapsedMs: now() - startedAt,
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Live presence on the schedule board.
+ *
+ * Every open board tab reports which week it shows and — while a cell dialog
+ * (PoolShiftEditDialog, RotationAssignmentDialog) is open — which cell it
+ * edits. Entries are kept in memory per realtime scope and keyed by a
+ * per-tab session id; a tab that stops sending heartbeats drops out after
+ * PRESENCE_TTL_MS. An editing entry is a soft lock: the server never rejects
+ * writes because of it, it only tells the next planner who got there first.
+ */
+
+export const PRESENCE_TTL_MS = 45000;
+
+export interface BoardCell {
+  date: string;
+  /** Stable row key, e.g. `rotation:<workplaceId>` */
+  row: string;
+  /** Display label of the row */
+  label?: string | null;
+}
+
+export interface BoardPresenceEntry {
+  sessionId: string;
+  userId: string;
+  email: string | null;
+  name: string | null;
+  weekStart: string | null;
+  viewMode: string | null;
+  cell: BoardCell | null;
+  editing: boolean;
+  /** When this session opened the edited cell; the oldest claim holds the lock */
+  editingSince: number | null;
+  updatedAt: number;
+}
+
+export type BoardPresenceUpdate = Pick<BoardPresenceEntry, 'sessionId' | 'weekStart' | 'viewMode' | 'cell' | 'editing'>;
+
+const boardPresence = new Map<string, Map<string, BoardPresenceEntry>>();
+
+const badRequest = (message: string): Error & { status: number } => {
+  const err = new Error(message) as Error & { status: number };
+  err.status = 400;
+  return err;
+};
+
+const optionalString = (value: unknown, field: string, maxLength = 64): string | null => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw badRequest(`${field} ist ungültig`);
+  }
+  return value;
+};
+
+/** Validates the heartbeat body of `POST /api/auth/presence/board`. */
+export function parseBoardPresenceUpdate(body: unknown): BoardPresenceUpdate {
+  const raw = (body && typeof body === 'object' ? body : {}) as Record<string, unknown>;
+  const sessionId = optionalString(raw.sessionId, 'sessionId');
+  if (!sessionId) throw badRequest('sessionId fehlt');
+
+  let cell: BoardCell | null = null;
+  if (raw.cell !== undefined && raw.cell !== null) {
+    const rawCell = raw.cell as Record<string, unknown>;
+    const date = optionalString(rawCell.date, 'cell.date', 10);
+    const row = optionalString(rawCell.row, 'cell.row', 128);
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !row) throw badRequest('cell ist ungültig');
+    cell = { date, row, label: optionalString(rawCell.label, 'cell.label', 128) };
+  }
+
+  return {
+    sessionId,
+    weekStart: optionalString(raw.weekStart, 'weekStart', 10),
+    viewMode: optionalString(raw.viewMode, 'viewMode', 16),
+    cell,
+    editing: raw.editing === true && !!cell,
+  };
+}
+
+export const isSameCell = (a: BoardCell | null, b: BoardCell | null): boolean =>
+  !!a && !!b && a.date === b.date && a.row === b.row;
+
+function pruneExpired(scope: string, now: number): Map<string, BoardPresenceEntry> | undefined {
+  const sessions = boardPresence.get(scope);
+  if (!sessions) return undefined;
+
+  for (const [sessionId, entry] of sessions.entries()) {
+    if (now - entry.updatedAt > PRESENCE_TTL_MS) {
+      sessions.delete(sessionId);
+    }
+  }
+  if (sessions.size === 0) {
+    boardPresence.delete(scope);
+    return undefined;
+  }
+  return sessions;
+}
+
+/** Another session editing `cell` right now, if any. */
+export function findCellLock(scope: string, cell: BoardCell | null, ownSessionId: string, now = Date.now()): BoardPresenceEntry | null {
+  if (!cell) return null;
+  const sessions = pruneExpired(scope, now);
+  if (!sessions) return null;
+
+  let lock: BoardPresenceEntry | null = null;
+  for (const entry of sessions.values()) {
+    if (entry.sessionId === ownSessionId || !entry.editing || !isSameCell(entry.cell, cell)) continue;
+    if (!lock || (entry.editingSince ?? now) < (lock.editingSince ?? now)) lock = entry;
+  }
+  return lock;
+}
+
+interface PresenceUser {
+  userId: string;
+  email: string | null;
+  name: string | null;
+}
+
+/**
+ * Stores a heartbeat. A request to edit a cell another session already holds
+ * is downgraded to viewing; the holder is returned so the client can say who.
+ *
+ * @throws Error 400 if the session id belongs to another user.
+ */
+export function updateBoardPresence(
+  scope: string,
+  user: PresenceUser,
+  update: BoardPresenceUpdate,
+  now = Date.now(),
+): { entry: BoardPresenceEntry; lockedBy: BoardPresenceEntry | null } {
+  const previous = boardPresence.get(scope)?.get(update.sessionId);
+  if (previous && previous.userId !== user.userId) throw badRequest('sessionId ist ungültig');
+  const lockedBy = update.editing ? findCellLock(scope, update.cell, update.sessionId, now) : null;
+  const editing = update.editing && !lockedBy;
+  // Heartbeats keep the original claim time, so the lock never moves to a later session
+  const keepsClaim = editing && !!previous?.editing && isSameCell(previous.cell, update.cell);
+
+  const entry: BoardPresenceEntry = {
+    ...user,
+    ...update,
+    editing,
+    editingSince: keepsClaim ? previous?.editingSince ?? now : editing ? now : null,
+    updatedAt: now,
+  };
+
+  if (!boardPresence.has(scope)) boardPresence.set(scope, new Map());
+  (boardPresence.get(scope) as Map<string, BoardPresenceEntry>).set(update.sessionId, entry);
+  return { entry, lockedBy };
+}
+
+/** Removes a tab that closed the board. Returns whether it was known. */
+export function leaveBoardPresence(scope: string, sessionId: string, userId: string): boolean {
+  const sessions = boardPresence.get(scope);
+  const entry = sessions?.get(sessionId);
+  if (!sessions || !entry || entry.userId !== userId) return false;
+
+  sessions.delete(sessionId);
+  if (sessions.size === 0) boardPresence.delete(scope);
+  return true;
+}
+
+/** Live sessions of a scope in order of arrival (stable across heartbeats). */
+export function listBoardPresence(scope: string, now = Date.now()): BoardPresenceEntry[] {
+  const sessions = pruneExpired(scope, now);
+  return sessions ? Array.from(sessions.values()) : [];
+}
+
+/** Test helper: forget all sessions. */
+export function resetBoardPresence(): void {
+  boardPresence.clear();
+}
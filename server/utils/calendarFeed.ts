@@ -0,0 +1,420 @@
+/**
+ * Pure (no-Express) helpers for the per-employee iCalendar subscription feed.
+ *
+ * Every employee (tenant Doctor) can hold at most one active feed token. The
+ * token is the only credential of the public `GET /api/calendar/:token.ics`
+ * endpoint, because calendar clients (Outlook, Apple, Google) cannot send a
+ * JWT or an `X-DB-Token`. Only the SHA-256 hash is stored in the master DB, so
+ * the plain token is shown exactly once — right after it was (re)generated.
+ *
+ * Lifecycle:
+ *   (none)  → active   (rotateCalendarFeedToken)
+ *   active  → revoked  (revokeCalendarFeedToken, or implicitly on rotate)
+ *
+ * Events carry stable UIDs derived from the ShiftEntry / CentralAbsenceEntry
+ * id, so subscribed clients update existing events instead of duplicating them.
+ *
+ * @module utils/calendarFeed
+ */
+
+import crypto from 'crypto';
+import ical, { ICalEventTransparency } from 'ical-generator';
+import type { Pool, RowDataPacket, ResultSetHeader } from 'mysql2/promise';
+import { isCentralAbsencePosition } from './centralAbsences.js';
+
+// ─── Row shapes ──────────────────────────────────────────────────────────────
+
+export interface CalendarFeedTokenRow extends RowDataPacket {
+  id: string;
+  token_hash: string;
+  tenant_id: string | null;
+  doctor_id: string;
+  created_by: string | null;
+  created_date: Date | string;
+  revoked_date: Date | string | null;
+  revoked_by: string | null;
+  last_accessed_date: Date | string | null;
+}
+
+export interface CalendarShift {
+  id?: unknown;
+  date?: unknown;
+  position?: unknown;
+  timeslot_id?: unknown;
+  start_time?: unknown;
+  end_time?: unknown;
+  updated_date?: unknown;
+  source_tenant_id?: unknown;
+  [key: string]: unknown;
+}
+
+export interface CalendarWorkplace {
+  id?: unknown;
+  name?: unknown;
+  category?: unknown;
+  [key: string]: unknown;
+}
+
+export interface CalendarTimeslot {
+  id?: unknown;
+  workplace_id?: unknown;
+  label?: unknown;
+  start_time?: unknown;
+  end_time?: unknown;
+  [key: string]: unknown;
+}
+
+export interface CalendarEvent {
+  uid: string;
+  date: string;
+  allDay: boolean;
+  /** "HH:MM", only set for timed events. */
+  startTime: string | null;
+  /** "HH:MM", only set for timed events. */
+  endTime: string | null;
+  /** True when the end time lies on the following day (night services). */
+  endsNextDay: boolean;
+  summary: string;
+  description: string | null;
+  isAbsence: boolean;
+  lastModified: Date | null;
+}
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+/** How far back the feed reaches. Keeps past services visible for a while. */
+export const CALENDAR_FEED_PAST_DAYS = 90;
+
+/** How far ahead the feed reaches. */
+export const CALENDAR_FEED_FUTURE_DAYS = 365;
+
+/** Domain suffix of every event UID (RFC 5545 recommends a globally unique id). */
+export const CALENDAR_FEED_UID_DOMAIN = 'curaflow';
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+// ─── Table guard (once per process) ──────────────────────────────────────────
+
+let calendarFeedTableEnsured = false;
+
+export async function ensureCalendarFeedTables(masterDb: Pool): Promise<void> {
+  if (calendarFeedTableEnsured) return;
+  await masterDb.execute(`
+    CREATE TABLE IF NOT EXISTS CalendarFeedToken (
+      id VARCHAR(36) PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL,
+      tenant_id VARCHAR(36) DEFAULT NULL,
+      doctor_id VARCHAR(255) NOT NULL,
+      created_by VARCHAR(255) DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      revoked_date DATETIME DEFAULT NULL,
+      revoked_by VARCHAR(255) DEFAULT NULL,
+      last_accessed_date DATETIME DEFAULT NULL,
+      UNIQUE KEY uk_calendar_feed_token_hash (token_hash),
+      INDEX idx_calendar_feed_tenant_doctor (tenant_id, doctor_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  calendarFeedTableEnsured = true;
+}
+
+// ─── Token helpers ───────────────────────────────────────────────────────────
+
+export function hashCalendarFeedToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** True when the value has the shape of a feed token (64 lowercase hex chars). */
+export function isCalendarFeedTokenFormat(token: unknown): token is string {
+  return typeof token === 'string' && FEED_TOKEN_PATTERN.test(token);
+}
+
+interface FeedScope {
+  masterDb: Pool;
+  tenantId: string | null | undefined;
+  doctorId: string;
+}
+
+/**
+ * Returns the active (non-revoked) feed token row of a doctor, or null.
+ * The row never contains the plain token.
+ */
+export async function getActiveCalendarFeedToken({
+  masterDb,
+  tenantId,
+  doctorId,
+}: FeedScope): Promise<CalendarFeedTokenRow | null> {
+  await ensureCalendarFeedTables(masterDb);
+  const [rows] = await masterDb.execute<CalendarFeedTokenRow[]>(
+    `SELECT * FROM CalendarFeedToken
+      WHERE tenant_id <=> ? AND doctor_id = ? AND revoked_date IS NULL
+      ORDER BY created_date DESC
+      LIMIT 1`,
+    [tenantId || null, String(doctorId)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Lists the active feed tokens of a tenant (admin overview).
+ */
+export async function listActiveCalendarFeedTokens({
+  masterDb,
+  tenantId,
+}: Omit<FeedScope, 'doctorId'>): Promise<CalendarFeedTokenRow[]> {
+  await ensureCalendarFeedTables(masterDb);
+  const [rows] = await masterDb.execute<CalendarFeedTokenRow[]>(
+    `SELECT * FROM CalendarFeedToken
+      WHERE tenant_id <=> ? AND revoked_date IS NULL
+      ORDER BY created_date DESC`,
+    [tenantId || null]
+  );
+  return rows;
+}
+
+/**
+ * Revokes the active token of a doctor (if any).
+ *
+ * @returns {Promise<number>} Number of revoked tokens (0 or 1 in practice)
+ */
+export async function revokeCalendarFeedToken({
+  masterDb,
+  tenantId,
+  doctorId,
+  revokedBy,
+}: FeedScope & { revokedBy: string | null | undefined }): Promise<number> {
+  await ensureCalendarFeedTables(masterDb);
+  const [result] = await masterDb.execute<ResultSetHeader>(
+    `UPDATE CalendarFeedToken
+        SET revoked_date = NOW(), revoked_by = ?
+      WHERE tenant_id <=> ? AND doctor_id = ? AND revoked_date IS NULL`,
+    [revokedBy || null, tenantId || null, String(doctorId)]
+  );
+  return result.affectedRows || 0;
+}
+
+/**
+ * Issues a new feed token for a doctor and revokes the previous one, so old
+ * subscription URLs stop working immediately.
+ *
+ * @returns {Promise<{ token: string, row: CalendarFeedTokenRow }>} The plain
+ *   token (only available here) and the stored row.
+ */
+export async function rotateCalendarFeedToken({
+  masterDb,
+  tenantId,
+  doctorId,
+  createdBy,
+}: FeedScope & { createdBy: string | null | undefined }): Promise<{ token: string; row: CalendarFeedTokenRow }> {
+  if (!doctorId) {
+    const err = new Error('doctor_id ist erforderlich.');
+    (err as Error & { statusCode?: number }).statusCode = 422;
+    throw err;
+  }
+
+  await revokeCalendarFeedToken({ masterDb, tenantId, doctorId, revokedBy: createdBy });
+
+  const id = crypto.randomUUID();
+  const token = crypto.randomBytes(32).toString('hex');
+  await masterDb.execute<ResultSetHeader>(
+    `INSERT INTO CalendarFeedToken (id, token_hash, tenant_id, doctor_id, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [id, hashCalendarFeedToken(token), tenantId || null, String(doctorId), createdBy || null]
+  );
+
+  const [rows] = await masterDb.execute<CalendarFeedTokenRow[]>(
+    'SELECT * FROM CalendarFeedToken WHERE id = ? LIMIT 1',
+    [id]
+  );
+  return { token, row: rows[0] };
+}
+
+/**
+ * Resolves a plain feed token to its active row and stamps the access time.
+ * Returns null for malformed, unknown or revoked tokens.
+ */
+export async function resolveCalendarFeedToken(
+  masterDb: Pool,
+  token: unknown
+): Promise<CalendarFeedTokenRow | null> {
+  if (!isCalendarFeedTokenFormat(token)) return null;
+  await ensureCalendarFeedTables(masterDb);
+  const [rows] = await masterDb.execute<CalendarFeedTokenRow[]>(
+    `SELECT * FROM CalendarFeedToken
+      WHERE token_hash = ? AND revoked_date IS NULL
+      LIMIT 1`,
+    [hashCalendarFeedToken(token)]
+  );
+  const row = rows[0];
+  if (!row) return null;
+
+  await masterDb.execute<ResultSetHeader>(
+    'UPDATE CalendarFeedToken SET last_accessed_date = NOW() WHERE id = ?',
+    [row.id]
+  );
+  return row;
+}
+
+// ─── Event building ──────────────────────────────────────────────────────────
+
+function toDateOnly(value: unknown): string | null {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const str = String(value).slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+}
+
+function toHourMinute(value: unknown): string | null {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+  if (!match) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function toMinutes(hhmm: string): number {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function toDateOrNull(value: unknown): Date | null {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(String(value).replace(' ', 'T') + (String(value).includes('Z') ? '' : 'Z'));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Maps ShiftEntry rows (including merged central absences) of ONE employee to
+ * calendar events.
+ *
+ * Time resolution per entry: explicit `start_time`/`end_time` on the entry,
+ * then the assigned WorkplaceTimeslot. Entries without times and all absences
+ * become all-day events.
+ */
+export function buildCalendarEvents({
+  shifts,
+  workplaces = [],
+  timeslots = [],
+}: {
+  shifts: CalendarShift[];
+  workplaces?: CalendarWorkplace[];
+  timeslots?: CalendarTimeslot[];
+}): CalendarEvent[] {
+  const workplaceByName = new Map<string, CalendarWorkplace>();
+  for (const wp of workplaces) {
+    if (wp?.name) workplaceByName.set(String(wp.name), wp);
+  }
+  const timeslotById = new Map<string, CalendarTimeslot>();
+  for (const ts of timeslots) {
+    if (ts?.id !== undefined && ts?.id !== null) timeslotById.set(String(ts.id), ts);
+  }
+
+  const events: CalendarEvent[] = [];
+  for (const shift of shifts) {
+    const date = toDateOnly(shift.date);
+    const position = shift.position ? String(shift.position) : '';
+    if (!date || !position || shift.id === undefined || shift.id === null) continue;
+
+    const isAbsence = isCentralAbsencePosition(position);
+    const timeslot = shift.timeslot_id ? timeslotById.get(String(shift.timeslot_id)) : undefined;
+    const workplace = workplaceByName.get(position);
+
+    let startTime: string | null = null;
+    let endTime: string | null = null;
+    if (!isAbsence) {
+      startTime = toHourMinute(shift.start_time) || toHourMinute(timeslot?.start_time);
+      endTime = toHourMinute(shift.end_time) || toHourMinute(timeslot?.end_time);
+      if (!startTime || !endTime) {
+        startTime = null;
+        endTime = null;
+      }
+    }
+    const allDay = !startTime || !endTime;
+
+    const summary = timeslot?.label ? `${position} (${String(timeslot.label)})` : position;
+    const descriptionParts: string[] = [];
+    if (workplace?.category) descriptionParts.push(`Bereich: ${String(workplace.category)}`);
+    if (shift.source_tenant_id && isAbsence) descriptionParts.push('Zentral erfasste Abwesenheit');
+
+    events.push({
+      // Central absences keep their CentralAbsenceEntry id, local rows their
+      // ShiftEntry id — both are stable across edits of the same assignment.
+      uid: `${isAbsence ? 'absence' : 'shift'}-${String(shift.id)}@${CALENDAR_FEED_UID_DOMAIN}`,
+      date,
+      allDay,
+      startTime: allDay ? null : startTime,
+      endTime: allDay ? null : endTime,
+      endsNextDay: !allDay && toMinutes(endTime as string) <= toMinutes(startTime as string),
+      summary,
+      description: descriptionParts.length > 0 ? descriptionParts.join('\n') : null,
+      isAbsence,
+      lastModified: toDateOrNull(shift.updated_date),
+    });
+  }
+
+  return events.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return (a.startTime || '').localeCompare(b.startTime || '');
+  });
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+/**
+ * Builds a UTC Date whose UTC fields equal the given wall-clock time. Used
+ * together with `floating: true`, which makes ical-generator emit the fields
+ * as-is (no TZ conversion) — shift times are local wall-clock times of the
+ * hospital and must appear unchanged in every client.
+ */
+function wallClockDate(date: string, hhmm: string, addDays = 0): Date {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = hhmm.split(':').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + addDays, h, mi));
+}
+
+function dateOnlyPlusDays(date: string, days: number): string {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Renders events as an RFC 5545 VCALENDAR string.
+ */
+export function renderCalendarFeed(
+  events: CalendarEvent[],
+  { name, refreshMinutes = 60 }: { name: string; refreshMinutes?: number }
+): string {
+  const calendar = ical({
+    name,
+    prodId: { company: 'CuraFlow', product: 'Dienstplan', language: 'DE' },
+    ttl: refreshMinutes * 60,
+  });
+
+  for (const event of events) {
+    if (event.allDay) {
+      calendar.createEvent({
+        id: event.uid,
+        allDay: true,
+        start: event.date,
+        // DTEND of all-day events is exclusive.
+        end: dateOnlyPlusDays(event.date, 1),
+        summary: event.summary,
+        description: event.description,
+        lastModified: event.lastModified,
+        transparency: event.isAbsence ? ICalEventTransparency.TRANSPARENT : ICalEventTransparency.OPAQUE,
+      });
+      continue;
+    }
+    calendar.createEvent({
+      id: event.uid,
+      floating: true,
+      start: wallClockDate(event.date, event.startTime as string),
+      end: wallClockDate(event.date, event.endTime as string, event.endsNextDay ? 1 : 0),
+      summary: event.summary,
+      description: event.description,
+      lastModified: event.lastModified,
+    });
+  }
+
+  return calendar.toString();
+}
@@ -103,6 +103,9 @@ const CENTRAL_ABSENCE_COLUMNS: readonly string[] = [
   'created_by',
   'source_tenant_id',
   'source_tenant_doctor_id',
+  // Set by approved absence requests with a half first/last day; counts 0.5
+  // in the vacation balance.
+  'half_day',
 ];
 
 const hasOwn = (obj: unknown, key: string): boolean => Object.prototype.hasOwnProperty.call(obj || {}, key);
@@ -254,6 +257,7 @@ const mapShiftEntryToCentralRecord = ({ shift, employeeId, tenantId, tenantDocto
   created_by: shift.created_by ?? null,
   source_tenant_id: tenantId ?? null,
   source_tenant_doctor_id: tenantDoctorId ?? null,
+  half_day: shift.half_day ? 1 : 0,
 });
 
 export async function loadLinkedDoctors(tenantDb: Pool, filters: SqlRow = {}): Promise<Array<{ doctor_id: string; employee_id: string }>> {
@@ -300,6 +304,7 @@ export async function ensureCentralAbsenceTables(masterDb: Pool): Promise<void>
       created_by VARCHAR(255) DEFAULT NULL,
       source_tenant_id VARCHAR(36) DEFAULT NULL,
       source_tenant_doctor_id VARCHAR(255) DEFAULT NULL,
+      half_day TINYINT(1) NOT NULL DEFAULT 0,
       UNIQUE KEY uk_central_absence_employee_date (employee_id, date),
       INDEX idx_central_absence_employee (employee_id),
       INDEX idx_central_absence_date (date)
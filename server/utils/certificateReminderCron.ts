@@ -0,0 +1,372 @@
+/**
+ * Certificate Expiry Reminder Cron
+ *
+ * Runs every day at 06:15 (server local time) across all active tenants
+ * (plus the default tenant on the master DB) and
+ *  - reminds the linked employee accounts when a certificate reaches one of
+ *    the configured offsets before `certificate_valid_until` (default 90/30/7
+ *    days, SystemSetting `certificate_reminder_offsets`),
+ *  - sends one digest per tenant to its admins listing evidence that expired.
+ *
+ * Tenants opt in via SystemSetting `certificate_reminder_enabled = 'true'`.
+ * Each mail is recorded in `CertificateReminderLog` (see certificateReminders.ts),
+ * so restarts, repeated runs and parallel instances never send a stage twice.
+ *
+ * Can be disabled globally via env var CERTIFICATE_REMINDER_AUTO=false.
+ * Default is "true" (enabled).
+ */
+
+import type { Pool, RowDataPacket } from 'mysql2/promise';
+import { getEmailProviderInfo, sendEmail } from './email.js';
+import { escapeHtml } from './schedulePublication.js';
+import { withTenantDb } from './rotationQualificationSync.js';
+import { msUntilNextRun } from './tisowareCron.js';
+import {
+  EXPIRED_STAGE,
+  REMINDER_SETTING_KEYS,
+  buildReminderUrl,
+  certificateTenantKey,
+  claimReminder,
+  dueReminderStage,
+  getReminderRecipientsForDoctor,
+  listReminderHistory,
+  listTenantAdmins,
+  parseReminderOffsets,
+  releaseReminder,
+  reminderHistoryKey,
+  sendCertificateReminderMail,
+  type ReminderLogKey,
+} from './certificateReminders.js';
+
+const CRON_HOUR = 6;
+const CRON_MINUTE = 15;
+const CRON_LABEL = '[Certificate Reminder Cron]';
+
+interface CronHandle {
+  stop(): void;
+}
+
+interface TenantTokenRow extends RowDataPacket {
+  id: number;
+  name: string;
+  token: string;
+}
+
+interface SettingRow extends RowDataPacket {
+  key: string;
+  value: string | null;
+}
+
+interface ExpiringEvidenceRow extends RowDataPacket {
+  doctor_id: string;
+  doctor_name: string | null;
+  qualification_id: string;
+  qualification_name: string | null;
+  valid_until: string;
+}
+
+export interface TenantReminderResult {
+  tenant: string;
+  skipped?: string;
+  reminded: number;
+  escalated: number;
+  failed: number;
+}
+
+/**
+ * Check whether the scheduler is enabled via env var CERTIFICATE_REMINDER_AUTO.
+ * Defaults to enabled ("true") if the env var is not set.
+ */
+export function isCertificateReminderCronEnabled(): boolean {
+  const value = (process.env.CERTIFICATE_REMINDER_AUTO ?? 'true').trim().toLowerCase();
+  return value !== 'false' && value !== '0';
+}
+
+function daysBetween(fromIso: string, toIso: string): number {
+  return Math.round((Date.parse(`${toIso}T00:00:00.000Z`) - Date.parse(`${fromIso}T00:00:00.000Z`)) / 86400000);
+}
+
+function addDays(iso: string, days: number): string {
+  const date = new Date(`${iso}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function formatGermanDate(iso: string): string {
+  const [year, month, day] = iso.split('-');
+  return `${day}.${month}.${year}`;
+}
+
+function appBaseUrl(): string {
+  return (process.env.APP_URL || process.env.PUBLIC_APP_URL || 'http://localhost:5173').trim().replace(/\/$/, '');
+}
+
+/**
+ * Sends the reminders due for one tenant.
+ *
+ * @param masterDb - MasterDB pool (users, reminder log)
+ * @param tenantDb - Pool of the tenant (DoctorQualification, SystemSetting)
+ * @param tenant - `tenantId` of db_tokens (null for the default tenant) and the raw token
+ */
+export async function runTenantCertificateReminders({ masterDb, tenantDb, tenant, today = new Date().toISOString().slice(0, 10) }: {
+  masterDb: Pool;
+  tenantDb: Pool;
+  tenant: { tenantId: string | null; name: string; token: string | null };
+  today?: string;
+}): Promise<TenantReminderResult> {
+  const result: TenantReminderResult = { tenant: tenant.name, reminded: 0, escalated: 0, failed: 0 };
+
+  const [settingRows] = await tenantDb.execute<SettingRow[]>(
+    'SELECT `key`, `value` FROM SystemSetting WHERE `key` IN (?, ?)',
+    [REMINDER_SETTING_KEYS.enabled, REMINDER_SETTING_KEYS.offsets]
+  );
+  const settings = Object.fromEntries(settingRows.map((row) => [row.key, row.value]));
+  if (settings[REMINDER_SETTING_KEYS.enabled] !== 'true') {
+    return { ...result, skipped: 'disabled' };
+  }
+  const offsets = parseReminderOffsets(settings[REMINDER_SETTING_KEYS.offsets]);
+
+  const [evidence] = await tenantDb.execute<ExpiringEvidenceRow[]>(
+    `SELECT dq.doctor_id, d.name AS doctor_name, dq.qualification_id, q.name AS qualification_name,
+            DATE_FORMAT(dq.certificate_valid_until, '%Y-%m-%d') AS valid_until
+       FROM DoctorQualification dq
+       JOIN Qualification q ON q.id = dq.qualification_id
+       JOIN Doctor d ON d.id = dq.doctor_id
+      WHERE q.requires_certificate = 1
+        AND dq.certificate_valid_until IS NOT NULL
+        AND dq.certificate_valid_until <= ?
+      ORDER BY dq.certificate_valid_until ASC, d.name ASC`,
+    [addDays(today, Math.max(...offsets))]
+  );
+  if (evidence.length === 0) return result;
+
+  const tenantKey = certificateTenantKey(tenant.token);
+  const history = await listReminderHistory(masterDb, tenantKey, evidence[0].valid_until);
+  const sentStages = new Map<string, Set<string>>();
+  for (const entry of history) {
+    const key = reminderHistoryKey(entry.doctor_id, entry.qualification_id, entry.valid_until);
+    if (!sentStages.has(key)) sentStages.set(key, new Set());
+    sentStages.get(key)!.add(entry.stage);
+  }
+
+  const remindersByDoctor = new Map<string, Array<{ row: ExpiringEvidenceRow; days: number; stage: string }>>();
+  const expired: Array<{ row: ExpiringEvidenceRow; days: number }> = [];
+  for (const row of evidence) {
+    const days = daysBetween(today, row.valid_until);
+    const sent = sentStages.get(reminderHistoryKey(row.doctor_id, row.qualification_id, row.valid_until)) || new Set<string>();
+    const stage = dueReminderStage(days, offsets, sent);
+    if (!stage) continue;
+    if (stage === EXPIRED_STAGE) {
+      expired.push({ row, days });
+    } else {
+      if (!remindersByDoctor.has(row.doctor_id)) remindersByDoctor.set(row.doctor_id, []);
+      remindersByDoctor.get(row.doctor_id)!.push({ row, days, stage });
+    }
+  }
+
+  // 1. One mail per employee account, covering all of its due certificates
+  for (const [doctorId, items] of remindersByDoctor) {
+    const recipients = await getReminderRecipientsForDoctor(masterDb, doctorId);
+    // No linked account: nothing claimed, the admin escalation still follows on expiry
+    if (recipients.length === 0) continue;
+
+    const emails = recipients.map((user) => String(user.email));
+    const claimed: Array<{ key: ReminderLogKey; item: typeof items[number] }> = [];
+    for (const item of items) {
+      const key: ReminderLogKey = {
+        tenantKey,
+        doctorId,
+        qualificationId: item.row.qualification_id,
+        validUntil: item.row.valid_until,
+        stage: item.stage,
+      };
+      if (await claimReminder(masterDb, key, emails)) claimed.push({ key, item });
+    }
+    if (claimed.length === 0) continue;
+
+    try {
+      const link = buildReminderUrl({
+        baseUrl: appBaseUrl(),
+        tenantId: tenant.tenantId,
+        doctorId,
+        qualificationIds: claimed.map(({ item }) => item.row.qualification_id),
+      });
+      for (const user of recipients) {
+        await sendCertificateReminderMail({
+          to: String(user.email),
+          name: String(user.full_name || claimed[0].item.row.doctor_name || ''),
+          intro: 'folgende Qualifikationsnachweise laufen bald ab. Bitte laden Sie rechtzeitig einen neuen Nachweis hoch:',
+          items: claimed.map(({ item }) => ({
+            name: item.row.qualification_name || item.row.qualification_id,
+            reason: `gueltig bis ${formatGermanDate(item.row.valid_until)} (noch ${item.days} ${item.days === 1 ? 'Tag' : 'Tage'})`,
+          })),
+          link,
+        });
+      }
+      result.reminded += claimed.length;
+    } catch (err) {
+      console.error(`${CRON_LABEL} Reminder for doctor ${doctorId} (${tenant.name}) failed:`, (err as Error).message);
+      result.failed += claimed.length;
+      for (const { key } of claimed) await releaseReminder(masterDb, key);
+    }
+  }
+
+  // 2. Escalation digest to the tenant admins for expired evidence
+  if (expired.length > 0) {
+    const admins = await listTenantAdmins(masterDb, tenant.tenantId);
+    if (admins.length === 0) {
+      console.warn(`${CRON_LABEL} No admin to escalate ${expired.length} expired certificate(s) of ${tenant.name}`);
+      return result;
+    }
+
+    const emails = admins.map((admin) => admin.email);
+    const claimed: Array<{ key: ReminderLogKey; row: ExpiringEvidenceRow; days: number }> = [];
+    for (const { row, days } of expired) {
+      const key: ReminderLogKey = {
+        tenantKey,
+        doctorId: row.doctor_id,
+        qualificationId: row.qualification_id,
+        validUntil: row.valid_until,
+        stage: EXPIRED_STAGE,
+      };
+      if (await claimReminder(masterDb, key, emails)) claimed.push({ key, row, days });
+    }
+    if (claimed.length === 0) return result;
+
+    const lines = claimed.map(({ row, days }) => ({
+      doctor: row.doctor_name || row.doctor_id,
+      qualification: row.qualification_name || row.qualification_id,
+      since: `abgelaufen am ${formatGermanDate(row.valid_until)} (vor ${-days} ${days === -1 ? 'Tag' : 'Tagen'})`,
+    }));
+    try {
+      for (const admin of admins) {
+        await sendEmail({
+          to: admin.email,
+          subject: `CuraFlow: ${claimed.length} abgelaufene Qualifikationsnachweise (${tenant.name})`,
+          text: [
+            `Hallo ${admin.name},`,
+            '',
+            `im Mandanten ${tenant.name} sind folgende Qualifikationsnachweise abgelaufen:`,
+            lines.map((line) => `- ${line.doctor}: ${line.qualification}, ${line.since}`).join('\n'),
+            '',
+            'Bitte klaeren Sie mit den Mitarbeitenden die Erneuerung der Nachweise.',
+          ].join('\n'),
+          html: `
+            <p>Hallo ${escapeHtml(admin.name)},</p>
+            <p>im Mandanten <strong>${escapeHtml(tenant.name)}</strong> sind folgende Qualifikationsnachweise abgelaufen:</p>
+            <ul>${lines.map((line) => `<li><strong>${escapeHtml(line.doctor)}</strong>: ${escapeHtml(line.qualification)}, ${escapeHtml(line.since)}</li>`).join('')}</ul>
+            <p>Bitte klaeren Sie mit den Mitarbeitenden die Erneuerung der Nachweise.</p>
+          `,
+        });
+      }
+      result.escalated += claimed.length;
+    } catch (err) {
+      console.error(`${CRON_LABEL} Escalation for ${tenant.name} failed:`, (err as Error).message);
+      result.failed += claimed.length;
+      for (const { key } of claimed) await releaseReminder(masterDb, key);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run the reminders for all active tenants and the default tenant.
+ *
+ * @param masterDb - MasterDB pool
+ * @returns One result per tenant
+ */
+export async function runCertificateReminders(masterDb: Pool): Promise<TenantReminderResult[]> {
+  if (!getEmailProviderInfo().configured) {
+    console.log(`${CRON_LABEL} E-Mail not configured — skipping`);
+    return [];
+  }
+
+  const results: TenantReminderResult[] = [];
+  const runTenant = async (
+    tenant: { tenantId: string | null; name: string; token: string | null },
+    tenantDb: Pool
+  ) => {
+    try {
+      results.push(await runTenantCertificateReminders({ masterDb, tenantDb, tenant }));
+    } catch (err) {
+      // The master DB only carries tenant tables in single-tenant setups
+      if ((err as { code?: string }).code === 'ER_NO_SUCH_TABLE' && !tenant.token) return;
+      console.error(`${CRON_LABEL} Tenant ${tenant.name} failed:`, (err as Error).message);
+      results.push({ tenant: tenant.name, skipped: 'error', reminded: 0, escalated: 0, failed: 0 });
+    }
+  };
+
+  await runTenant({ tenantId: null, name: 'default', token: null }, masterDb);
+
+  const [tokens] = await masterDb.execute<TenantTokenRow[]>(
+    'SELECT id, name, token FROM db_tokens WHERE is_active = TRUE ORDER BY id ASC'
+  );
+  for (const token of tokens) {
+    try {
+      await withTenantDb(token, (tenantDb) =>
+        runTenant({ tenantId: String(token.id), name: token.name, token: token.token }, tenantDb)
+      );
+    } catch (err) {
+      console.error(`${CRON_LABEL} Tenant ${token.name} unreachable:`, (err as Error).message);
+      results.push({ tenant: token.name, skipped: 'error', reminded: 0, escalated: 0, failed: 0 });
+    }
+  }
+
+  const reminded = results.reduce((sum, entry) => sum + entry.reminded, 0);
+  const escalated = results.reduce((sum, entry) => sum + entry.escalated, 0);
+  console.log(`${CRON_LABEL} Completed — reminded: ${reminded}, escalated: ${escalated}, tenants: ${results.length}`);
+  return results;
+}
+
+/**
+ * Start the daily certificate reminder scheduler.
+ * Uses recursive setTimeout to fire at 06:15 local time each day.
+ *
+ * @param masterDb - MasterDB pool
+ * @returns Handle to stop the scheduler
+ */
+export function startCertificateReminderCron(masterDb: Pool): CronHandle {
+  if (!isCertificateReminderCronEnabled()) {
+    console.log(`${CRON_LABEL} Disabled via CERTIFICATE_REMINDER_AUTO env — scheduler not started`);
+    return { stop() {} };
+  }
+
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let stopped = false;
+
+  const scheduleNext = () => {
+    if (stopped) return;
+    const delay = msUntilNextRun(CRON_HOUR, CRON_MINUTE);
+
+    timer = setTimeout(async () => {
+      if (stopped) return;
+      try {
+        if (isCertificateReminderCronEnabled()) {
+          await runCertificateReminders(masterDb);
+        }
+      } catch (err) {
+        console.error(`${CRON_LABEL} Run failed:`, (err as Error).message);
+      } finally {
+        scheduleNext();
+      }
+    }, delay);
+
+    // Allow the process to exit even if the timer is pending
+    if (timer && typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  };
+
+  scheduleNext();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+}
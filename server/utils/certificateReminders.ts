@@ -0,0 +1,315 @@
+/**
+ * Certificate expiry reminders.
+ *
+ * Shared by the manual send (`POST /api/certificates/reminders/send`) and the
+ * daily scheduler (`certificateReminderCron.ts`):
+ *  - the signed reminder-link token (Finding S3),
+ *  - the reminder mail,
+ *  - the reminder stages: one mail to the employee per configured offset
+ *    before `certificate_valid_until` (default 90/30/7 days), and one
+ *    escalation to the department admins once the evidence has expired.
+ *
+ * Every automatic mail is recorded in the master table `CertificateReminderLog`
+ * per tenant, doctor, qualification, validity end and stage. The unique key on
+ * those columns is claimed before sending, so neither a second server instance
+ * nor the next run sends the same stage again. A renewed certificate moves
+ * `valid_until` and starts a fresh cycle.
+ */
+
+import crypto from 'crypto';
+import type { Pool, ResultSetHeader, RowDataPacket } from 'mysql2/promise';
+import { parseDbToken } from './crypto.js';
+import { sendEmail } from './email.js';
+import { escapeHtml } from './schedulePublication.js';
+
+// Reminder-link tokens are single-purpose, short-lived, and carry NO DB
+// credential — replacing the previous scheme that embedded the raw tenant
+// `db_token` in the email link (SECURITY_REVIEW_SYSTEM.md Finding S3).
+const REMINDER_TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+export const DEFAULT_REMINDER_OFFSETS = [90, 30, 7];
+export const MAX_REMINDER_OFFSET = 365;
+export const EXPIRED_STAGE = 'expired';
+
+/** Tenant settings (SystemSetting) of the scheduler */
+export const REMINDER_SETTING_KEYS = {
+  enabled: 'certificate_reminder_enabled',
+  offsets: 'certificate_reminder_offsets',
+};
+
+export function getCertificateSigningSecret(): string {
+  return process.env.JWT_SECRET || process.env.AUTH_SECRET || 'curaflow-certificate-analysis-dev';
+}
+
+/**
+ * `tenant_key` of QualificationCertificate / CertificateReminderLog:
+ * sha256(host:database) of the tenant DB, `'default'` without token.
+ */
+export function certificateTenantKey(dbToken: string | null | undefined): string {
+  if (!dbToken) return 'default';
+  try {
+    const cfg = parseDbToken(dbToken);
+    if (!cfg?.host || !cfg?.database) return 'default';
+    return crypto
+      .createHash('sha256')
+      .update(`${cfg.host}:${cfg.database}`)
+      .digest('hex');
+  } catch {
+    return 'default';
+  }
+}
+
+// ─── Reminder-link token (Finding S3) ──────────────────────────────────────
+// A signed, short-lived token that resolves to { tenant_id, doctor_id,
+// qualification_ids[] } after the recipient authenticates. It carries NO
+// tenant DB credential, so a leaked reminder link (mail logs, browser
+// history, Referer headers) does not grant database access the way the raw
+// `db_token` it replaces did. The signature uses the same app secret as the
+// analysis token; both are single-purpose and verified server-side.
+
+export function createReminderToken(payload: {
+  tenantId: string;
+  doctorId: string;
+  qualificationIds: Array<string | number>;
+}): string {
+  const now = Date.now();
+  const fullPayload = {
+    ...payload,
+    iat: now,
+    exp: now + REMINDER_TOKEN_TTL_MS,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(fullPayload)).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', getCertificateSigningSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+  return `${encodedPayload}.${signature}`;
+}
+
+export function verifyReminderToken(token: string): {
+  tenantId: string;
+  doctorId: string;
+  qualificationIds: Array<string | number>;
+  exp: number;
+} | null {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+  const [encodedPayload, signature] = token.split('.');
+  const expected = crypto
+    .createHmac('sha256', getCertificateSigningSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+  if (signature !== expected) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8')) as Record<string, unknown>;
+    if (typeof parsed.exp !== 'number' || parsed.exp < Date.now()) {
+      return null;
+    }
+    if (typeof parsed.tenantId !== 'string' || typeof parsed.doctorId !== 'string') {
+      return null;
+    }
+    if (!Array.isArray(parsed.qualificationIds)) {
+      return null;
+    }
+    return {
+      tenantId: parsed.tenantId,
+      doctorId: parsed.doctorId,
+      qualificationIds: parsed.qualificationIds as Array<string | number>,
+      exp: parsed.exp,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Deep link into the upload page; the tenant hint is omitted if unknown. */
+export function buildReminderUrl({ baseUrl, tenantId, doctorId, qualificationIds }: {
+  baseUrl: string;
+  tenantId: string | null;
+  doctorId: string;
+  qualificationIds: Array<string | number>;
+}): string {
+  const url = new URL('/certificate-upload', baseUrl);
+  url.searchParams.set('rt', createReminderToken({ tenantId: tenantId || '', doctorId, qualificationIds }));
+  if (qualificationIds.length === 1) {
+    url.searchParams.set('qualification_id', String(qualificationIds[0]));
+  }
+  return url.toString();
+}
+
+// ─── Recipients and mail ───────────────────────────────────────────────────
+
+export async function getReminderRecipientsForDoctor(masterDb: Pool, doctorId: string): Promise<Record<string, unknown>[]> {
+  const [rows] = await masterDb.execute(
+    `SELECT id, email, full_name, doctor_id
+       FROM app_users
+      WHERE is_active = 1
+        AND doctor_id = ?
+        AND email IS NOT NULL
+        AND email != ''
+      ORDER BY created_date ASC`,
+    [doctorId]
+  ) as [Record<string, unknown>[], unknown];
+  return rows;
+}
+
+interface AdminRow extends RowDataPacket {
+  email: string | null;
+  full_name: string | null;
+  allowed_tenants: unknown;
+}
+
+/** Active admins who may open the tenant (empty `allowed_tenants` = all tenants). */
+export async function listTenantAdmins(masterDb: Pool, tenantId: string | null): Promise<{ email: string; name: string }[]> {
+  const [rows] = await masterDb.execute<AdminRow[]>(
+    "SELECT email, full_name, allowed_tenants FROM app_users WHERE role = 'admin' AND is_active = 1"
+  );
+  return rows
+    .filter((row) => {
+      if (!tenantId) return true;
+      let allowed: unknown = row.allowed_tenants;
+      if (typeof allowed === 'string') {
+        try { allowed = JSON.parse(allowed); } catch { allowed = null; }
+      }
+      return !Array.isArray(allowed) || allowed.length === 0 || allowed.map(String).includes(tenantId);
+    })
+    .filter((row) => row.email?.trim())
+    .map((row) => ({ email: (row.email as string).trim(), name: row.full_name || (row.email as string) }));
+}
+
+export interface ReminderMailItem {
+  name: string;
+  reason: string;
+}
+
+/** The reminder mail to one employee account; `intro` names the situation. */
+export async function sendCertificateReminderMail({ to, name, intro, items, link }: {
+  to: string;
+  name: string;
+  intro: string;
+  items: ReminderMailItem[];
+  link: string;
+}): Promise<void> {
+  await sendEmail({
+    to,
+    subject: 'CuraFlow: Zertifikatsnachweise hochladen',
+    text: [
+      `Hallo ${name},`,
+      '',
+      intro,
+      items.map((item) => `- ${item.name}: ${item.reason}`).join('\n'),
+      '',
+      `Bitte melden Sie sich ueber diesen Link an und laden Sie die Nachweise hoch: ${link}`,
+      '',
+      'Der Link fuehrt in Ihren persoenlichen Upload-Bereich in CuraFlow.',
+    ].join('\n'),
+    html: `
+      <p>Hallo ${escapeHtml(name)},</p>
+      <p>${escapeHtml(intro)}</p>
+      <ul>${items.map((item) => `<li><strong>${escapeHtml(item.name)}</strong>: ${escapeHtml(item.reason)}</li>`).join('')}</ul>
+      <p>
+        <a href="${link}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;">
+          Nachweise in CuraFlow hochladen
+        </a>
+      </p>
+      <p>Der Link fuehrt in Ihren persoenlichen Upload-Bereich in CuraFlow.</p>
+    `,
+  });
+}
+
+// ─── Stages ────────────────────────────────────────────────────────────────
+
+/**
+ * Parses the offsets setting ("90, 30, 7"): distinct whole days between 1 and
+ * 365, largest first. Falls back to the defaults if nothing valid is left.
+ */
+export function parseReminderOffsets(raw: unknown): number[] {
+  const parts = Array.isArray(raw) ? raw : String(raw ?? '').split(/[,;\s]+/);
+  const offsets = new Set<number>();
+  for (const part of parts) {
+    const value = Number(part);
+    if (Number.isInteger(value) && value >= 1 && value <= MAX_REMINDER_OFFSET) offsets.add(value);
+  }
+  return offsets.size > 0 ? Array.from(offsets).sort((a, b) => b - a) : [...DEFAULT_REMINDER_OFFSETS];
+}
+
+export const offsetStage = (offset: number): string => `before_${offset}`;
+
+/**
+ * The stage due for evidence expiring in `daysUntilExpiry` days, or `null`.
+ * Only the tightest offset already reached counts: evidence first seen 20
+ * days before expiry gets the 30-day reminder, not the 90-day one as well.
+ * Expired evidence (negative days) is escalated once.
+ */
+export function dueReminderStage(daysUntilExpiry: number, offsets: number[], sentStages: Set<string>): string | null {
+  if (daysUntilExpiry < 0) {
+    return sentStages.has(EXPIRED_STAGE) ? null : EXPIRED_STAGE;
+  }
+  const reached = offsets.filter((offset) => daysUntilExpiry <= offset);
+  if (reached.length === 0) return null;
+  const tightest = Math.min(...reached);
+  // A tighter reminder already went out (e.g. offsets were widened later)
+  if (offsets.some((offset) => offset <= tightest && sentStages.has(offsetStage(offset)))) return null;
+  return offsetStage(tightest);
+}
+
+// ─── History (master DB) ───────────────────────────────────────────────────
+
+export interface ReminderLogKey {
+  tenantKey: string;
+  doctorId: string;
+  qualificationId: string;
+  validUntil: string;
+  stage: string;
+}
+
+/**
+ * Claims a stage before sending. Returns false if it was already recorded —
+ * by an earlier run or a parallel server instance.
+ */
+export async function claimReminder(masterDb: Pool, key: ReminderLogKey, recipients: string[]): Promise<boolean> {
+  const [result] = await masterDb.execute<ResultSetHeader>(
+    `INSERT IGNORE INTO CertificateReminderLog
+       (id, tenant_key, doctor_id, qualification_id, valid_until, stage, recipients, sent_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [crypto.randomUUID(), key.tenantKey, key.doctorId, key.qualificationId, key.validUntil, key.stage, JSON.stringify(recipients)]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Gives a claimed stage back after a failed send, so the next run retries it. */
+export async function releaseReminder(masterDb: Pool, key: ReminderLogKey): Promise<void> {
+  await masterDb.execute(
+    `DELETE FROM CertificateReminderLog
+      WHERE tenant_key = ? AND doctor_id = ? AND qualification_id = ? AND valid_until = ? AND stage = ?`,
+    [key.tenantKey, key.doctorId, key.qualificationId, key.validUntil, key.stage]
+  );
+}
+
+export interface ReminderHistoryEntry {
+  doctor_id: string;
+  qualification_id: string;
+  valid_until: string;
+  stage: string;
+  sent_at: string;
+}
+
+interface ReminderHistoryRow extends RowDataPacket, ReminderHistoryEntry {}
+
+/** Recorded reminders of a tenant for validity ends from `since` on. */
+export async function listReminderHistory(masterDb: Pool, tenantKey: string, since: string): Promise<ReminderHistoryEntry[]> {
+  const [rows] = await masterDb.execute<ReminderHistoryRow[]>(
+    `SELECT doctor_id, qualification_id, DATE_FORMAT(valid_until, '%Y-%m-%d') AS valid_until, stage, sent_at
+       FROM CertificateReminderLog
+      WHERE tenant_key = ? AND valid_until >= ?
+      ORDER BY sent_at ASC`,
+    [tenantKey, since]
+  );
+  return rows;
+}
+
+export const reminderHistoryKey = (doctorId: unknown, qualificationId: unknown, validUntil: unknown): string =>
+  `${doctorId}::${qualificationId}::${validUntil}`;
@@ -0,0 +1,279 @@
+/**
+ * Long-horizon fairness ledger, computed on the server for
+ * `GET /api/schedule/fairness-ledger`: who did how many of the unpopular
+ * duties in the 12 months before a planning period, and who is owed relief.
+ *
+ * Only service entries (workplaces of category "Dienste") of the window are
+ * read, so clients never load a year of shift entries. The duty rules mirror
+ * ledgerDutiesFor() in src/components/schedule/fairnessLedger.ts (guarded by
+ * a test); the board uses those for the services of its AutoFill preview.
+ *
+ * Balance: count − FTE share of the team total, among doctors with at least
+ * one service in the window. The FTE is averaged over the days of the window
+ * from the staffing plan (StaffingPlanEntry); status codes (KO, EZ, MS, BV,
+ * OU) count as 0 within their days, months without an entry use Doctor.fte.
+ */
+
+import { addDays, format, subYears } from 'date-fns';
+import type { Pool, RowDataPacket } from 'mysql2/promise';
+
+export const LEDGER_DUTIES = ['services', 'weekend', 'holiday', 'christmas', 'newYear', 'easter', 'night'] as const;
+export type LedgerDuty = (typeof LEDGER_DUTIES)[number];
+
+export interface FairnessLedgerEntry {
+  doctorId: string;
+  fte: number;
+  counts: Record<LedgerDuty, number>;
+  /** counts / fte */
+  perFte: Record<LedgerDuty, number>;
+  /** count − FTE share of the team total; 0 for doctors without services */
+  balance: Record<LedgerDuty, number>;
+}
+
+export interface FairnessLedger {
+  start: string;
+  end: string;
+  entries: Record<string, FairnessLedgerEntry>;
+}
+
+export interface LedgerShift {
+  date: string;
+  doctor_id: string | null;
+  position: string;
+  timeslot_id?: string | null;
+  start_time?: string | null;
+  end_time?: string | null;
+}
+
+export interface LedgerStaffingEntry {
+  doctor_id: string;
+  year: number;
+  month: number;
+  value: string | number | null;
+  status_start_day?: number | null;
+  status_end_day?: number | null;
+}
+
+interface LedgerWorkplace {
+  name: string;
+  category?: string | null;
+  auto_off?: boolean | number | null;
+}
+
+const emptyCounts = (): Record<LedgerDuty, number> =>
+  Object.fromEntries(LEDGER_DUTIES.map((d) => [d, 0])) as Record<LedgerDuty, number>;
+
+/** Rolling 12 months before `planStart` (the planning period itself is not history). */
+export function fairnessLedgerWindow(planStart: string): { start: string; end: string } {
+  const day = new Date(`${planStart}T00:00:00`);
+  return {
+    start: format(subYears(day, 1), 'yyyy-MM-dd'),
+    end: format(addDays(day, -1), 'yyyy-MM-dd'),
+  };
+}
+
+function easterSunday(year: number): Date {
+  const f = Math.floor;
+  const g = year % 19;
+  const c = f(year / 100);
+  const h = (c - f(c / 4) - f((8 * c + 13) / 25) + 19 * g + 15) % 30;
+  const i = h - f(h / 28) * (1 - f(29 / (h + 1)) * f((21 - g) / 11));
+  const j = (year + f(year / 4) + i + 2 - c + f(c / 4)) % 7;
+  const l = i - j;
+  const month = 3 + f((l + 40) / 44);
+  return new Date(year, month - 1, l + 28 - 31 * f(month / 4));
+}
+
+const easterCache = new Map<number, { start: string; end: string }>();
+
+/** Special holiday period of a date, if any. */
+function holidayPeriod(dateStr: string): 'christmas' | 'newYear' | 'easter' | null {
+  const monthDay = dateStr.slice(5);
+  if (monthDay >= '12-24' && monthDay <= '12-26') return 'christmas';
+  if (monthDay === '12-31' || monthDay === '01-01') return 'newYear';
+  const year = Number(dateStr.slice(0, 4));
+  let easter = easterCache.get(year);
+  if (!easter) {
+    const sunday = easterSunday(year);
+    easter = { start: format(addDays(sunday, -2), 'yyyy-MM-dd'), end: format(addDays(sunday, 1), 'yyyy-MM-dd') };
+    easterCache.set(year, easter);
+  }
+  return dateStr >= easter.start && dateStr <= easter.end ? 'easter' : null;
+}
+
+function toMinutes(time: string): number {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Ledger duties a service on `dateStr` counts towards. `night` uses the
+ * shift's times when known, otherwise the workplace's auto_off flag.
+ */
+export function ledgerDutiesFor(
+  dateStr: string,
+  workplace: Pick<LedgerWorkplace, 'auto_off'>,
+  { times, holidays }: { times?: { start: string; end: string } | null; holidays?: Set<string> } = {},
+): LedgerDuty[] {
+  const duties: LedgerDuty[] = ['services'];
+  const weekday = new Date(`${dateStr}T00:00:00`).getDay();
+  if (weekday === 0 || weekday === 6) duties.push('weekend');
+  const period = holidayPeriod(dateStr);
+  if (period || holidays?.has(dateStr)) duties.push('holiday');
+  if (period) duties.push(period);
+  if (times ? toMinutes(times.end) <= toMinutes(times.start) : Boolean(workplace.auto_off)) duties.push('night');
+  return duties;
+}
+
+function parseFte(value: unknown): number | null {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = parseFloat(String(value).trim().replace(',', '.'));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * FTE of a doctor averaged over the days of `start`–`end`. A staffing plan
+ * entry applies within its status days (whole month without them); status
+ * codes count as 0. Falls back to the base FTE when the average is 0.
+ */
+export function averageFte(
+  baseFte: unknown,
+  planEntries: LedgerStaffingEntry[],
+  start: string,
+  end: string,
+): number {
+  const base = parseFte(baseFte);
+  const fallback = base !== null && base > 0 ? base : 1;
+  const byMonth = new Map(planEntries.map((e) => [`${e.year}-${Number(e.month)}`, e]));
+  let total = 0;
+  let days = 0;
+  const last = new Date(`${end}T00:00:00`);
+  for (let day = new Date(`${start}T00:00:00`); day <= last; day = addDays(day, 1)) {
+    days++;
+    const entry = byMonth.get(`${day.getFullYear()}-${day.getMonth() + 1}`);
+    const value = entry?.value === null || entry?.value === undefined ? '' : String(entry.value).trim();
+    const dayOfMonth = day.getDate();
+    const inStatus = (entry?.status_start_day == null || dayOfMonth >= Number(entry.status_start_day))
+      && (entry?.status_end_day == null || dayOfMonth <= Number(entry.status_end_day));
+    total += value === '' || !inStatus ? fallback : (parseFte(value) ?? 0);
+  }
+  const average = days > 0 ? total / days : 0;
+  return average > 0 ? average : fallback;
+}
+
+export function buildFairnessLedger({
+  shifts,
+  doctors,
+  workplaces,
+  timeslots = [],
+  holidays,
+  start,
+  end,
+}: {
+  shifts: LedgerShift[];
+  /** `fte` is the effective FTE of the window (see averageFte()). */
+  doctors: Array<{ id: string; fte: number }>;
+  workplaces: LedgerWorkplace[];
+  timeslots?: Array<{ id: string; start_time?: string | null; end_time?: string | null }>;
+  holidays?: Set<string>;
+  start: string;
+  end: string;
+}): FairnessLedger {
+  const serviceByName = new Map(workplaces.filter((w) => w.category === 'Dienste').map((w) => [w.name, w]));
+  const timeslotById = new Map(timeslots.map((t) => [t.id, t]));
+  const entries: Record<string, FairnessLedgerEntry> = {};
+  for (const doctor of doctors) {
+    entries[doctor.id] = {
+      doctorId: doctor.id,
+      fte: doctor.fte > 0 ? doctor.fte : 1,
+      counts: emptyCounts(),
+      perFte: emptyCounts(),
+      balance: emptyCounts(),
+    };
+  }
+
+  for (const shift of shifts) {
+    if (!shift.doctor_id || shift.date < start || shift.date > end) continue;
+    const entry = entries[shift.doctor_id];
+    const workplace = serviceByName.get(shift.position);
+    if (!entry || !workplace) continue;
+    const slot = shift.timeslot_id ? timeslotById.get(shift.timeslot_id) : undefined;
+    const startTime = shift.start_time || slot?.start_time;
+    const endTime = shift.end_time || slot?.end_time;
+    const times = startTime && endTime ? { start: startTime, end: endTime } : null;
+    for (const duty of ledgerDutiesFor(shift.date, workplace, { times, holidays })) {
+      entry.counts[duty]++;
+    }
+  }
+
+  const participants = Object.values(entries).filter((e) => e.counts.services > 0);
+  const totalFte = participants.reduce((sum, e) => sum + e.fte, 0);
+  for (const duty of LEDGER_DUTIES) {
+    const total = participants.reduce((sum, e) => sum + e.counts[duty], 0);
+    for (const e of Object.values(entries)) {
+      e.perFte[duty] = e.counts[duty] / e.fte;
+    }
+    for (const e of participants) {
+      e.balance[duty] = e.counts[duty] - (total * e.fte) / totalFte;
+    }
+  }
+
+  return { start, end, entries };
+}
+
+async function selectRows(dbPool: Pool, sql: string, params: unknown[] = []): Promise<RowDataPacket[]> {
+  try {
+    const [rows] = await dbPool.execute<RowDataPacket[]>(sql, params);
+    return rows;
+  } catch (error) {
+    // Timeslots and the staffing plan may not exist in older tenants
+    if ((error as { code?: string }).code === 'ER_NO_SUCH_TABLE') return [];
+    throw error;
+  }
+}
+
+/**
+ * The ledger for the 12 months before `planStart`, from the tenant's stored
+ * service entries. `holidays` are the public holidays of the window's years.
+ */
+export async function loadFairnessLedger(
+  tenantDb: Pool,
+  { planStart, holidays }: { planStart: string; holidays: Set<string> },
+): Promise<FairnessLedger> {
+  const { start, end } = fairnessLedgerWindow(planStart);
+  const [doctorRows, workplaceRows, timeslotRows, shiftRows, planRows] = await Promise.all([
+    selectRows(tenantDb, 'SELECT id, fte FROM Doctor'),
+    selectRows(tenantDb, "SELECT name, category, auto_off FROM Workplace WHERE category = 'Dienste'"),
+    selectRows(tenantDb, 'SELECT id, start_time, end_time FROM WorkplaceTimeslot'),
+    selectRows(
+      tenantDb,
+      `SELECT s.* FROM ShiftEntry s JOIN Workplace w ON w.name = s.position
+       WHERE w.category = 'Dienste' AND s.date >= ? AND s.date <= ? AND s.doctor_id IS NOT NULL`,
+      [start, end],
+    ),
+    selectRows(
+      tenantDb,
+      'SELECT * FROM StaffingPlanEntry WHERE year >= ? AND year <= ?',
+      [Number(start.slice(0, 4)), Number(end.slice(0, 4))],
+    ),
+  ]);
+
+  const planByDoctor = new Map<string, LedgerStaffingEntry[]>();
+  for (const row of planRows) {
+    const doctorId = String(row.doctor_id);
+    planByDoctor.set(doctorId, [...(planByDoctor.get(doctorId) ?? []), row as LedgerStaffingEntry]);
+  }
+
+  return buildFairnessLedger({
+    shifts: shiftRows.map((row) => ({ ...(row as LedgerShift), date: String(row.date).slice(0, 10) })),
+    doctors: doctorRows.map((row) => ({
+      id: String(row.id),
+      fte: averageFte(row.fte, planByDoctor.get(String(row.id)) ?? [], start, end),
+    })),
+    workplaces: workplaceRows as LedgerWorkplace[],
+    timeslots: timeslotRows as Array<{ id: string; start_time?: string | null; end_time?: string | null }>,
+    holidays,
+    start,
+    end,
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Undo/redo of schedule board edits through the atomic route
+ * (`operation: 'replayChanges'`).
+ *
+ * The board records every edit as a list of row snapshots (`before` / `after`).
+ * Undo sends `expected = after, target = before`, redo the other way round.
+ * Before anything is written, every row is compared with its expected state;
+ * if someone else changed or deleted one of them in the meantime, nothing is
+ * replayed and the route answers 409 with the list of conflicts. That way an
+ * undo never overwrites a concurrent edit of a colleague. Shift entries are
+ * not put back into cells locked meanwhile (ScheduleBlock), as for
+ * bulkCreateShifts and transferShifts.
+ */
+
+import { findLockBlock, type ScheduleBlockRow } from './shiftBatch.js';
+
+export const HISTORY_REPLAY_ENTITIES = ['ShiftEntry', 'ScheduleNote'] as const;
+export type HistoryReplayEntity = (typeof HISTORY_REPLAY_ENTITIES)[number];
+
+export const MAX_HISTORY_REPLAY_CHANGES = 2000;
+
+/** Bookkeeping columns: set by the server on every write, never compared or replayed. */
+const META_COLUMNS = new Set(['id', 'created_date', 'updated_date', 'created_by', 'version', 'isPreview']);
+
+export interface HistoryReplayChange {
+  entity: HistoryReplayEntity;
+  id: string;
+  /** State the row must have right now; `null` = must not exist */
+  expected: Record<string, unknown> | null;
+  /** State after the replay; `null` = delete */
+  target: Record<string, unknown> | null;
+}
+
+export type HistoryReplayConflictReason = 'changed' | 'missing' | 'exists' | 'blocked';
+
+export interface HistoryReplayConflict {
+  /** Index of the change in the request */
+  index: number;
+  entity: HistoryReplayEntity;
+  id: string;
+  reason: HistoryReplayConflictReason;
+  /** Fields that differ (reason `changed`) */
+  fields?: string[];
+  message: string;
+}
+
+export type HistoryReplayWrite =
+  | { action: 'create'; data: Record<string, unknown> }
+  | { action: 'update'; data: Record<string, unknown> }
+  | { action: 'delete' }
+  | { action: 'none' };
+
+const badRequest = (message: string): Error => {
+  const err = new Error(message);
+  (err as Error & { status: number }).status = 400;
+  return err;
+};
+
+const isRow = (value: unknown): value is Record<string, unknown> =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates the request payload.
+ * @throws Error with `status = 400` on invalid input
+ */
+export function normalizeHistoryChanges(raw: unknown): HistoryReplayChange[] {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw badRequest('changes muss eine nicht-leere Liste sein');
+  }
+  if (raw.length > MAX_HISTORY_REPLAY_CHANGES) {
+    throw badRequest(`Höchstens ${MAX_HISTORY_REPLAY_CHANGES} Änderungen pro Vorgang`);
+  }
+
+  const seen = new Set<string>();
+  return raw.map((item: unknown, index: number) => {
+    const change = (isRow(item) ? item : {}) as Record<string, unknown>;
+    if (!HISTORY_REPLAY_ENTITIES.includes(change.entity as HistoryReplayEntity)) {
+      throw badRequest(`Änderung ${index + 1}: entity muss ${HISTORY_REPLAY_ENTITIES.join(' oder ')} sein`);
+    }
+    if (typeof change.id !== 'string' || !change.id) {
+      throw badRequest(`Änderung ${index + 1}: id fehlt`);
+    }
+    const key = `${change.entity}:${change.id}`;
+    if (seen.has(key)) {
+      throw badRequest(`Änderung ${index + 1}: ${change.entity} ${change.id} doppelt`);
+    }
+    seen.add(key);
+
+    const expected = change.expected ?? null;
+    const target = change.target ?? null;
+    if ((expected !== null && !isRow(expected)) || (target !== null && !isRow(target))) {
+      throw badRequest(`Änderung ${index + 1}: expected und target müssen Objekte oder null sein`);
+    }
+    if (expected === null && target === null) {
+      throw badRequest(`Änderung ${index + 1}: expected oder target ist erforderlich`);
+    }
+    return { entity: change.entity as HistoryReplayEntity, id: change.id, expected, target };
+  });
+}
+
+/**
+ * Comparable form of a column value: rows from the client went through JSON
+ * and the boolean coercion of the list endpoint, rows from the database did not.
+ */
+const comparable = (value: unknown): string | null => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/** Columns of `expected` whose values differ from `current`. Columns the row does not have are ignored. */
+export function diffHistoryRow(current: Record<string, unknown>, expected: Record<string, unknown>): string[] {
+  return Object.keys(expected).filter(
+    (column) => !META_COLUMNS.has(column) && column in current && comparable(current[column]) !== comparable(expected[column]),
+  );
+}
+
+/** Checks the current rows against the expected states; an empty list means the replay may run. */
+export function findHistoryConflicts(
+  changes: HistoryReplayChange[],
+  currentRows: (Record<string, unknown> | null)[],
+): HistoryReplayConflict[] {
+  const conflicts: HistoryReplayConflict[] = [];
+  changes.forEach((change, index) => {
+    const current = currentRows[index];
+    const base = { index, entity: change.entity, id: change.id };
+    if (!change.expected) {
+      if (current) conflicts.push({ ...base, reason: 'exists', message: 'Eintrag wurde inzwischen wieder angelegt' });
+      return;
+    }
+    if (!current) {
+      conflicts.push({ ...base, reason: 'missing', message: 'Eintrag wurde inzwischen gelöscht' });
+      return;
+    }
+    const fields = diffHistoryRow(current, change.expected);
+    if (fields.length > 0) {
+      conflicts.push({ ...base, reason: 'changed', fields, message: `Eintrag wurde inzwischen geändert (${fields.join(', ')})` });
+    }
+  });
+  return conflicts;
+}
+
+const cellOf = (row: Record<string, unknown>) => ({
+  date: String(row.date ?? '').slice(0, 10),
+  position: String(row.position ?? ''),
+  timeslot_id: typeof row.timeslot_id === 'string' && row.timeslot_id ? row.timeslot_id : null,
+});
+
+/**
+ * Shift entries the replay would place into a locked cell. A row that stays in
+ * its cell (e.g. only the note changes) is not affected by the lock.
+ */
+export function findHistoryBlockConflicts(
+  changes: HistoryReplayChange[],
+  currentRows: (Record<string, unknown> | null)[],
+  blocks: ScheduleBlockRow[],
+): HistoryReplayConflict[] {
+  const lockBlocks = blocks.filter((b) => (b.type ?? 'block') === 'block');
+  const conflicts: HistoryReplayConflict[] = [];
+  changes.forEach((change, index) => {
+    if (change.entity !== 'ShiftEntry' || !change.target) return;
+    const current = currentRows[index];
+    const cell = cellOf({ ...current, ...change.target });
+    if (current) {
+      const before = cellOf(current);
+      if (before.date === cell.date && before.position === cell.position && before.timeslot_id === cell.timeslot_id) return;
+    }
+    const block = findLockBlock(cell, lockBlocks);
+    if (block) {
+      conflicts.push({
+        index,
+        entity: change.entity,
+        id: change.id,
+        reason: 'blocked',
+        message: 'Zelle gesperrt' + (block.reason ? `: ${block.reason}` : ''),
+      });
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * The write that turns `current` into `target`, restricted to the table's
+ * columns. A re-created row keeps its id so older history steps still match.
+ */
+export function planHistoryWrite(
+  id: string,
+  current: Record<string, unknown> | null,
+  target: Record<string, unknown> | null,
+  columns: string[],
+): HistoryReplayWrite {
+  if (!target) return current ? { action: 'delete' } : { action: 'none' };
+
+  const data: Record<string, unknown> = {};
+  for (const column of columns) {
+    if (META_COLUMNS.has(column) || !(column in target)) continue;
+    if (current && comparable(current[column]) === comparable(target[column])) continue;
+    data[column] = target[column];
+  }
+  if (!current) return { action: 'create', data: { ...data, id } };
+  return Object.keys(data).length > 0 ? { action: 'update', data } : { action: 'none' };
+}
@@ -0,0 +1,352 @@
+/**
+ * Local swap optimizer for AI AutoFill — the offline counterpart of the LLM.
+ *
+ * Without `OPENAI_API_KEY` / `MISTRAL_API_KEY` (e.g. on-premise installs
+ * without internet access) the route improves the best deterministic variant
+ * with this local search instead of returning it unchanged. Like the LLM it
+ * only proposes same-day swaps of two doctors' positions, and every accepted
+ * swap passes `validateSwap` (`swapValidation.ts`) against the current plan.
+ *
+ * Search: simulated annealing over random same-day pairs, temperature falling
+ * geometrically from `startTemperature` to `endTemperature`; the best plan
+ * seen is kept. The objective uses the AutoFill weights (`AUTOFILL_WEIGHTS`
+ * or a tenant weight profile): qualification fit, rotation match, service
+ * wishes and FTE fairness of the service counts. Lower is better.
+ *
+ * Beyond `validateSwap`, a swap is never considered when it would
+ *   - move an auto_off service (the Auto-Frei of the next day depends on it),
+ *   - give someone a position without the Pflicht-Qualifikation,
+ *   - give a service to someone with an approved "kein Dienst" wish,
+ *   - create consecutive days at a `consecutive_days_mode = 'forbidden'` service,
+ *   - change the kind of a position (Dienst / verfügbarkeitsrelevant / sonstig)
+ *     for someone with further entries that day, or duplicate a position.
+ *
+ * Reproducibility: the same seed yields the same swaps as long as the
+ * iteration limit, not the time limit, ends the search.
+ *
+ * The search yields to the event loop every `yieldEvery` iterations so it
+ * does not block request handling while it runs.
+ */
+
+import type { AutoFillWeights } from './autoFillModel.js';
+import { AUTOFILL_WEIGHTS, ABSENCE_POSITIONS, shiftDay } from './autoFillModel.js';
+import type { ShiftEntry, SwapData, ValidationData, Workplace } from './swapValidation.js';
+import { applySwaps, usableDoctorQuals, validateSwap } from './swapValidation.js';
+
+export interface LocalSwapData extends ValidationData {
+  trainingRotations?: Array<{ doctor_id: string; modality?: string | null; start_date: string; end_date: string }>;
+  wishes?: Array<{ doctor_id: string; date: string; type: string; status: string; position?: string | null }>;
+}
+
+export interface LocalSwapOptions {
+  seed?: string | number;
+  weights?: AutoFillWeights;
+  maxIterations?: number;
+  timeLimitMs?: number;
+  startTemperature?: number;
+  endTemperature?: number;
+  yieldEvery?: number;
+}
+
+export interface LocalSwapResult {
+  plan: ShiftEntry[];
+  /** Swaps in application order; apply them one after another (`applySwaps`). */
+  swaps: SwapData[];
+  scoreBefore: number;
+  scoreAfter: number;
+  iterations: number;
+  /** Candidate swaps rejected by `validateSwap` after passing the optimizer's own guards. */
+  rejectedByValidator: number;
+  elapsed: number;
+}
+
+export const LOCAL_SWAP_DEFAULTS = {
+  maxIterations: 20000,
+  timeLimitMs: 2000,
+  startTemperature: 10,
+  endTemperature: 0.05,
+};
+
+type PositionKind = 'service' | 'blocking' | 'other';
+
+// mulberry32 seeded with FNV-1a — same generator as src/utils/seededRandom.ts
+function createRandom(seed: string | number): () => number {
+  const str = String(seed);
+  let state = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    state ^= str.charCodeAt(i);
+    state = Math.imul(state, 0x01000193);
+  }
+  state >>>= 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function buildObjective(data: LocalSwapData, weights: AutoFillWeights) {
+  const W = weights;
+  const wpByName = new Map<string, Workplace>(data.workplaces.map((w) => [w.name, w]));
+  const fteOf = new Map(data.doctors.map((d) => [d.id, typeof d.fte === 'number' && d.fte > 0 ? d.fte : 1]));
+
+  const qualsByWp = new Map<string, { required: string[]; optional: string[]; excluded: string[]; discouraged: string[] }>();
+  for (const [wpId, list] of Object.entries(data.qualifications?.workplaceQuals || {})) {
+    const entry = { required: [] as string[], optional: [] as string[], excluded: [] as string[], discouraged: [] as string[] };
+    for (const q of list) {
+      const target = q.is_mandatory ? (q.is_excluded ? entry.discouraged : entry.required) : (q.is_excluded ? entry.excluded : entry.optional);
+      target.push(q.qualification_id);
+    }
+    qualsByWp.set(wpId, entry);
+  }
+  const qualsOf = (doctorId: string) => data.qualifications?.doctorQuals[doctorId] || [];
+  const usableQualsOf = (doctorId: string, dateStr: string) => usableDoctorQuals(data.qualifications, doctorId, dateStr);
+
+  const kindOf = (wp: Workplace): PositionKind => {
+    if (wp.category === 'Dienste') return 'service';
+    return !wp.allows_rotation_concurrently && wp.affects_availability !== false ? 'blocking' : 'other';
+  };
+
+  const hasMandatory = (doctorId: string, wp: Workplace, dateStr: string) => {
+    const required = qualsByWp.get(wp.id)?.required ?? [];
+    const docQuals = usableQualsOf(doctorId, dateStr);
+    return required.every((q) => docQuals.includes(q));
+  };
+
+  const rotationTargets = (doctorId: string, dateStr: string): string[] => (data.trainingRotations || [])
+    .filter((r) => r.doctor_id === doctorId && r.start_date <= dateStr && r.end_date >= dateStr)
+    .map((r) => {
+      if (r.modality === 'Röntgen') {
+        const roeWp = data.workplaces.find((w) => w.name === 'DL/konv. Rö' || w.name.includes('Rö'));
+        return roeWp?.name || r.modality || '';
+      }
+      return r.modality || '';
+    })
+    .filter(Boolean);
+
+  const wishFor = (doctorId: string, dateStr: string, predicate: (w: NonNullable<LocalSwapData['wishes']>[number]) => boolean) =>
+    (data.wishes || []).find((w) => w.doctor_id === doctorId && w.date === dateStr && predicate(w));
+
+  /** Cost of one assignment without fairness (that depends on the whole plan). */
+  const entryCost = (doctorId: string, wp: Workplace, dateStr: string): number => {
+    const docQuals = qualsOf(doctorId);
+    const usableQuals = usableQualsOf(doctorId, dateStr);
+    const q = qualsByWp.get(wp.id);
+    let cost = 0;
+    if (q) {
+      if (q.discouraged.some((id) => docQuals.includes(id))) cost += W.QUAL_DISCOURAGED;
+      if (q.required.length > 0 && !q.required.every((id) => usableQuals.includes(id))) cost += W.QUAL_MISSING_MANDATORY;
+      if (q.optional.length > 0) {
+        if (q.optional.every((id) => usableQuals.includes(id))) cost += W.QUAL_HAS_OPTIONAL;
+        else if (q.optional.some((id) => usableQuals.includes(id))) cost += W.QUAL_HAS_ANY_OPTIONAL;
+        else cost += W.QUAL_MISSING_OPTIONAL;
+      }
+    }
+    const targets = rotationTargets(doctorId, dateStr);
+    if (targets.length > 0) cost += targets.includes(wp.name) ? W.ROT_MATCH : W.ROT_ELSEWHERE;
+    if (kindOf(wp) === 'service') {
+      if (wishFor(doctorId, dateStr, (w) => w.type === 'no_service' && w.status === 'pending')) {
+        cost += W.WISH_NO_SERVICE_PENDING;
+      } else {
+        const wish = wishFor(doctorId, dateStr, (w) => w.type === 'service' && (w.status === 'approved' || w.status === 'pending'));
+        if (wish && (!wish.position || wish.position === wp.name)) {
+          cost += wish.status === 'approved' ? W.WISH_APPROVED : W.WISH_PENDING;
+        }
+      }
+    }
+    return cost;
+  };
+
+  // Sum over k = 1..n of k/fte: the marginal cost of the n-th service matches
+  // the engine's count/fte fairness term.
+  const fairnessCost = (doctorId: string, services: number) =>
+    (W.FAIRNESS_WEIGHT * services * (services + 1)) / (2 * (fteOf.get(doctorId) ?? 1));
+
+  return { wpByName, kindOf, hasMandatory, wishFor, entryCost, fairnessCost };
+}
+
+/** Objective value of a plan (lower is better); see the module comment. */
+export function scoreSwapPlan(plan: ShiftEntry[], data: LocalSwapData, weights: AutoFillWeights = AUTOFILL_WEIGHTS): number {
+  const { wpByName, kindOf, entryCost, fairnessCost } = buildObjective(data, weights);
+  const planDays = new Set(plan.map((s) => s.date));
+  const services = new Map<string, number>();
+  let score = 0;
+  for (const s of plan) {
+    const wp = wpByName.get(s.position);
+    if (!wp) continue;
+    score += entryCost(s.doctor_id, wp, s.date);
+    if (kindOf(wp) === 'service') services.set(s.doctor_id, (services.get(s.doctor_id) ?? 0) + 1);
+  }
+  for (const s of data.existingShifts || []) {
+    const wp = wpByName.get(s.position);
+    if (wp && planDays.has(s.date) && kindOf(wp) === 'service') {
+      services.set(s.doctor_id, (services.get(s.doctor_id) ?? 0) + 1);
+    }
+  }
+  for (const [doctorId, count] of services) score += fairnessCost(doctorId, count);
+  return score;
+}
+
+function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => { setImmediate(resolve); });
+}
+
+export async function optimizeSwapsLocally(
+  basePlan: ShiftEntry[],
+  data: LocalSwapData,
+  options: LocalSwapOptions = {},
+): Promise<LocalSwapResult> {
+  const startTime = Date.now();
+  const weights = options.weights ?? AUTOFILL_WEIGHTS;
+  const maxIterations = options.maxIterations ?? LOCAL_SWAP_DEFAULTS.maxIterations;
+  const timeLimitMs = options.timeLimitMs ?? LOCAL_SWAP_DEFAULTS.timeLimitMs;
+  const startTemperature = options.startTemperature ?? LOCAL_SWAP_DEFAULTS.startTemperature;
+  const endTemperature = options.endTemperature ?? LOCAL_SWAP_DEFAULTS.endTemperature;
+  const yieldEvery = options.yieldEvery ?? 250;
+  const random = createRandom(options.seed ?? 'local-swap');
+
+  const { wpByName, kindOf, hasMandatory, wishFor, entryCost, fairnessCost } = buildObjective(data, weights);
+  const nameById = new Map(data.doctors.map((d) => [d.id, d.name]));
+  const plan = basePlan.map((s) => ({ ...s }));
+  const scoreBefore = scoreSwapPlan(plan, data, weights);
+
+  // Existing entries of the plan days count for kinds, duplicates, consecutive days and fairness
+  const existing = (data.existingShifts || []).filter((s) => !ABSENCE_POSITIONS.includes(s.position));
+  const serviceCount = new Map<string, number>();
+  const planDays = new Set(plan.map((s) => s.date));
+  for (const s of [...plan, ...existing]) {
+    const wp = wpByName.get(s.position);
+    if (wp && kindOf(wp) === 'service' && planDays.has(s.date)) {
+      serviceCount.set(s.doctor_id, (serviceCount.get(s.doctor_id) ?? 0) + 1);
+    }
+  }
+
+  // Movable entries grouped by day; auto_off services stay where they are
+  const byDay = new Map<string, number[]>();
+  plan.forEach((s, index) => {
+    const wp = wpByName.get(s.position);
+    if (!wp || wp.auto_off || !nameById.has(s.doctor_id)) return;
+    const list = byDay.get(s.date) ?? [];
+    list.push(index);
+    byDay.set(s.date, list);
+  });
+  const days = [...byDay.keys()].filter((d) => byDay.get(d)!.length > 1);
+
+  const otherEntries = (doctorId: string, dateStr: string, exclude: ShiftEntry) =>
+    [...plan, ...existing].filter((s) => s !== exclude && s.doctor_id === doctorId && s.date === dateStr);
+  const holdsAt = (doctorId: string, position: string, dateStr: string) =>
+    plan.some((s) => s.doctor_id === doctorId && s.position === position && s.date === dateStr)
+    || existing.some((s) => s.doctor_id === doctorId && s.position === position && s.date === dateStr);
+
+  /** Optimizer guards for moving `doctorId` from `from` to position `to` (see module comment). */
+  const canMove = (doctorId: string, from: ShiftEntry, to: Workplace): boolean => {
+    const fromWp = wpByName.get(from.position)!;
+    if (!hasMandatory(doctorId, to, from.date)) return false;
+    const others = otherEntries(doctorId, from.date, from);
+    if (others.some((s) => s.position === to.name)) return false;
+    if (kindOf(fromWp) !== kindOf(to) && others.length > 0) return false;
+    if (kindOf(to) === 'service') {
+      if (wishFor(doctorId, from.date, (w) => w.type === 'no_service' && w.status === 'approved')) return false;
+      const mode = to.consecutive_days_mode || (to.allows_consecutive_days === false ? 'forbidden' : 'allowed');
+      if (mode === 'forbidden'
+        && (holdsAt(doctorId, to.name, shiftDay(from.date, -1)) || holdsAt(doctorId, to.name, shiftDay(from.date, 1)))) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  let current = scoreBefore;
+  let best = scoreBefore;
+  let bestLength = 0;
+  const history: SwapData[] = [];
+  let iterations = 0;
+  let rejectedByValidator = 0;
+
+  for (; iterations < maxIterations && days.length > 0; iterations++) {
+    if (iterations > 0 && iterations % yieldEvery === 0) await yieldToEventLoop();
+    if ((iterations & 255) === 0 && Date.now() - startTime > timeLimitMs) break;
+    const temperature = startTemperature * (endTemperature / startTemperature) ** (iterations / maxIterations);
+
+    const day = days[Math.floor(random() * days.length)];
+    const indices = byDay.get(day)!;
+    const a = plan[indices[Math.floor(random() * indices.length)]];
+    const b = plan[indices[Math.floor(random() * indices.length)]];
+    if (a === b || a.doctor_id === b.doctor_id || a.position === b.position) continue;
+    const wpA = wpByName.get(a.position)!;
+    const wpB = wpByName.get(b.position)!;
+    if (!canMove(a.doctor_id, a, wpB) || !canMove(b.doctor_id, b, wpA)) continue;
+
+    let delta = entryCost(a.doctor_id, wpB, day) + entryCost(b.doctor_id, wpA, day)
+      - entryCost(a.doctor_id, wpA, day) - entryCost(b.doctor_id, wpB, day);
+    const serviceShift = (kindOf(wpB) === 'service' ? 1 : 0) - (kindOf(wpA) === 'service' ? 1 : 0);
+    if (serviceShift !== 0) {
+      const countA = serviceCount.get(a.doctor_id) ?? 0;
+      const countB = serviceCount.get(b.doctor_id) ?? 0;
+      delta += fairnessCost(a.doctor_id, countA + serviceShift) - fairnessCost(a.doctor_id, countA)
+        + fairnessCost(b.doctor_id, countB - serviceShift) - fairnessCost(b.doctor_id, countB);
+    }
+    if (delta >= 0 && random() >= Math.exp(-delta / temperature)) continue;
+
+    const swap: SwapData = {
+      date: day,
+      doctor1: nameById.get(a.doctor_id)!,
+      position1: a.position,
+      doctor2: nameById.get(b.doctor_id)!,
+      position2: b.position,
+    };
+    if (!validateSwap(swap, plan, data).valid) {
+      rejectedByValidator++;
+      continue;
+    }
+
+    a.position = wpB.name;
+    b.position = wpA.name;
+    if (serviceShift !== 0) {
+      serviceCount.set(a.doctor_id, (serviceCount.get(a.doctor_id) ?? 0) + serviceShift);
+      serviceCount.set(b.doctor_id, (serviceCount.get(b.doctor_id) ?? 0) - serviceShift);
+    }
+    current += delta;
+    history.push({ ...swap, reason: `Lokale Suche: Kostenänderung ${delta.toFixed(1)}` });
+    if (current < best - 1e-9) {
+      best = current;
+      bestLength = history.length;
+    }
+  }
+
+  // Keep the path to the best plan, without swaps that a later swap on the
+  // same day immediately undoes
+  const swaps: Array<SwapData | null> = [];
+  const lastByDay = new Map<string, number[]>();
+  for (const swap of history.slice(0, bestLength)) {
+    const stack = lastByDay.get(swap.date) ?? [];
+    const previous = stack.length > 0 ? swaps[stack[stack.length - 1]] : null;
+    const undoes = previous
+      && ((previous.doctor1 === swap.doctor1 && previous.doctor2 === swap.doctor2
+        && previous.position1 === swap.position2 && previous.position2 === swap.position1)
+        || (previous.doctor1 === swap.doctor2 && previous.doctor2 === swap.doctor1
+          && previous.position1 === swap.position1 && previous.position2 === swap.position2));
+    if (undoes) {
+      swaps[stack.pop()!] = null;
+    } else {
+      stack.push(swaps.length);
+      swaps.push(swap);
+    }
+    lastByDay.set(swap.date, stack);
+  }
+
+  const applied = swaps.filter((s): s is SwapData => s !== null);
+  const idByName = Object.fromEntries(data.doctors.map((d) => [d.name, d.id]));
+
+  return {
+    plan: applySwaps(basePlan, applied, idByName),
+    swaps: applied,
+    scoreBefore,
+    scoreAfter: best,
+    iterations,
+    rejectedByValidator,
+    elapsed: Date.now() - startTime,
+  };
+}
@@ -7,6 +7,10 @@
  * The dump includes:
  *   - CREATE TABLE DDL (reconstructed from information_schema)
  *   - Last 300 rows per table as INSERT statements (50 rows per batch)
+ *
+ * `generateSqlDump` is the shared generator; tenant backups
+ * (server/utils/tenantBackup.ts) use it without the row cap and with
+ * restore-in-place DDL.
  */
 
 import type { Pool, RowDataPacket } from 'mysql2/promise';
@@ -22,6 +26,7 @@ interface ColumnRow extends RowDataPacket {
   column_type: string;
   is_nullable: 'YES' | 'NO' | string;
   column_default: string | null;
+  column_key?: string | null;
   extra: string | null;
 }
 
@@ -29,10 +34,42 @@ interface SampleRow extends RowDataPacket {
   [key: string]: unknown;
 }
 
+export interface SqlDumpOptions {
+  /** Header title, e.g. `CuraFlow MasterDB SQL Dump`. */
+  title: string;
+  /** Latest N rows per table; `null` dumps every row. */
+  maxRowsPerTable?: number | null;
+  /** Also dump tables whose (estimated) row count is 0. */
+  includeEmptyTables?: boolean;
+  excludeTables?: string[];
+  /**
+   * `drop-create` recreates every table; `create-if-missing` keeps existing
+   * tables (and their indexes) and replaces only their rows.
+   */
+  ddl?: 'drop-create' | 'create-if-missing';
+}
+
+export interface SqlDumpTable {
+  table: string;
+  rows: number;
+}
+
+export interface SqlDumpResult {
+  sql: string;
+  tables: SqlDumpTable[];
+  skipped: string[];
+}
+
+/** Rows fetched per query when dumping complete tables. */
+const FULL_DUMP_PAGE_SIZE = 1000;
+
 /**
  * Escape a value for SQL INSERT statement.
+ *
+ * Backslashes and line breaks are escaped as well, so every value row of a
+ * dump stays on a single line (restores split statements line by line).
  */
-function escapeSqlValue(val: unknown): string {
+export function escapeSqlValue(val: unknown): string {
   if (val === null || val === undefined) return 'NULL';
 
   if (typeof val === 'number') {
@@ -52,21 +89,42 @@ function escapeSqlValue(val: unknown): string {
   }
 
   // Handle objects/arrays → JSON string
-  if (typeof val === 'object') {
-    const json = JSON.stringify(val);
-    return `'${json.replace(/'/g, "''")}'`;
-  }
+  const str = typeof val === 'object' ? JSON.stringify(val) : String(val);
+  // Escape backslashes and control characters, double single quotes
+  const escaped = str
+    .replace(/\\/g, '\\\\')
+    .replace(/\0/g, '\\0')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\x1a/g, '\\Z')
+    .replace(/'/g, "''");
+  return `'${escaped}'`;
+}
+
+const NUMERIC_DATA_TYPES = new Set([
+  'tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint',
+  'decimal', 'numeric', 'float', 'double', 'bit', 'year',
+]);
 
-  const str = String(val);
-  // Escape single quotes by doubling them
-  return `'${str.replace(/'/g, "''")}'`;
+/**
+ * Render `information_schema.COLUMNS.COLUMN_DEFAULT` as DDL. MySQL 8 reports
+ * string defaults unquoted, MariaDB quoted, and both report expression
+ * defaults such as `CURRENT_TIMESTAMP(3)` verbatim.
+ */
+function formatColumnDefault(col: ColumnRow): string {
+  const value = String(col.column_default);
+  if (value.toUpperCase() === 'NULL' || value.startsWith("'")) return value;
+  if (/^(CURRENT_TIMESTAMP|NOW)(\(\d*\))?$/i.test(value)) return value;
+  if ((col.extra || '').includes('DEFAULT_GENERATED')) return `(${value})`;
+  if (NUMERIC_DATA_TYPES.has(col.data_type.toLowerCase()) && /^-?\d+(\.\d+)?$/.test(value)) return value;
+  return escapeSqlValue(value);
 }
 
 /**
  * Get column definitions for CREATE TABLE DDL.
  */
 function buildColumnDefinitions(columns: ColumnRow[]): string {
-  return columns.map((col) => {
+  const definitions = columns.map((col) => {
     let def = `  \`${col.column_name}\` ${col.column_type}`;
 
     if (col.is_nullable === 'NO') {
@@ -74,41 +132,102 @@ function buildColumnDefinitions(columns: ColumnRow[]): string {
     }
 
     if (col.column_default !== null && col.column_default !== undefined) {
-      def += ` DEFAULT ${col.column_default}`;
+      def += ` DEFAULT ${formatColumnDefault(col)}`;
     }
 
-    if (col.extra && col.extra !== '') {
-      def += ` ${col.extra}`;
+    // MySQL 8 flags expression defaults with DEFAULT_GENERATED, which is not DDL
+    const extra = (col.extra || '').replace(/\bDEFAULT_GENERATED\b/, '').trim();
+    if (extra !== '') {
+      def += ` ${extra}`;
     }
 
     return def;
-  }).join(',\n');
+  });
+
+  const primaryKey = columns.filter((col) => col.column_key === 'PRI').map((col) => `\`${col.column_name}\``);
+  if (primaryKey.length > 0) {
+    definitions.push(`  PRIMARY KEY (${primaryKey.join(', ')})`);
+  }
+
+  return definitions.join(',\n');
 }
 
 /**
- * Generate a SQL dump of all non-empty tables in the MasterDB.
+ * Read the rows to dump: the latest `maxRows` rows (by physical order, as
+ * the MasterDB dump always did) or, when `maxRows` is null, every row paged
+ * in primary-key order.
+ */
+async function readTableRows(
+  db: Pool,
+  tableName: string,
+  columns: ColumnRow[],
+  totalRows: number,
+  maxRows: number | null,
+): Promise<{ rows: SampleRow[]; offset: number }> {
+  const colNames = columns.map((c) => `\`${c.column_name}\``).join(', ');
+
+  if (maxRows !== null) {
+    const offset = totalRows <= maxRows ? 0 : totalRows - maxRows;
+    const limit = totalRows <= maxRows ? totalRows : maxRows;
+    const [sample] = await db.execute<SampleRow[]>(
+      `SELECT ${colNames} FROM \`${tableName}\` LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
+    );
+    return { rows: sample, offset };
+  }
+
+  const keyColumns = columns.filter((c) => c.column_key === 'PRI');
+  const orderBy = (keyColumns.length > 0 ? keyColumns : columns)
+    .map((c) => `\`${c.column_name}\``)
+    .join(', ');
+  const rows: SampleRow[] = [];
+  for (let offset = 0; ; offset += FULL_DUMP_PAGE_SIZE) {
+    const [page] = await db.execute<SampleRow[]>(
+      `SELECT ${colNames} FROM \`${tableName}\` ORDER BY ${orderBy} LIMIT ${FULL_DUMP_PAGE_SIZE} OFFSET ${offset}`
+    );
+    rows.push(...page);
+    if (page.length < FULL_DUMP_PAGE_SIZE) break;
+  }
+  return { rows, offset: 0 };
+}
+
+/**
+ * Generate a SQL dump of the current database.
  *
- * @param db - MasterDB connection pool
- * @returns SQL dump as a string
+ * @param db - Connection pool of the database to dump
+ * @param options - Row cap, table selection and DDL style
+ * @returns SQL text plus the dumped row count per table
  */
-export async function generateMasterDbDump(db: Pool): Promise<string> {
-  // Get all non-empty tables in the current database
-  const [tables] = await db.execute<TableInfoRow[]>(
+export async function generateSqlDump(db: Pool, options: SqlDumpOptions): Promise<SqlDumpResult> {
+  const {
+    title,
+    maxRowsPerTable = null,
+    includeEmptyTables = false,
+    excludeTables = [],
+    ddl = 'drop-create',
+  } = options;
+  const excluded = new Set(excludeTables);
+
+  const [allTables] = await db.execute<TableInfoRow[]>(
     `SELECT TABLE_NAME, TABLE_ROWS
      FROM information_schema.TABLES
      WHERE TABLE_SCHEMA = DATABASE()
        AND TABLE_TYPE = 'BASE TABLE'
-       AND TABLE_ROWS > 0
+       ${includeEmptyTables ? '' : 'AND TABLE_ROWS > 0'}
      ORDER BY TABLE_NAME`
   );
+  const tables = allTables.filter((t) => !excluded.has(t.TABLE_NAME));
 
   const dumpParts: string[] = [];
+  const dumped: SqlDumpTable[] = [];
+  const skipped: string[] = [];
 
   dumpParts.push('-- ============================================================');
-  dumpParts.push('-- CuraFlow MasterDB SQL Dump');
+  dumpParts.push(`-- ${title}`);
   dumpParts.push(`-- Generated: ${new Date().toISOString()}`);
-  dumpParts.push(`-- Tables: ${tables.length} (non-empty only)`);
-  dumpParts.push('-- Max rows per table: 300 (latest rows)');
+  dumpParts.push(`-- Tables: ${tables.length}${includeEmptyTables ? '' : ' (non-empty only)'}`);
+  dumpParts.push(maxRowsPerTable !== null
+    ? `-- Max rows per table: ${maxRowsPerTable} (latest rows)`
+    : '-- Rows: all');
   dumpParts.push('-- ============================================================');
   dumpParts.push('');
   dumpParts.push('SET NAMES utf8mb4;');
@@ -118,23 +237,13 @@ export async function generateMasterDbDump(db: Pool): Promise<string> {
     const tableName = table.TABLE_NAME;
     const totalRows = Number(table.TABLE_ROWS) || 0;
 
-    // Calculate offset: take the LAST 300 rows
-    const maxSample = 300;
-    let offset: number;
-    let limit: number;
-    if (totalRows <= maxSample) {
-      offset = 0;
-      limit = totalRows;
-    } else {
-      offset = totalRows - maxSample;
-      limit = maxSample;
-    }
-
     // Get columns from information_schema
     let columns: ColumnRow[] | undefined;
     try {
       const [cols] = await db.execute<ColumnRow[]>(
-        `SELECT column_name, data_type, column_type, is_nullable, column_default, extra
+        // Explicit aliases: MySQL 8 reports information_schema columns in upper case
+        `SELECT COLUMN_NAME AS column_name, DATA_TYPE AS data_type, COLUMN_TYPE AS column_type,
+                IS_NULLABLE AS is_nullable, COLUMN_DEFAULT AS column_default, COLUMN_KEY AS column_key, EXTRA AS extra
          FROM information_schema.COLUMNS
          WHERE TABLE_SCHEMA = DATABASE()
            AND TABLE_NAME = ?
@@ -146,41 +255,51 @@ export async function generateMasterDbDump(db: Pool): Promise<string> {
       const message = err instanceof Error ? err.message : String(err);
       dumpParts.push(`-- SKIPPED \`${tableName}\`: ${message}`);
       dumpParts.push('');
+      skipped.push(tableName);
       continue;
     }
 
     if (!columns || columns.length === 0) {
       dumpParts.push(`-- SKIPPED \`${tableName}\`: no columns found`);
       dumpParts.push('');
+      skipped.push(tableName);
       continue;
     }
 
-    // Get sample rows
     let rows: SampleRow[] = [];
+    let offset = 0;
     try {
-      const colNames = columns.map((c) => c.column_name).join(', ');
-      const [sample] = await db.execute<SampleRow[]>(
-        `SELECT ${colNames} FROM \`${tableName}\` LIMIT ${Number(limit)} OFFSET ${Number(offset)}`
-      );
-      rows = sample;
+      ({ rows, offset } = await readTableRows(db, tableName, columns, totalRows, maxRowsPerTable));
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
       dumpParts.push(`-- SKIPPED \`${tableName}\`: ${message}`);
       dumpParts.push('');
+      skipped.push(tableName);
       continue;
     }
 
     dumpParts.push(`-- ============================================================`);
     dumpParts.push(`-- Table: \`${tableName}\``);
-    dumpParts.push(`-- Total rows: ${totalRows.toLocaleString()}`);
-    dumpParts.push(`-- Sample: ${rows.length} rows (last ${maxSample} from offset ${offset})`);
+    if (maxRowsPerTable !== null) {
+      dumpParts.push(`-- Total rows: ${totalRows.toLocaleString()}`);
+      dumpParts.push(`-- Sample: ${rows.length} rows (last ${maxRowsPerTable} from offset ${offset})`);
+    } else {
+      dumpParts.push(`-- Rows: ${rows.length}`);
+    }
     dumpParts.push(`-- ============================================================`);
 
     // CREATE TABLE DDL
-    dumpParts.push(`DROP TABLE IF EXISTS \`${tableName}\`;`);
-    dumpParts.push(`CREATE TABLE \`${tableName}\` (`);
+    if (ddl === 'drop-create') {
+      dumpParts.push(`DROP TABLE IF EXISTS \`${tableName}\`;`);
+      dumpParts.push(`CREATE TABLE \`${tableName}\` (`);
+    } else {
+      dumpParts.push(`CREATE TABLE IF NOT EXISTS \`${tableName}\` (`);
+    }
     dumpParts.push(buildColumnDefinitions(columns));
     dumpParts.push(') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;');
+    if (ddl === 'create-if-missing') {
+      dumpParts.push(`DELETE FROM \`${tableName}\`;`);
+    }
     dumpParts.push('');
 
     // INSERT statements (batch of 50 rows per INSERT)
@@ -202,11 +321,29 @@ export async function generateMasterDbDump(db: Pool): Promise<string> {
       dumpParts.push(`-- (empty table — no rows to dump)`);
       dumpParts.push('');
     }
+
+    dumped.push({ table: tableName, rows: rows.length });
   }
 
   dumpParts.push('-- ============================================================');
   dumpParts.push('-- End of dump');
   dumpParts.push('-- ============================================================');
 
-  return dumpParts.join('\n');
+  return { sql: dumpParts.join('\n'), tables: dumped, skipped };
+}
+
+/**
+ * Generate a SQL dump of all non-empty tables in the MasterDB.
+ *
+ * @param db - MasterDB connection pool
+ * @returns SQL dump as a string
+ */
+export async function generateMasterDbDump(db: Pool): Promise<string> {
+  const { sql } = await generateSqlDump(db, {
+    title: 'CuraFlow MasterDB SQL Dump',
+    maxRowsPerTable: 300,
+    // Backup archives would bloat the comparison dump
+    excludeTables: ['TenantBackup'],
+  });
+  return sql;
 }
@@ -225,6 +225,7 @@ export async function runMasterMigrations(dbPool: Pool): Promise<Array<{migratio
         created_by VARCHAR(255) DEFAULT NULL,
         source_tenant_id VARCHAR(36) DEFAULT NULL,
         source_tenant_doctor_id VARCHAR(255) DEFAULT NULL,
+        half_day TINYINT(1) NOT NULL DEFAULT 0,
         UNIQUE KEY uk_central_absence_employee_date (employee_id, date),
         INDEX idx_central_absence_employee (employee_id),
         INDEX idx_central_absence_date (date)
@@ -289,6 +290,15 @@ export async function runMasterMigrations(dbPool: Pool): Promise<Array<{migratio
         source_tenant_id VARCHAR(36) DEFAULT NULL,
         source_tenant_doctor_id VARCHAR(255) DEFAULT NULL,
         date DATE NOT NULL,
+        end_date DATE DEFAULT NULL,
+        start_half_day TINYINT(1) NOT NULL DEFAULT 0,
+        end_half_day TINYINT(1) NOT NULL DEFAULT 0,
+        day_count DECIMAL(5,1) DEFAULT NULL,
+        approval_rule_id VARCHAR(36) DEFAULT NULL,
+        approval_steps JSON DEFAULT NULL,
+        current_step INT NOT NULL DEFAULT 0,
+        step_started_date DATETIME DEFAULT NULL,
+        escalated_date DATETIME DEFAULT NULL,
         position VARCHAR(255) NOT NULL,
         status VARCHAR(32) NOT NULL DEFAULT 'pending',
         reason TEXT DEFAULT NULL,
@@ -310,6 +320,78 @@ export async function runMasterMigrations(dbPool: Pool): Promise<Array<{migratio
     `);
   }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
 
+  // Zeitraum-Antraege mit halben Tagen; genehmigte halbe Tage landen als
+  // CentralAbsenceEntry.half_day in der Urlaubszaehlung.
+  await run('add_absence_request_range_columns', async () => {
+    let changed = false;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'end_date', 'DATE DEFAULT NULL')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'start_half_day', 'TINYINT(1) NOT NULL DEFAULT 0')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'end_half_day', 'TINYINT(1) NOT NULL DEFAULT 0')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'day_count', 'DECIMAL(5,1) DEFAULT NULL')) || changed;
+    changed = (await addColumnIfMissing('CentralAbsenceEntry', 'half_day', 'TINYINT(1) NOT NULL DEFAULT 0')) || changed;
+    return changed || SKIPPED;
+  }, { duplicateCodes: ['ER_DUP_FIELDNAME'], duplicateReason: 'Spalte bereits vorhanden', skippedReason: 'Spalte bereits vorhanden' });
+
+  // Mehrstufige Genehmigungsketten: Stufen-Snapshot am Antrag plus Regeln,
+  // Vertretungen und Entscheidungsprotokoll.
+  await run('add_absence_request_approval_chain_columns', async () => {
+    let changed = false;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'approval_rule_id', 'VARCHAR(36) DEFAULT NULL')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'approval_steps', 'JSON DEFAULT NULL')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'current_step', 'INT NOT NULL DEFAULT 0')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'step_started_date', 'DATETIME DEFAULT NULL')) || changed;
+    changed = (await addColumnIfMissing('AbsenceRequest', 'escalated_date', 'DATETIME DEFAULT NULL')) || changed;
+    return changed || SKIPPED;
+  }, { duplicateCodes: ['ER_DUP_FIELDNAME'], duplicateReason: 'Spalte bereits vorhanden', skippedReason: 'Spalte bereits vorhanden' });
+
+  await run('create_absence_approval_tables', async () => {
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS AbsenceApprovalRule (
+        id VARCHAR(36) PRIMARY KEY,
+        tenant_id VARCHAR(36) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        positions JSON DEFAULT NULL,
+        min_days DECIMAL(5,1) DEFAULT NULL,
+        requester_roles JSON DEFAULT NULL,
+        steps JSON NOT NULL,
+        created_by VARCHAR(255) DEFAULT NULL,
+        created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+        updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+        INDEX idx_absence_approval_rule_tenant (tenant_id, priority)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS AbsenceApprovalDelegation (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        delegate_user_id VARCHAR(36) NOT NULL,
+        valid_from DATE NOT NULL,
+        valid_to DATE NOT NULL,
+        note VARCHAR(255) DEFAULT NULL,
+        created_by VARCHAR(255) DEFAULT NULL,
+        created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_absence_delegation_delegate (delegate_user_id, valid_from, valid_to),
+        INDEX idx_absence_delegation_user (user_id)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS AbsenceRequestApproval (
+        id VARCHAR(36) PRIMARY KEY,
+        request_id VARCHAR(36) NOT NULL,
+        step_index INT NOT NULL,
+        step_label VARCHAR(255) DEFAULT NULL,
+        decision VARCHAR(16) NOT NULL,
+        decided_by VARCHAR(255) DEFAULT NULL,
+        on_behalf_of VARCHAR(255) DEFAULT NULL,
+        comment TEXT DEFAULT NULL,
+        created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_absence_request_approval_request (request_id)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+  }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
+
   // ===== PHASE 1: Work Time Models =====
 
   await run('create_work_time_model_table', async () => {
@@ -1262,6 +1344,52 @@ export async function runMasterMigrations(dbPool: Pool): Promise<Array<{migratio
     `);
   }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
 
+  // ===== Tenant backups (central, multi-tenant) =====
+  // Gzipped SQL dumps of tenant databases (server/utils/tenantBackup.ts).
+  // tenant_key = sha256(host:database) like QualificationCertificate.
+  await run('create_tenant_backup_table', async () => {
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS TenantBackup (
+        id VARCHAR(36) PRIMARY KEY,
+        tenant_key VARCHAR(64) NOT NULL,
+        kind VARCHAR(20) NOT NULL DEFAULT 'manual',
+        file_name VARCHAR(255) NOT NULL,
+        table_count INT NOT NULL DEFAULT 0,
+        row_count INT NOT NULL DEFAULT 0,
+        size_bytes INT NOT NULL DEFAULT 0,
+        checksum CHAR(64) NOT NULL,
+        dump_data LONGBLOB NOT NULL,
+        created_by VARCHAR(255) DEFAULT NULL,
+        created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_tb_tenant (tenant_key, created_date)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+  }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
+
+  // ===== Audit-Trail (Mutationen aller Mandanten + zentrale Stammdaten) =====
+  // tenant_key NULL = zentrale Stammdaten (Employee, EmployeeTenantAssignment, …)
+  await run('create_audit_log_table', async () => {
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS AuditLog (
+        id VARCHAR(36) PRIMARY KEY,
+        tenant_key VARCHAR(64) DEFAULT NULL,
+        actor_id VARCHAR(255) DEFAULT NULL,
+        actor_email VARCHAR(255) DEFAULT NULL,
+        source VARCHAR(20) NOT NULL,
+        entity VARCHAR(100) NOT NULL,
+        record_id VARCHAR(255) DEFAULT NULL,
+        action VARCHAR(20) NOT NULL,
+        changed_fields TEXT DEFAULT NULL,
+        before_data LONGTEXT DEFAULT NULL,
+        after_data LONGTEXT DEFAULT NULL,
+        created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_al_tenant_date (tenant_key, created_date),
+        INDEX idx_al_entity_date (entity, created_date),
+        INDEX idx_al_actor (actor_email)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+  }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
+
   // ===== Permission-Spalte für Admin-Feinscoping =====
   await run('add_app_user_permissions', async () => {
     const changed = await addColumnIfMissing('app_users', 'permissions', 'JSON DEFAULT NULL');
@@ -1283,5 +1411,25 @@ export async function runMasterMigrations(dbPool: Pool): Promise<Array<{migratio
     return changed || SKIPPED;
   }, { duplicateCodes: ['ER_DUP_FIELDNAME'], duplicateReason: 'Spalte bereits vorhanden', skippedReason: 'Spalte bereits vorhanden' });
 
+  // ===== Certificate reminder history (central, multi-tenant) =====
+  // One row per reminder stage sent by server/utils/certificateReminderCron.ts;
+  // the unique key is claimed before sending so no stage goes out twice.
+  await run('create_certificate_reminder_log_table', async () => {
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS CertificateReminderLog (
+        id VARCHAR(36) PRIMARY KEY,
+        tenant_key VARCHAR(64) NOT NULL,
+        doctor_id VARCHAR(255) NOT NULL,
+        qualification_id VARCHAR(255) NOT NULL,
+        valid_until DATE NOT NULL,
+        stage VARCHAR(20) NOT NULL,
+        recipients TEXT DEFAULT NULL,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_crl_stage (tenant_key, doctor_id, qualification_id, valid_until, stage),
+        INDEX idx_crl_tenant_valid (tenant_key, valid_until)
+      ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+  }, { duplicateCodes: ['ER_TABLE_EXISTS_ERROR'], duplicateReason: 'Tabelle bereits vorhanden' });
+
   return results;
 }
@@ -287,3 +287,51 @@ export function computeQualificationEvidenceSummary({ qualification = {}, certif
     today: normalizedToday,
   });
 }
+
+// ─── Scheduling block ──────────────────────────────────────────────────────
+// Mirrors getEvidenceBlockedFrom() in src/lib/qualificationEvidence.ts.
+
+/** Blocked from the beginning: evidence missing and no assignment date known. */
+const BLOCKED_ALWAYS = '0000-01-01';
+
+export interface EvidenceQualification {
+  requires_certificate?: boolean | number | null;
+  certificate_grace_days?: number | null;
+}
+
+export interface EvidenceDoctorQualification {
+  certificate_status?: string | null;
+  certificate_valid_until?: string | Date | null;
+  created_date?: string | Date | null;
+}
+
+function addDaysIso(value: string, days: number): string {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First date on which a held qualification stops counting for scheduling
+ * because its mandatory evidence is missing or expired, or `null` if it never
+ * does. `certificate_grace_days` extends the validity end; for missing
+ * evidence the grace period runs from the assignment. Rows never evaluated
+ * (no status) count as missing evidence.
+ */
+export function getEvidenceBlockedFrom(
+  qualification: EvidenceQualification | null | undefined,
+  doctorQualification: EvidenceDoctorQualification,
+): string | null {
+  if (!qualification || (qualification.requires_certificate !== true && qualification.requires_certificate !== 1)) {
+    return null;
+  }
+  const graceDays = Math.max(0, Math.trunc(Number(qualification.certificate_grace_days) || 0));
+  const status = doctorQualification.certificate_status;
+  if (status == null || status === 'missing' || status === 'incomplete') {
+    const assigned = toIsoDate(doctorQualification.created_date);
+    return assigned ? addDaysIso(assigned, graceDays) : BLOCKED_ALWAYS;
+  }
+  const validUntil = toIsoDate(doctorQualification.certificate_valid_until);
+  return validUntil ? addDaysIso(validUntil, graceDays + 1) : null;
+}
@@ -216,6 +216,32 @@ export function broadcastUserEvent({ eventName, payload, userIds = [] }: UserEve
   console.log('[Realtime] Sende User-Event event=' + eventName + ' targets=' + userIdArray.length + ' delivered=' + deliveredCount);
 }
 
+interface ScopeEvent {
+  scope: string;
+  eventName: string;
+  payload: unknown;
+}
+
+/** Sends an event to every client of one tenant scope (e.g. `board-presence`). */
+export function broadcastScopeEvent({ scope, eventName, payload }: ScopeEvent): void {
+  const clients = realtimeClients.get(scope);
+  if (!clients || clients.size === 0) return;
+
+  pruneDisconnectedClients(clients);
+
+  for (const [clientId, client] of clients.entries()) {
+    try {
+      writeEvent(client.res, eventName, payload);
+    } catch (error) {
+      clients.delete(clientId);
+    }
+  }
+
+  if (clients.size === 0) {
+    realtimeClients.delete(scope);
+  }
+}
+
 setInterval(() => {
   for (const [scope, clients] of realtimeClients.entries()) {
     for (const [clientId, client] of clients.entries()) {
@@ -0,0 +1,125 @@
+/**
+ * Row versions for optimistic concurrency control.
+ *
+ * ShiftEntry, ScheduleNote and StaffingPlanEntry carry an integer `version`
+ * column (migration 030) that every write bumps by one. A client that sends
+ * the version it last read (`expected_version`) only succeeds while the row
+ * still carries it; otherwise the write is rejected with a 409 carrying the
+ * current row, so the UI can offer a merge instead of silently overwriting a
+ * colleague's change. Writes without an expected version stay unconditional.
+ *
+ * Both helpers go through Kysely like the queryHelpers primitives. Callers
+ * check first that the tenant table already has the column (getValidColumns)
+ * and fall back to the plain helpers otherwise.
+ */
+
+import type { Pool } from 'mysql2/promise';
+import { sql } from 'kysely';
+import { createKysely } from './db.js';
+import { fromSqlRow, toSqlValue } from './sqlMarshal.js';
+
+type SqlRow = Record<string, unknown>;
+
+export const VERSIONED_TABLES = ['ShiftEntry', 'ScheduleNote', 'StaffingPlanEntry'];
+
+export const VERSION_COLUMN = 'version';
+
+export interface VersionConflictError extends Error {
+  status: number;
+  body: {
+    error: 'CONCURRENCY_ERROR';
+    message: string;
+    currentData: SqlRow | null;
+  };
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const getKysely = (dbPool: Pool): any => createKysely(dbPool);
+
+export const isVersionedTable = (tableName: unknown): boolean =>
+  typeof tableName === 'string' && VERSIONED_TABLES.includes(tableName);
+
+/**
+ * Validates the client's `expected_version`. `undefined`/`null` means an
+ * unconditional write; anything but a non-negative integer is a 400.
+ */
+export function parseExpectedVersion(raw: unknown): number | undefined {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const version = typeof raw === 'string' ? Number(raw) : raw;
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 0) {
+    const err = new Error('expected_version muss eine nicht-negative Ganzzahl sein') as Error & { status: number };
+    err.status = 400;
+    throw err;
+  }
+  return version;
+}
+
+/** 409 with the row as it is now (`null` = deleted meanwhile). */
+export function versionConflict(current: SqlRow | null): VersionConflictError {
+  const err = new Error('Versionskonflikt') as VersionConflictError;
+  err.status = 409;
+  err.body = {
+    error: 'CONCURRENCY_ERROR',
+    message: current
+      ? 'Eintrag wurde inzwischen von einem anderen Benutzer geändert.'
+      : 'Eintrag wurde inzwischen von einem anderen Benutzer gelöscht.',
+    currentData: current,
+  };
+  return err;
+}
+
+const loadCurrent = async (dbPool: Pool, tableName: string, id: string): Promise<SqlRow | null> => {
+  const rows = await getKysely(dbPool).selectFrom(tableName).selectAll().where('id', '=', id).limit(1).execute();
+  return rows[0] ? (fromSqlRow(rows[0]) as SqlRow) : null;
+};
+
+const affectedRows = (result: { numUpdatedRows?: bigint; numDeletedRows?: bigint } | undefined): number =>
+  Number(result?.numUpdatedRows ?? result?.numDeletedRows ?? 0);
+
+/**
+ * `UPDATE t SET …, version = version + 1 WHERE id = ? [AND version = ?]`.
+ * A `version` key in `keys` is ignored — clients never set it directly.
+ *
+ * @throws VersionConflictError If `expectedVersion` is given and no longer matches.
+ */
+export async function updateVersionedRow(
+  dbPool: Pool,
+  tableName: string,
+  keys: string[],
+  data: SqlRow,
+  id: string,
+  expectedVersion?: number,
+): Promise<void> {
+  const set: SqlRow = {};
+  for (const k of keys) {
+    if (k === VERSION_COLUMN) continue;
+    const v = toSqlValue(data[k]);
+    set[k] = v === undefined ? null : v;
+  }
+  set[VERSION_COLUMN] = sql`${sql.ref(VERSION_COLUMN)} + 1`;
+
+  let query = getKysely(dbPool).updateTable(tableName).set(set).where('id', '=', id);
+  if (expectedVersion !== undefined) query = query.where(VERSION_COLUMN, '=', expectedVersion);
+  const result = await query.executeTakeFirst();
+
+  if (expectedVersion !== undefined && affectedRows(result) === 0) {
+    throw versionConflict(await loadCurrent(dbPool, tableName, id));
+  }
+}
+
+/**
+ * `DELETE FROM t WHERE id = ? [AND version = ?]`. Deleting a row that is
+ * already gone is not a conflict — the caller's intent is fulfilled.
+ *
+ * @throws VersionConflictError If `expectedVersion` is given and no longer matches.
+ */
+export async function deleteVersionedRow(dbPool: Pool, tableName: string, id: string, expectedVersion?: number): Promise<void> {
+  let query = getKysely(dbPool).deleteFrom(tableName).where('id', '=', id);
+  if (expectedVersion !== undefined) query = query.where(VERSION_COLUMN, '=', expectedVersion);
+  const result = await query.executeTakeFirst();
+
+  if (expectedVersion !== undefined && affectedRows(result) === 0) {
+    const current = await loadCurrent(dbPool, tableName, id);
+    if (current) throw versionConflict(current);
+  }
+}
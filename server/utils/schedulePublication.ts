@@ -0,0 +1,883 @@
+/**
+ * Published schedule versions and change-only notifications.
+ *
+ * Every publication stores a snapshot of the plan for a date range
+ * (SchedulePublication + SchedulePublicationEntry). For any date the latest
+ * publication covering it is the "published" state of that day; ranges may
+ * overlap, so a later publication of one week supersedes only that week of an
+ * earlier monthly publication.
+ *
+ * Planners edit ShiftEntry directly (the draft). In tenants with the publish
+ * workflow (SystemSetting `schedule_publish_workflow`) everyone without
+ * `can_edit_schedule` only sees the published state: the board reads
+ * `GET /api/schedule/published`, and the server answers ShiftEntry reads of
+ * `/api/db`, the Excel export and the ICS feeds from the snapshots, too.
+ * Only the reader's own non-service rows (e.g. absences) are read live in
+ * `/api/db`, so self-service pages see what they just wrote.
+ *
+ * `POST /api/schedule/publish` (optionally with `notify`) and
+ * `POST /api/schedule/notify` publish the current plan. Publishing without
+ * `notify` only reports the diff against the previously published state.
+ * With `notify` the plan is diffed per employee and day against the state
+ * that employee was last notified of: the snapshot of the publication their
+ * latest sent/skipped ShiftNotification of that day points to, otherwise the
+ * first publication of the day. Only days that really changed are mailed, one
+ * email per employee, and each is recorded in ShiftNotification with the new
+ * publication. Failed mails and changes published without `notify` therefore
+ * stay pending until a later notify mails them, and the same state is never
+ * mailed twice. Dates that were never published before form the baseline and
+ * are not mailed.
+ *
+ * @module utils/schedulePublication
+ */
+
+import crypto from 'crypto';
+import { format, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+import type { Pool, PoolConnection, RowDataPacket } from 'mysql2/promise';
+import { sendEmail } from './email.js';
+import { ensureColumns } from './schema.js';
+
+// ─── Row shapes ──────────────────────────────────────────────────────────────
+
+export interface PublishedEntry {
+  shift_entry_id: string | null;
+  date: string;
+  doctor_id: string;
+  position: string;
+  timeslot_id: string | null;
+  start_time: string | null;
+  end_time: string | null;
+  order: number;
+}
+
+export interface DayChange {
+  doctorId: string;
+  date: string;
+  before: PublishedEntry[];
+  after: PublishedEntry[];
+}
+
+interface PublicationRow extends RowDataPacket {
+  id: string;
+  start_date: string | Date;
+  end_date: string | Date;
+}
+
+export interface PublicationSummaryRow extends RowDataPacket {
+  id: string;
+  start_date: string;
+  end_date: string;
+  entry_count: number;
+  published_by: string | null;
+  created_date: string;
+}
+
+interface PublicationEntryRow extends RowDataPacket {
+  publication_id: string;
+  shift_entry_id: string | null;
+  date: string | Date;
+  doctor_id: string;
+  position: string;
+  timeslot_id: string | null;
+  start_time: string | null;
+  end_time: string | null;
+  order: number | null;
+}
+
+interface NotifyDoctorRow extends RowDataPacket {
+  id: string;
+  name: string;
+  email: string | null;
+  receive_email_notifications: number | boolean | null;
+}
+
+interface TimeslotLabelRow extends RowDataPacket {
+  id: string;
+  label: string | null;
+}
+
+interface NotifiedPublicationRow extends RowDataPacket {
+  doctor_id: string;
+  date: string | Date;
+  publication_id: string;
+}
+
+export interface ScheduleNotifyError {
+  doctor: string;
+  error: string;
+}
+
+export interface ScheduleNotifyResult {
+  publicationId: string | null;
+  entryCount: number;
+  changedDays: number;
+  baselineDays: number;
+  notifiedDoctors: number;
+  sentCount: number;
+  skippedCount: number;
+  errors: ScheduleNotifyError[];
+}
+
+/** ShiftNotification.type for change mails sent on publish. */
+export const SCHEDULE_CHANGE_NOTIFICATION_TYPE = 'schedule_change';
+
+/** Columns the change notifications write; mirrored in seed-runtime-shared. */
+export const SHIFT_NOTIFICATION_COLUMNS: [string, string][] = [
+  ['date', 'DATE DEFAULT NULL'],
+  ['message', 'TEXT DEFAULT NULL'],
+  ['publication_id', 'VARCHAR(36) DEFAULT NULL'],
+  ['content_hash', 'CHAR(64) DEFAULT NULL'],
+];
+
+const ENTRY_INSERT_CHUNK = 500;
+
+// ─── Table guard (once per pool) ─────────────────────────────────────────────
+
+const ensuredPools = new WeakSet<object>();
+
+export async function ensureSchedulePublicationTables(dbPool: Pool): Promise<void> {
+  if (ensuredPools.has(dbPool)) return;
+  await dbPool.execute(`
+    CREATE TABLE IF NOT EXISTS SchedulePublication (
+      id VARCHAR(36) PRIMARY KEY,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      entry_count INT DEFAULT 0,
+      published_by VARCHAR(255) DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_schedule_publication_range (start_date, end_date)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  await dbPool.execute(`
+    CREATE TABLE IF NOT EXISTS SchedulePublicationEntry (
+      id VARCHAR(36) PRIMARY KEY,
+      publication_id VARCHAR(36) NOT NULL,
+      shift_entry_id VARCHAR(36) DEFAULT NULL,
+      date DATE NOT NULL,
+      doctor_id VARCHAR(36) NOT NULL,
+      position VARCHAR(255) NOT NULL,
+      timeslot_id VARCHAR(255) DEFAULT NULL,
+      start_time TIME DEFAULT NULL,
+      end_time TIME DEFAULT NULL,
+      \`order\` INT DEFAULT 0,
+      INDEX idx_schedule_publication_entry_pub (publication_id, date)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  await ensureColumns(dbPool, 'SchedulePublicationEntry', [['order', 'INT DEFAULT 0']]);
+  await ensureColumns(dbPool, 'ShiftNotification', SHIFT_NOTIFICATION_COLUMNS);
+  ensuredPools.add(dbPool);
+}
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+function toDateOnly(value: unknown): string | null {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== 'string') return null;
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(value);
+  return match ? match[1] : null;
+}
+
+function toHourMinute(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const match = /^(\d{2}):(\d{2})/.exec(value);
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+function toIdOrNull(value: unknown): string | null {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value);
+}
+
+function dateOnlyPlusDays(date: string, days: number): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Every ISO date from `startDate` to `endDate`, both inclusive. */
+export function listDatesInRange(startDate: string, endDate: string): string[] {
+  const dates: string[] = [];
+  for (let date = startDate; date <= endDate; date = dateOnlyPlusDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Reduce a ShiftEntry-like row to the fields that make up the published
+ * state. Rows without an employee (free text, open slots) are not published
+ * per person and return `null`.
+ */
+export function toPublishedEntry(row: Record<string, unknown>): PublishedEntry | null {
+  const date = toDateOnly(row.date);
+  const doctorId = toIdOrNull(row.doctor_id);
+  const position = typeof row.position === 'string' ? row.position : null;
+  if (!date || !doctorId || !position) return null;
+  return {
+    shift_entry_id: toIdOrNull(row.shift_entry_id ?? row.id),
+    date,
+    doctor_id: doctorId,
+    position,
+    timeslot_id: toIdOrNull(row.timeslot_id),
+    start_time: toHourMinute(row.start_time),
+    end_time: toHourMinute(row.end_time),
+    order: Number(row.order) || 0,
+  };
+}
+
+function entrySignature(entry: PublishedEntry): string {
+  return [entry.position, entry.timeslot_id ?? '', entry.start_time ?? '', entry.end_time ?? ''].join('|');
+}
+
+function daySignature(entries: PublishedEntry[]): string {
+  return entries.map(entrySignature).sort().join('\n');
+}
+
+/** Stable hash of one employee's day, used to suppress repeated mails. */
+export function hashDayState(doctorId: string, date: string, entries: PublishedEntry[]): string {
+  return crypto
+    .createHash('sha256')
+    .update(`${doctorId}\n${date}\n${daySignature(entries)}`)
+    .digest('hex');
+}
+
+function groupByDoctorDay(entries: PublishedEntry[]): Map<string, PublishedEntry[]> {
+  const groups = new Map<string, PublishedEntry[]>();
+  for (const entry of entries) {
+    const key = `${entry.doctor_id}\n${entry.date}`;
+    const list = groups.get(key);
+    if (list) list.push(entry);
+    else groups.set(key, [entry]);
+  }
+  return groups;
+}
+
+/**
+ * Per employee and day, compare the previously published entries with the
+ * current ones. Only dates in `comparableDates` are compared; everything else
+ * has no previous version to diff against.
+ *
+ * @returns Changes sorted by employee id and date.
+ */
+export function diffPublishedEntries(
+  previous: PublishedEntry[],
+  current: PublishedEntry[],
+  comparableDates: Set<string>,
+): DayChange[] {
+  const before = groupByDoctorDay(previous.filter((e) => comparableDates.has(e.date)));
+  const after = groupByDoctorDay(current.filter((e) => comparableDates.has(e.date)));
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  const changes: DayChange[] = [];
+  for (const key of keys) {
+    const beforeEntries = before.get(key) ?? [];
+    const afterEntries = after.get(key) ?? [];
+    if (daySignature(beforeEntries) === daySignature(afterEntries)) continue;
+    const [doctorId, date] = key.split('\n');
+    changes.push({ doctorId, date, before: beforeEntries, after: afterEntries });
+  }
+
+  return changes.sort((a, b) => a.doctorId.localeCompare(b.doctorId) || a.date.localeCompare(b.date));
+}
+
+/** Human-readable label of a day's entries, e.g. `CT (Früh), Dienst Vordergrund`. */
+export function describeDayEntries(entries: PublishedEntry[], timeslotLabels: Map<string, string>): string {
+  if (entries.length === 0) return 'kein Eintrag';
+  return entries
+    .map((entry) => {
+      const slot = entry.timeslot_id ? timeslotLabels.get(entry.timeslot_id) : undefined;
+      if (slot) return `${entry.position} (${slot})`;
+      if (entry.start_time && entry.end_time) return `${entry.position} (${entry.start_time}–${entry.end_time})`;
+      return entry.position;
+    })
+    .sort((a, b) => a.localeCompare(b, 'de'))
+    .join(', ');
+}
+
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ─── Publication storage ─────────────────────────────────────────────────────
+
+/**
+ * Load the published state for a date range: for each date the entries of
+ * the latest publication covering it.
+ *
+ * @returns The entries and the set of dates that have been published at all.
+ */
+export async function loadPublishedEntries(
+  dbPool: Pool,
+  startDate: string,
+  endDate: string,
+): Promise<{ entries: PublishedEntry[]; publishedDates: Set<string> }> {
+  await ensureSchedulePublicationTables(dbPool);
+
+  const [publications] = await dbPool.execute<PublicationRow[]>(
+    'SELECT id, start_date, end_date FROM SchedulePublication WHERE start_date <= ? AND end_date >= ? ORDER BY created_date DESC, id DESC',
+    [endDate, startDate],
+  );
+
+  const ownerByDate = new Map<string, string>();
+  for (const publication of publications) {
+    const from = toDateOnly(publication.start_date);
+    const to = toDateOnly(publication.end_date);
+    if (!from || !to) continue;
+    for (const date of listDatesInRange(from > startDate ? from : startDate, to < endDate ? to : endDate)) {
+      if (!ownerByDate.has(date)) ownerByDate.set(date, publication.id);
+    }
+  }
+
+  const publicationIds = [...new Set(ownerByDate.values())];
+  if (publicationIds.length === 0) {
+    return { entries: [], publishedDates: new Set() };
+  }
+
+  const [rows] = await dbPool.execute<PublicationEntryRow[]>(
+    `SELECT * FROM SchedulePublicationEntry WHERE publication_id IN (${publicationIds.map(() => '?').join(', ')}) AND date >= ? AND date <= ?`,
+    [...publicationIds, startDate, endDate],
+  );
+
+  const entries: PublishedEntry[] = [];
+  for (const row of rows) {
+    const entry = toPublishedEntry(row);
+    if (entry && ownerByDate.get(entry.date) === row.publication_id) entries.push(entry);
+  }
+  return { entries, publishedDates: new Set(ownerByDate.keys()) };
+}
+
+/** Publications overlapping the range, newest first. */
+export async function listPublications(
+  dbPool: Pool,
+  startDate: string,
+  endDate: string,
+  limit = 50,
+): Promise<PublicationSummaryRow[]> {
+  await ensureSchedulePublicationTables(dbPool);
+  const [rows] = await dbPool.execute<PublicationSummaryRow[]>(
+    `SELECT id, start_date, end_date, entry_count, published_by, created_date FROM SchedulePublication
+      WHERE start_date <= ? AND end_date >= ? ORDER BY created_date DESC, id DESC LIMIT ${Math.max(1, Math.floor(limit))}`,
+    [endDate, startDate],
+  );
+  return rows;
+}
+
+// ─── Published-only reads ────────────────────────────────────────────────────
+
+/** SystemSetting that switches the draft/publish workflow on (`'true'`). */
+export const PUBLISH_WORKFLOW_SETTING_KEY = 'schedule_publish_workflow';
+
+type ShiftFilterValue = string | number | boolean | null | { $gte?: unknown; $lte?: unknown };
+
+/** Whether the tenant uses the draft/publish workflow. */
+export async function isPublishWorkflowEnabled(dbPool: Pool): Promise<boolean> {
+  try {
+    const [rows] = await dbPool.execute<RowDataPacket[]>(
+      'SELECT `value` FROM SystemSetting WHERE `key` = ? LIMIT 1',
+      [PUBLISH_WORKFLOW_SETTING_KEY],
+    );
+    return rows[0]?.value === 'true';
+  } catch (err) {
+    if ((err as { code?: string }).code === 'ER_NO_SUCH_TABLE') return false;
+    throw err;
+  }
+}
+
+/**
+ * Whether a reader only gets the published schedule: the tenant uses the
+ * workflow and the reader lacks `can_edit_schedule`. The permission check is
+ * passed in (it needs the master DB) and only runs with the workflow on.
+ */
+export async function readsPublishedScheduleOnly(
+  dbPool: Pool,
+  canEditSchedule: () => Promise<boolean>,
+): Promise<boolean> {
+  return (await isPublishWorkflowEnabled(dbPool)) && !(await canEditSchedule());
+}
+
+/**
+ * A published entry as ShiftEntry row; the id falls back like
+ * `GET /api/schedule/published`. Mirrors toPublishedShifts() in
+ * src/components/schedule/schedulePublication.ts.
+ */
+export function toPublishedShiftRow(entry: PublishedEntry, index: number): Record<string, unknown> {
+  return {
+    id: entry.shift_entry_id ?? `published-${entry.date}-${index}`,
+    date: entry.date,
+    doctor_id: entry.doctor_id,
+    position: entry.position,
+    timeslot_id: entry.timeslot_id,
+    start_time: entry.start_time,
+    end_time: entry.end_time,
+    order: entry.order,
+    is_free_text: 0,
+  };
+}
+
+function matchesShiftFilters(row: Record<string, unknown>, filters: Record<string, ShiftFilterValue | undefined>): boolean {
+  return Object.entries(filters).every(([key, value]) => {
+    if (value === undefined) return true;
+    const actual = row[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (value.$gte !== undefined && !(actual !== null && actual !== undefined && String(actual) >= String(value.$gte))) return false;
+      if (value.$lte !== undefined && !(actual !== null && actual !== undefined && String(actual) <= String(value.$lte))) return false;
+      return true;
+    }
+    if (value === null) return actual === null || actual === undefined;
+    return actual !== null && actual !== undefined && String(actual) === String(value);
+  });
+}
+
+function compareShiftRows(left: Record<string, unknown>, right: Record<string, unknown>, sort: string | undefined): number {
+  const desc = typeof sort === 'string' && sort.startsWith('-');
+  const field = typeof sort === 'string' && sort ? sort.replace(/^-/, '') : 'id';
+  const a = String(left[field] ?? '');
+  const b = String(right[field] ?? '');
+  if (a !== b) return (a < b ? -1 : 1) * (desc ? -1 : 1);
+  return String(left.id) < String(right.id) ? -1 : String(left.id) > String(right.id) ? 1 : 0;
+}
+
+/**
+ * Live rows of the reader's own doctor, merged into the published state.
+ * Absences and other non-service rows are self-service (employees
+ * write them without `can_edit_schedule`), so they must read back what they
+ * just wrote; their services stay published-only.
+ */
+export interface OwnDraftRows {
+  doctorId: string;
+  rows: Array<Record<string, unknown>>;
+}
+
+/** Predicate for rows of `doctorId` outside the "Dienste" workplaces. */
+async function ownNonServiceRowFilter(
+  dbPool: Pool,
+  doctorId: string,
+): Promise<(row: Record<string, unknown>) => boolean> {
+  const [workplaces] = await dbPool.execute<RowDataPacket[]>(
+    "SELECT name FROM Workplace WHERE category = 'Dienste'",
+  );
+  const servicePositions = new Set(workplaces.map((row) => String(row.name)));
+  return (row) => String(row.doctor_id) === doctorId && !servicePositions.has(String(row.position));
+}
+
+/**
+ * The published state as ShiftEntry rows, for readers that must not see the
+ * draft. Takes the ShiftEntry list filters of `/api/db` (equality, `$gte`,
+ * `$lte`); without a date bound the range of all publications is used.
+ * `ownDraft` (the live rows of the reader matching the same filters) replaces
+ * the published non-service rows of the reader's doctor.
+ */
+export async function listPublishedShiftRows(
+  dbPool: Pool,
+  {
+    filters = {},
+    sort,
+    limit,
+    skip,
+    ownDraft,
+  }: {
+    filters?: Record<string, ShiftFilterValue | undefined>;
+    sort?: string;
+    limit?: unknown;
+    skip?: unknown;
+    ownDraft?: OwnDraftRows;
+  } = {},
+): Promise<Array<Record<string, unknown>>> {
+  await ensureSchedulePublicationTables(dbPool);
+
+  const dateFilter = filters.date;
+  let startDate: string | null = null;
+  let endDate: string | null = null;
+  if (dateFilter && typeof dateFilter === 'object') {
+    startDate = toDateOnly(dateFilter.$gte);
+    endDate = toDateOnly(dateFilter.$lte);
+  } else if (dateFilter) {
+    startDate = toDateOnly(dateFilter);
+    endDate = startDate;
+  }
+  if (!startDate || !endDate) {
+    const [bounds] = await dbPool.execute<RowDataPacket[]>(
+      'SELECT MIN(start_date) AS first_date, MAX(end_date) AS last_date FROM SchedulePublication',
+    );
+    startDate ??= toDateOnly(bounds[0]?.first_date);
+    endDate ??= toDateOnly(bounds[0]?.last_date);
+  }
+
+  let rows: Array<Record<string, unknown>> = [];
+  if (startDate && endDate && startDate <= endDate) {
+    const { entries } = await loadPublishedEntries(dbPool, startDate, endDate);
+    rows = entries.map(toPublishedShiftRow).filter((row) => matchesShiftFilters(row, filters));
+  }
+  if (ownDraft) {
+    const isOwnNonService = await ownNonServiceRowFilter(dbPool, ownDraft.doctorId);
+    rows = [...rows.filter((row) => !isOwnNonService(row)), ...ownDraft.rows.filter(isOwnNonService)];
+  }
+  rows.sort((left, right) => compareShiftRows(left, right, sort));
+
+  const parsedLimit = Number.parseInt(String(limit), 10);
+  if (Number.isNaN(parsedLimit)) return rows;
+  const parsedSkip = Number.parseInt(String(skip), 10) || 0;
+  return rows.slice(parsedSkip, parsedSkip + parsedLimit);
+}
+
+/**
+ * A published ShiftEntry by id, `null` if the published version of its day
+ * does not contain it. `ownDraft` (the live row, if any) wins for non-service
+ * rows of the reader's doctor, like in listPublishedShiftRows().
+ */
+export async function getPublishedShiftRow(
+  dbPool: Pool,
+  id: string,
+  ownDraft?: OwnDraftRows,
+): Promise<Record<string, unknown> | null> {
+  await ensureSchedulePublicationTables(dbPool);
+  const isOwnNonService = ownDraft ? await ownNonServiceRowFilter(dbPool, ownDraft.doctorId) : () => false;
+  const draftRow = ownDraft?.rows.find((row) => String(row.id) === id && isOwnNonService(row));
+  if (draftRow) return draftRow;
+  const [rows] = await dbPool.execute<PublicationEntryRow[]>(
+    'SELECT DISTINCT date FROM SchedulePublicationEntry WHERE shift_entry_id = ?',
+    [id],
+  );
+  for (const date of rows.map((row) => toDateOnly(row.date)).filter((d): d is string => d !== null).sort()) {
+    const { entries } = await loadPublishedEntries(dbPool, date, date);
+    const entry = entries.find((candidate) => candidate.shift_entry_id === id);
+    if (entry) {
+      const row = toPublishedShiftRow(entry, 0);
+      return isOwnNonService(row) ? null : row;
+    }
+  }
+  return null;
+}
+
+/**
+ * Diff the current plan of a range against its published state.
+ *
+ * @returns The normalized current entries, the changed days of dates that
+ *   were published before, and the dates that were never published.
+ */
+export async function diffAgainstPublished(
+  dbPool: Pool,
+  {
+    startDate,
+    endDate,
+    currentEntries,
+  }: {
+    startDate: string;
+    endDate: string;
+    currentEntries: Array<Record<string, unknown>>;
+  },
+): Promise<{ current: PublishedEntry[]; changes: DayChange[]; unpublishedDates: string[] }> {
+  const current = currentEntries
+    .map(toPublishedEntry)
+    .filter((entry): entry is PublishedEntry => entry !== null && entry.date >= startDate && entry.date <= endDate);
+
+  const previous = await loadPublishedEntries(dbPool, startDate, endDate);
+  return {
+    current,
+    changes: diffPublishedEntries(previous.entries, current, previous.publishedDates),
+    unpublishedDates: listDatesInRange(startDate, endDate).filter((date) => !previous.publishedDates.has(date)),
+  };
+}
+
+/**
+ * Store a new publication snapshot for `startDate..endDate` in a single
+ * transaction, so a half-written snapshot never becomes the published state.
+ */
+export async function createPublication(
+  dbPool: Pool,
+  {
+    startDate,
+    endDate,
+    entries,
+    publishedBy,
+  }: {
+    startDate: string;
+    endDate: string;
+    entries: PublishedEntry[];
+    publishedBy: string | null;
+  },
+): Promise<string> {
+  await ensureSchedulePublicationTables(dbPool);
+
+  const publicationId = crypto.randomUUID();
+  const connection: PoolConnection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(
+      'INSERT INTO SchedulePublication (id, start_date, end_date, entry_count, published_by) VALUES (?, ?, ?, ?, ?)',
+      [publicationId, startDate, endDate, entries.length, publishedBy],
+    );
+
+    for (let i = 0; i < entries.length; i += ENTRY_INSERT_CHUNK) {
+      const chunk = entries.slice(i, i + ENTRY_INSERT_CHUNK);
+      const params: unknown[] = [];
+      for (const entry of chunk) {
+        params.push(
+          crypto.randomUUID(),
+          publicationId,
+          entry.shift_entry_id,
+          entry.date,
+          entry.doctor_id,
+          entry.position,
+          entry.timeslot_id,
+          entry.start_time,
+          entry.end_time,
+          entry.order,
+        );
+      }
+      await connection.execute(
+        `INSERT INTO SchedulePublicationEntry (id, publication_id, shift_entry_id, date, doctor_id, position, timeslot_id, start_time, end_time, \`order\`) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        params,
+      );
+    }
+
+    await connection.commit();
+    return publicationId;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ─── Notify ──────────────────────────────────────────────────────────────────
+
+/**
+ * Load the state every employee was last notified of for a date range: per
+ * `doctor_id\ndate` the entries of the publication their latest sent or
+ * skipped change notification was recorded with, otherwise the entries of the
+ * first publication covering the date (the baseline). Failed sends do not
+ * count, so their days are diffed against the older state again.
+ *
+ * @returns The entries and the set of dates that have been published at all.
+ */
+export async function loadNotifiedEntries(
+  dbPool: Pool,
+  startDate: string,
+  endDate: string,
+): Promise<{ entries: PublishedEntry[]; publishedDates: Set<string> }> {
+  await ensureSchedulePublicationTables(dbPool);
+
+  const [publications] = await dbPool.execute<PublicationRow[]>(
+    'SELECT id, start_date, end_date FROM SchedulePublication WHERE start_date <= ? AND end_date >= ? ORDER BY created_date ASC, id ASC',
+    [endDate, startDate],
+  );
+  const baselineByDate = new Map<string, string>();
+  for (const publication of publications) {
+    const from = toDateOnly(publication.start_date);
+    const to = toDateOnly(publication.end_date);
+    if (!from || !to) continue;
+    for (const date of listDatesInRange(from > startDate ? from : startDate, to < endDate ? to : endDate)) {
+      if (!baselineByDate.has(date)) baselineByDate.set(date, publication.id);
+    }
+  }
+  if (baselineByDate.size === 0) {
+    return { entries: [], publishedDates: new Set() };
+  }
+
+  const [notifications] = await dbPool.execute<NotifiedPublicationRow[]>(
+    `SELECT doctor_id, date, publication_id FROM ShiftNotification
+      WHERE type = ? AND date >= ? AND date <= ? AND status IN ('sent', 'skipped') AND publication_id IS NOT NULL
+      ORDER BY created_date DESC`,
+    [SCHEDULE_CHANGE_NOTIFICATION_TYPE, startDate, endDate],
+  );
+  const notifiedByDay = new Map<string, string>();
+  for (const row of notifications) {
+    const key = `${row.doctor_id}\n${toDateOnly(row.date)}`;
+    if (!notifiedByDay.has(key)) notifiedByDay.set(key, String(row.publication_id));
+  }
+
+  const publicationIds = [...new Set([...baselineByDate.values(), ...notifiedByDay.values()])];
+  const [rows] = await dbPool.execute<PublicationEntryRow[]>(
+    `SELECT * FROM SchedulePublicationEntry WHERE publication_id IN (${publicationIds.map(() => '?').join(', ')}) AND date >= ? AND date <= ?`,
+    [...publicationIds, startDate, endDate],
+  );
+
+  const entries: PublishedEntry[] = [];
+  for (const row of rows) {
+    const entry = toPublishedEntry(row);
+    if (!entry) continue;
+    const notifiedPublicationId = notifiedByDay.get(`${entry.doctor_id}\n${entry.date}`);
+    const sourceId = notifiedPublicationId ?? baselineByDate.get(entry.date);
+    if (row.publication_id === sourceId) entries.push(entry);
+  }
+  return { entries, publishedDates: new Set(baselineByDate.keys()) };
+}
+
+/**
+ * Publish `currentEntries` for the range and mail every affected employee the
+ * days that changed since they were last notified (`loadNotifiedEntries`).
+ * With `notify: false` the range is only published; the changes since the
+ * previous publication are returned but nobody is mailed.
+ *
+ * Employees without a notification address or with e-mail alerts switched off
+ * still get their ShiftNotification rows (status `skipped`), so the change
+ * shows up in their dashboard.
+ *
+ * @param dbPool - Tenant pool.
+ * @param options.currentEntries - Current ShiftEntry rows of the range
+ *   (including central absences).
+ * @param options.notify - Mail and record the changes (default `true`).
+ * @param options.dryRun - Compute the diff without publishing or mailing.
+ */
+export async function publishAndNotifyScheduleChanges(
+  dbPool: Pool,
+  {
+    startDate,
+    endDate,
+    currentEntries,
+    publishedBy = null,
+    notify = true,
+    dryRun = false,
+  }: {
+    startDate: string;
+    endDate: string;
+    currentEntries: Array<Record<string, unknown>>;
+    publishedBy?: string | null;
+    notify?: boolean;
+    dryRun?: boolean;
+  },
+): Promise<ScheduleNotifyResult & { changes: DayChange[] }> {
+  const diff = await diffAgainstPublished(dbPool, { startDate, endDate, currentEntries });
+  const { current } = diff;
+
+  let { changes } = diff;
+  if (notify) {
+    const notified = await loadNotifiedEntries(dbPool, startDate, endDate);
+    changes = diffPublishedEntries(notified.entries, current, notified.publishedDates);
+  }
+
+  const result: ScheduleNotifyResult & { changes: DayChange[] } = {
+    publicationId: null,
+    entryCount: current.length,
+    changedDays: changes.length,
+    baselineDays: diff.unpublishedDates.length,
+    notifiedDoctors: 0,
+    sentCount: 0,
+    skippedCount: 0,
+    errors: [],
+    changes,
+  };
+  if (dryRun) return result;
+
+  result.publicationId = await createPublication(dbPool, { startDate, endDate, entries: current, publishedBy });
+  if (!notify || changes.length === 0) return result;
+
+  const changesByDoctor = new Map<string, DayChange[]>();
+  for (const change of changes) {
+    const list = changesByDoctor.get(change.doctorId);
+    if (list) list.push(change);
+    else changesByDoctor.set(change.doctorId, [change]);
+  }
+  result.notifiedDoctors = changesByDoctor.size;
+
+  const doctorIds = [...changesByDoctor.keys()];
+  const [doctors] = await dbPool.execute<NotifyDoctorRow[]>(
+    `SELECT id, name, email, receive_email_notifications FROM Doctor WHERE id IN (${doctorIds.map(() => '?').join(', ')})`,
+    doctorIds,
+  );
+  const doctorById = new Map(doctors.map((doctor) => [String(doctor.id), doctor]));
+
+  const [timeslots] = await dbPool.execute<TimeslotLabelRow[]>('SELECT id, label FROM WorkplaceTimeslot');
+  const timeslotLabels = new Map(
+    timeslots.filter((slot) => slot.label).map((slot) => [String(slot.id), String(slot.label)]),
+  );
+
+  const rangeLabel = `${format(parseISO(startDate), 'dd.MM.yyyy')} – ${format(parseISO(endDate), 'dd.MM.yyyy')}`;
+
+  for (const [doctorId, doctorChanges] of changesByDoctor) {
+    const doctor = doctorById.get(doctorId);
+    if (!doctor) continue;
+
+    const lines = doctorChanges.map((change) => ({
+      change,
+      day: format(parseISO(change.date), 'EEEEEE, dd.MM.yyyy', { locale: de }),
+      before: describeDayEntries(change.before, timeslotLabels),
+      after: describeDayEntries(change.after, timeslotLabels),
+    }));
+
+    const email = doctor.email?.trim();
+    let status: 'sent' | 'failed' | 'skipped' = 'skipped';
+    if (email && doctor.receive_email_notifications) {
+      try {
+        const text = [
+          `Hallo ${doctor.name},`,
+          '',
+          `der Dienstplan für ${rangeLabel} wurde veröffentlicht. Für Sie hat sich Folgendes geändert:`,
+          '',
+          ...lines.map((line) => `- ${line.day}: ${line.before} → ${line.after}`),
+          '',
+          'Viele Grüße,',
+          'Ihr CuraFlow-System',
+        ].join('\n');
+
+        const rows = lines
+          .map((line) => `
+              <tr>
+                <td style="padding:6px 12px 6px 0;white-space:nowrap">${escapeHtml(line.day)}</td>
+                <td style="padding:6px 12px 6px 0;color:#94a3b8;text-decoration:line-through">${escapeHtml(line.before)}</td>
+                <td style="padding:6px 0"><strong>${escapeHtml(line.after)}</strong></td>
+              </tr>`)
+          .join('');
+
+        const html = `
+          <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;color:#1e293b">
+            <h2 style="color:#4f46e5">Dienstplan geändert</h2>
+            <p>Hallo <strong>${escapeHtml(doctor.name)}</strong>,</p>
+            <p>der Dienstplan für <strong>${rangeLabel}</strong> wurde veröffentlicht. Für Sie hat sich Folgendes geändert:</p>
+            <table style="border-collapse:collapse;margin:20px 0;font-size:14px">${rows}
+            </table>
+            <p style="font-size:13px;color:#94a3b8;margin-top:32px">Diese E-Mail wurde automatisch von CuraFlow versendet.</p>
+          </div>
+        `;
+
+        await sendEmail({
+          to: email,
+          subject: `[CuraFlow] Dienstplanänderung ${rangeLabel}`,
+          text,
+          html,
+        });
+        status = 'sent';
+        result.sentCount++;
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.error(`[ScheduleNotify] Fehler beim Senden an ${doctor.name}:`, message);
+        result.errors.push({ doctor: doctor.name, error: message });
+        status = 'failed';
+      }
+    } else {
+      result.skippedCount++;
+    }
+
+    for (const line of lines) {
+      const { change } = line;
+      await dbPool.execute(
+        `INSERT INTO ShiftNotification
+           (id, shift_entry_id, doctor_id, type, status, acknowledged, sent_at, date, message, publication_id, content_hash)
+         VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)`,
+        [
+          crypto.randomUUID(),
+          change.after[0]?.shift_entry_id ?? change.before[0]?.shift_entry_id ?? null,
+          doctorId,
+          SCHEDULE_CHANGE_NOTIFICATION_TYPE,
+          status,
+          status === 'sent' ? new Date() : null,
+          change.date,
+          `Dienstplan geändert: ${line.before} → ${line.after}`,
+          result.publicationId,
+          hashDayState(doctorId, change.date, change.after),
+        ],
+      );
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,350 @@
+/**
+ * All-or-nothing creation of many ShiftEntry rows through the atomic route
+ * (`operation: 'bulkCreateShifts'`), used when a schedule template
+ * ("Regelwoche") is stamped into future weeks.
+ *
+ * Unlike the dbProxy `bulkCreate`, the batch runs the same checks as a single
+ * create (ScheduleBlock lock, single-assignment positions) against the rows
+ * locked inside the transaction. If any entry conflicts, nothing is written
+ * and the route answers 409 with the full conflict list.
+ *
+ * `transferShifts` copies or moves a selection (day, week, employee row) to
+ * another range with the same checks; `resolveShiftTransfer` decides per
+ * conflict according to the chosen resolution (skip, overwrite, abort).
+ *
+ * Absence positions are not accepted: they are routed to the central absence
+ * store per entry and have no place in a template or a bulk copy.
+ */
+
+export const MAX_SHIFT_BATCH_SIZE = 2000;
+
+/** Columns a batch entry may set; everything else is ignored. */
+export const SHIFT_BATCH_COLUMNS = [
+  'doctor_id',
+  'date',
+  'position',
+  'timeslot_id',
+  'start_time',
+  'end_time',
+  'break_minutes',
+  'note',
+] as const;
+
+export interface ShiftBatchEntry {
+  doctor_id: string;
+  date: string;
+  position: string;
+  timeslot_id: string | null;
+  start_time?: string | null;
+  end_time?: string | null;
+  break_minutes?: number | null;
+  note?: string | null;
+}
+
+export interface ExistingShiftRow {
+  id: string;
+  doctor_id: string | null;
+  date: string;
+  position: string;
+  timeslot_id: string | null;
+}
+
+export interface ScheduleBlockRow {
+  id: string;
+  date: string;
+  position: string;
+  timeslot_id: string | null;
+  reason?: string | null;
+  type?: string | null;
+}
+
+export interface WorkplaceRow {
+  name: string;
+  category?: string | null;
+  allows_multiple?: boolean | number | null;
+}
+
+export type ShiftBatchConflictReason = 'duplicate' | 'occupied' | 'blocked' | 'missing';
+
+export interface ShiftBatchConflict {
+  /** Index of the entry in the request */
+  index: number;
+  date: string;
+  doctor_id: string;
+  position: string;
+  timeslot_id: string | null;
+  reason: ShiftBatchConflictReason;
+  message: string;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const badRequest = (message: string): Error => {
+  const err = new Error(message);
+  (err as Error & { status: number }).status = 400;
+  return err;
+};
+
+/**
+ * Validates the request payload and keeps the known columns.
+ * @throws Error with `status = 400` on invalid input
+ */
+export function normalizeShiftBatch(raw: unknown, isAbsencePosition: (position: string) => boolean): ShiftBatchEntry[] {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw badRequest('entries muss eine nicht-leere Liste sein');
+  }
+  if (raw.length > MAX_SHIFT_BATCH_SIZE) {
+    throw badRequest(`Höchstens ${MAX_SHIFT_BATCH_SIZE} Einträge pro Vorgang`);
+  }
+
+  return raw.map((item: unknown, index: number) => {
+    const row = (item && typeof item === 'object' ? item : {}) as Record<string, unknown>;
+    if (typeof row.doctor_id !== 'string' || !row.doctor_id) {
+      throw badRequest(`Eintrag ${index + 1}: doctor_id fehlt`);
+    }
+    if (typeof row.date !== 'string' || !DATE_PATTERN.test(row.date)) {
+      throw badRequest(`Eintrag ${index + 1}: ungültiges Datum`);
+    }
+    if (typeof row.position !== 'string' || !row.position.trim()) {
+      throw badRequest(`Eintrag ${index + 1}: position fehlt`);
+    }
+    if (isAbsencePosition(row.position)) {
+      throw badRequest(`Eintrag ${index + 1}: Abwesenheiten („${row.position}“) können nicht gesammelt angelegt werden`);
+    }
+
+    const entry: Record<string, unknown> = {};
+    for (const column of SHIFT_BATCH_COLUMNS) {
+      if (row[column] !== undefined) entry[column] = row[column];
+    }
+    entry.timeslot_id = typeof row.timeslot_id === 'string' && row.timeslot_id ? row.timeslot_id : null;
+    return entry as unknown as ShiftBatchEntry;
+  });
+}
+
+/**
+ * Whether a position may hold several people per cell. Same fallback as the
+ * single-create sentinel in `shiftEntryRepo.ts`.
+ */
+export function workplaceAllowsMultiple(workplace: WorkplaceRow | undefined): boolean {
+  if (!workplace) return true;
+  if (workplace.allows_multiple !== undefined && workplace.allows_multiple !== null) {
+    return Boolean(workplace.allows_multiple);
+  }
+  if (workplace.category === 'Rotationen') return true;
+  if (workplace.category === 'Dienste' || workplace.category === 'Demonstrationen & Konsile') return false;
+  return true;
+}
+
+const cellKey = (date: string, position: string, timeslotId: string | null): string =>
+  `${date}|${position}|${timeslotId ?? ''}`;
+
+/** The lock (ScheduleBlock of type `block`) covering a cell, if any. */
+export const findLockBlock = (
+  entry: Pick<ShiftBatchEntry, 'date' | 'position' | 'timeslot_id'>,
+  lockBlocks: ScheduleBlockRow[],
+): ScheduleBlockRow | undefined =>
+  lockBlocks.find(
+    (b) => b.date === entry.date && b.position === entry.position && (b.timeslot_id == null || b.timeslot_id === entry.timeslot_id),
+  );
+
+/**
+ * Conflicts of a batch with the existing rows and with itself. Earlier batch
+ * entries count as existing for later ones.
+ */
+export function findShiftBatchConflicts(
+  entries: ShiftBatchEntry[],
+  { existing, blocks, workplaces }: { existing: ExistingShiftRow[]; blocks: ScheduleBlockRow[]; workplaces: WorkplaceRow[] },
+): ShiftBatchConflict[] {
+  const workplaceByName = new Map(workplaces.map((w) => [w.name, w]));
+  const lockBlocks = blocks.filter((b) => (b.type ?? 'block') === 'block');
+
+  const assignments = new Set<string>();
+  const occupiedCells = new Set<string>();
+  const occupiedPositions = new Set<string>();
+  const occupy = (row: { doctor_id: string | null; date: string; position: string; timeslot_id: string | null }) => {
+    assignments.add(`${row.doctor_id}|${cellKey(row.date, row.position, row.timeslot_id)}`);
+    occupiedCells.add(cellKey(row.date, row.position, row.timeslot_id));
+    occupiedPositions.add(`${row.date}|${row.position}`);
+  };
+  existing.forEach(occupy);
+
+  const conflicts: ShiftBatchConflict[] = [];
+  entries.forEach((entry, index) => {
+    const conflict = (reason: ShiftBatchConflictReason, message: string) => {
+      conflicts.push({
+        index,
+        date: entry.date,
+        doctor_id: entry.doctor_id,
+        position: entry.position,
+        timeslot_id: entry.timeslot_id,
+        reason,
+        message,
+      });
+    };
+
+    const block = findLockBlock(entry, lockBlocks);
+    if (block) {
+      conflict('blocked', 'Zelle gesperrt' + (block.reason ? `: ${block.reason}` : ''));
+      return;
+    }
+
+    if (assignments.has(`${entry.doctor_id}|${cellKey(entry.date, entry.position, entry.timeslot_id)}`)) {
+      conflict('duplicate', 'Eintrag existiert bereits');
+      return;
+    }
+
+    if (!workplaceAllowsMultiple(workplaceByName.get(entry.position))) {
+      // Without timeslot the whole position counts, like the single-create sentinel
+      const occupied = entry.timeslot_id
+        ? occupiedCells.has(cellKey(entry.date, entry.position, entry.timeslot_id))
+        : occupiedPositions.has(`${entry.date}|${entry.position}`);
+      if (occupied) {
+        conflict('occupied', 'Position bereits besetzt');
+        return;
+      }
+    }
+
+    occupy(entry);
+  });
+
+  return conflicts;
+}
+
+// ===== Bulk copy / move =====
+
+export const SHIFT_TRANSFER_MODES = ['copy', 'move'] as const;
+export type ShiftTransferMode = (typeof SHIFT_TRANSFER_MODES)[number];
+
+/** What happens with entries that collide with the plan. */
+export const SHIFT_CONFLICT_RESOLUTIONS = ['skip', 'overwrite', 'abort'] as const;
+export type ShiftConflictResolution = (typeof SHIFT_CONFLICT_RESOLUTIONS)[number];
+
+export interface ShiftTransferEntry extends ShiftBatchEntry {
+  /** Moved entry (move only); deleted together with the insert */
+  source_id?: string;
+}
+
+export interface ShiftTransferResolution {
+  /** Entries to insert, with their index in the request */
+  accepted: Array<{ index: number; entry: ShiftTransferEntry }>;
+  /** Conflicting entries; with `abort` nothing may be written if this is not empty */
+  skipped: ShiftBatchConflict[];
+  /** Existing rows replaced by accepted entries (`overwrite` only) */
+  replaced: ExistingShiftRow[];
+  /** Sources of accepted moves */
+  sourceIds: string[];
+}
+
+/**
+ * Validates a copy / move request. Moves need the id of the source entry.
+ * @throws Error with `status = 400` on invalid input
+ */
+export function normalizeShiftTransfer(
+  raw: unknown,
+  mode: ShiftTransferMode,
+  isAbsencePosition: (position: string) => boolean,
+): ShiftTransferEntry[] {
+  const entries: ShiftTransferEntry[] = normalizeShiftBatch(raw, isAbsencePosition);
+  if (mode !== 'move') return entries;
+
+  const seen = new Set<string>();
+  return entries.map((entry, index) => {
+    const sourceId = ((raw as unknown[])[index] as Record<string, unknown>).source_id;
+    if (typeof sourceId !== 'string' || !sourceId) {
+      throw badRequest(`Eintrag ${index + 1}: source_id fehlt`);
+    }
+    if (seen.has(sourceId)) {
+      throw badRequest(`Eintrag ${index + 1}: source_id doppelt`);
+    }
+    seen.add(sourceId);
+    return { ...entry, source_id: sourceId };
+  });
+}
+
+/**
+ * Applies the conflict resolution to a copy / move.
+ *
+ * - Sources of moves leave their cell, so a week can be moved by a day.
+ *   A source that no longer exists (or changed its position) is a conflict.
+ * - `overwrite` replaces other people on single-assignment cells. Locked
+ *   cells and duplicates are never overwritten and are skipped instead.
+ * - `skip` drops conflicting entries; a skipped move keeps its source, so
+ *   the check runs again until the remaining entries fit.
+ * - `abort` only reports: callers write nothing if `skipped` is not empty.
+ */
+export function resolveShiftTransfer(
+  entries: ShiftTransferEntry[],
+  {
+    existing,
+    blocks,
+    workplaces,
+    resolution,
+  }: { existing: ExistingShiftRow[]; blocks: ScheduleBlockRow[]; workplaces: WorkplaceRow[]; resolution: ShiftConflictResolution },
+): ShiftTransferResolution {
+  const existingById = new Map(existing.map((row) => [row.id, row]));
+  const workplaceByName = new Map(workplaces.map((w) => [w.name, w]));
+  const lockBlocks = blocks.filter((b) => (b.type ?? 'block') === 'block');
+
+  const skipped: ShiftBatchConflict[] = [];
+  const toConflict = (index: number, entry: ShiftTransferEntry, reason: ShiftBatchConflictReason, message: string): ShiftBatchConflict => ({
+    index,
+    date: entry.date,
+    doctor_id: entry.doctor_id,
+    position: entry.position,
+    timeslot_id: entry.timeslot_id,
+    reason,
+    message,
+  });
+
+  let pending: Array<{ index: number; entry: ShiftTransferEntry }> = [];
+  entries.forEach((entry, index) => {
+    const source = entry.source_id ? existingById.get(entry.source_id) : undefined;
+    if (entry.source_id && (!source || source.position !== entry.position)) {
+      skipped.push(toConflict(index, entry, 'missing', 'Quelleintrag fehlt oder wurde geändert'));
+    } else {
+      pending.push({ index, entry });
+    }
+  });
+
+  for (;;) {
+    const moving = new Set(pending.map((p) => p.entry.source_id).filter(Boolean));
+    let base = existing.filter((row) => !moving.has(row.id));
+
+    let replaced: ExistingShiftRow[] = [];
+    if (resolution === 'overwrite') {
+      const targets = new Map<string, ShiftTransferEntry[]>();
+      for (const { entry } of pending) {
+        if (workplaceAllowsMultiple(workplaceByName.get(entry.position)) || findLockBlock(entry, lockBlocks)) continue;
+        const key = `${entry.date}|${entry.position}`;
+        targets.set(key, [...(targets.get(key) ?? []), entry]);
+      }
+      replaced = base.filter((row) =>
+        (targets.get(`${row.date}|${row.position}`) ?? []).some(
+          (entry) => row.doctor_id !== entry.doctor_id && (!entry.timeslot_id || row.timeslot_id === entry.timeslot_id),
+        ),
+      );
+      const replacedIds = new Set(replaced.map((row) => row.id));
+      base = base.filter((row) => !replacedIds.has(row.id));
+    }
+
+    const conflicts = findShiftBatchConflicts(
+      pending.map((p) => p.entry),
+      { existing: base, blocks, workplaces },
+    ).map((c) => ({ ...c, index: pending[c.index].index }));
+
+    if (conflicts.length === 0 || resolution === 'abort') {
+      skipped.push(...conflicts);
+      skipped.sort((a, b) => a.index - b.index);
+      return {
+        accepted: pending,
+        skipped,
+        replaced,
+        sourceIds: pending.map((p) => p.entry.source_id).filter((id): id is string => Boolean(id)),
+      };
+    }
+
+    const conflicting = new Set(conflicts.map((c) => c.index));
+    skipped.push(...conflicts);
+    pending = pending.filter((p) => !conflicting.has(p.index));
+  }
+}
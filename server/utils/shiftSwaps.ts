@@ -0,0 +1,758 @@
+/**
+ * Shift swap marketplace (Diensttausch zwischen Mitarbeitern).
+ *
+ * Employees can only request wishes and absences for themselves; swapping an
+ * already planned service goes through this workflow instead of editing the
+ * plan directly:
+ *
+ *   offer  – an employee offers one of their services, any colleague may
+ *            take it over
+ *   trade  – an employee proposes to trade their service against a specific
+ *            service of a colleague, only that colleague may accept
+ *
+ * Lebenszyklus:
+ *   open     → accepted  (colleague accepts)
+ *   accepted → open      (colleague withdraws the acceptance)
+ *   open | accepted → cancelled (requester withdraws)
+ *   open | accepted → rejected  (approver with `can_edit_schedule`)
+ *   accepted → approved  (approver; both ShiftEntry rows change owner in one
+ *                         transaction)
+ *
+ * The rule checks of `createShiftValidator` only exist in the frontend, so the
+ * approval dialog runs them for both parties before calling approve. The
+ * server re-checks that neither service changed owner in the meantime and
+ * runs the AutoFill swap validation (`swapValidation.ts`: absence,
+ * NOT-qualification) for everyone who receives a service.
+ *
+ * ShiftSwapRequest is a tenant table; the service snapshot columns keep the
+ * list readable after the plan changed.
+ *
+ * @module utils/shiftSwaps
+ */
+
+import crypto from 'crypto';
+import { format, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+import type { Pool, PoolConnection, RowDataPacket, ResultSetHeader } from 'mysql2/promise';
+import { sendEmail, getEmailProviderInfo } from './email.js';
+import { hasPermission } from './permissions.js';
+import { isFutureDate } from './absenceRequests.js';
+import { escapeHtml } from './schedulePublication.js';
+import { listShiftEntriesWithCentralAbsences } from './centralAbsences.js';
+import type { EvidenceDoctorQualification, EvidenceQualification } from './qualificationEvidence.js';
+import { getEvidenceBlockedFrom } from './qualificationEvidence.js';
+import type { QualificationsData, ValidationData, ValidationResult } from './swapValidation.js';
+import { validateHandover, validateSwap } from './swapValidation.js';
+import { VERSION_COLUMN } from './rowVersion.js';
+
+// ─── Row shapes ──────────────────────────────────────────────────────────────
+
+export type ShiftSwapType = 'offer' | 'trade';
+export type ShiftSwapStatus = 'open' | 'accepted' | 'approved' | 'rejected' | 'cancelled';
+
+export interface ShiftSwapRow extends RowDataPacket {
+  id: string;
+  type: ShiftSwapType;
+  status: ShiftSwapStatus;
+  shift_id: string;
+  shift_date: string;
+  shift_position: string;
+  requester_doctor_id: string;
+  counter_shift_id: string | null;
+  counter_shift_date: string | null;
+  counter_shift_position: string | null;
+  target_doctor_id: string | null;
+  accepted_by_doctor_id: string | null;
+  accepted_date: string | null;
+  message: string | null;
+  decision_comment: string | null;
+  decided_by: string | null;
+  decided_date: string | null;
+  created_by: string | null;
+  created_date: string;
+  updated_date: string;
+}
+
+interface SwapShiftRow extends RowDataPacket {
+  id: string;
+  date: string | Date;
+  position: string;
+  doctor_id: string | null;
+  category: string | null;
+}
+
+interface SwapDoctorRow extends RowDataPacket {
+  id: string;
+  name: string;
+  email: string | null;
+  receive_email_notifications: number | boolean | null;
+}
+
+interface ApproverRow extends RowDataPacket {
+  email: string;
+  role: string;
+  permissions: unknown;
+  allowed_tenants: unknown;
+}
+
+export interface ShiftOwnerChange {
+  before: Record<string, unknown>;
+  after: Record<string, unknown>;
+}
+
+/** Statuses in which a service is still bound to a swap. */
+export const ACTIVE_SWAP_STATUSES: ShiftSwapStatus[] = ['open', 'accepted'];
+export const SHIFT_SWAP_STATUSES: ShiftSwapStatus[] = ['open', 'accepted', 'approved', 'rejected', 'cancelled'];
+
+/** Finished swaps stay visible to the involved employees for this many days. */
+const SWAP_HISTORY_DAYS = 30;
+
+// ─── Table guard (once per pool) ─────────────────────────────────────────────
+
+const ensuredPools = new WeakSet<object>();
+
+export async function ensureShiftSwapTables(dbPool: Pool): Promise<void> {
+  if (ensuredPools.has(dbPool)) return;
+  await dbPool.execute(`
+    CREATE TABLE IF NOT EXISTS ShiftSwapRequest (
+      id VARCHAR(36) PRIMARY KEY,
+      type VARCHAR(16) NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'open',
+      shift_id VARCHAR(36) NOT NULL,
+      shift_date DATE NOT NULL,
+      shift_position VARCHAR(255) NOT NULL,
+      requester_doctor_id VARCHAR(36) NOT NULL,
+      counter_shift_id VARCHAR(36) DEFAULT NULL,
+      counter_shift_date DATE DEFAULT NULL,
+      counter_shift_position VARCHAR(255) DEFAULT NULL,
+      target_doctor_id VARCHAR(36) DEFAULT NULL,
+      accepted_by_doctor_id VARCHAR(36) DEFAULT NULL,
+      accepted_date DATETIME DEFAULT NULL,
+      message TEXT DEFAULT NULL,
+      decision_comment TEXT DEFAULT NULL,
+      decided_by VARCHAR(255) DEFAULT NULL,
+      decided_date DATETIME DEFAULT NULL,
+      created_by VARCHAR(255) DEFAULT NULL,
+      created_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+      updated_date DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+      INDEX idx_shift_swap_status (status, shift_date),
+      INDEX idx_shift_swap_shift (shift_id),
+      INDEX idx_shift_swap_counter_shift (counter_shift_id),
+      INDEX idx_shift_swap_requester (requester_doctor_id)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  ensuredPools.add(dbPool);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function swapError(message: string, statusCode: number): Error {
+  const err = new Error(message);
+  (err as Error & { statusCode?: number }).statusCode = statusCode;
+  return err;
+}
+
+function toDateOnly(value: unknown): string {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value ?? '').slice(0, 10);
+}
+
+async function loadSwap(dbPool: Pool | PoolConnection, swapId: string, forUpdate = false): Promise<ShiftSwapRow> {
+  const [rows] = await dbPool.execute<ShiftSwapRow[]>(
+    `SELECT * FROM ShiftSwapRequest WHERE id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [swapId]
+  );
+  if (rows.length === 0) throw swapError('Tauschanfrage nicht gefunden.', 404);
+  return rows[0];
+}
+
+/** A future service (Workplace category "Dienste") by id, or a 4xx error. */
+async function loadSwappableShift(dbPool: Pool, shiftId: unknown, label: string): Promise<SwapShiftRow> {
+  if (!shiftId || typeof shiftId !== 'string') {
+    throw swapError(`${label} ist erforderlich.`, 422);
+  }
+  const [rows] = await dbPool.execute<SwapShiftRow[]>(
+    `SELECT s.id, s.date, s.position, s.doctor_id, w.category
+       FROM ShiftEntry s
+       LEFT JOIN Workplace w ON w.name = s.position
+      WHERE s.id = ?
+      LIMIT 1`,
+    [shiftId]
+  );
+  const shift = rows[0];
+  if (!shift) throw swapError(`${label} nicht gefunden.`, 404);
+  if (shift.category !== 'Dienste') {
+    throw swapError('Nur Dienste können getauscht werden.', 422);
+  }
+  if (!isFutureDate(toDateOnly(shift.date))) {
+    throw swapError('Nur zukünftige Dienste können getauscht werden.', 422);
+  }
+  return shift;
+}
+
+// ─── CREATE ──────────────────────────────────────────────────────────────────
+
+interface CreateShiftSwapDeps {
+  tenantDb: Pool;
+  requesterDoctorId: string;
+  shiftId: unknown;
+  counterShiftId?: unknown;
+  message?: string | null;
+  createdBy: string | null | undefined;
+}
+
+/**
+ * Offers a service (`counterShiftId` empty) or proposes a trade against a
+ * colleague's service.
+ *
+ * @throws {Error} mit .statusCode = 403/404/409/422
+ */
+export async function createShiftSwap({
+  tenantDb,
+  requesterDoctorId,
+  shiftId,
+  counterShiftId,
+  message,
+  createdBy,
+}: CreateShiftSwapDeps): Promise<ShiftSwapRow> {
+  await ensureShiftSwapTables(tenantDb);
+
+  const shift = await loadSwappableShift(tenantDb, shiftId, 'Dienst');
+  if (String(shift.doctor_id) !== String(requesterDoctorId)) {
+    throw swapError('Sie können nur eigene Dienste anbieten.', 403);
+  }
+
+  let counter: SwapShiftRow | null = null;
+  if (counterShiftId) {
+    counter = await loadSwappableShift(tenantDb, counterShiftId, 'Gegendienst');
+    if (!counter.doctor_id || String(counter.doctor_id) === String(requesterDoctorId)) {
+      throw swapError('Der Gegendienst muss einem Kollegen gehören.', 422);
+    }
+  }
+
+  const shiftIds = counter ? [shift.id, counter.id] : [shift.id];
+  const placeholders = shiftIds.map(() => '?').join(', ');
+  const [active] = await tenantDb.execute<RowDataPacket[]>(
+    `SELECT id FROM ShiftSwapRequest
+      WHERE status IN ('open', 'accepted')
+        AND (shift_id IN (${placeholders}) OR counter_shift_id IN (${placeholders}))
+      LIMIT 1`,
+    [...shiftIds, ...shiftIds]
+  );
+  if (active.length > 0) {
+    throw swapError('Für diesen Dienst läuft bereits eine Tauschanfrage.', 409);
+  }
+
+  const id = crypto.randomUUID();
+  await tenantDb.execute<ResultSetHeader>(
+    `INSERT INTO ShiftSwapRequest
+       (id, type, status, shift_id, shift_date, shift_position, requester_doctor_id,
+        counter_shift_id, counter_shift_date, counter_shift_position, target_doctor_id, message, created_by)
+     VALUES (?, ?, 'open', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      counter ? 'trade' : 'offer',
+      shift.id,
+      toDateOnly(shift.date),
+      shift.position,
+      String(requesterDoctorId),
+      counter?.id ?? null,
+      counter ? toDateOnly(counter.date) : null,
+      counter?.position ?? null,
+      counter?.doctor_id ? String(counter.doctor_id) : null,
+      message?.trim() || null,
+      createdBy || null,
+    ]
+  );
+  return loadSwap(tenantDb, id);
+}
+
+// ─── LIST ────────────────────────────────────────────────────────────────────
+
+interface ListShiftSwapsDeps {
+  tenantDb: Pool;
+  /** Employee view: own swaps plus the open offers of colleagues. */
+  doctorId?: string | null;
+  /** Approver view: every swap of the tenant. */
+  all?: boolean;
+  status?: string | null;
+}
+
+export async function listShiftSwaps({ tenantDb, doctorId, all = false, status }: ListShiftSwapsDeps): Promise<ShiftSwapRow[]> {
+  if (!all && !doctorId) return [];
+  await ensureShiftSwapTables(tenantDb);
+
+  const since = new Date();
+  since.setDate(since.getDate() - SWAP_HISTORY_DAYS);
+  const conditions: string[] = ['shift_date >= ?'];
+  const params: string[] = [format(since, 'yyyy-MM-dd')];
+
+  if (!all) {
+    conditions.push(
+      `(requester_doctor_id = ? OR target_doctor_id = ? OR accepted_by_doctor_id = ?
+        OR (type = 'offer' AND status = 'open'))`
+    );
+    params.push(String(doctorId), String(doctorId), String(doctorId));
+  }
+  if (status && SHIFT_SWAP_STATUSES.includes(status as ShiftSwapStatus)) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const [rows] = await tenantDb.execute<ShiftSwapRow[]>(
+    `SELECT * FROM ShiftSwapRequest WHERE ${conditions.join(' AND ')} ORDER BY shift_date ASC, created_date ASC`,
+    params
+  );
+  return rows;
+}
+
+// ─── ACCEPT / WITHDRAW ───────────────────────────────────────────────────────
+
+interface AcceptShiftSwapDeps {
+  tenantDb: Pool;
+  swapId: string;
+  doctorId: string;
+}
+
+/**
+ * A colleague accepts an offer or a trade addressed to them. The swap then
+ * waits for an approver.
+ *
+ * @throws {Error} mit .statusCode = 403/404/409/422
+ */
+export async function acceptShiftSwap({ tenantDb, swapId, doctorId }: AcceptShiftSwapDeps): Promise<ShiftSwapRow> {
+  await ensureShiftSwapTables(tenantDb);
+  const swap = await loadSwap(tenantDb, swapId);
+
+  if (swap.status !== 'open') {
+    throw swapError('Die Tauschanfrage ist nicht mehr offen.', 409);
+  }
+  if (String(swap.requester_doctor_id) === String(doctorId)) {
+    throw swapError('Eigene Tauschanfragen können nicht angenommen werden.', 422);
+  }
+  if (swap.type === 'trade' && String(swap.target_doctor_id) !== String(doctorId)) {
+    throw swapError('Dieser Tausch ist an einen anderen Kollegen gerichtet.', 403);
+  }
+
+  const [result] = await tenantDb.execute<ResultSetHeader>(
+    `UPDATE ShiftSwapRequest
+        SET status = 'accepted', accepted_by_doctor_id = ?, accepted_date = NOW()
+      WHERE id = ? AND status = 'open'`,
+    [String(doctorId), swapId]
+  );
+  if (result.affectedRows === 0) {
+    throw swapError('Die Tauschanfrage wurde inzwischen von jemand anderem angenommen.', 409);
+  }
+  return loadSwap(tenantDb, swapId);
+}
+
+interface CancelShiftSwapDeps {
+  tenantDb: Pool;
+  swapId: string;
+  /** Doctor linked to the acting user, if any. */
+  doctorId: string | null;
+  /** Approvers may cancel any swap they are not the accepting colleague of. */
+  isApprover?: boolean;
+}
+
+/**
+ * The requester (or an approver) cancels the swap; the accepting colleague
+ * only withdraws their acceptance, which reopens it.
+ *
+ * @throws {Error} mit .statusCode = 403/404/409
+ */
+export async function cancelShiftSwap({
+  tenantDb,
+  swapId,
+  doctorId,
+  isApprover = false,
+}: CancelShiftSwapDeps): Promise<{ request: ShiftSwapRow; previousAcceptorId: string | null }> {
+  await ensureShiftSwapTables(tenantDb);
+  const swap = await loadSwap(tenantDb, swapId);
+
+  if (!ACTIVE_SWAP_STATUSES.includes(swap.status)) {
+    throw swapError('Abgeschlossene Tauschanfragen können nicht zurückgezogen werden.', 409);
+  }
+
+  const isAcceptor = doctorId !== null && String(swap.accepted_by_doctor_id) === String(doctorId);
+  const isRequester = (doctorId !== null && String(swap.requester_doctor_id) === String(doctorId))
+    || (isApprover && !isAcceptor);
+  if (!isRequester && !isAcceptor) {
+    throw swapError('Sie können nur eigene Tauschanfragen zurückziehen.', 403);
+  }
+
+  if (isRequester) {
+    await tenantDb.execute<ResultSetHeader>(
+      "UPDATE ShiftSwapRequest SET status = 'cancelled' WHERE id = ?",
+      [swapId]
+    );
+  } else {
+    await tenantDb.execute<ResultSetHeader>(
+      `UPDATE ShiftSwapRequest
+          SET status = 'open', accepted_by_doctor_id = NULL, accepted_date = NULL
+        WHERE id = ?`,
+      [swapId]
+    );
+  }
+  return { request: await loadSwap(tenantDb, swapId), previousAcceptorId: swap.accepted_by_doctor_id };
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+interface SwapMove {
+  date: string;
+  position: string;
+  /** Doctor who receives the service. */
+  to: string;
+}
+
+async function selectOptionalRows(dbPool: Pool, sql: string, params: unknown[] = []): Promise<RowDataPacket[]> {
+  try {
+    const [rows] = await dbPool.execute<RowDataPacket[]>(sql, params);
+    return rows;
+  } catch (error) {
+    // Qualification tables may not exist in older tenants
+    if ((error as { code?: string }).code === 'ER_NO_SUCH_TABLE') return [];
+    throw error;
+  }
+}
+
+/** Doctors, workplaces, qualifications and the entries of `dates` in the shape of `swapValidation.ts`. */
+async function loadSwapValidationData(tenantDb: Pool, masterDb: Pool | undefined, dates: string[]): Promise<ValidationData> {
+  const [doctorRows, workplaceRows, doctorQualRows, qualificationRows, workplaceQualRows] = await Promise.all([
+    selectOptionalRows(tenantDb, 'SELECT id, name FROM Doctor'),
+    selectOptionalRows(tenantDb, 'SELECT id, name FROM Workplace'),
+    selectOptionalRows(tenantDb, 'SELECT * FROM DoctorQualification'),
+    selectOptionalRows(tenantDb, 'SELECT * FROM Qualification'),
+    selectOptionalRows(tenantDb, 'SELECT workplace_id, qualification_id, is_mandatory, is_excluded FROM WorkplaceQualification'),
+  ]);
+  const entriesByDate: Array<Array<Record<string, unknown>>> = await Promise.all(dates.map((date) => (masterDb
+    ? listShiftEntriesWithCentralAbsences({ tenantDb, masterDb, filters: { date } })
+    : selectOptionalRows(tenantDb, 'SELECT * FROM ShiftEntry WHERE date = ?', [date]))));
+
+  // Same evidence rule as loadAutoFillInput()
+  const qualificationById = new Map(qualificationRows.map((row) => [String(row.id), row as EvidenceQualification]));
+  const qualifications: QualificationsData = { workplaceQuals: {}, doctorQuals: {}, doctorQualBlockedFrom: {} };
+  for (const row of doctorQualRows) {
+    const doctorId = String(row.doctor_id);
+    const qualificationId = String(row.qualification_id);
+    (qualifications.doctorQuals[doctorId] ??= []).push(qualificationId);
+    const blockedFrom = getEvidenceBlockedFrom(qualificationById.get(qualificationId), row as EvidenceDoctorQualification);
+    if (blockedFrom) (qualifications.doctorQualBlockedFrom![doctorId] ??= {})[qualificationId] = blockedFrom;
+  }
+  for (const row of workplaceQualRows) {
+    (qualifications.workplaceQuals[String(row.workplace_id)] ??= []).push({
+      qualification_id: String(row.qualification_id),
+      is_mandatory: Boolean(row.is_mandatory),
+      is_excluded: Boolean(row.is_excluded),
+    });
+  }
+
+  return {
+    doctors: doctorRows.map((row) => ({ id: String(row.id), name: String(row.name ?? '') })),
+    workplaces: workplaceRows.map((row) => ({ id: String(row.id), name: String(row.name ?? '') })),
+    existingShifts: entriesByDate.flat()
+      .filter((row) => row.doctor_id)
+      .map((row) => ({ date: toDateOnly(row.date), doctor_id: String(row.doctor_id), position: String(row.position ?? '') })),
+    qualifications,
+  };
+}
+
+/**
+ * Runs the AutoFill swap validation for an approval: `validateSwap` when two
+ * services of the same day change hands, `validateHandover` for every
+ * receiving doctor otherwise.
+ *
+ * @throws {Error} mit .statusCode = 422
+ */
+async function assertSwapMovesValid(tenantDb: Pool, masterDb: Pool | undefined, moves: SwapMove[]): Promise<void> {
+  const data = await loadSwapValidationData(tenantDb, masterDb, [...new Set(moves.map((move) => move.date))]);
+  const nameById = new Map(data.doctors.map((doctor) => [doctor.id, doctor.name]));
+  const nameOf = (doctorId: string): string => nameById.get(String(doctorId)) ?? String(doctorId);
+
+  const results: ValidationResult[] = [];
+  const [first, second] = moves;
+  if (moves.length === 2 && first.date === second.date) {
+    results.push(validateSwap(
+      { date: first.date, doctor1: nameOf(second.to), position1: first.position, doctor2: nameOf(first.to), position2: second.position },
+      [
+        { date: first.date, doctor_id: String(second.to), position: first.position },
+        { date: second.date, doctor_id: String(first.to), position: second.position },
+      ],
+      data
+    ));
+  } else {
+    for (const move of moves) {
+      results.push(validateHandover({ date: move.date, doctor: nameOf(move.to), position: move.position }, data));
+    }
+  }
+
+  const failed = results.find((result) => !result.valid);
+  if (failed) {
+    throw swapError(`Der Tausch verletzt eine Planungsregel (${failed.reason}).`, 422);
+  }
+}
+
+// ─── DECIDE (transaktional: Approve → ShiftEntry) ────────────────────────────
+
+interface DecideShiftSwapDeps {
+  tenantDb: Pool;
+  /** Master DB for the central absences; without it only tenant entries count. */
+  masterDb?: Pool;
+  swapId: string;
+  status: string;
+  decidedBy: string | null | undefined;
+  comment?: string | null;
+}
+
+interface DecideShiftSwapResult {
+  request: ShiftSwapRow;
+  /** ShiftEntry rows whose owner changed (approve only). */
+  changedShifts: ShiftOwnerChange[];
+}
+
+/**
+ * Approves or rejects a swap. On approval the offered service moves to the
+ * accepting colleague and, for a trade, the counter service to the requester.
+ * An approval that fails the swap validation is refused with 422.
+ *
+ * @throws {Error} mit .statusCode = 404/409/422
+ */
+export async function decideShiftSwap({
+  tenantDb,
+  masterDb,
+  swapId,
+  status,
+  decidedBy,
+  comment,
+}: DecideShiftSwapDeps): Promise<DecideShiftSwapResult> {
+  if (status !== 'approved' && status !== 'rejected') {
+    throw swapError("Status muss 'approved' oder 'rejected' sein.", 422);
+  }
+  await ensureShiftSwapTables(tenantDb);
+
+  const connection: PoolConnection = await tenantDb.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const swap = await loadSwap(connection, swapId, true);
+    if (!ACTIVE_SWAP_STATUSES.includes(swap.status)) {
+      throw swapError(`Tauschanfrage hat bereits Status "${swap.status}".`, 409);
+    }
+
+    const changedShifts: ShiftOwnerChange[] = [];
+    if (status === 'approved') {
+      if (swap.status !== 'accepted' || !swap.accepted_by_doctor_id) {
+        throw swapError('Der Tausch wurde noch von keinem Kollegen angenommen.', 409);
+      }
+
+      const moves: Array<{ shiftId: string; from: string; to: string }> = [
+        { shiftId: swap.shift_id, from: swap.requester_doctor_id, to: swap.accepted_by_doctor_id },
+      ];
+      if (swap.counter_shift_id) {
+        moves.push({ shiftId: swap.counter_shift_id, from: swap.accepted_by_doctor_id, to: swap.requester_doctor_id });
+      }
+
+      const locked: Array<{ move: typeof moves[number]; before: RowDataPacket }> = [];
+      for (const move of moves) {
+        const [rows] = await connection.execute<RowDataPacket[]>(
+          'SELECT * FROM ShiftEntry WHERE id = ? LIMIT 1 FOR UPDATE',
+          [move.shiftId]
+        );
+        const before = rows[0];
+        if (!before || String(before.doctor_id) !== String(move.from)) {
+          throw swapError('Der Dienstplan hat sich inzwischen geändert. Bitte den Tausch ablehnen und neu anfragen.', 409);
+        }
+        locked.push({ move, before });
+      }
+
+      await assertSwapMovesValid(tenantDb, masterDb, locked.map(({ move, before }) => ({
+        date: toDateOnly(before.date),
+        position: String(before.position ?? ''),
+        to: move.to,
+      })));
+
+      for (const { move, before } of locked) {
+        // Bump the row version (tenants after migration 030) so open editors see the change as a conflict
+        const versioned = before[VERSION_COLUMN] !== undefined;
+        await connection.execute<ResultSetHeader>(
+          `UPDATE ShiftEntry SET doctor_id = ?, updated_date = NOW()${versioned ? `, \`${VERSION_COLUMN}\` = \`${VERSION_COLUMN}\` + 1` : ''} WHERE id = ?`,
+          [move.to, move.shiftId]
+        );
+        const after: Record<string, unknown> = { ...before, doctor_id: move.to };
+        if (versioned) after[VERSION_COLUMN] = Number(before[VERSION_COLUMN]) + 1;
+        changedShifts.push({ before: { ...before }, after });
+      }
+    }
+
+    await connection.execute<ResultSetHeader>(
+      `UPDATE ShiftSwapRequest
+          SET status = ?, decided_by = ?, decided_date = NOW(), decision_comment = ?
+        WHERE id = ?`,
+      [status, decidedBy || null, comment?.trim() || null, swapId]
+    );
+
+    await connection.commit();
+    return { request: await loadSwap(tenantDb, swapId), changedShifts };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+
+export type ShiftSwapEvent = 'created' | 'accepted' | 'withdrawn' | 'cancelled' | 'approved' | 'rejected';
+
+interface SwapMail {
+  to: string;
+  name: string;
+}
+
+/**
+ * Email addresses of active admins with `can_edit_schedule` who may open the
+ * given tenant (empty `allowed_tenants` = all tenants).
+ */
+export async function listSwapApproverEmails(masterDb: Pool, tenantId: string | null): Promise<string[]> {
+  const [rows] = await masterDb.execute<ApproverRow[]>(
+    "SELECT email, role, permissions, allowed_tenants FROM app_users WHERE role = 'admin' AND is_active = 1"
+  );
+  return rows
+    .filter((row) => {
+      if (!tenantId) return true;
+      let allowed: unknown = row.allowed_tenants;
+      if (typeof allowed === 'string') {
+        try { allowed = JSON.parse(allowed); } catch { allowed = null; }
+      }
+      return !Array.isArray(allowed) || allowed.length === 0 || allowed.map(String).includes(tenantId);
+    })
+    .filter((row) => hasPermission(row, 'can_edit_schedule'))
+    .map((row) => row.email)
+    .filter(Boolean);
+}
+
+function describeSwapShift(date: string | null, position: string | null): string {
+  if (!date) return position ?? '';
+  return `${position} am ${format(parseISO(toDateOnly(date)), 'EEEEEE, dd.MM.yyyy', { locale: de })}`;
+}
+
+/** Subject and message of the mail for an event. */
+export function describeShiftSwapEvent(
+  event: ShiftSwapEvent,
+  swap: ShiftSwapRow,
+  names: Record<string, string>,
+): { subject: string; text: string } {
+  const requester = names[swap.requester_doctor_id] ?? 'Ein Kollege';
+  const acceptor = swap.accepted_by_doctor_id ? names[swap.accepted_by_doctor_id] ?? 'Ein Kollege' : null;
+  const shift = describeSwapShift(swap.shift_date, swap.shift_position);
+  const counter = swap.counter_shift_id ? describeSwapShift(swap.counter_shift_date, swap.counter_shift_position) : null;
+  const subject = `[CuraFlow] Diensttausch ${shift}`;
+  const deal = counter ? `${shift} gegen ${counter}` : shift;
+
+  switch (event) {
+    case 'created':
+      return { subject, text: `${requester} möchte mit Ihnen tauschen: ${deal}.` };
+    case 'accepted':
+      return { subject, text: `${acceptor} hat den Tausch ${deal} angenommen. Er wartet jetzt auf die Genehmigung.` };
+    case 'withdrawn':
+      return { subject, text: `${acceptor ?? 'Der Kollege'} hat die Annahme des Tauschs ${deal} zurückgezogen.` };
+    case 'cancelled':
+      return { subject, text: `${requester} hat die Tauschanfrage ${deal} zurückgezogen.` };
+    case 'approved':
+      return { subject, text: `Der Tausch ${deal} zwischen ${requester} und ${acceptor} wurde genehmigt und in den Dienstplan übernommen.` };
+    case 'rejected':
+      return { subject, text: `Der Tausch ${deal} wurde abgelehnt.` };
+  }
+}
+
+/** Which doctors of the swap are mailed for an event (approvers handled separately). */
+export function shiftSwapRecipientDoctorIds(event: ShiftSwapEvent, swap: ShiftSwapRow, previousAcceptorId: string | null = null): string[] {
+  switch (event) {
+    case 'created':
+      return swap.target_doctor_id ? [swap.target_doctor_id] : [];
+    case 'accepted':
+    case 'withdrawn':
+      return [swap.requester_doctor_id];
+    case 'cancelled':
+      return [previousAcceptorId ?? swap.target_doctor_id].filter((id): id is string => Boolean(id));
+    case 'approved':
+    case 'rejected':
+      return [swap.requester_doctor_id, swap.accepted_by_doctor_id].filter((id): id is string => Boolean(id));
+  }
+}
+
+interface NotifyShiftSwapDeps {
+  tenantDb: Pool;
+  masterDb: Pool;
+  tenantId: string | null;
+  event: ShiftSwapEvent;
+  swap: ShiftSwapRow;
+  /** Colleague who had accepted before a cancellation. */
+  previousAcceptorId?: string | null;
+}
+
+/**
+ * Mails the involved employees (respecting `receive_email_notifications`)
+ * and, once a colleague accepted, the approvers. Never throws — a failed mail
+ * must not undo the swap step.
+ */
+export async function notifyShiftSwap({
+  tenantDb,
+  masterDb,
+  tenantId,
+  event,
+  swap,
+  previousAcceptorId = null,
+}: NotifyShiftSwapDeps): Promise<{ sentCount: number; errors: string[] }> {
+  const result = { sentCount: 0, errors: [] as string[] };
+  if (!getEmailProviderInfo().configured) return result;
+
+  try {
+    const doctorIds = [swap.requester_doctor_id, swap.target_doctor_id, swap.accepted_by_doctor_id, previousAcceptorId]
+      .filter((id): id is string => Boolean(id));
+    const [doctors] = await tenantDb.execute<SwapDoctorRow[]>(
+      `SELECT id, name, email, receive_email_notifications FROM Doctor WHERE id IN (${doctorIds.map(() => '?').join(', ')})`,
+      doctorIds
+    );
+    const names = Object.fromEntries(doctors.map((d) => [String(d.id), d.name]));
+    const { subject, text } = describeShiftSwapEvent(event, swap, names);
+
+    const recipientIds = new Set(shiftSwapRecipientDoctorIds(event, swap, previousAcceptorId));
+    const mails: SwapMail[] = doctors
+      .filter((d) => recipientIds.has(String(d.id)) && d.email?.trim() && d.receive_email_notifications)
+      .map((d) => ({ to: String(d.email).trim(), name: d.name }));
+    if (event === 'accepted') {
+      for (const email of await listSwapApproverEmails(masterDb, tenantId)) {
+        mails.push({ to: email, name: '' });
+      }
+    }
+
+    for (const mail of mails) {
+      try {
+        await sendEmail({
+          to: mail.to,
+          subject,
+          text: [`Hallo${mail.name ? ` ${mail.name}` : ''},`, '', text, '', 'Viele Grüße,', 'Ihr CuraFlow-System'].join('\n'),
+          html: `
+            <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;color:#1e293b">
+              <h2 style="color:#4f46e5">Diensttausch</h2>
+              <p>Hallo${mail.name ? ` <strong>${escapeHtml(mail.name)}</strong>` : ''},</p>
+              <p>${escapeHtml(text)}</p>
+              <p style="font-size:13px;color:#94a3b8;margin-top:32px">Diese E-Mail wurde automatisch von CuraFlow versendet.</p>
+            </div>
+          `,
+        });
+        result.sentCount++;
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.error(`[ShiftSwap] Fehler beim Senden an ${mail.to}:`, message);
+        result.errors.push(message);
+      }
+    }
+  } catch (err) {
+    console.error('[ShiftSwap] Benachrichtigung fehlgeschlagen:', err instanceof Error ? err.message : String(err));
+  }
+  return result;
+}
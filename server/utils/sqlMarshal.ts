@@ -56,7 +56,7 @@ export const fromSqlRow = (row: Record<string, unknown> | null): Record<string,
     }
 
     const boolFields = [
-      'receive_email_notifications', 'exclude_from_staffing_plan',
+      'receive_email_notifications', 'exclude_from_staffing_plan', 'working_time_opt_out',
       'user_viewed', 'auto_off', 'show_in_service_plan',
       'allows_rotation_concurrently', 'allows_absence_overlap',
       'allows_multiple',
@@ -0,0 +1,267 @@
+/**
+ * Swap validation for AI AutoFill (`server/routes/aiAutofill.ts`) and for
+ * approvals in the Diensttausch-Börse (`shiftSwaps.ts`).
+ *
+ * A swap exchanges the positions of two doctors on the same day of a base
+ * plan produced by the deterministic engine. Every swap — suggested by the
+ * LLM or found by the local optimizer (`localSwapOptimizer.ts`) — must pass
+ * `validateSwap` before it is applied, so the optimized plan keeps the
+ * engine's guarantees.
+ */
+
+import { ABSENCE_POSITIONS } from './autoFillModel.js';
+
+export interface Doctor {
+  id: string;
+  name: string;
+  [key: string]: unknown;
+}
+
+export interface Workplace {
+  id: string;
+  name: string;
+  auto_off?: boolean;
+  [key: string]: unknown;
+}
+
+export interface ShiftEntry {
+  date: string;
+  doctor_id: string;
+  position: string;
+  [key: string]: unknown;
+}
+
+/** Doctors are referenced by name (the format the LLM works with). */
+export interface SwapData {
+  date: string;
+  doctor1: string;
+  doctor2: string;
+  position1: string;
+  position2: string;
+  reason?: string;
+}
+
+/** A position that moves to `doctor` (referenced by name like in `SwapData`). */
+export interface HandoverData {
+  date: string;
+  doctor: string;
+  position: string;
+}
+
+export interface QualificationsData {
+  workplaceQuals: Record<string, Array<{ qualification_id: string; is_mandatory: boolean; is_excluded: boolean }>>;
+  doctorQuals: Record<string, string[]>;
+  /** doctorId → qualificationId → first day the qualification is blocked for lack of valid evidence. */
+  doctorQualBlockedFrom?: Record<string, Record<string, string>>;
+}
+
+/** Qualifications of a doctor that count on `dateStr`, i.e. without lapsed mandatory evidence. */
+export function usableDoctorQuals(qualifications: QualificationsData | undefined, doctorId: string, dateStr: string): string[] {
+  const quals = qualifications?.doctorQuals[doctorId] || [];
+  const blocked = qualifications?.doctorQualBlockedFrom?.[doctorId];
+  if (!blocked) return quals;
+  return quals.filter((id) => !blocked[id] || dateStr < blocked[id]);
+}
+
+export interface ValidationData {
+  doctors: Doctor[];
+  workplaces: Workplace[];
+  existingShifts: ShiftEntry[];
+  qualifications: QualificationsData;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  reason: string;
+  checks: Array<Record<string, unknown>>;
+}
+
+function isAbsent(existingShifts: ShiftEntry[] | undefined, docId: string, dateStr: string): boolean {
+  return (existingShifts || []).some(s => s.date === dateStr && s.doctor_id === docId && ABSENCE_POSITIONS.includes(s.position));
+}
+
+function hasNotQualification(qualifications: QualificationsData | undefined, docId: string, wpId: string): boolean {
+  const excl = (qualifications?.workplaceQuals[wpId] || [])
+    .filter(q => !q.is_mandatory && q.is_excluded)
+    .map(q => q.qualification_id);
+  const docQuals = qualifications?.doctorQuals[docId] || [];
+  return excl.length > 0 && excl.some(q => docQuals.includes(q));
+}
+
+export function validateSwap(swap: SwapData, basePlan: ShiftEntry[], data: ValidationData): ValidationResult {
+  const { date, doctor1, doctor2, position1, position2 } = swap;
+  const { doctors, workplaces, existingShifts, qualifications } = data;
+  const checks: Array<Record<string, unknown>> = [];
+
+  const reject = (reason: string, meta: Record<string, unknown> | null = null): ValidationResult => {
+    checks.push({ check: 'result', ok: false, reason, ...(meta ? { meta } : {}) });
+    return { valid: false, reason, checks };
+  };
+
+  // Find doctors
+  const doc1 = doctors.find(d => d.name === doctor1);
+  const doc2 = doctors.find(d => d.name === doctor2);
+  checks.push({
+    check: 'doctorLookup',
+    ok: Boolean(doc1 && doc2),
+    meta: {
+      doctor1,
+      doctor2,
+      doctor1Found: Boolean(doc1),
+      doctor2Found: Boolean(doc2),
+    },
+  });
+  if (!doc1 || !doc2) return reject('Unknown doctor name');
+
+  const wp1 = workplaces.find(w => w.name === position1);
+  const wp2 = workplaces.find(w => w.name === position2);
+  checks.push({
+    check: 'positionLookup',
+    ok: Boolean(wp1 && wp2),
+    meta: {
+      position1,
+      position2,
+      position1Found: Boolean(wp1),
+      position2Found: Boolean(wp2),
+    },
+  });
+  if (!wp1 || !wp2) return reject('Unknown position');
+
+  // Verify swap source assignments exist in base plan
+  const hasDoc1AtPosition1 = basePlan.some(s => s.date === date && s.doctor_id === doc1.id && s.position === position1);
+  const hasDoc2AtPosition2 = basePlan.some(s => s.date === date && s.doctor_id === doc2.id && s.position === position2);
+  checks.push({
+    check: 'sourceAssignmentsExist',
+    ok: hasDoc1AtPosition1 && hasDoc2AtPosition2,
+    meta: {
+      date,
+      hasDoc1AtPosition1,
+      hasDoc2AtPosition2,
+    },
+  });
+  if (!hasDoc1AtPosition1 || !hasDoc2AtPosition2) {
+    return reject('Swap source assignment missing in base plan', {
+      date,
+      doctor1,
+      position1,
+      doctor2,
+      position2,
+    });
+  }
+
+  // Check absences
+  const doc1Absent = isAbsent(existingShifts, doc1.id, date);
+  const doc2Absent = isAbsent(existingShifts, doc2.id, date);
+  checks.push({
+    check: 'absenceCheck',
+    ok: !doc1Absent && !doc2Absent,
+    meta: { date, doc1Absent, doc2Absent },
+  });
+  if (doc1Absent || doc2Absent) {
+    return reject(`Doctor is absent on ${date}`);
+  }
+
+  // Check NOT-qualifications: doc1 → pos2, doc2 → pos1
+  const doc1NotQual = hasNotQualification(qualifications, doc1.id, wp2.id);
+  checks.push({
+    check: 'notQualificationDoc1ToPos2',
+    ok: !doc1NotQual,
+    meta: { doctor: doctor1, targetPosition: position2 },
+  });
+  if (doc1NotQual) {
+    return reject(`${doctor1} has NOT-qualification for ${position2}`);
+  }
+  const doc2NotQual = hasNotQualification(qualifications, doc2.id, wp1.id);
+  checks.push({
+    check: 'notQualificationDoc2ToPos1',
+    ok: !doc2NotQual,
+    meta: { doctor: doctor2, targetPosition: position1 },
+  });
+  if (doc2NotQual) {
+    return reject(`${doctor2} has NOT-qualification for ${position1}`);
+  }
+
+  // Check mandatory qualifications: doc1 must have all Pflicht for pos2, doc2 for pos1
+  const checkMandatory = (docId: string, wpId: string): boolean => {
+    const reqs = (qualifications?.workplaceQuals[wpId] || [])
+      .filter(q => q.is_mandatory && !q.is_excluded)
+      .map(q => q.qualification_id);
+    if (reqs.length === 0) return true;
+    const docQuals = usableDoctorQuals(qualifications, docId, date);
+    return reqs.every(r => docQuals.includes(r));
+  };
+
+  // Only check if the target position has mandatory quals — allow soft fallback
+  // (the deterministic engine also falls back, so we should too)
+
+  checks.push({
+    check: 'mandatoryQualificationSoftFallback',
+    ok: true,
+    meta: {
+      doc1HasMandatoryForPos2: checkMandatory(doc1.id, wp2.id),
+      doc2HasMandatoryForPos1: checkMandatory(doc2.id, wp1.id),
+      note: 'Informational only; does not reject swap by design',
+    },
+  });
+
+  checks.push({ check: 'result', ok: true, reason: 'Swap valid' });
+  return { valid: true, reason: 'Swap valid', checks };
+}
+
+/**
+ * One-sided variant of `validateSwap` for a position that changes owner
+ * without a counter position (Diensttausch-Börse: an offered service, or one
+ * half of a trade across two days). Runs the same hard checks for the
+ * receiving doctor: known doctor and position, no absence, no NOT-qualification.
+ */
+export function validateHandover(handover: HandoverData, data: ValidationData): ValidationResult {
+  const { date, doctor, position } = handover;
+  const { doctors, workplaces, existingShifts, qualifications } = data;
+  const checks: Array<Record<string, unknown>> = [];
+
+  const reject = (reason: string): ValidationResult => {
+    checks.push({ check: 'result', ok: false, reason });
+    return { valid: false, reason, checks };
+  };
+
+  const doc = doctors.find(d => d.name === doctor);
+  checks.push({ check: 'doctorLookup', ok: Boolean(doc), meta: { doctor } });
+  if (!doc) return reject('Unknown doctor name');
+
+  const wp = workplaces.find(w => w.name === position);
+  checks.push({ check: 'positionLookup', ok: Boolean(wp), meta: { position } });
+  if (!wp) return reject('Unknown position');
+
+  const absent = isAbsent(existingShifts, doc.id, date);
+  checks.push({ check: 'absenceCheck', ok: !absent, meta: { date, absent } });
+  if (absent) return reject(`Doctor is absent on ${date}`);
+
+  const notQual = hasNotQualification(qualifications, doc.id, wp.id);
+  checks.push({ check: 'notQualification', ok: !notQual, meta: { doctor, targetPosition: position } });
+  if (notQual) return reject(`${doctor} has NOT-qualification for ${position}`);
+
+  checks.push({ check: 'result', ok: true, reason: 'Handover valid' });
+  return { valid: true, reason: 'Handover valid', checks };
+}
+
+export function applySwaps(basePlan: ShiftEntry[], validSwaps: SwapData[], idByName: Record<string, string>): ShiftEntry[] {
+  const plan = basePlan.map(s => ({ ...s })); // deep copy
+
+  for (const swap of validSwaps) {
+    const doc1Id = idByName[swap.doctor1];
+    const doc2Id = idByName[swap.doctor2];
+    if (!doc1Id || !doc2Id) continue;
+
+    // Find entries to swap
+    const idx1 = plan.findIndex(s => s.date === swap.date && s.doctor_id === doc1Id && s.position === swap.position1);
+    const idx2 = plan.findIndex(s => s.date === swap.date && s.doctor_id === doc2Id && s.position === swap.position2);
+
+    if (idx1 !== -1 && idx2 !== -1) {
+      // Swap positions
+      plan[idx1].position = swap.position2;
+      plan[idx2].position = swap.position1;
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,356 @@
+/**
+ * Tenant database backup and restore.
+ *
+ * A backup is a complete logical SQL dump of the tenant database produced by
+ * `generateSqlDump` (server/utils/masterDbDump.ts) without the row cap. It
+ * is gzipped and stored in the MasterDB table `TenantBackup`, partitioned by
+ * `tenant_key = sha256(host:database)`. Only the newest
+ * `BACKUP_RETENTION_COUNT` backups (default 10) are kept per tenant. Every
+ * backup, restore and retention cleanup is logged to the tenant's `BackupLog`.
+ *
+ * The dump uses restore-in-place DDL: existing tables keep their structure
+ * and indexes, only their rows are replaced (`DELETE FROM` + `INSERT`), and
+ * missing tables are created. A restore is validated first (`dryRun`), then
+ * creates missing tables and replaces all rows in a single transaction.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import type { Pool, RowDataPacket } from 'mysql2/promise';
+import { generateSqlDump } from './masterDbDump.js';
+import { isValidIdentifier } from './schema.js';
+
+/** Never part of a backup: the backup archive itself and the log of backups/restores. */
+export const BACKUP_EXCLUDED_TABLES = ['BackupLog', 'TenantBackup'];
+
+const DEFAULT_RETENTION_COUNT = 10;
+
+export type BackupKind = 'manual' | 'pre-restore';
+
+export interface TenantBackupSummary {
+  id: string;
+  kind: BackupKind;
+  file_name: string;
+  table_count: number;
+  row_count: number;
+  size_bytes: number;
+  checksum: string;
+  created_by: string | null;
+  created_date: string;
+}
+
+interface TenantBackupRow extends RowDataPacket, TenantBackupSummary {}
+
+interface TenantBackupDataRow extends RowDataPacket, TenantBackupSummary {
+  dump_data: Buffer;
+}
+
+interface ColumnNameRow extends RowDataPacket {
+  TABLE_NAME: string;
+  COLUMN_NAME: string;
+}
+
+export interface RestorePlanTable {
+  table: string;
+  rows: number;
+  exists: boolean;
+  currentRows: number | null;
+}
+
+export interface RestorePlan {
+  valid: boolean;
+  statementCount: number;
+  tables: RestorePlanTable[];
+  /** Tables of the current database that the backup does not contain; they stay untouched. */
+  untouchedTables: string[];
+  errors: string[];
+}
+
+type DumpStatementKind = 'set' | 'create' | 'delete' | 'insert';
+
+interface DumpStatement {
+  kind: DumpStatementKind;
+  table: string | null;
+  sql: string;
+}
+
+export function getBackupRetentionCount(): number {
+  const parsed = Number.parseInt(process.env.BACKUP_RETENTION_COUNT ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_RETENTION_COUNT;
+}
+
+/** Write a BackupLog row; logging must never fail the backup itself. */
+export async function writeBackupLog(tenantDb: Pool, status: string, message: string): Promise<void> {
+  await tenantDb.execute(
+    'INSERT INTO BackupLog (id, status, message, created_date) VALUES (?, ?, ?, NOW())',
+    [crypto.randomUUID(), status, message],
+  ).catch((err: Error) => {
+    console.error('[Backup] Failed to write BackupLog:', err.message);
+  });
+}
+
+/**
+ * Dump the tenant database, store it gzipped in `TenantBackup` and apply the
+ * retention policy.
+ */
+export async function createTenantBackup(
+  tenantDb: Pool,
+  masterDb: Pool,
+  { tenantKey, createdBy, kind = 'manual' }: { tenantKey: string; createdBy: string | null; kind?: BackupKind },
+): Promise<{ backup: TenantBackupSummary; deletedCount: number }> {
+  try {
+    const dump = await generateSqlDump(tenantDb, {
+      title: 'CuraFlow Tenant Backup',
+      maxRowsPerTable: null,
+      includeEmptyTables: true,
+      excludeTables: BACKUP_EXCLUDED_TABLES,
+      ddl: 'create-if-missing',
+    });
+    if (dump.skipped.length > 0) {
+      throw new Error(`Tabellen konnten nicht gesichert werden: ${dump.skipped.join(', ')}`);
+    }
+
+    const data = zlib.gzipSync(Buffer.from(dump.sql, 'utf-8'));
+    const createdDate = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const backup: TenantBackupSummary = {
+      id: crypto.randomUUID(),
+      kind,
+      file_name: `curaflow_backup_${createdDate.replace(/[: ]/g, '-')}.sql`,
+      table_count: dump.tables.length,
+      row_count: dump.tables.reduce((sum, t) => sum + t.rows, 0),
+      size_bytes: data.length,
+      checksum: crypto.createHash('sha256').update(dump.sql).digest('hex'),
+      created_by: createdBy,
+      created_date: createdDate,
+    };
+
+    await masterDb.execute(
+      `INSERT INTO TenantBackup
+         (id, tenant_key, kind, file_name, table_count, row_count, size_bytes, checksum, dump_data, created_by, created_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [backup.id, tenantKey, backup.kind, backup.file_name, backup.table_count, backup.row_count,
+        backup.size_bytes, backup.checksum, data, backup.created_by, backup.created_date],
+    );
+    await writeBackupLog(
+      tenantDb,
+      'success',
+      `Backup ${backup.file_name} (${kind}): ${backup.table_count} Tabellen, ${backup.row_count} Zeilen`,
+    );
+
+    const deletedCount = await applyBackupRetention(tenantDb, masterDb, tenantKey);
+    return { backup, deletedCount };
+  } catch (err) {
+    await writeBackupLog(tenantDb, 'failed', `Backup fehlgeschlagen: ${(err as Error).message}`);
+    throw err;
+  }
+}
+
+/** Delete all but the newest `getBackupRetentionCount()` backups of a tenant. */
+export async function applyBackupRetention(tenantDb: Pool, masterDb: Pool, tenantKey: string): Promise<number> {
+  const keep = getBackupRetentionCount();
+  const [rows] = await masterDb.execute<TenantBackupRow[]>(
+    'SELECT id, file_name FROM TenantBackup WHERE tenant_key = ? ORDER BY created_date DESC, id DESC',
+    [tenantKey],
+  );
+  const expired = rows.slice(keep);
+  if (expired.length === 0) return 0;
+
+  await masterDb.execute(
+    `DELETE FROM TenantBackup WHERE tenant_key = ? AND id IN (${expired.map(() => '?').join(', ')})`,
+    [tenantKey, ...expired.map((r) => r.id)],
+  );
+  await writeBackupLog(
+    tenantDb,
+    'retention',
+    `Aufbewahrung (${keep} Backups): ${expired.map((r) => r.file_name).join(', ')} gelöscht`,
+  );
+  return expired.length;
+}
+
+export async function listTenantBackups(masterDb: Pool, tenantKey: string): Promise<TenantBackupSummary[]> {
+  const [rows] = await masterDb.execute<TenantBackupRow[]>(
+    `SELECT id, kind, file_name, table_count, row_count, size_bytes, checksum, created_by, created_date
+       FROM TenantBackup WHERE tenant_key = ? ORDER BY created_date DESC, id DESC`,
+    [tenantKey],
+  );
+  return rows;
+}
+
+/**
+ * Load and decompress a backup of the tenant.
+ *
+ * @returns null when the backup does not exist for this tenant
+ * @throws when the stored dump does not match its checksum
+ */
+export async function loadTenantBackup(
+  masterDb: Pool,
+  tenantKey: string,
+  backupId: string,
+): Promise<{ backup: TenantBackupSummary; sql: string } | null> {
+  const [rows] = await masterDb.execute<TenantBackupDataRow[]>(
+    `SELECT id, kind, file_name, table_count, row_count, size_bytes, checksum, created_by, created_date, dump_data
+       FROM TenantBackup WHERE id = ? AND tenant_key = ?`,
+    [backupId, tenantKey],
+  );
+  if (rows.length === 0) return null;
+
+  const { dump_data: data, ...backup } = rows[0];
+  const sql = zlib.gunzipSync(data).toString('utf-8');
+  if (crypto.createHash('sha256').update(sql).digest('hex') !== backup.checksum) {
+    throw new Error('Backup ist beschädigt (Prüfsumme stimmt nicht)');
+  }
+  return { backup, sql };
+}
+
+const STATEMENT_PATTERNS: Array<[DumpStatementKind, RegExp]> = [
+  ['set', /^SET NAMES utf8mb4;$/],
+  ['create', /^CREATE TABLE IF NOT EXISTS `([^`]+)` \(/],
+  ['delete', /^DELETE FROM `([^`]+)`;$/],
+  ['insert', /^INSERT INTO `([^`]+)` \(/],
+];
+
+/**
+ * Split a backup dump into statements. Values never contain raw line breaks
+ * (see `escapeSqlValue`), so a statement ends at the first line ending in `;`.
+ *
+ * @throws on statements a tenant backup never contains
+ */
+export function parseDumpStatements(sql: string): DumpStatement[] {
+  const statements: DumpStatement[] = [];
+  let buffer: string[] = [];
+
+  for (const line of sql.split('\n')) {
+    if (buffer.length === 0 && (line.trim() === '' || line.startsWith('--'))) continue;
+    buffer.push(line);
+    if (!line.endsWith(';')) continue;
+
+    const text = buffer.join('\n');
+    buffer = [];
+    const match = STATEMENT_PATTERNS
+      .map(([kind, pattern]) => ({ kind, result: pattern.exec(text) }))
+      .find((m) => m.result);
+    if (!match) {
+      throw new Error(`Unerwartete Anweisung im Backup: ${text.slice(0, 80)}`);
+    }
+    const table = match.result?.[1] ?? null;
+    if (table !== null && (!isValidIdentifier(table) || BACKUP_EXCLUDED_TABLES.includes(table))) {
+      throw new Error(`Ungültige Tabelle im Backup: ${table}`);
+    }
+    statements.push({ kind: match.kind, table, sql: text });
+  }
+
+  if (buffer.length > 0) {
+    throw new Error('Backup ist unvollständig (letzte Anweisung nicht abgeschlossen)');
+  }
+  return statements;
+}
+
+function parseInsertColumns(statement: DumpStatement): string[] {
+  const header = statement.sql.slice(0, statement.sql.indexOf('\n'));
+  const match = /^INSERT INTO `[^`]+` \((.*)\) VALUES$/.exec(header);
+  return match ? match[1].split(', ').map((col) => col.replace(/`/g, '')) : [];
+}
+
+/**
+ * Validate a backup against the current tenant database without writing
+ * anything: every statement must be one the backup generator emits, and the
+ * columns of existing tables must still hold the backed-up data.
+ */
+export async function planTenantRestore(
+  tenantDb: Pool,
+  sql: string,
+): Promise<{ plan: RestorePlan; statements: DumpStatement[] }> {
+  const errors: string[] = [];
+  let statements: DumpStatement[] = [];
+  try {
+    statements = parseDumpStatements(sql);
+  } catch (err) {
+    errors.push((err as Error).message);
+  }
+
+  const [columnRows] = await tenantDb.execute<ColumnNameRow[]>(
+    `SELECT c.TABLE_NAME, c.COLUMN_NAME
+       FROM information_schema.COLUMNS c
+       JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+      WHERE c.TABLE_SCHEMA = DATABASE() AND t.TABLE_TYPE = 'BASE TABLE'`,
+  );
+  const currentColumns = new Map<string, Set<string>>();
+  for (const row of columnRows) {
+    const set = currentColumns.get(row.TABLE_NAME) ?? new Set<string>();
+    set.add(row.COLUMN_NAME);
+    currentColumns.set(row.TABLE_NAME, set);
+  }
+
+  const tables = new Map<string, RestorePlanTable>();
+  for (const statement of statements) {
+    if (!statement.table) continue;
+    const entry = tables.get(statement.table) ?? {
+      table: statement.table,
+      rows: 0,
+      exists: currentColumns.has(statement.table),
+      currentRows: null,
+    };
+    tables.set(statement.table, entry);
+    if (statement.kind !== 'insert') continue;
+
+    // One value row per line after the INSERT header
+    entry.rows += statement.sql.split('\n').length - 1;
+    const existing = currentColumns.get(statement.table);
+    if (existing) {
+      const missing = parseInsertColumns(statement).filter((col) => !existing.has(col));
+      if (missing.length > 0) {
+        errors.push(`${statement.table}: Spalten fehlen in der aktuellen Datenbank (${[...new Set(missing)].join(', ')})`);
+      }
+    }
+  }
+
+  for (const entry of tables.values()) {
+    if (!entry.exists) continue;
+    const [rows] = await tenantDb.execute<RowDataPacket[]>(`SELECT COUNT(*) AS cnt FROM \`${entry.table}\``);
+    entry.currentRows = Number(rows[0]?.cnt ?? 0);
+  }
+
+  const untouchedTables = [...currentColumns.keys()]
+    .filter((table) => !tables.has(table) && !BACKUP_EXCLUDED_TABLES.includes(table))
+    .sort();
+
+  return {
+    plan: {
+      valid: errors.length === 0 && tables.size > 0,
+      statementCount: statements.length,
+      tables: [...tables.values()].sort((a, b) => a.table.localeCompare(b.table)),
+      untouchedTables,
+      errors: tables.size === 0 && errors.length === 0 ? ['Backup enthält keine Tabellen'] : [...new Set(errors)],
+    },
+    statements,
+  };
+}
+
+/**
+ * Apply validated backup statements. Missing tables are created first (DDL
+ * commits implicitly); all row replacements then run in one transaction so
+ * a failed restore leaves the data unchanged.
+ */
+export async function applyTenantRestore(tenantDb: Pool, statements: DumpStatement[]): Promise<void> {
+  const connection = await tenantDb.getConnection();
+  try {
+    await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+    for (const statement of statements.filter((s) => s.kind === 'set' || s.kind === 'create')) {
+      await connection.query(statement.sql);
+    }
+
+    await connection.beginTransaction();
+    try {
+      for (const statement of statements.filter((s) => s.kind === 'delete' || s.kind === 'insert')) {
+        await connection.query(statement.sql);
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    }
+  } finally {
+    await connection.query('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
+    connection.release();
+  }
+}
@@ -347,6 +347,10 @@ export async function runTenantMigrations(dbPool: Pool, cacheKey = 'default'): P
   await addCol('add_doctor_part_time_model',
     `ALTER TABLE Doctor ADD COLUMN part_time_model ENUM('reduced_daily','full_days_off') DEFAULT 'reduced_daily'`);
 
+  // ── Doctor: Individueller Opt-out vom 48h-Durchschnitt (ArbZG §7 Abs. 7) ──
+  await addCol('add_doctor_working_time_opt_out',
+    `ALTER TABLE Doctor ADD COLUMN working_time_opt_out TINYINT(1) DEFAULT 0`);
+
   // ── ShiftTimeRule: Kürzel (short_code) für Dienstmodelle ──
   await addCol('add_shift_time_rule_short_code',
     `ALTER TABLE ShiftTimeRule ADD COLUMN short_code VARCHAR(20) DEFAULT NULL`);
@@ -384,6 +388,47 @@ export async function runTenantMigrations(dbPool: Pool, cacheKey = 'default'): P
   await addCol('add_staffing_status_start_day', `ALTER TABLE StaffingPlanEntry ADD COLUMN status_start_day INT DEFAULT NULL`);
   await addCol('add_staffing_status_end_day', `ALTER TABLE StaffingPlanEntry ADD COLUMN status_end_day INT DEFAULT NULL`);
 
+  // ── ShiftTemplate: Regelwochen (Dienstplan-Vorlagen) ──
+  await createTbl('create_shift_template_table', `
+    CREATE TABLE IF NOT EXISTS ShiftTemplate (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      cycle_weeks INT NOT NULL DEFAULT 1,
+      entries_json MEDIUMTEXT NOT NULL,
+      created_date DATETIME(3),
+      updated_date DATETIME(3),
+      created_by VARCHAR(255)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+
+  // ── Row versions: optimistic concurrency for schedule writes (see rowVersion.ts) ──
+  await addCol('add_shiftentry_version', `ALTER TABLE ShiftEntry ADD COLUMN version INT NOT NULL DEFAULT 1`);
+  await addCol('add_schedulenote_version', `ALTER TABLE ScheduleNote ADD COLUMN version INT NOT NULL DEFAULT 1`);
+  await addCol('add_staffing_version', `ALTER TABLE StaffingPlanEntry ADD COLUMN version INT NOT NULL DEFAULT 1`);
+
+  // ── Certificate grace period: days a qualification stays usable after its evidence lapsed ──
+  await addCol('add_qualification_certificate_grace_days',
+    `ALTER TABLE Qualification ADD COLUMN certificate_grace_days INT NOT NULL DEFAULT 0`);
+
+  // ── Weiterbildungskatalog: Soll-Zeiten/-Einsatztage je Fachgebiet ──
+  await createTbl('create_training_requirement_table', `
+    CREATE TABLE IF NOT EXISTS TrainingRequirement (
+      id VARCHAR(36) PRIMARY KEY,
+      specialty VARCHAR(100) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      unit VARCHAR(20) NOT NULL DEFAULT 'months',
+      target DECIMAL(6,1) NOT NULL DEFAULT 0,
+      workplaces_json TEXT NOT NULL,
+      \`order\` INT DEFAULT 0,
+      created_date DATETIME(3),
+      updated_date DATETIME(3),
+      created_by VARCHAR(255),
+      INDEX idx_training_requirement_specialty (specialty)
+    ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+  `);
+  await addCol('add_doctor_training_specialty',
+    `ALTER TABLE Doctor ADD COLUMN training_specialty VARCHAR(100) DEFAULT NULL`);
+
   // ── PHASE N+1: Ensure default WorkplaceTimeslots for Rotation/Custom workplaces ──
   await run('ensure_default_workplace_timeslots', async () => {
     const { ensureDefaultWorkplaceTimeslots: ensureFn } = await import('./ensureDefaultWorkplaceTimeslots.js') as {
@@ -448,7 +493,7 @@ export async function runTenantMigrations(dbPool: Pool, cacheKey = 'default'): P
     clearColumnsCache([
       'Workplace', 'WorkplaceTimeslot', 'ShiftEntry', 'TimeslotTemplate',
       'TeamRole', 'WorkplaceQualification', 'Qualification', 'DoctorQualification', 'Doctor', 'ShiftTimeRule',
-      'StaffingPlanEntry', 'Wish', 'Absence', 'Shift'
+      'StaffingPlanEntry', 'Wish', 'Absence', 'Shift', 'ScheduleNote'
     ], cacheKey);
   } catch (error) {
     const err = error as MigrationError;
@@ -21,6 +21,8 @@ import type {
   TeamRole,
   SystemSetting,
   ScheduleBlock,
+  ShiftTemplate,
+  TrainingRequirement,
   ScheduleNote,
   StaffingPlanEntry,
   StaffingPlanNote,
@@ -60,6 +62,62 @@ export interface ShiftData {
   [key: string]: unknown;
 }
 
+/** Optimistic concurrency for update/delete of versioned tables (see `api.update`). */
+export interface WriteOptions {
+  expectedVersion?: number;
+}
+
+/** A cell of the schedule board; `row` is a stable key such as `rotation:<workplaceId>`. */
+export interface BoardCell {
+  date: string;
+  row: string;
+  label?: string | null;
+}
+
+export interface BoardPresenceUpdate {
+  sessionId: string;
+  weekStart: string | null;
+  viewMode: string | null;
+  cell: BoardCell | null;
+  editing: boolean;
+}
+
+/** One open schedule board tab, as broadcast in the `board-presence` event. */
+export interface BoardPresenceEntry extends BoardPresenceUpdate {
+  userId: string;
+  email: string | null;
+  name: string | null;
+  editingSince: number | null;
+  updatedAt: number;
+}
+
+export interface BoardPresenceResponse {
+  presence: BoardPresenceEntry;
+  /** Session that already edits the requested cell (the edit claim was not granted) */
+  lockedBy: BoardPresenceEntry | null;
+  sessions: BoardPresenceEntry[];
+}
+
+export interface AuditLogFilters {
+  /** 'master' lists the central master data (employees) instead of the current tenant. */
+  scope?: 'tenant' | 'master';
+  entity?: string;
+  actor?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+function auditLogQuery(filters: AuditLogFilters): string {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
 export interface CertificateUploadParams {
   file: File;
   doctor_id: string;
@@ -388,6 +446,28 @@ class APIClient {
     return this.request('/api/auth/presence', { method: 'POST' });
   }
 
+  /**
+   * Heartbeat of the schedule board: current week and, while a cell dialog is
+   * open, the edited cell. The tenant token scopes the presence like the SSE stream.
+   */
+  async updateBoardPresence(data: BoardPresenceUpdate): Promise<BoardPresenceResponse> {
+    const dbToken = this.getDbToken();
+    return this.request('/api/auth/presence/board', {
+      method: 'POST',
+      body: JSON.stringify(data),
+      ...(dbToken && { headers: { 'X-DB-Token': dbToken } }),
+    }) as Promise<BoardPresenceResponse>;
+  }
+
+  async leaveBoardPresence(sessionId: string): Promise<unknown> {
+    const dbToken = this.getDbToken();
+    return this.request('/api/auth/presence/board/leave', {
+      method: 'POST',
+      body: JSON.stringify({ sessionId }),
+      ...(dbToken && { headers: { 'X-DB-Token': dbToken } }),
+    });
+  }
+
   async getJitsiToken(): Promise<unknown> {
     return this.request('/api/auth/jitsi-token');
   }
@@ -1104,16 +1184,22 @@ class APIClient {
     return this.dbAction('create', table, { data });
   }
 
+  /**
+   * `expectedVersion` (ShiftEntry, ScheduleNote, StaffingPlanEntry): the row's
+   * last known `version`; a stale one fails with 409 CONCURRENCY_ERROR and
+   * `details.currentData`.
+   */
   async update(
     table: string,
     id: string,
     data: Record<string, unknown>,
+    options: WriteOptions = {},
   ): Promise<unknown> {
-    return this.dbAction('update', table, { id, data });
+    return this.dbAction('update', table, { id, data, expected_version: options.expectedVersion });
   }
 
-  async delete(table: string, id: string): Promise<unknown> {
-    return this.dbAction('delete', table, { id });
+  async delete(table: string, id: string, options: WriteOptions = {}): Promise<unknown> {
+    return this.dbAction('delete', table, { id, expected_version: options.expectedVersion });
   }
 
   async bulkCreate(
@@ -1151,6 +1237,151 @@ class APIClient {
     });
   }
 
+  /**
+   * Publishes the plan for the range and mails every employee the days that
+   * changed since the previous publication. `dryRun` only returns the diff.
+   */
+  async notifyScheduleChanges(
+    startDate: string,
+    endDate: string,
+    { dryRun = false }: { dryRun?: boolean } = {},
+  ): Promise<unknown> {
+    return this.request('/api/schedule/notify', {
+      method: 'POST',
+      body: JSON.stringify({ startDate, endDate, dryRun }),
+    });
+  }
+
+  /** Published state of the range, as seen by read-only users in the publish workflow. */
+  async getPublishedSchedule(from: string, to: string): Promise<unknown> {
+    const qs = new URLSearchParams({ from, to }).toString();
+    return this.request(`/api/schedule/published?${qs}`);
+  }
+
+  /** Changes of the current plan since the last publication of the range. */
+  async getSchedulePublishDiff(from: string, to: string): Promise<unknown> {
+    const qs = new URLSearchParams({ from, to }).toString();
+    return this.request(`/api/schedule/publish/diff?${qs}`);
+  }
+
+  async publishSchedule(
+    startDate: string,
+    endDate: string,
+    { notify = false }: { notify?: boolean } = {},
+  ): Promise<unknown> {
+    return this.request('/api/schedule/publish', {
+      method: 'POST',
+      body: JSON.stringify({ startDate, endDate, notify }),
+    });
+  }
+
+  /** 12-month fairness ledger before `planStart`, computed on the server. */
+  async getFairnessLedger(planStart: string): Promise<unknown> {
+    const qs = new URLSearchParams({ planStart }).toString();
+    return this.request(`/api/schedule/fairness-ledger?${qs}`);
+  }
+
+  // ==================== AutoFill jobs ====================
+
+  /** Queues a server-side AutoFill run; poll `getAutoFillJob` for the result. */
+  async createAutoFillJob(data: {
+    startDate: string;
+    endDate: string;
+    categories?: string[];
+    timeLimitSeconds?: number;
+  }): Promise<unknown> {
+    return this.request('/api/schedule/autofill/jobs', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async listAutoFillJobs(): Promise<unknown> {
+    return this.request('/api/schedule/autofill/jobs');
+  }
+
+  async getAutoFillJob(id: string): Promise<unknown> {
+    return this.request(`/api/schedule/autofill/jobs/${encodeURIComponent(id)}`);
+  }
+
+  async cancelAutoFillJob(id: string): Promise<unknown> {
+    return this.request(`/api/schedule/autofill/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  // ==================== Shift swaps ====================
+
+  /** Own swaps plus colleagues' open offers; `approval` lists every swap (needs can_edit_schedule). */
+  async getShiftSwaps({ view, status }: { view?: 'approval'; status?: string } = {}): Promise<unknown> {
+    const search = new URLSearchParams();
+    if (view) search.set('view', view);
+    if (status) search.set('status', status);
+    const qs = search.toString();
+    return this.request(`/api/shift-swaps${qs ? `?${qs}` : ''}`);
+  }
+
+  /** Offers an own service, or proposes a trade when `counterShiftId` is set. */
+  async createShiftSwap(data: { shiftId: string; counterShiftId?: string | null; message?: string }): Promise<unknown> {
+    return this.request('/api/shift-swaps', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async acceptShiftSwap(id: string): Promise<unknown> {
+    return this.request(`/api/shift-swaps/${encodeURIComponent(id)}/accept`, { method: 'POST' });
+  }
+
+  async cancelShiftSwap(id: string): Promise<unknown> {
+    return this.request(`/api/shift-swaps/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+  }
+
+  async decideShiftSwap(id: string, status: 'approved' | 'rejected', comment?: string): Promise<unknown> {
+    return this.request(`/api/shift-swaps/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, comment }),
+    });
+  }
+
+  // ==================== Absence approval ====================
+
+  async getAbsenceApprovalRules(): Promise<unknown> {
+    return this.request('/api/absence-requests/approval-rules');
+  }
+
+  /** Creates a rule, or updates it when `id` is set. */
+  async saveAbsenceApprovalRule(rule: Record<string, unknown> & { id?: string }): Promise<unknown> {
+    const { id, ...data } = rule;
+    return this.request(id ? `/api/absence-requests/approval-rules/${encodeURIComponent(id)}` : '/api/absence-requests/approval-rules', {
+      method: id ? 'PUT' : 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteAbsenceApprovalRule(id: string): Promise<unknown> {
+    return this.request(`/api/absence-requests/approval-rules/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  /** Users of the current tenant with can_approve_absence. */
+  async getAbsenceApprovers(): Promise<unknown> {
+    return this.request('/api/absence-requests/approvers');
+  }
+
+  async getAbsenceDelegations(): Promise<unknown> {
+    return this.request('/api/absence-requests/delegations');
+  }
+
+  /** `userId` defaults to the current user on the server. */
+  async createAbsenceDelegation(data: { userId?: string; delegateUserId: string; validFrom: string; validTo: string; note?: string }): Promise<unknown> {
+    return this.request('/api/absence-requests/delegations', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteAbsenceDelegation(id: string): Promise<unknown> {
+    return this.request(`/api/absence-requests/delegations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
   // ==================== Holidays ====================
 
   async getHolidays(year: number, state = 'NW'): Promise<unknown> {
@@ -1370,10 +1601,20 @@ class APIClient {
 
   // ==================== Calendar ====================
 
-  async syncCalendar(year: number, month: number): Promise<unknown> {
-    return this.request('/api/calendar/sync', {
+  async getCalendarFeedStatus(doctorId: string): Promise<unknown> {
+    return this.request(`/api/calendar/feed/${encodeURIComponent(doctorId)}`);
+  }
+
+  /** Creates or regenerates the ICS subscription URL. The URL is only returned once. */
+  async rotateCalendarFeed(doctorId: string): Promise<unknown> {
+    return this.request(`/api/calendar/feed/${encodeURIComponent(doctorId)}/rotate`, {
       method: 'POST',
-      body: JSON.stringify({ year, month }),
+    });
+  }
+
+  async revokeCalendarFeed(doctorId: string): Promise<unknown> {
+    return this.request(`/api/calendar/feed/${encodeURIComponent(doctorId)}`, {
+      method: 'DELETE',
     });
   }
 
@@ -1422,8 +1663,56 @@ class APIClient {
     return this.request('/api/admin/optimize', { method: 'POST' });
   }
 
-  async getLogs(limit = 100): Promise<unknown> {
-    return this.request(`/api/admin/logs?limit=${limit}`);
+  async getLogs(filters: AuditLogFilters = {}): Promise<unknown> {
+    return this.request(`/api/admin/logs${auditLogQuery(filters)}`);
+  }
+
+  async fetchAuditLogCsvBlob(filters: AuditLogFilters = {}): Promise<Blob> {
+    const token = this.getToken();
+    const dbToken = this.getDbToken();
+    const headers: Record<string, string> = {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(dbToken && { 'X-DB-Token': dbToken }),
+    };
+    const { limit: _limit, offset: _offset, ...exportFilters } = filters;
+    const response = await fetch(`${this.baseURL}/api/admin/logs/export${auditLogQuery(exportFilters)}`, { headers });
+    if (!response.ok) {
+      throw new Error(`Export fehlgeschlagen (HTTP ${response.status})`);
+    }
+    return response.blob();
+  }
+
+  async createDatabaseBackup(): Promise<unknown> {
+    return this.request('/api/admin/database/backup', { method: 'POST' });
+  }
+
+  async listDatabaseBackups(): Promise<unknown> {
+    return this.request('/api/admin/database/backups');
+  }
+
+  /** Validates only unless `dryRun` is false; a real restore backs up the current state first. */
+  async restoreDatabaseBackup(backupId: string, { dryRun = true }: { dryRun?: boolean } = {}): Promise<unknown> {
+    return this.request('/api/admin/database/restore', {
+      method: 'POST',
+      body: JSON.stringify({ backupId, dryRun }),
+    });
+  }
+
+  async fetchDatabaseBackupBlob(backupId: string): Promise<Blob> {
+    const token = this.getToken();
+    const dbToken = this.getDbToken();
+    const headers: Record<string, string> = {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(dbToken && { 'X-DB-Token': dbToken }),
+    };
+    const response = await fetch(
+      `${this.baseURL}/api/admin/database/backups/${encodeURIComponent(backupId)}/download`,
+      { headers },
+    );
+    if (!response.ok) {
+      throw new Error(`Download fehlgeschlagen (HTTP ${response.status})`);
+    }
+    return response.blob();
   }
 
   async renamePosition(oldName: string, newName: string): Promise<unknown> {
@@ -1476,6 +1765,46 @@ class APIClient {
   async upsertStaffing(data: Record<string, unknown>): Promise<unknown> {
     return this.atomicOperation('upsertStaffing', 'StaffingPlanEntry', { data });
   }
+
+  /** Sets several rotation ranges (e.g. an accepted rotation plan) all-or-nothing. */
+  async replaceTrainingRotationRanges(ranges: {
+    doctor_id: string;
+    modality: string | null;
+    start_date: string;
+    end_date: string;
+  }[]): Promise<unknown> {
+    return this.atomicOperation('replaceTrainingRotationRanges', 'TrainingRotation', { data: { ranges } });
+  }
+
+  /** All-or-nothing; 409 with `details.conflicts` if any entry collides. */
+  async bulkCreateShifts(entries: Record<string, unknown>[]): Promise<unknown> {
+    return this.atomicOperation('bulkCreateShifts', 'ShiftEntry', { data: { entries } });
+  }
+
+  /**
+   * Copy or move shift entries in one transaction. `resolution` decides about
+   * conflicts (skip, overwrite, abort); with abort a conflict answers 409.
+   */
+  async transferShifts(params: {
+    mode: 'copy' | 'move';
+    resolution: 'skip' | 'overwrite' | 'abort';
+    entries: Record<string, unknown>[];
+  }): Promise<unknown> {
+    return this.atomicOperation('transferShifts', 'ShiftEntry', { data: params });
+  }
+
+  /**
+   * Undo/redo of schedule edits: brings each row from `expected` to `target`.
+   * 409 with `details.conflicts` if a row no longer matches `expected`.
+   */
+  async replayChanges(changes: {
+    entity: 'ShiftEntry' | 'ScheduleNote';
+    id: string;
+    expected: Record<string, unknown> | null;
+    target: Record<string, unknown> | null;
+  }[]): Promise<unknown> {
+    return this.atomicOperation('replayChanges', 'ShiftEntry', { data: { changes } });
+  }
 }
 
 // ─── Singleton ───────────────────────────────────────────────────────────────
@@ -1510,12 +1839,12 @@ export class EntityClient<T = unknown> {
     return api.create(this.entityName, data) as Promise<T>;
   }
 
-  async update(id: string, data: Record<string, unknown>): Promise<T> {
-    return api.update(this.entityName, id, data) as Promise<T>;
+  async update(id: string, data: Record<string, unknown>, options?: WriteOptions): Promise<T> {
+    return api.update(this.entityName, id, data, options) as Promise<T>;
   }
 
-  async delete(id: string): Promise<T> {
-    return api.delete(this.entityName, id) as Promise<T>;
+  async delete(id: string, options?: WriteOptions): Promise<T> {
+    return api.delete(this.entityName, id, options) as Promise<T>;
   }
 
   async bulkCreate(dataArray: Record<string, unknown>[]): Promise<T[]> {
@@ -1553,6 +1882,8 @@ export const db = {
   WorkplaceQualification: new EntityClient<WorkplaceQualification>('WorkplaceQualification'),
   ShiftTimeRule: new EntityClient<ShiftTimeRule>('ShiftTimeRule'),
   ScheduleBlock: new EntityClient<ScheduleBlock>('ScheduleBlock'),
+  ShiftTemplate: new EntityClient<ShiftTemplate>('ShiftTemplate'),
+  TrainingRequirement: new EntityClient<TrainingRequirement>('TrainingRequirement'),
 
   collection: (name: string) => new EntityClient<unknown>(name),
 };
@@ -4,9 +4,11 @@ import { toast } from 'sonner';
 import { api } from '@/api/client';
 import { useAuth } from '@/components/AuthProvider';
 import { getActiveDbToken } from '@/components/dbTokenStorage';
+import { publishBoardPresence, publishPlanUpdate } from '@/components/planUpdateEvents';
 
 const ENTITY_QUERY_KEYS: Record<string, string[][]> = {
-  ShiftEntry: [['shifts'], ['shifts-history']],
+  ShiftEntry: [['shifts'], ['shifts-history'], ['schedule-publish-diff']],
+  SchedulePublication: [['schedule-published'], ['schedule-publish-diff']],
   ScheduleNote: [['scheduleNotes']],
   StaffingPlanEntry: [['staffingPlanEntries']],
   Doctor: [['doctors'], ['staffingPlanEntries'], ['doctorQualifications'], ['allDoctorQualifications']],
@@ -20,6 +22,7 @@ const ENTITY_QUERY_KEYS: Record<string, string[][]> = {
   DoctorQualification: [['doctorQualifications'], ['allDoctorQualifications']],
   WorkplaceQualification: [['workplaceQualifications'], ['allWorkplaceQualifications']],
   WishRequest: [['wishes'], ['dashboardAlert']],
+  ShiftSwapRequest: [['shift-swaps']],
   SystemSetting: [['systemSettings']],
 };
 
@@ -172,6 +175,7 @@ export default function PlanUpdateListener({ isAuthenticated: isAuthenticatedPro
         }
 
         pendingPayloadsRef.current.push(payload);
+        publishPlanUpdate(payload);
         scheduleFlush();
       } catch (error) {
         console.warn('[PlanUpdateListener] Konnte Realtime-Event nicht verarbeiten:', error);
@@ -216,7 +220,17 @@ export default function PlanUpdateListener({ isAuthenticated: isAuthenticatedPro
       }
     };
 
+    const handleBoardPresence = (event: MessageEvent) => {
+      try {
+        const payload = JSON.parse(event.data);
+        publishBoardPresence(Array.isArray(payload?.sessions) ? payload.sessions : []);
+      } catch (error) {
+        console.warn('[PlanUpdateListener] Konnte Presence-Event nicht verarbeiten:', error);
+      }
+    };
+
     eventSource.addEventListener('plan-update', handlePlanUpdate);
+    eventSource.addEventListener('board-presence', handleBoardPresence);
     eventSource.addEventListener('cowork-update', handleCoworkUpdate);
     eventSource.addEventListener('rotation-demand', handleRotationDemand);
     eventSource.addEventListener('connected', () => {
@@ -231,6 +245,7 @@ export default function PlanUpdateListener({ isAuthenticated: isAuthenticatedPro
       eventSource.removeEventListener('plan-update', handlePlanUpdate);
       eventSource.removeEventListener('cowork-update', handleCoworkUpdate);
       eventSource.removeEventListener('rotation-demand', handleRotationDemand);
+      eventSource.removeEventListener('board-presence', handleBoardPresence);
       eventSource.close();
       if (flushTimerRef.current) {
         window.clearTimeout(flushTimerRef.current);
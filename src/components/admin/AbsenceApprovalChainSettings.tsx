@@ -0,0 +1,389 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import { toast } from "sonner";
+import { api } from "@/api/client";
+import { useAuth } from '@/components/AuthProvider';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+import { GitBranch, Pencil, Plus, Trash2, UserCheck } from 'lucide-react';
+import {
+    describeApprovalRuleConditions,
+    parseListInput,
+    type AbsenceApprovalRule,
+    type AbsenceApprovalStep,
+} from '@/components/vacation/absenceApproval';
+
+// ─── Local Interfaces ─────────────────────────────────────────────────────────
+
+interface Approver {
+    id: string;
+    name: string;
+}
+
+interface Delegation {
+    id: string;
+    user_id: string;
+    delegate_user_id: string;
+    valid_from: string;
+    valid_to: string;
+    note: string | null;
+}
+
+interface RuleDraft {
+    id?: string;
+    name: string;
+    priority: string;
+    is_active: boolean;
+    positions: string;
+    min_days: string;
+    requester_roles: string;
+    steps: { label: string; approver_user_ids: string[]; escalate_after_days: string }[];
+}
+
+const MAX_STEPS = 5;
+
+const EMPTY_STEP = { label: '', approver_user_ids: [] as string[], escalate_after_days: '' };
+
+function toDraft(rule?: AbsenceApprovalRule): RuleDraft {
+    if (!rule) {
+        return { name: '', priority: '0', is_active: true, positions: '', min_days: '', requester_roles: '', steps: [{ ...EMPTY_STEP }] };
+    }
+    return {
+        id: rule.id,
+        name: rule.name,
+        priority: String(rule.priority),
+        is_active: rule.is_active,
+        positions: rule.positions.join(', '),
+        min_days: rule.min_days === null ? '' : String(rule.min_days),
+        requester_roles: rule.requester_roles.join(', '),
+        steps: rule.steps.map((step: AbsenceApprovalStep) => ({
+            label: step.label,
+            approver_user_ids: step.approver_user_ids,
+            escalate_after_days: step.escalate_after_days === null ? '' : String(step.escalate_after_days),
+        })),
+    };
+}
+
+function formatDay(value: string): string {
+    try {
+        return format(parseISO(String(value).slice(0, 10)), 'dd.MM.yyyy');
+    } catch {
+        return String(value);
+    }
+}
+
+/**
+ * Genehmigungsketten für Urlaubsanträge: Regeln (erste passende Regel nach
+ * Priorität bestimmt die Stufen) und Vertretungen abwesender Genehmigender.
+ */
+export default function AbsenceApprovalChainSettings() {
+    const queryClient = useQueryClient();
+    const { user, can } = useAuth();
+    // Vertretungen anderer Genehmigender pflegt nur die Systemverwaltung
+    const canManageAllDelegations = can('can_manage_system');
+    const canManageDelegation = (userId: string) => canManageAllDelegations || userId === user?.id;
+    const [draft, setDraft] = useState<RuleDraft | null>(null);
+    const [delegation, setDelegation] = useState({ userId: '', delegateUserId: '', validFrom: '', validTo: '', note: '' });
+
+    const { data: rulesData } = useQuery({
+        queryKey: ['absence-approval', 'rules'],
+        queryFn: () => api.getAbsenceApprovalRules() as Promise<{ rules: AbsenceApprovalRule[] }>,
+    });
+    const { data: approversData } = useQuery({
+        queryKey: ['absence-approval', 'approvers'],
+        queryFn: () => api.getAbsenceApprovers() as Promise<{ approvers: Approver[] }>,
+    });
+    const { data: delegationsData } = useQuery({
+        queryKey: ['absence-approval', 'delegations'],
+        queryFn: () => api.getAbsenceDelegations() as Promise<{ delegations: Delegation[] }>,
+    });
+    const rules = rulesData?.rules ?? [];
+    const approvers = approversData?.approvers ?? [];
+    const delegations = delegationsData?.delegations ?? [];
+    const approverName = (id: string) => approvers.find((a: Approver) => a.id === id)?.name || 'Unbekannt';
+
+    const saveRuleMutation = useMutation({
+        mutationFn: (rule: RuleDraft) => api.saveAbsenceApprovalRule({
+            id: rule.id,
+            name: rule.name,
+            priority: Number(rule.priority) || 0,
+            is_active: rule.is_active,
+            positions: parseListInput(rule.positions),
+            min_days: rule.min_days === '' ? null : Number(rule.min_days.replace(',', '.')),
+            requester_roles: parseListInput(rule.requester_roles),
+            steps: rule.steps.map((step) => ({
+                label: step.label,
+                approver_user_ids: step.approver_user_ids,
+                escalate_after_days: step.escalate_after_days === '' ? null : Number(step.escalate_after_days),
+            })),
+        }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['absence-approval', 'rules'] });
+            setDraft(null);
+            toast.success('Genehmigungsregel gespeichert');
+        },
+        onError: (err: Error) => toast.error(err.message),
+    });
+
+    const deleteRuleMutation = useMutation({
+        mutationFn: (id: string) => api.deleteAbsenceApprovalRule(id),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['absence-approval', 'rules'] });
+            toast.success('Genehmigungsregel gelöscht');
+        },
+        onError: (err: Error) => toast.error(err.message),
+    });
+
+    const createDelegationMutation = useMutation({
+        mutationFn: () => api.createAbsenceDelegation({
+            userId: delegation.userId || undefined,
+            delegateUserId: delegation.delegateUserId,
+            validFrom: delegation.validFrom,
+            validTo: delegation.validTo,
+            note: delegation.note || undefined,
+        }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['absence-approval', 'delegations'] });
+            setDelegation({ userId: '', delegateUserId: '', validFrom: '', validTo: '', note: '' });
+            toast.success('Vertretung angelegt');
+        },
+        onError: (err: Error) => toast.error(err.message),
+    });
+
+    const deleteDelegationMutation = useMutation({
+        mutationFn: (id: string) => api.deleteAbsenceDelegation(id),
+        onSuccess: () => queryClient.invalidateQueries({ queryKey: ['absence-approval', 'delegations'] }),
+        onError: (err: Error) => toast.error(err.message),
+    });
+
+    const updateStep = (index: number, patch: Partial<RuleDraft['steps'][number]>) => {
+        if (!draft) return;
+        setDraft({ ...draft, steps: draft.steps.map((step, i) => (i === index ? { ...step, ...patch } : step)) });
+    };
+
+    const toggleStepApprover = (index: number, approverId: string, checked: boolean) => {
+        if (!draft) return;
+        const current = draft.steps[index].approver_user_ids;
+        updateStep(index, {
+            approver_user_ids: checked ? [...current, approverId] : current.filter((id) => id !== approverId),
+        });
+    };
+
+    const isDraftValid = Boolean(draft?.name.trim())
+        && (draft?.steps.length ?? 0) > 0
+        && Boolean(draft?.steps.every((step) => step.approver_user_ids.length > 0));
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200" data-testid="absence-approval-chain-settings">
+            <div className="flex items-center justify-between gap-3 mb-6">
+                <div className="flex items-center gap-3">
+                    <div className="p-2 bg-emerald-100 rounded-lg">
+                        <GitBranch className="w-5 h-5 text-emerald-600" />
+                    </div>
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-900">Genehmigungsketten für Urlaubsanträge</h3>
+                        <p className="text-sm text-slate-500">
+                            Die erste passende aktive Regel (nach Priorität) legt die Stufen fest. Ohne passende Regel genügt eine Genehmigung.
+                        </p>
+                    </div>
+                </div>
+                <Button size="sm" onClick={() => { setDraft(toDraft()); }}>
+                    <Plus className="w-4 h-4 mr-1" /> Regel
+                </Button>
+            </div>
+
+            <div className="space-y-2 mb-8">
+                {rules.length === 0 ? (
+                    <p className="text-sm text-slate-500 italic">Keine Regeln – alle Anträge werden einstufig genehmigt.</p>
+                ) : rules.map((rule: AbsenceApprovalRule) => (
+                    <div key={rule.id} className="flex items-start justify-between gap-3 border rounded-lg p-3 bg-slate-50">
+                        <div className="min-w-0">
+                            <div className="flex items-center gap-2">
+                                <span className="font-medium text-slate-900">{rule.name}</span>
+                                <Badge variant="outline" className="text-xs">Priorität {rule.priority}</Badge>
+                                {!rule.is_active && <Badge variant="secondary" className="text-xs">Inaktiv</Badge>}
+                            </div>
+                            <p className="text-xs text-slate-500 mt-0.5">{describeApprovalRuleConditions(rule)}</p>
+                            <p className="text-xs text-slate-600 mt-1">
+                                {rule.steps.map((step: AbsenceApprovalStep) => step.label).join(' → ')}
+                            </p>
+                        </div>
+                        <div className="flex gap-1 shrink-0">
+                            <Button size="icon" variant="ghost" onClick={() => { setDraft(toDraft(rule)); }} title="Bearbeiten">
+                                <Pencil className="w-4 h-4" />
+                            </Button>
+                            <Button
+                                size="icon"
+                                variant="ghost"
+                                className="text-red-600"
+                                disabled={deleteRuleMutation.isPending}
+                                onClick={() => { if (window.confirm(`Regel "${rule.name}" löschen?`)) deleteRuleMutation.mutate(rule.id); }}
+                                title="Löschen"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </Button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="border-t border-slate-200 pt-6 space-y-4">
+                <div className="flex items-center gap-2">
+                    <UserCheck className="w-4 h-4 text-slate-600" />
+                    <Label className="text-sm font-semibold text-slate-700">Vertretungen</Label>
+                </div>
+                <p className="text-xs text-slate-500">
+                    Im Zeitraum darf die Vertretung alle Stufen entscheiden, für die die vertretene Person zuständig ist.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-2 items-end">
+                    <div className="space-y-1">
+                        <Label className="text-xs">Vertretene Person</Label>
+                        <Select value={delegation.userId} disabled={!canManageAllDelegations} onValueChange={(value: string) => { setDelegation({ ...delegation, userId: value }); }}>
+                            <SelectTrigger className="h-9"><SelectValue placeholder="Ich selbst" /></SelectTrigger>
+                            <SelectContent>
+                                {approvers.map((a: Approver) => <SelectItem key={a.id} value={a.id}>{a.name}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label className="text-xs">Vertretung</Label>
+                        <Select value={delegation.delegateUserId} onValueChange={(value: string) => { setDelegation({ ...delegation, delegateUserId: value }); }}>
+                            <SelectTrigger className="h-9"><SelectValue placeholder="Auswählen" /></SelectTrigger>
+                            <SelectContent>
+                                {approvers.map((a: Approver) => <SelectItem key={a.id} value={a.id}>{a.name}</SelectItem>)}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label className="text-xs">Von</Label>
+                        <Input type="date" className="h-9" value={delegation.validFrom} onChange={(e) => { setDelegation({ ...delegation, validFrom: e.target.value }); }} />
+                    </div>
+                    <div className="space-y-1">
+                        <Label className="text-xs">Bis</Label>
+                        <Input type="date" className="h-9" value={delegation.validTo} min={delegation.validFrom} onChange={(e) => { setDelegation({ ...delegation, validTo: e.target.value }); }} />
+                    </div>
+                    <Button
+                        className="h-9"
+                        disabled={!delegation.delegateUserId || !delegation.validFrom || !delegation.validTo || createDelegationMutation.isPending}
+                        onClick={() => { createDelegationMutation.mutate(); }}
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> Vertretung
+                    </Button>
+                </div>
+                <div className="space-y-1">
+                    {delegations.map((d: Delegation) => (
+                        <div key={d.id} className="flex items-center justify-between text-sm border rounded-md px-3 py-2">
+                            <span>
+                                <span className="font-medium">{approverName(d.delegate_user_id)}</span> vertritt {approverName(d.user_id)}
+                                <span className="text-slate-500"> · {formatDay(d.valid_from)} – {formatDay(d.valid_to)}</span>
+                                {d.note && <span className="text-slate-400 italic"> · {d.note}</span>}
+                            </span>
+                            {canManageDelegation(d.user_id) && (
+                                <Button size="icon" variant="ghost" className="text-red-600" onClick={() => { deleteDelegationMutation.mutate(d.id); }} title="Löschen">
+                                    <Trash2 className="w-4 h-4" />
+                                </Button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <Dialog open={draft !== null} onOpenChange={(open: boolean) => { if (!open) setDraft(null); }}>
+                <DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>{draft?.id ? 'Genehmigungsregel bearbeiten' : 'Neue Genehmigungsregel'}</DialogTitle>
+                        <DialogDescription>Leere Bedingungen gelten für alle Anträge.</DialogDescription>
+                    </DialogHeader>
+                    {draft && (
+                        <div className="space-y-4 py-2">
+                            <div className="grid grid-cols-3 gap-3">
+                                <div className="col-span-2 space-y-1">
+                                    <Label>Name</Label>
+                                    <Input value={draft.name} onChange={(e) => { setDraft({ ...draft, name: e.target.value }); }} placeholder="z.B. Langer Urlaub" />
+                                </div>
+                                <div className="space-y-1">
+                                    <Label>Priorität</Label>
+                                    <Input type="number" value={draft.priority} onChange={(e) => { setDraft({ ...draft, priority: e.target.value }); }} />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-3 gap-3">
+                                <div className="space-y-1">
+                                    <Label>Abwesenheitsarten</Label>
+                                    <Input value={draft.positions} onChange={(e) => { setDraft({ ...draft, positions: e.target.value }); }} placeholder="Urlaub, Frei" />
+                                </div>
+                                <div className="space-y-1">
+                                    <Label>Ab Tagen</Label>
+                                    <Input type="number" min="0" step="0.5" value={draft.min_days} onChange={(e) => { setDraft({ ...draft, min_days: e.target.value }); }} placeholder="beliebig" />
+                                </div>
+                                <div className="space-y-1">
+                                    <Label>Funktionen</Label>
+                                    <Input value={draft.requester_roles} onChange={(e) => { setDraft({ ...draft, requester_roles: e.target.value }); }} placeholder="Assistenzarzt" />
+                                </div>
+                            </div>
+                            <label className="flex items-center gap-2 text-sm">
+                                <Switch checked={draft.is_active} onCheckedChange={(checked: boolean) => { setDraft({ ...draft, is_active: checked }); }} />
+                                Aktiv
+                            </label>
+
+                            <div className="space-y-3">
+                                <Label className="text-sm font-semibold text-slate-700">Stufen</Label>
+                                {draft.steps.map((step, index) => (
+                                    <div key={index} className="border rounded-lg p-3 bg-slate-50 space-y-2">
+                                        <div className="flex items-end gap-2">
+                                            <div className="flex-1 space-y-1">
+                                                <Label className="text-xs">Stufe {index + 1}</Label>
+                                                <Input className="h-8 bg-white" value={step.label} onChange={(e) => { updateStep(index, { label: e.target.value }); }} placeholder="z.B. Oberarzt" />
+                                            </div>
+                                            <div className="w-36 space-y-1">
+                                                <Label className="text-xs">Eskalation nach Tagen</Label>
+                                                <Input className="h-8 bg-white" type="number" min="1" value={step.escalate_after_days} onChange={(e) => { updateStep(index, { escalate_after_days: e.target.value }); }} placeholder="nie" />
+                                            </div>
+                                            <Button
+                                                size="icon"
+                                                variant="ghost"
+                                                className="h-8 w-8 text-red-600"
+                                                disabled={draft.steps.length === 1}
+                                                onClick={() => { setDraft({ ...draft, steps: draft.steps.filter((_, i) => i !== index) }); }}
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </Button>
+                                        </div>
+                                        <div className="flex flex-wrap gap-x-4 gap-y-1">
+                                            {approvers.map((a: Approver) => (
+                                                <label key={a.id} className="flex items-center gap-1.5 text-xs text-slate-700">
+                                                    <Checkbox
+                                                        checked={step.approver_user_ids.includes(a.id)}
+                                                        onCheckedChange={(checked: boolean | string) => { toggleStepApprover(index, a.id, checked === true); }}
+                                                    />
+                                                    {a.name}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+                                ))}
+                                {draft.steps.length < MAX_STEPS && (
+                                    <Button size="sm" variant="outline" onClick={() => { setDraft({ ...draft, steps: [...draft.steps, { ...EMPTY_STEP }] }); }}>
+                                        <Plus className="w-4 h-4 mr-1" /> Stufe
+                                    </Button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => { setDraft(null); }}>Abbrechen</Button>
+                        <Button disabled={!isDraftValid || saveRuleMutation.isPending} onClick={() => { if (draft) saveRuleMutation.mutate(draft); }}>
+                            Speichern
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -4,8 +4,10 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Switch } from '@/components/ui/switch';
 import { Checkbox } from '@/components/ui/checkbox';
-import { Settings, ShieldCheck, Mail } from 'lucide-react';
+import { Settings, ShieldCheck, Mail, BellRing } from 'lucide-react';
 import SectionConfigDialog from '@/components/settings/SectionConfigDialog';
+import { useAuth } from '@/components/AuthProvider';
+import AbsenceApprovalChainSettings from './AbsenceApprovalChainSettings';
 import type { SystemSetting, Workplace } from '@/types';
 
 interface ApprovalRules {
@@ -17,6 +19,7 @@ interface ApprovalRules {
 
 export default function AdminSettings() {
     const queryClient = useQueryClient();
+    const { can } = useAuth();
 
     const { data: settings = [] } = useQuery<SystemSetting[]>({
         queryKey: ['systemSettings'],
@@ -46,6 +49,8 @@ export default function AdminSettings() {
 
     const wishDeadlineMonths: string = settings.find((s: SystemSetting) => s.key === 'wish_deadline_months')?.value || '';
     const wishReminderEnabled: boolean = settings.find((s: SystemSetting) => s.key === 'wish_reminder_email_enabled')?.value === 'true';
+    const certificateReminderEnabled: boolean = settings.find((s: SystemSetting) => s.key === 'certificate_reminder_enabled')?.value === 'true';
+    const certificateReminderOffsets: string = settings.find((s: SystemSetting) => s.key === 'certificate_reminder_offsets')?.value || '';
 
     // Approval Settings
     const approvalSettingRaw: string | undefined = settings.find((s: SystemSetting) => s.key === 'wish_approval_rules')?.value ?? undefined;
@@ -127,6 +132,44 @@ export default function AdminSettings() {
                         )}
 
                     </div>
+
+                    <div className="border p-4 rounded-lg bg-slate-50 space-y-3">
+                        <div className="flex items-start gap-3">
+                            <Checkbox
+                                id="certificate-reminder"
+                                data-testid="admin-settings-certificate-reminder"
+                                checked={certificateReminderEnabled}
+                                onCheckedChange={(checked: boolean | string) => { updateSettingMutation.mutate({
+                                    key: 'certificate_reminder_enabled',
+                                    value: checked ? 'true' : 'false'
+                                }); }}
+                                className="mt-0.5"
+                            />
+                            <div className="space-y-1">
+                                <Label htmlFor="certificate-reminder" className="cursor-pointer flex items-center gap-2 text-slate-900">
+                                    <BellRing className="w-4 h-4 text-amber-500" />
+                                    Automatische Erinnerung an ablaufende Zertifikate
+                                </Label>
+                                <p className="text-xs text-slate-500">
+                                    Mitarbeiter werden täglich um 06:15 Uhr per E-Mail erinnert, bevor ein Nachweis abläuft.
+                                    Ist er abgelaufen, erhalten die Administratoren einmalig eine Sammelmail.
+                                </p>
+                            </div>
+                        </div>
+
+                        {certificateReminderEnabled && (
+                            <div className="flex items-center gap-2 pt-3 border-t border-slate-200">
+                                <Input
+                                    data-testid="admin-settings-certificate-reminder-offsets"
+                                    placeholder="90, 30, 7"
+                                    value={certificateReminderOffsets}
+                                    onChange={(e: React.ChangeEvent<HTMLInputElement>) => { updateSettingMutation.mutate({ key: 'certificate_reminder_offsets', value: e.target.value }); }}
+                                    className="h-9 w-40 bg-white"
+                                />
+                                <span className="text-sm text-slate-600">Tage vor Ablauf</span>
+                            </div>
+                        )}
+                    </div>
                 </div>
             </div>
 
@@ -258,6 +301,8 @@ export default function AdminSettings() {
                 </div>
             </div>
 
+            {can('can_approve_absence') && <AbsenceApprovalChainSettings />}
+
             <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
                 <div className="flex items-center gap-3 mb-3">
                     <div className="p-2 bg-indigo-100 rounded-lg">
@@ -0,0 +1,314 @@
+import { useDeferredValue, useState } from 'react';
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+import { ChevronLeft, ChevronRight, Download, Filter, Loader2, RefreshCw, Search, ShieldCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { api, type AuditLogFilters } from '@/api/client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Button } from '@/components/ui/button';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogHeader,
+    DialogTitle,
+    DialogTrigger,
+} from '@/components/ui/dialog';
+import {
+    AUDIT_ACTION_LABELS,
+    auditEntityLabel,
+    auditFieldChanges,
+    describeAuditRecord,
+    formatAuditValue,
+    type AuditAction,
+    type AuditEntry,
+    type AuditLogResponse,
+} from './auditTrail';
+
+/**
+ * Compliance view of the structured audit trail: who changed which record,
+ * with before/after values, filterable by entity, user and date range and
+ * exportable as CSV.
+ */
+
+const PAGE_SIZE = 100;
+
+const ACTION_BADGES: Record<AuditAction, string> = {
+    create: 'bg-green-100 text-green-700 border-green-200',
+    update: 'bg-blue-100 text-blue-700 border-blue-200',
+    delete: 'bg-rose-100 text-rose-700 border-rose-200',
+};
+
+function formatTimestamp(value: string): string {
+    const date = parseISO(value.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? value : format(date, 'dd.MM.yyyy HH:mm:ss', { locale: de });
+}
+
+function AuditEntryDetails({ entry }: { entry: AuditEntry }) {
+    const changes = auditFieldChanges(entry);
+    return (
+        <Dialog>
+            <DialogTrigger asChild>
+                <Button variant="ghost" size="sm">Details</Button>
+            </DialogTrigger>
+            <DialogContent className="sm:max-w-2xl">
+                <DialogHeader>
+                    <DialogTitle>{auditEntityLabel(entry.entity)} {AUDIT_ACTION_LABELS[entry.action].toLowerCase()}</DialogTitle>
+                    <DialogDescription>
+                        {formatTimestamp(entry.created_date)} · {entry.actor_email || entry.actor_id || 'System'} · ID {entry.record_id || '—'}
+                    </DialogDescription>
+                </DialogHeader>
+                <ScrollArea className="max-h-[400px] rounded-md border">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead className="w-[180px]">Feld</TableHead>
+                                <TableHead>Vorher</TableHead>
+                                <TableHead>Nachher</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {changes.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={3} className="text-center text-slate-500">Keine Feldänderungen</TableCell>
+                                </TableRow>
+                            ) : changes.map((change) => (
+                                <TableRow key={change.field}>
+                                    <TableCell className="font-mono text-xs">{change.field}</TableCell>
+                                    <TableCell className="break-all text-xs text-slate-500">{formatAuditValue(change.before)}</TableCell>
+                                    <TableCell className="break-all text-xs font-medium text-slate-800">{formatAuditValue(change.after)}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </ScrollArea>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+export default function AuditTrailViewer() {
+    const [scope, setScope] = useState<'tenant' | 'master'>('tenant');
+    const [entity, setEntity] = useState<string>('ALL');
+    const [actor, setActor] = useState<string>('');
+    const [dateFrom, setDateFrom] = useState<string>('');
+    const [dateTo, setDateTo] = useState<string>('');
+    const [offset, setOffset] = useState(0);
+    const [isExporting, setIsExporting] = useState(false);
+    const deferredActor = useDeferredValue(actor.trim());
+
+    const filters: AuditLogFilters = {
+        scope,
+        entity: entity === 'ALL' ? undefined : entity,
+        actor: deferredActor || undefined,
+        from: dateFrom || undefined,
+        to: dateTo || undefined,
+    };
+
+    const { data, isLoading, isFetching, error, refetch } = useQuery({
+        queryKey: ['auditLog', filters, offset],
+        queryFn: () => api.getLogs({ ...filters, limit: PAGE_SIZE, offset }) as Promise<AuditLogResponse>,
+        placeholderData: keepPreviousData,
+        staleTime: 30 * 1000,
+        refetchOnWindowFocus: false,
+    });
+
+    // Every filter change starts again on the first page.
+    const updateFilter = <T,>(setter: (value: T) => void) => (value: T) => {
+        setter(value);
+        setOffset(0);
+    };
+
+    const entries = data?.entries ?? [];
+    const total = data?.total ?? 0;
+    const hasFilters = entity !== 'ALL' || !!actor || !!dateFrom || !!dateTo;
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const blob = await api.fetchAuditLogCsvBlob(filters);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (e: unknown) {
+            toast.error('Fehler: ' + (e instanceof Error ? e.message : String(e)));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <div className="flex items-center justify-between gap-2">
+                    <div>
+                        <CardTitle className="flex items-center gap-2">
+                            <ShieldCheck className="w-5 h-5" /> Audit-Trail
+                        </CardTitle>
+                        <CardDescription>
+                            Alle Änderungen an Dienstplan und Stammdaten mit Benutzer, Zeitpunkt und Vorher-/Nachher-Werten
+                        </CardDescription>
+                    </div>
+                    <div className="flex gap-2">
+                        <Button variant="outline" onClick={handleExport} disabled={isExporting || total === 0} data-testid="audit-export">
+                            {isExporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                            CSV-Export
+                        </Button>
+                        <Button variant="outline" size="icon" onClick={() => refetch()}>
+                            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+                        </Button>
+                    </div>
+                </div>
+                <div className="flex flex-wrap items-end gap-3 pt-4">
+                    <div className="space-y-1.5">
+                        <Label>Bereich</Label>
+                        <Select value={scope} onValueChange={(value: string) => { updateFilter(setScope)(value as 'tenant' | 'master'); setEntity('ALL'); }}>
+                            <SelectTrigger className="w-[200px]">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value="tenant">Aktueller Mandant</SelectItem>
+                                <SelectItem value="master">Zentrale Stammdaten</SelectItem>
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-1.5">
+                        <Label>Entität</Label>
+                        <Select value={entity} onValueChange={updateFilter(setEntity)}>
+                            <SelectTrigger className="w-[220px]">
+                                <Filter className="w-4 h-4 mr-2 text-slate-500" />
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value="ALL">Alle Entitäten</SelectItem>
+                                {(data?.entities ?? []).map((name) => (
+                                    <SelectItem key={name} value={name}>{auditEntityLabel(name)}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-1.5">
+                        <Label htmlFor="audit-actor">Benutzer</Label>
+                        <div className="relative">
+                            <Search className="absolute left-2 top-2.5 h-4 w-4 text-slate-500" />
+                            <Input
+                                id="audit-actor"
+                                placeholder="E-Mail-Adresse..."
+                                value={actor}
+                                onChange={(e: React.ChangeEvent<HTMLInputElement>) => { updateFilter(setActor)(e.target.value); }}
+                                className="w-[220px] pl-8"
+                            />
+                        </div>
+                    </div>
+                    <div className="space-y-1.5">
+                        <Label htmlFor="audit-from">Von</Label>
+                        <Input id="audit-from" type="date" value={dateFrom} onChange={(e) => { updateFilter(setDateFrom)(e.target.value); }} className="w-[160px]" />
+                    </div>
+                    <div className="space-y-1.5">
+                        <Label htmlFor="audit-to">Bis</Label>
+                        <Input id="audit-to" type="date" value={dateTo} onChange={(e) => { updateFilter(setDateTo)(e.target.value); }} className="w-[160px]" />
+                    </div>
+                    {hasFilters && (
+                        <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => { setEntity('ALL'); setActor(''); setDateFrom(''); setDateTo(''); setOffset(0); }}
+                        >
+                            Filter zurücksetzen
+                        </Button>
+                    )}
+                </div>
+            </CardHeader>
+            <CardContent>
+                {error && (
+                    <p className="mb-3 text-sm text-red-600">{(error as Error).message}</p>
+                )}
+                <div className="rounded-md border">
+                    <Table data-testid="audit-trail-table">
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead className="w-[170px]">Zeitpunkt</TableHead>
+                                <TableHead className="w-[200px]">Benutzer</TableHead>
+                                <TableHead className="w-[170px]">Entität</TableHead>
+                                <TableHead className="w-[110px]">Aktion</TableHead>
+                                <TableHead>Datensatz</TableHead>
+                                <TableHead>Geänderte Felder</TableHead>
+                                <TableHead className="w-[80px]"></TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {isLoading ? (
+                                <TableRow>
+                                    <TableCell colSpan={7} className="text-center h-24">
+                                        <Loader2 className="w-6 h-6 animate-spin mx-auto" />
+                                    </TableCell>
+                                </TableRow>
+                            ) : entries.length === 0 ? (
+                                <TableRow>
+                                    <TableCell colSpan={7} className="text-center h-24 text-slate-500">
+                                        Keine Einträge gefunden
+                                    </TableCell>
+                                </TableRow>
+                            ) : (
+                                entries.map((entry) => (
+                                    <TableRow key={entry.id}>
+                                        <TableCell className="font-mono text-xs">{formatTimestamp(entry.created_date)}</TableCell>
+                                        <TableCell className="truncate text-sm" title={entry.actor_email || undefined}>
+                                            {entry.actor_email || entry.actor_id || 'System'}
+                                        </TableCell>
+                                        <TableCell className="text-sm font-medium text-slate-700" title={entry.entity}>
+                                            {auditEntityLabel(entry.entity)}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Badge variant="outline" className={ACTION_BADGES[entry.action]}>
+                                                {AUDIT_ACTION_LABELS[entry.action]}
+                                            </Badge>
+                                        </TableCell>
+                                        <TableCell>
+                                            <div className="truncate max-w-[240px] text-sm" title={entry.record_id || undefined}>
+                                                {describeAuditRecord(entry)}
+                                            </div>
+                                        </TableCell>
+                                        <TableCell>
+                                            <div className="truncate max-w-[240px] text-xs text-slate-500">
+                                                {entry.action === 'update' ? entry.changed_fields.join(', ') || '—' : '—'}
+                                            </div>
+                                        </TableCell>
+                                        <TableCell>
+                                            <AuditEntryDetails entry={entry} />
+                                        </TableCell>
+                                    </TableRow>
+                                ))
+                            )}
+                        </TableBody>
+                    </Table>
+                </div>
+                {total > 0 && (
+                    <div className="mt-3 flex items-center justify-between text-sm text-slate-500">
+                        <span>{offset + 1}–{Math.min(offset + entries.length, total)} von {total} Einträgen</span>
+                        <div className="flex gap-2">
+                            <Button variant="outline" size="sm" disabled={offset === 0} onClick={() => { setOffset(Math.max(0, offset - PAGE_SIZE)); }}>
+                                <ChevronLeft className="w-4 h-4" />
+                            </Button>
+                            <Button variant="outline" size="sm" disabled={offset + PAGE_SIZE >= total} onClick={() => { setOffset(offset + PAGE_SIZE); }}>
+                                <ChevronRight className="w-4 h-4" />
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,297 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import { toast } from "sonner";
+import { api } from "@/api/client";
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+import { AlertTriangle, Archive, CheckCircle, Download, History, Loader2, RotateCcw } from 'lucide-react';
+
+// ─── Local Interfaces ─────────────────────────────────────────────────────────
+
+interface BackupInfo {
+    id: string;
+    kind: 'manual' | 'pre-restore';
+    file_name: string;
+    table_count: number;
+    row_count: number;
+    size_bytes: number;
+    created_by: string | null;
+    created_date: string;
+}
+
+interface BackupListResponse {
+    backups: BackupInfo[];
+    retentionCount: number;
+}
+
+interface RestorePlan {
+    valid: boolean;
+    statementCount: number;
+    tables: { table: string; rows: number; exists: boolean; currentRows: number | null }[];
+    untouchedTables: string[];
+    errors: string[];
+}
+
+interface RestoreResponse {
+    success: boolean;
+    dryRun: boolean;
+    backup: BackupInfo;
+    plan: RestorePlan;
+    safetyBackup?: BackupInfo;
+}
+
+const RESTORE_CONFIRM_TEXT = 'WIEDERHERSTELLEN';
+
+function formatBytes(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Tenant backups: create, download and restore (always validated by a dry
+ * run first; the server backs up the current state before restoring).
+ */
+export default function DatabaseBackupManager() {
+    const queryClient = useQueryClient();
+    const [restoreTarget, setRestoreTarget] = useState<BackupInfo | null>(null);
+    const [confirmText, setConfirmText] = useState('');
+
+    const closeRestoreDialog = () => {
+        setRestoreTarget(null);
+        setConfirmText('');
+    };
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['database-backups'],
+        queryFn: () => api.listDatabaseBackups() as Promise<BackupListResponse>,
+    });
+    const backups = data?.backups ?? [];
+
+    const backupMutation = useMutation({
+        mutationFn: () => api.createDatabaseBackup() as Promise<{ backup: BackupInfo; deletedCount: number }>,
+        onSuccess: (res) => {
+            queryClient.invalidateQueries({ queryKey: ['database-backups'] });
+            toast.success(`Backup erstellt: ${res.backup.row_count} Zeilen in ${res.backup.table_count} Tabellen`, {
+                description: res.deletedCount > 0 ? `${res.deletedCount} ältere(s) Backup(s) gemäß Aufbewahrung gelöscht` : undefined,
+            });
+        },
+        onError: (err: Error) => { toast.error(`Backup fehlgeschlagen: ${err.message}`); },
+    });
+
+    const { data: dryRun, isFetching: isValidating, error: dryRunError } = useQuery({
+        queryKey: ['database-restore-dry-run', restoreTarget?.id],
+        queryFn: () => api.restoreDatabaseBackup(restoreTarget!.id) as Promise<RestoreResponse>,
+        enabled: !!restoreTarget,
+        staleTime: 0,
+        gcTime: 0,
+    });
+
+    const restoreMutation = useMutation({
+        mutationFn: (backupId: string) => api.restoreDatabaseBackup(backupId, { dryRun: false }) as Promise<RestoreResponse>,
+        onSuccess: (res) => {
+            toast.success(`${res.backup.file_name} wiederhergestellt`, {
+                description: res.safetyBackup ? `Vorheriger Stand gesichert als ${res.safetyBackup.file_name}` : undefined,
+            });
+            closeRestoreDialog();
+            queryClient.invalidateQueries();
+        },
+        onError: (err: Error) => { toast.error(`Wiederherstellung fehlgeschlagen: ${err.message}`); },
+    });
+
+    const handleDownload = async (backup: BackupInfo) => {
+        try {
+            const blob = await api.fetchDatabaseBackupBlob(backup.id);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = backup.file_name;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (e: unknown) {
+            toast.error('Fehler: ' + (e instanceof Error ? e.message : String(e)));
+        }
+    };
+
+    const plan = dryRun?.plan;
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Archive className="w-5 h-5" /> Backups & Wiederherstellung
+                </CardTitle>
+                <CardDescription>
+                    Vollständige Sicherung dieser Mandanten-Datenbank.
+                    {data && ` Es werden die letzten ${data.retentionCount} Backups aufbewahrt.`}
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <Button
+                    onClick={() => { backupMutation.mutate(); }}
+                    disabled={backupMutation.isPending}
+                    data-testid="database-backup-create"
+                >
+                    {backupMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Archive className="w-4 h-4 mr-2" />}
+                    Backup erstellen
+                </Button>
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 text-sm text-slate-500">
+                        <Loader2 className="w-4 h-4 animate-spin" /> Backups werden geladen...
+                    </div>
+                ) : backups.length === 0 ? (
+                    <p className="text-sm text-slate-500">Noch keine Backups vorhanden.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Erstellt</TableHead>
+                                <TableHead>Inhalt</TableHead>
+                                <TableHead>Größe</TableHead>
+                                <TableHead className="text-right">Aktionen</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {backups.map((backup) => (
+                                <TableRow key={backup.id}>
+                                    <TableCell>
+                                        <div className="font-medium">{format(parseISO(backup.created_date), 'dd.MM.yyyy HH:mm')}</div>
+                                        <div className="text-xs text-slate-500 flex items-center gap-1">
+                                            {backup.kind === 'pre-restore' && (
+                                                <Badge variant="outline" className="text-[10px] px-1 py-0">
+                                                    <History className="w-3 h-3 mr-0.5" /> vor Wiederherstellung
+                                                </Badge>
+                                            )}
+                                            {backup.created_by}
+                                        </div>
+                                    </TableCell>
+                                    <TableCell className="text-sm">{backup.table_count} Tabellen · {backup.row_count.toLocaleString('de-DE')} Zeilen</TableCell>
+                                    <TableCell className="text-sm">{formatBytes(backup.size_bytes)}</TableCell>
+                                    <TableCell className="text-right space-x-1">
+                                        <Button variant="ghost" size="sm" onClick={() => { void handleDownload(backup); }} title="Als SQL herunterladen">
+                                            <Download className="w-4 h-4" />
+                                        </Button>
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            onClick={() => { setRestoreTarget(backup); }}
+                                            data-testid="database-backup-restore"
+                                        >
+                                            <RotateCcw className="w-4 h-4 mr-1" /> Wiederherstellen
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+            </CardContent>
+
+            <Dialog open={!!restoreTarget} onOpenChange={(open) => { if (!open) closeRestoreDialog(); }}>
+                <DialogContent className="max-w-2xl">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <RotateCcw className="w-5 h-5" /> Backup wiederherstellen
+                        </DialogTitle>
+                        <DialogDescription>
+                            {restoreTarget?.file_name} ersetzt alle Daten der enthaltenen Tabellen.
+                            Der aktuelle Stand wird vorher automatisch gesichert.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="space-y-4 py-2">
+                        {isValidating && (
+                            <div className="flex items-center gap-2 text-sm text-slate-500">
+                                <Loader2 className="w-4 h-4 animate-spin" /> Backup wird geprüft (Probelauf)...
+                            </div>
+                        )}
+                        {dryRunError && (
+                            <Alert variant="destructive">
+                                <AlertTriangle className="w-4 h-4" />
+                                <AlertDescription>{(dryRunError as Error).message}</AlertDescription>
+                            </Alert>
+                        )}
+                        {plan && !isValidating && (
+                            plan.valid ? (
+                                <Alert className="bg-green-50 border-green-200 text-green-800">
+                                    <CheckCircle className="w-4 h-4" />
+                                    <AlertTitle>Probelauf erfolgreich</AlertTitle>
+                                    <AlertDescription>
+                                        {plan.tables.length} Tabellen, {plan.statementCount} Anweisungen.
+                                        {plan.untouchedTables.length > 0 && ` Nicht im Backup und unverändert: ${plan.untouchedTables.join(', ')}.`}
+                                    </AlertDescription>
+                                </Alert>
+                            ) : (
+                                <Alert variant="destructive">
+                                    <AlertTriangle className="w-4 h-4" />
+                                    <AlertTitle>Backup kann nicht wiederhergestellt werden</AlertTitle>
+                                    <AlertDescription>
+                                        <ul className="list-disc pl-4">
+                                            {plan.errors.map((err) => <li key={err}>{err}</li>)}
+                                        </ul>
+                                    </AlertDescription>
+                                </Alert>
+                            )
+                        )}
+                        {plan && plan.tables.length > 0 && (
+                            <div className="max-h-60 overflow-y-auto rounded-md border">
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow>
+                                            <TableHead>Tabelle</TableHead>
+                                            <TableHead className="text-right">Aktuell</TableHead>
+                                            <TableHead className="text-right">Nach Wiederherstellung</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {plan.tables.map((t) => (
+                                            <TableRow key={t.table}>
+                                                <TableCell className="font-mono text-xs">{t.table}</TableCell>
+                                                <TableCell className="text-right text-sm">{t.exists ? t.currentRows : <span className="text-slate-400">neu</span>}</TableCell>
+                                                <TableCell className={`text-right text-sm ${t.currentRows !== null && t.currentRows !== t.rows ? 'font-medium text-amber-700' : ''}`}>{t.rows}</TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </div>
+                        )}
+                        {plan?.valid && (
+                            <div className="space-y-2">
+                                <Label>Geben Sie <strong>{RESTORE_CONFIRM_TEXT}</strong> ein, um zu bestätigen:</Label>
+                                <Input
+                                    value={confirmText}
+                                    onChange={(e: React.ChangeEvent<HTMLInputElement>) => { setConfirmText(e.target.value); }}
+                                    placeholder={RESTORE_CONFIRM_TEXT}
+                                    className="font-mono"
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={closeRestoreDialog}>Abbrechen</Button>
+                        <Button
+                            variant="destructive"
+                            onClick={() => { if (restoreTarget) restoreMutation.mutate(restoreTarget.id); }}
+                            disabled={!plan?.valid || isValidating || confirmText !== RESTORE_CONFIRM_TEXT || restoreMutation.isPending}
+                            data-testid="database-backup-restore-confirm"
+                        >
+                            {restoreMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RotateCcw className="w-4 h-4 mr-2" />}
+                            Wiederherstellen
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </Card>
+    );
+}
@@ -14,6 +14,7 @@ import { Loader2, Database, Download, AlertTriangle, CheckCircle, Wrench, Shield
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
 import { Checkbox } from "@/components/ui/checkbox";
 import ServerTokenManager from './ServerTokenManager';
+import DatabaseBackupManager from './DatabaseBackupManager';
 
 interface DbIssue {
   id?: string;
@@ -228,6 +229,8 @@ export default function DatabaseManagement() {
                 </Card>
             </div>
 
+            <DatabaseBackupManager />
+
             {/* Wipe Database Confirmation Dialog */}
             <Dialog open={showWipeDialog} onOpenChange={setShowWipeDialog}>
                 <DialogContent>
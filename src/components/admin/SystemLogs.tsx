@@ -23,6 +23,9 @@ import {
     DialogTrigger,
 } from "@/components/ui/dialog";
 
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import AuditTrailViewer from './AuditTrailViewer';
+
 import type { Matcher } from "react-day-picker";
 
 type LogLevel = 'ALL' | 'error' | 'warning' | 'success' | 'info' | 'wish_request' | 'override' | 'audit';
@@ -41,7 +44,7 @@ interface InvokeResponse {
   data: Record<string, unknown>;
 }
 
-export default function SystemLogs() {
+function SystemEventLog() {
     const queryClient = useQueryClient();
     const { token } = useAuth();
     const [searchTerm, setSearchTerm] = useState<string>('');
@@ -318,3 +321,20 @@ export default function SystemLogs() {
         </Card>
     );
 }
+
+export default function SystemLogs() {
+    return (
+        <Tabs defaultValue="audit" className="space-y-4">
+            <TabsList>
+                <TabsTrigger value="audit" data-testid="logs-tab-audit">Audit-Trail</TabsTrigger>
+                <TabsTrigger value="events" data-testid="logs-tab-events">Systemereignisse</TabsTrigger>
+            </TabsList>
+            <TabsContent value="audit">
+                <AuditTrailViewer />
+            </TabsContent>
+            <TabsContent value="events">
+                <SystemEventLog />
+            </TabsContent>
+        </Tabs>
+    );
+}
@@ -108,6 +108,7 @@ describe('Admin smoke tests', () => {
     (mocks.useAuth as any).mockReturnValue({
       user: { id: 1, email: 'admin@test.de', full_name: 'Admin User', role: 'admin' },
       token: 'test-jwt-token',
+      can: () => false,
     });
 
     (mocks.listUsers as any).mockResolvedValue([
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  auditEntityLabel,
+  auditFieldChanges,
+  describeAuditRecord,
+  formatAuditValue,
+  type AuditEntry,
+} from '../auditTrail';
+
+function entry(overrides: Partial<AuditEntry> = {}): AuditEntry {
+  return {
+    id: 'a1',
+    tenant_key: 'tenant',
+    actor_id: 'u1',
+    actor_email: 'planer@klinik.de',
+    source: 'dbProxy',
+    entity: 'ShiftEntry',
+    record_id: 's1',
+    action: 'update',
+    changed_fields: ['position'],
+    before_data: { id: 's1', date: '2026-03-02', position: 'CT' },
+    after_data: { id: 's1', date: '2026-03-02', position: 'MRT' },
+    created_date: '2026-03-01 10:00:00.000',
+    ...overrides,
+  };
+}
+
+describe('auditFieldChanges', () => {
+  it('lists only the changed fields of an update', () => {
+    expect(auditFieldChanges(entry())).toEqual([{ field: 'position', before: 'CT', after: 'MRT' }]);
+  });
+
+  it('lists all recorded fields of a deletion without an after value', () => {
+    const changes = auditFieldChanges(entry({ action: 'delete', changed_fields: [], after_data: null }));
+    expect(changes.map((c) => c.field)).toEqual(['id', 'date', 'position']);
+    expect(changes.every((c) => c.after === undefined)).toBe(true);
+  });
+});
+
+describe('describeAuditRecord', () => {
+  it('prefers names, then date and position, then the record id', () => {
+    expect(describeAuditRecord(entry())).toBe('2026-03-02 · MRT');
+    expect(describeAuditRecord(entry({
+      entity: 'Employee',
+      after_data: { first_name: 'Anna', last_name: 'Müller' },
+    }))).toBe('Anna Müller');
+    expect(describeAuditRecord(entry({ before_data: null, after_data: { id: 'x' } }))).toBe('s1');
+  });
+});
+
+describe('formatting', () => {
+  it('formats empty values, booleans and entity names', () => {
+    expect(formatAuditValue(null)).toBe('—');
+    expect(formatAuditValue(true)).toBe('Ja');
+    expect(auditEntityLabel('shared_shift_entry')).toBe('Pool-Dienst');
+    expect(auditEntityLabel('CustomTable')).toBe('CustomTable');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Display helpers for the structured audit trail (GET /api/admin/logs),
+ * shared by the viewer and its tests.
+ */
+
+export type AuditAction = 'create' | 'update' | 'delete';
+
+export interface AuditEntry {
+  id: string;
+  tenant_key: string | null;
+  actor_id: string | null;
+  actor_email: string | null;
+  source: 'dbProxy' | 'atomic' | 'groups' | 'master' | 'shiftSwaps';
+  entity: string;
+  record_id: string | null;
+  action: AuditAction;
+  changed_fields: string[];
+  before_data: Record<string, unknown> | null;
+  after_data: Record<string, unknown> | null;
+  created_date: string;
+}
+
+export interface AuditLogResponse {
+  entries: AuditEntry[];
+  total: number;
+  entities: string[];
+  limit: number;
+  offset: number;
+}
+
+export interface AuditFieldChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export const AUDIT_ACTION_LABELS: Record<AuditAction, string> = {
+  create: 'Angelegt',
+  update: 'Geändert',
+  delete: 'Gelöscht',
+};
+
+const AUDIT_ENTITY_LABELS: Record<string, string> = {
+  ShiftEntry: 'Dienstplan-Eintrag',
+  shared_shift_entry: 'Pool-Dienst',
+  Doctor: 'Person',
+  Workplace: 'Arbeitsplatz',
+  WishRequest: 'Dienstwunsch',
+  ShiftSwapRequest: 'Diensttausch',
+  StaffingPlanEntry: 'Stellenplan',
+  TrainingRotation: 'Rotation',
+  Qualification: 'Qualifikation',
+  Employee: 'Mitarbeiter (zentral)',
+  EmployeeTenantAssignment: 'Mandantenzuordnung',
+  EmployeeRelationship: 'Mitarbeiterbeziehung',
+};
+
+export function auditEntityLabel(entity: string): string {
+  return AUDIT_ENTITY_LABELS[entity] ?? entity;
+}
+
+/**
+ * Field-level changes of an entry: the changed fields of an update, or every
+ * recorded field of a created / deleted record.
+ */
+export function auditFieldChanges(entry: AuditEntry): AuditFieldChange[] {
+  const before = entry.before_data ?? {};
+  const after = entry.after_data ?? {};
+  const fields = entry.changed_fields.length > 0
+    ? entry.changed_fields
+    : Object.keys(entry.action === 'delete' ? before : after);
+  return fields.map((field) => ({
+    field,
+    before: entry.action === 'create' ? undefined : before[field],
+    after: entry.action === 'delete' ? undefined : after[field],
+  }));
+}
+
+export function formatAuditValue(value: unknown): string {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Ja' : 'Nein';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/** Short human-readable label of the affected record, falling back to its id. */
+export function describeAuditRecord(entry: AuditEntry): string {
+  const data = entry.after_data ?? entry.before_data ?? {};
+  const text = (key: string) => (typeof data[key] === 'string' && data[key] !== '' ? data[key] as string : null);
+  const name = text('name')
+    ?? ([text('first_name'), text('last_name')].filter(Boolean).join(' ') || null);
+  const parts = [name, text('date'), text('position')].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : entry.record_id ?? '—';
+}
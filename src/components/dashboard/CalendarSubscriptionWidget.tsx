@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { format, parseISO, isValid } from 'date-fns';
+import { de } from 'date-fns/locale';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { CalendarPlus, Copy, Loader2, RefreshCw, Trash2 } from 'lucide-react';
+import { api } from '@/api/client';
+import { useToast } from '@/components/ui/use-toast';
+
+interface CalendarFeedStatus {
+    active: boolean;
+    created_date: string | null;
+    last_accessed_date: string | null;
+}
+
+function formatDateTime(value: string | null | undefined): string {
+    if (!value) return '–';
+    const d = parseISO(String(value).replace(' ', 'T'));
+    return isValid(d) ? format(d, 'dd.MM.yyyy HH:mm', { locale: de }) : '–';
+}
+
+/**
+ * Dashboard-Widget: Kalender-Abonnement (ICS) für einen Mitarbeiter.
+ *
+ * Die Abo-URL enthält ein geheimes Token, das serverseitig nur als Hash
+ * gespeichert wird. Sie wird daher nur direkt nach dem Erzeugen angezeigt;
+ * ein erneutes Erzeugen macht die alte URL ungültig.
+ *
+ * Props:
+ *  - doctorId: Mitarbeiter, dessen Dienste abonniert werden
+ */
+export default function CalendarSubscriptionWidget({ doctorId }: { doctorId: string }) {
+    const { toast } = useToast();
+    const queryClient = useQueryClient();
+    const [feedUrl, setFeedUrl] = useState<string | null>(null);
+
+    const { data: status, isLoading } = useQuery({
+        queryKey: ['calendarFeed', doctorId],
+        queryFn: () => api.getCalendarFeedStatus(doctorId) as Promise<CalendarFeedStatus>,
+        enabled: !!doctorId,
+    });
+
+    const rotateMutation = useMutation({
+        mutationFn: () => api.rotateCalendarFeed(doctorId) as Promise<{ url: string }>,
+        onSuccess: (data) => {
+            setFeedUrl(data.url);
+            queryClient.invalidateQueries({ queryKey: ['calendarFeed', doctorId] });
+        },
+        onError: (err: unknown) => {
+            toast({ variant: 'destructive', title: 'Abo-Link konnte nicht erzeugt werden', description: err instanceof Error ? err.message : String(err) });
+        },
+    });
+
+    const revokeMutation = useMutation({
+        mutationFn: () => api.revokeCalendarFeed(doctorId),
+        onSuccess: () => {
+            setFeedUrl(null);
+            queryClient.invalidateQueries({ queryKey: ['calendarFeed', doctorId] });
+            toast({ title: 'Kalender-Abo widerrufen' });
+        },
+        onError: (err: unknown) => {
+            toast({ variant: 'destructive', title: 'Widerrufen fehlgeschlagen', description: err instanceof Error ? err.message : String(err) });
+        },
+    });
+
+    const handleCopy = async () => {
+        if (!feedUrl) return;
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            toast({ title: 'Link kopiert' });
+        } catch {
+            toast({ variant: 'destructive', title: 'Kopieren nicht möglich', description: 'Bitte den Link manuell markieren und kopieren.' });
+        }
+    };
+
+    const busy = rotateMutation.isPending || revokeMutation.isPending;
+
+    return (
+        <Card>
+            <CardHeader className="pb-3">
+                <CardTitle className="flex items-center gap-2">
+                    <CalendarPlus className="w-5 h-5 text-indigo-600" />
+                    Kalender-Abonnement
+                </CardTitle>
+                <CardDescription>
+                    Dienste und Abwesenheiten in Outlook, Apple- oder Google-Kalender abonnieren.
+                    Der Kalender wird automatisch aktualisiert.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+                {isLoading ? (
+                    <div className="flex items-center gap-2 text-sm text-slate-500">
+                        <Loader2 className="w-4 h-4 animate-spin" /> Wird geladen...
+                    </div>
+                ) : (
+                    <>
+                        {feedUrl ? (
+                            <div className="space-y-2">
+                                <div className="flex gap-2">
+                                    <Input readOnly value={feedUrl} onFocus={(e) => e.target.select()} className="font-mono text-xs" />
+                                    <Button variant="outline" size="icon" onClick={handleCopy} title="Link kopieren">
+                                        <Copy className="w-4 h-4" />
+                                    </Button>
+                                </div>
+                                <p className="text-xs text-amber-700">
+                                    Dieser Link wird nur jetzt angezeigt. Behandeln Sie ihn wie ein Passwort.
+                                </p>
+                            </div>
+                        ) : status?.active ? (
+                            <p className="text-sm text-slate-600">
+                                Abo aktiv seit {formatDateTime(status.created_date)}
+                                {' · '}zuletzt abgerufen: {formatDateTime(status.last_accessed_date)}
+                            </p>
+                        ) : (
+                            <p className="text-sm text-slate-500">Kein aktives Kalender-Abo.</p>
+                        )}
+
+                        <div className="flex flex-wrap gap-2">
+                            <Button size="sm" onClick={() => rotateMutation.mutate()} disabled={busy}>
+                                {rotateMutation.isPending
+                                    ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                                    : <RefreshCw className="w-4 h-4 mr-2" />}
+                                {status?.active ? 'Neuen Link erzeugen' : 'Abo-Link erzeugen'}
+                            </Button>
+                            {status?.active && (
+                                <Button size="sm" variant="outline" onClick={() => revokeMutation.mutate()} disabled={busy}>
+                                    <Trash2 className="w-4 h-4 mr-2" />
+                                    Widerrufen
+                                </Button>
+                            )}
+                        </div>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -4,8 +4,8 @@ import { de } from 'date-fns/locale';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { AlertTriangle, FileCheck, Eye, Loader2 } from 'lucide-react';
-import { useExpiringCertificates, openCertificateInNewTab } from '@/hooks/useCertificates';
+import { AlertTriangle, BellRing, FileCheck, Eye, Loader2 } from 'lucide-react';
+import { useExpiringCertificates, openCertificateInNewTab, type CertificateReminder } from '@/hooks/useCertificates';
 import { useQualifications } from '@/hooks/useQualifications';
 import { useToast } from '@/components/ui/use-toast';
 
@@ -21,6 +21,16 @@ function formatDate(value: string | Date | null | undefined): string {
     }
 }
 
+/** Letzte automatische Erinnerung, z.B. "Erinnert 30 Tage vorher am 01.03.2026" */
+function describeLastReminder(reminders: CertificateReminder[] | undefined): string | null {
+    const last = reminders?.[reminders.length - 1];
+    if (!last) return null;
+    const sentAt = formatDate(last.sent_at);
+    if (last.stage === 'expired') return `Eskaliert an Admins am ${sentAt}`;
+    const offset = /^before_(\d+)$/.exec(last.stage)?.[1];
+    return offset ? `Erinnert ${offset} Tage vorher am ${sentAt}` : `Erinnert am ${sentAt}`;
+}
+
 /**
  * Dashboard-Widget: zeigt Zertifikate, die in den nächsten 60 Tagen ablaufen
  * oder bereits abgelaufen sind. Server-seitig gefiltert (Admins: alle Mitarbeiter
@@ -78,6 +88,7 @@ export default function CertificateExpiryWidget({ doctors = [], isAdmin = false
                             const expired = Number.isFinite(days) && days < 0;
                             const doctor = doctorMap[cert.doctor_id as string];
                             const qual = qualificationMap[cert.qualification_id as string];
+                            const reminderLabel = describeLastReminder(cert.reminders);
                             return (
                                 <li
                                     key={cert.id}
@@ -108,6 +119,12 @@ export default function CertificateExpiryWidget({ doctors = [], isAdmin = false
                                                 ? <span className="text-red-600 font-medium">abgelaufen seit {Math.abs(days)} Tagen</span>
                                                 : <span className="text-amber-700 font-medium">in {days} Tagen</span>}
                                         </div>
+                                        {reminderLabel && (
+                                            <div className="text-xs text-slate-400 mt-0.5 flex items-center gap-1">
+                                                <BellRing className="w-3 h-3" />
+                                                {reminderLabel}
+                                            </div>
+                                        )}
                                     </div>
                                     <Button
                                         type="button"
@@ -0,0 +1,202 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { addDays, format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { AlertCircle, AlertTriangle, ArrowLeftRight, Check, CheckCircle2, Loader2, X } from 'lucide-react';
+import { api, db } from '@/api/client';
+import { useToast } from '@/components/ui/use-toast';
+import { useShiftValidation } from '@/components/validation/useShiftValidation';
+import type { Doctor, ShiftEntry } from '@/types';
+import { ShiftSwapStatusBadge } from './ShiftSwapWidget';
+import {
+    SWAP_VALIDATION_WINDOW_DAYS,
+    formatSwapShift,
+    validateShiftSwap,
+    type ShiftSwap,
+    type ShiftSwapListResponse,
+} from './shiftSwap';
+
+function windowAround(dates: Array<string | null>): { from: string; to: string } {
+    const sorted = dates.filter((d): d is string => Boolean(d)).map((d) => d.slice(0, 10)).sort();
+    return {
+        from: format(addDays(parseISO(sorted[0]), -SWAP_VALIDATION_WINDOW_DAYS), 'yyyy-MM-dd'),
+        to: format(addDays(parseISO(sorted[sorted.length - 1]), SWAP_VALIDATION_WINDOW_DAYS), 'yyyy-MM-dd'),
+    };
+}
+
+/**
+ * Prüfdialog eines angenommenen Tauschs: lädt den Plan rund um die getauschten
+ * Dienste und prüft mit dem Shift-Validator beide Seiten so, als wäre der
+ * Tausch schon übernommen. Blocker verhindern die Genehmigung.
+ */
+function SwapDecisionDialog({ swap, doctors, onClose }: { swap: ShiftSwap; doctors: Doctor[]; onClose: () => void }) {
+    const { toast } = useToast();
+    const queryClient = useQueryClient();
+    const [comment, setComment] = useState('');
+    const range = windowAround([swap.shift_date, swap.counter_shift_date]);
+    const validationOptions = useMemo(() => ({ shiftsFrom: range.from }), [range.from]);
+    const { createValidator } = useShiftValidation(undefined, validationOptions);
+
+    const { data: shifts, isLoading } = useQuery({
+        queryKey: ['shift-swaps', 'validation-shifts', range.from, range.to],
+        queryFn: () => db.ShiftEntry.filter({ date: { $gte: range.from, $lte: range.to } }) as Promise<ShiftEntry[]>,
+    });
+
+    const results = useMemo(
+        () => (shifts ? validateShiftSwap(swap, shifts, createValidator) : []),
+        [swap, shifts, createValidator],
+    );
+    const blocked = results.some((r) => !r.canProceed);
+    const doctorName = (id: string | null | undefined) => doctors.find((d) => d.id === id)?.name || 'Unbekannt';
+
+    const decideMutation = useMutation({
+        mutationFn: (status: 'approved' | 'rejected') => api.decideShiftSwap(swap.id, status, comment.trim() || undefined),
+        onSuccess: (_data, status) => {
+            queryClient.invalidateQueries({ queryKey: ['shift-swaps'] });
+            queryClient.invalidateQueries({ queryKey: ['shifts'] });
+            toast({ title: status === 'approved' ? 'Tausch genehmigt' : 'Tausch abgelehnt' });
+            onClose();
+        },
+        onError: (err: unknown) => {
+            toast({ variant: 'destructive', title: 'Entscheidung fehlgeschlagen', description: err instanceof Error ? err.message : String(err) });
+        },
+    });
+
+    return (
+        <Dialog open onOpenChange={(open) => { if (!open) onClose(); }}>
+            <DialogContent className="max-w-lg">
+                <DialogHeader>
+                    <DialogTitle>Diensttausch prüfen</DialogTitle>
+                    <DialogDescription>
+                        {doctorName(swap.requester_doctor_id)} ⇄ {doctorName(swap.accepted_by_doctor_id)}
+                    </DialogDescription>
+                </DialogHeader>
+
+                {isLoading ? (
+                    <div className="flex justify-center p-6"><Loader2 className="animate-spin text-slate-400" /></div>
+                ) : (
+                    <div className="space-y-3" data-testid="shift-swap-validation">
+                        {results.map((result) => (
+                            <div key={`${result.doctorId}-${result.date}`} className="rounded border border-slate-200 p-3 text-sm space-y-1">
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="font-medium">
+                                        {doctorName(result.doctorId)} übernimmt {formatSwapShift(result.date, result.position)}
+                                    </span>
+                                    {result.canProceed && result.warnings.length === 0 && (
+                                        <CheckCircle2 className="w-4 h-4 text-green-600 shrink-0" />
+                                    )}
+                                </div>
+                                {result.blockers.map((message) => (
+                                    <p key={message} className="text-xs text-red-700 flex gap-1"><AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />{message}</p>
+                                ))}
+                                {result.warnings.map((message) => (
+                                    <p key={message} className="text-xs text-amber-700 flex gap-1"><AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />{message}</p>
+                                ))}
+                            </div>
+                        ))}
+                        <div className="space-y-1.5">
+                            <Label>Kommentar (optional)</Label>
+                            <Textarea value={comment} onChange={(e) => setComment(e.target.value)} rows={2} />
+                        </div>
+                    </div>
+                )}
+
+                <DialogFooter>
+                    <Button variant="destructive" onClick={() => decideMutation.mutate('rejected')} disabled={decideMutation.isPending}>
+                        <X className="w-4 h-4 mr-1" /> Ablehnen
+                    </Button>
+                    <Button
+                        className="bg-green-600 hover:bg-green-700 text-white"
+                        onClick={() => decideMutation.mutate('approved')}
+                        disabled={isLoading || blocked || decideMutation.isPending}
+                        title={blocked ? 'Der Tausch verletzt Planungsregeln und kann nicht genehmigt werden.' : undefined}
+                        data-testid="shift-swap-approve"
+                    >
+                        <Check className="w-4 h-4 mr-1" /> Genehmigen
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+/**
+ * Dashboard-Bereich für Dienstplaner (`can_edit_schedule`): offene und
+ * angenommene Diensttausche. Angenommene Tausche werden nach der
+ * Validator-Prüfung genehmigt oder abgelehnt.
+ */
+export default function ShiftSwapApprovalSection({ doctors }: { doctors: Doctor[] }) {
+    const [selected, setSelected] = useState<ShiftSwap | null>(null);
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['shift-swaps', 'approval'],
+        queryFn: () => api.getShiftSwaps({ view: 'approval' }) as Promise<ShiftSwapListResponse>,
+        staleTime: 15 * 1000,
+    });
+    const pending = (data?.requests ?? []).filter((s) => s.status === 'open' || s.status === 'accepted');
+    const awaitingDecision = pending.filter((s) => s.status === 'accepted').length;
+    const doctorName = (id: string | null | undefined) => doctors.find((d) => d.id === id)?.name || 'Unbekannt';
+
+    return (
+        <Card className="border-indigo-100 shadow-md" data-testid="shift-swap-approval">
+            <CardHeader className="pb-3 bg-indigo-50/50 rounded-t-lg">
+                <CardTitle className="flex items-center gap-2 text-indigo-900">
+                    <ArrowLeftRight className="w-5 h-5 text-indigo-600" />
+                    Diensttausche
+                    {awaitingDecision > 0 && (
+                        <Badge variant="secondary" className="ml-2 bg-indigo-100 text-indigo-700">{awaitingDecision}</Badge>
+                    )}
+                </CardTitle>
+                <CardDescription>Von Kollegen angenommene Tausche warten auf Ihre Genehmigung</CardDescription>
+            </CardHeader>
+            <CardContent className="p-4">
+                {isLoading ? (
+                    <div className="flex justify-center p-4"><Loader2 className="animate-spin text-indigo-400" /></div>
+                ) : pending.length === 0 ? (
+                    <div className="flex items-center justify-center p-8 text-slate-500 bg-slate-50 rounded-lg border border-dashed border-slate-200">
+                        <CheckCircle2 className="w-5 h-5 mr-2 text-green-500" />
+                        Keine offenen Diensttausche.
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-3 sm:gap-4">
+                        {pending.map((swap) => (
+                            <div key={swap.id} className="bg-white border border-slate-200 rounded-lg p-3 shadow-sm flex flex-col justify-between gap-2 min-w-0">
+                                <div className="space-y-1 text-sm">
+                                    <div className="flex justify-between items-start gap-2">
+                                        <span className="font-semibold text-slate-800 truncate">
+                                            {doctorName(swap.requester_doctor_id)}
+                                            {swap.accepted_by_doctor_id && ` ⇄ ${doctorName(swap.accepted_by_doctor_id)}`}
+                                        </span>
+                                        <ShiftSwapStatusBadge status={swap.status} />
+                                    </div>
+                                    <div className="text-slate-600">{formatSwapShift(swap.shift_date, swap.shift_position)}</div>
+                                    {swap.counter_shift_id && (
+                                        <div className="text-slate-500 text-xs">gegen {formatSwapShift(swap.counter_shift_date, swap.counter_shift_position)}</div>
+                                    )}
+                                    {swap.message && <p className="text-xs text-slate-500 bg-slate-50 p-2 rounded italic">"{swap.message}"</p>}
+                                </div>
+                                <div className="pt-2 border-t border-slate-100">
+                                    <Button
+                                        size="sm"
+                                        className="w-full h-8 text-xs"
+                                        variant={swap.status === 'accepted' ? 'default' : 'outline'}
+                                        disabled={swap.status !== 'accepted'}
+                                        onClick={() => setSelected(swap)}
+                                    >
+                                        {swap.status === 'accepted' ? 'Prüfen & entscheiden' : 'Noch nicht angenommen'}
+                                    </Button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+            {selected && <SwapDecisionDialog swap={selected} doctors={doctors} onClose={() => setSelected(null)} />}
+        </Card>
+    );
+}
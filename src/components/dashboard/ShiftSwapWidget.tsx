@@ -0,0 +1,265 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { addDays, addMonths, format, startOfDay } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ArrowLeftRight, Check, Loader2, Plus, Undo2 } from 'lucide-react';
+import { api, db } from '@/api/client';
+import { useToast } from '@/components/ui/use-toast';
+import type { Doctor, ShiftEntry } from '@/types';
+import {
+    SHIFT_SWAP_STATUS_LABELS,
+    canAcceptShiftSwap,
+    formatSwapShift,
+    shiftSwapRole,
+    type ShiftSwap,
+    type ShiftSwapListResponse,
+} from './shiftSwap';
+
+const NO_COUNTER = 'none';
+
+export function ShiftSwapStatusBadge({ status }: { status: ShiftSwap['status'] }) {
+    const className = {
+        open: 'bg-blue-50 text-blue-700 border-blue-200',
+        accepted: 'bg-amber-50 text-amber-700 border-amber-200',
+        approved: 'bg-green-50 text-green-700 border-green-200',
+        rejected: 'bg-red-50 text-red-700 border-red-200',
+        cancelled: 'bg-slate-50 text-slate-500 border-slate-200',
+    }[status];
+    return <Badge variant="outline" className={`whitespace-nowrap ${className}`}>{SHIFT_SWAP_STATUS_LABELS[status]}</Badge>;
+}
+
+/**
+ * Dashboard-Widget: Diensttausch-Börse des angemeldeten Mitarbeiters.
+ *
+ * Eigene Dienste anbieten oder gegen einen Dienst eines Kollegen tauschen,
+ * Angebote von Kollegen annehmen. Angenommene Tausche gehen an einen
+ * Genehmiger mit `can_edit_schedule` (siehe ShiftSwapApprovalSection).
+ *
+ * Props:
+ *  - doctorId: Person des angemeldeten Benutzers
+ *  - doctors: alle Personen (für Namen)
+ *  - services: kommende Dienste der Person
+ *  - servicePositionNames: Arbeitsplätze der Kategorie „Dienste“
+ */
+export default function ShiftSwapWidget({ doctorId, doctors, services, servicePositionNames }: {
+    doctorId: string;
+    doctors: Doctor[];
+    services: ShiftEntry[];
+    servicePositionNames: string[];
+}) {
+    const { toast } = useToast();
+    const queryClient = useQueryClient();
+    const [dialogOpen, setDialogOpen] = useState(false);
+    const [shiftId, setShiftId] = useState('');
+    const [counterShiftId, setCounterShiftId] = useState(NO_COUNTER);
+    const [message, setMessage] = useState('');
+
+    const tomorrow = format(addDays(startOfDay(new Date()), 1), 'yyyy-MM-dd');
+
+    const { data, isLoading } = useQuery({
+        queryKey: ['shift-swaps', 'mine', doctorId],
+        queryFn: () => api.getShiftSwaps() as Promise<ShiftSwapListResponse>,
+        staleTime: 15 * 1000,
+    });
+    const swaps = useMemo(() => data?.requests ?? [], [data]);
+
+    const { data: colleagueServices = [] } = useQuery({
+        queryKey: ['shift-swaps', 'colleague-services', tomorrow],
+        queryFn: () => db.ShiftEntry.filter({
+            date: { $gte: tomorrow, $lte: format(addMonths(new Date(), 3), 'yyyy-MM-dd') },
+        }) as Promise<ShiftEntry[]>,
+        enabled: dialogOpen,
+    });
+
+    const doctorName = (id: string | null | undefined) => doctors.find((d) => d.id === id)?.name || 'Unbekannt';
+
+    const boundShiftIds = useMemo(() => new Set(
+        swaps
+            .filter((s) => s.status === 'open' || s.status === 'accepted')
+            .flatMap((s) => [s.shift_id, s.counter_shift_id]),
+    ), [swaps]);
+
+    const offerableServices = services.filter((s) => s.date >= tomorrow && !boundShiftIds.has(s.id));
+    const counterCandidates = colleagueServices.filter((s) =>
+        s.doctor_id && s.doctor_id !== doctorId && servicePositionNames.includes(s.position) && !boundShiftIds.has(s.id));
+
+    const invalidate = () => queryClient.invalidateQueries({ queryKey: ['shift-swaps'] });
+    const onError = (err: unknown) => {
+        toast({ variant: 'destructive', title: 'Diensttausch fehlgeschlagen', description: err instanceof Error ? err.message : String(err) });
+    };
+
+    const createMutation = useMutation({
+        mutationFn: () => api.createShiftSwap({
+            shiftId,
+            counterShiftId: counterShiftId === NO_COUNTER ? null : counterShiftId,
+            message: message.trim() || undefined,
+        }),
+        onSuccess: () => {
+            invalidate();
+            setDialogOpen(false);
+            setShiftId('');
+            setCounterShiftId(NO_COUNTER);
+            setMessage('');
+            toast({ title: counterShiftId === NO_COUNTER ? 'Dienst angeboten' : 'Tausch vorgeschlagen' });
+        },
+        onError,
+    });
+
+    const acceptMutation = useMutation({
+        mutationFn: (id: string) => api.acceptShiftSwap(id),
+        onSuccess: () => {
+            invalidate();
+            toast({ title: 'Tausch angenommen', description: 'Der Tausch wartet jetzt auf die Genehmigung.' });
+        },
+        onError,
+    });
+
+    const cancelMutation = useMutation({
+        mutationFn: (id: string) => api.cancelShiftSwap(id),
+        onSuccess: () => {
+            invalidate();
+            toast({ title: 'Zurückgezogen' });
+        },
+        onError,
+    });
+
+    const mySwaps = swaps.filter((s) => shiftSwapRole(s, doctorId) !== 'colleague');
+    const offers = swaps.filter((s) => shiftSwapRole(s, doctorId) === 'colleague' && canAcceptShiftSwap(s, doctorId));
+    const busy = acceptMutation.isPending || cancelMutation.isPending;
+
+    const renderSwap = (swap: ShiftSwap) => {
+        const role = shiftSwapRole(swap, doctorId);
+        const active = swap.status === 'open' || swap.status === 'accepted';
+        return (
+            <div key={swap.id} className="p-2 bg-white rounded border border-slate-100 text-sm space-y-1" data-testid="shift-swap-item">
+                <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                        <div className="font-medium truncate">{formatSwapShift(swap.shift_date, swap.shift_position)}</div>
+                        {swap.counter_shift_id && (
+                            <div className="text-xs text-slate-500 flex items-center gap-1">
+                                <ArrowLeftRight className="w-3 h-3" />
+                                {formatSwapShift(swap.counter_shift_date, swap.counter_shift_position)}
+                            </div>
+                        )}
+                        <div className="text-xs text-slate-500">
+                            {role === 'requester'
+                                ? (swap.accepted_by_doctor_id ? `Übernahme durch ${doctorName(swap.accepted_by_doctor_id)}` : swap.type === 'trade' ? `Anfrage an ${doctorName(swap.target_doctor_id)}` : 'Angebot an alle')
+                                : `Von ${doctorName(swap.requester_doctor_id)}`}
+                        </div>
+                    </div>
+                    <ShiftSwapStatusBadge status={swap.status} />
+                </div>
+                {swap.message && <p className="text-xs text-slate-500 italic">"{swap.message}"</p>}
+                {swap.decision_comment && (
+                    <p className="text-xs text-slate-600 bg-slate-50 p-1.5 rounded"><span className="font-semibold">Planer:</span> {swap.decision_comment}</p>
+                )}
+                <div className="flex gap-1.5 justify-end">
+                    {canAcceptShiftSwap(swap, doctorId) && (
+                        <Button size="sm" className="h-7 text-xs bg-green-600 hover:bg-green-700 text-white" disabled={busy} onClick={() => acceptMutation.mutate(swap.id)}>
+                            <Check className="w-3 h-3 mr-1" /> Annehmen
+                        </Button>
+                    )}
+                    {active && (role === 'requester' || role === 'acceptor') && (
+                        <Button size="sm" variant="outline" className="h-7 text-xs" disabled={busy} onClick={() => cancelMutation.mutate(swap.id)}>
+                            <Undo2 className="w-3 h-3 mr-1" /> {role === 'requester' ? 'Zurückziehen' : 'Annahme zurücknehmen'}
+                        </Button>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <Card data-testid="shift-swap-widget">
+            <CardHeader className="pb-3">
+                <div className="flex items-start justify-between gap-2">
+                    <div>
+                        <CardTitle className="flex items-center gap-2">
+                            <ArrowLeftRight className="w-5 h-5 text-indigo-600" />
+                            Diensttausch
+                        </CardTitle>
+                        <CardDescription>Dienste anbieten, tauschen und Angebote von Kollegen übernehmen</CardDescription>
+                    </div>
+                    <Button size="sm" variant="outline" onClick={() => setDialogOpen(true)} disabled={offerableServices.length === 0} data-testid="shift-swap-new">
+                        <Plus className="w-4 h-4 mr-1" /> Dienst anbieten
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {isLoading ? (
+                    <div className="flex justify-center p-4 md:col-span-2"><Loader2 className="animate-spin text-slate-400" /></div>
+                ) : (
+                    <>
+                        <div>
+                            <h4 className="text-sm font-semibold text-slate-900 mb-2">Meine Tauschanfragen</h4>
+                            {mySwaps.length === 0
+                                ? <div className="text-sm text-slate-500 italic">Keine Tauschanfragen.</div>
+                                : <div className="space-y-2">{mySwaps.map(renderSwap)}</div>}
+                        </div>
+                        <div>
+                            <h4 className="text-sm font-semibold text-slate-900 mb-2">Angebote von Kollegen</h4>
+                            {offers.length === 0
+                                ? <div className="text-sm text-slate-500 italic">Keine offenen Angebote.</div>
+                                : <div className="space-y-2">{offers.map(renderSwap)}</div>}
+                        </div>
+                    </>
+                )}
+            </CardContent>
+
+            <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+                <DialogContent>
+                    <DialogHeader>
+                        <DialogTitle>Dienst anbieten oder tauschen</DialogTitle>
+                        <DialogDescription>
+                            Ohne Gegendienst kann jeder Kollege den Dienst übernehmen. Jeder Tausch muss von der Dienstplanung genehmigt werden.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="space-y-4">
+                        <div className="space-y-1.5">
+                            <Label>Mein Dienst</Label>
+                            <Select value={shiftId} onValueChange={setShiftId}>
+                                <SelectTrigger><SelectValue placeholder="Dienst wählen..." /></SelectTrigger>
+                                <SelectContent>
+                                    {offerableServices.map((s) => (
+                                        <SelectItem key={s.id} value={s.id}>{formatSwapShift(s.date, s.position)}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1.5">
+                            <Label>Im Tausch gegen (optional)</Label>
+                            <Select value={counterShiftId} onValueChange={setCounterShiftId}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value={NO_COUNTER}>Kein Gegendienst – an alle anbieten</SelectItem>
+                                    {counterCandidates.map((s) => (
+                                        <SelectItem key={s.id} value={s.id}>
+                                            {formatSwapShift(s.date, s.position)} – {doctorName(s.doctor_id)}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1.5">
+                            <Label>Nachricht (optional)</Label>
+                            <Textarea value={message} onChange={(e) => setMessage(e.target.value)} rows={2} />
+                        </div>
+                    </div>
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setDialogOpen(false)}>Abbrechen</Button>
+                        <Button onClick={() => createMutation.mutate()} disabled={!shiftId || createMutation.isPending}>
+                            {createMutation.isPending && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                            {counterShiftId === NO_COUNTER ? 'Anbieten' : 'Tausch vorschlagen'}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </Card>
+    );
+}
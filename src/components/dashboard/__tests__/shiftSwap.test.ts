@@ -0,0 +1,108 @@
+import { describe, expect, it, vi } from 'vitest';
+import type { ShiftEntry } from '@/types';
+import {
+  buildSwapValidationCases,
+  canAcceptShiftSwap,
+  shiftSwapRole,
+  validateShiftSwap,
+  type ShiftSwap,
+} from '../shiftSwap';
+
+const baseSwap: ShiftSwap = {
+  id: 'swap-1',
+  type: 'offer',
+  status: 'open',
+  shift_id: 'shift-a',
+  shift_date: '2026-03-02',
+  shift_position: 'Dienst Vordergrund',
+  requester_doctor_id: 'doc-a',
+  counter_shift_id: null,
+  counter_shift_date: null,
+  counter_shift_position: null,
+  target_doctor_id: null,
+  accepted_by_doctor_id: null,
+  message: null,
+  decision_comment: null,
+  created_date: '2026-02-01 10:00:00',
+};
+
+const tradeSwap: ShiftSwap = {
+  ...baseSwap,
+  type: 'trade',
+  status: 'accepted',
+  counter_shift_id: 'shift-b',
+  counter_shift_date: '2026-03-05',
+  counter_shift_position: 'Dienst Hintergrund',
+  target_doctor_id: 'doc-b',
+  accepted_by_doctor_id: 'doc-b',
+};
+
+const shifts = [
+  { id: 'shift-a', date: '2026-03-02', position: 'Dienst Vordergrund', doctor_id: 'doc-a', timeslot_id: null },
+  { id: 'shift-b', date: '2026-03-05', position: 'Dienst Hintergrund', doctor_id: 'doc-b', timeslot_id: 'ts-1' },
+  { id: 'shift-c', date: '2026-03-03', position: 'Station 1', doctor_id: 'doc-b', timeslot_id: null },
+] as unknown as ShiftEntry[];
+
+describe('canAcceptShiftSwap', () => {
+  it('lets colleagues accept open offers but not the requester', () => {
+    expect(canAcceptShiftSwap(baseSwap, 'doc-c')).toBe(true);
+    expect(canAcceptShiftSwap(baseSwap, 'doc-a')).toBe(false);
+    expect(canAcceptShiftSwap({ ...baseSwap, status: 'accepted' }, 'doc-c')).toBe(false);
+  });
+
+  it('restricts trades to the addressed colleague', () => {
+    const openTrade = { ...tradeSwap, status: 'open' as const, accepted_by_doctor_id: null };
+    expect(canAcceptShiftSwap(openTrade, 'doc-b')).toBe(true);
+    expect(canAcceptShiftSwap(openTrade, 'doc-c')).toBe(false);
+  });
+});
+
+describe('shiftSwapRole', () => {
+  it('resolves how a doctor takes part', () => {
+    expect(shiftSwapRole(tradeSwap, 'doc-a')).toBe('requester');
+    expect(shiftSwapRole(tradeSwap, 'doc-b')).toBe('acceptor');
+    expect(shiftSwapRole({ ...tradeSwap, accepted_by_doctor_id: null }, 'doc-b')).toBe('target');
+    expect(shiftSwapRole(tradeSwap, 'doc-c')).toBe('colleague');
+  });
+});
+
+describe('buildSwapValidationCases', () => {
+  it('returns nothing before a colleague accepted', () => {
+    expect(buildSwapValidationCases(baseSwap, shifts)).toEqual([]);
+  });
+
+  it('checks both parties against the plan after the swap', () => {
+    const cases = buildSwapValidationCases(tradeSwap, shifts);
+    expect(cases.map((c) => [c.doctorId, c.date, c.position, c.timeslotId])).toEqual([
+      ['doc-b', '2026-03-02', 'Dienst Vordergrund', null],
+      ['doc-a', '2026-03-05', 'Dienst Hintergrund', 'ts-1'],
+    ]);
+    // The acceptor's case sees the counter service already moved to the requester.
+    expect(cases[0].shifts.map((s) => s.id)).toEqual(['shift-b', 'shift-c']);
+    expect(cases[0].shifts.find((s) => s.id === 'shift-b')?.doctor_id).toBe('doc-a');
+    expect(cases[1].shifts.find((s) => s.id === 'shift-a')?.doctor_id).toBe('doc-b');
+  });
+});
+
+describe('validateShiftSwap', () => {
+  it('runs the validator once per party and passes its verdict through', () => {
+    const validate = vi.fn((doctorId: string) => ({
+      canProceed: doctorId !== 'doc-a',
+      blockers: doctorId === 'doc-a' ? ['Ruhezeit verletzt'] : [],
+      warnings: [],
+    }));
+    const createValidator = vi.fn(() => ({ validate }));
+
+    const results = validateShiftSwap(tradeSwap, shifts, createValidator);
+
+    expect(createValidator).toHaveBeenCalledTimes(2);
+    expect(validate).toHaveBeenCalledWith('doc-a', '2026-03-05', 'Dienst Hintergrund', { silent: true, timeslotId: 'ts-1' });
+    expect(results.map((r) => [r.doctorId, r.canProceed])).toEqual([['doc-b', true], ['doc-a', false]]);
+  });
+
+  it('blocks when a swapped service is no longer in the plan', () => {
+    const createValidator = () => ({ validate: () => ({ canProceed: true, blockers: [], warnings: [] }) });
+    const results = validateShiftSwap(tradeSwap, shifts.filter((s) => s.id !== 'shift-b'), createValidator);
+    expect(results.some((r) => !r.canProceed)).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Types and helpers of the shift swap marketplace (GET /api/shift-swaps),
+ * shared by the dashboard widgets and their tests.
+ */
+import { format, isValid, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+import type { ShiftEntry } from '@/types';
+import type { ValidationResult } from '@/components/validation/ShiftValidation';
+
+export type ShiftSwapType = 'offer' | 'trade';
+export type ShiftSwapStatus = 'open' | 'accepted' | 'approved' | 'rejected' | 'cancelled';
+
+export interface ShiftSwap {
+  id: string;
+  type: ShiftSwapType;
+  status: ShiftSwapStatus;
+  shift_id: string;
+  shift_date: string;
+  shift_position: string;
+  requester_doctor_id: string;
+  counter_shift_id: string | null;
+  counter_shift_date: string | null;
+  counter_shift_position: string | null;
+  target_doctor_id: string | null;
+  accepted_by_doctor_id: string | null;
+  message: string | null;
+  decision_comment: string | null;
+  created_date: string;
+}
+
+export interface ShiftSwapListResponse {
+  requests: ShiftSwap[];
+  canApprove: boolean;
+}
+
+export const SHIFT_SWAP_STATUS_LABELS: Record<ShiftSwapStatus, string> = {
+  open: 'Offen',
+  accepted: 'Wartet auf Genehmigung',
+  approved: 'Genehmigt',
+  rejected: 'Abgelehnt',
+  cancelled: 'Zurückgezogen',
+};
+
+/** "Mo 02.03.2026 · Dienst Vordergrund" */
+export function formatSwapShift(date: string | null | undefined, position: string | null | undefined): string {
+  if (!date) return position || '–';
+  const d = parseISO(String(date).slice(0, 10));
+  return `${isValid(d) ? format(d, 'EEEEEE dd.MM.yyyy', { locale: de }) : date} · ${position}`;
+}
+
+/** Days before and after the swapped services loaded for the rule checks. */
+export const SWAP_VALIDATION_WINDOW_DAYS = 35;
+
+export type ShiftSwapRole = 'requester' | 'acceptor' | 'target' | 'colleague';
+
+/** How the given doctor takes part in a swap. */
+export function shiftSwapRole(swap: ShiftSwap, doctorId: string | null | undefined): ShiftSwapRole {
+  if (!doctorId) return 'colleague';
+  if (swap.requester_doctor_id === doctorId) return 'requester';
+  if (swap.accepted_by_doctor_id === doctorId) return 'acceptor';
+  if (swap.target_doctor_id === doctorId) return 'target';
+  return 'colleague';
+}
+
+/** Whether the doctor may accept the swap: open, not their own, and for a trade addressed to them. */
+export function canAcceptShiftSwap(swap: ShiftSwap, doctorId: string | null | undefined): boolean {
+  if (!doctorId || swap.status !== 'open' || swap.requester_doctor_id === doctorId) return false;
+  return swap.type === 'offer' || swap.target_doctor_id === doctorId;
+}
+
+export interface SwapValidationCase {
+  doctorId: string;
+  date: string;
+  position: string;
+  timeslotId: string | null;
+  /** Plan after the swap, without the assignment under test. */
+  shifts: ShiftEntry[];
+}
+
+/**
+ * The checks a swap needs: the accepting colleague takes over the offered
+ * service and, for a trade, the requester takes over the counter service.
+ * Each case sees the plan as it would be after the swap.
+ */
+export function buildSwapValidationCases(swap: ShiftSwap, shifts: ShiftEntry[]): SwapValidationCase[] {
+  const acceptorId = swap.accepted_by_doctor_id;
+  if (!acceptorId) return [];
+
+  const moves = [{ shiftId: swap.shift_id, doctorId: acceptorId }];
+  if (swap.counter_shift_id) moves.push({ shiftId: swap.counter_shift_id, doctorId: swap.requester_doctor_id });
+
+  const swapped = shifts.map((shift) => {
+    const move = moves.find((m) => m.shiftId === shift.id);
+    return move ? { ...shift, doctor_id: move.doctorId } : shift;
+  });
+
+  return moves.flatMap((move) => {
+    const shift = swapped.find((s) => s.id === move.shiftId);
+    if (!shift) return [];
+    return [{
+      doctorId: move.doctorId,
+      date: shift.date,
+      position: shift.position,
+      timeslotId: shift.timeslot_id ?? null,
+      shifts: swapped.filter((s) => s.id !== move.shiftId),
+    }];
+  });
+}
+
+export interface SwapValidationResult extends ValidationResult {
+  doctorId: string;
+  date: string;
+  position: string;
+}
+
+/**
+ * Runs the shift validator for both parties. A missing service (deleted or
+ * outside the loaded plan) is reported as a blocker.
+ */
+export function validateShiftSwap(
+  swap: ShiftSwap,
+  shifts: ShiftEntry[],
+  createValidator: (shifts: ShiftEntry[]) => { validate: (doctorId: string, date: string, position: string, options?: { silent?: boolean; timeslotId?: string | null }) => ValidationResult },
+): SwapValidationResult[] {
+  const cases = buildSwapValidationCases(swap, shifts);
+  const expected = swap.counter_shift_id ? 2 : 1;
+  const results: SwapValidationResult[] = cases.map((c) => ({
+    doctorId: c.doctorId,
+    date: c.date,
+    position: c.position,
+    ...createValidator(c.shifts).validate(c.doctorId, c.date, c.position, { silent: true, timeslotId: c.timeslotId }),
+  }));
+  if (cases.length < expected) {
+    results.push({
+      doctorId: swap.requester_doctor_id,
+      date: swap.shift_date,
+      position: swap.shift_position,
+      canProceed: false,
+      blockers: ['Ein getauschter Dienst ist nicht mehr im Dienstplan vorhanden.'],
+      warnings: [],
+    });
+  }
+  return results;
+}
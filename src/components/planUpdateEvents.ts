@@ -0,0 +1,61 @@
+/**
+ * In-app fan-out of realtime `plan-update` events. PlanUpdateListener owns the
+ * SSE connection and publishes every payload; views subscribe for more than
+ * query invalidation (e.g. the schedule board drops undo steps a colleague
+ * has overtaken). `board-presence` events (who views/edits which week and
+ * cell) go through a second channel of the same shape.
+ */
+
+import type { BoardPresenceEntry } from '@/api/client';
+
+export interface PlanUpdatePayload {
+  entity?: string;
+  action?: string;
+  recordId?: string;
+  recordCount?: number;
+  changedAt?: string;
+  actor?: { id?: string; email?: string };
+}
+
+type PlanUpdateSubscriber = (payload: PlanUpdatePayload) => void;
+
+const subscribers = new Set<PlanUpdateSubscriber>();
+
+export function publishPlanUpdate(payload: PlanUpdatePayload): void {
+  for (const subscriber of subscribers) {
+    try {
+      subscriber(payload);
+    } catch (error) {
+      console.warn('[planUpdateEvents] Subscriber fehlgeschlagen:', error);
+    }
+  }
+}
+
+/** Returns the unsubscribe function (fits a useEffect cleanup). */
+export function subscribePlanUpdates(subscriber: PlanUpdateSubscriber): () => void {
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+  };
+}
+
+type BoardPresenceSubscriber = (sessions: BoardPresenceEntry[]) => void;
+
+const presenceSubscribers = new Set<BoardPresenceSubscriber>();
+
+export function publishBoardPresence(sessions: BoardPresenceEntry[]): void {
+  for (const subscriber of presenceSubscribers) {
+    try {
+      subscriber(sessions);
+    } catch (error) {
+      console.warn('[planUpdateEvents] Presence-Subscriber fehlgeschlagen:', error);
+    }
+  }
+}
+
+export function subscribeBoardPresence(subscriber: BoardPresenceSubscriber): () => void {
+  presenceSubscribers.add(subscriber);
+  return () => {
+    presenceSubscribers.delete(subscriber);
+  };
+}
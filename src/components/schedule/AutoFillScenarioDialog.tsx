@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { Loader2, Scale } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { cn } from '@/lib/utils';
+import type { CostWeights, ShiftLike } from './costFunction';
+import type { WeightProfile } from './weightProfiles';
+import type { AutoFillReport } from './autoFillReport';
+import { createRandomSeed } from '@/utils/seededRandom';
+import { SCENARIO_KPI_DEFINITIONS, compareScenarioKpi, type ScenarioKpis, type ScenarioKpiDefinition } from './scenarioKpis';
+
+/**
+ * Runs AutoFill for the visible range with two weight profiles and shows the
+ * resulting KPIs side by side. Either result can be taken over as preview.
+ * Both runs share one seed, so differences come from the weights alone.
+ */
+
+export interface AutoFillScenarioRun {
+    suggestions: ShiftLike[];
+    kpis: ScenarioKpis;
+    report: AutoFillReport;
+}
+
+interface AutoFillScenarioDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    profiles: WeightProfile[];
+    activeProfileId: string | null;
+    runScenario: (profile: { name: string; weights: Partial<CostWeights> } | null, seed: string) => AutoFillScenarioRun;
+    onApply: (run: AutoFillScenarioRun) => void;
+}
+
+const DEFAULT_PROFILE_VALUE = '__default__';
+
+const formatKpi = (definition: ScenarioKpiDefinition, kpis: ScenarioKpis): string => {
+    const value = kpis[definition.key];
+    if (value === null) return '–';
+    if (definition.key === 'wishFulfilment') {
+        return `${Math.round(value * 100)} % (${kpis.serviceWishesMet}/${kpis.serviceWishes})`;
+    }
+    if (definition.key === 'fairnessSpread') {
+        return `${String(value).replace('.', ',')} (σ ${String(kpis.fairnessStdDev).replace('.', ',')})`;
+    }
+    return String(value);
+};
+
+export default function AutoFillScenarioDialog({
+    open,
+    onOpenChange,
+    profiles,
+    activeProfileId,
+    runScenario,
+    onApply,
+}: AutoFillScenarioDialogProps) {
+    const [profileA, setProfileA] = useState<string>(activeProfileId || DEFAULT_PROFILE_VALUE);
+    const [profileB, setProfileB] = useState<string>(
+        profiles.find((p) => p.id !== activeProfileId)?.id ?? DEFAULT_PROFILE_VALUE,
+    );
+    const [results, setResults] = useState<{ a: AutoFillScenarioRun; b: AutoFillScenarioRun; seed: string } | null>(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    const profileName = (value: string) =>
+        value === DEFAULT_PROFILE_VALUE ? 'Standard' : (profiles.find((p) => p.id === value)?.name ?? 'Standard');
+    const profileOf = (value: string) => profiles.find((p) => p.id === value) ?? null;
+
+    const handleCompare = () => {
+        setIsRunning(true);
+        // Let the spinner render before the synchronous engine runs
+        setTimeout(() => {
+            try {
+                const seed = createRandomSeed();
+                setResults({ a: runScenario(profileOf(profileA), seed), b: runScenario(profileOf(profileB), seed), seed });
+            } catch (error) {
+                console.error('AutoFill scenario error:', error);
+                toast.error('Fehler beim Vergleichen: ' + (error instanceof Error ? error.message : String(error)));
+            } finally {
+                setIsRunning(false);
+            }
+        }, 0);
+    };
+
+    const handleApply = (run: AutoFillScenarioRun) => {
+        onApply(run);
+        onOpenChange(false);
+    };
+
+    const renderProfileSelect = (value: string, onChange: (value: string) => void, label: string) => (
+        <div className="space-y-1 flex-1">
+            <Label className="text-xs text-slate-500">{label}</Label>
+            <Select value={value} onValueChange={(v) => { onChange(v); setResults(null); }}>
+                <SelectTrigger className="h-9">
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                    <SelectItem value={DEFAULT_PROFILE_VALUE}>Standard</SelectItem>
+                    {profiles.map((p) => (
+                        <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+        </div>
+    );
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-2xl" data-testid="autofill-scenario-dialog">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <Scale className="w-5 h-5 text-indigo-600" />
+                        AutoFill-Szenarien vergleichen
+                    </DialogTitle>
+                    <DialogDescription>
+                        Berechnet Vorschläge für den angezeigten Zeitraum mit zwei Gewichtungsprofilen. Der Plan wird erst
+                        beim Übernehmen als Vorschau geändert.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="flex items-end gap-3">
+                    {renderProfileSelect(profileA, setProfileA, 'Szenario A')}
+                    {renderProfileSelect(profileB, setProfileB, 'Szenario B')}
+                    <Button onClick={handleCompare} disabled={isRunning} data-testid="autofill-scenario-compare">
+                        {isRunning && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Vergleichen
+                    </Button>
+                </div>
+
+                {results && (
+                    <table className="w-full text-sm" data-testid="autofill-scenario-kpis">
+                        <thead>
+                            <tr className="border-b text-left text-xs text-slate-500">
+                                <th className="py-2 font-medium">Kennzahl</th>
+                                <th className="py-2 font-medium text-right">A: {profileName(profileA)}</th>
+                                <th className="py-2 font-medium text-right">B: {profileName(profileB)}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {SCENARIO_KPI_DEFINITIONS.map((definition) => {
+                                const winner = compareScenarioKpi(definition, results.a.kpis, results.b.kpis);
+                                return (
+                                    <tr key={definition.key} className="border-b last:border-0">
+                                        <td className="py-1.5 text-slate-700">{definition.label}</td>
+                                        <td className={cn('py-1.5 text-right tabular-nums', winner === 'a' && 'font-semibold text-green-700')}>
+                                            {formatKpi(definition, results.a.kpis)}
+                                        </td>
+                                        <td className={cn('py-1.5 text-right tabular-nums', winner === 'b' && 'font-semibold text-green-700')}>
+                                            {formatKpi(definition, results.b.kpis)}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+                {results && (
+                    <p className="text-xs text-slate-500">Beide Szenarien mit Seed <span className="font-mono">{results.seed}</span> berechnet.</p>
+                )}
+
+                <DialogFooter>
+                    {results && (
+                        <>
+                            <Button variant="outline" onClick={() => { handleApply(results.a); }}>
+                                A als Vorschau übernehmen
+                            </Button>
+                            <Button variant="outline" onClick={() => { handleApply(results.b); }}>
+                                B als Vorschau übernehmen
+                            </Button>
+                        </>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -6,6 +6,7 @@ import { Switch } from '@/components/ui/switch';
 import { Settings2 } from 'lucide-react';
 import { db } from "@/api/client";
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import WeightProfileSettings from './WeightProfileSettings';
 
 interface AutoFillSettingsDialogProps {
   trigger: ReactNode;
@@ -41,13 +42,14 @@ export default function AutoFillSettingsDialog({ trigger }: AutoFillSettingsDial
     const limitWeekend = getSetting('limit_weekend_services', '1');
     const strictRotationMode = getSettingBool('rotation_restricts_other_assignments');
     const autoFillDebugEnabled = getSettingBool('autofill_debug_enabled') || getSettingBool('ai_autofill_debug_enabled');
+    const autoFillSeed = getSetting('autofill_seed');
 
     return (
         <Dialog>
             <DialogTrigger asChild>
                 {trigger}
             </DialogTrigger>
-            <DialogContent className="max-w-lg">
+            <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
                 <DialogHeader>
                     <DialogTitle className="flex items-center gap-2">
                         <Settings2 className="w-5 h-5 text-indigo-600" />
@@ -122,6 +124,38 @@ export default function AutoFillSettingsDialog({ trigger }: AutoFillSettingsDial
                         </div>
                     </div>
 
+                    {/* Cost weight profiles */}
+                    <WeightProfileSettings
+                        settings={settings}
+                        onSave={(key, value) => { updateSettingMutation.mutate({ key, value }); }}
+                    />
+
+                    {/* Reproducibility */}
+                    <div className="border p-4 rounded-lg bg-slate-50 space-y-3">
+                        <div className="space-y-0.5">
+                            <Label htmlFor="afs-seed" className="text-sm font-semibold text-slate-700">Reproduzierbarkeit</Label>
+                            <p className="text-xs text-slate-500">
+                                Ohne festen Seed mischt jeder Lauf die Reihenfolge bei Kostengleichstand neu. Mit dem Seed eines
+                                Laufs (angezeigt in der Vorschau und in der Erklärung) liefert AutoFill bei gleichen Daten
+                                denselben Plan.
+                            </p>
+                        </div>
+                        <div className="flex items-center justify-between gap-3">
+                            <span className="text-sm text-slate-700">Fester Seed</span>
+                            <Input
+                                id="afs-seed"
+                                key={autoFillSeed}
+                                defaultValue={autoFillSeed}
+                                placeholder="leer = zufällig"
+                                onBlur={(e) => {
+                                    const value = e.target.value.trim();
+                                    if (value !== autoFillSeed) updateSettingMutation.mutate({ key: 'autofill_seed', value });
+                                }}
+                                className="h-8 w-48 bg-white font-mono"
+                            />
+                        </div>
+                    </div>
+
                     {/* Debug mode */}
                     <div className="border p-4 rounded-lg bg-slate-50 space-y-3">
                         <div className="space-y-0.5">
@@ -0,0 +1,87 @@
+import { Lock, Pencil } from 'lucide-react';
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
+import { cn } from '@/lib/utils';
+import { describePresence, presenceInitials, presenceName, type BoardPresenceEntry } from './boardPresence';
+
+const MAX_AVATARS = 5;
+
+interface BoardPresenceAvatarsProps {
+    others: BoardPresenceEntry[];
+    /** Week shown in this tab; colleagues on other weeks are dimmed */
+    weekStart: string;
+}
+
+/**
+ * Avatare der Kollegen, die den Dienstplan gerade geöffnet haben.
+ * Tooltip nennt Woche und ggf. die bearbeitete Zelle.
+ */
+export default function BoardPresenceAvatars({ others, weekStart }: BoardPresenceAvatarsProps) {
+    if (others.length === 0) return null;
+
+    const visible = others.slice(0, MAX_AVATARS);
+    const hidden = others.slice(MAX_AVATARS);
+
+    return (
+        <TooltipProvider delayDuration={0}>
+            <div className="flex items-center -space-x-2" data-testid="board-presence">
+                {visible.map((entry) => (
+                    <Tooltip key={entry.sessionId}>
+                        <TooltipTrigger asChild>
+                            <div className="relative">
+                                <Avatar
+                                    className={cn(
+                                        "h-8 w-8 border-2 border-white",
+                                        entry.weekStart !== weekStart && "opacity-50",
+                                        entry.editing && "ring-2 ring-amber-400",
+                                    )}
+                                >
+                                    <AvatarFallback className="bg-indigo-100 text-indigo-700 text-xs font-semibold">
+                                        {presenceInitials(entry)}
+                                    </AvatarFallback>
+                                </Avatar>
+                                {entry.editing && (
+                                    <Pencil className="absolute -bottom-0.5 -right-0.5 h-3 w-3 rounded-full bg-amber-400 p-0.5 text-white" />
+                                )}
+                            </div>
+                        </TooltipTrigger>
+                        <TooltipContent side="bottom">
+                            <div className="font-medium">{presenceName(entry)}</div>
+                            <div className="text-xs text-slate-500">{describePresence(entry)}</div>
+                        </TooltipContent>
+                    </Tooltip>
+                ))}
+                {hidden.length > 0 && (
+                    <Tooltip>
+                        <TooltipTrigger asChild>
+                            <div className="flex h-8 w-8 items-center justify-center rounded-full border-2 border-white bg-slate-200 text-xs font-medium text-slate-600">
+                                +{hidden.length}
+                            </div>
+                        </TooltipTrigger>
+                        <TooltipContent side="bottom">
+                            {hidden.map((entry) => (
+                                <div key={entry.sessionId} className="text-xs">
+                                    {presenceName(entry)} · {describePresence(entry)}
+                                </div>
+                            ))}
+                        </TooltipContent>
+                    </Tooltip>
+                )}
+            </div>
+        </TooltipProvider>
+    );
+}
+
+/** Marks a cell a colleague has open in a dialog (soft lock). */
+export function CellLockBadge({ lock }: { lock: BoardPresenceEntry }) {
+    return (
+        <div
+            className="absolute top-0.5 right-0.5 z-10 flex items-center gap-0.5 rounded-full bg-amber-100 border border-amber-300 px-1 text-[9px] font-semibold text-amber-800 pointer-events-none"
+            title={`${presenceName(lock)} bearbeitet diese Zelle`}
+            data-testid="cell-lock"
+        >
+            <Lock className="w-2.5 h-2.5" />
+            {presenceInitials(lock)}
+        </div>
+    );
+}
@@ -0,0 +1,166 @@
+import { useEffect, useMemo, useState } from 'react';
+import { format, isValid, parseISO } from 'date-fns';
+import { GitMerge } from 'lucide-react';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { cn } from '@/lib/utils';
+import type { Doctor, WorkplaceTimeslot } from '@/types';
+import {
+    defaultMergeChoices,
+    mergeFields,
+    recreateData,
+    resolveMerge,
+    type ConcurrentEditConflict,
+    type ConcurrentRow,
+    type MergeChoice,
+    type MergeField,
+} from './concurrentEdit';
+
+export type ConcurrentEditResolution =
+    | { type: 'update'; data: ConcurrentRow; expectedVersion?: number }
+    | { type: 'recreate'; data: ConcurrentRow }
+    | { type: 'delete' };
+
+interface ConcurrentEditDialogProps {
+    conflict: ConcurrentEditConflict | null;
+    doctors: Doctor[];
+    timeslots: WorkplaceTimeslot[];
+    onResolve: (resolution: ConcurrentEditResolution) => void;
+    /** Keeps the current server state */
+    onDismiss: () => void;
+}
+
+/**
+ * Merge-Dialog für gleichzeitige Bearbeitung (409 CONCURRENCY_ERROR).
+ * Zeigt je Feld den ursprünglichen Stand, die eigene Änderung und den
+ * aktuellen Stand auf dem Server; bei Feldern, die beide Seiten geändert
+ * haben, wählt der Nutzer den gültigen Wert.
+ */
+export default function ConcurrentEditDialog({ conflict, doctors, timeslots, onResolve, onDismiss }: ConcurrentEditDialogProps) {
+    const fields = useMemo(() => (conflict ? mergeFields(conflict) : []), [conflict]);
+    const [choices, setChoices] = useState<Record<string, MergeChoice>>({});
+
+    useEffect(() => {
+        setChoices(defaultMergeChoices(fields));
+    }, [fields]);
+
+    if (!conflict) return null;
+
+    const { action, theirs } = conflict;
+    const deletedMeanwhile = !theirs;
+    const version = typeof theirs?.version === 'number' ? theirs.version : undefined;
+    const isNote = conflict.entity === 'ScheduleNote';
+    const subject = isNote ? 'diese Notiz' : 'diesen Eintrag';
+    const pronoun = isNote ? 'sie' : 'ihn';
+
+    const formatValue = (field: MergeField, value: unknown): string => {
+        if (value === undefined || value === null || value === '') return '—';
+        if (field.key === 'doctor_id') return doctors.find((d) => d.id === value)?.name ?? String(value);
+        if (field.key === 'timeslot_id') return timeslots.find((t) => t.id === value)?.label ?? String(value);
+        if (field.key === 'date') {
+            const date = parseISO(String(value));
+            return isValid(date) ? format(date, 'dd.MM.yyyy') : String(value);
+        }
+        return String(value);
+    };
+
+    const handleMerge = () => {
+        onResolve({ type: 'update', data: resolveMerge(fields, choices), expectedVersion: version });
+    };
+
+    let description: string;
+    if (action === 'delete') {
+        description = `Ein anderer Benutzer hat ${subject} geändert, bevor Sie ${pronoun} gelöscht haben. Prüfen Sie die Änderungen, bevor Sie trotzdem löschen.`;
+    } else if (deletedMeanwhile) {
+        description = `Ein anderer Benutzer hat ${subject} gelöscht, während Sie ${pronoun} bearbeitet haben.`;
+    } else {
+        description = `Ein anderer Benutzer hat ${subject} geändert, während Sie ${pronoun} bearbeitet haben. Wählen Sie je Feld, welcher Stand gelten soll.`;
+    }
+
+    const renderChoice = (field: MergeField, side: MergeChoice) => {
+        const value = side === 'mine' ? field.mine : field.theirs;
+        const selectable = action === 'update' && !deletedMeanwhile && field.status !== 'same';
+        const selected = choices[field.key] === side || field.status === 'same';
+        return (
+            <button
+                type="button"
+                disabled={!selectable}
+                onClick={() => setChoices((prev) => ({ ...prev, [field.key]: side }))}
+                className={cn(
+                    "w-full rounded border px-2 py-1 text-left text-sm",
+                    selectable && selected && "border-indigo-500 bg-indigo-50 font-medium",
+                    selectable && !selected && "border-slate-200 text-slate-500 hover:bg-slate-50",
+                    !selectable && "border-transparent",
+                )}
+                data-testid={`merge-${field.key}-${side}`}
+            >
+                {formatValue(field, value)}
+            </button>
+        );
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => { if (!open) onDismiss(); }}>
+            <DialogContent className="max-w-2xl">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2 text-amber-600">
+                        <GitMerge className="w-5 h-5" />
+                        Gleichzeitige Änderung
+                    </DialogTitle>
+                    <DialogDescription>{description}</DialogDescription>
+                </DialogHeader>
+
+                {fields.length > 0 && (
+                    <div className="grid grid-cols-[8rem_1fr_1fr_1fr] gap-x-3 gap-y-2 items-center text-sm">
+                        <div />
+                        <div className="text-xs font-medium text-slate-500">Ursprünglich</div>
+                        <div className="text-xs font-medium text-slate-500">{action === 'delete' ? 'Ihre Aktion' : 'Ihre Änderung'}</div>
+                        <div className="text-xs font-medium text-slate-500">Aktueller Stand</div>
+                        {fields.map((field) => (
+                            <div key={field.key} className="contents">
+                                <div className={cn("font-medium", field.status === 'conflict' && "text-amber-700")}>
+                                    {field.label}
+                                </div>
+                                <div className="text-slate-500 px-2">{formatValue(field, field.base)}</div>
+                                <div>{action === 'delete' ? <span className="px-2 text-red-600">Löschen</span> : renderChoice(field, 'mine')}</div>
+                                <div>{deletedMeanwhile ? <span className="px-2 text-red-600">Gelöscht</span> : renderChoice(field, 'theirs')}</div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <DialogFooter>
+                    {action === 'delete' && (
+                        <>
+                            <Button variant="outline" onClick={onDismiss}>Behalten</Button>
+                            <Button variant="destructive" onClick={() => onResolve({ type: 'delete' })}>
+                                Trotzdem löschen
+                            </Button>
+                        </>
+                    )}
+                    {action === 'update' && deletedMeanwhile && (
+                        <>
+                            <Button variant="outline" onClick={onDismiss}>Verwerfen</Button>
+                            <Button onClick={() => onResolve({ type: 'recreate', data: recreateData(conflict) })}>
+                                Mit meiner Änderung neu anlegen
+                            </Button>
+                        </>
+                    )}
+                    {action === 'update' && !deletedMeanwhile && (
+                        <>
+                            <Button variant="outline" onClick={onDismiss}>Aktuellen Stand behalten</Button>
+                            <Button onClick={handleMerge} data-testid="merge-apply">Zusammenführen</Button>
+                        </>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -3,6 +3,8 @@ import type { ReactNode, CSSProperties, MouseEvent } from 'react';
 import { Draggable } from '@hello-pangea/dnd';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip';
 import type { Doctor, ShiftEntry } from '@/types';
+import { ledgerSummary } from './fairnessLedger';
+import type { FairnessLedgerEntry } from './fairnessLedger';
 
 // ── Local types ────────────────────────────────────────────────────────────
 
@@ -16,6 +18,8 @@ interface FairnessInfo {
   total: number;
   weekend: number;
   wishText?: string | null;
+  /** 12-month fairness ledger entry of the doctor */
+  ledger?: FairnessLedgerEntry | null;
 }
 
 interface WishMarker {
@@ -133,6 +137,9 @@ export default function DraggableShift({ shift, doctor, index, onRemove: _onRemo
       lines.push(`  VG: ${fairnessInfo.fg} | HG: ${fairnessInfo.bg}`);
     }
     lines.push(`Wochenende: ${fairnessInfo.weekend}`);
+    if (fairnessInfo.ledger) {
+      lines.push(ledgerSummary(fairnessInfo.ledger));
+    }
     if (fairnessInfo.wishText) {
       lines.push(fairnessInfo.wishText);
     }
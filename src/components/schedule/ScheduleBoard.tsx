@@ -3,9 +3,9 @@ import { useSearchParams } from 'react-router-dom';
 import { flushSync } from 'react-dom';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import type { DragStart, BeforeCapture } from '@hello-pangea/dnd';
-import { format, addDays, subDays, startOfWeek, isSameDay, startOfMonth, endOfMonth, addMonths, eachDayOfInterval, isValid } from 'date-fns';
+import { format, addDays, subDays, startOfWeek, isSameDay, startOfMonth, endOfMonth, addMonths, eachDayOfInterval, isValid, parseISO } from 'date-fns';
 import { de } from 'date-fns/locale';
-import { ChevronLeft, ChevronRight, ChevronDown, Wand2, Loader2, Trash2, Eye, EyeOff, Layout, Calendar, LayoutList, StickyNote, AlertTriangle, Download, Undo, ExternalLink, X, Lock, Unlock, Settings2, Globe2, Filter, Check, ChevronsUpDown, ShieldCheck } from 'lucide-react';
+import { ChevronLeft, ChevronRight, ChevronDown, Wand2, Loader2, Trash2, Eye, EyeOff, Layout, Calendar, LayoutList, StickyNote, AlertTriangle, Download, Undo, Redo, ExternalLink, X, Lock, Unlock, Settings2, Globe2, Filter, Check, ChevronsUpDown, ShieldCheck, Send, Scale, CalendarRange, Copy } from 'lucide-react';
 import { toast } from "sonner";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Command, CommandEmpty, CommandInput, CommandItem, CommandList } from "@/components/ui/command";
@@ -44,6 +44,17 @@ import RotationDemandDialog from './RotationDemandDialog';
 import WorkplaceConfigDialog from '@/components/settings/WorkplaceConfigDialog';
 import { generateSuggestions } from './autoFillEngine';
 import AutoFillSettingsDialog from './AutoFillSettingsDialog';
+import AutoFillScenarioDialog, { type AutoFillScenarioRun } from './AutoFillScenarioDialog';
+import ShiftTemplateDialog from './ShiftTemplateDialog';
+import ShiftTransferDialog, { type ShiftTransferResult } from './ShiftTransferDialog';
+import ConcurrentEditDialog, { type ConcurrentEditResolution } from './ConcurrentEditDialog';
+import BoardPresenceAvatars, { CellLockBadge } from './BoardPresenceAvatars';
+import type { ConcurrentEditConflict } from './concurrentEdit';
+import type { CostWeights } from './costFunction';
+import { computeScenarioKpis } from './scenarioKpis';
+import type { FairnessLedger } from './fairnessLedger';
+import { ACTIVE_WEIGHT_PROFILE_SETTING_KEY, getActiveWeightProfile, getWeightProfiles } from './weightProfiles';
+import { autoFillReportToCsv, autoFillReportToJson, buildAutoFillReport, type AutoFillReport } from './autoFillReport';
 import ColorSettingsDialog, { DEFAULT_COLORS } from '@/components/settings/ColorSettingsDialog';
 import FreeTextCell from './FreeTextCell';
 import { isWishOnDate } from '@/utils/wishRange';
@@ -61,6 +72,8 @@ import { resolveDoctorTargetHoursForWeekdays, resolveDoctorTargetWeeklyHours } f
 import { getAvailabilityWarnings } from '@/utils/staffingUtils';
 import SectionConfigDialog, { useSectionConfig } from '@/components/settings/SectionConfigDialog';
 import MobileScheduleView from './MobileScheduleView';
+import SchedulePublishDialog from './SchedulePublishDialog';
+import { isPublishWorkflowEnabled, toPublishedShifts, formatDateRanges, type PublishedScheduleResponse, type PublishDiffResponse } from './schedulePublication';
 import { useIsMobile } from '../hooks/useIsMobile';
 import { useTeamRoles } from '@/components/settings/TeamRoleSettings';
 import { getWorkplaceCategoriesFromSettings, getWorkplaceCategoryNames, workplaceAllowsMultiple } from '@/utils/workplaceCategoryUtils';
@@ -98,6 +111,10 @@ import {
 } from './scheduleBoardHelpers';
 import type { ScheduleViewMode, SectionTab } from './scheduleBoardHelpers';
 import { useScheduleMutations } from './useScheduleMutations';
+import { useScheduleHistory } from './useScheduleHistory';
+import { useBoardPresence } from './useBoardPresence';
+import { poolCell, rotationCell } from './boardPresence';
+import { historyChange } from './scheduleHistory';
 import { useDragHandlers } from './useDragHandlers';
 import { useCellRenderers } from './useCellRenderers';
 import { ScheduleBoardContext, type ScheduleBoardContextValue } from './ScheduleBoardContext';
@@ -158,15 +175,6 @@ interface SectionConfigEntry extends SectionStyle {
   rows?: string[];
 }
 
-interface UndoAction {
-  type: string;
-  id?: string;
-  ids?: string[];
-  data?: unknown;
-}
-
-type UndoStackEntry = UndoAction | UndoAction[];
-
 interface RowQualFilter {
   key: string;
   sourceName: string;
@@ -323,7 +331,6 @@ export default function ScheduleBoard() {
     const isMonthView = viewMode === 'month';
   const [isGenerating, setIsGenerating] = useState(false);
   const [isCtrlPressed, setIsCtrlPressed] = useState(false);
-  const [undoStack, setUndoStack] = useState<UndoStackEntry[]>([]);
 
   // Cell-lock to prevent race conditions during rapid drag-drops
   // Keys are "date|position" or "date|position|timeslot_id", values are timestamps
@@ -341,43 +348,9 @@ export default function ScheduleBoard() {
     cellLocksRef.current.delete(key);
   };
 
-  const handleUndo = async () => {
-      if (undoStack.length === 0) return;
-      const item = undoStack[undoStack.length - 1];
-      
-      // Remove from stack immediately
-      setUndoStack((prev) => prev.slice(0, -1));
-
-      const actions = Array.isArray(item) ? item : [item];
-
-      try {
-          for (const action of actions) {
-              if (action.type === 'DELETE') {
-                  await db.ShiftEntry.delete(action.id!);
-              } else if (action.type === 'CREATE') {
-                  await db.ShiftEntry.create(action.data as Record<string, unknown>);
-              } else if (action.type === 'UPDATE') {
-                  await db.ShiftEntry.update(action.id!, action.data as Record<string, unknown>);
-              } else if (action.type === 'BULK_CREATE') {
-                  await db.ShiftEntry.bulkCreate(action.data as Record<string, unknown>[]);
-              } else if (action.type === 'BULK_DELETE') {
-                  await Promise.all(action.ids!.map((id) => db.ShiftEntry.delete(id)));
-              }
-          }
-          queryClient.invalidateQueries({ queryKey: ['shifts'] });
-      } catch (e) {
-          console.error("Undo failed", e);
-          alert("Rückgängig fehlgeschlagen: " + (e instanceof Error ? e.message : String(e)));
-      }
-  };
-
   useEffect(() => {
     const handleKeyDown = (e: KeyboardEvent): void => {
       if (e.key === 'Control') setIsCtrlPressed(true);
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-          e.preventDefault();
-          handleUndo();
-      }
     };
     const handleKeyUp = (e: KeyboardEvent): void => {
       if (e.key === 'Control') setIsCtrlPressed(false);
@@ -393,9 +366,9 @@ export default function ScheduleBoard() {
       window.removeEventListener('keyup', handleKeyUp);
       window.removeEventListener('blur', handleBlur);
     };
-  }, [undoStack]);
+  }, []);
 
-    const { isReadOnly, user, updateMe, can: _can } = useAuth();
+    const { isReadOnly, user, updateMe, can } = useAuth();
 
   // Load saved settings from user profile or localStorage fallback
   const [showSidebar, setShowSidebar] = useState(() => {
@@ -610,6 +583,7 @@ export default function ScheduleBoard() {
     const effectiveGridFontSize = isMonthView ? Math.min(gridFontSize, 11) : gridFontSize;
     const shiftBoxSize = isMonthView ? Math.max(effectiveGridFontSize * 2.8, 30) : effectiveGridFontSize * 3.5;
   const [previewShifts, setPreviewShifts] = useState<ShiftEntry[] | null>(null);
+    const [autoFillReport, setAutoFillReport] = useState<AutoFillReport | null>(null); // Erklärung + Seed des letzten AutoFill-Laufs
     const [, setPreviewCategories] = useState<string[] | null>(null); // welche Kategorien im Vorschau
   const [draggingDoctorId, setDraggingDoctorId] = useState<string | null>(null);
   const [draggingShiftId, setDraggingShiftId] = useState<string | null>(null);
@@ -620,6 +594,46 @@ export default function ScheduleBoard() {
 
   const queryClient = useQueryClient();
 
+  // Session-scoped undo/redo of board edits, replayed through the atomic route
+  const history = useScheduleHistory({ queryClient, userEmail: user?.email });
+  const { undo: undoHistory, redo: redoHistory } = history;
+
+  // Live presence of other planners; cell dialogs soft-lock their cell
+  const presenceWeekStart = format(startOfWeek(currentDate, { weekStartsOn: 1 }), 'yyyy-MM-dd');
+  const presence = useBoardPresence({
+    weekStart: presenceWeekStart,
+    viewMode,
+    userId: user?.id,
+    enabled: !isReadOnly && !isEmbeddedSchedule,
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent): void => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Text fields keep their own undo
+      const target = e.target as HTMLElement | null;
+      if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          void undoHistory();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          void redoHistory();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoHistory, redoHistory]);
+
+  // Bulk copy / move: one step covering the new and the deleted entries
+  const handleShiftsTransferred = (result: ShiftTransferResult) => {
+      history.record(result.mode === 'move' ? 'Verschieben' : 'Kopieren', [
+          ...result.deleted.map((s) => historyChange('ShiftEntry', s, null)),
+          ...result.created.map((s) => historyChange('ShiftEntry', null, s)),
+      ]);
+  };
+
   // Dynamische Rollenprioritäten aus DB laden
   const { rolePriority } = useTeamRoles();
 
@@ -649,13 +663,57 @@ export default function ScheduleBoard() {
       };
   }, [currentDate]);
 
-  const { data: allShifts = [] as any } = useQuery({
+    const { data: systemSettings = [], isLoading: isLoadingSystemSettings } = useQuery({
+    queryKey: ['systemSettings'],
+    queryFn: () => db.SystemSetting.list(),
+    staleTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
+  // Freigabe-Workflow: users without can_edit_schedule see the last published
+  // version instead of the planners' draft (the server enforces the same for
+  // ShiftEntry reads). Wait for the settings so the draft never flashes.
+  const publishWorkflowEnabled = useMemo(() => isPublishWorkflowEnabled(systemSettings), [systemSettings]);
+  const showPublishedVersion = publishWorkflowEnabled && !can('can_edit_schedule');
+
+  const { data: draftShifts = [] as any } = useQuery({
     queryKey: ['shifts', fetchRange.start, fetchRange.end],
     queryFn: () => db.ShiftEntry.filter({
         date: { $gte: fetchRange.start, $lte: fetchRange.end }
     }),
     placeholderData: keepPreviousData,
     staleTime: 30 * 1000, // 30 seconds cache
+    enabled: !isLoadingSystemSettings && !showPublishedVersion,
+  });
+
+  const { data: publishedSchedule } = useQuery({
+    queryKey: ['schedule-published', fetchRange.start, fetchRange.end],
+    queryFn: () => api.getPublishedSchedule(fetchRange.start, fetchRange.end) as Promise<PublishedScheduleResponse>,
+    placeholderData: keepPreviousData,
+    staleTime: 30 * 1000,
+    enabled: showPublishedVersion,
+  });
+
+  const allShifts = useMemo(
+    () => (showPublishedVersion ? toPublishedShifts(publishedSchedule?.entries ?? []) : draftShifts),
+    [showPublishedVersion, publishedSchedule, draftShifts],
+  );
+
+  const canPublishSchedule = publishWorkflowEnabled && !isReadOnly && can('can_edit_schedule');
+  const [isPublishDialogOpen, setIsPublishDialogOpen] = useState(false);
+  const [isScenarioDialogOpen, setIsScenarioDialogOpen] = useState(false);
+  const [isTemplateDialogOpen, setIsTemplateDialogOpen] = useState(false);
+  const [isTransferDialogOpen, setIsTransferDialogOpen] = useState(false);
+  const publishRange = useMemo(() => ({
+    start: format(startOfMonth(currentDate), 'yyyy-MM-dd'),
+    end: format(endOfMonth(currentDate), 'yyyy-MM-dd'),
+  }), [currentDate]);
+
+  const { data: publishDiff } = useQuery({
+    queryKey: ['schedule-publish-diff', publishRange.start, publishRange.end],
+    queryFn: () => api.getSchedulePublishDiff(publishRange.start, publishRange.end) as Promise<PublishDiffResponse>,
+    enabled: canPublishSchedule,
+    staleTime: 30 * 1000,
   });
 
     const { data: visiblePoolData } = useQuery<VisiblePoolShiftsResponse>({
@@ -780,9 +838,23 @@ export default function ScheduleBoard() {
     });
 
     const openPoolEditDialog = (workplace: any, dateStr: string, shift: ShiftEntry | null = null): void => {
+        if (!presence.beginEdit(poolCell(workplace, dateStr))) return;
         setPoolEditDialog({ open: true, workplace, date: dateStr, shift });
     };
 
+    const openRotationAssignmentDialog = (state: RotationAssignmentDialogState): void => {
+        if (state.workplace && state.date && !presence.beginEdit(rotationCell(state.workplace, state.date))) return;
+        setRotationAssignmentDialog(state);
+    };
+
+    const renderCellLock = (rowObj: any, dateStr: string) => {
+        const cell = rowObj.isCrossTenantRow ? poolCell(rowObj.crossTenantWorkplace, dateStr)
+            : rowObj.isRotationRow ? rotationCell(rowObj.rotationWorkplace, dateStr)
+                : null;
+        const lock = cell ? presence.lockFor(cell) : null;
+        return lock ? <CellLockBadge lock={lock} /> : null;
+    };
+
     const closeTimeslotSelectionDialog = () => {
         pendingTimeslotSelectionRef.current = null;
         setTimeslotSelectionDialog({
@@ -955,9 +1027,11 @@ export default function ScheduleBoard() {
     refetchOnWindowFocus: false,
   });
 
-    const { data: systemSettings = [], isLoading: isLoadingSystemSettings } = useQuery({
-    queryKey: ['systemSettings'],
-    queryFn: () => db.SystemSetting.list(),
+  // Fairness-Konto: Dienste der 12 Monate vor dem angezeigten Zeitraum (Wochenende, Feiertage, Nacht),
+  // serverseitig berechnet (GET /api/schedule/fairness-ledger)
+  const { data: fairnessLedger = null } = useQuery({
+    queryKey: ['fairness-ledger', fetchRange.start],
+    queryFn: () => api.getFairnessLedger(fetchRange.start) as Promise<FairnessLedger>,
     staleTime: 10 * 60 * 1000,
     refetchOnWindowFocus: false,
   });
@@ -1485,10 +1559,11 @@ export default function ScheduleBoard() {
     return scheduleInfoMap.get(`${dateStr}|${position}`);
   };
 
-        const { validate, shouldCreateAutoFrei, findAutoFreiToCleanup, isAutoOffPosition, checkCrossTenantConflicts, validator } = useShiftValidation(allShifts, {
+        const { validate, shouldCreateAutoFrei, findAutoFreiToCleanup, isAutoOffPosition, checkCrossTenantConflicts, validator, createValidator } = useShiftValidation(allShifts, {
             workplaces,
             timeslots: workplaceTimeslots,
             sharedShifts: visiblePoolShifts,
+            shiftsFrom: fetchRange.start,
         });
 
   // Qualifikationsdaten für visuelle Indikatoren
@@ -1630,6 +1705,9 @@ export default function ScheduleBoard() {
       return {};
   }, [colorSettings]);
 
+  // Stale write rejected by the server (409); resolved in ConcurrentEditDialog
+  const [concurrentEdit, setConcurrentEdit] = useState<ConcurrentEditConflict | null>(null);
+
   // All mutations extracted to useScheduleMutations hook
   const mutations = useScheduleMutations({
     user,
@@ -1637,10 +1715,11 @@ export default function ScheduleBoard() {
     allShifts: allShifts ?? [],
     wishes: wishes ?? [],
     fetchRange,
-    setUndoStack,
+    history,
     unlockCell,
     systemSettings: systemSettings ?? [],
     queryClient,
+    onVersionConflict: setConcurrentEdit,
   });
   const {
     updateDoctorMutation,
@@ -1661,6 +1740,25 @@ export default function ScheduleBoard() {
     deleteInfoMutation,
   } = mutations;
 
+  // The board already shows the colleague's row; write the merge on top of it
+  const handleConcurrentEditResolved = (resolution: ConcurrentEditResolution) => {
+      const conflict = concurrentEdit;
+      setConcurrentEdit(null);
+      if (!conflict) return;
+      const isNote = conflict.entity === 'ScheduleNote';
+      if (resolution.type === 'delete') {
+          if (isNote) deleteNoteMutation.mutate(conflict.id);
+          else deleteShiftMutation.mutate(conflict.id);
+      } else if (resolution.type === 'recreate') {
+          if (isNote) createNoteMutation.mutate(resolution.data);
+          else createShiftMutation.mutate(resolution.data as Partial<ShiftEntry>);
+      } else if (Object.keys(resolution.data).length > 0) {
+          const { data, expectedVersion } = resolution;
+          if (isNote) updateNoteMutation.mutate({ id: conflict.id, data, expectedVersion });
+          else updateShiftMutation.mutate({ id: conflict.id, data: data as Partial<ShiftEntry>, expectedVersion });
+      }
+  };
+
   // Context menu state for cell blocking / info
   const [blockContextMenu, setBlockContextMenu] = useState<BlockContextMenuState | null>(null);
   const [blockReasonInput, setBlockReasonInput] = useState('');
@@ -2073,6 +2171,12 @@ export default function ScheduleBoard() {
 
   // ─── Conflict Scanner ────────────────────────────────────────────────
   const weekDayStrings = useMemo(() => weekDays.map((d: any) => format(d, 'yyyy-MM-dd')), [weekDays]);
+
+  const unpublishedVisibleDates = useMemo(() => {
+    if (!showPublishedVersion || !publishedSchedule) return [];
+    const published = new Set(publishedSchedule.publishedDates);
+    return weekDayStrings.filter((date: string) => !published.has(date));
+  }, [showPublishedVersion, publishedSchedule, weekDayStrings]);
   const doctorNamesMap = useMemo(() => {
       const map = new Map();
       for (const d of doctors) {
@@ -2811,7 +2915,7 @@ export default function ScheduleBoard() {
     setHiddenJokerDoctorIds,
     setPreviewShifts,
     setPreviewCategories,
-    setUndoStack,
+    history,
     setTimeslotSelectionDialog,
     doctors,
     allShifts,
@@ -2852,18 +2956,61 @@ export default function ScheduleBoard() {
       if (!previewShifts) return;
       // Remove isPreview flag before saving
     const shiftsToCreate = previewShifts.map(({ isPreview: _isPreview, id: _id, ...rest }) => rest);
-      await db.ShiftEntry.bulkCreate(shiftsToCreate);
+      const created = await db.ShiftEntry.bulkCreate(shiftsToCreate);
+      if (Array.isArray(created)) {
+          history.record('AutoFill übernommen', created.map((s) => historyChange('ShiftEntry', null, s)));
+      }
       queryClient.invalidateQueries({ queryKey: ['shifts'] });
       setPreviewShifts(null);
       setPreviewCategories(null);
+      setAutoFillReport(null);
       toast.success(`${shiftsToCreate.length} Eintr\u00e4ge \u00fcbernommen`);
   };
 
   const cancelPreview = () => {
       setPreviewShifts(null);
       setPreviewCategories(null);
+      setAutoFillReport(null);
   };
 
+  const downloadAutoFillReport = (kind: 'csv' | 'json'): void => {
+    if (!autoFillReport) return;
+    const timeslotLabels = new Map(workplaceTimeslots.map((t: WorkplaceTimeslot) => [t.id, t.label]));
+    const content = kind === 'csv'
+      ? autoFillReportToCsv(autoFillReport, (id) => timeslotLabels.get(id) ?? id)
+      : autoFillReportToJson(autoFillReport);
+    const blob = new Blob([content], { type: kind === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `autofill-erklaerung-${autoFillReport.seed}.${kind}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  /** Engine input for the visible range; always ALL categories (see handleAutoFill). */
+  const getAutoFillEngineParams = () => ({
+    weekDays,
+    doctors,
+    workplaces,
+    existingShifts: currentWeekShifts.filter((s: any) => !s.isPreview),
+    allShifts,
+    trainingRotations,
+    isPublicHoliday: isPublicHoliday as any,
+    getDoctorQualIds,
+    getWpRequiredQualIds,
+    getWpOptionalQualIds,
+    getWpExcludedQualIds,
+    getWpDiscouragedQualIds,
+    categoriesToFill: ['Rotationen', 'Dienste', 'Demonstrationen & Konsile', ...getWorkplaceCategoryNames(systemSettings)],
+    systemSettings,
+    wishes,
+    workplaceTimeslots,
+    fairnessLedger,
+  });
+
   const handleAutoFill = (categories: string[] | null = null): void => {
     setIsGenerating(true);
     try {
@@ -2873,6 +3020,8 @@ export default function ScheduleBoard() {
             ) === 'true';
             const autoFillDebugEntries: any[] = [];
             const autoFillRequestId = `af-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            // Fester Seed aus den AutoFill-Einstellungen, sonst erzeugt die Engine einen zufälligen
+            const autoFillSeed = systemSettings.find((s) => s.key === 'autofill_seed')?.value?.trim() || null;
 
       // Determine which categories to fill
       const allCategories = [
@@ -2888,31 +3037,18 @@ export default function ScheduleBoard() {
       setPreviewCategories(selectedCategories);
 
       const result = generateSuggestions({
-        weekDays,
-        doctors,
-        workplaces,
-        existingShifts: currentWeekShifts.filter((s: any) => !s.isPreview),
-        allShifts,
-        trainingRotations,
-        isPublicHoliday: isPublicHoliday as any,
-        getDoctorQualIds,
-        getWpRequiredQualIds,
-        getWpOptionalQualIds,
-        getWpExcludedQualIds,
-        getWpDiscouragedQualIds,
-        categoriesToFill: allCategories,  // always compute ALL
-        systemSettings,
-        wishes,
-        workplaceTimeslots,
+        ...getAutoFillEngineParams(),  // always compute ALL categories
+                seed: autoFillSeed,
                 debug: {
                     enabled: autoFillDebugEnabled,
+                    explain: true,
                     requestId: autoFillRequestId,
                     entries: autoFillDebugEntries,
                 },
       });
 
       // Filter results to only the selected categories (if not "all")
-      let filtered = result;
+      let filtered: Array<(typeof result)[number]> = result;
       if (categories) {
         // Build a set of position names belonging to the selected categories  
         const selectedPositions = new Set(
@@ -2935,6 +3071,11 @@ export default function ScheduleBoard() {
         // Assign stable IDs immediately so drag-drop can find them in state
         const withIds = filtered.map((s: any, i: any) => ({ ...s, id: `preview-${i}` }));
         setPreviewShifts(withIds);
+        setAutoFillReport(buildAutoFillReport(result.__seed, result.__debug?.explanations ?? [], {
+          requestId: autoFillRequestId,
+          weightProfile: getActiveWeightProfile(systemSettings)?.name ?? null,
+          positions: filtered.map((s: any) => s.position),
+        }));
         toast.success(`${filtered.length} Vorschläge generiert` + (categories ? ` (${result.length} insgesamt berechnet)` : ''));
 
                 if (autoFillDebugEnabled && result.__debug?.entries?.length) {
@@ -2960,6 +3101,40 @@ export default function ScheduleBoard() {
     }
   };
 
+  // Scenario comparison: same engine input and seed, different weight profile.
+  const runAutoFillScenario = (profile: { name: string; weights: Partial<CostWeights> } | null, seed: string): AutoFillScenarioRun => {
+    const params = getAutoFillEngineParams();
+    const suggestions = generateSuggestions({ ...params, weights: profile?.weights ?? {}, seed, debug: { explain: true, entries: [] } });
+    const dates = weekDays.map((d) => format(d, 'yyyy-MM-dd'));
+    const kpis = computeScenarioKpis({
+      dates,
+      doctors,
+      workplaces,
+      // History window from the fairness query, planning days from the board
+      existingShifts: [...fairnessShifts.filter((s) => s.date < dates[0]), ...params.existingShifts],
+      suggestions,
+      wishes,
+      systemSettings,
+      categories: params.categoriesToFill,
+      isPublicHoliday: (dateStr) => Boolean(isPublicHoliday(new Date(dateStr + 'T00:00:00'))),
+    });
+    const report = buildAutoFillReport(suggestions.__seed, suggestions.__debug?.explanations ?? [], {
+      weightProfile: profile?.name ?? null,
+    });
+    return { suggestions, kpis, report };
+  };
+
+  const applyScenarioPreview = ({ suggestions, report }: AutoFillScenarioRun): void => {
+    if (suggestions.length === 0) {
+      toast.info('Keine offenen Positionen gefunden');
+      return;
+    }
+    setPreviewCategories(getAutoFillEngineParams().categoriesToFill);
+    setPreviewShifts(suggestions.map((s: any, i: number) => ({ ...s, id: `preview-${i}` })));
+    setAutoFillReport(report);
+    toast.success(`${suggestions.length} Vorschläge übernommen`);
+  };
+
   // ============================================================
   //  FAIRNESS-DATEN für Preview-Dienste
   //  Berechnet für jeden Arzt: Dienste letzte 4 Wochen, Wochenenden, Wünsche
@@ -3067,9 +3242,10 @@ export default function ScheduleBoard() {
       }
     }
     info.wishText = wishTexts.length > 0 ? wishTexts.join(', ') : null;
+    info.ledger = fairnessLedger?.entries[shift.doctor_id] ?? null;
 
     return info;
-  }, [previewFairnessData, workplaces, wishes]);
+  }, [previewFairnessData, workplaces, wishes, fairnessLedger]);
 
     const getDoctorDayWishes = useMemo(() => (doctorId: string, dateStr: string): WishRequest[] => {
         return wishes.filter((w) =>
@@ -3177,7 +3353,7 @@ export default function ScheduleBoard() {
     effectiveGridFontSize,
     shiftBoxSize,
     setRotationDemandDialog,
-    setRotationAssignmentDialog,
+    setRotationAssignmentDialog: openRotationAssignmentDialog,
     crossTenantShiftsByCell,
     linkedWorkplacesByName,
     activeLinkTenantId,
@@ -3416,7 +3592,8 @@ export default function ScheduleBoard() {
                                               }
 
                                               return (
-                                                  <div key={`split-cell-${dIdx}`} className="border-r border-slate-100 last:border-r-0">
+                                                  <div key={`split-cell-${dIdx}`} className="relative border-r border-slate-100 last:border-r-0">
+                                                      {renderCellLock(rowObj, dateStr)}
                                                       {rowObj.isCrossTenantRow ? (
                                                           renderCrossTenantCell(rowObj.crossTenantWorkplace, dateStr)
                                                       ) : rowObj.isRotationRow ? (
@@ -3622,14 +3799,26 @@ export default function ScheduleBoard() {
             variant="outline" 
             size="icon"
             data-testid="schedule-undo"
-            onClick={handleUndo}
-            disabled={undoStack.length === 0}
-            title="Rückgängig (Ctrl+Z)"
-            className={`h-9 w-9 ${undoStack.length > 0 ? "text-indigo-600 border-indigo-200 hover:bg-indigo-50" : "opacity-50"}`}
+            onClick={() => { void history.undo(); }}
+            disabled={!history.canUndo || history.isReplaying}
+            title={history.undoLabel ? `Rückgängig: ${history.undoLabel} (Ctrl+Z)` : 'Rückgängig (Ctrl+Z)'}
+            className={`h-9 w-9 ${history.canUndo ? "text-indigo-600 border-indigo-200 hover:bg-indigo-50" : "opacity-50"}`}
         >
             <Undo className="w-4 h-4" />
         </Button>
 
+        <Button 
+            variant="outline" 
+            size="icon"
+            data-testid="schedule-redo"
+            onClick={() => { void history.redo(); }}
+            disabled={!history.canRedo || history.isReplaying}
+            title={history.redoLabel ? `Wiederholen: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Wiederholen (Ctrl+Shift+Z)'}
+            className={`h-9 w-9 ${history.canRedo ? "text-indigo-600 border-indigo-200 hover:bg-indigo-50" : "opacity-50"}`}
+        >
+            <Redo className="w-4 h-4" />
+        </Button>
+
         <Button 
             variant="outline" 
             data-testid="schedule-today"
@@ -3713,10 +3902,44 @@ export default function ScheduleBoard() {
                   <span className="hidden sm:inline">Tag</span>
               </button>
           </div>
+          {showPublishedVersion && (
+             <div className="flex flex-col bg-emerald-50 text-emerald-800 px-3 py-1 rounded-md border border-emerald-200 text-xs" data-testid="schedule-published-banner">
+                 <span className="font-medium">
+                     Veröffentlichte Version
+                     {publishedSchedule?.publications[0] && ` · Stand ${format(parseISO(publishedSchedule.publications[0].created_date), 'dd.MM.yyyy HH:mm')}`}
+                 </span>
+                 {unpublishedVisibleDates.length > 0 && (
+                     <span>Noch nicht veröffentlicht: {formatDateRanges(unpublishedVisibleDates)}</span>
+                 )}
+             </div>
+          )}
           {previewShifts && (
              <div className="flex items-center bg-indigo-50 text-indigo-700 px-3 py-1 rounded-md border border-indigo-200" data-testid="schedule-preview-bar">
                  <Wand2 className="w-4 h-4 mr-2" />
                  <span className="text-sm font-medium mr-3">{previewShifts.length} Vorschläge</span>
+                 {autoFillReport && (
+                     <>
+                         <span
+                             className="text-xs font-mono text-indigo-500 mr-2"
+                             title="Mit diesem Seed (AutoFill-Einstellungen) lässt sich der Lauf reproduzieren"
+                             data-testid="schedule-preview-seed"
+                         >
+                             Seed {autoFillReport.seed}
+                         </span>
+                         <DropdownMenu>
+                             <DropdownMenuTrigger asChild>
+                                 <Button size="sm" variant="ghost" className="h-7 mr-2 hover:bg-indigo-100 hover:text-indigo-800" data-testid="schedule-preview-explain">
+                                     <Download className="w-4 h-4 mr-1" />
+                                     Erklärung
+                                 </Button>
+                             </DropdownMenuTrigger>
+                             <DropdownMenuContent align="end">
+                                 <DropdownMenuItem onClick={() => { downloadAutoFillReport('csv'); }}>Als CSV (Excel)</DropdownMenuItem>
+                                 <DropdownMenuItem onClick={() => { downloadAutoFillReport('json'); }}>Als JSON</DropdownMenuItem>
+                             </DropdownMenuContent>
+                         </DropdownMenu>
+                     </>
+                 )}
                  <Button size="sm" onClick={applyPreview} className="bg-indigo-600 hover:bg-indigo-700 text-white h-7 mr-2" data-testid="schedule-preview-apply">
                      Alle übernehmen
                  </Button>
@@ -3725,6 +3948,7 @@ export default function ScheduleBoard() {
                  </Button>
              </div>
           )}
+          <BoardPresenceAvatars others={presence.others} weekStart={presenceWeekStart} />
         </div>
 
         <div className="flex flex-wrap items-center gap-1">
@@ -3763,6 +3987,11 @@ export default function ScheduleBoard() {
                                  Nur {name}
                              </DropdownMenuItem>
                          ))}
+                         <DropdownMenuSeparator />
+                         <DropdownMenuItem onClick={() => { setIsScenarioDialogOpen(true); }} data-testid="schedule-auto-fill-scenarios">
+                             <Scale className="w-4 h-4 mr-2 text-slate-500" />
+                             Szenarien vergleichen…
+                         </DropdownMenuItem>
                          {user?.role === 'admin' && (
                            <>
                              <DropdownMenuSeparator />
@@ -3805,6 +4034,50 @@ export default function ScheduleBoard() {
                     </Badge>
                 )}
              </Button>
+             {!isReadOnly && !previewShifts && (
+                 <Button
+                     variant="outline"
+                     size="sm"
+                     onClick={() => { setIsTemplateDialogOpen(true); }}
+                     title="Regelwoche speichern oder übernehmen"
+                     className="h-9"
+                     data-testid="schedule-template-button"
+                 >
+                     <CalendarRange className="w-4 h-4" />
+                     <span className="hidden sm:inline ml-1">Regelwoche</span>
+                 </Button>
+             )}
+             {!isReadOnly && !previewShifts && (
+                 <Button
+                     variant="outline"
+                     size="sm"
+                     onClick={() => { setIsTransferDialogOpen(true); }}
+                     title="Tag, Woche oder Mitarbeiterzeile kopieren / verschieben"
+                     className="h-9"
+                     data-testid="schedule-transfer-button"
+                 >
+                     <Copy className="w-4 h-4" />
+                     <span className="hidden sm:inline ml-1">Kopieren</span>
+                 </Button>
+             )}
+              {canPublishSchedule && !previewShifts && (
+                  <Button
+                     variant="outline"
+                     size="sm"
+                     onClick={() => { setIsPublishDialogOpen(true); }}
+                     title="Entwurf veröffentlichen"
+                     className="h-9"
+                     data-testid="schedule-publish"
+                  >
+                    <Send className="w-4 h-4" />
+                    <span className="hidden sm:inline ml-1">Veröffentlichen</span>
+                    {(publishDiff?.changes.length ?? 0) > 0 && (
+                        <Badge variant="secondary" className="ml-1 h-5 px-1.5 text-xs">
+                            {publishDiff?.changes.length}
+                        </Badge>
+                    )}
+                 </Button>
+              )}
               <Button 
                  variant="outline"
                  size="sm"
@@ -4555,7 +4828,8 @@ export default function ScheduleBoard() {
                                 }
 
                                 return (
-                                    <div key={dIdx} className={`border-r border-slate-100 last:border-r-0`}>
+                                    <div key={dIdx} className={`relative border-r border-slate-100 last:border-r-0`}>
+                                        {renderCellLock(rowObj, dateStr)}
                                         {rowObj.isCrossTenantRow ? (
                                             renderCrossTenantCell(rowObj.crossTenantWorkplace, dateStr)
                                         ) : rowObj.isRotationRow ? (
@@ -4754,6 +5028,60 @@ export default function ScheduleBoard() {
           shiftLabels={shiftLabelMap}
       />
 
+      {isScenarioDialogOpen && (
+          <AutoFillScenarioDialog
+              open={isScenarioDialogOpen}
+              onOpenChange={setIsScenarioDialogOpen}
+              profiles={getWeightProfiles(systemSettings)}
+              activeProfileId={systemSettings.find((s) => s.key === ACTIVE_WEIGHT_PROFILE_SETTING_KEY)?.value || null}
+              runScenario={runAutoFillScenario}
+              onApply={applyScenarioPreview}
+          />
+      )}
+
+      {isTemplateDialogOpen && (
+          <ShiftTemplateDialog
+              open={isTemplateDialogOpen}
+              onOpenChange={setIsTemplateDialogOpen}
+              weekStart={format(startOfWeek(currentDate, { weekStartsOn: 1 }), 'yyyy-MM-dd')}
+              doctors={doctors}
+              workplaces={workplaces}
+              createValidator={createValidator}
+              onApplied={(created) => history.record('Regelwoche übernommen', created.map((s) => historyChange('ShiftEntry', null, s)))}
+          />
+      )}
+
+      {isTransferDialogOpen && (
+          <ShiftTransferDialog
+              open={isTransferDialogOpen}
+              onOpenChange={setIsTransferDialogOpen}
+              weekStart={format(startOfWeek(currentDate, { weekStartsOn: 1 }), 'yyyy-MM-dd')}
+              doctors={doctors}
+              workplaces={workplaces}
+              createValidator={createValidator}
+              onTransferred={handleShiftsTransferred}
+          />
+      )}
+
+      <ConcurrentEditDialog
+          conflict={concurrentEdit}
+          doctors={doctors}
+          timeslots={workplaceTimeslots}
+          onResolve={handleConcurrentEditResolved}
+          onDismiss={() => setConcurrentEdit(null)}
+      />
+
+      {canPublishSchedule && (
+          <SchedulePublishDialog
+              open={isPublishDialogOpen}
+              onOpenChange={setIsPublishDialogOpen}
+              defaultStart={publishRange.start}
+              defaultEnd={publishRange.end}
+              doctors={doctors}
+              workplaceTimeslots={workplaceTimeslots}
+          />
+      )}
+
       <Dialog open={timeslotSelectionDialog.open} onOpenChange={handleTimeslotDialogOpenChange}>
           <DialogContent className="sm:max-w-2xl" data-testid="schedule-timeslot-selection-dialog">
               <DialogHeader>
@@ -4979,7 +5307,10 @@ export default function ScheduleBoard() {
       {/* Cross-tenant (group/pool) shift editor */}
       <PoolShiftEditDialog
         open={poolEditDialog.open}
-        onOpenChange={(open) => { setPoolEditDialog((prev: any) => ({ ...prev, open })); }}
+        onOpenChange={(open) => {
+          if (!open) presence.endEdit();
+          setPoolEditDialog((prev: any) => ({ ...prev, open }));
+        }}
         workplace={poolEditDialog.workplace}
         date={poolEditDialog.date}
         shift={poolEditDialog.shift}
@@ -4991,6 +5322,7 @@ export default function ScheduleBoard() {
       <RotationAssignmentDialog
         open={rotationAssignmentDialog.open}
         onOpenChange={(open) => {
+          if (!open) presence.endEdit();
           setRotationAssignmentDialog((prev: any) => ({ ...prev, open, defaultEmployeeId: null }));
         }}
         workplace={rotationAssignmentDialog.workplace as any}
@@ -0,0 +1,230 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+import { AlertCircle, ArrowRight, CheckCircle2, Info, Loader2, Send } from 'lucide-react';
+import { toast } from 'sonner';
+import { api } from '@/api/client';
+import { useAuth } from '@/components/AuthProvider';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import type { Doctor, WorkplaceTimeslot } from '@/types';
+import {
+    describePublishedEntries,
+    formatDateRanges,
+    type PublishDayChange,
+    type PublishDiffResponse,
+} from './schedulePublication';
+
+/**
+ * Publish dialog of the draft/publish workflow: shows everything changed in
+ * the range since its last publication and publishes it, optionally mailing
+ * the affected employees their changed days.
+ */
+
+interface SchedulePublishDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    defaultStart: string;
+    defaultEnd: string;
+    doctors: Doctor[];
+    workplaceTimeslots: WorkplaceTimeslot[];
+}
+
+interface PublishResult {
+    changedDays: number;
+    sentCount: number;
+    errors: { doctor: string; error: string }[];
+}
+
+export default function SchedulePublishDialog({
+    open,
+    onOpenChange,
+    defaultStart,
+    defaultEnd,
+    doctors,
+    workplaceTimeslots,
+}: SchedulePublishDialogProps) {
+    const queryClient = useQueryClient();
+    const { can } = useAuth();
+    const canNotify = can('can_send_schedule_emails');
+
+    const [startDate, setStartDate] = useState(defaultStart);
+    const [endDate, setEndDate] = useState(defaultEnd);
+    const [notify, setNotify] = useState(false);
+
+    // Reset the range whenever the dialog opens for the current view.
+    useEffect(() => {
+        if (!open) return;
+        setStartDate(defaultStart);
+        setEndDate(defaultEnd);
+        setNotify(false);
+    }, [open, defaultStart, defaultEnd]);
+
+    const rangeValid = !!startDate && !!endDate && startDate <= endDate;
+
+    const { data: diff, isLoading, error } = useQuery({
+        queryKey: ['schedule-publish-diff', startDate, endDate],
+        queryFn: () => api.getSchedulePublishDiff(startDate, endDate) as Promise<PublishDiffResponse>,
+        enabled: open && rangeValid,
+        staleTime: 10 * 1000,
+    });
+
+    const timeslotLabels = useMemo(
+        () => new Map(workplaceTimeslots.filter((t) => t.label).map((t) => [t.id, t.label])),
+        [workplaceTimeslots],
+    );
+    const doctorNames = useMemo(() => new Map(doctors.map((d) => [d.id, d.name])), [doctors]);
+
+    const changesByDoctor = useMemo(() => {
+        const groups = new Map<string, PublishDayChange[]>();
+        for (const change of diff?.changes ?? []) {
+            const list = groups.get(change.doctorId);
+            if (list) list.push(change);
+            else groups.set(change.doctorId, [change]);
+        }
+        return [...groups.entries()].sort(([a], [b]) =>
+            (doctorNames.get(a) ?? a).localeCompare(doctorNames.get(b) ?? b, 'de'));
+    }, [diff, doctorNames]);
+
+    const publishMutation = useMutation({
+        mutationFn: () => api.publishSchedule(startDate, endDate, { notify: canNotify && notify }) as Promise<PublishResult>,
+        onSuccess: (result) => {
+            queryClient.invalidateQueries({ queryKey: ['schedule-published'] });
+            queryClient.invalidateQueries({ queryKey: ['schedule-publish-diff'] });
+            const mailInfo = canNotify && notify ? ` · ${result.sentCount} E-Mail(s) versendet` : '';
+            if (result.errors.length > 0) {
+                toast.warning('Dienstplan veröffentlicht, einige E-Mails sind fehlgeschlagen', {
+                    description: result.errors.map((e) => `${e.doctor}: ${e.error}`).join('\n'),
+                });
+            } else {
+                toast.success('Dienstplan veröffentlicht', {
+                    description: `${result.changedDays} geänderte Tage${mailInfo}`,
+                });
+            }
+            onOpenChange(false);
+        },
+        onError: (err) => {
+            toast.error(`Veröffentlichen fehlgeschlagen: ${err?.message || 'Unbekannter Fehler'}`);
+        },
+    });
+
+    const lastPublication = diff?.lastPublication;
+    const hasChanges = (diff?.changes.length ?? 0) > 0;
+    const unpublishedDates = diff?.unpublishedDates ?? [];
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-2xl">
+                <DialogHeader>
+                    <DialogTitle>Dienstplan veröffentlichen</DialogTitle>
+                    <DialogDescription>
+                        Mitarbeitende ohne Bearbeitungsrechte sehen nur die veröffentlichte Version.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-4 py-2">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1.5">
+                            <Label htmlFor="publish-start">Von</Label>
+                            <Input id="publish-start" type="date" value={startDate} onChange={(e) => { setStartDate(e.target.value); }} />
+                        </div>
+                        <div className="space-y-1.5">
+                            <Label htmlFor="publish-end">Bis</Label>
+                            <Input id="publish-end" type="date" value={endDate} onChange={(e) => { setEndDate(e.target.value); }} />
+                        </div>
+                    </div>
+
+                    {lastPublication && (
+                        <p className="text-xs text-slate-500">
+                            Zuletzt veröffentlicht am {format(parseISO(lastPublication.created_date), 'dd.MM.yyyy HH:mm', { locale: de })}
+                            {lastPublication.published_by && ` von ${lastPublication.published_by}`}
+                        </p>
+                    )}
+
+                    {error && (
+                        <Alert variant="destructive">
+                            <AlertCircle className="h-4 w-4" />
+                            <AlertDescription>{(error as Error).message}</AlertDescription>
+                        </Alert>
+                    )}
+
+                    {unpublishedDates.length > 0 && (
+                        <Alert className="border-blue-200 bg-blue-50 text-blue-800">
+                            <Info className="h-4 w-4" />
+                            <AlertDescription>
+                                Erstmals veröffentlicht: {formatDateRanges(unpublishedDates)}.
+                                Für diese Tage werden keine Änderungs-E-Mails verschickt.
+                            </AlertDescription>
+                        </Alert>
+                    )}
+
+                    <div className="max-h-80 overflow-y-auto rounded-md border border-slate-200">
+                        {isLoading ? (
+                            <div className="flex items-center justify-center gap-2 p-6 text-sm text-slate-500">
+                                <Loader2 className="h-4 w-4 animate-spin" /> Änderungen werden ermittelt...
+                            </div>
+                        ) : !hasChanges ? (
+                            <div className="flex items-center justify-center gap-2 p-6 text-sm text-slate-500">
+                                <CheckCircle2 className="h-4 w-4 text-green-500" />
+                                {lastPublication ? 'Keine Änderungen seit der letzten Veröffentlichung' : 'Noch keine frühere Veröffentlichung in diesem Zeitraum'}
+                            </div>
+                        ) : (
+                            <ul className="divide-y divide-slate-100" data-testid="schedule-publish-diff">
+                                {changesByDoctor.map(([doctorId, changes]) => (
+                                    <li key={doctorId} className="p-3">
+                                        <div className="mb-1 text-sm font-medium text-slate-800">{doctorNames.get(doctorId) ?? doctorId}</div>
+                                        <ul className="space-y-0.5">
+                                            {changes.map((change) => (
+                                                <li key={change.date} className="flex flex-wrap items-center gap-1.5 text-xs">
+                                                    <span className="w-24 shrink-0 text-slate-500">
+                                                        {format(parseISO(change.date), 'EEEEEE, dd.MM.', { locale: de })}
+                                                    </span>
+                                                    <span className="text-slate-400 line-through">{describePublishedEntries(change.before, timeslotLabels)}</span>
+                                                    <ArrowRight className="h-3 w-3 text-slate-400" />
+                                                    <span className="font-medium text-slate-700">{describePublishedEntries(change.after, timeslotLabels)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    {canNotify && (
+                        <div className="flex items-center gap-2">
+                            <Checkbox id="publish-notify" checked={notify} onCheckedChange={(checked) => { setNotify(checked === true); }} />
+                            <Label htmlFor="publish-notify" className="cursor-pointer text-sm font-normal">
+                                Betroffene Mitarbeitende per E-Mail über ihre geänderten Tage informieren
+                            </Label>
+                        </div>
+                    )}
+                </div>
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={() => { onOpenChange(false); }}>Abbrechen</Button>
+                    <Button
+                        onClick={() => { publishMutation.mutate(); }}
+                        disabled={!rangeValid || isLoading || publishMutation.isPending}
+                        data-testid="schedule-publish-confirm"
+                    >
+                        {publishMutation.isPending ? <Loader2 className="mr-1 h-4 w-4 animate-spin" /> : <Send className="mr-1 h-4 w-4" />}
+                        Veröffentlichen
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -0,0 +1,373 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { addDays, format, parseISO } from 'date-fns';
+import { CalendarRange, Loader2, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api, db } from '@/api/client';
+import { useHolidays } from '@/components/useHolidays';
+import type { Doctor, ShiftEntry, ShiftTemplate, Workplace } from '@/types';
+import type { ShiftValidator } from '@/components/validation/ShiftValidation';
+import {
+    MAX_TEMPLATE_CYCLE_WEEKS,
+    TEMPLATE_CONFLICT_LABELS,
+    captureShiftTemplateEntries,
+    parseShiftTemplateEntries,
+    planTemplateApplication,
+    type TemplateApplicationPlan,
+} from './shiftTemplates';
+
+/**
+ * Saves the visible week (or an N-week cycle starting with it) as a
+ * "Regelwoche" and stamps a saved template into a future date range. The
+ * conflict preview lists every entry that is skipped and why; "Übernehmen"
+ * writes the remaining entries in one atomic request.
+ */
+
+interface ShiftTemplateDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    /** Monday of the visible week */
+    weekStart: string;
+    doctors: Doctor[];
+    workplaces: Workplace[];
+    createValidator: (shifts: ShiftEntry[]) => ShiftValidator;
+    /** Created entries, for the board's undo history */
+    onApplied?: (created: ShiftEntry[]) => void;
+}
+
+interface ServerConflict {
+    date: string;
+    doctor_id: string;
+    position: string;
+    message: string;
+}
+
+const fetchShifts = async (start: string, end: string): Promise<ShiftEntry[]> =>
+    ((await db.ShiftEntry.filter({ date: { $gte: start, $lte: end } })) || []) as ShiftEntry[];
+
+const formatDay = (dateStr: string) => format(parseISO(dateStr), 'EE dd.MM.yyyy');
+
+export default function ShiftTemplateDialog({
+    open,
+    onOpenChange,
+    weekStart,
+    doctors,
+    workplaces,
+    createValidator,
+    onApplied,
+}: ShiftTemplateDialogProps) {
+    const queryClient = useQueryClient();
+    const nextMonday = format(addDays(parseISO(weekStart), 7), 'yyyy-MM-dd');
+
+    const [name, setName] = useState('');
+    const [cycleWeeks, setCycleWeeks] = useState('1');
+    const [templateId, setTemplateId] = useState('');
+    const [from, setFrom] = useState(nextMonday);
+    const [to, setTo] = useState(format(addDays(parseISO(nextMonday), 6), 'yyyy-MM-dd'));
+    const [skipHolidays, setSkipHolidays] = useState(true);
+    const [plan, setPlan] = useState<TemplateApplicationPlan | null>(null);
+    const [serverConflicts, setServerConflicts] = useState<ServerConflict[]>([]);
+    const [isPlanning, setIsPlanning] = useState(false);
+
+    // The target range may run into the next year
+    const { isPublicHoliday: isHolidayFromYear, isLoading: isLoadingFromYear } = useHolidays(Number(from.slice(0, 4)));
+    const { isPublicHoliday: isHolidayToYear, isLoading: isLoadingToYear } = useHolidays(Number(to.slice(0, 4)));
+    const isPublicHoliday = useCallback(
+        (dateStr: string) => {
+            const date = new Date(dateStr + 'T12:00:00');
+            return Boolean(isHolidayFromYear(date) || isHolidayToYear(date));
+        },
+        [isHolidayFromYear, isHolidayToYear],
+    );
+
+    const { data: templates = [] } = useQuery<ShiftTemplate[]>({
+        queryKey: ['shiftTemplates'],
+        queryFn: () => db.ShiftTemplate.list(),
+        enabled: open,
+    });
+    const template = templates.find((t) => t.id === templateId) ?? null;
+    const doctorName = useMemo(() => new Map(doctors.map((d) => [d.id, d.name])), [doctors]);
+
+    const resetPreview = () => {
+        setPlan(null);
+        setServerConflicts([]);
+    };
+
+    const saveMutation = useMutation({
+        mutationFn: async () => {
+            const weeks = Number(cycleWeeks);
+            const end = format(addDays(parseISO(weekStart), weeks * 7 - 1), 'yyyy-MM-dd');
+            const entries = captureShiftTemplateEntries({
+                shifts: await fetchShifts(weekStart, end),
+                workplaces,
+                weekStart,
+                cycleWeeks: weeks,
+            });
+            if (entries.length === 0) throw new Error('Im gewählten Zeitraum sind keine Einträge geplant.');
+            return db.ShiftTemplate.create({
+                name: name.trim(),
+                cycle_weeks: weeks,
+                entries_json: JSON.stringify(entries),
+            });
+        },
+        onSuccess: (created) => {
+            queryClient.invalidateQueries({ queryKey: ['shiftTemplates'] });
+            setName('');
+            setTemplateId(created.id);
+            resetPreview();
+            toast.success(`Regelwoche „${created.name}“ gespeichert`);
+        },
+        onError: (error: Error) => toast.error(`Speichern fehlgeschlagen: ${error.message}`),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: (id: string) => db.ShiftTemplate.delete(id),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['shiftTemplates'] });
+            setTemplateId('');
+            resetPreview();
+        },
+        onError: (error: Error) => toast.error(`Löschen fehlgeschlagen: ${error.message}`),
+    });
+
+    const applyMutation = useMutation({
+        mutationFn: (drafts: TemplateApplicationPlan['drafts']) =>
+            api.bulkCreateShifts(drafts) as Promise<{ created?: ShiftEntry[] }>,
+        onSuccess: (result) => {
+            if (result?.created?.length) onApplied?.(result.created);
+            queryClient.invalidateQueries({ queryKey: ['shifts'] });
+            toast.success(`${plan?.drafts.length ?? 0} Einträge aus „${template?.name ?? ''}“ übernommen`);
+            resetPreview();
+            onOpenChange(false);
+        },
+        onError: (error: Error & { status?: number; details?: { conflicts?: ServerConflict[] } }) => {
+            if (error.status === 409 && error.details?.conflicts) {
+                // Someone changed the plan since the preview; nothing was written
+                setServerConflicts(error.details.conflicts);
+                toast.error('Der Plan wurde inzwischen geändert. Bitte Vorschau neu prüfen.');
+                return;
+            }
+            toast.error(`Übernehmen fehlgeschlagen: ${error.message}`);
+        },
+    });
+
+    const handlePreview = async () => {
+        if (!template) return;
+        setIsPlanning(true);
+        resetPreview();
+        try {
+            // One week around the range for rest periods and consecutive services
+            const existingShifts = await fetchShifts(
+                format(addDays(parseISO(from), -7), 'yyyy-MM-dd'),
+                format(addDays(parseISO(to), 7), 'yyyy-MM-dd'),
+            );
+            setPlan(planTemplateApplication({
+                entries: parseShiftTemplateEntries(template),
+                cycleWeeks: template.cycle_weeks || 1,
+                from,
+                to,
+                doctors,
+                existingShifts,
+                isPublicHoliday,
+                skipHolidays,
+                createValidator,
+            }));
+        } catch (error) {
+            toast.error('Vorschau fehlgeschlagen: ' + (error instanceof Error ? error.message : String(error)));
+        } finally {
+            setIsPlanning(false);
+        }
+    };
+
+    const rangeValid = from <= to && differenceInWeeks(from, to) <= 26;
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-3xl" data-testid="shift-template-dialog">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <CalendarRange className="w-5 h-5 text-indigo-600" />
+                        Regelwoche
+                    </DialogTitle>
+                    <DialogDescription>
+                        Eine geplante Woche (oder einen Zyklus aus mehreren Wochen) als Vorlage speichern und in künftige
+                        Wochen übernehmen. Abwesenheiten, Feiertage und Regelverstöße werden übersprungen.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <section className="space-y-2">
+                    <h3 className="text-sm font-medium">Ab Woche {formatDay(weekStart)} speichern</h3>
+                    <div className="flex items-end gap-3">
+                        <div className="space-y-1 flex-1">
+                            <Label className="text-xs text-slate-500">Name</Label>
+                            <Input value={name} onChange={(e) => { setName(e.target.value); }} placeholder="z.B. Regelwoche Sommer" className="h-9" />
+                        </div>
+                        <div className="space-y-1 w-36">
+                            <Label className="text-xs text-slate-500">Zyklus</Label>
+                            <Select value={cycleWeeks} onValueChange={setCycleWeeks}>
+                                <SelectTrigger className="h-9">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {Array.from({ length: MAX_TEMPLATE_CYCLE_WEEKS }, (_, i) => String(i + 1)).map((weeks) => (
+                                        <SelectItem key={weeks} value={weeks}>{weeks === '1' ? '1 Woche' : `${weeks} Wochen`}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <Button
+                            variant="outline"
+                            onClick={() => { saveMutation.mutate(); }}
+                            disabled={!name.trim() || saveMutation.isPending}
+                            data-testid="shift-template-save"
+                        >
+                            {saveMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            Speichern
+                        </Button>
+                    </div>
+                </section>
+
+                <section className="space-y-2 border-t pt-4">
+                    <h3 className="text-sm font-medium">Vorlage übernehmen</h3>
+                    <div className="flex items-end gap-3">
+                        <div className="space-y-1 flex-1">
+                            <Label className="text-xs text-slate-500">Vorlage</Label>
+                            <Select value={templateId} onValueChange={(v) => { setTemplateId(v); resetPreview(); }}>
+                                <SelectTrigger className="h-9">
+                                    <SelectValue placeholder={templates.length === 0 ? 'Keine Vorlagen gespeichert' : 'Vorlage wählen'} />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {templates.map((t) => (
+                                        <SelectItem key={t.id} value={t.id}>
+                                            {t.name} ({t.cycle_weeks > 1 ? `${t.cycle_weeks} Wochen` : '1 Woche'})
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        {template && (
+                            <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-9 w-9 text-slate-500"
+                                title="Vorlage löschen"
+                                onClick={() => { deleteMutation.mutate(template.id); }}
+                                disabled={deleteMutation.isPending}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </Button>
+                        )}
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Von</Label>
+                            <Input type="date" value={from} onChange={(e) => { setFrom(e.target.value); resetPreview(); }} className="h-9" />
+                        </div>
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Bis</Label>
+                            <Input type="date" value={to} onChange={(e) => { setTo(e.target.value); resetPreview(); }} className="h-9" />
+                        </div>
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <label className="flex items-center gap-2 text-sm text-slate-600">
+                            <Checkbox checked={skipHolidays} onCheckedChange={(v) => { setSkipHolidays(v === true); resetPreview(); }} />
+                            An Feiertagen nichts eintragen
+                        </label>
+                        <Button onClick={() => { void handlePreview(); }} disabled={!template || !rangeValid || isPlanning || isLoadingFromYear || isLoadingToYear} data-testid="shift-template-preview">
+                            {isPlanning && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            Vorschau prüfen
+                        </Button>
+                    </div>
+                    {!rangeValid && <p className="text-xs text-red-600">Zeitraum ungültig (höchstens 26 Wochen).</p>}
+                    {template && template.cycle_weeks > 1 && (
+                        <p className="text-xs text-slate-500">Der Zyklus beginnt mit der Woche des Startdatums.</p>
+                    )}
+                </section>
+
+                {plan && (
+                    <div className="space-y-2" data-testid="shift-template-plan">
+                        <p className="text-sm">
+                            <span className="font-semibold text-green-700">{plan.drafts.length} Einträge</span> werden angelegt
+                            {plan.conflicts.length > 0 && <>, <span className="font-semibold text-amber-700">{plan.conflicts.length} übersprungen</span></>}
+                            {plan.warnings.length > 0 && <>, {plan.warnings.length} mit Hinweis</>}.
+                        </p>
+                        {(serverConflicts.length > 0 || plan.conflicts.length > 0 || plan.warnings.length > 0) && (
+                            <ScrollArea className="h-56 rounded border">
+                                <table className="w-full text-xs">
+                                    <thead>
+                                        <tr className="border-b text-left text-slate-500">
+                                            <th className="p-2 font-medium">Datum</th>
+                                            <th className="p-2 font-medium">Mitarbeiter</th>
+                                            <th className="p-2 font-medium">Arbeitsplatz</th>
+                                            <th className="p-2 font-medium">Grund</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {serverConflicts.map((c, i) => (
+                                            <tr key={`server-${i}`} className="border-b bg-red-50">
+                                                <td className="p-2">{formatDay(c.date)}</td>
+                                                <td className="p-2">{doctorName.get(c.doctor_id) ?? c.doctor_id}</td>
+                                                <td className="p-2">{c.position}</td>
+                                                <td className="p-2 text-red-700">{c.message}</td>
+                                            </tr>
+                                        ))}
+                                        {plan.conflicts.map((c, i) => (
+                                            <tr key={`conflict-${i}`} className="border-b">
+                                                <td className="p-2">{formatDay(c.draft.date)}</td>
+                                                <td className="p-2">{doctorName.get(c.draft.doctor_id) ?? c.draft.doctor_id}</td>
+                                                <td className="p-2">{c.draft.position}</td>
+                                                <td className="p-2 text-amber-700" title={c.message}>
+                                                    {c.reason === 'blocked'
+                                                        ? `${TEMPLATE_CONFLICT_LABELS.blocked}: ${c.message}`
+                                                        : c.reason === 'absent' ? c.message : TEMPLATE_CONFLICT_LABELS[c.reason]}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                        {plan.warnings.map((w, i) => (
+                                            <tr key={`warning-${i}`} className="border-b last:border-0">
+                                                <td className="p-2">{formatDay(w.draft.date)}</td>
+                                                <td className="p-2">{doctorName.get(w.draft.doctor_id) ?? w.draft.doctor_id}</td>
+                                                <td className="p-2">{w.draft.position}</td>
+                                                <td className="p-2 text-slate-500">Hinweis: {w.messages.join(' ')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </ScrollArea>
+                        )}
+                    </div>
+                )}
+
+                <DialogFooter>
+                    {plan && (
+                        <Button
+                            onClick={() => { applyMutation.mutate(plan.drafts); }}
+                            disabled={plan.drafts.length === 0 || serverConflicts.length > 0 || applyMutation.isPending}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white"
+                            data-testid="shift-template-apply"
+                        >
+                            {applyMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            {plan.drafts.length} Einträge übernehmen
+                        </Button>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function differenceInWeeks(from: string, to: string): number {
+    return (parseISO(to).getTime() - parseISO(from).getTime()) / (7 * 24 * 60 * 60 * 1000);
+}
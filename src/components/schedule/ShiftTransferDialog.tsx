@@ -0,0 +1,388 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { Copy, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api, db } from '@/api/client';
+import type { Doctor, ScheduleBlock, ShiftEntry, Workplace } from '@/types';
+import type { ShiftValidator } from '@/components/validation/ShiftValidation';
+import {
+    CONFLICT_RESOLUTION_LABELS,
+    TRANSFER_CONFLICT_LABELS,
+    planShiftTransfer,
+    type ConflictResolution,
+    type TransferMode,
+    type TransferPlan,
+} from './shiftTransfer';
+
+/**
+ * Copies or moves a day, a week or one employee's row to another range.
+ * "Vorschau prüfen" lists every conflict and what happens with it under the
+ * chosen resolution; the transfer itself is one atomic request and can be
+ * undone with the board's undo.
+ */
+
+export interface ShiftTransferResult {
+    mode: TransferMode;
+    created: ShiftEntry[];
+    deleted: ShiftEntry[];
+    skipped: ServerConflict[];
+}
+
+interface ServerConflict {
+    date: string;
+    doctor_id: string;
+    position: string;
+    message: string;
+}
+
+interface ShiftTransferDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    /** Monday of the visible week */
+    weekStart: string;
+    doctors: Doctor[];
+    workplaces: Workplace[];
+    createValidator: (shifts: ShiftEntry[]) => ShiftValidator;
+    onTransferred: (result: ShiftTransferResult) => void;
+}
+
+type Scope = 'day' | 'week' | 'range';
+
+const ALL_DOCTORS = '__all__';
+const SAME_DOCTOR = '__same__';
+
+const shiftDate = (dateStr: string, days: number) => format(addDays(parseISO(dateStr), days), 'yyyy-MM-dd');
+const formatDay = (dateStr: string) => format(parseISO(dateStr), 'EE dd.MM.yyyy');
+
+export default function ShiftTransferDialog({
+    open,
+    onOpenChange,
+    weekStart,
+    doctors,
+    workplaces,
+    createValidator,
+    onTransferred,
+}: ShiftTransferDialogProps) {
+    const queryClient = useQueryClient();
+
+    const [scope, setScope] = useState<Scope>('week');
+    const [sourceFrom, setSourceFrom] = useState(weekStart);
+    const [sourceTo, setSourceTo] = useState(shiftDate(weekStart, 6));
+    const [sourceDoctorId, setSourceDoctorId] = useState(ALL_DOCTORS);
+    const [targetFrom, setTargetFrom] = useState(shiftDate(weekStart, 7));
+    const [targetDoctorId, setTargetDoctorId] = useState(SAME_DOCTOR);
+    const [mode, setMode] = useState<TransferMode>('copy');
+    const [resolution, setResolution] = useState<ConflictResolution>('skip');
+    const [plan, setPlan] = useState<TransferPlan | null>(null);
+    const [serverConflicts, setServerConflicts] = useState<ServerConflict[]>([]);
+    const [isPlanning, setIsPlanning] = useState(false);
+
+    const doctorName = useMemo(() => new Map(doctors.map((d) => [d.id, d.name])), [doctors]);
+    const activeDoctors = useMemo(() => doctors.filter((d) => d.is_active !== false), [doctors]);
+
+    const resetPreview = () => {
+        setPlan(null);
+        setServerConflicts([]);
+    };
+    const change = <T,>(setter: (value: T) => void) => (value: T) => {
+        setter(value);
+        resetPreview();
+    };
+
+    const handleScopeChange = (value: Scope) => {
+        setScope(value);
+        if (value === 'day') setSourceTo(sourceFrom);
+        if (value === 'week') setSourceTo(shiftDate(sourceFrom, 6));
+        resetPreview();
+    };
+    const handleSourceFromChange = (value: string) => {
+        setSourceFrom(value);
+        if (scope === 'day') setSourceTo(value);
+        if (scope === 'week' && value) setSourceTo(shiftDate(value, 6));
+        resetPreview();
+    };
+
+    const selection = {
+        from: sourceFrom,
+        to: sourceTo,
+        doctorId: sourceDoctorId === ALL_DOCTORS ? null : sourceDoctorId,
+    };
+    const target = {
+        from: targetFrom,
+        doctorId: targetDoctorId === SAME_DOCTOR ? null : targetDoctorId,
+    };
+    const isSameTarget = sourceFrom === targetFrom && (!selection.doctorId || !target.doctorId || target.doctorId === selection.doctorId);
+    const rangeValid = Boolean(sourceFrom && sourceTo && targetFrom) && sourceFrom <= sourceTo && !isSameTarget;
+
+    const handlePreview = async () => {
+        setIsPlanning(true);
+        resetPreview();
+        try {
+            const targetTo = shiftDate(sourceTo, differenceInCalendarDays(parseISO(targetFrom), parseISO(sourceFrom)));
+            const start = [sourceFrom, targetFrom].sort()[0];
+            const end = [sourceTo, targetTo].sort()[1];
+            // One week around both ranges for rest periods and consecutive services
+            const [shifts, blocks] = await Promise.all([
+                db.ShiftEntry.filter({ date: { $gte: shiftDate(start, -7), $lte: shiftDate(end, 7) } }),
+                db.ScheduleBlock.filter({ date: { $gte: targetFrom, $lte: targetTo } }),
+            ]);
+            setPlan(planShiftTransfer({
+                shifts: (shifts || []) as ShiftEntry[],
+                workplaces,
+                doctors,
+                blocks: (blocks || []) as ScheduleBlock[],
+                selection,
+                target,
+                mode,
+                resolution,
+                createValidator,
+            }));
+        } catch (error) {
+            toast.error('Vorschau fehlgeschlagen: ' + (error instanceof Error ? error.message : String(error)));
+        } finally {
+            setIsPlanning(false);
+        }
+    };
+
+    const transferMutation = useMutation({
+        mutationFn: (drafts: TransferPlan['drafts']) =>
+            api.transferShifts({ mode, resolution, entries: drafts as unknown as Record<string, unknown>[] }) as Promise<ShiftTransferResult>,
+        onSuccess: (result) => {
+            queryClient.invalidateQueries({ queryKey: ['shifts'] });
+            const verb = result.mode === 'move' ? 'verschoben' : 'kopiert';
+            const skippedCount = (plan?.conflictCount ?? 0) + result.skipped.length;
+            toast.success(
+                `${result.created.length} Einträge ${verb}` +
+                    (skippedCount > 0 ? `, ${skippedCount} übersprungen` : '') +
+                    '. Rückgängig mit Strg+Z.',
+            );
+            onTransferred(result);
+            resetPreview();
+            onOpenChange(false);
+        },
+        onError: (error: Error & { status?: number; details?: { conflicts?: ServerConflict[] } }) => {
+            if (error.status === 409 && error.details?.conflicts) {
+                // Someone changed the plan since the preview; nothing was written
+                setServerConflicts(error.details.conflicts);
+                toast.error('Der Plan wurde inzwischen geändert. Es wurde nichts geändert.');
+                return;
+            }
+            toast.error(`Übertragen fehlgeschlagen: ${error.message}`);
+        },
+    });
+
+    const conflictItems = plan?.items.filter((i) => i.conflict || i.replaces.length > 0 || i.warnings.length > 0) ?? [];
+    const isAborted = resolution === 'abort' && (plan?.conflictCount ?? 0) > 0;
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-3xl" data-testid="shift-transfer-dialog">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <Copy className="w-5 h-5 text-indigo-600" />
+                        Kopieren / Verschieben
+                    </DialogTitle>
+                    <DialogDescription>
+                        Einen Tag, eine Woche oder die Zeile eines Mitarbeiters in einen anderen Zeitraum übertragen.
+                        Abwesenheiten, gesperrte Zellen und Regelverstöße werden vorab geprüft.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <section className="space-y-2">
+                        <h3 className="text-sm font-medium">Quelle</h3>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Umfang</Label>
+                                <Select value={scope} onValueChange={(v) => { handleScopeChange(v as Scope); }}>
+                                    <SelectTrigger className="h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="day">Tag</SelectItem>
+                                        <SelectItem value="week">Woche</SelectItem>
+                                        <SelectItem value="range">Zeitraum</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Mitarbeiter</Label>
+                                <Select value={sourceDoctorId} onValueChange={(v) => { setSourceDoctorId(v); setTargetDoctorId(SAME_DOCTOR); resetPreview(); }}>
+                                    <SelectTrigger className="h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value={ALL_DOCTORS}>Alle Mitarbeiter</SelectItem>
+                                        {activeDoctors.map((d) => (
+                                            <SelectItem key={d.id} value={d.id}>{d.name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Von</Label>
+                                <Input type="date" value={sourceFrom} onChange={(e) => { handleSourceFromChange(e.target.value); }} className="h-9" />
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Bis</Label>
+                                <Input
+                                    type="date"
+                                    value={sourceTo}
+                                    disabled={scope !== 'range'}
+                                    onChange={(e) => { change(setSourceTo)(e.target.value); }}
+                                    className="h-9"
+                                />
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="space-y-2">
+                        <h3 className="text-sm font-medium">Ziel</h3>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Ab</Label>
+                                <Input type="date" value={targetFrom} onChange={(e) => { change(setTargetFrom)(e.target.value); }} className="h-9" />
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Mitarbeiter</Label>
+                                <Select value={targetDoctorId} onValueChange={change(setTargetDoctorId)} disabled={sourceDoctorId === ALL_DOCTORS}>
+                                    <SelectTrigger className="h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value={SAME_DOCTOR}>Wie Quelle</SelectItem>
+                                        {activeDoctors.filter((d) => d.id !== sourceDoctorId).map((d) => (
+                                            <SelectItem key={d.id} value={d.id}>{d.name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Aktion</Label>
+                                <Select value={mode} onValueChange={(v) => { change(setMode)(v as TransferMode); }}>
+                                    <SelectTrigger className="h-9">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="copy">Kopieren</SelectItem>
+                                        <SelectItem value="move">Verschieben</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label className="text-xs text-slate-500">Konflikte</Label>
+                                <Select value={resolution} onValueChange={(v) => { change(setResolution)(v as ConflictResolution); }}>
+                                    <SelectTrigger className="h-9" data-testid="shift-transfer-resolution">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {(Object.keys(CONFLICT_RESOLUTION_LABELS) as ConflictResolution[]).map((r) => (
+                                            <SelectItem key={r} value={r}>{CONFLICT_RESOLUTION_LABELS[r]}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        </div>
+                    </section>
+                </div>
+
+                <div className="flex items-center justify-between">
+                    <p className="text-xs text-slate-500">
+                        {isSameTarget ? 'Quelle und Ziel sind identisch.' : 'Überschreiben ersetzt nur Kollegen auf Positionen mit Einzelbesetzung.'}
+                    </p>
+                    <Button onClick={() => { void handlePreview(); }} disabled={!rangeValid || isPlanning} data-testid="shift-transfer-preview">
+                        {isPlanning && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Vorschau prüfen
+                    </Button>
+                </div>
+
+                {plan && (
+                    <div className="space-y-2" data-testid="shift-transfer-plan">
+                        {plan.items.length === 0 ? (
+                            <p className="text-sm text-slate-500">Im gewählten Bereich sind keine Einträge geplant.</p>
+                        ) : (
+                            <p className="text-sm">
+                                <span className="font-semibold text-green-700">{plan.drafts.length} von {plan.items.length} Einträgen</span> werden
+                                {mode === 'move' ? ' verschoben' : ' kopiert'}
+                                {plan.conflictCount > 0 && <>, <span className="font-semibold text-amber-700">{plan.conflictCount} Konflikte</span></>}
+                                {isAborted && <> – <span className="font-semibold text-red-700">Abbruch, es wird nichts geändert</span></>}.
+                            </p>
+                        )}
+                        {(serverConflicts.length > 0 || conflictItems.length > 0) && (
+                            <ScrollArea className="h-56 rounded border">
+                                <table className="w-full text-xs">
+                                    <thead>
+                                        <tr className="border-b text-left text-slate-500">
+                                            <th className="p-2 font-medium">Datum</th>
+                                            <th className="p-2 font-medium">Mitarbeiter</th>
+                                            <th className="p-2 font-medium">Arbeitsplatz</th>
+                                            <th className="p-2 font-medium">Ergebnis</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {serverConflicts.map((c, i) => (
+                                            <tr key={`server-${i}`} className="border-b bg-red-50">
+                                                <td className="p-2">{formatDay(c.date)}</td>
+                                                <td className="p-2">{doctorName.get(c.doctor_id) ?? c.doctor_id}</td>
+                                                <td className="p-2">{c.position}</td>
+                                                <td className="p-2 text-red-700">{c.message}</td>
+                                            </tr>
+                                        ))}
+                                        {conflictItems.map((item) => (
+                                            <tr key={item.source.id} className="border-b last:border-0">
+                                                <td className="p-2">{formatDay(item.draft.date)}</td>
+                                                <td className="p-2">{doctorName.get(item.draft.doctor_id) ?? item.draft.doctor_id}</td>
+                                                <td className="p-2">{item.draft.position}</td>
+                                                {item.conflict ? (
+                                                    <td className="p-2 text-amber-700" title={item.conflict.message}>
+                                                        {isAborted ? 'Konflikt' : 'Übersprungen'}: {item.conflict.reason === 'absent' || item.conflict.reason === 'rule'
+                                                            ? item.conflict.message
+                                                            : TRANSFER_CONFLICT_LABELS[item.conflict.reason]}
+                                                    </td>
+                                                ) : item.replaces.length > 0 ? (
+                                                    <td className="p-2 text-indigo-700">
+                                                        Ersetzt {item.replaces.map((s) => doctorName.get(s.doctor_id as string) ?? s.doctor_id).join(', ')}
+                                                    </td>
+                                                ) : (
+                                                    <td className="p-2 text-slate-500">Hinweis: {item.warnings.join(' ')}</td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </ScrollArea>
+                        )}
+                    </div>
+                )}
+
+                <DialogFooter>
+                    {plan && (
+                        <Button
+                            onClick={() => { transferMutation.mutate(plan.drafts); }}
+                            disabled={plan.drafts.length === 0 || serverConflicts.length > 0 || transferMutation.isPending}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white"
+                            data-testid="shift-transfer-apply"
+                        >
+                            {transferMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            {plan.drafts.length} Einträge {mode === 'move' ? 'verschieben' : 'kopieren'}
+                        </Button>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -0,0 +1,182 @@
+import { useMemo, useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { WEIGHTS } from './costFunction';
+import {
+    ACTIVE_WEIGHT_PROFILE_SETTING_KEY,
+    TUNABLE_WEIGHTS,
+    WEIGHT_PROFILE_PRESETS,
+    WEIGHT_PROFILES_SETTING_KEY,
+    getWeightProfiles,
+    serializeWeightProfiles,
+    type CostWeightKey,
+    type WeightProfile,
+} from './weightProfiles';
+import type { SystemSetting } from '@/types';
+
+/**
+ * Weight profile editor inside the AutoFill settings: create profiles from a
+ * preset, tune single weights and choose the profile AutoFill uses.
+ */
+
+interface WeightProfileSettingsProps {
+    settings: SystemSetting[];
+    onSave: (key: string, value: string) => void;
+}
+
+const DEFAULT_PROFILE_VALUE = '__default__';
+const WEIGHT_GROUPS = Array.from(new Set(TUNABLE_WEIGHTS.map((w) => w.group)));
+
+export default function WeightProfileSettings({ settings, onSave }: WeightProfileSettingsProps) {
+    const profiles = useMemo(() => getWeightProfiles(settings), [settings]);
+    const activeId = settings.find((s) => s.key === ACTIVE_WEIGHT_PROFILE_SETTING_KEY)?.value || '';
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [draftValues, setDraftValues] = useState<Partial<Record<CostWeightKey, string>>>({});
+
+    const selected = profiles.find((p) => p.id === selectedId) ?? null;
+
+    const saveProfiles = (next: WeightProfile[]) => { onSave(WEIGHT_PROFILES_SETTING_KEY, serializeWeightProfiles(next)); };
+
+    const createProfile = (presetId: string) => {
+        const preset = WEIGHT_PROFILE_PRESETS.find((p) => p.id === presetId);
+        const baseName = preset?.name ?? 'Neues Profil';
+        let name = baseName;
+        for (let i = 2; profiles.some((p) => p.name === name); i++) name = `${baseName} ${i}`;
+        const profile: WeightProfile = {
+            id: globalThis.crypto?.randomUUID?.() || `wp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            weights: { ...(preset?.weights ?? {}) },
+        };
+        saveProfiles([...profiles, profile]);
+        setSelectedId(profile.id);
+        setDraftValues({});
+    };
+
+    const updateSelected = (patch: Partial<WeightProfile>) => {
+        if (!selected) return;
+        saveProfiles(profiles.map((p) => (p.id === selected.id ? { ...p, ...patch } : p)));
+    };
+
+    const commitWeight = (key: CostWeightKey) => {
+        if (!selected) return;
+        const raw = draftValues[key];
+        setDraftValues((prev) => { const next = { ...prev }; delete next[key]; return next; });
+        if (raw === undefined) return;
+        const weights = { ...selected.weights };
+        const num = Number(raw.replace(',', '.'));
+        // Empty or default value → no override
+        if (raw.trim() === '' || !Number.isFinite(num) || num === WEIGHTS[key]) delete weights[key];
+        else weights[key] = num;
+        updateSelected({ weights });
+    };
+
+    const deleteSelected = () => {
+        if (!selected) return;
+        saveProfiles(profiles.filter((p) => p.id !== selected.id));
+        if (activeId === selected.id) onSave(ACTIVE_WEIGHT_PROFILE_SETTING_KEY, '');
+        setSelectedId(null);
+    };
+
+    return (
+        <div className="border p-4 rounded-lg bg-slate-50 space-y-3" data-testid="autofill-weight-profiles">
+            <div className="space-y-0.5">
+                <Label className="text-sm font-semibold text-slate-700">Gewichtungsprofile</Label>
+                <p className="text-xs text-slate-500">
+                    Profile verschieben die Gewichte der Kostenfunktion, z.B. zugunsten gerechter Dienstverteilung oder
+                    fester Rotationen. Niedrigere Kosten = bevorzugt; negative Werte sind Boni.
+                </p>
+            </div>
+
+            <div className="flex items-center justify-between gap-3">
+                <span className="text-sm text-slate-700">Aktives Profil</span>
+                <Select
+                    value={activeId && profiles.some((p) => p.id === activeId) ? activeId : DEFAULT_PROFILE_VALUE}
+                    onValueChange={(value) => { onSave(ACTIVE_WEIGHT_PROFILE_SETTING_KEY, value === DEFAULT_PROFILE_VALUE ? '' : value); }}
+                >
+                    <SelectTrigger className="h-8 w-56 bg-white">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value={DEFAULT_PROFILE_VALUE}>Standard</SelectItem>
+                        {profiles.map((p) => (
+                            <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                {profiles.map((p) => (
+                    <Button
+                        key={p.id}
+                        size="sm"
+                        variant={p.id === selectedId ? 'default' : 'outline'}
+                        className="h-7"
+                        onClick={() => { setSelectedId(p.id === selectedId ? null : p.id); setDraftValues({}); }}
+                    >
+                        {p.name}
+                    </Button>
+                ))}
+                <Select value="" onValueChange={createProfile}>
+                    <SelectTrigger className="h-7 w-auto gap-1 bg-white text-xs" data-testid="autofill-weight-profile-create">
+                        <Plus className="w-3 h-3" />
+                        <span>Neues Profil</span>
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value="empty">Leer (Standardwerte)</SelectItem>
+                        {WEIGHT_PROFILE_PRESETS.map((p) => (
+                            <SelectItem key={p.id} value={p.id}>Vorlage: {p.name}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </div>
+
+            {selected && (
+                <div className="space-y-3 border-t pt-3">
+                    <div className="flex items-center gap-2">
+                        <Input
+                            key={selected.id}
+                            defaultValue={selected.name}
+                            onBlur={(e) => { if (e.target.value.trim()) updateSelected({ name: e.target.value.trim() }); }}
+                            className="h-8 bg-white"
+                            aria-label="Profilname"
+                        />
+                        <Button size="sm" variant="ghost" className="h-8 text-red-600 hover:text-red-700" onClick={deleteSelected}>
+                            <Trash2 className="w-4 h-4" />
+                        </Button>
+                    </div>
+                    {WEIGHT_GROUPS.map((group) => (
+                        <div key={group} className="space-y-1">
+                            <Label className="text-xs font-semibold text-slate-500">{group}</Label>
+                            <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+                                {TUNABLE_WEIGHTS.filter((w) => w.group === group).map((w) => {
+                                    const override = selected.weights[w.key];
+                                    const value = draftValues[w.key] ?? String(override ?? WEIGHTS[w.key]);
+                                    return (
+                                        <div key={w.key} className="flex items-center justify-between gap-2">
+                                            <span className={`text-xs ${override !== undefined ? 'font-medium text-indigo-700' : 'text-slate-600'}`}>
+                                                {w.label}
+                                            </span>
+                                            <Input
+                                                type="number"
+                                                step="1"
+                                                value={value}
+                                                title={`Standard: ${WEIGHTS[w.key]}`}
+                                                onChange={(e) => { setDraftValues((prev) => ({ ...prev, [w.key]: e.target.value })); }}
+                                                onBlur={() => { commitWeight(w.key); }}
+                                                className="h-7 w-20 bg-white text-right"
+                                            />
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -301,7 +301,7 @@ describe('ScheduleBoard rendering (Pre-PR 3.0B)', () => {
     expect(trigger).not.toBeDisabled();
   });
 
-  // ---- 7. Undo button ----
+  // ---- 7. Undo / redo buttons ----
 
   it('renders undo button as disabled when undo stack is empty', async () => {
     renderBoard();
@@ -311,5 +311,6 @@ describe('ScheduleBoard rendering (Pre-PR 3.0B)', () => {
     const undoButton = screen.getByTestId('schedule-undo');
     expect(undoButton).toBeInTheDocument();
     expect(undoButton).toBeDisabled();
+    expect(screen.getByTestId('schedule-redo')).toBeDisabled();
   });
 });
@@ -726,6 +726,118 @@ describe('generateSuggestions', () => {
   });
 });
 
+describe('generateSuggestions -- rest period', () => {
+  const nightSlot: any = {
+    id: 'ts-night', workplace_id: 'wp-night', label: 'Nacht', start_time: '21:00', end_time: '07:30', order: 0,
+  };
+  const lateSlot: any = {
+    id: 'ts-late', workplace_id: 'wp-night', label: 'Spät', start_time: '14:00', end_time: '22:00', order: 1,
+  };
+
+  it('leaves the slot empty when the only doctor would violate the rest period', () => {
+    const docA: any = doctor({ id: 'doc-a', name: 'Dr. A' });
+    const night: any = workplace({ id: 'wp-night', name: 'Nachtdienst', category: 'Dienste', timeslots_enabled: true });
+    const rotation: any = workplace({ id: 'wp-ct', name: 'CT', category: 'Rotationen', optimal_staff: 1, min_staff: 1 });
+
+    const result = generateSuggestions({
+      weekDays: [new Date(2026, 5, 16)],
+      doctors: [docA],
+      workplaces: [night, rotation],
+      existingShifts: [
+        makeShift({ id: 's-late', date: '2026-06-15', position: 'Nachtdienst', doctor_id: 'doc-a', timeslot_id: 'ts-late' }),
+      ],
+      workplaceTimeslots: [nightSlot, lateSlot],
+      trainingRotations: [],
+      categoriesToFill: ['Rotationen'],
+      systemSettings: [],
+      ...defaultQualFns(),
+    });
+
+    // 22:00 → 08:00 = 10h < 11h
+    expect(result.filter((s: any) => s.position === 'CT')).toHaveLength(0);
+  });
+
+  it('respects a tenant-configured shorter rest period', () => {
+    const docA: any = doctor({ id: 'doc-a', name: 'Dr. A' });
+    const night: any = workplace({ id: 'wp-night', name: 'Nachtdienst', category: 'Dienste', timeslots_enabled: true });
+    const rotation: any = workplace({ id: 'wp-ct', name: 'CT', category: 'Rotationen', optimal_staff: 1, min_staff: 1 });
+
+    const result = generateSuggestions({
+      weekDays: [new Date(2026, 5, 16)],
+      doctors: [docA],
+      workplaces: [night, rotation],
+      existingShifts: [
+        makeShift({ id: 's-late', date: '2026-06-15', position: 'Nachtdienst', doctor_id: 'doc-a', timeslot_id: 'ts-late' }),
+      ],
+      workplaceTimeslots: [nightSlot, lateSlot],
+      trainingRotations: [],
+      categoriesToFill: ['Rotationen'],
+      systemSettings: [{ id: 's1', key: 'rest_period_rules', value: '{"minHours":10}' } as any],
+      ...defaultQualFns(),
+    });
+
+    expect(result.filter((s: any) => s.position === 'CT')).toHaveLength(1);
+  });
+
+  it('does not assign a night service that ends too close to an existing shift on the next day', () => {
+    const docA: any = doctor({ id: 'doc-a', name: 'Dr. A' });
+    const night: any = workplace({ id: 'wp-night', name: 'Nachtdienst', category: 'Dienste', timeslots_enabled: true });
+    const rotation: any = workplace({ id: 'wp-ct', name: 'CT', category: 'Rotationen' });
+
+    const result = generateSuggestions({
+      weekDays: [new Date(2026, 5, 15)],
+      doctors: [docA],
+      workplaces: [night, rotation],
+      existingShifts: [
+        makeShift({ id: 's-ct', date: '2026-06-16', position: 'CT', doctor_id: 'doc-a' }),
+      ],
+      workplaceTimeslots: [nightSlot],
+      trainingRotations: [],
+      categoriesToFill: ['Dienste'],
+      systemSettings: [],
+      ...defaultQualFns(),
+    });
+
+    expect(result.filter((s: any) => s.position === 'Nachtdienst')).toHaveLength(0);
+  });
+});
+
+describe('generateSuggestions -- weekly working hours', () => {
+  const longSlot: any = {
+    id: 'ts-long', workplace_id: 'wp-mrt', label: 'Lang', start_time: '07:00', end_time: '19:00', order: 0,
+  };
+
+  function run(systemSettings: any[]) {
+    const docA: any = doctor({ id: 'doc-a', name: 'Dr. A' });
+    const mrt: any = workplace({ id: 'wp-mrt', name: 'MRT', category: 'Sonstiges', timeslots_enabled: true });
+    const ct: any = workplace({ id: 'wp-ct', name: 'CT', category: 'Rotationen', optimal_staff: 1, min_staff: 1 });
+    // Mo–Do 12h each = 48h already planned
+    const existing = ['2026-06-15', '2026-06-16', '2026-06-17', '2026-06-18'].map((date, i) =>
+      makeShift({ id: `s-${i}`, date, position: 'MRT', doctor_id: 'doc-a', timeslot_id: 'ts-long' })
+    );
+    return generateSuggestions({
+      weekDays: [new Date(2026, 5, 19)],
+      doctors: [docA],
+      workplaces: [mrt, ct],
+      existingShifts: existing,
+      workplaceTimeslots: [longSlot],
+      trainingRotations: [],
+      categoriesToFill: ['Rotationen'],
+      systemSettings,
+      ...defaultQualFns(),
+    });
+  }
+
+  it('does not assign a slot that exceeds the weekly cap', () => {
+    const settings = [{ id: 's1', key: 'working_hours_rules', value: '{"weeklyMaxHours":50}' } as any];
+    expect(run(settings).filter((s: any) => s.position === 'CT')).toHaveLength(0);
+  });
+
+  it('assigns the slot while the week stays below the cap', () => {
+    expect(run([]).filter((s: any) => s.position === 'CT')).toHaveLength(1);
+  });
+});
+
 describe('generateSuggestions -- debug mode', () => {
   it('attaches debug info when debug is enabled', () => {
     const debugEntries: any[] = [];
@@ -777,3 +889,54 @@ describe('generateSuggestions -- debug mode', () => {
     expect((result).__debug).toBeUndefined();
   });
 });
+
+describe('generateSuggestions -- seed and explanations', () => {
+  const days = [new Date(2026, 5, 15), new Date(2026, 5, 16), new Date(2026, 5, 17)];
+  const doctors = ['a', 'b', 'c', 'd', 'e'].map((id) => doctor({ id, name: `Dr. ${id.toUpperCase()}` }));
+  const svc = workplace({ id: 'wp-svc', name: 'Dienst', category: 'Dienste', service_type: 1, active_days: [1, 2, 3] });
+  const ct = workplace({ id: 'wp-ct', name: 'CT', category: 'Rotationen', active_days: [1, 2, 3] });
+  const run = (extra: Record<string, unknown> = {}) => generateSuggestions({
+    weekDays: days,
+    doctors,
+    workplaces: [svc, ct],
+    existingShifts: [makeShift({ doctor_id: 'e', date: '2026-06-15', position: 'Urlaub' })],
+    trainingRotations: [],
+    categoriesToFill: ['Dienste', 'Rotationen'],
+    systemSettings: [],
+    ...defaultQualFns(),
+    ...extra,
+  });
+  const plan = (result: ReturnType<typeof run>) => result.map((s) => `${s.date}|${s.position}|${s.doctor_id}`);
+
+  it('reproduces the same plan for the same seed', () => {
+    const first = run({ seed: 'kw25' });
+    expect(first.__seed).toBe('kw25');
+    for (let i = 0; i < 5; i++) expect(plan(run({ seed: 'kw25' }))).toEqual(plan(first));
+  });
+
+  it('returns a generated seed that reproduces the run', () => {
+    const first = run();
+    expect(first.__seed).toMatch(/^[0-9a-z]{8}$/);
+    expect(plan(run({ seed: first.__seed }))).toEqual(plan(first));
+  });
+
+  it('explains every suggestion with its cost breakdown and the rejected doctors', () => {
+    const result = run({ seed: 'kw25', debug: { explain: true, entries: [] } });
+    const explanations = result.__debug!.explanations!;
+    expect(result.__debug!.seed).toBe('kw25');
+    expect(explanations).toHaveLength(result.length);
+
+    const monday = explanations.find((e) => e.date === '2026-06-15' && e.position === 'Dienst')!;
+    expect(monday.stage).toBe('phase:A:assign');
+    expect(monday.cost.total).toBe(Object.values(monday.cost.dimensions).reduce((a, b) => a + b, 0));
+    expect(monday.rejected.find((r) => r.doctorId === 'e')?.reason).toBe('absent');
+    const rivals = monday.rejected.filter((r) => r.cost);
+    expect(rivals.length).toBeGreaterThan(0);
+    for (const r of rivals) expect(['higher_cost', 'tie_order']).toContain(r.reason);
+    // Every other doctor is accounted for exactly once
+    expect(monday.rejected.map((r) => r.doctorId).sort()).toEqual(['a', 'b', 'c', 'd', 'e'].filter((id) => id !== monday.doctorId));
+
+    const ctMonday = explanations.find((e) => e.date === '2026-06-15' && e.position === 'CT')!;
+    expect(ctMonday.rejected.find((r) => r.doctorId === monday.doctorId)?.reason).toBe('service_today');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { autoFillReportToCsv, autoFillReportToJson, buildAutoFillReport } from '../autoFillReport';
+import type { AssignmentExplanation } from '../autoFillEngine';
+
+const explanation: AssignmentExplanation = {
+  date: '2026-06-15',
+  position: 'Dienst',
+  timeslotId: 'ts-1',
+  stage: 'phase:A:assign',
+  doctorId: 'a',
+  doctorName: 'Dr. A',
+  cost: { total: -10.5, dimensions: { qualification: 0, wish: -20, fairness: 9.5 }, blockedBy: null },
+  rejected: [
+    {
+      doctorId: 'b',
+      doctorName: 'Dr. "B"',
+      reason: 'higher_cost',
+      cost: { total: 5, dimensions: { qualification: 0, wish: 0, fairness: 5 }, blockedBy: null },
+      delta: 15.5,
+      losingDimensions: ['wish'],
+    },
+    {
+      doctorId: 'c',
+      doctorName: 'Dr. C',
+      reason: 'cost_blocked',
+      cost: { total: Infinity, dimensions: { qualification: 0, wish: Infinity }, blockedBy: 'wish' },
+    },
+    { doctorId: 'd', doctorName: 'Dr. D', reason: 'absent' },
+  ],
+  omittedRivals: 2,
+};
+
+describe('autoFillReport', () => {
+  it('keeps only assignments to the given positions', () => {
+    const other = { ...explanation, position: 'CT' };
+    const report = buildAutoFillReport('kw25', [explanation, other], {
+      positions: ['CT'],
+      weightProfile: 'Fairness-betont',
+      createdAt: new Date('2026-06-01T08:00:00Z'),
+    });
+    expect(report).toMatchObject({ seed: 'kw25', weightProfile: 'Fairness-betont', createdAt: '2026-06-01T08:00:00.000Z' });
+    expect(report.assignments).toEqual([other]);
+  });
+
+  it('exports one CSV row per doctor with German labels', () => {
+    const csv = autoFillReportToCsv(buildAutoFillReport('kw25', [explanation]), () => 'Früh');
+    const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines[0]).toMatch(/^Seed;Datum;Arbeitsplatz;Zeitfenster;Phase;Ergebnis;Person;Grund;Gesamtkosten;Differenz;Ausschlaggebend;/);
+    expect(lines).toHaveLength(6);
+    expect(lines[1]).toMatch(/^kw25;2026-06-15;Dienst;Früh;phase:A:assign;Gewählt;Dr\. A;;-10,5;;;/);
+    expect(lines[2]).toContain(';"Dr. ""B""";Höhere Kosten;5;15,5;Wünsche;');
+    expect(lines[3]).toContain(';Dr. C;Ausgeschlossen durch Kostenfunktion;∞;;Wünsche;');
+    expect(lines[4]).toContain(';Dr. D;Abwesend;;;;');
+    expect(lines[5]).toContain(';2 weitere Kandidaten (nicht aufgeführt);');
+  });
+
+  it('keeps Infinity in the JSON export', () => {
+    const json = JSON.parse(autoFillReportToJson(buildAutoFillReport('kw25', [explanation])));
+    expect(json.assignments[0].rejected[1].cost.total).toBe('Infinity');
+    expect(json.assignments[0].cost.total).toBe(-10.5);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cellLockFor,
+  describePresence,
+  otherPlanners,
+  poolCell,
+  presenceInitials,
+  rotationCell,
+  type BoardPresenceEntry,
+} from '../boardPresence';
+
+const session = (overrides: Partial<BoardPresenceEntry>): BoardPresenceEntry => ({
+  sessionId: 's1',
+  userId: 'u1',
+  email: 'anna@klinik.de',
+  name: 'Anna Berg',
+  weekStart: '2026-03-02',
+  viewMode: 'week',
+  cell: null,
+  editing: false,
+  editingSince: null,
+  updatedAt: 0,
+  ...overrides,
+});
+
+const springer = { id: 7, name: 'Springerpool' };
+
+describe('presenceInitials', () => {
+  it('uses the name, else the mail address', () => {
+    expect(presenceInitials({ name: 'Anna Maria Berg', email: null })).toBe('AB');
+    expect(presenceInitials({ name: null, email: 'ben.koch@klinik.de' })).toBe('BK');
+    expect(presenceInitials({ name: '', email: 'cd@klinik.de' })).toBe('CD');
+  });
+});
+
+describe('otherPlanners', () => {
+  it('hides our own tabs and shows one entry per colleague, preferring the editing tab', () => {
+    const editing = session({ sessionId: 's3', userId: 'u2', editing: true, cell: poolCell(springer, '2026-03-03') });
+    const others = otherPlanners([
+      session({ sessionId: 'own' }),
+      session({ sessionId: 's2' }),
+      session({ sessionId: 's4', userId: 'u2' }),
+      editing,
+    ], 'own', 'u1');
+    expect(others).toEqual([editing]);
+  });
+});
+
+describe('cellLockFor', () => {
+  const cell = rotationCell(springer, '2026-03-03');
+
+  it('returns the oldest foreign claim on the same cell', () => {
+    const first = session({ sessionId: 's2', editing: true, cell, editingSince: 100 });
+    const sessions = [
+      session({ sessionId: 's3', editing: true, cell, editingSince: 200 }),
+      first,
+      session({ sessionId: 's4', editing: true, cell: poolCell(springer, '2026-03-03'), editingSince: 50 }),
+    ];
+    expect(cellLockFor(sessions, cell, 'own')).toBe(first);
+    expect(cellLockFor(sessions, rotationCell(springer, '2026-03-04'), 'own')).toBeNull();
+  });
+
+  it('never locks a cell against its own session', () => {
+    expect(cellLockFor([session({ sessionId: 'own', editing: true, cell, editingSince: 1 })], cell, 'own')).toBeNull();
+  });
+});
+
+describe('describePresence', () => {
+  it('names week and edited cell', () => {
+    expect(describePresence(session({}))).toBe('KW 10 · sieht sich den Plan an');
+    expect(describePresence(session({ editing: true, cell: rotationCell(springer, '2026-03-03') })))
+      .toBe('KW 10 · bearbeitet Springerpool am 03.03.');
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  defaultMergeChoices,
+  mergeFields,
+  recreateData,
+  resolveMerge,
+  versionConflictRow,
+  type ConcurrentEditConflict,
+} from '../concurrentEdit';
+
+const base = { id: 's1', doctor_id: 'd1', date: '2026-03-02', position: 'CT', note: '', start_time: '08:00', version: 3 };
+
+const conflict = (mine: Record<string, unknown> | null, theirs: Record<string, unknown> | null): ConcurrentEditConflict => ({
+  entity: 'ShiftEntry',
+  action: mine ? 'update' : 'delete',
+  id: 's1',
+  base,
+  mine,
+  theirs,
+});
+
+describe('versionConflictRow', () => {
+  it('extracts the current row from a 409 CONCURRENCY_ERROR only', () => {
+    const error = Object.assign(new Error('x'), { status: 409, details: { error: 'CONCURRENCY_ERROR', currentData: { id: 's1' } } });
+    expect(versionConflictRow(error)).toEqual({ id: 's1' });
+    expect(versionConflictRow({ status: 409, details: { error: 'CONCURRENCY_ERROR', currentData: null } })).toBeNull();
+    expect(versionConflictRow({ status: 409, details: { error: 'Position bereits besetzt' } })).toBeUndefined();
+    expect(versionConflictRow(new Error('Netzwerk'))).toBeUndefined();
+  });
+});
+
+describe('mergeFields', () => {
+  it('classifies fields by the side that changed them', () => {
+    const fields = mergeFields(conflict(
+      { ...base, position: 'MRT', note: 'Tausch', start_time: '09:00' },
+      { ...base, doctor_id: 'd2', note: 'Krank', start_time: '09:00', version: 4 },
+    ));
+    expect(Object.fromEntries(fields.map((f) => [f.key, f.status]))).toEqual({
+      doctor_id: 'theirs',
+      position: 'mine',
+      start_time: 'same',
+      note: 'conflict',
+    });
+  });
+
+  it('treats empty and null values as equal', () => {
+    expect(mergeFields(conflict({ ...base, note: null }, { ...base, version: 4 }))).toEqual([]);
+  });
+
+  it('lists the colleague\'s changes for a delete', () => {
+    const fields = mergeFields(conflict(null, { ...base, position: 'Sono', version: 4 }));
+    expect(fields).toEqual([{ key: 'position', label: 'Arbeitsplatz', base: 'CT', mine: undefined, theirs: 'Sono', status: 'theirs' }]);
+  });
+});
+
+describe('resolveMerge', () => {
+  const fields = mergeFields(conflict(
+    { ...base, position: 'MRT', note: 'Tausch' },
+    { ...base, doctor_id: 'd2', note: 'Krank', version: 4 },
+  ));
+
+  it('writes our side on top of the current row by default', () => {
+    expect(defaultMergeChoices(fields)).toEqual({ doctor_id: 'theirs', position: 'mine', note: 'mine' });
+    expect(resolveMerge(fields, defaultMergeChoices(fields))).toEqual({ position: 'MRT', note: 'Tausch' });
+  });
+
+  it('leaves fields chosen from the current row alone', () => {
+    expect(resolveMerge(fields, { doctor_id: 'theirs', position: 'mine', note: 'theirs' })).toEqual({ position: 'MRT' });
+  });
+});
+
+describe('recreateData', () => {
+  it('drops server-managed columns', () => {
+    expect(recreateData(conflict({ ...base, position: 'MRT', created_by: 'a@b.de', isPreview: false }, null))).toEqual({
+      doctor_id: 'd1', date: '2026-03-02', position: 'MRT', note: '', start_time: '08:00',
+    });
+  });
+});
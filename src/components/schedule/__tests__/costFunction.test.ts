@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { CostFunction, WEIGHTS } from '../costFunction';
+import { CostFunction, WEIGHTS, losingDimensions } from '../costFunction';
 import type { AssignmentContext } from '../costFunction';
 import type { Doctor, Workplace } from '@/types';
 
@@ -205,6 +205,78 @@ describe('CostFunction — rotation match cost', () => {
   });
 });
 
+describe('CostFunction — weight overrides', () => {
+  it('uses profile weights instead of the defaults', () => {
+    const rotations = [{ doctor_id: 'doc1', modality: 'CT', start_date: '2024-03-01', end_date: '2024-03-31' }];
+    const workplace = makeWorkplace();
+    const standard = makeCf({ trainingRotations: rotations });
+    const tuned = makeCf({ trainingRotations: rotations, weights: { ROT_MATCH: -40 } });
+    const diff = standard.assignmentCost('doc1', workplace, '2024-03-11', makeContext())
+      - tuned.assignmentCost('doc1', workplace, '2024-03-11', makeContext());
+    expect(diff).toBe(WEIGHTS.ROT_MATCH + 40);
+    expect(tuned.weights.FAIRNESS_WEIGHT).toBe(WEIGHTS.FAIRNESS_WEIGHT);
+  });
+});
+
+describe('CostFunction — cost breakdown', () => {
+  const rotations = [{ doctor_id: 'doc1', modality: 'CT', start_date: '2024-03-01', end_date: '2024-03-31' }];
+
+  it('splits the total by dimension', () => {
+    const cf = makeCf({ trainingRotations: rotations, weeklyCount: { doc1: 2 } });
+    const breakdown = cf.costBreakdown('doc1', makeWorkplace(), '2024-03-11', makeContext({ phase: 'B' }));
+    expect(breakdown.total).toBe(cf.assignmentCost('doc1', makeWorkplace(), '2024-03-11', makeContext({ phase: 'B' })));
+    expect(breakdown.dimensions.rotation).toBe(WEIGHTS.ROT_MATCH);
+    expect(breakdown.dimensions.weekly).toBe(2 * WEIGHTS.WEEKLY_WEIGHT);
+    expect(breakdown.dimensions.fairness).toBeUndefined(); // phase A only
+    expect(Object.values(breakdown.dimensions).reduce((a, b) => a + b, 0)).toBe(breakdown.total);
+    expect(breakdown.blockedBy).toBeNull();
+  });
+
+  it('names the blocking dimension and the dimensions a rival lost on', () => {
+    const cf = makeCf({ trainingRotations: rotations, isPartTimeOffDay: (id: string) => id === 'doc2' });
+    const chosen = cf.costBreakdown('doc1', makeWorkplace(), '2024-03-11', makeContext({ phase: 'B' }));
+    const blocked = cf.costBreakdown('doc2', makeWorkplace(), '2024-03-11', makeContext({ phase: 'B' }));
+    expect(blocked).toMatchObject({ total: Infinity, blockedBy: 'partTimeOff' });
+
+    const rival = cf.costBreakdown('doc3', makeWorkplace(), '2024-03-11', makeContext({ phase: 'B' }));
+    expect(losingDimensions(chosen, rival)).toEqual(['rotation']);
+    expect(losingDimensions(rival, chosen)).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Long-horizon ledger dimension
+// ---------------------------------------------------------------------------
+describe('CostFunction — ledger cost', () => {
+  const saturday = '2024-03-16';
+  // As returned by GET /api/schedule/fairness-ledger; the cost only reads the balances
+  const zero = { services: 0, weekend: 0, holiday: 0, christmas: 0, newYear: 0, easter: 0, night: 0 };
+  const entry = (doctorId: string, services: number, weekend: number) => ({
+    doctorId, fte: 1, counts: zero, perFte: zero, balance: { ...zero, services, weekend },
+  });
+  const ledger = {
+    start: '2024-01-01',
+    end: '2024-03-10',
+    entries: { doc1: entry('doc1', 0.5, 1), doc2: entry('doc2', -0.5, -1) },
+  };
+
+  it('penalises doctors above their share and favours those below it', () => {
+    const cf = makeCf({ fairnessLedger: ledger });
+    const above = cf.costBreakdown('doc1', makeWorkplace(), saturday, makeContext());
+    const below = cf.costBreakdown('doc2', makeWorkplace(), saturday, makeContext());
+    // services +0.5, weekend +1 vs. services −0.5, weekend −1
+    expect(above.dimensions.ledger).toBeCloseTo(1.5 * WEIGHTS.LEDGER_WEIGHT);
+    expect(below.dimensions.ledger).toBeCloseTo(-1.5 * WEIGHTS.LEDGER_WEIGHT);
+  });
+
+  it('ignores rotations and missing ledgers', () => {
+    const cf = makeCf({ fairnessLedger: ledger });
+    const rotation = cf.costBreakdown('doc1', makeWorkplace({ category: 'Rotationen' }), saturday, makeContext());
+    expect(rotation.dimensions.ledger ?? 0).toBe(0);
+    expect(makeCf().costBreakdown('doc1', makeWorkplace(), saturday, makeContext()).dimensions.ledger ?? 0).toBe(0);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Wish cost dimension
 // ---------------------------------------------------------------------------
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fairnessLedgerWindow,
+  formatLedgerBalance,
+  holidayPeriod,
+  ledgerDutiesFor,
+  ledgerSummary,
+} from '../fairnessLedger';
+
+describe('fairnessLedger', () => {
+  it('covers the 12 months before the planning period', () => {
+    expect(fairnessLedgerWindow('2026-03-01')).toEqual({ start: '2025-03-01', end: '2026-02-28' });
+  });
+
+  it('recognises Christmas, New Year and Easter', () => {
+    expect(holidayPeriod('2025-12-25')).toBe('christmas');
+    expect(holidayPeriod('2025-12-31')).toBe('newYear');
+    expect(holidayPeriod('2026-01-01')).toBe('newYear');
+    // Easter Sunday 2026 is 5 April
+    expect(holidayPeriod('2026-04-03')).toBe('easter');
+    expect(holidayPeriod('2026-04-06')).toBe('easter');
+    expect(holidayPeriod('2026-04-07')).toBeNull();
+  });
+
+  it('derives duties from the date, holidays and shift times', () => {
+    expect(ledgerDutiesFor('2025-12-27', { auto_off: false })).toEqual(['services', 'weekend']);
+    expect(ledgerDutiesFor('2025-12-24', { auto_off: true })).toEqual(['services', 'holiday', 'christmas', 'night']);
+    expect(ledgerDutiesFor('2026-05-01', { auto_off: false }, { isPublicHoliday: () => true })).toEqual([
+      'services',
+      'holiday',
+    ]);
+    // Times win over the auto_off fallback
+    expect(ledgerDutiesFor('2026-05-04', { auto_off: true }, { times: { start: '08:00', end: '16:00' } })).toEqual([
+      'services',
+    ]);
+    expect(ledgerDutiesFor('2026-05-04', { auto_off: false }, { times: { start: '20:00', end: '08:00' } })).toEqual([
+      'services',
+      'night',
+    ]);
+  });
+
+  it('formats balances for tooltips', () => {
+    expect(formatLedgerBalance(1.46)).toBe('+1,5');
+    expect(formatLedgerBalance(-0.5)).toBe('−0,5');
+    expect(formatLedgerBalance(0.04)).toBe('±0');
+    const zero = { services: 0, weekend: 0, holiday: 0, christmas: 0, newYear: 0, easter: 0, night: 0 };
+    const entry = { doctorId: 'a', fte: 1, counts: { ...zero, services: 1, weekend: 1 }, perFte: zero, balance: zero };
+    expect(ledgerSummary(entry)).toBe(
+      '12 Monate: Dienste 1 (±0) · Wochenende 1 (±0) · Feiertage 0 (±0) · Nacht 0 (±0)',
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { SCENARIO_KPI_DEFINITIONS, compareScenarioKpi, computeScenarioKpis } from '../scenarioKpis';
+import type { Doctor, SystemSetting, WishRequest, Workplace } from '@/types';
+
+// 2026-03-02 is a Monday
+const MON = '2026-03-02';
+const TUE = '2026-03-03';
+
+const doctors = [
+  { id: 'd1', name: 'Anna', fte: 1 },
+  { id: 'd2', name: 'Ben', fte: 0.5 },
+] as Doctor[];
+
+const workplaces = [
+  { id: 'w1', name: 'Dienst VG', category: 'Dienste', service_type: 1, order: 0, active_days: [1, 2], min_staff: 1 },
+  { id: 'w2', name: 'CT', category: 'Rotationen', order: 1, min_staff: 2 },
+] as Workplace[];
+
+const baseParams = {
+  dates: [MON, TUE],
+  doctors,
+  workplaces,
+  categories: ['Dienste', 'Rotationen'],
+};
+
+describe('computeScenarioKpis', () => {
+  it('measures fairness, wishes, staffing and limits on existing + suggested entries', () => {
+    const kpis = computeScenarioKpis({
+      ...baseParams,
+      existingShifts: [
+        { date: '2026-02-20', position: 'Dienst VG', doctor_id: 'd1' },
+        { date: MON, position: 'CT', doctor_id: 'd2' },
+      ],
+      suggestions: [
+        { date: MON, position: 'Dienst VG', doctor_id: 'd2', isPreview: true },
+        { date: TUE, position: 'Dienst VG', doctor_id: 'd1', isPreview: true },
+        { date: TUE, position: 'CT', doctor_id: 'd2', isPreview: true },
+        { date: '2026-03-04', position: 'Frei', doctor_id: 'd1', isPreview: true },
+      ],
+      wishes: [
+        { doctor_id: 'd1', date: TUE, type: 'service', status: 'approved', position: 'Dienst VG' },
+        { doctor_id: 'd2', date: TUE, type: 'service', status: 'pending', position: 'Dienst VG' },
+        { doctor_id: 'd2', date: MON, type: 'no_service', status: 'pending' },
+        { doctor_id: 'd1', date: MON, type: 'service', status: 'rejected' },
+      ] as WishRequest[],
+      systemSettings: [{ id: 's1', key: 'limit_fore_services', value: '2' }] as SystemSetting[],
+    });
+
+    // d1: 2 services / 1.0, d2: 1 service / 0.5 → both 2
+    expect(kpis.fairnessSpread).toBe(0);
+    expect(kpis.serviceWishes).toBe(2);
+    expect(kpis.serviceWishesMet).toBe(1);
+    expect(kpis.wishFulfilment).toBe(0.5);
+    expect(kpis.noServiceViolations).toBe(1);
+    // CT needs 2 on Monday and Tuesday, only 1 each
+    expect(kpis.understaffedCells).toBe(2);
+    // d1: 2 ≤ 2, d2: 1 ≤ round(2 × 0.5)
+    expect(kpis.limitViolations).toBe(0);
+    expect(kpis.assignments).toBe(3);
+  });
+
+  it('treats Schichturlaub as absence and counts nothing else as one', () => {
+    const kpis = computeScenarioKpis({
+      ...baseParams,
+      existingShifts: [],
+      suggestions: [
+        { date: MON, position: 'Schichturlaub', doctor_id: 'd1', isPreview: true },
+        { date: MON, position: 'Verfügbar', doctor_id: 'd2', isPreview: true },
+      ],
+      wishes: [],
+      systemSettings: [],
+    });
+
+    expect(kpis.assignments).toBe(1);
+  });
+
+  it('counts limit violations and skips inactive days', () => {
+    const kpis = computeScenarioKpis({
+      ...baseParams,
+      dates: ['2026-03-07'], // Saturday
+      existingShifts: [],
+      suggestions: [
+        { date: '2026-03-07', position: 'Dienst VG', doctor_id: 'd1' },
+        { date: '2026-03-01', position: 'Dienst VG', doctor_id: 'd1' },
+      ],
+      systemSettings: [{ id: 's1', key: 'limit_weekend_services', value: '1' }] as SystemSetting[],
+    });
+    expect(kpis.limitViolations).toBe(1);
+    expect(kpis.understaffedCells).toBe(0);
+    expect(kpis.wishFulfilment).toBeNull();
+  });
+});
+
+describe('compareScenarioKpi', () => {
+  const kpis = (overrides = {}) => ({
+    assignments: 10, fairnessSpread: 2, fairnessStdDev: 1, serviceWishes: 2, serviceWishesMet: 1,
+    wishFulfilment: 0.5, noServiceViolations: 0, understaffedCells: 1, limitViolations: 0, ...overrides,
+  });
+  const byKey = (key: string) => SCENARIO_KPI_DEFINITIONS.find((d) => d.key === key)!;
+
+  it('respects the direction of each KPI', () => {
+    expect(compareScenarioKpi(byKey('fairnessSpread'), kpis({ fairnessSpread: 1 }), kpis())).toBe('a');
+    expect(compareScenarioKpi(byKey('wishFulfilment'), kpis({ wishFulfilment: 0.2 }), kpis())).toBe('b');
+    expect(compareScenarioKpi(byKey('understaffedCells'), kpis(), kpis())).toBeNull();
+    expect(compareScenarioKpi(byKey('wishFulfilment'), kpis({ wishFulfilment: null }), kpis())).toBeNull();
+  });
+});
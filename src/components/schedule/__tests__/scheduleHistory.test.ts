@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_HISTORY,
+  MAX_HISTORY_STEPS,
+  appendToLastHistoryStep,
+  completeHistoryReplay,
+  discardHistoryRecords,
+  discardHistoryStep,
+  historyChange,
+  recordHistoryStep,
+  toReplayChanges,
+  type HistoryState,
+} from '../scheduleHistory';
+
+const row = (id: string, position = 'CT') => ({ id, doctor_id: 'd1', date: '2026-03-02', position });
+
+describe('recordHistoryStep', () => {
+  it('ends the redo branch and keeps the newest steps only', () => {
+    let state: HistoryState = { undo: [], redo: [{ label: 'alt', changes: [historyChange('ShiftEntry', null, row('x'))] }] };
+    for (let i = 0; i < MAX_HISTORY_STEPS + 2; i++) {
+      state = recordHistoryStep(state, { label: `Schritt ${i}`, changes: [historyChange('ShiftEntry', null, row(`s${i}`))] });
+    }
+    expect(state.redo).toEqual([]);
+    expect(state.undo).toHaveLength(MAX_HISTORY_STEPS);
+    expect(state.undo[0].label).toBe('Schritt 2');
+  });
+
+  it('merges changes per record and ignores empty steps', () => {
+    const state = recordHistoryStep(EMPTY_HISTORY, {
+      label: 'Verschoben',
+      changes: [
+        historyChange('ShiftEntry', row('a'), row('a', 'MRT')),
+        historyChange('ShiftEntry', row('a', 'MRT'), row('a', 'Sono')),
+        historyChange('ShiftEntry', null, row('b')),
+        historyChange('ShiftEntry', row('b'), null),
+      ],
+    });
+    expect(state.undo[0].changes).toEqual([{ entity: 'ShiftEntry', id: 'a', before: row('a'), after: row('a', 'Sono') }]);
+    expect(recordHistoryStep(state, { label: 'leer', changes: [] })).toBe(state);
+  });
+
+  it('drops client-only fields from snapshots', () => {
+    expect(historyChange('ShiftEntry', null, { ...row('a'), isPreview: true }).after).toEqual(row('a'));
+  });
+});
+
+describe('appendToLastHistoryStep', () => {
+  it('adds follow-up writes to the last step', () => {
+    const state = appendToLastHistoryStep(
+      recordHistoryStep(EMPTY_HISTORY, { label: 'Dienst', changes: [historyChange('ShiftEntry', null, row('a', 'Dienst'))] }),
+      [historyChange('ShiftEntry', null, row('f', 'Frei'))],
+      'Frei eingetragen',
+    );
+    expect(state.undo).toHaveLength(1);
+    expect(state.undo[0].label).toBe('Dienst');
+    expect(state.undo[0].changes.map((c) => c.id)).toEqual(['a', 'f']);
+    expect(appendToLastHistoryStep(EMPTY_HISTORY, [historyChange('ShiftEntry', null, row('f'))], 'Frei').undo[0].label).toBe('Frei');
+  });
+});
+
+describe('replaying steps', () => {
+  const step = { label: 'Gelöscht', changes: [historyChange('ScheduleNote', { id: 'n1', content: 'Hi' }, null)] };
+
+  it('swaps expected and target per direction', () => {
+    expect(toReplayChanges(step, 'undo')).toEqual([{ entity: 'ScheduleNote', id: 'n1', expected: null, target: { id: 'n1', content: 'Hi' } }]);
+    expect(toReplayChanges(step, 'redo')).toEqual([{ entity: 'ScheduleNote', id: 'n1', expected: { id: 'n1', content: 'Hi' }, target: null }]);
+  });
+
+  it('moves the step between the stacks with the rows from the server', () => {
+    const state = { undo: [step], redo: [] };
+    const undone = completeHistoryReplay(state, 'undo', step, [
+      { entity: 'ScheduleNote', id: 'n1', row: { id: 'n1', content: 'Hi', updated_date: '2026-03-03' } },
+    ]);
+    expect(undone.undo).toEqual([]);
+    expect(undone.redo[0].changes[0].before).toEqual({ id: 'n1', content: 'Hi', updated_date: '2026-03-03' });
+
+    const redone = completeHistoryReplay(undone, 'redo', undone.redo[0], [{ entity: 'ScheduleNote', id: 'n1', row: null }]);
+    expect(redone.undo[0].changes[0].after).toBeNull();
+    expect(redone.redo).toEqual([]);
+  });
+
+  it('ignores replays of steps that were dropped meanwhile', () => {
+    const state = discardHistoryStep({ undo: [step], redo: [] }, step);
+    expect(completeHistoryReplay(state, 'undo', step)).toBe(state);
+  });
+});
+
+describe('discardHistoryRecords', () => {
+  it('drops every step touching a record changed by someone else', () => {
+    const a = { label: 'a', changes: [historyChange('ShiftEntry', null, row('a'))] };
+    const b = { label: 'b', changes: [historyChange('ShiftEntry', row('b'), null)] };
+    const note = { label: 'n', changes: [historyChange('ScheduleNote', null, { id: 'a', content: 'x' })] };
+    const state = { undo: [a, note], redo: [b] };
+
+    expect(discardHistoryRecords(state, 'ShiftEntry', ['a', 'b'])).toEqual({ undo: [note], redo: [] });
+    expect(discardHistoryRecords(state, 'ShiftEntry', ['zzz'])).toBe(state);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  describePublishedEntries,
+  formatDateRanges,
+  isPublishWorkflowEnabled,
+  toPublishedShifts,
+  PUBLISH_WORKFLOW_SETTING_KEY,
+  type PublishedEntry,
+} from '../schedulePublication';
+
+function published(overrides: Partial<PublishedEntry> = {}): PublishedEntry {
+  return {
+    shift_entry_id: 's1',
+    date: '2026-03-02',
+    doctor_id: 'doc-a',
+    position: 'CT',
+    timeslot_id: null,
+    start_time: null,
+    end_time: null,
+    order: 0,
+    ...overrides,
+  };
+}
+
+describe('isPublishWorkflowEnabled', () => {
+  it('is enabled only by the string "true"', () => {
+    expect(isPublishWorkflowEnabled([])).toBe(false);
+    expect(isPublishWorkflowEnabled([{ key: PUBLISH_WORKFLOW_SETTING_KEY, value: 'false' }])).toBe(false);
+    expect(isPublishWorkflowEnabled([{ key: PUBLISH_WORKFLOW_SETTING_KEY, value: 'true' }])).toBe(true);
+  });
+});
+
+describe('toPublishedShifts', () => {
+  it('maps snapshots to read-only shift entries with stable ids', () => {
+    const shifts = toPublishedShifts([
+      published({ id: 'pe-1', order: 2 }),
+      published({ shift_entry_id: null, date: '2026-03-03' }),
+    ]);
+
+    expect(shifts[0]).toMatchObject({ id: 'pe-1', position: 'CT', order: 2, is_free_text: false });
+    expect(shifts[1].id).toBe('published-2026-03-03-1');
+  });
+});
+
+describe('describePublishedEntries', () => {
+  it('matches the labels of the change e-mail', () => {
+    const labels = new Map([['ts-early', 'Früh']]);
+    expect(describePublishedEntries([
+      published({ position: 'Sono', start_time: '12:00', end_time: '16:00' }),
+      published({ timeslot_id: 'ts-early' }),
+    ], labels)).toBe('CT (Früh), Sono (12:00–16:00)');
+    expect(describePublishedEntries([], labels)).toBe('kein Eintrag');
+  });
+});
+
+describe('formatDateRanges', () => {
+  it('compresses consecutive days across month boundaries', () => {
+    expect(formatDateRanges(['2026-03-05', '2026-03-01', '2026-03-02'])).toBe('01.03.–02.03., 05.03.');
+    expect(formatDateRanges(['2026-02-28', '2026-03-01'])).toBe('28.02.–01.03.');
+  });
+});
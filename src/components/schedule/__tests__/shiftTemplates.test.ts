@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import type { ShiftEntry } from '@/types';
+import {
+  captureShiftTemplateEntries,
+  parseShiftTemplateEntries,
+  planTemplateApplication,
+  type ShiftTemplateEntry,
+} from '../shiftTemplates';
+
+const shift = (overrides: Partial<ShiftEntry>): ShiftEntry =>
+  ({ id: `s-${Math.random()}`, doctor_id: 'd1', date: '2026-03-02', position: 'CT', order: 0, ...overrides }) as ShiftEntry;
+
+const workplaces = [{ name: 'CT' }, { name: 'Dienst Vordergrund' }];
+const doctors = [
+  { id: 'd1', is_active: true },
+  { id: 'd2', is_active: true },
+  { id: 'd3', is_active: false },
+];
+const noHoliday = () => false;
+
+const templateEntry = (overrides: Partial<ShiftTemplateEntry>): ShiftTemplateEntry => ({
+  day_offset: 0,
+  doctor_id: 'd1',
+  position: 'CT',
+  timeslot_id: null,
+  ...overrides,
+});
+
+describe('captureShiftTemplateEntries', () => {
+  it('keeps planned workplace entries of the cycle by day offset', () => {
+    const entries = captureShiftTemplateEntries({
+      shifts: [
+        shift({ date: '2026-03-03', position: 'Dienst Vordergrund', timeslot_id: 'ts1' }),
+        shift({ date: '2026-03-09', doctor_id: 'd2' }),
+        shift({ date: '2026-03-02', position: 'Urlaub' }),
+        shift({ date: '2026-03-02', is_free_text: true }),
+        shift({ date: '2026-03-02', isPreview: true }),
+        shift({ date: '2026-03-16' }),
+        shift({ date: '2026-03-01' }),
+      ],
+      workplaces,
+      weekStart: '2026-03-04',
+      cycleWeeks: 2,
+    });
+    expect(entries.map((e) => [e.day_offset, e.doctor_id, e.position, e.timeslot_id])).toEqual([
+      [1, 'd1', 'Dienst Vordergrund', 'ts1'],
+      [7, 'd2', 'CT', null],
+    ]);
+  });
+});
+
+describe('parseShiftTemplateEntries', () => {
+  it('drops invalid JSON and entries outside the cycle', () => {
+    expect(parseShiftTemplateEntries({ entries_json: '{not json', cycle_weeks: 1 })).toEqual([]);
+    const entries = parseShiftTemplateEntries({
+      cycle_weeks: 1,
+      entries_json: JSON.stringify([templateEntry({}), templateEntry({ day_offset: 7 }), { day_offset: 2 }]),
+    });
+    expect(entries).toHaveLength(1);
+  });
+});
+
+describe('planTemplateApplication', () => {
+  it('repeats an N-week cycle from the Monday of the start week', () => {
+    const plan = planTemplateApplication({
+      entries: [templateEntry({ day_offset: 0 }), templateEntry({ day_offset: 7, doctor_id: 'd2' })],
+      cycleWeeks: 2,
+      from: '2026-03-04',
+      to: '2026-03-29',
+      doctors,
+      existingShifts: [],
+      isPublicHoliday: noHoliday,
+    });
+    // 02.03. lies before `from`; 09.03. is week B, 16.03. week A again
+    expect(plan.drafts.map((d) => [d.date, d.doctor_id])).toEqual([
+      ['2026-03-09', 'd2'],
+      ['2026-03-16', 'd1'],
+      ['2026-03-23', 'd2'],
+    ]);
+  });
+
+  it('skips holidays, absences, inactive staff and existing entries', () => {
+    const plan = planTemplateApplication({
+      entries: [
+        templateEntry({ day_offset: 0 }),
+        templateEntry({ day_offset: 1 }),
+        templateEntry({ day_offset: 2 }),
+        templateEntry({ day_offset: 3, doctor_id: 'd3' }),
+        templateEntry({ day_offset: 4, doctor_id: 'd2' }),
+      ],
+      cycleWeeks: 1,
+      from: '2026-03-02',
+      to: '2026-03-08',
+      doctors,
+      existingShifts: [
+        shift({ date: '2026-03-03', position: 'Urlaub' }),
+        shift({ date: '2026-03-04' }),
+      ],
+      isPublicHoliday: (date) => date === '2026-03-02',
+    });
+    expect(plan.conflicts.map((c) => [c.draft.date, c.reason])).toEqual([
+      ['2026-03-02', 'holiday'],
+      ['2026-03-03', 'absent'],
+      ['2026-03-04', 'duplicate'],
+      ['2026-03-05', 'inactive'],
+    ]);
+    expect(plan.drafts.map((d) => d.date)).toEqual(['2026-03-06']);
+  });
+
+  it('can fill holidays on request', () => {
+    const plan = planTemplateApplication({
+      entries: [templateEntry({})],
+      cycleWeeks: 1,
+      from: '2026-03-02',
+      to: '2026-03-02',
+      doctors,
+      existingShifts: [],
+      isPublicHoliday: () => true,
+      skipHolidays: false,
+    });
+    expect(plan.drafts).toHaveLength(1);
+  });
+
+  it('checks later drafts against earlier ones through the validator', () => {
+    // Stand-in for the ShiftValidator: one service per doctor and week
+    const createValidator = (shifts: ShiftEntry[]) => ({
+      validate: (doctorId: string, dateStr: string, position: string) => {
+        const taken = shifts.some((s) => s.doctor_id === doctorId && s.position === position && s.date !== dateStr);
+        return {
+          canProceed: !taken,
+          blockers: taken ? ['Nur ein Dienst pro Woche'] : [],
+          warnings: dateStr === '2026-03-02' ? ['Hinweis'] : [],
+        };
+      },
+    });
+    const plan = planTemplateApplication({
+      entries: [
+        templateEntry({ day_offset: 0, position: 'Dienst Vordergrund' }),
+        templateEntry({ day_offset: 1, position: 'Dienst Vordergrund' }),
+      ],
+      cycleWeeks: 1,
+      from: '2026-03-02',
+      to: '2026-03-08',
+      doctors,
+      existingShifts: [],
+      isPublicHoliday: noHoliday,
+      createValidator,
+    });
+    expect(plan.drafts.map((d) => d.date)).toEqual(['2026-03-02']);
+    expect(plan.conflicts).toEqual([
+      expect.objectContaining({ reason: 'blocked', message: 'Nur ein Dienst pro Woche' }),
+    ]);
+    expect(plan.warnings).toEqual([expect.objectContaining({ messages: ['Hinweis'] })]);
+  });
+});
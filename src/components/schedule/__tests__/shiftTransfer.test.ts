@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import type { ShiftEntry, Workplace } from '@/types';
+import { planShiftTransfer, selectTransferSources } from '../shiftTransfer';
+
+const shift = (id: string, overrides: Partial<ShiftEntry>): ShiftEntry =>
+  ({ id, doctor_id: 'd1', date: '2026-03-02', position: 'CT', order: 0, ...overrides }) as ShiftEntry;
+
+const workplaces = [
+  { name: 'CT', category: 'Rotationen', allows_multiple: true },
+  { name: 'Dienst Vordergrund', category: 'Dienste', allows_multiple: false },
+] as Workplace[];
+const doctors = [
+  { id: 'd1', is_active: true },
+  { id: 'd2', is_active: true },
+  { id: 'd3', is_active: false },
+];
+const week = { from: '2026-03-02', to: '2026-03-08' };
+
+const plan = (shifts: ShiftEntry[], overrides: Partial<Parameters<typeof planShiftTransfer>[0]> = {}) =>
+  planShiftTransfer({
+    shifts,
+    workplaces,
+    doctors,
+    blocks: [],
+    selection: week,
+    target: { from: '2026-03-09' },
+    mode: 'copy',
+    resolution: 'skip',
+    ...overrides,
+  });
+
+describe('selectTransferSources', () => {
+  it('selects planned workplace entries of the range and row', () => {
+    const sources = selectTransferSources(
+      [
+        shift('a', { date: '2026-03-03' }),
+        shift('b', { date: '2026-03-02', doctor_id: 'd2' }),
+        shift('c', { position: 'Urlaub' }),
+        shift('d', { is_free_text: true }),
+        shift('e', { date: '2026-03-09' }),
+      ],
+      workplaces,
+      { ...week, doctorId: 'd1' },
+    );
+    expect(sources.map((s) => s.id)).toEqual(['a']);
+  });
+});
+
+describe('planShiftTransfer', () => {
+  it('copies a week by its offset and to another employee', () => {
+    const result = plan([shift('a', { date: '2026-03-04', timeslot_id: 'ts1' })], {
+      selection: { ...week, doctorId: 'd1' },
+      target: { from: '2026-03-16', doctorId: 'd2' },
+    });
+    expect(result.drafts).toEqual([
+      expect.objectContaining({ doctor_id: 'd2', date: '2026-03-18', position: 'CT', timeslot_id: 'ts1' }),
+    ]);
+    expect(result.drafts[0]).not.toHaveProperty('source_id');
+  });
+
+  it('reports absences, locked cells, inactive staff and duplicates', () => {
+    const result = plan(
+      [
+        shift('a', { date: '2026-03-02' }),
+        shift('b', { date: '2026-03-03' }),
+        shift('c', { date: '2026-03-04', doctor_id: 'd3' }),
+        shift('d', { date: '2026-03-05' }),
+        shift('abs', { date: '2026-03-09', position: 'Urlaub' }),
+        shift('dup', { date: '2026-03-12' }),
+      ],
+      { blocks: [{ date: '2026-03-10', position: 'CT', timeslot_id: null, type: 'block', reason: 'Wartung' }] },
+    );
+    expect(result.items.map((i) => [i.source.id, i.conflict?.reason])).toEqual([
+      ['a', 'absent'],
+      ['b', 'blocked'],
+      ['c', 'inactive'],
+      ['d', 'duplicate'],
+    ]);
+    expect(result.drafts).toEqual([]);
+    expect(result.conflictCount).toBe(4);
+  });
+
+  it('skips, overwrites or aborts on occupied single-assignment cells', () => {
+    const shifts = [
+      shift('a', { position: 'Dienst Vordergrund' }),
+      shift('b', { date: '2026-03-03' }),
+      shift('x', { date: '2026-03-09', position: 'Dienst Vordergrund', doctor_id: 'd2' }),
+    ];
+
+    const skipped = plan(shifts);
+    expect(skipped.items[0].conflict?.reason).toBe('occupied');
+    expect(skipped.drafts.map((d) => d.date)).toEqual(['2026-03-10']);
+
+    const overwritten = plan(shifts, { resolution: 'overwrite' });
+    expect(overwritten.items[0].replaces.map((s) => s.id)).toEqual(['x']);
+    expect(overwritten.drafts).toHaveLength(2);
+
+    const aborted = plan(shifts, { resolution: 'abort' });
+    expect(aborted.conflictCount).toBe(1);
+    expect(aborted.drafts).toEqual([]);
+  });
+
+  it('moves entries out of their own cells and keeps sources of skipped moves', () => {
+    const shifts = [
+      shift('a', { position: 'Dienst Vordergrund' }),
+      shift('b', { position: 'Dienst Vordergrund', date: '2026-03-03' }),
+      shift('x', { date: '2026-03-04', position: 'Dienst Vordergrund', doctor_id: 'd2' }),
+    ];
+    // Shift by one day: 'a' lands where 'b' leaves, 'b' hits the colleague on 04.03.
+    const result = plan(shifts, {
+      selection: { from: '2026-03-02', to: '2026-03-03' },
+      target: { from: '2026-03-03' },
+      mode: 'move',
+    });
+    expect(result.items.map((i) => [i.draft.source_id, i.draft.date, i.conflict?.reason])).toEqual([
+      ['a', '2026-03-03', undefined],
+      ['b', '2026-03-04', 'occupied'],
+    ]);
+  });
+
+  it('skips rule violations and leaves the cell to the occupant', () => {
+    const createValidator = () => ({
+      validate: () => ({ canProceed: false, blockers: ['Ruhezeit verletzt'], warnings: [] }),
+    });
+    const result = plan(
+      [
+        shift('a', { position: 'Dienst Vordergrund' }),
+        shift('x', { date: '2026-03-09', position: 'Dienst Vordergrund', doctor_id: 'd2' }),
+      ],
+      { resolution: 'overwrite', createValidator },
+    );
+    expect(result.items[0].conflict).toEqual({ reason: 'rule', message: 'Ruhezeit verletzt' });
+    expect(result.items[0].replaces).toEqual([]);
+  });
+});
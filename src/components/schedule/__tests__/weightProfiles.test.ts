@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { WEIGHTS } from '../costFunction';
+import {
+  TUNABLE_WEIGHTS,
+  getActiveWeightProfile,
+  parseWeightProfiles,
+  resolveWeights,
+  sanitizeWeightOverrides,
+  serializeWeightProfiles,
+} from '../weightProfiles';
+import type { SystemSetting } from '@/types';
+
+const setting = (key: string, value: string) => ({ id: key, key, value }) as SystemSetting;
+
+describe('sanitizeWeightOverrides', () => {
+  it('keeps finite tunable weights only', () => {
+    expect(sanitizeWeightOverrides({
+      FAIRNESS_WEIGHT: 12,
+      ROT_MATCH: '-30,5',
+      QUAL_EXCLUDED: 5,
+      WISH_PENDING: 'abc',
+      UNKNOWN: 1,
+    })).toEqual({ FAIRNESS_WEIGHT: 12, ROT_MATCH: -30.5 });
+    expect(sanitizeWeightOverrides(null)).toEqual({});
+  });
+
+  it('never exposes the hard-rule weights', () => {
+    const keys = TUNABLE_WEIGHTS.map((w) => w.key);
+    expect(keys).not.toContain('QUAL_EXCLUDED');
+    expect(keys).not.toContain('WISH_NO_SERVICE_APPROVED');
+    expect(keys.every((key) => Number.isFinite(WEIGHTS[key]))).toBe(true);
+  });
+});
+
+describe('parseWeightProfiles', () => {
+  it('round-trips profiles and drops invalid entries', () => {
+    const raw = serializeWeightProfiles([{ id: 'p1', name: 'Fairness', weights: { FAIRNESS_WEIGHT: 15 } }]);
+    expect(parseWeightProfiles(raw)).toEqual([{ id: 'p1', name: 'Fairness', weights: { FAIRNESS_WEIGHT: 15 } }]);
+    expect(parseWeightProfiles('[{"id":"x","name":"  "}, 3, null]')).toEqual([]);
+    expect(parseWeightProfiles('kaputt')).toEqual([]);
+  });
+});
+
+describe('getActiveWeightProfile', () => {
+  const profiles = setting('autofill_weight_profiles', '[{"id":"p1","name":"Rotation","weights":{"ROT_MATCH":-40}}]');
+
+  it('returns the active profile', () => {
+    expect(getActiveWeightProfile([profiles, setting('autofill_active_weight_profile', 'p1')])?.weights)
+      .toEqual({ ROT_MATCH: -40 });
+  });
+
+  it('falls back to the defaults for missing or unknown profiles', () => {
+    expect(getActiveWeightProfile([profiles])).toBeNull();
+    expect(getActiveWeightProfile([profiles, setting('autofill_active_weight_profile', 'gone')])).toBeNull();
+  });
+});
+
+describe('resolveWeights', () => {
+  it('merges overrides into the defaults', () => {
+    const weights = resolveWeights({ ROT_MATCH: -40 });
+    expect(weights.ROT_MATCH).toBe(-40);
+    expect(weights.FAIRNESS_WEIGHT).toBe(WEIGHTS.FAIRNESS_WEIGHT);
+    expect(weights.QUAL_EXCLUDED).toBe(Infinity);
+  });
+});
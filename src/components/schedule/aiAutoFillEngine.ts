@@ -18,14 +18,15 @@
 import { api } from '@/api/client';
 import { generateSuggestions } from './autoFillEngine';
 import { CostFunction } from './costFunction';
-import type { ShiftLike } from './costFunction';
+import type { CostWeights, ShiftLike } from './costFunction';
+import { getActiveWeightProfile } from './weightProfiles';
 import type { Doctor, Workplace, ShiftEntry, TrainingRotation, WishRequest, SystemSetting, Qualification, WorkplaceQualification, ScheduleRule } from '@/types';
 
 const NUM_VARIANTS = 8; // Number of deterministic runs to try
 
 /** Qualification accessor functions used for scoring and qualification annotation. */
 interface QualData {
-    getDoctorQualIds: (id: string) => string[];
+    getDoctorQualIds: (id: string, dateStr?: string) => string[];
     getWpRequiredQualIds: (id: string) => string[];
     getWpOptionalQualIds?: (id: string) => string[];
     getWpExcludedQualIds?: (id: string) => string[];
@@ -47,7 +48,7 @@ interface AIAutoFillResponse {
 //  (replaces the old inline scorePlan with all dimensions)
 // ============================================================
 
-function scorePlan(suggestions: ShiftLike[], doctors: Doctor[], workplaces: Workplace[], trainingRotations: TrainingRotation[], weekDayStrs: string[], qualData: QualData, existingShifts: ShiftLike[]): number {
+function scorePlan(suggestions: ShiftLike[], doctors: Doctor[], workplaces: Workplace[], trainingRotations: TrainingRotation[], weekDayStrs: string[], qualData: QualData, existingShifts: ShiftLike[], weights?: Partial<CostWeights>): number {
   const { getDoctorQualIds, getWpRequiredQualIds, getWpOptionalQualIds, getWpExcludedQualIds, getWpDiscouragedQualIds } = qualData || {};
 
   const cf = new CostFunction({
@@ -72,6 +73,7 @@ function scorePlan(suggestions: ShiftLike[], doctors: Doctor[], workplaces: Work
     isPublicHoliday: () => false,
     autoFreiByDate: {},
     systemSettings: [],
+    weights,
   });
 
   return cf.scorePlan(suggestions, weekDayStrs);
@@ -111,7 +113,7 @@ function planToReadable(suggestions: ShiftLike[], doctors: Doctor[], weekDayStrs
           label += ' (NICHT-QUALIFIZIERT!)';
         } else if (disc.length > 0 && disc.some((q: string) => docQuals.includes(q))) {
           label += ' (sollte-nicht)';
-        } else if (req.length > 0 && !req.every((q: string) => docQuals.includes(q))) {
+        } else if (req.length > 0 && !req.every((q: string) => (getDoctorQualIds(docId, s.date) || []).includes(q))) {
           label += ' (UNQUALIFIZIERT!)';
         }
       }
@@ -141,7 +143,7 @@ export async function generateAISuggestions(params: {
   allShifts: ShiftEntry[];
   trainingRotations: TrainingRotation[];
   isPublicHoliday: (date: Date) => boolean;
-  getDoctorQualIds: (id: string) => string[];
+  getDoctorQualIds: (id: string, dateStr?: string) => string[];
   getWpRequiredQualIds: (id: string) => string[];
   getWpOptionalQualIds: (id: string) => string[];
   getWpExcludedQualIds: (id: string) => string[];
@@ -189,7 +191,8 @@ export async function generateAISuggestions(params: {
   const variants = [];
   for (let i = 0; i < NUM_VARIANTS; i++) {
     const suggestions = generateSuggestions(detParams);
-    const score = scorePlan(suggestions, doctors, workplaces, trainingRotations, weekDayStrs, qualData, existingShifts);
+    const score = scorePlan(suggestions, doctors, workplaces, trainingRotations, weekDayStrs, qualData, existingShifts,
+      getActiveWeightProfile(systemSettings)?.weights);
     variants.push({ suggestions, score, index: i });
   }
 
@@ -208,8 +211,18 @@ export async function generateAISuggestions(params: {
 
   // 4. Build qualification data for server validation
   const doctorQuals: Record<string, string[]> = {};
+  // doctorId → qualificationId → first day of the week without valid evidence
+  const doctorQualBlockedFrom: Record<string, Record<string, string>> = {};
   for (const doc of doctors) {
     doctorQuals[doc.id] = (getDoctorQualIds(doc.id) || []);
+    for (const dateStr of weekDayStrs) {
+      const usable = getDoctorQualIds(doc.id, dateStr) || [];
+      for (const qualId of doctorQuals[doc.id]) {
+        if (usable.includes(qualId)) continue;
+        const blocked = (doctorQualBlockedFrom[doc.id] ??= {});
+        blocked[qualId] ??= dateStr;
+      }
+    }
   }
   const workplaceQuals: Record<string, { qualification_id: string; is_mandatory: boolean; is_excluded: boolean }[]> = {};
   for (const wp of workplaces) {
@@ -223,6 +236,7 @@ export async function generateAISuggestions(params: {
   const qualifications = {
     allQuals: (allQualifications || []).map(q => ({ id: q.id, name: q.name })),
     doctorQuals,
+    doctorQualBlockedFrom,
     workplaceQuals,
   };
 
@@ -241,6 +255,8 @@ export async function generateAISuggestions(params: {
         allows_rotation_concurrently: w.allows_rotation_concurrently,
         min_staff: w.min_staff, optimal_staff: w.optimal_staff,
         auto_off: w.auto_off, active_days: w.active_days, order: w.order,
+        consecutive_days_mode: w.consecutive_days_mode,
+        allows_consecutive_days: w.allows_consecutive_days,
       })),
       existingShifts: existingShifts.map(s => ({
         date: s.date, position: s.position, doctor_id: s.doctor_id,
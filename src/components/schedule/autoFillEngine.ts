@@ -27,16 +27,40 @@
  *   Phase D – Auto-Frei for remaining auto_off positions (non-service):
  *       E.g. if a rotation workplace also has auto_off.
  *
+ *   Ruhezeit (rest period, see utils/restPeriod):
+ *       Hard constraint in all phases. A doctor is never suggested for a slot whose
+ *       times would cut the minimum rest to the previous/next day's work.
+ *
+ *   Wochenarbeitszeit (weekly cap, see utils/workingHours):
+ *       Hard constraint in all phases. A doctor is never suggested for a slot that
+ *       would push the calendar week's working time above the configured cap.
+ *
  * Cost Function (v2):
  *   All candidate sorting now uses a unified additive cost function (CostFunction class)
  *   inspired by the ChordMatcher pattern. Lower cost = better candidate.
  *   See costFunction.js for dimension details and tuneable weights.
+ *
+ * Reproducibility:
+ *   The only random step is the initial doctor shuffle (tie-breaking between equal
+ *   costs). It uses a seeded PRNG; the seed is returned as `__seed`, and running
+ *   again with that seed and the same input yields the same plan.
+ *   With `debug.explain`, every suggestion gets an explanation (cost breakdown,
+ *   rejected candidates and why they lost) in `__debug.explanations`.
  */
 
-import { CostFunction } from './costFunction';
+import { CostFunction, losingDimensions } from './costFunction';
+import type { AssignmentContext, CostBreakdown, CostDimension, CostWeights } from './costFunction';
+import { getActiveWeightProfile } from './weightProfiles';
+import type { FairnessLedger } from './fairnessLedger';
 import { getAutoFreiDate } from '@/utils/autoFrei';
+import { createRandomSeed, createSeededRandom, shuffleWith } from '@/utils/seededRandom';
+import type { RandomSeed } from '@/utils/seededRandom';
 import { getWorkplaceCategoriesFromSettings, workplaceAllowsMultiple } from '@/utils/workplaceCategoryUtils';
 import { isFullDaysOffModel, getPartTimeWorkDaysPerWeek } from './doctorWorkTime';
+import { createRestPeriodChecker, parseRestPeriodConfig } from '@/utils/restPeriod';
+import type { RestPeriodShift } from '@/utils/restPeriod';
+import { createWorkingHoursCalculator, getWeekStart, parseWorkingHoursConfig } from '@/utils/workingHours';
+import type { WorkingHoursShift } from '@/utils/workingHours';
 import type { Doctor, Workplace, ShiftEntry, WishRequest, WorkplaceTimeslot, TrainingRotation, SystemSetting } from '@/types';
 
 /** Internal suggestion object produced by the engine.
@@ -52,12 +76,76 @@ interface Suggestion {
 
 /** Return type of generateSuggestions, including optional __debug metadata. */
 interface SuggestionResult extends Array<Suggestion> {
+    /** Seed of the doctor shuffle; pass it as `seed` to reproduce this result. */
+    __seed: string;
     __debug?: {
         requestId: string;
+        seed: string;
         entries: AutoFillDebugEntry[];
+        /** One entry per suggestion (without Auto-Frei), only with `debug.explain`. */
+        explanations?: AssignmentExplanation[];
     };
 }
 
+/**
+ * Why a doctor did not get a slot.
+ *   higher_cost / tie_order / rule_priority — was a candidate, lost on cost, on the
+ *     (seeded) order between equal costs, or on a non-cost rule (coverage ranking,
+ *     overfill heuristics) despite a lower cost
+ *   swapped      — was chosen, then replaced by the swap optimization
+ *   cost_blocked — cost function returned Infinity (see cost.blockedBy)
+ *   filtered     — removed by a soft pre-filter (rotation, "Sollte"/"Sollte nicht")
+ *   all others   — hard rules before the cost function
+ */
+export type RejectionReason =
+    | 'higher_cost'
+    | 'tie_order'
+    | 'rule_priority'
+    | 'swapped'
+    | 'cost_blocked'
+    | 'absent'
+    | 'auto_frei'
+    | 'part_time_off'
+    | 'already_assigned'
+    | 'service_today'
+    | 'excluded'
+    | 'not_qualified'
+    | 'no_service_wish'
+    | 'limit'
+    | 'consecutive'
+    | 'working_time'
+    | 'filtered';
+
+export interface RejectedCandidate {
+    doctorId: string;
+    doctorName: string;
+    reason: RejectionReason;
+    /** Only for candidates that reached the cost comparison. */
+    cost?: CostBreakdown;
+    /** Cost difference to the chosen doctor (positive = more expensive). */
+    delta?: number;
+    /** Dimensions in which the candidate was more expensive, largest gap first. */
+    losingDimensions?: CostDimension[];
+}
+
+export interface AssignmentExplanation {
+    date: string;
+    position: string;
+    timeslotId: string | null;
+    /** Engine stage that made the assignment, e.g. 'phase:A:assign'. */
+    stage: string;
+    doctorId: string;
+    doctorName: string;
+    cost: CostBreakdown;
+    /** Cheapest rivals first (at most EXPLAIN_MAX_RIVALS), then everyone filtered out. */
+    rejected: RejectedCandidate[];
+    /** Rivals beyond EXPLAIN_MAX_RIVALS that are not listed. */
+    omittedRivals: number;
+}
+
+/** Rivals with cost breakdown per explanation; keeps reports readable for large teams. */
+export const EXPLAIN_MAX_RIVALS = 5;
+
 interface AutoFillDebugEntry {
     ts: string;
     stage: string;
@@ -67,6 +155,8 @@ interface AutoFillDebugEntry {
 
 interface AutoFillDebugContext {
     enabled?: boolean;
+    /** Collect an AssignmentExplanation per suggestion (independent of `enabled`). */
+    explain?: boolean;
     entries: AutoFillDebugEntry[];
     requestId?: string;
 }
@@ -85,7 +175,8 @@ interface GenerateSuggestionsParams {
     allShifts?: ShiftEntry[];
     trainingRotations?: TrainingRotation[];
     isPublicHoliday: (date: Date) => boolean;
-    getDoctorQualIds: (id: string) => string[];
+    /** With `dateStr`, only qualifications with valid certificate evidence on that date */
+    getDoctorQualIds: (id: string, dateStr?: string) => string[];
     getWpRequiredQualIds: (id: string) => string[];
     getWpOptionalQualIds?: (id: string) => string[];
     getWpExcludedQualIds?: (id: string) => string[];
@@ -94,6 +185,12 @@ interface GenerateSuggestionsParams {
     systemSettings: SystemSetting[];
     wishes?: WishRequest[];
     workplaceTimeslots?: WorkplaceTimeslot[];
+    /** Weight overrides; defaults to the tenant's active weight profile. */
+    weights?: Partial<CostWeights>;
+    /** Seed for the doctor shuffle; a random one is generated (and returned) if omitted. */
+    seed?: RandomSeed | null;
+    /** 12-month duty balances (see fairnessLedger.ts); services then also even out the long run. */
+    fairnessLedger?: FairnessLedger | null;
     debug?: AutoFillDebugContext;
 }
 
@@ -114,22 +211,22 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         systemSettings,
         wishes = [],
         workplaceTimeslots = [],
+        weights = getActiveWeightProfile(systemSettings)?.weights,
+        fairnessLedger = null,
         debug = null,
     } = params;
-    let doctors = [...params.doctors];
-    // Shuffle doctors to avoid deterministic bias (e.g. same doctors always getting Monday shifts)
-    const shuffled = [...doctors];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    doctors = shuffled;
+    const seed = params.seed != null && String(params.seed) !== '' ? String(params.seed) : createRandomSeed();
+    // Shuffle doctors to avoid deterministic bias (e.g. same doctors always getting Monday shifts).
+    // Seeded, so the same seed and input reproduce the same plan.
+    const doctors = shuffleWith(params.doctors, createSeededRandom(seed));
 
     const suggestions: Suggestion[] = [];
     const absencePositions = ['Frei', 'Krank', 'Urlaub', 'Dienstreise', 'Nicht verfügbar'];
     const DEFAULT_ACTIVE_DAYS = [1, 2, 3, 4, 5];
 
     const debugEnabled = Boolean(debug?.enabled);
+    const explainEnabled = Boolean(debug?.explain);
+    const explanationBySuggestion = new Map<Suggestion, AssignmentExplanation>();
     const debugEntries: AutoFillDebugEntry[] = debug?.entries || [];
     const debugRequestId = debug?.requestId || `det-${Date.now().toString(36)}`;
     const debugMaxEntries = 1200;
@@ -147,6 +244,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
 
     debugLog('init', 'Deterministic AutoFill started', {
         requestId: debugRequestId,
+        seed,
         days: weekDays.length,
         doctors: doctors.length,
         workplaces: workplaces.length,
@@ -169,11 +267,15 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         return ad.some((d: number) => d === date.getDay());
     };
 
+    // Day being planned: Pflicht/Sollte qualifications only count with valid
+    // certificate evidence on it (exclusions use every held qualification)
+    let planningDate: string | undefined;
+
     /** Does this doctor hold ALL mandatory qualifications for a workplace? */
     const isQualified = (doctorId: string, wpId: string) => {
         const req = getWpRequiredQualIds(wpId);
         if (!req?.length) return true;
-        const doc = getDoctorQualIds(doctorId);
+        const doc = getDoctorQualIds(doctorId, planningDate);
         if (!doc) return false;
         return req.every((q: string) => doc.includes(q));
     };
@@ -197,7 +299,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
     const hasOptionalQuals = (doctorId: string, wpId: string) => {
         const opt = getWpOptionalQualIds?.(wpId);
         if (!opt?.length) return true; // no optional quals = considered "has them"
-        const doc = getDoctorQualIds(doctorId);
+        const doc = getDoctorQualIds(doctorId, planningDate);
         if (!doc?.length) return false;
         return opt.every((q: string) => doc.includes(q));
     };
@@ -206,7 +308,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
     const _hasAnyOptionalQual = (doctorId: string, wpId: string) => {
         const opt = getWpOptionalQualIds?.(wpId);
         if (!opt?.length) return true;
-        const doc = getDoctorQualIds(doctorId);
+        const doc = getDoctorQualIds(doctorId, planningDate);
         if (!doc?.length) return false;
         return opt.some((q: string) => doc.includes(q));
     };
@@ -566,6 +668,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         autoFreiByDate,
         isPartTimeOffDay,
         systemSettings,
+        weights,
+        fairnessLedger,
     });
 
     /** Generate an Auto-Frei for a doctor on the direct next day after dateStr when eligible. */
@@ -687,14 +791,89 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         );
     };
 
+    // Rest period (Ruhezeit): same checker as RestPeriodRule. Always a hard
+    // constraint here, even if the tenant configured it as a warning —
+    // manual overrides remain possible on the board.
+    const restChecker = createRestPeriodChecker({
+        workplaces,
+        timeslots: workplaceTimeslots,
+        config: parseRestPeriodConfig(systemSettings),
+    });
+
+    // Weekly working-hours cap: same calculation as WorkingHoursRule, also hard here.
+    const hoursConfig = parseWorkingHoursConfig(systemSettings);
+    const hoursCalculator = createWorkingHoursCalculator({
+        workplaces,
+        timeslots: workplaceTimeslots,
+    });
+
     // ========================================================
     //  Process each day
     // ========================================================
     for (const day of weekDays) {
         const dateStr = formatDate(day);
+        planningDate = dateStr;
         const dayStartSuggestions = suggestions.length;
         const dayStartAutoFrei = autoFreiSuggestions.length;
 
+        // Rest-period lookups for this day. Only the previous and the next day
+        // matter; both are fixed while this day is planned, so results are cached.
+        const restPrevDate = (() => { const d = new Date(day); d.setDate(d.getDate() - 1); return formatDate(d); })();
+        const restNextDate = (() => { const d = new Date(day); d.setDate(d.getDate() + 1); return formatDate(d); })();
+        const restNeighbours = new Map<string, RestPeriodShift[]>();
+        const restCache = new Map<string, boolean>();
+        /** Would this slot cut the doctor's rest period to the previous/next day? */
+        const violatesRestPeriod = (docId: string, wpName: string, tsId: string | null) => {
+            const key = `${docId}|${slotKey(wpName, tsId)}`;
+            const cached = restCache.get(key);
+            if (cached !== undefined) return cached;
+            let neighbours = restNeighbours.get(docId);
+            if (!neighbours) {
+                neighbours = [...historyShifts, ...existingShifts, ...suggestions].filter(s =>
+                    s.doctor_id === docId && (s.date === restPrevDate || s.date === restNextDate)
+                ) as RestPeriodShift[];
+                restNeighbours.set(docId, neighbours);
+            }
+            const result = restChecker.findViolations(
+                { date: dateStr, position: wpName, timeslot_id: tsId },
+                neighbours
+            ).length > 0;
+            restCache.set(key, result);
+            return result;
+        };
+
+        // Weekly-cap lookups: other days of the week are fixed while this day is
+        // planned; today's minutes are recomputed including today's suggestions.
+        const hoursWeekStart = getWeekStart(dateStr);
+        const hoursWeekEnd = (() => { const d = new Date(`${hoursWeekStart}T00:00:00`); d.setDate(d.getDate() + 6); return formatDate(d); })();
+        const hoursBase = new Map<string, { otherDays: number; today: WorkingHoursShift[] }>();
+        /** Would this slot push the doctor's week above the working-hours cap? */
+        const exceedsWeeklyHours = (docId: string, wpName: string, tsId: string | null) => {
+            if (!hoursConfig.enabled) return false;
+            const candidate: WorkingHoursShift = { date: dateStr, position: wpName, timeslot_id: tsId };
+            if (!hoursCalculator.getInterval(candidate)) return false;
+            let base = hoursBase.get(docId);
+            if (!base) {
+                const weekShifts = [...historyShifts, ...existingShifts, ...suggestions.slice(0, dayStartSuggestions)].filter(s =>
+                    s.doctor_id === docId && s.date >= hoursWeekStart && s.date <= hoursWeekEnd
+                ) as WorkingHoursShift[];
+                base = {
+                    otherDays: hoursCalculator.weeklyMinutes(weekShifts.filter(s => s.date !== dateStr)).get(hoursWeekStart) ?? 0,
+                    today: weekShifts.filter(s => s.date === dateStr),
+                };
+                hoursBase.set(docId, base);
+            }
+            const today = [...base.today, ...suggestions.slice(dayStartSuggestions).filter(s => s.doctor_id === docId)];
+            const withoutCandidate = hoursCalculator.dayMinutes(today);
+            const withCandidate = hoursCalculator.dayMinutes([...today, candidate]);
+            return withCandidate > withoutCandidate &&
+                base.otherDays + withCandidate > hoursConfig.weeklyMaxHours * 60;
+        };
+
+        /** Hard working-time limits: rest period and weekly cap. */
+        const violatesWorkingTime = (docId: string, wpName: string, tsId: string | null) =>
+            violatesRestPeriod(docId, wpName, tsId) || exceedsWeeklyHours(docId, wpName, tsId);
+
         debugLog('day:start', 'Start day planning', {
             date: dateStr,
             weekday: day.getDay(),
@@ -753,10 +932,11 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         }
 
         // Record a suggestion and update tracking
-        const assign = (docId: string, wpName: string, timeslotId: string | null = null) => {
+        const assign = (docId: string, wpName: string, timeslotId: string | null = null, explanation: AssignmentExplanation | null = null) => {
             const suggestion: Suggestion = { date: dateStr, position: wpName, doctor_id: docId, isPreview: true };
             if (timeslotId) suggestion.timeslot_id = timeslotId;
             suggestions.push(suggestion);
+            if (explanation) explanationBySuggestion.set(suggestion, explanation);
             // Only block the doctor if the workplace actually reduces availability
             const wp = workplaces.find(w => w.name === wpName);
             if (wp?.category === 'Dienste') serviceAssignedToday.add(docId);
@@ -769,6 +949,103 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
             incWeekly(docId);
         };
 
+        /** Hard rule that kept a doctor out of the candidate pool (explainability report). */
+        const rejectionReason = (docId: string, wp: Workplace, tsId: string | null, blocked: Set<string>): RejectionReason => {
+            if (blocked.has(docId)) {
+                if (autoFreiByDate[dateStr]?.has(docId)) return 'auto_frei';
+                if (isPartTimeOffDay(docId, dateStr)) return 'part_time_off';
+                const absent = existingShifts.some(s =>
+                    s.date === dateStr && s.doctor_id === docId && absencePositions.includes(s.position)
+                );
+                if (absent) return 'absent';
+                return serviceAssignedToday.has(docId) ? 'service_today' : 'already_assigned';
+            }
+            if (isServiceWp(wp) && serviceAssignedToday.has(docId)) return 'service_today';
+            if (isExcluded(docId, wp.id)) return 'excluded';
+            if (!isQualified(docId, wp.id)) return 'not_qualified';
+            if (isServiceWp(wp)) {
+                if (hasApprovedNoService(docId, dateStr)) return 'no_service_wish';
+                if (wouldExceedLimit(docId, wp.name, dateStr)) return 'limit';
+                if (wouldViolateConsecutive(docId, wp.name, dateStr)) return 'consecutive';
+            }
+            if (violatesWorkingTime(docId, wp.name, tsId)) return 'working_time';
+            return 'filtered';
+        };
+
+        /**
+         * Explanation for assigning `chosenId` out of `pool` (the candidates left after
+         * all filters). Must run before assign() so costs reflect the decision state.
+         */
+        const explainChoice = (
+            stage: string,
+            wp: Workplace,
+            tsId: string | null,
+            chosenId: string,
+            pool: Doctor[],
+            context: AssignmentContext,
+            blocked: Set<string>,
+        ): AssignmentExplanation | null => {
+            if (!explainEnabled) return null;
+            const cost = costFn.costBreakdown(chosenId, wp, dateStr, context);
+            const poolIds = new Set(pool.map(d => d.id));
+            // Stable sort: equal costs keep the (seeded) pool order
+            const rivals = pool
+                .filter(d => d.id !== chosenId)
+                .map(d => ({ doctorId: d.id, cost: costFn.costBreakdown(d.id, wp, dateStr, context) }))
+                .sort((a, b) => a.cost.total - b.cost.total);
+            const rejected: RejectedCandidate[] = rivals.slice(0, EXPLAIN_MAX_RIVALS).map(r => {
+                const doctorName = doctorNameById[r.doctorId] || r.doctorId;
+                if (r.cost.blockedBy) return { doctorId: r.doctorId, doctorName, reason: 'cost_blocked', cost: r.cost };
+                const delta = Math.round((r.cost.total - cost.total) * 100) / 100;
+                return {
+                    doctorId: r.doctorId,
+                    doctorName,
+                    reason: delta > 0 ? 'higher_cost' : delta === 0 ? 'tie_order' : 'rule_priority',
+                    cost: r.cost,
+                    delta,
+                    losingDimensions: losingDimensions(cost, r.cost),
+                };
+            });
+            for (const d of doctors) {
+                if (d.id === chosenId || poolIds.has(d.id)) continue;
+                rejected.push({ doctorId: d.id, doctorName: d.name, reason: rejectionReason(d.id, wp, tsId, blocked) });
+            }
+            return {
+                date: dateStr,
+                position: wp.name,
+                timeslotId: tsId,
+                stage,
+                doctorId: chosenId,
+                doctorName: doctorNameById[chosenId] || chosenId,
+                cost,
+                rejected,
+                omittedRivals: Math.max(0, rivals.length - EXPLAIN_MAX_RIVALS),
+            };
+        };
+
+        /** Swap optimization replaced the doctor of `s`: re-cost and list the previous one as rejected. */
+        const explainSwap = (s: Suggestion, previousId: string, wp: Workplace, context: AssignmentContext) => {
+            const explanation = explanationBySuggestion.get(s);
+            if (!explanation) return;
+            const cost = costFn.costBreakdown(s.doctor_id, wp, dateStr, context);
+            const previousCost = costFn.costBreakdown(previousId, wp, dateStr, context);
+            explanation.rejected = [
+                {
+                    doctorId: previousId,
+                    doctorName: doctorNameById[previousId] || previousId,
+                    reason: 'swapped',
+                    cost: previousCost,
+                    delta: Math.round((previousCost.total - cost.total) * 100) / 100,
+                    losingDimensions: losingDimensions(cost, previousCost),
+                },
+                ...explanation.rejected.filter(r => r.doctorId !== s.doctor_id && r.doctorId !== previousId),
+            ];
+            explanation.doctorId = s.doctor_id;
+            explanation.doctorName = doctorNameById[s.doctor_id] || s.doctor_id;
+            explanation.cost = cost;
+            explanation.stage = `${explanation.stage}+swap`;
+        };
+
         /** Does this position already have ≥1 qualified person today? */
         const _hasQualCoverage = (wp: Workplace) => {
             for (const s of existingShifts) {
@@ -893,7 +1170,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                         !hasApprovedNoService(d.id, dateStr) &&
                         isQualified(d.id, svc.id) &&
                         !wouldExceedLimit(d.id, svc.name, dateStr) &&
-                        !wouldViolateConsecutive(d.id, svc.name, dateStr)
+                        !wouldViolateConsecutive(d.id, svc.name, dateStr) &&
+                        !violatesWorkingTime(d.id, svc.name, tsId)
                     );
                 });
 
@@ -938,7 +1216,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                             !isExcluded(d.id, svc.id) &&
                             !hasApprovedNoService(d.id, dateStr) &&
                             isQualified(d.id, svc.id) &&
-                            !wouldViolateConsecutive(d.id, svc.name, dateStr)
+                            !wouldViolateConsecutive(d.id, svc.name, dateStr) &&
+                            !violatesWorkingTime(d.id, svc.name, tsId)
                         );
                     }).sort((a: Doctor, b: Doctor) => {
                         const costA = costFn.assignmentCost(a.id, svc, dateStr, fallbackContext);
@@ -962,7 +1241,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 for (let i = 0; i < slotsNeeded && i < ranked.length; i++) {
                     const chosen = ranked[i];
                     const chosenCost = costFn.assignmentCost(chosen.id, svc, dateStr, costContext);
-                    assign(chosen.id, svc.name, tsId);
+                    const explanation = explainChoice('phase:A:assign', svc, tsId, chosen.id, ranked.slice(i), costContext, usedToday);
+                    assign(chosen.id, svc.name, tsId, explanation);
                     recordServiceAssignment(chosen.id, svc.name, dateStr);
                     debugLog('phase:A:assign', 'Assigned service slot', {
                         date: dateStr,
@@ -1041,7 +1321,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
 
                 // Progressive filtering
                 let eligible = doctors
-                    .filter((d: Doctor) => !usedToday.has(d.id) && !isExcluded(d.id, wp.id) && isQualified(d.id, wp.id));
+                    .filter((d: Doctor) => !usedToday.has(d.id) && !isExcluded(d.id, wp.id) && isQualified(d.id, wp.id) &&
+                                           !violatesWorkingTime(d.id, wp.name, tsId));
 
                 // Strict rotation mode: prefer non-rotating doctors for non-rotation workplaces
                 if (strictRotationMode && !isRotationWp(wp)) {
@@ -1062,7 +1343,15 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 const candidates = eligible.sort(sortB1);
 
                 if (candidates.length > 0) {
-                    assign(candidates[0].id, wp.name, tsId);
+                    const explanation = explainChoice('phase:B:coverage', wp, tsId, candidates[0].id, candidates, {
+                        usedToday,
+                        posCount,
+                        displacementCount,
+                        rotationImpactScore,
+                        serviceAssignedToday,
+                        phase: 'B',
+                    }, usedToday);
+                    assign(candidates[0].id, wp.name, tsId, explanation);
                     debugLog('phase:B:coverage', 'Assigned qualification coverage slot', {
                         date: dateStr,
                         workplace: wp.name,
@@ -1144,7 +1433,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 };
 
                 // Progressive filtering: "Sollte nicht" + "Sollte" with fallback
-                let eligible = unassigned.filter((doc: Doctor) => !isExcluded(doc.id, targetWp.id));
+                let eligible = unassigned.filter((doc: Doctor) => !isExcluded(doc.id, targetWp.id) &&
+                                                                  !violatesWorkingTime(doc.id, targetWp.name, targetTsId));
 
                 // Rotation restriction (configurable per tenant):
                 if (isRotationWp(targetWp)) {
@@ -1186,7 +1476,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
 
                 if (eligible.length > 0 && costFn.assignmentCost(eligible[0].id, targetWp, dateStr, costContextB) < Infinity) {
                     const chosen = eligible[0];
-                    assign(chosen.id, targetWp.name, targetTsId);
+                    const explanation = explainChoice('phase:B:fill', targetWp, targetTsId, chosen.id, eligible, costContextB, usedToday);
+                    assign(chosen.id, targetWp.name, targetTsId, explanation);
                     debugLog('phase:B:fill', 'Assigned availability-relevant slot', {
                         date: dateStr,
                         workplace: targetWp.name,
@@ -1262,7 +1553,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
 
                 for (const doc of remaining) {
                     // Progressive filtering: "Sollte nicht" + "Sollte" with fallback
-                    let eligibleWps = options.filter(o => !isExcluded(doc.id, o.wp.id));
+                    let eligibleWps = options.filter(o => !isExcluded(doc.id, o.wp.id) && !violatesWorkingTime(doc.id, o.wp.name, o.timeslotId));
 
                     // Strict rotation mode: doctors with active rotations should only go to their rotation wp
                     if (strictRotationMode && hasActiveRotation(doc.id, dateStr)) {
@@ -1318,7 +1609,9 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 }
 
                 if (bestAssignment && bestCost < Infinity) {
-                    assign(bestAssignment.doc.id, bestAssignment.wp.name, bestAssignment.timeslotId);
+                    const explanation = explainChoice('phase:B:overfill', bestAssignment.wp, bestAssignment.timeslotId,
+                        bestAssignment.doc.id, remaining, costContextB3, usedToday);
+                    assign(bestAssignment.doc.id, bestAssignment.wp.name, bestAssignment.timeslotId, explanation);
                     debugLog('phase:B:overfill', 'Overfill assignment applied', {
                         date: dateStr,
                         workplace: bestAssignment.wp.name,
@@ -1393,6 +1686,10 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                                 if (hasQualReq(wp1) && !isQualified(s2.doctor_id, wp1.id)) continue;
                                 if (hasQualReq(wp2) && !isQualified(s1.doctor_id, wp2.id)) continue;
 
+                                // Validity: rest period
+                                if (violatesWorkingTime(s2.doctor_id, wp1.name, s1.timeslot_id || null)) continue;
+                                if (violatesWorkingTime(s1.doctor_id, wp2.name, s2.timeslot_id || null)) continue;
+
                                 // Cost comparison
                                 const currentCost =
                                     costFn.assignmentCost(s1.doctor_id, wp1, dateStr, swapContext) +
@@ -1413,6 +1710,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                                     const tmp = s1.doctor_id;
                                     s1.doctor_id = s2.doctor_id;
                                     s2.doctor_id = tmp;
+                                    explainSwap(s1, s2.doctor_id, wp1, swapContext);
+                                    explainSwap(s2, s1.doctor_id, wp2, swapContext);
                                     swapImproved = true;
                                 }
                             }
@@ -1501,10 +1800,12 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 });
             };
 
-            const assignC = (docId: string, wpName: string, wpHasQualReq: boolean, tsId: string | null = null) => {
+            const assignC = (docId: string, wpName: string, wpHasQualReq: boolean, tsId: string | null = null,
+                             explanation: AssignmentExplanation | null = null) => {
                 const suggestion: Suggestion = { date: dateStr, position: wpName, doctor_id: docId, isPreview: true };
                 if (tsId) suggestion.timeslot_id = tsId;
                 suggestions.push(suggestion);
+                if (explanation) explanationBySuggestion.set(suggestion, explanation);
                 const sk = slotKey(wpName, tsId);
                 phaseCSlotCount[sk] = (phaseCSlotCount[sk] || 0) + 1;
                 incWeekly(docId);
@@ -1556,7 +1857,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 let candidates = doctors
                     .filter(d => !phaseC_blocked.has(d.id) && !isExcluded(d.id, wp.id) &&
                                  !isDiscouraged(d.id, wp.id) &&
-                                 isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId));
+                                 isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId) && !violatesWorkingTime(d.id, wp.name, tsId));
                 if (hasOptionalQualReq(wp) && candidates.length > 0) {
                     const withPref = candidates.filter(d => hasOptionalQuals(d.id, wp.id));
                     if (withPref.length > 0) candidates = withPref;
@@ -1566,7 +1867,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     // Fallback: include discouraged doctors
                     candidates = doctors
                         .filter(d => !phaseC_blocked.has(d.id) && !isExcluded(d.id, wp.id) &&
-                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId));
+                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId) && !violatesWorkingTime(d.id, wp.name, tsId));
                     if (hasOptionalQualReq(wp) && candidates.length > 0) {
                         const withPref = candidates.filter(d => hasOptionalQuals(d.id, wp.id));
                         if (withPref.length > 0) candidates = withPref;
@@ -1578,7 +1879,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     candidates = doctors
                         .filter(d => !serviceBlocked.has(d.id) && !isExcluded(d.id, wp.id) &&
                                      !isDiscouraged(d.id, wp.id) &&
-                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId));
+                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId) && !violatesWorkingTime(d.id, wp.name, tsId));
                     if (hasOptionalQualReq(wp) && candidates.length > 0) {
                         const withPref = candidates.filter(d => hasOptionalQuals(d.id, wp.id));
                         if (withPref.length > 0) candidates = withPref;
@@ -1588,7 +1889,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     // Fallback: include discouraged doctors in Mehrfachbesetzung
                     candidates = doctors
                         .filter(d => !serviceBlocked.has(d.id) && !isExcluded(d.id, wp.id) &&
-                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId));
+                                     isQualified(d.id, wp.id) && !isAlreadyAssignedToSlot(d.id, wp.name, tsId) && !violatesWorkingTime(d.id, wp.name, tsId));
                     if (hasOptionalQualReq(wp) && candidates.length > 0) {
                         const withPref = candidates.filter(d => hasOptionalQuals(d.id, wp.id));
                         if (withPref.length > 0) candidates = withPref;
@@ -1603,7 +1904,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 });
 
                 if (candidates.length > 0) {
-                    assignC(candidates[0].id, wp.name, true, tsId);
+                    const explanation = explainChoice('phase:C:coverage', wp, tsId, candidates[0].id, candidates, costContextC1, serviceBlocked);
+                    assignC(candidates[0].id, wp.name, true, tsId, explanation);
                     debugLog('phase:C:coverage', 'Assigned non-availability Pflicht coverage slot', {
                         date: dateStr,
                         workplace: wp.name,
@@ -1660,7 +1962,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     let eligiblePflicht = doctors
                         .filter(d => !serviceBlocked.has(d.id) && !phaseC_blocked.has(d.id) &&
                                      !isExcluded(d.id, targetWpC.id) && isQualified(d.id, targetWpC.id) &&
-                                     !isAlreadyAssignedToSlot(d.id, targetWpC.name, targetTsIdC));
+                                     !isAlreadyAssignedToSlot(d.id, targetWpC.name, targetTsIdC) && !violatesWorkingTime(d.id, targetWpC.name, targetTsIdC));
 
                     if (isRotationWp(targetWpC) && targetCurrentCountC >= 1) {
                         eligiblePflicht = eligiblePflicht.filter(d =>
@@ -1687,7 +1989,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                         let eligibleMehr = doctors
                             .filter(d => !serviceBlocked.has(d.id) && !isExcluded(d.id, targetWpC.id) &&
                                          isQualified(d.id, targetWpC.id) &&
-                                         !isAlreadyAssignedToSlot(d.id, targetWpC.name, targetTsIdC));
+                                         !isAlreadyAssignedToSlot(d.id, targetWpC.name, targetTsIdC) && !violatesWorkingTime(d.id, targetWpC.name, targetTsIdC));
 
                         if (isRotationWp(targetWpC) && targetCurrentCountC >= 1) {
                             eligibleMehr = eligibleMehr.filter(d =>
@@ -1711,7 +2013,9 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     }
 
                     if (eligiblePflicht.length > 0) {
-                        assignC(eligiblePflicht[0].id, targetWpC.name, true, targetTsIdC);
+                        const explanation = explainChoice('phase:C:pflicht-fill', targetWpC, targetTsIdC, eligiblePflicht[0].id,
+                            eligiblePflicht, costContextC2, serviceBlocked);
+                        assignC(eligiblePflicht[0].id, targetWpC.name, true, targetTsIdC, explanation);
                         debugLog('phase:C:pflicht-fill', 'Assigned Pflicht workplace slot', {
                             date: dateStr,
                             workplace: targetWpC.name,
@@ -1734,7 +2038,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     if (availableC.length === 0) break;
 
                     let eligibleC = availableC.filter(doc => !isExcluded(doc.id, targetWpC.id) &&
-                                                             !isAlreadyAssignedToSlot(doc.id, targetWpC.name, targetTsIdC));
+                                                             !isAlreadyAssignedToSlot(doc.id, targetWpC.name, targetTsIdC) && !violatesWorkingTime(doc.id, targetWpC.name, targetTsIdC));
 
                     if (isRotationWp(targetWpC) && targetCurrentCountC >= 1) {
                         eligibleC = eligibleC.filter(doc =>
@@ -1759,7 +2063,9 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     });
 
                     if (eligibleC.length > 0 && costFn.assignmentCost(eligibleC[0].id, targetWpC, dateStr, costContextC2) < Infinity) {
-                        assignC(eligibleC[0].id, targetWpC.name, false, targetTsIdC);
+                        const explanation = explainChoice('phase:C:fill', targetWpC, targetTsIdC, eligibleC[0].id,
+                            eligibleC, costContextC2, phaseC_blocked);
+                        assignC(eligibleC[0].id, targetWpC.name, false, targetTsIdC, explanation);
                         debugLog('phase:C:fill', 'Assigned non-availability slot', {
                             date: dateStr,
                             workplace: targetWpC.name,
@@ -1828,6 +2134,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                     let eligibleC3 = optionsC.filter(o => {
                         if (isExcluded(docC.id, o.wp.id)) return false;
                         if (isAlreadyAssignedToSlot(docC.id, o.wp.name, o.timeslotId)) return false;
+                        if (violatesWorkingTime(docC.id, o.wp.name, o.timeslotId)) return false;
                         if (hasQualReq(o.wp) && !isQualified(docC.id, o.wp.id)) return false;
                         return true;
                     });
@@ -1867,7 +2174,9 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                 }
 
                 if (bestAssignmentC && bestCostC < Infinity) {
-                    assignC(bestAssignmentC.doc.id, bestAssignmentC.wp.name, false, bestAssignmentC.timeslotId);
+                    const explanation = explainChoice('phase:C:overfill', bestAssignmentC.wp, bestAssignmentC.timeslotId,
+                        bestAssignmentC.doc.id, remainingC, costContextC3, phaseC_blocked);
+                    assignC(bestAssignmentC.doc.id, bestAssignmentC.wp.name, false, bestAssignmentC.timeslotId, explanation);
                     debugLog('phase:C:overfill', 'Overfill assignment in non-availability workplace', {
                         date: dateStr,
                         workplace: bestAssignmentC.wp.name,
@@ -1934,6 +2243,10 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                                 if (hasQualReq(wp1) && !isQualified(s2.doctor_id, wp1.id)) continue;
                                 if (hasQualReq(wp2) && !isQualified(s1.doctor_id, wp2.id)) continue;
 
+                                // Validity: rest period
+                                if (violatesWorkingTime(s2.doctor_id, wp1.name, s1.timeslot_id || null)) continue;
+                                if (violatesWorkingTime(s1.doctor_id, wp2.name, s2.timeslot_id || null)) continue;
+
                                 // Cost comparison
                                 const currentCostC =
                                     costFn.assignmentCost(s1.doctor_id, wp1, dateStr, swapContextC) +
@@ -1953,6 +2266,8 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
                                     const tmp = s1.doctor_id;
                                     s1.doctor_id = s2.doctor_id;
                                     s2.doctor_id = tmp;
+                                    explainSwap(s1, s2.doctor_id, wp1, swapContextC);
+                                    explainSwap(s2, s1.doctor_id, wp2, swapContextC);
                                     swapImprovedC = true;
                                 }
                             }
@@ -2001,7 +2316,7 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         }
     }
 
-    const finalResult: SuggestionResult = [...suggestions, ...autoFreiSuggestions];
+    const finalResult = [...suggestions, ...autoFreiSuggestions] as SuggestionResult;
     debugLog('result', 'Deterministic AutoFill finished', {
         suggestions: suggestions.length,
         autoFrei: autoFreiSuggestions.length,
@@ -2010,10 +2325,15 @@ export function generateSuggestions(params: GenerateSuggestionsParams): Suggesti
         requestId: debugRequestId,
     });
 
-    if (debugEnabled) {
+    finalResult.__seed = seed;
+    if (debugEnabled || explainEnabled) {
         finalResult.__debug = {
             requestId: debugRequestId,
+            seed,
             entries: debugEntries,
+            ...(explainEnabled ? {
+                explanations: suggestions.flatMap(s => explanationBySuggestion.get(s) ?? []),
+            } : {}),
         };
     }
 
@@ -0,0 +1,145 @@
+/**
+ * Explainability report for an AutoFill run.
+ *
+ * Built from the explanations the engine collects with `debug.explain`
+ * (see AssignmentExplanation in autoFillEngine.ts): per suggested assignment
+ * the cost breakdown by dimension and every doctor who did not get the slot,
+ * with the reason. Together with the seed the report documents a run
+ * completely — re-running with the seed reproduces it.
+ *
+ * Exports:
+ *   - JSON: the report as is (Infinity as "Infinity")
+ *   - CSV:  one row per assignment × doctor (chosen first), semicolon-separated
+ *           with UTF-8 BOM for German Excel; the seed is repeated in every row
+ */
+
+import { COST_DIMENSIONS } from './costFunction';
+import type { CostBreakdown, CostDimension } from './costFunction';
+import type { AssignmentExplanation, RejectionReason } from './autoFillEngine';
+
+export interface AutoFillReport {
+    seed: string;
+    requestId: string | null;
+    createdAt: string;
+    /** Name of the weight profile the run used; null = defaults. */
+    weightProfile: string | null;
+    assignments: AssignmentExplanation[];
+}
+
+export const COST_DIMENSION_LABELS: Record<CostDimension, string> = {
+    partTimeOff: 'Teilzeit-freier Tag',
+    qualification: 'Qualifikation',
+    rotation: 'Rotation',
+    fairness: 'Dienstgerechtigkeit',
+    ledger: 'Langzeit-Ausgleich (12 Monate)',
+    impact: 'Rotations-Pool',
+    wish: 'Wünsche',
+    understaffing: 'Unterbesetzung',
+    weekly: 'Wochenauslastung',
+    displacement: 'Verdrängung',
+    soleOccupant: 'Einzige Besetzung',
+    limit: 'Dienstlimit',
+    consecutive: 'Folgedienste',
+};
+
+export const REJECTION_REASON_LABELS: Record<RejectionReason, string> = {
+    higher_cost: 'Höhere Kosten',
+    tie_order: 'Gleiche Kosten, Reihenfolge (Seed)',
+    rule_priority: 'Regel-Priorität trotz geringerer Kosten',
+    swapped: 'Durch Tausch-Optimierung ersetzt',
+    cost_blocked: 'Ausgeschlossen durch Kostenfunktion',
+    absent: 'Abwesend',
+    auto_frei: 'Auto-Frei nach Dienst',
+    part_time_off: 'Teilzeit-freier Tag',
+    already_assigned: 'Bereits eingeteilt',
+    service_today: 'Bereits im Dienst',
+    excluded: 'Nicht-Qualifikation',
+    not_qualified: 'Pflicht-Qualifikation fehlt',
+    no_service_wish: 'Genehmigter „kein Dienst“-Wunsch',
+    limit: 'Dienstlimit erreicht',
+    consecutive: 'Folgedienst nicht erlaubt',
+    working_time: 'Ruhezeit / Wochenarbeitszeit',
+    filtered: 'Vorfilter (Rotation, Sollte-Qualifikation)',
+};
+
+interface BuildAutoFillReportOptions {
+    requestId?: string | null;
+    weightProfile?: string | null;
+    /** Only keep assignments to these positions (e.g. the categories shown in the preview). */
+    positions?: Iterable<string>;
+    createdAt?: Date;
+}
+
+export function buildAutoFillReport(
+    seed: string,
+    explanations: AssignmentExplanation[],
+    { requestId = null, weightProfile = null, positions, createdAt = new Date() }: BuildAutoFillReportOptions = {},
+): AutoFillReport {
+    const positionSet = positions ? new Set(positions) : null;
+    return {
+        seed,
+        requestId,
+        createdAt: createdAt.toISOString(),
+        weightProfile,
+        assignments: positionSet ? explanations.filter((e) => positionSet.has(e.position)) : explanations,
+    };
+}
+
+export function autoFillReportToJson(report: AutoFillReport): string {
+    // JSON has no Infinity; keep hard blocks visible instead of turning them into null
+    return JSON.stringify(report, (_key, value: unknown) => (value === Infinity ? 'Infinity' : value), 2);
+}
+
+const formatCost = (value: number | undefined): string => {
+    if (value === undefined) return '';
+    if (value === Infinity) return '∞';
+    return String(Math.round(value * 100) / 100).replace('.', ',');
+};
+
+function csvCell(value: string): string {
+    // Leading =, +, @ would be evaluated as a formula by Excel ("-" only when not a number)
+    const safe = /^[=+@\t\r]/.test(value) || /^-(?!\d)/.test(value) ? `'${value}` : value;
+    return /[";\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+export function autoFillReportToCsv(
+    report: AutoFillReport,
+    timeslotLabel: (timeslotId: string) => string = (id) => id,
+): string {
+    const header = [
+        'Seed',
+        'Datum',
+        'Arbeitsplatz',
+        'Zeitfenster',
+        'Phase',
+        'Ergebnis',
+        'Person',
+        'Grund',
+        'Gesamtkosten',
+        'Differenz',
+        'Ausschlaggebend',
+        ...COST_DIMENSIONS.map((d) => COST_DIMENSION_LABELS[d]),
+    ];
+    const costCells = (cost?: CostBreakdown) => COST_DIMENSIONS.map((d) => formatCost(cost?.dimensions[d]));
+    const lines: string[][] = [];
+    for (const a of report.assignments) {
+        const slot = [report.seed, a.date, a.position, a.timeslotId ? timeslotLabel(a.timeslotId) : '', a.stage];
+        lines.push([...slot, 'Gewählt', a.doctorName, '', formatCost(a.cost.total), '', '', ...costCells(a.cost)]);
+        for (const r of a.rejected) {
+            lines.push([
+                ...slot,
+                'Abgelehnt',
+                r.doctorName,
+                REJECTION_REASON_LABELS[r.reason],
+                formatCost(r.cost?.total),
+                formatCost(r.delta),
+                (r.cost?.blockedBy ? [r.cost.blockedBy] : r.losingDimensions ?? []).map((d) => COST_DIMENSION_LABELS[d]).join(', '),
+                ...costCells(r.cost),
+            ]);
+        }
+        if (a.omittedRivals > 0) {
+            lines.push([...slot, 'Abgelehnt', `${a.omittedRivals} weitere Kandidaten (nicht aufgeführt)`, '', '', '', '', ...costCells()]);
+        }
+    }
+    return `\uFEFF${[header, ...lines].map((l) => l.map(csvCell).join(';')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Live presence on the schedule board (see server/utils/boardPresence.ts).
+ *
+ * Every open board tab is a session that reports its week and, while a cell
+ * dialog is open, the edited cell. A cell another session edits is soft-locked:
+ * the board refuses to open a second dialog on it and shows who holds it, but
+ * writes are never blocked on the server.
+ */
+
+import { format, getISOWeek, isValid, parseISO } from 'date-fns';
+import type { BoardCell, BoardPresenceEntry } from '@/api/client';
+
+export type { BoardCell, BoardPresenceEntry };
+
+/** Cells that open a dialog and can be locked */
+export const poolCell = (workplace: { id: string | number; name?: string }, date: string): BoardCell => ({
+    date,
+    row: `pool:${workplace.id}`,
+    label: workplace.name ?? null,
+});
+
+export const rotationCell = (workplace: { id: string | number; name?: string }, date: string): BoardCell => ({
+    date,
+    row: `rotation:${workplace.id}`,
+    label: workplace.name ?? null,
+});
+
+export const isSameCell = (a: BoardCell | null | undefined, b: BoardCell | null | undefined): boolean =>
+    !!a && !!b && a.date === b.date && a.row === b.row;
+
+export const presenceName = (entry: Pick<BoardPresenceEntry, 'name' | 'email'>): string =>
+    entry.name || entry.email || 'Unbekannt';
+
+/** "Anna Berg" → "AB", "ben@klinik.de" → "BE" */
+export function presenceInitials(entry: Pick<BoardPresenceEntry, 'name' | 'email'>): string {
+    const source = entry.name?.trim() || entry.email?.split('@')[0] || '?';
+    const parts = source.split(/[\s._-]+/).filter(Boolean);
+    const initials = parts.length > 1 ? parts[0][0] + parts[parts.length - 1][0] : source.slice(0, 2);
+    return initials.toUpperCase();
+}
+
+/** Everyone else on the board, one entry per user (an editing tab wins over a viewing one). */
+export function otherPlanners(sessions: BoardPresenceEntry[], ownSessionId: string, ownUserId?: string | null): BoardPresenceEntry[] {
+    const byUser = new Map<string, BoardPresenceEntry>();
+    for (const entry of sessions) {
+        if (entry.sessionId === ownSessionId || (ownUserId && entry.userId === ownUserId)) continue;
+        const known = byUser.get(entry.userId);
+        if (!known || (entry.editing && !known.editing)) byUser.set(entry.userId, entry);
+    }
+    return Array.from(byUser.values());
+}
+
+/** The session holding `cell`, if it is not our own; the oldest claim wins. */
+export function cellLockFor(sessions: BoardPresenceEntry[], cell: BoardCell | null, ownSessionId: string): BoardPresenceEntry | null {
+    let lock: BoardPresenceEntry | null = null;
+    for (const entry of sessions) {
+        if (entry.sessionId === ownSessionId || !entry.editing || !isSameCell(entry.cell, cell)) continue;
+        if (!lock || (entry.editingSince ?? 0) < (lock.editingSince ?? 0)) lock = entry;
+    }
+    return lock;
+}
+
+const formatDay = (date: string): string => {
+    const parsed = parseISO(date);
+    return isValid(parsed) ? format(parsed, 'dd.MM.') : date;
+};
+
+/** Tooltip line, e.g. "KW 10 · bearbeitet Springerpool am 02.03." */
+export function describePresence(entry: BoardPresenceEntry): string {
+    const parts: string[] = [];
+    const weekStart = entry.weekStart ? parseISO(entry.weekStart) : null;
+    if (weekStart && isValid(weekStart)) parts.push(`KW ${getISOWeek(weekStart)}`);
+    if (entry.editing && entry.cell) {
+        parts.push(`bearbeitet ${entry.cell.label || 'eine Zelle'} am ${formatDay(entry.cell.date)}`);
+    } else {
+        parts.push('sieht sich den Plan an');
+    }
+    return parts.join(' · ');
+}
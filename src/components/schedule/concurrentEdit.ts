@@ -0,0 +1,120 @@
+/**
+ * Concurrent edits on the schedule board (optimistic concurrency).
+ *
+ * Writes to ShiftEntry and ScheduleNote send the row `version` the board last
+ * read. If a colleague wrote the row in between, the server answers 409
+ * `CONCURRENCY_ERROR` with the current row. The board then shows a three-way
+ * merge: `base` (what we read), `mine` (what we wanted to write) and `theirs`
+ * (the row as it is now, `null` = deleted meanwhile). Fields changed only on
+ * one side are taken over automatically; fields changed on both sides are
+ * chosen in the dialog.
+ */
+
+import type { ApiError } from '@/api/client';
+
+export type ConcurrentEntity = 'ShiftEntry' | 'ScheduleNote';
+export type ConcurrentRow = Record<string, unknown>;
+
+export interface ConcurrentEditConflict {
+    entity: ConcurrentEntity;
+    action: 'update' | 'delete';
+    id: string;
+    base: ConcurrentRow;
+    /** Requested row (`null` for a delete) */
+    mine: ConcurrentRow | null;
+    /** Current row on the server (`null` = deleted by the colleague) */
+    theirs: ConcurrentRow | null;
+}
+
+export type MergeFieldStatus = 'mine' | 'theirs' | 'same' | 'conflict';
+export type MergeChoice = 'mine' | 'theirs';
+
+export interface MergeField {
+    key: string;
+    label: string;
+    base: unknown;
+    mine: unknown;
+    theirs: unknown;
+    status: MergeFieldStatus;
+}
+
+/** Fields offered in the merge dialog; everything else is bookkeeping. */
+export const MERGE_FIELDS: Record<ConcurrentEntity, { key: string; label: string }[]> = {
+    ShiftEntry: [
+        { key: 'doctor_id', label: 'Mitarbeiter' },
+        { key: 'date', label: 'Datum' },
+        { key: 'position', label: 'Arbeitsplatz' },
+        { key: 'timeslot_id', label: 'Zeitfenster' },
+        { key: 'start_time', label: 'Beginn' },
+        { key: 'end_time', label: 'Ende' },
+        { key: 'break_minutes', label: 'Pause (Min.)' },
+        { key: 'note', label: 'Bemerkung' },
+        { key: 'order', label: 'Reihenfolge' },
+    ],
+    ScheduleNote: [
+        { key: 'date', label: 'Datum' },
+        { key: 'position', label: 'Zeile' },
+        { key: 'content', label: 'Notiz' },
+    ],
+};
+
+/** The current row from a 409 `CONCURRENCY_ERROR`; `undefined` for any other error. */
+export function versionConflictRow(error: unknown): ConcurrentRow | null | undefined {
+    const apiError = error as ApiError | null | undefined;
+    if (apiError?.status !== 409) return undefined;
+    const details = apiError.details as { error?: string; currentData?: ConcurrentRow | null } | undefined;
+    if (details?.error !== 'CONCURRENCY_ERROR') return undefined;
+    return details.currentData ?? null;
+}
+
+// '' and null mean "empty" alike; numbers from the server may come back as strings
+const comparable = (value: unknown): string | null =>
+    value === undefined || value === null || value === '' ? null : String(value);
+
+const sameValue = (a: unknown, b: unknown): boolean => comparable(a) === comparable(b);
+
+/** Fields that differ between the three rows, with which side changed them. */
+export function mergeFields(conflict: ConcurrentEditConflict): MergeField[] {
+    const { base, mine, theirs } = conflict;
+    const fields: MergeField[] = [];
+    for (const { key, label } of MERGE_FIELDS[conflict.entity]) {
+        const mineValue = mine ? mine[key] : undefined;
+        const theirsValue = theirs ? theirs[key] : undefined;
+        const mineChanged = !!mine && !sameValue(base[key], mineValue);
+        const theirsChanged = !!theirs && !sameValue(base[key], theirsValue);
+        if (!mineChanged && !theirsChanged) continue;
+
+        let status: MergeFieldStatus;
+        if (mineChanged && theirsChanged) status = sameValue(mineValue, theirsValue) ? 'same' : 'conflict';
+        else status = mineChanged ? 'mine' : 'theirs';
+        fields.push({ key, label, base: base[key], mine: mineValue, theirs: theirsValue, status });
+    }
+    return fields;
+}
+
+/** One-sided changes keep their side; real conflicts default to our own edit. */
+export function defaultMergeChoices(fields: MergeField[]): Record<string, MergeChoice> {
+    return Object.fromEntries(fields.map((field) => [field.key, field.status === 'theirs' ? 'theirs' : 'mine']));
+}
+
+/**
+ * Data to write on top of the current row: our values for every field where
+ * they win and differ from the server. Empty if the current row already is
+ * the merge result.
+ */
+export function resolveMerge(fields: MergeField[], choices: Record<string, MergeChoice>): ConcurrentRow {
+    const data: ConcurrentRow = {};
+    for (const field of fields) {
+        if ((choices[field.key] ?? 'mine') === 'mine' && !sameValue(field.mine, field.theirs)) {
+            data[field.key] = field.mine ?? null;
+        }
+    }
+    return data;
+}
+
+/** Our row without server-managed columns, to re-create it after a concurrent delete. */
+export function recreateData(conflict: ConcurrentEditConflict): ConcurrentRow {
+    const { id: _id, version: _version, created_date: _created, updated_date: _updated, created_by: _by, isPreview: _preview, ...rest } =
+        conflict.mine ?? conflict.base;
+    return rest;
+}
@@ -15,6 +15,7 @@
  *   8. displacementCost    — Bonus for previously displaced rotation doctors
  *   9. discouragedCost     — "Sollte nicht" soft penalty
  *  10. soleOccupantCost    — Penalty for pulling sole occupant from an availability-relevant workplace
+ *  11. ledgerCost          — 12-month duty balance (weekend, holiday, night; see fairnessLedger.ts)
  *
  * Usage:
  *   const cf = new CostFunction({ doctors, workplaces, ... });
@@ -41,6 +42,7 @@ const WEIGHTS = {
     // Fairness (analogous to fret span cost)
     FAIRNESS_WEIGHT:     5,        // Multiplier for FTE-adjusted service count deviation
     WEEKLY_WEIGHT:       2,        // Multiplier for weekly assignment count
+    LEDGER_WEIGHT:       2,        // Per duty above/below the 12-month FTE share (fairness ledger)
 
     // Impact (rotation pool criticality)
     IMPACT_WEIGHT:       3,        // Multiplier for rotation impact score
@@ -66,7 +68,12 @@ const WEIGHTS = {
 
 export { WEIGHTS };
 
+/** Cost weights of one planning run; tenant profiles override a subset (see weightProfiles.ts). */
+export type CostWeights = { [K in keyof typeof WEIGHTS]: number };
+
 import type { Doctor, Workplace, TrainingRotation, WishRequest, SystemSetting } from '@/types';
+import { ledgerDutiesFor } from './fairnessLedger';
+import type { FairnessLedger } from './fairnessLedger';
 
 /** Service history counters per doctor. */
 interface ServiceHistoryEntry {
@@ -86,6 +93,45 @@ export interface AssignmentContext {
     phase?: string;
 }
 
+/** Cost dimensions in evaluation order (see costBreakdown()). */
+export const COST_DIMENSIONS = [
+    'partTimeOff',
+    'qualification',
+    'rotation',
+    'fairness',
+    'ledger',
+    'impact',
+    'wish',
+    'understaffing',
+    'weekly',
+    'displacement',
+    'soleOccupant',
+    'limit',
+    'consecutive',
+] as const;
+
+export type CostDimension = typeof COST_DIMENSIONS[number];
+
+/** Result of costBreakdown(): total plus the cost of each evaluated dimension. */
+export interface CostBreakdown {
+    total: number;
+    dimensions: Partial<Record<CostDimension, number>>;
+    /** Dimension that returned Infinity, or null if the assignment is possible. */
+    blockedBy: CostDimension | null;
+}
+
+/**
+ * Dimensions in which `other` is more expensive than `reference`, largest gap
+ * first — i.e. why `other` lost against `reference`.
+ */
+export function losingDimensions(reference: CostBreakdown, other: CostBreakdown): CostDimension[] {
+    return COST_DIMENSIONS
+        .map((dimension) => ({ dimension, gap: (other.dimensions[dimension] ?? 0) - (reference.dimensions[dimension] ?? 0) }))
+        .filter(({ gap }) => gap > 0)
+        .sort((a, b) => b.gap - a.gap)
+        .map(({ dimension }) => dimension);
+}
+
 /** Minimal shift-like shape used by CostFunction for suggestions and existing shifts. */
 export interface ShiftLike {
     date: string;
@@ -104,7 +150,8 @@ interface CostFunctionParams {
     existingShifts: ShiftLike[];
     suggestions: ShiftLike[];
     trainingRotations?: TrainingRotation[];
-    getDoctorQualIds: (id: string) => string[];
+    /** With `dateStr`, only qualifications with valid certificate evidence on that date */
+    getDoctorQualIds: (id: string, dateStr?: string) => string[];
     getWpRequiredQualIds: (id: string) => string[];
     getWpOptionalQualIds: (id: string) => string[];
     getWpExcludedQualIds: (id: string) => string[];
@@ -124,6 +171,10 @@ interface CostFunctionParams {
     autoFreiByDate?: Record<string, Set<string>>;
     isPartTimeOffDay?: (doctorId: string, dateStr: string) => boolean;
     systemSettings?: SystemSetting[];
+    /** Overrides for WEIGHTS, e.g. from the tenant's active weight profile. */
+    weights?: Partial<CostWeights>;
+    /** 12-month duty balances; without it the ledger dimension is 0. */
+    fairnessLedger?: FairnessLedger | null;
 }
 
 /**
@@ -138,7 +189,8 @@ export class CostFunction {
     existingShifts: ShiftLike[];
     suggestions: ShiftLike[];
     trainingRotations: TrainingRotation[];
-    getDoctorQualIds: (id: string) => string[];
+    /** With `dateStr`, only qualifications with valid certificate evidence on that date */
+    getDoctorQualIds: (id: string, dateStr?: string) => string[];
     getWpRequiredQualIds: (id: string) => string[];
     getWpOptionalQualIds: (id: string) => string[];
     getWpExcludedQualIds: (id: string) => string[];
@@ -158,6 +210,8 @@ export class CostFunction {
     autoFreiByDate: Record<string, Set<string>>;
     isPartTimeOffDay: (doctorId: string, dateStr: string) => boolean;
     systemSettings: SystemSetting[];
+    weights: CostWeights;
+    fairnessLedger: FairnessLedger | null;
 
     _wpByName: Record<string, Workplace>;
     _wpById: Record<string, Workplace>;
@@ -189,6 +243,8 @@ export class CostFunction {
         autoFreiByDate,
         isPartTimeOffDay,
         systemSettings,
+        weights,
+        fairnessLedger,
     }: CostFunctionParams) {
         this.doctors = doctors;
         this.workplaces = workplaces;
@@ -220,6 +276,8 @@ export class CostFunction {
         this.autoFreiByDate = autoFreiByDate || {};
         this.isPartTimeOffDay = isPartTimeOffDay || (() => false);
         this.systemSettings = systemSettings || [];
+        this.weights = { ...WEIGHTS, ...weights };
+        this.fairnessLedger = fairnessLedger ?? null;
 
         // Pre-compute lookup maps
         this._wpByName = {};
@@ -258,24 +316,44 @@ export class CostFunction {
      * @returns {number} totalCost (lower = better, Infinity = impossible)
      */
     assignmentCost(doctorId: string, workplace: Workplace, dateStr: string, context: AssignmentContext = {}): number {
+        return this.costBreakdown(doctorId, workplace, dateStr, context).total;
+    }
+
+    /**
+     * Same computation as assignmentCost(), split up by dimension (for the
+     * AutoFill explainability report). Dimensions that do not apply in the
+     * context's phase are omitted; `blockedBy` names the dimension that made
+     * the assignment impossible (evaluation stops there, like assignmentCost).
+     */
+    costBreakdown(doctorId: string, workplace: Workplace, dateStr: string, context: AssignmentContext = {}): CostBreakdown {
+        const dimensions: Partial<Record<CostDimension, number>> = {};
         let totalCost = 0;
+        const add = (dimension: CostDimension, cost: number) => {
+            dimensions[dimension] = cost;
+            totalCost += cost;
+        };
+        const blocked = (dimension: CostDimension): CostBreakdown => {
+            dimensions[dimension] = Infinity;
+            return { total: Infinity, dimensions, blockedBy: dimension };
+        };
 
         // 0. Part-time off-day (full_days_off model) → hard block
         if (this.isPartTimeOffDay(doctorId, dateStr)) {
-            return Infinity;
+            return blocked('partTimeOff');
         }
 
         // 1. Qualification cost
-        const qCost = this._qualificationCost(doctorId, workplace);
-        if (qCost === Infinity) return Infinity;
-        totalCost += qCost;
+        const qCost = this._qualificationCost(doctorId, workplace, dateStr);
+        if (qCost === Infinity) return blocked('qualification');
+        add('qualification', qCost);
 
         // 2. Rotation match cost
-        totalCost += this._rotationMatchCost(doctorId, workplace, dateStr, context);
+        add('rotation', this._rotationMatchCost(doctorId, workplace, dateStr, context));
 
         // 3. Fairness cost (service distribution)
         if (context.phase === 'A') {
-            totalCost += this._fairnessCost(doctorId, workplace.name);
+            add('fairness', this._fairnessCost(doctorId, workplace.name));
+            add('ledger', this._ledgerCost(doctorId, workplace, dateStr));
         }
 
         // 4. Impact cost (rotation criticality)
@@ -283,87 +361,89 @@ export class CostFunction {
             const impact = context.rotationImpactScore[doctorId] || 0;
             // Only penalize for services that actually block rotation availability
             if (!workplace.allows_rotation_concurrently) {
-                totalCost += impact * WEIGHTS.IMPACT_WEIGHT;
+                add('impact', impact * this.weights.IMPACT_WEIGHT);
             }
         }
 
         // 5. Wish cost
         if (context.phase === 'A') {
             const wCost = this._wishCost(doctorId, dateStr, workplace.name);
-            if (wCost === Infinity) return Infinity;
-            totalCost += wCost;
+            if (wCost === Infinity) return blocked('wish');
+            add('wish', wCost);
         }
 
         // 6. Understaffing consequence cost
         if (context.phase === 'A' || context.phase === 'B') {
-            totalCost += this._understaffingCost(doctorId, workplace, dateStr, context);
+            add('understaffing', this._understaffingCost(doctorId, workplace, dateStr, context));
         }
 
         // 7. Weekly count cost
         const weekly = this.weeklyCount[doctorId] || 0;
-        totalCost += weekly * WEIGHTS.WEEKLY_WEIGHT;
+        add('weekly', weekly * this.weights.WEEKLY_WEIGHT);
 
         // 8. Displacement bonus
         if (context.displacementCount) {
             const displaced = context.displacementCount[doctorId] || 0;
-            totalCost += displaced * WEIGHTS.DISPLACEMENT_BONUS;
+            add('displacement', displaced * this.weights.DISPLACEMENT_BONUS);
         }
 
         // 9. Sole occupant cost (Phase C)
         if (context.phase === 'C' && context.soleOccupantDoctors?.has(doctorId)) {
-            totalCost += WEIGHTS.SOLE_OCCUPANT;
+            add('soleOccupant', this.weights.SOLE_OCCUPANT);
         }
 
         // 10. Service limit cost
         if (context.phase === 'A') {
             const lCost = this._limitCost(doctorId, workplace.name, dateStr);
-            if (lCost === Infinity) return Infinity;
-            totalCost += lCost;
+            if (lCost === Infinity) return blocked('limit');
+            add('limit', lCost);
         }
 
         // 11. Consecutive days cost (forbidden → penalty, preferred → bonus)
         if (context.phase === 'A') {
-            totalCost += this._consecutiveCost(doctorId, workplace, dateStr, context);
+            add('consecutive', this._consecutiveCost(doctorId, workplace, dateStr, context));
         }
 
-        return totalCost;
+        return { total: totalCost, dimensions, blockedBy: null };
     }
 
     // ================================================================
     //  Dimension: Qualification
     // ================================================================
 
-    _qualificationCost(doctorId: string, workplace: Workplace): number {
+    _qualificationCost(doctorId: string, workplace: Workplace, dateStr?: string): number {
         const docQuals = this.getDoctorQualIds(doctorId) || [];
+        // Pflicht/Sollte only count with valid certificate evidence on the day
+        const usableQuals = dateStr ? this.getDoctorQualIds(doctorId, dateStr) || [] : docQuals;
 
         // Excluded ("Nicht"): hard blocker
         const excl = this.getWpExcludedQualIds?.(workplace.id) || [];
         if (excl.length > 0 && excl.some(q => docQuals.includes(q))) {
-            return WEIGHTS.QUAL_EXCLUDED;
+            return this.weights.QUAL_EXCLUDED;
         }
 
         // Discouraged ("Sollte nicht"): soft penalty
         const disc = this.getWpDiscouragedQualIds?.(workplace.id) || [];
         let cost = 0;
         if (disc.length > 0 && disc.some(q => docQuals.includes(q))) {
-            cost += WEIGHTS.QUAL_DISCOURAGED;
+            cost += this.weights.QUAL_DISCOURAGED;
         }
 
         // Missing mandatory ("Pflicht"): strong penalty
         const req = this.getWpRequiredQualIds?.(workplace.id) || [];
-        if (req.length > 0 && !req.every(q => docQuals.includes(q))) {
-            cost += WEIGHTS.QUAL_MISSING_MANDATORY;
+        if (req.length > 0 && !req.every(q => usableQuals.includes(q))) {
+            cost += this.weights.QUAL_MISSING_MANDATORY;
         }
 
         // Optional ("Sollte"): bonus/penalty
         const opt = this.getWpOptionalQualIds?.(workplace.id) || [];
         if (opt.length > 0) {
-            if (opt.every(q => docQuals.includes(q))) {
-                cost += WEIGHTS.QUAL_HAS_OPTIONAL;
-            } else if (opt.some(q => docQuals.includes(q))) {
-                cost += WEIGHTS.QUAL_HAS_ANY_OPTIONAL;
+            if (opt.every(q => usableQuals.includes(q))) {
+                cost += this.weights.QUAL_HAS_OPTIONAL;
+            } else if (opt.some(q => usableQuals.includes(q))) {
+                cost += this.weights.QUAL_HAS_ANY_OPTIONAL;
             } else {
-                cost += WEIGHTS.QUAL_MISSING_OPTIONAL;
+                cost += this.weights.QUAL_MISSING_OPTIONAL;
             }
         }
 
@@ -376,21 +456,21 @@ export class CostFunction {
 
     _rotationMatchCost(doctorId: string, workplace: Workplace, dateStr: string, context: AssignmentContext): number {
         const rotTargets = this._getActiveRotationTargets(doctorId, dateStr);
-        if (rotTargets.length === 0) return WEIGHTS.ROT_NEUTRAL;
+        if (rotTargets.length === 0) return this.weights.ROT_NEUTRAL;
 
         const hasRotHere = rotTargets.includes(workplace.name);
         const hasRotElsewhere = !hasRotHere && rotTargets.length > 0;
 
         if (hasRotHere) {
             const displaced = context.displacementCount?.[doctorId] || 0;
-            return displaced > 0 ? WEIGHTS.ROT_DISPLACED_MATCH : WEIGHTS.ROT_MATCH;
+            return displaced > 0 ? this.weights.ROT_DISPLACED_MATCH : this.weights.ROT_MATCH;
         }
 
         if (hasRotElsewhere) {
-            return WEIGHTS.ROT_ELSEWHERE;
+            return this.weights.ROT_ELSEWHERE;
         }
 
-        return WEIGHTS.ROT_NEUTRAL;
+        return this.weights.ROT_NEUTRAL;
     }
 
     _getActiveRotationTargets(doctorId: string, dateStr: string): string[] {
@@ -427,7 +507,7 @@ export class CostFunction {
         }
 
         // FTE-adjusted: more services relative to FTE = higher cost
-        return (serviceCount / (fte || 1)) * WEIGHTS.FAIRNESS_WEIGHT;
+        return (serviceCount / (fte || 1)) * this.weights.FAIRNESS_WEIGHT;
     }
 
     // ================================================================
@@ -442,7 +522,7 @@ export class CostFunction {
             w.type === 'no_service' &&
             w.status === 'approved'
         );
-        if (hasApprovedNoService) return WEIGHTS.WISH_NO_SERVICE_APPROVED;
+        if (hasApprovedNoService) return this.weights.WISH_NO_SERVICE_APPROVED;
 
         // Pending "kein Dienst" → soft penalty
         const hasPendingNoService = this.wishes.some(w =>
@@ -451,7 +531,7 @@ export class CostFunction {
             w.type === 'no_service' &&
             w.status === 'pending'
         );
-        if (hasPendingNoService) return WEIGHTS.WISH_NO_SERVICE_PENDING;
+        if (hasPendingNoService) return this.weights.WISH_NO_SERVICE_PENDING;
 
         // Service wish for this position → bonus
         const serviceWish = this.wishes.find(w =>
@@ -463,14 +543,30 @@ export class CostFunction {
         if (serviceWish) {
             if (!serviceWish.position || serviceWish.position === positionName) {
                 return serviceWish.status === 'approved'
-                    ? WEIGHTS.WISH_APPROVED
-                    : WEIGHTS.WISH_PENDING;
+                    ? this.weights.WISH_APPROVED
+                    : this.weights.WISH_PENDING;
             }
         }
 
         return 0;
     }
 
+    // ================================================================
+    //  Dimension: Fairness ledger (12 months)
+    //  Sum of the doctor's balances for every duty the service counts
+    //  towards: above the FTE share → penalty, below → bonus.
+    // ================================================================
+
+    _ledgerCost(doctorId: string, workplace: Workplace, dateStr: string): number {
+        const entry = this.fairnessLedger?.entries[doctorId];
+        if (!entry || workplace.category !== 'Dienste') return 0;
+        const duties = ledgerDutiesFor(dateStr, workplace, {
+            isPublicHoliday: this.isPublicHoliday,
+        });
+        const balance = duties.reduce((sum, duty) => sum + entry.balance[duty], 0);
+        return balance * this.weights.LEDGER_WEIGHT;
+    }
+
     // ================================================================
     //  Dimension: Service Limit
     // ================================================================
@@ -485,9 +581,9 @@ export class CostFunction {
         const d = new Date(dateStr + 'T00:00:00');
         const isWknd = (d.getDay() === 0 || d.getDay() === 6) && isFG;
 
-        if (isFG && (hist.fg + 1) > Math.round(this.limitFG! * fte)) return WEIGHTS.LIMIT_EXCEEDED;
-        if (isBG && (hist.bg + 1) > Math.round(this.limitBG! * fte)) return WEIGHTS.LIMIT_EXCEEDED;
-        if (isWknd && (hist.weekend + 1) > this.limitWeekend!) return WEIGHTS.LIMIT_EXCEEDED;
+        if (isFG && (hist.fg + 1) > Math.round(this.limitFG! * fte)) return this.weights.LIMIT_EXCEEDED;
+        if (isBG && (hist.bg + 1) > Math.round(this.limitBG! * fte)) return this.weights.LIMIT_EXCEEDED;
+        if (isWknd && (hist.weekend + 1) > this.limitWeekend!) return this.weights.LIMIT_EXCEEDED;
 
         return 0;
     }
@@ -528,12 +624,12 @@ export class CostFunction {
         );
 
         if (mode === 'forbidden' && hasAdjacent) {
-            return WEIGHTS.CONSECUTIVE_PENALTY;
+            return this.weights.CONSECUTIVE_PENALTY;
         }
 
         if (mode === 'preferred') {
             // Bonus if adjacent assignment exists, small penalty if not
-            return hasAdjacent ? WEIGHTS.CONSECUTIVE_BONUS : 0;
+            return hasAdjacent ? this.weights.CONSECUTIVE_BONUS : 0;
         }
 
         return 0;
@@ -591,7 +687,8 @@ export class CostFunction {
 
                 // Check mandatory qualification
                 const req = this.getWpRequiredQualIds?.(wp.id) || [];
-                if (req.length > 0 && !req.every(q => docQuals.includes(q))) return false;
+                const usableQuals = this.getDoctorQualIds(d.id, dateStr) || [];
+                if (req.length > 0 && !req.every(q => usableQuals.includes(q))) return false;
 
                 return true;
             }).length;
@@ -601,13 +698,13 @@ export class CostFunction {
 
             if (remainingAfterAssignment === 0 && slotsNeeded > 0) {
                 // Critical: NO qualified candidates left for a workplace that needs staff
-                cost += WEIGHTS.UNDERSTAFF_CRITICAL;
+                cost += this.weights.UNDERSTAFF_CRITICAL;
             } else if (remainingAfterAssignment < slotsNeeded) {
                 // Will drop below minimum
                 if (currentStaff + remainingAfterAssignment < minStaff) {
-                    cost += WEIGHTS.UNDERSTAFF_BELOW_MIN;
+                    cost += this.weights.UNDERSTAFF_BELOW_MIN;
                 } else {
-                    cost += WEIGHTS.UNDERSTAFF_BELOW_OPT;
+                    cost += this.weights.UNDERSTAFF_BELOW_OPT;
                 }
             }
         }
@@ -670,7 +767,7 @@ export class CostFunction {
             const wp = this._wpByName[s.position];
             if (!wp) continue;
 
-            const qCost = this._qualificationCost(s.doctor_id, wp);
+            const qCost = this._qualificationCost(s.doctor_id, wp, s.date);
             if (qCost === Infinity) {
                 score -= 25; // Hard exclusion violation
             } else {
@@ -0,0 +1,121 @@
+/**
+ * Long-horizon fairness ledger: who did how many of the unpopular duties in
+ * the last 12 months, and who is owed relief.
+ *
+ * The 4-week service history of the AutoFill engine forgets a Christmas
+ * service after a month. The ledger itself is computed on the server from
+ * the stored services of a rolling 12-month window
+ * (`GET /api/schedule/fairness-ledger`, server/utils/fairnessLedger.ts), so
+ * the board never loads a year of shift entries. This module holds its
+ * types, the duty rules the cost function applies to new services, and the
+ * formatting helpers.
+ *
+ * Duties (services = workplaces of category "Dienste"):
+ *   - services   every service
+ *   - weekend    services on Saturday / Sunday
+ *   - holiday    services on public holidays and in the periods below
+ *   - christmas  24.–26.12.
+ *   - newYear    31.12.–1.1.
+ *   - easter     Karfreitag–Ostermontag
+ *   - night      services across midnight (shift or timeslot times);
+ *                without times: services with auto_off (Freizeitausgleich)
+ *
+ * Balance: count − FTE share of the team total, among doctors with at least
+ * one service in the window. Positive = did more than their share (is owed
+ * relief), negative = owes duties. FTE is the average of the window from the
+ * staffing plan.
+ */
+
+import { addDays, format, subYears } from 'date-fns';
+import type { Workplace } from '@/types';
+import { spansMidnight } from '@/utils/timeslotUtils';
+import { getEasterDate } from './holidayUtils';
+
+export const LEDGER_DUTIES = ['services', 'weekend', 'holiday', 'christmas', 'newYear', 'easter', 'night'] as const;
+export type LedgerDuty = (typeof LEDGER_DUTIES)[number];
+
+export const LEDGER_DUTY_LABELS: Record<LedgerDuty, string> = {
+    services: 'Dienste',
+    weekend: 'Wochenende',
+    holiday: 'Feiertage',
+    christmas: 'Weihnachten',
+    newYear: 'Silvester/Neujahr',
+    easter: 'Ostern',
+    night: 'Nacht',
+};
+
+export interface FairnessLedgerEntry {
+    doctorId: string;
+    fte: number;
+    counts: Record<LedgerDuty, number>;
+    /** counts / fte */
+    perFte: Record<LedgerDuty, number>;
+    /** count − FTE share of the team total; 0 for doctors without services */
+    balance: Record<LedgerDuty, number>;
+}
+
+export interface FairnessLedger {
+    start: string;
+    end: string;
+    entries: Record<string, FairnessLedgerEntry>;
+}
+
+/** Rolling 12 months before `planStart` (the planning period itself is not history). */
+export function fairnessLedgerWindow(planStart: string): { start: string; end: string } {
+    const day = new Date(`${planStart}T00:00:00`);
+    return {
+        start: format(subYears(day, 1), 'yyyy-MM-dd'),
+        end: format(addDays(day, -1), 'yyyy-MM-dd'),
+    };
+}
+
+const easterCache = new Map<number, { start: string; end: string }>();
+
+/** Special holiday period of a date, if any. */
+export function holidayPeriod(dateStr: string): 'christmas' | 'newYear' | 'easter' | null {
+    const monthDay = dateStr.slice(5);
+    if (monthDay >= '12-24' && monthDay <= '12-26') return 'christmas';
+    if (monthDay === '12-31' || monthDay === '01-01') return 'newYear';
+    const year = Number(dateStr.slice(0, 4));
+    let easter = easterCache.get(year);
+    if (!easter) {
+        const sunday = getEasterDate(year);
+        easter = { start: format(addDays(sunday, -2), 'yyyy-MM-dd'), end: format(addDays(sunday, 1), 'yyyy-MM-dd') };
+        easterCache.set(year, easter);
+    }
+    return dateStr >= easter.start && dateStr <= easter.end ? 'easter' : null;
+}
+
+/**
+ * Ledger duties a service on `dateStr` counts towards. `night` uses the
+ * shift's times when known, otherwise the workplace's auto_off flag.
+ */
+export function ledgerDutiesFor(
+    dateStr: string,
+    workplace: Pick<Workplace, 'auto_off'>,
+    { times, isPublicHoliday }: { times?: { start: string; end: string } | null; isPublicHoliday?: (dateStr: string) => boolean } = {},
+): LedgerDuty[] {
+    const duties: LedgerDuty[] = ['services'];
+    const weekday = new Date(`${dateStr}T00:00:00`).getDay();
+    if (weekday === 0 || weekday === 6) duties.push('weekend');
+    const period = holidayPeriod(dateStr);
+    if (period || isPublicHoliday?.(dateStr)) duties.push('holiday');
+    if (period) duties.push(period);
+    if (times ? spansMidnight(times.start, times.end) : workplace.auto_off) duties.push('night');
+    return duties;
+}
+
+/** Balance with sign and one decimal, German notation ("+1,5", "−0,5", "±0"). */
+export function formatLedgerBalance(value: number): string {
+    const rounded = Math.round(value * 10) / 10;
+    if (rounded === 0) return '±0';
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(1).replace('.', ',')}`;
+}
+
+/** One-line summary for tooltips, e.g. "12 Monate: Dienste 14 (+2,3) · Wochenende 5 (+1,0) …". */
+export function ledgerSummary(entry: FairnessLedgerEntry): string {
+    const duties: LedgerDuty[] = ['services', 'weekend', 'holiday', 'night'];
+    return `12 Monate: ${duties
+        .map((d) => `${LEDGER_DUTY_LABELS[d]} ${entry.counts[d]} (${formatLedgerBalance(entry.balance[d])})`)
+        .join(' · ')}`;
+}
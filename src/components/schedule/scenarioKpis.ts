@@ -0,0 +1,195 @@
+/**
+ * KPIs for comparing AutoFill scenarios (e.g. two weight profiles).
+ *
+ * All figures are computed on the plan as it would look after applying the
+ * suggestions (existing entries + suggestions):
+ *   - fairnessSpread       max − min of FTE-adjusted services in the 4-week window
+ *                          (3 weeks before the first planning day through the last),
+ *                          over doctors with at least one service in that window
+ *   - wishFulfilment       share of service wishes (approved + pending) met
+ *   - noServiceViolations  "kein Dienst" wishes with a service on that day
+ *   - understaffedCells    day × workplace cells below min_staff
+ *   - limitViolations      doctor × limit (VG / HG / Wochenende) pairs above the 4-week limit
+ */
+
+import type { Doctor, SystemSetting, WishRequest, Workplace } from '@/types';
+import { ABSENCE_POSITIONS } from '@/utils/staffingUtils';
+import type { ShiftLike } from './costFunction';
+
+export interface ScenarioKpis {
+    assignments: number;
+    fairnessSpread: number;
+    fairnessStdDev: number;
+    serviceWishes: number;
+    serviceWishesMet: number;
+    /** 0..1, null without service wishes. */
+    wishFulfilment: number | null;
+    noServiceViolations: number;
+    understaffedCells: number;
+    limitViolations: number;
+}
+
+export interface ScenarioKpiDefinition {
+    key: keyof ScenarioKpis;
+    label: string;
+    better: 'lower' | 'higher';
+}
+
+export const SCENARIO_KPI_DEFINITIONS: ScenarioKpiDefinition[] = [
+    { key: 'fairnessSpread', label: 'Dienst-Spreizung (je VK)', better: 'lower' },
+    { key: 'wishFulfilment', label: 'Erfüllte Dienstwünsche', better: 'higher' },
+    { key: 'noServiceViolations', label: '„Kein Dienst“ nicht beachtet', better: 'lower' },
+    { key: 'understaffedCells', label: 'Unterbesetzte Zellen', better: 'lower' },
+    { key: 'limitViolations', label: 'Dienstlimit-Überschreitungen', better: 'lower' },
+    { key: 'assignments', label: 'Vorschläge', better: 'higher' },
+];
+
+interface ScenarioKpiParams {
+    /** Planning days (yyyy-MM-dd). */
+    dates: string[];
+    doctors: Doctor[];
+    workplaces: Workplace[];
+    /** Saved entries, ideally from 3 weeks before the first planning day. */
+    existingShifts: ShiftLike[];
+    suggestions: ShiftLike[];
+    wishes?: WishRequest[];
+    systemSettings?: SystemSetting[];
+    /** Categories whose staffing is evaluated. */
+    categories: string[];
+    isPublicHoliday?: (dateStr: string) => boolean;
+}
+
+const DEFAULT_ACTIVE_DAYS = [1, 2, 3, 4, 5];
+
+const round = (value: number, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isWeekendDate = (dateStr: string) => {
+    const day = new Date(dateStr + 'T00:00:00').getDay();
+    return day === 0 || day === 6;
+};
+
+export function computeScenarioKpis({
+    dates,
+    doctors,
+    workplaces,
+    existingShifts,
+    suggestions,
+    wishes = [],
+    systemSettings = [],
+    categories,
+    isPublicHoliday = () => false,
+}: ScenarioKpiParams): ScenarioKpis {
+    const planDays = [...dates].sort();
+    const firstDay = planDays[0];
+    const lastDay = planDays[planDays.length - 1];
+    const planDaySet = new Set(planDays);
+    const plan = [...existingShifts.filter((s) => !s.isPreview), ...suggestions];
+
+    const getSetting = (key: string, def: string) =>
+        parseInt(systemSettings.find((s) => s.key === key)?.value || def);
+    const limitFG = getSetting('limit_fore_services', '4');
+    const limitBG = getSetting('limit_back_services', '12');
+    const limitWeekend = getSetting('limit_weekend_services', '1');
+
+    // Foreground/background services by service_type (legacy: first service = VG)
+    const serviceWps = workplaces.filter((w) => w.category === 'Dienste');
+    const serviceNames = new Set(serviceWps.map((w) => w.name));
+    const sortedServices = [...serviceWps].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const fgPositions = new Set(serviceWps.filter((w) => w.service_type === 1).map((w) => w.name));
+    const bgPositions = new Set(serviceWps.filter((w) => w.service_type === 2).map((w) => w.name));
+    if (fgPositions.size === 0 && bgPositions.size === 0 && sortedServices.length > 0) {
+        fgPositions.add(sortedServices[0].name);
+        sortedServices.slice(1).forEach((w) => bgPositions.add(w.name));
+    }
+
+    // ---- 4-week service counts ----
+    let windowStart = firstDay;
+    if (firstDay) {
+        const start = new Date(firstDay + 'T00:00:00');
+        start.setDate(start.getDate() - 21);
+        windowStart = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+    }
+    const counts: Record<string, { services: number; fg: number; bg: number; weekend: number }> = {};
+    for (const s of plan) {
+        if (!s.doctor_id || !serviceNames.has(s.position) || s.date < windowStart || s.date > lastDay) continue;
+        const c = (counts[s.doctor_id] ??= { services: 0, fg: 0, bg: 0, weekend: 0 });
+        c.services++;
+        if (fgPositions.has(s.position)) {
+            c.fg++;
+            if (isWeekendDate(s.date)) c.weekend++;
+        }
+        if (bgPositions.has(s.position)) c.bg++;
+    }
+
+    const doctorById = new Map(doctors.map((d) => [d.id, d]));
+    const perFte = Object.entries(counts)
+        .filter(([id]) => doctorById.has(id))
+        .map(([id, c]) => c.services / (doctorById.get(id)?.fte || 1));
+    const mean = perFte.length > 0 ? perFte.reduce((a, b) => a + b, 0) / perFte.length : 0;
+    const fairnessSpread = perFte.length > 0 ? Math.max(...perFte) - Math.min(...perFte) : 0;
+    const fairnessStdDev = perFte.length > 0
+        ? Math.sqrt(perFte.reduce((sum, v) => sum + (v - mean) ** 2, 0) / perFte.length)
+        : 0;
+
+    let limitViolations = 0;
+    for (const [id, c] of Object.entries(counts)) {
+        const fte = doctorById.get(id)?.fte ?? 1;
+        if (c.fg > Math.round(limitFG * fte)) limitViolations++;
+        if (c.bg > Math.round(limitBG * fte)) limitViolations++;
+        if (c.weekend > limitWeekend) limitViolations++;
+    }
+
+    // ---- Wishes ----
+    const servicesOn = (doctorId: string, dateStr: string) =>
+        plan.filter((s) => s.doctor_id === doctorId && s.date === dateStr && serviceNames.has(s.position));
+    let serviceWishes = 0;
+    let serviceWishesMet = 0;
+    let noServiceViolations = 0;
+    for (const wish of wishes) {
+        if (!planDaySet.has(wish.date) || !['approved', 'pending'].includes(wish.status)) continue;
+        const services = servicesOn(wish.doctor_id, wish.date);
+        if (wish.type === 'service') {
+            serviceWishes++;
+            if (services.some((s) => !wish.position || s.position === wish.position)) serviceWishesMet++;
+        } else if (wish.type === 'no_service' && services.length > 0) {
+            noServiceViolations++;
+        }
+    }
+
+    // ---- Staffing ----
+    let understaffedCells = 0;
+    for (const dateStr of planDays) {
+        const weekday = new Date(dateStr + 'T00:00:00').getDay();
+        for (const wp of workplaces) {
+            if (!categories.includes(wp.category)) continue;
+            const activeDays = wp.active_days?.length ? wp.active_days : DEFAULT_ACTIVE_DAYS;
+            const active = isPublicHoliday(dateStr) ? activeDays.includes(0) : activeDays.includes(weekday);
+            if (!active) continue;
+            const staffed = plan.filter((s) => s.date === dateStr && s.position === wp.name
+                && !ABSENCE_POSITIONS.includes(s.position)).length;
+            const minStaff = wp.category === 'Dienste' ? 1 : (wp.min_staff ?? 1);
+            if (staffed < minStaff) understaffedCells++;
+        }
+    }
+
+    return {
+        assignments: suggestions.filter((s) => !ABSENCE_POSITIONS.includes(s.position)).length,
+        fairnessSpread: round(fairnessSpread),
+        fairnessStdDev: round(fairnessStdDev),
+        serviceWishes,
+        serviceWishesMet,
+        wishFulfilment: serviceWishes > 0 ? round(serviceWishesMet / serviceWishes, 3) : null,
+        noServiceViolations,
+        understaffedCells,
+        limitViolations,
+    };
+}
+
+/** Which scenario wins a KPI: 'a', 'b' or null on a tie / missing value. */
+export function compareScenarioKpi(definition: ScenarioKpiDefinition, a: ScenarioKpis, b: ScenarioKpis): 'a' | 'b' | null {
+    const va = a[definition.key];
+    const vb = b[definition.key];
+    if (va === null || vb === null || va === vb) return null;
+    const aBetter = definition.better === 'lower' ? va < vb : va > vb;
+    return aBetter ? 'a' : 'b';
+}
@@ -0,0 +1,153 @@
+/**
+ * Session-scoped undo/redo history of the schedule board.
+ *
+ * Every edit is recorded as one step with row snapshots before and after the
+ * write (`null` = row does not exist). Undo replays `after → before` through
+ * the atomic route (`api.replayChanges`), redo `before → after`. The server
+ * checks every row against the expected snapshot first; if a colleague changed
+ * one of them meanwhile, nothing is replayed (409) and the step is dropped.
+ *
+ * Realtime updates of other users drop the steps touching the changed record
+ * right away (`discardHistoryRecords`), so the buttons never offer a step that
+ * can no longer be replayed.
+ */
+
+export type HistoryEntity = 'ShiftEntry' | 'ScheduleNote';
+export type HistoryRow = Record<string, unknown>;
+
+export interface HistoryChange {
+    entity: HistoryEntity;
+    id: string;
+    before: HistoryRow | null;
+    after: HistoryRow | null;
+}
+
+export interface HistoryStep {
+    label: string;
+    changes: HistoryChange[];
+}
+
+export interface HistoryState {
+    undo: HistoryStep[];
+    redo: HistoryStep[];
+}
+
+export type HistoryDirection = 'undo' | 'redo';
+
+/** Payload entry of `api.replayChanges`. */
+export interface HistoryReplayChange {
+    entity: HistoryEntity;
+    id: string;
+    expected: HistoryRow | null;
+    target: HistoryRow | null;
+}
+
+export const MAX_HISTORY_STEPS = 50;
+
+export const EMPTY_HISTORY: HistoryState = { undo: [], redo: [] };
+
+/** Row snapshot without client-only fields. */
+export function historySnapshot<T extends object>(row: T | null | undefined): HistoryRow | null {
+    if (!row) return null;
+    const { isPreview: _isPreview, ...rest } = row as HistoryRow;
+    return rest;
+}
+
+/** Change of one record; `before` / `after` are the rows around the write (`null` = absent). */
+export function historyChange<T extends { id: string }>(
+    entity: HistoryEntity,
+    before: T | null | undefined,
+    after: T | null | undefined,
+): HistoryChange {
+    return { entity, id: (after?.id ?? before?.id) as string, before: historySnapshot(before), after: historySnapshot(after) };
+}
+
+const changeKey = (change: Pick<HistoryChange, 'entity' | 'id'>): string => `${change.entity}:${change.id}`;
+
+/**
+ * Combines changes per record: the first `before` and the last `after` win.
+ * Records created and deleted again within the step drop out.
+ */
+export function mergeHistoryChanges(changes: HistoryChange[]): HistoryChange[] {
+    const merged = new Map<string, HistoryChange>();
+    for (const change of changes) {
+        const key = changeKey(change);
+        const previous = merged.get(key);
+        merged.set(key, previous ? { ...previous, after: change.after } : change);
+    }
+    return [...merged.values()].filter((change) => change.before !== null || change.after !== null);
+}
+
+/** Adds a step; a new edit ends the redo branch. */
+export function recordHistoryStep(state: HistoryState, step: HistoryStep): HistoryState {
+    const changes = mergeHistoryChanges(step.changes);
+    if (changes.length === 0) return state;
+    return { undo: [...state.undo, { ...step, changes }].slice(-MAX_HISTORY_STEPS), redo: [] };
+}
+
+/**
+ * Adds follow-up writes (e.g. an automatic "Frei" after a service) to the last
+ * step, so one undo reverts both. Starts a new step if there is none.
+ */
+export function appendToLastHistoryStep(state: HistoryState, changes: HistoryChange[], label: string): HistoryState {
+    const last = state.undo[state.undo.length - 1];
+    if (!last) return recordHistoryStep(state, { label, changes });
+    const merged = mergeHistoryChanges([...last.changes, ...changes]);
+    return { undo: [...state.undo.slice(0, -1), { ...last, changes: merged }], redo: [] };
+}
+
+/** Payload that reverts (undo) or repeats (redo) a step. */
+export function toReplayChanges(step: HistoryStep, direction: HistoryDirection): HistoryReplayChange[] {
+    return step.changes.map((change) => ({
+        entity: change.entity,
+        id: change.id,
+        expected: direction === 'undo' ? change.after : change.before,
+        target: direction === 'undo' ? change.before : change.after,
+    }));
+}
+
+/**
+ * Moves a replayed step onto the other stack. The rows returned by the server
+ * replace the target snapshots, so the next replay compares against the
+ * database state. Does nothing if the step was dropped in the meantime.
+ */
+export function completeHistoryReplay(
+    state: HistoryState,
+    direction: HistoryDirection,
+    step: HistoryStep,
+    records: { entity: string; id: string; row: HistoryRow | null }[] = [],
+): HistoryState {
+    const source = direction === 'undo' ? state.undo : state.redo;
+    if (!source.includes(step)) return state;
+
+    const rows = new Map(records.map((record) => [`${record.entity}:${record.id}`, record.row]));
+    const refreshed: HistoryStep = {
+        ...step,
+        changes: step.changes.map((change) => {
+            const key = changeKey(change);
+            if (!rows.has(key)) return change;
+            const row = historySnapshot(rows.get(key));
+            return direction === 'undo' ? { ...change, before: row } : { ...change, after: row };
+        }),
+    };
+
+    const remaining = source.filter((s) => s !== step);
+    return direction === 'undo'
+        ? { undo: remaining, redo: [...state.redo, refreshed] }
+        : { undo: [...state.undo, refreshed], redo: remaining };
+}
+
+/** Removes a step from both stacks (e.g. after a 409). */
+export function discardHistoryStep(state: HistoryState, step: HistoryStep): HistoryState {
+    return { undo: state.undo.filter((s) => s !== step), redo: state.redo.filter((s) => s !== step) };
+}
+
+/** Removes all steps touching one of the records; returns the state unchanged if none does. */
+export function discardHistoryRecords(state: HistoryState, entity: HistoryEntity, ids: string[]): HistoryState {
+    const keys = new Set(ids.map((id) => changeKey({ entity, id })));
+    const untouched = (step: HistoryStep) => !step.changes.some((change) => keys.has(changeKey(change)));
+    const undo = state.undo.filter(untouched);
+    const redo = state.redo.filter(untouched);
+    if (undo.length === state.undo.length && redo.length === state.redo.length) return state;
+    return { undo, redo };
+}
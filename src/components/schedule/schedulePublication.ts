@@ -0,0 +1,107 @@
+import { format, parseISO } from 'date-fns';
+import type { Auditable, ShiftEntry, SystemSetting } from '@/types';
+
+/**
+ * Draft/publish workflow: planners edit ShiftEntry (the draft), read-only
+ * users see the last published version of each day. Enabled per tenant via
+ * SystemSetting `schedule_publish_workflow` = `'true'`.
+ */
+export const PUBLISH_WORKFLOW_SETTING_KEY = 'schedule_publish_workflow';
+
+export interface PublishedEntry {
+    id?: string;
+    shift_entry_id: string | null;
+    date: string;
+    doctor_id: string;
+    position: string;
+    timeslot_id: string | null;
+    start_time: string | null;
+    end_time: string | null;
+    order: number;
+}
+
+export interface PublishDayChange {
+    doctorId: string;
+    date: string;
+    before: PublishedEntry[];
+    after: PublishedEntry[];
+}
+
+export interface PublicationSummary {
+    id: string;
+    start_date: string;
+    end_date: string;
+    entry_count: number;
+    published_by: string | null;
+    created_date: string;
+}
+
+export interface PublishedScheduleResponse {
+    entries: PublishedEntry[];
+    publishedDates: string[];
+    publications: PublicationSummary[];
+}
+
+export interface PublishDiffResponse {
+    changes: PublishDayChange[];
+    unpublishedDates: string[];
+    lastPublication: PublicationSummary | null;
+}
+
+export function isPublishWorkflowEnabled(settings: Pick<SystemSetting, 'key' | 'value'>[]): boolean {
+    return settings.find((s) => s.key === PUBLISH_WORKFLOW_SETTING_KEY)?.value === 'true';
+}
+
+/** Published entries in the ShiftEntry shape the board renders (snapshots carry no audit fields). */
+export function toPublishedShifts(entries: PublishedEntry[]): Omit<ShiftEntry, keyof Auditable>[] {
+    return entries.map((entry, index) => ({
+        id: entry.id ?? entry.shift_entry_id ?? `published-${entry.date}-${index}`,
+        date: entry.date,
+        doctor_id: entry.doctor_id,
+        position: entry.position,
+        timeslot_id: entry.timeslot_id,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        order: entry.order ?? 0,
+        is_free_text: false,
+    }));
+}
+
+/** Label of a day's entries, e.g. `CT (Früh), Sono (12:00–16:00)`; mirrors the change e-mail. */
+export function describePublishedEntries(entries: PublishedEntry[], timeslotLabels: Map<string, string>): string {
+    if (entries.length === 0) return 'kein Eintrag';
+    return entries
+        .map((entry) => {
+            const slot = entry.timeslot_id ? timeslotLabels.get(entry.timeslot_id) : undefined;
+            if (slot) return `${entry.position} (${slot})`;
+            if (entry.start_time && entry.end_time) return `${entry.position} (${entry.start_time}–${entry.end_time})`;
+            return entry.position;
+        })
+        .sort((a, b) => a.localeCompare(b, 'de'))
+        .join(', ');
+}
+
+/**
+ * Compress sorted ISO dates into day ranges for display,
+ * e.g. `['2026-03-01','2026-03-02','2026-03-05']` → `01.03.–02.03., 05.03.`.
+ */
+export function formatDateRanges(dates: string[]): string {
+    const sorted = [...dates].sort();
+    const ranges: Array<[string, string]> = [];
+    for (const date of sorted) {
+        const last = ranges[ranges.length - 1];
+        if (last) {
+            const next = new Date(`${last[1]}T00:00:00Z`);
+            next.setUTCDate(next.getUTCDate() + 1);
+            if (next.toISOString().slice(0, 10) === date) {
+                last[1] = date;
+                continue;
+            }
+        }
+        ranges.push([date, date]);
+    }
+    const label = (date: string) => format(parseISO(date), 'dd.MM.');
+    return ranges
+        .map(([from, to]) => (from === to ? label(from) : `${label(from)}–${label(to)}`))
+        .join(', ');
+}
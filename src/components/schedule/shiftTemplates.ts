@@ -0,0 +1,212 @@
+/**
+ * Schedule templates ("Regelwoche"): a week or an N-week cycle of shift
+ * entries saved under a name and stamped into future weeks.
+ *
+ * A template stores entries by day of the cycle (0 = Monday of the first
+ * week), so a 2-week cycle applied from a Monday repeats A, B, A, B, …
+ * Absences, free-text cells and previews are never captured.
+ *
+ * Applying is planned here and committed in one piece through the atomic
+ * route (`api.bulkCreateShifts`). The plan skips, with a reason, every entry
+ * that would hit an absence, a public holiday, an existing entry or a
+ * ShiftValidator blocker; the server repeats the lock and occupancy checks
+ * inside its transaction.
+ */
+
+import { addDays, differenceInCalendarDays, format, parseISO, startOfWeek } from 'date-fns';
+import type { Doctor, ShiftEntry, ShiftTemplate, Workplace } from '@/types';
+import type { ValidationResult } from '@/components/validation/ShiftValidation';
+
+export const MAX_TEMPLATE_CYCLE_WEEKS = 8;
+
+/** Same list the ShiftValidator uses for absence conflicts. */
+const ABSENCE_POSITIONS = ['Frei', 'Krank', 'Urlaub', 'Schichturlaub', 'Dienstreise', 'Nicht verfügbar'];
+
+export interface ShiftTemplateEntry {
+    /** Day within the cycle, 0 = Monday of the first week */
+    day_offset: number;
+    doctor_id: string;
+    position: string;
+    timeslot_id?: string | null;
+    start_time?: string | null;
+    end_time?: string | null;
+    break_minutes?: number | null;
+    note?: string | null;
+}
+
+/** Entry as sent to `api.bulkCreateShifts`. */
+export type TemplateShiftDraft = Omit<ShiftTemplateEntry, 'day_offset'> & { date: string };
+
+export type TemplateConflictReason = 'holiday' | 'absent' | 'inactive' | 'duplicate' | 'blocked';
+
+export interface TemplateConflict {
+    draft: TemplateShiftDraft;
+    reason: TemplateConflictReason;
+    message: string;
+}
+
+export interface TemplateApplicationPlan {
+    drafts: TemplateShiftDraft[];
+    conflicts: TemplateConflict[];
+    /** Validator warnings of drafts that will be created */
+    warnings: Array<{ draft: TemplateShiftDraft; messages: string[] }>;
+}
+
+export const TEMPLATE_CONFLICT_LABELS: Record<TemplateConflictReason, string> = {
+    holiday: 'Feiertag',
+    absent: 'Abwesend',
+    inactive: 'Mitarbeiter nicht aktiv',
+    duplicate: 'Bereits eingetragen',
+    blocked: 'Regelverstoß',
+};
+
+const mondayOf = (dateStr: string): Date => startOfWeek(parseISO(dateStr), { weekStartsOn: 1 });
+
+/**
+ * Template entries from the plan of `cycleWeeks` weeks starting with the
+ * week of `weekStart`. Only positions that are workplaces are kept.
+ */
+export function captureShiftTemplateEntries({
+    shifts,
+    workplaces,
+    weekStart,
+    cycleWeeks,
+}: {
+    shifts: ShiftEntry[];
+    workplaces: Pick<Workplace, 'name'>[];
+    weekStart: string;
+    cycleWeeks: number;
+}): ShiftTemplateEntry[] {
+    const monday = mondayOf(weekStart);
+    const days = cycleWeeks * 7;
+    const workplaceNames = new Set(workplaces.map((w) => w.name));
+
+    return shifts
+        .filter((s) => !s.isPreview && !s.is_free_text && s.doctor_id && workplaceNames.has(s.position))
+        .map((s) => ({ shift: s, offset: differenceInCalendarDays(parseISO(s.date), monday) }))
+        .filter(({ offset }) => offset >= 0 && offset < days)
+        .map(({ shift, offset }) => ({
+            day_offset: offset,
+            doctor_id: shift.doctor_id as string,
+            position: shift.position,
+            timeslot_id: shift.timeslot_id ?? null,
+            start_time: shift.start_time ?? null,
+            end_time: shift.end_time ?? null,
+            break_minutes: shift.break_minutes ?? null,
+            note: shift.note ?? null,
+        }))
+        .sort((a, b) => a.day_offset - b.day_offset || a.position.localeCompare(b.position));
+}
+
+/** Entries of a stored template; invalid JSON or entries are dropped. */
+export function parseShiftTemplateEntries(template: Pick<ShiftTemplate, 'entries_json' | 'cycle_weeks'>): ShiftTemplateEntry[] {
+    const days = (template.cycle_weeks || 1) * 7;
+    try {
+        const parsed: unknown = JSON.parse(template.entries_json || '[]');
+        if (!Array.isArray(parsed)) return [];
+        return parsed.filter(
+            (e): e is ShiftTemplateEntry =>
+                Boolean(e) &&
+                typeof e === 'object' &&
+                Number.isInteger((e as ShiftTemplateEntry).day_offset) &&
+                (e as ShiftTemplateEntry).day_offset >= 0 &&
+                (e as ShiftTemplateEntry).day_offset < days &&
+                typeof (e as ShiftTemplateEntry).doctor_id === 'string' &&
+                typeof (e as ShiftTemplateEntry).position === 'string',
+        );
+    } catch {
+        return [];
+    }
+}
+
+interface PlanTemplateApplicationParams {
+    entries: ShiftTemplateEntry[];
+    cycleWeeks: number;
+    /** First and last day to fill; the cycle starts with the week of `from` */
+    from: string;
+    to: string;
+    doctors: Pick<Doctor, 'id' | 'is_active'>[];
+    /** Plan around the target range (absences, existing entries, rest periods …) */
+    existingShifts: ShiftEntry[];
+    isPublicHoliday: (dateStr: string) => boolean;
+    /** Default true: a regular week does not apply on public holidays */
+    skipHolidays?: boolean;
+    /**
+     * Validator over the given list. Planned drafts are pushed into that list,
+     * so later drafts are checked against earlier ones (ShiftValidator keeps
+     * the reference, see `useShiftValidation().createValidator`).
+     */
+    createValidator?: (shifts: ShiftEntry[]) => {
+        validate: (doctorId: string, dateStr: string, position: string, options?: { timeslotId?: string | null }) => ValidationResult;
+    };
+}
+
+export function planTemplateApplication({
+    entries,
+    cycleWeeks,
+    from,
+    to,
+    doctors,
+    existingShifts,
+    isPublicHoliday,
+    skipHolidays = true,
+    createValidator,
+}: PlanTemplateApplicationParams): TemplateApplicationPlan {
+    const plan: TemplateApplicationPlan = { drafts: [], conflicts: [], warnings: [] };
+    const cycleDays = cycleWeeks * 7;
+    const cycleStart = mondayOf(from);
+    const activeDoctors = new Set(doctors.filter((d) => d.is_active !== false).map((d) => d.id));
+    const byOffset = new Map<number, ShiftTemplateEntry[]>();
+    for (const entry of entries) {
+        byOffset.set(entry.day_offset, [...(byOffset.get(entry.day_offset) ?? []), entry]);
+    }
+
+    const working: ShiftEntry[] = existingShifts.filter((s) => !s.isPreview);
+    const validator = createValidator?.(working);
+    const lastDay = parseISO(to);
+
+    for (let day = parseISO(from); day <= lastDay; day = addDays(day, 1)) {
+        const date = format(day, 'yyyy-MM-dd');
+        const offset = differenceInCalendarDays(day, cycleStart) % cycleDays;
+        const holiday = isPublicHoliday(date);
+
+        for (const { day_offset: _offset, ...entry } of byOffset.get(offset) ?? []) {
+            const draft: TemplateShiftDraft = { ...entry, date };
+            const skip = (reason: TemplateConflictReason, message: string) =>
+                plan.conflicts.push({ draft, reason, message });
+
+            if (holiday && skipHolidays) {
+                skip('holiday', 'Feiertag');
+                continue;
+            }
+            if (!activeDoctors.has(entry.doctor_id)) {
+                skip('inactive', 'Mitarbeiter nicht (mehr) aktiv');
+                continue;
+            }
+            const sameDay = working.filter((s) => s.doctor_id === entry.doctor_id && s.date === date);
+            const absence = sameDay.find((s) => ABSENCE_POSITIONS.includes(s.position));
+            if (absence) {
+                skip('absent', `Abwesend (${absence.position})`);
+                continue;
+            }
+            if (sameDay.some((s) => s.position === entry.position && (s.timeslot_id ?? null) === (entry.timeslot_id ?? null))) {
+                skip('duplicate', 'Bereits eingetragen');
+                continue;
+            }
+
+            const result = validator?.validate(entry.doctor_id, date, entry.position, { timeslotId: entry.timeslot_id ?? null });
+            if (result && result.blockers.length > 0) {
+                skip('blocked', result.blockers.join(' '));
+                continue;
+            }
+            if (result && result.warnings.length > 0) {
+                plan.warnings.push({ draft, messages: result.warnings });
+            }
+
+            plan.drafts.push(draft);
+            working.push({ ...draft, id: `template-${plan.drafts.length}`, is_free_text: false, order: 0 } as ShiftEntry);
+        }
+    }
+
+    return plan;
+}
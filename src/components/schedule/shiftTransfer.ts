@@ -0,0 +1,220 @@
+/**
+ * Bulk copy / move of schedule ranges: a day, a week or one employee's row
+ * is copied or moved to another range, optionally to another employee.
+ *
+ * `planShiftTransfer` maps the selected entries onto the target and checks
+ * every entry against absences, ScheduleBlocks, the target cell and the
+ * ShiftValidator before anything is written. The chosen resolution decides
+ * what happens with conflicts:
+ *   - skip       conflicting entries are left out (a skipped move stays put)
+ *   - overwrite  other people on single-assignment cells are replaced;
+ *                absences, locked cells and rule violations are still skipped
+ *   - abort      nothing happens as long as there is any conflict
+ *
+ * The result is committed through the atomic route (`api.transferShifts`),
+ * which repeats the lock and occupancy checks inside its transaction.
+ */
+
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import type { Doctor, ScheduleBlock, ShiftEntry, Workplace } from '@/types';
+import type { ValidationResult } from '@/components/validation/ShiftValidation';
+import { workplaceAllowsMultiple } from '@/utils/workplaceCategoryUtils';
+
+export type TransferMode = 'copy' | 'move';
+export type ConflictResolution = 'skip' | 'overwrite' | 'abort';
+
+/** Same list the ShiftValidator uses for absence conflicts. */
+const ABSENCE_POSITIONS = ['Frei', 'Krank', 'Urlaub', 'Schichturlaub', 'Dienstreise', 'Nicht verfügbar'];
+
+export interface TransferSelection {
+    from: string;
+    to: string;
+    /** Only this employee's row; all employees if empty */
+    doctorId?: string | null;
+}
+
+export interface TransferTarget {
+    /** Target of `selection.from`; all entries keep their distance to it */
+    from: string;
+    /** Other employee for a single row; ignored without `selection.doctorId` */
+    doctorId?: string | null;
+}
+
+export type TransferConflictReason = 'inactive' | 'absent' | 'blocked' | 'duplicate' | 'occupied' | 'rule';
+
+/** Entry as sent to `api.transferShifts`. */
+export interface TransferDraft {
+    /** Moved entry (move only) */
+    source_id?: string;
+    doctor_id: string;
+    date: string;
+    position: string;
+    timeslot_id: string | null;
+    start_time?: string | null;
+    end_time?: string | null;
+    break_minutes?: number | null;
+    note?: string | null;
+}
+
+export interface TransferItem {
+    source: ShiftEntry;
+    draft: TransferDraft;
+    conflict?: { reason: TransferConflictReason; message: string };
+    /** Entries replaced by this one (overwrite) */
+    replaces: ShiftEntry[];
+    warnings: string[];
+}
+
+export interface TransferPlan {
+    items: TransferItem[];
+    /** Entries to send; empty under `abort` as soon as one entry conflicts */
+    drafts: TransferDraft[];
+    conflictCount: number;
+}
+
+export const TRANSFER_CONFLICT_LABELS: Record<TransferConflictReason, string> = {
+    inactive: 'Mitarbeiter nicht aktiv',
+    absent: 'Abwesend',
+    blocked: 'Zelle gesperrt',
+    duplicate: 'Bereits eingetragen',
+    occupied: 'Position besetzt',
+    rule: 'Regelverstoß',
+};
+
+export const CONFLICT_RESOLUTION_LABELS: Record<ConflictResolution, string> = {
+    skip: 'Konflikte überspringen',
+    overwrite: 'Besetzte Positionen überschreiben',
+    abort: 'Bei Konflikten abbrechen',
+};
+
+/** Entries of the selection that can be copied: planned workplace entries only. */
+export function selectTransferSources(
+    shifts: ShiftEntry[],
+    workplaces: Pick<Workplace, 'name'>[],
+    selection: TransferSelection,
+): ShiftEntry[] {
+    const workplaceNames = new Set(workplaces.map((w) => w.name));
+    return shifts
+        .filter(
+            (s) =>
+                !s.isPreview &&
+                !s.is_free_text &&
+                s.doctor_id &&
+                workplaceNames.has(s.position) &&
+                s.date >= selection.from &&
+                s.date <= selection.to &&
+                (!selection.doctorId || s.doctor_id === selection.doctorId),
+        )
+        .sort((a, b) => a.date.localeCompare(b.date) || a.position.localeCompare(b.position));
+}
+
+interface PlanShiftTransferParams {
+    /** Plan around source and target range */
+    shifts: ShiftEntry[];
+    workplaces: Pick<Workplace, 'name' | 'category' | 'allows_multiple'>[];
+    doctors: Pick<Doctor, 'id' | 'is_active'>[];
+    blocks: Pick<ScheduleBlock, 'date' | 'position' | 'timeslot_id' | 'type' | 'reason'>[];
+    selection: TransferSelection;
+    target: TransferTarget;
+    mode: TransferMode;
+    resolution: ConflictResolution;
+    /** Validator over the given list; see `planTemplateApplication` */
+    createValidator?: (shifts: ShiftEntry[]) => {
+        validate: (doctorId: string, dateStr: string, position: string, options?: { timeslotId?: string | null }) => ValidationResult;
+    };
+}
+
+export function planShiftTransfer({
+    shifts,
+    workplaces,
+    doctors,
+    blocks,
+    selection,
+    target,
+    mode,
+    resolution,
+    createValidator,
+}: PlanShiftTransferParams): TransferPlan {
+    const sources = selectTransferSources(shifts, workplaces, selection);
+    const offset = differenceInCalendarDays(parseISO(target.from), parseISO(selection.from));
+    const targetDoctorId = selection.doctorId ? target.doctorId || selection.doctorId : null;
+    const activeDoctors = new Set(doctors.filter((d) => d.is_active !== false).map((d) => d.id));
+    const workplaceByName = new Map(workplaces.map((w) => [w.name, w]));
+    const lockBlocks = blocks.filter((b) => (b.type ?? 'block') === 'block');
+
+    // Moved entries leave their cell; a skipped move is put back
+    const sourceIds = new Set(sources.map((s) => s.id));
+    const working: ShiftEntry[] = shifts.filter((s) => !s.isPreview && (mode === 'copy' || !sourceIds.has(s.id)));
+    const validator = createValidator?.(working);
+    const removeFromWorking = (entries: ShiftEntry[]) => {
+        for (const entry of entries) {
+            const index = working.indexOf(entry);
+            if (index >= 0) working.splice(index, 1);
+        }
+    };
+
+    const items: TransferItem[] = sources.map((source) => {
+        const draft: TransferDraft = {
+            ...(mode === 'move' ? { source_id: source.id } : {}),
+            doctor_id: targetDoctorId ?? (source.doctor_id as string),
+            date: format(addDays(parseISO(source.date), offset), 'yyyy-MM-dd'),
+            position: source.position,
+            timeslot_id: source.timeslot_id ?? null,
+            start_time: source.start_time ?? null,
+            end_time: source.end_time ?? null,
+            break_minutes: source.break_minutes ?? null,
+            note: source.note ?? null,
+        };
+        const item: TransferItem = { source, draft, replaces: [], warnings: [] };
+        const skip = (reason: TransferConflictReason, message: string): TransferItem => {
+            if (mode === 'move') working.push(source);
+            return { ...item, conflict: { reason, message } };
+        };
+
+        if (!activeDoctors.has(draft.doctor_id)) return skip('inactive', 'Mitarbeiter nicht (mehr) aktiv');
+
+        const sameDay = working.filter((s) => s.doctor_id === draft.doctor_id && s.date === draft.date);
+        const absence = sameDay.find((s) => ABSENCE_POSITIONS.includes(s.position));
+        if (absence) return skip('absent', `Abwesend (${absence.position})`);
+
+        const block = lockBlocks.find(
+            (b) => b.date === draft.date && b.position === draft.position && (!b.timeslot_id || b.timeslot_id === draft.timeslot_id),
+        );
+        if (block) return skip('blocked', block.reason ? `Zelle gesperrt: ${block.reason}` : 'Zelle gesperrt');
+
+        if (sameDay.some((s) => s.position === draft.position && (s.timeslot_id ?? null) === draft.timeslot_id)) {
+            return skip('duplicate', 'Bereits eingetragen');
+        }
+
+        // Without timeslot the whole position counts, like the server check
+        const occupants = workplaceAllowsMultiple(workplaceByName.get(draft.position))
+            ? []
+            : working.filter(
+                  (s) =>
+                      s.date === draft.date &&
+                      s.position === draft.position &&
+                      s.doctor_id !== draft.doctor_id &&
+                      (!draft.timeslot_id || s.timeslot_id === draft.timeslot_id),
+              );
+        if (occupants.length > 0 && resolution !== 'overwrite') {
+            return skip('occupied', `Position besetzt (${occupants.length === 1 ? '1 Eintrag' : `${occupants.length} Einträge`})`);
+        }
+        removeFromWorking(occupants);
+
+        const result = validator?.validate(draft.doctor_id, draft.date, draft.position, { timeslotId: draft.timeslot_id });
+        if (result && result.blockers.length > 0) {
+            working.push(...occupants);
+            return skip('rule', result.blockers.join(' '));
+        }
+
+        working.push({ ...draft, id: `transfer-${source.id}`, is_free_text: false, order: 0 } as ShiftEntry);
+        return { ...item, replaces: occupants, warnings: result?.warnings ?? [] };
+    });
+
+    const conflictCount = items.filter((i) => i.conflict).length;
+    return {
+        items,
+        drafts: resolution === 'abort' && conflictCount > 0 ? [] : items.filter((i) => !i.conflict).map((i) => i.draft),
+        conflictCount,
+    };
+}
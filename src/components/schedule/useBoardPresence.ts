@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { api } from '@/api/client';
+import { subscribeBoardPresence } from '@/components/planUpdateEvents';
+import {
+  cellLockFor,
+  isSameCell,
+  otherPlanners,
+  presenceName,
+  type BoardCell,
+  type BoardPresenceEntry,
+} from './boardPresence';
+
+// Well below the server TTL (45s) so one lost heartbeat does not drop the session
+const HEARTBEAT_MS = 20000;
+
+export interface BoardPresence {
+  /** Other planners on the board, one per user */
+  others: BoardPresenceEntry[];
+  /** The colleague editing `cell`, if any */
+  lockFor: (cell: BoardCell) => BoardPresenceEntry | null;
+  /**
+   * Claims `cell` for a dialog. Returns false (with a toast) if a colleague
+   * already edits it — the caller then does not open the dialog.
+   */
+  beginEdit: (cell: BoardCell) => boolean;
+  /** Releases the claimed cell when the dialog closes */
+  endEdit: () => void;
+}
+
+interface BoardPresenceDeps {
+  weekStart: string;
+  viewMode: string;
+  userId?: string | null;
+  enabled: boolean;
+}
+
+const createSessionId = (): string =>
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `board-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/** Presence of this board tab and its soft cell locks; see `boardPresence.ts`. */
+export function useBoardPresence({ weekStart, viewMode, userId, enabled }: BoardPresenceDeps): BoardPresence {
+  const [sessionId] = useState(createSessionId);
+  const [sessions, setSessions] = useState<BoardPresenceEntry[]>([]);
+  const [editingCell, setEditingCell] = useState<BoardCell | null>(null);
+  // Read by beginEdit, which runs in click handlers between renders
+  const sessionsRef = useRef(sessions);
+
+  const applySessions = useCallback((next: BoardPresenceEntry[]) => {
+    sessionsRef.current = next;
+    setSessions(next);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeBoardPresence(applySessions);
+  }, [enabled, applySessions]);
+
+  // Heartbeat on every change of week, view or edited cell, then periodically
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    let warned = false;
+
+    const send = () => {
+      api.updateBoardPresence({ sessionId, weekStart, viewMode, cell: editingCell, editing: !!editingCell })
+        .then((response) => {
+          if (cancelled) return;
+          applySessions(response.sessions);
+          if (editingCell && response.lockedBy && !warned) {
+            // Someone claimed the cell a moment before us (the local check raced)
+            warned = true;
+            toast.warning(`${presenceName(response.lockedBy)} bearbeitet diese Zelle bereits`, {
+              id: `board-lock-${sessionId}`,
+              description: 'Ihre Änderungen können sich überschneiden.',
+            });
+          }
+        })
+        .catch((error) => {
+          console.warn('[BoardPresence] Heartbeat fehlgeschlagen:', error);
+        });
+    };
+
+    send();
+    const timer = window.setInterval(send, HEARTBEAT_MS);
+    return () => {
+      cancelled = true;
+      window.clearInterval(timer);
+    };
+  }, [enabled, sessionId, weekStart, viewMode, editingCell, applySessions]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return () => {
+      api.leaveBoardPresence(sessionId).catch(() => {});
+    };
+  }, [enabled, sessionId]);
+
+  const lockFor = useCallback((cell: BoardCell) => cellLockFor(sessions, cell, sessionId), [sessions, sessionId]);
+
+  const beginEdit = useCallback((cell: BoardCell) => {
+    if (!enabled) return true;
+    const lock = cellLockFor(sessionsRef.current, cell, sessionId);
+    if (lock) {
+      toast.error(`${presenceName(lock)} bearbeitet diese Zelle gerade`, {
+        description: 'Bitte warten Sie, bis der Dialog dort geschlossen ist.',
+      });
+      return false;
+    }
+    setEditingCell((prev) => (isSameCell(prev, cell) ? prev : cell));
+    return true;
+  }, [enabled, sessionId]);
+
+  const endEdit = useCallback(() => { setEditingCell(null); }, []);
+
+  const others = useMemo(() => otherPlanners(sessions, sessionId, userId), [sessions, sessionId, userId]);
+
+  return { others, lockFor, beginEdit, endEdit };
+}
@@ -826,7 +826,7 @@ export function useCellRenderers(deps: CellRenderersDeps) {
     let anyoneQualified = false;
     if (hasQualRequirements && shifts.length > 1) {
         anyoneQualified = shifts.some((s: any) => {
-            const docQuals = getDoctorQualIds(s.doctor_id);
+            const docQuals = getDoctorQualIds(s.doctor_id, dateStr);
             return wpRequiredQuals.every((qId: any) => docQuals.includes(qId));
         });
     }
@@ -859,7 +859,9 @@ export function useCellRenderers(deps: CellRenderersDeps) {
         if (wpExcludedQuals.length > 0 && wpExcludedQuals.some((qId: any) => docQuals.includes(qId))) {
             qualificationStatus = 'excluded';
         } else if (hasQualRequirements) {
-            const hasAll = wpRequiredQuals.every((qId: any) => docQuals.includes(qId));
+            // Pflicht-Qualifikationen zählen nur mit gültigem Nachweis am Tag
+            const usableQuals = getDoctorQualIds(doctor.id, dateStr);
+            const hasAll = wpRequiredQuals.every((qId: any) => usableQuals.includes(qId));
             if (!hasAll && (shifts.length === 1 || !anyoneQualified)) {
                 qualificationStatus = 'unqualified';
             }
@@ -16,6 +16,8 @@ import {
 } from './scheduleBoardHelpers';
 import { getWorkplaceCategoriesFromSettings, workplaceAllowsMultiple } from '@/utils/workplaceCategoryUtils';
 import { isUnavailableShiftPosition } from '@/utils/shiftPositionUtils';
+import { historyChange } from './scheduleHistory';
+import type { ScheduleHistory } from './useScheduleHistory';
 
 // Re-using the mutations result type via structural typing. We import the
 // hook's return type indirectly by typing the deps below.
@@ -39,7 +41,7 @@ export interface DragHandlersDeps {
   setHiddenJokerDoctorIds: React.Dispatch<React.SetStateAction<Set<string>>>;
   setPreviewShifts: React.Dispatch<React.SetStateAction<ShiftEntry[] | null>>;
   setPreviewCategories: React.Dispatch<React.SetStateAction<string[] | null>>;
-  setUndoStack: React.Dispatch<React.SetStateAction<any[]>>;
+  history: Pick<ScheduleHistory, 'record' | 'append'>;
   setTimeslotSelectionDialog: React.Dispatch<React.SetStateAction<any>>;
 
   // Query data / computed values
@@ -99,7 +101,7 @@ export function useDragHandlers(deps: DragHandlersDeps) {
     setHiddenJokerDoctorIds,
     setPreviewShifts,
     setPreviewCategories,
-    setUndoStack,
+    history,
     setTimeslotSelectionDialog,
     doctors,
     allShifts,
@@ -840,7 +842,10 @@ export function useDragHandlers(deps: DragHandlersDeps) {
             if (toCreate.length > 0) {
                 const created = await db.ShiftEntry.bulkCreate(toCreate);
                 if (created && Array.isArray(created)) {
-                    setUndoStack((prev) => [...prev, { type: 'BULK_DELETE', ids: created.map((c: any) => c.id) }]);
+                    // Replaced occupants were recorded by the bulk delete; one undo reverts both
+                    const changes = created.map((c: any) => historyChange('ShiftEntry', null, c));
+                    if (toDelete.length > 0) history.append('Wochentage zugewiesen', changes);
+                    else history.record('Wochentage zugewiesen', changes);
                 }
                 setTimeout(() => queryClient.invalidateQueries({ queryKey: ['shifts', fetchRange.start, fetchRange.end] }), 100);
             }
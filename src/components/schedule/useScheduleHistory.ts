@@ -0,0 +1,134 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import type { QueryClient } from '@tanstack/react-query';
+import { api, type ApiError } from '@/api/client';
+import { subscribePlanUpdates } from '@/components/planUpdateEvents';
+import {
+  EMPTY_HISTORY,
+  appendToLastHistoryStep,
+  completeHistoryReplay,
+  discardHistoryRecords,
+  discardHistoryStep,
+  recordHistoryStep,
+  toReplayChanges,
+  type HistoryChange,
+  type HistoryDirection,
+  type HistoryEntity,
+  type HistoryRow,
+  type HistoryState,
+} from './scheduleHistory';
+
+const HISTORY_QUERY_KEYS: Record<HistoryEntity, string[]> = {
+  ShiftEntry: ['shifts'],
+  ScheduleNote: ['scheduleNotes'],
+};
+
+const isHistoryEntity = (entity: unknown): entity is HistoryEntity =>
+  typeof entity === 'string' && entity in HISTORY_QUERY_KEYS;
+
+export interface ScheduleHistory {
+  canUndo: boolean;
+  canRedo: boolean;
+  undoLabel?: string;
+  redoLabel?: string;
+  isReplaying: boolean;
+  /** Records an edit as its own step */
+  record: (label: string, changes: HistoryChange[]) => void;
+  /** Adds follow-up writes to the last step (automatic "Frei" etc.) */
+  append: (label: string, changes: HistoryChange[]) => void;
+  undo: () => Promise<void>;
+  redo: () => Promise<void>;
+}
+
+interface ScheduleHistoryDeps {
+  queryClient: QueryClient;
+  /** Realtime updates by this user are the board's own writes */
+  userEmail?: string | null;
+}
+
+/** Undo/redo stack of the schedule board; see `scheduleHistory.ts`. */
+export function useScheduleHistory({ queryClient, userEmail }: ScheduleHistoryDeps): ScheduleHistory {
+  const [state, setState] = useState<HistoryState>(EMPTY_HISTORY);
+  const [isReplaying, setIsReplaying] = useState(false);
+  // Mirrors the state so keyboard handlers and mutation callbacks never see a stale stack
+  const stateRef = useRef(state);
+  const replayingRef = useRef(false);
+
+  const update = useCallback((change: (prev: HistoryState) => HistoryState) => {
+    const next = change(stateRef.current);
+    if (next === stateRef.current) return;
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  const record = useCallback((label: string, changes: HistoryChange[]) => {
+    update((prev) => recordHistoryStep(prev, { label, changes }));
+  }, [update]);
+
+  const append = useCallback((label: string, changes: HistoryChange[]) => {
+    update((prev) => appendToLastHistoryStep(prev, changes, label));
+  }, [update]);
+
+  const replay = useCallback(async (direction: HistoryDirection) => {
+    const stack = direction === 'undo' ? stateRef.current.undo : stateRef.current.redo;
+    const step = stack[stack.length - 1];
+    if (!step || replayingRef.current) return;
+
+    replayingRef.current = true;
+    setIsReplaying(true);
+    const verb = direction === 'undo' ? 'Rückgängig' : 'Wiederholen';
+    try {
+      const result = await api.replayChanges(toReplayChanges(step, direction)) as {
+        records?: { entity: string; id: string; row: HistoryRow | null }[];
+      };
+      update((prev) => completeHistoryReplay(prev, direction, step, result?.records));
+    } catch (error) {
+      const apiError = error as ApiError;
+      if (apiError.status === 409) {
+        update((prev) => discardHistoryStep(prev, step));
+        const conflicts = (apiError.details as { conflicts?: { reason?: string }[] } | undefined)?.conflicts ?? [];
+        const blocked = conflicts.filter((conflict) => conflict.reason === 'blocked').length;
+        const changed = conflicts.length - blocked;
+        const reasons = [
+          changed > 0 && `${changed === 1 ? '1 Eintrag wurde' : `${changed} Einträge wurden`} inzwischen anderweitig geändert.`,
+          blocked > 0 && `${blocked === 1 ? '1 Eintrag läge' : `${blocked} Einträge lägen`} in einer gesperrten Zelle.`,
+        ].filter(Boolean).join(' ');
+        toast.error(`${verb} nicht möglich: ${step.label}`, {
+          description: `${reasons} Der Schritt wurde aus dem Verlauf entfernt.`,
+        });
+      } else {
+        console.error(`[ScheduleHistory] ${verb} fehlgeschlagen`, error);
+        toast.error(`${verb} fehlgeschlagen: ${apiError.message}`);
+      }
+    } finally {
+      for (const entity of new Set(step.changes.map((change) => change.entity))) {
+        void queryClient.invalidateQueries({ queryKey: HISTORY_QUERY_KEYS[entity] });
+      }
+      replayingRef.current = false;
+      setIsReplaying(false);
+    }
+  }, [queryClient, update]);
+
+  const undo = useCallback(() => replay('undo'), [replay]);
+  const redo = useCallback(() => replay('redo'), [replay]);
+
+  // A colleague's write makes the steps touching that record unreplayable
+  useEffect(() => subscribePlanUpdates((payload) => {
+    const { entity, recordId, actor } = payload;
+    if (!recordId || !isHistoryEntity(entity)) return;
+    if (!actor?.email || actor.email === userEmail) return;
+    update((prev) => discardHistoryRecords(prev, entity, [recordId]));
+  }), [update, userEmail]);
+
+  return {
+    canUndo: state.undo.length > 0,
+    canRedo: state.redo.length > 0,
+    undoLabel: state.undo[state.undo.length - 1]?.label,
+    redoLabel: state.redo[state.redo.length - 1]?.label,
+    isReplaying,
+    record,
+    append,
+    undo,
+    redo,
+  };
+}
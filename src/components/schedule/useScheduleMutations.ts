@@ -3,15 +3,9 @@ import { toast } from 'sonner';
 import { useMutation } from '@tanstack/react-query';
 import { db } from '@/api/client';
 import type { Doctor, ShiftEntry, ScheduleBlock, ScheduleNote, SystemSetting, WishRequest } from '@/types';
-
-interface UndoAction {
-  type: string;
-  id?: string;
-  ids?: string[];
-  data?: unknown;
-}
-
-type UndoStackEntry = UndoAction | UndoAction[];
+import { historyChange } from './scheduleHistory';
+import type { ScheduleHistory } from './useScheduleHistory';
+import { versionConflictRow, type ConcurrentEditConflict, type ConcurrentRow } from './concurrentEdit';
 
 interface PartialBulkError extends Error {
   failedIds?: string[];
@@ -24,10 +18,25 @@ interface ScheduleMutationsDeps {
   allShifts: ShiftEntry[];
   wishes: WishRequest[];
   fetchRange: { start: string; end: string };
-  setUndoStack: React.Dispatch<React.SetStateAction<UndoStackEntry[]>>;
+  history: Pick<ScheduleHistory, 'record' | 'append'>;
   unlockCell: (date: string, position: string, timeslotId?: string) => void;
   systemSettings: SystemSetting[];
   queryClient: ReturnType<typeof import('@tanstack/react-query').useQueryClient>;
+  /** A colleague wrote the row since we read it (409); the board offers a merge */
+  onVersionConflict: (conflict: ConcurrentEditConflict) => void;
+}
+
+interface UpdateShiftVariables {
+  id: string;
+  data: Partial<ShiftEntry>;
+  /** Defaults to the version of the row on the board */
+  expectedVersion?: number;
+}
+
+interface UpdateNoteVariables {
+  id: string;
+  data: Partial<ScheduleNote>;
+  expectedVersion?: number;
 }
 
 interface ShiftOptimisticContext {
@@ -54,19 +63,36 @@ interface AutoFreiContext {
   oldShift?: ShiftEntry;
 }
 
+interface NoteContext {
+  oldNote?: ScheduleNote;
+}
+
+const countLabel = (count: number, singular: string, plural: string): string =>
+  count === 1 ? `1 ${singular}` : `${count} ${plural}`;
+
 export function useScheduleMutations({
   user,
   doctors,
   allShifts,
   wishes,
   fetchRange,
-  setUndoStack,
+  history,
   unlockCell,
   systemSettings,
   queryClient,
+  onVersionConflict,
 }: ScheduleMutationsDeps) {
   const shiftsQueryKey = ['shifts', fetchRange.start, fetchRange.end];
 
+  // Puts the server's row into the cache right away, so the next write sends
+  // its current version (`null` removes a row deleted meanwhile)
+  const applyServerRow = <T extends { id: string }>(queryKey: unknown[], id: string, row: ConcurrentRow | T | null) => {
+    queryClient.setQueryData(queryKey, (old: T[] | undefined) => {
+      if (!old) return old;
+      return row ? old.map((item) => item.id === id ? { ...item, ...row } : item) : old.filter((item) => item.id !== id);
+    });
+  };
+
   const updateDoctorMutation = useMutation<Doctor, Error, { id: string; data: Partial<Doctor> }>({
     mutationFn: ({ id, data }: { id: string; data: Partial<Doctor> }) => db.Doctor.update(id, data),
     onSuccess: () => queryClient.invalidateQueries({ queryKey: ['doctors'] }),
@@ -96,7 +122,7 @@ export function useScheduleMutations({
         return { previousShifts };
     },
     onSuccess: (data, newData, _context) => {
-        setUndoStack((prev) => [...prev, { type: 'DELETE', id: data.id }]);
+        history.record('Eintrag angelegt', [historyChange('ShiftEntry', null, data)]);
         queryClient.invalidateQueries({ queryKey: shiftsQueryKey });
 
         if (user?.role === 'admin' && newData.doctor_id) {
@@ -170,7 +196,7 @@ export function useScheduleMutations({
     },
     onSuccess: (data, _variables, _context) => {
         if (Array.isArray(data)) {
-             setUndoStack((prev) => [...prev, { type: 'BULK_DELETE', ids: data.map((s) => s.id) }]);
+             history.record(`${countLabel(data.length, 'Eintrag', 'Einträge')} angelegt`, data.map((s) => historyChange('ShiftEntry', null, s)));
              for (const shift of data) {
                  if (user?.role === 'admin' && shift.doctor_id) {
                      const doc = doctors.find((d) => d.id === shift.doctor_id);
@@ -222,8 +248,10 @@ export function useScheduleMutations({
     }
   });
 
-  const updateShiftMutation = useMutation<ShiftEntry, Error, { id: string; data: Partial<ShiftEntry> }, UpdateShiftContext>({
-    mutationFn: ({ id, data }: { id: string; data: Partial<ShiftEntry> }) => db.ShiftEntry.update(id, data),
+  const updateShiftMutation = useMutation<ShiftEntry, Error, UpdateShiftVariables, UpdateShiftContext>({
+    mutationFn: ({ id, data, expectedVersion }: UpdateShiftVariables) => db.ShiftEntry.update(id, data, {
+        expectedVersion: expectedVersion ?? allShifts.find((s: ShiftEntry) => s.id === id)?.version,
+    }),
     onMutate: async ({ id, data }) => {
         await queryClient.cancelQueries({ queryKey: shiftsQueryKey });
 
@@ -239,9 +267,9 @@ export function useScheduleMutations({
         return { previousShifts, oldShift, newData: data };
     },
     onSuccess: (data, { id, data: inputData }, context) => {
+        if (data?.id) applyServerRow(shiftsQueryKey, id, data);
         if (context.oldShift) {
-            const { id: _, created_date: _createdDate, updated_date: _updatedDate, created_by: _createdBy, ...oldData } = context.oldShift;
-            setUndoStack((prev) => [...prev, { type: 'UPDATE', id, data: oldData }]);
+            history.record('Eintrag geändert', [historyChange('ShiftEntry', context.oldShift, data?.id ? data : { ...context.oldShift, ...inputData, id })]);
 
             const fullShift = { ...context.oldShift, ...inputData };
             const matchingWish = wishes.find((w) =>
@@ -308,11 +336,22 @@ export function useScheduleMutations({
             queryClient.invalidateQueries({ queryKey: shiftsQueryKey });
         }, 100);
     },
-    onError: (error, _variables, context) => {
+    onError: (error, { id, data: inputData }, context) => {
         console.error('DEBUG: Update Mutation Failed', error);
         if (context?.previousShifts) {
             queryClient.setQueryData(shiftsQueryKey, context.previousShifts);
         }
+        const current = versionConflictRow(error);
+        if (current !== undefined && context?.oldShift) {
+            applyServerRow(shiftsQueryKey, id, current);
+            onVersionConflict({
+                entity: 'ShiftEntry', action: 'update', id,
+                base: { ...context.oldShift },
+                mine: { ...context.oldShift, ...inputData },
+                theirs: current,
+            });
+            return;
+        }
         if (error.message?.includes('403') || error.message?.includes('fehlt die Berechtigung') || error.message?.includes('missingPermission')) {
             console.warn('[ScheduleBoard] Update mutation denied by permission');
             return;
@@ -325,13 +364,7 @@ export function useScheduleMutations({
   const createAutoFreiMutation = useMutation<ShiftEntry, Error, Partial<ShiftEntry>>({
     mutationFn: (data: Partial<ShiftEntry>) => db.ShiftEntry.create(data),
     onSuccess: (data) => {
-        setUndoStack((prev) => {
-            const undoAction = { type: 'DELETE', id: data.id };
-            if (prev.length === 0) return [...prev, undoAction];
-            const last = prev[prev.length - 1] as UndoAction | UndoAction[];
-            const newGroup: UndoAction[] = Array.isArray(last) ? [...last, undoAction] : [last, undoAction];
-            return [...prev.slice(0, -1), newGroup];
-        });
+        history.append('Frei eingetragen', [historyChange('ShiftEntry', null, data)]);
         setTimeout(() => queryClient.invalidateQueries({ queryKey: shiftsQueryKey }), 100);
     },
     onError: (error) => { console.error('Auto-Frei creation failed:', error); }
@@ -343,17 +376,9 @@ export function useScheduleMutations({
         const oldShift = allShifts.find((s: ShiftEntry) => s.id === id);
         return { oldShift };
     },
-    onSuccess: (data, { id }, context) => {
+    onSuccess: (data, { id, data: inputData }, context) => {
         if (context.oldShift) {
-            const { id: _, created_date: _createdDate, updated_date: _updatedDate, created_by: _createdBy, ...oldData } = context.oldShift;
-            const undoAction = { type: 'UPDATE', id, data: oldData };
-
-            setUndoStack((prev) => {
-                if (prev.length === 0) return [...prev, undoAction];
-                const last = prev[prev.length - 1] as UndoAction | UndoAction[];
-                const newGroup: UndoAction[] = Array.isArray(last) ? [...last, undoAction] : [last, undoAction];
-                return [...prev.slice(0, -1), newGroup];
-            });
+            history.append('Frei geändert', [historyChange('ShiftEntry', context.oldShift, data?.id ? data : { ...context.oldShift, ...inputData, id })]);
         }
         setTimeout(() => queryClient.invalidateQueries({ queryKey: shiftsQueryKey }), 100);
     },
@@ -378,7 +403,7 @@ export function useScheduleMutations({
             }
         }
 
-        return db.ShiftEntry.delete(id);
+        return db.ShiftEntry.delete(id, { expectedVersion: shiftToDelete?.version });
     },
     onMutate: async (id) => {
         await queryClient.cancelQueries({ queryKey: shiftsQueryKey });
@@ -393,8 +418,7 @@ export function useScheduleMutations({
     },
     onSuccess: (_data, id, context) => {
         if (context.shift) {
-            const { id: _, created_date: _createdDate, updated_date: _updatedDate, created_by: _createdBy, ...shiftData } = context.shift;
-            setUndoStack((prev) => [...prev, { type: 'CREATE', data: shiftData }]);
+            history.record('Eintrag gelöscht', [historyChange('ShiftEntry', context.shift, null)]);
 
             if (user?.role === 'admin' && context.shift.doctor_id && context.shift.doctor_id !== user.doctor_id) {
                 db.ShiftNotification.create({
@@ -415,6 +439,17 @@ export function useScheduleMutations({
         if (context?.previousShifts) {
             queryClient.setQueryData(shiftsQueryKey, context.previousShifts);
         }
+        const current = versionConflictRow(error);
+        if (current !== undefined && context?.shift) {
+            applyServerRow(shiftsQueryKey, id, current);
+            onVersionConflict({
+                entity: 'ShiftEntry', action: 'delete', id,
+                base: { ...context.shift },
+                mine: null,
+                theirs: current,
+            });
+            return;
+        }
         if (error.message?.includes('403') || error.message?.includes('fehlt die Berechtigung') || error.message?.includes('missingPermission')) {
             console.warn('[ScheduleBoard] Delete mutation denied by permission');
             return;
@@ -425,7 +460,9 @@ export function useScheduleMutations({
 
   const bulkDeleteMutation = useMutation<void, Error, string[], BulkDeleteContext>({
     mutationFn: async (ids: string[]) => {
-        const results = await Promise.allSettled(ids.map((id) => db.ShiftEntry.delete(id)));
+        const results = await Promise.allSettled(ids.map((id) => db.ShiftEntry.delete(id, {
+            expectedVersion: allShifts.find((s: ShiftEntry) => s.id === id)?.version,
+        })));
         const failures = results
             .map((r, idx) => ({ r, id: ids[idx] }))
             .filter(({ r }) => r.status === 'rejected');
@@ -466,11 +503,10 @@ export function useScheduleMutations({
     },
     onSuccess: (_data, _ids, context) => {
         if (context.shifts && context.shifts.length > 0) {
-            const shiftsData = context.shifts.map((s: ShiftEntry) => {
-                const { id: _id, created_date: _createdDate, updated_date: _updatedDate, created_by: _createdBy, ...rest } = s;
-                return rest;
-            });
-            setUndoStack((prev) => [...prev, { type: 'BULK_CREATE', data: shiftsData }]);
+            history.record(
+                `${countLabel(context.shifts.length, 'Eintrag', 'Einträge')} gelöscht`,
+                context.shifts.map((s: ShiftEntry) => historyChange('ShiftEntry', s, null)),
+            );
         }
         setTimeout(() => {
             queryClient.invalidateQueries({ queryKey: shiftsQueryKey });
@@ -478,19 +514,59 @@ export function useScheduleMutations({
     }
   });
 
+  const findNote = (id: string): ScheduleNote | undefined =>
+    queryClient.getQueryData<ScheduleNote[]>(['scheduleNotes'])?.find((n) => n.id === id);
+
   const createNoteMutation = useMutation<ScheduleNote, Error, Partial<ScheduleNote>>({
     mutationFn: (data: Partial<ScheduleNote>) => db.ScheduleNote.create(data),
-    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] }),
+    onSuccess: (data) => {
+      if (data?.id) history.record('Notiz angelegt', [historyChange('ScheduleNote', null, data)]);
+      queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] });
+    },
   });
 
-  const updateNoteMutation = useMutation<ScheduleNote, Error, { id: string; data: Partial<ScheduleNote> }>({
-    mutationFn: ({ id, data }: { id: string; data: Partial<ScheduleNote> }) => db.ScheduleNote.update(id, data),
-    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] }),
+  const updateNoteMutation = useMutation<ScheduleNote, Error, UpdateNoteVariables, NoteContext>({
+    mutationFn: ({ id, data, expectedVersion }: UpdateNoteVariables) =>
+      db.ScheduleNote.update(id, data, { expectedVersion: expectedVersion ?? findNote(id)?.version }),
+    onMutate: ({ id }) => ({ oldNote: findNote(id) }),
+    onSuccess: (data, { id, data: inputData }, context) => {
+      if (data?.id) applyServerRow(['scheduleNotes'], id, data);
+      if (context.oldNote) {
+        history.record('Notiz geändert', [historyChange('ScheduleNote', context.oldNote, data?.id ? data : { ...context.oldNote, ...inputData, id })]);
+      }
+      queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] });
+    },
+    onError: (error, { id, data: inputData }, context) => {
+      const current = versionConflictRow(error);
+      if (current === undefined || !context?.oldNote) return;
+      applyServerRow(['scheduleNotes'], id, current);
+      onVersionConflict({
+        entity: 'ScheduleNote', action: 'update', id,
+        base: { ...context.oldNote },
+        mine: { ...context.oldNote, ...inputData },
+        theirs: current,
+      });
+    },
   });
 
-  const deleteNoteMutation = useMutation<ScheduleNote, Error, string>({
-    mutationFn: (id: string) => db.ScheduleNote.delete(id),
-    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] }),
+  const deleteNoteMutation = useMutation<ScheduleNote, Error, string, NoteContext>({
+    mutationFn: (id: string) => db.ScheduleNote.delete(id, { expectedVersion: findNote(id)?.version }),
+    onMutate: (id) => ({ oldNote: findNote(id) }),
+    onSuccess: (_data, _id, context) => {
+      if (context.oldNote) history.record('Notiz gelöscht', [historyChange('ScheduleNote', context.oldNote, null)]);
+      queryClient.invalidateQueries({ queryKey: ['scheduleNotes'] });
+    },
+    onError: (error, id, context) => {
+      const current = versionConflictRow(error);
+      if (current === undefined || !context?.oldNote) return;
+      applyServerRow(['scheduleNotes'], id, current);
+      onVersionConflict({
+        entity: 'ScheduleNote', action: 'delete', id,
+        base: { ...context.oldNote },
+        mine: null,
+        theirs: current,
+      });
+    },
   });
 
   // ScheduleBlock mutations (type='block')
@@ -0,0 +1,124 @@
+/**
+ * Per-tenant AutoFill weight profiles.
+ *
+ * Profiles are stored as JSON in the SystemSetting `autofill_weight_profiles`
+ * and only contain the weights that differ from the CostFunction defaults.
+ * `autofill_active_weight_profile` holds the id of the profile AutoFill uses;
+ * without it AutoFill runs with the defaults.
+ *
+ * Hard rules (Nicht-Qualifikation, genehmigtes "kein Dienst") are Infinity in
+ * WEIGHTS and are not tunable.
+ */
+
+import { WEIGHTS } from './costFunction';
+import type { CostWeights } from './costFunction';
+import type { SystemSetting } from '@/types';
+
+export const WEIGHT_PROFILES_SETTING_KEY = 'autofill_weight_profiles';
+export const ACTIVE_WEIGHT_PROFILE_SETTING_KEY = 'autofill_active_weight_profile';
+
+export type CostWeightKey = keyof CostWeights;
+
+export interface WeightProfile {
+    id: string;
+    name: string;
+    /** Overrides only; missing keys use WEIGHTS. */
+    weights: Partial<CostWeights>;
+}
+
+export interface TunableWeight {
+    key: CostWeightKey;
+    label: string;
+    group: string;
+}
+
+/** Weights shown in the profile editor, grouped like the dimensions in costFunction.ts. */
+export const TUNABLE_WEIGHTS: TunableWeight[] = [
+    { key: 'FAIRNESS_WEIGHT', label: 'Dienstgerechtigkeit (je Dienst/VK)', group: 'Fairness' },
+    { key: 'WEEKLY_WEIGHT', label: 'Wochenauslastung (je Einsatz)', group: 'Fairness' },
+    { key: 'LEDGER_WEIGHT', label: 'Langzeit-Ausgleich (je Dienst über/unter 12-Monats-Anteil)', group: 'Fairness' },
+    { key: 'LIMIT_EXCEEDED', label: 'Dienstlimit überschritten', group: 'Fairness' },
+    { key: 'ROT_MATCH', label: 'Rotation passt', group: 'Rotation' },
+    { key: 'ROT_DISPLACED_MATCH', label: 'Verdrängter Rotant kehrt zurück', group: 'Rotation' },
+    { key: 'ROT_ELSEWHERE', label: 'Rotation an anderem Arbeitsplatz', group: 'Rotation' },
+    { key: 'DISPLACEMENT_BONUS', label: 'Bonus je Verdrängung', group: 'Rotation' },
+    { key: 'WISH_APPROVED', label: 'Genehmigter Dienstwunsch', group: 'Wünsche' },
+    { key: 'WISH_PENDING', label: 'Offener Dienstwunsch', group: 'Wünsche' },
+    { key: 'WISH_NO_SERVICE_PENDING', label: 'Offener „kein Dienst“-Wunsch', group: 'Wünsche' },
+    { key: 'QUAL_MISSING_MANDATORY', label: 'Pflicht-Qualifikation fehlt', group: 'Qualifikation' },
+    { key: 'QUAL_DISCOURAGED', label: '„Sollte nicht“-Qualifikation', group: 'Qualifikation' },
+    { key: 'QUAL_MISSING_OPTIONAL', label: '„Sollte“-Qualifikation fehlt', group: 'Qualifikation' },
+    { key: 'QUAL_HAS_OPTIONAL', label: 'Alle „Sollte“-Qualifikationen', group: 'Qualifikation' },
+    { key: 'QUAL_HAS_ANY_OPTIONAL', label: 'Mindestens eine „Sollte“-Qualifikation', group: 'Qualifikation' },
+    { key: 'UNDERSTAFF_BELOW_MIN', label: 'Anderer Arbeitsplatz unter Minimum', group: 'Besetzung' },
+    { key: 'UNDERSTAFF_BELOW_OPT', label: 'Anderer Arbeitsplatz unter Optimum', group: 'Besetzung' },
+    { key: 'UNDERSTAFF_CRITICAL', label: 'Arbeitsplatz ohne Kandidaten', group: 'Besetzung' },
+    { key: 'IMPACT_WEIGHT', label: 'Bedeutung für Rotations-Pool', group: 'Besetzung' },
+    { key: 'SOLE_OCCUPANT', label: 'Einzige Besetzung abziehen', group: 'Besetzung' },
+    { key: 'CONSECUTIVE_PENALTY', label: 'Folgedienst (unerwünscht)', group: 'Folgetage' },
+    { key: 'CONSECUTIVE_BONUS', label: 'Folgedienst (bevorzugt)', group: 'Folgetage' },
+];
+
+const TUNABLE_KEYS = new Set<string>(TUNABLE_WEIGHTS.map((w) => w.key));
+
+/** Starting points offered when creating a profile. */
+export const WEIGHT_PROFILE_PRESETS: WeightProfile[] = [
+    {
+        id: 'preset-fairness',
+        name: 'Fairness-betont',
+        weights: { FAIRNESS_WEIGHT: 15, WEEKLY_WEIGHT: 5, LIMIT_EXCEEDED: 60, ROT_MATCH: -8, WISH_PENDING: -5 },
+    },
+    {
+        id: 'preset-rotation',
+        name: 'Rotations-betont',
+        weights: { ROT_MATCH: -40, ROT_DISPLACED_MATCH: -45, ROT_ELSEWHERE: 25, FAIRNESS_WEIGHT: 2, WEEKLY_WEIGHT: 1 },
+    },
+];
+
+/** Keeps tunable keys with finite numbers; everything else is dropped. */
+export function sanitizeWeightOverrides(raw: unknown): Partial<CostWeights> {
+    if (!raw || typeof raw !== 'object') return {};
+    const result: Partial<CostWeights> = {};
+    for (const [key, value] of Object.entries(raw as Record<string, unknown>)) {
+        const num = typeof value === 'string' ? Number(value.replace(',', '.')) : value;
+        if (TUNABLE_KEYS.has(key) && typeof num === 'number' && Number.isFinite(num)) {
+            result[key as CostWeightKey] = num;
+        }
+    }
+    return result;
+}
+
+/** Profiles from the setting value; invalid JSON or entries are ignored. */
+export function parseWeightProfiles(raw: string | null | undefined): WeightProfile[] {
+    if (!raw) return [];
+    try {
+        const parsed: unknown = JSON.parse(raw);
+        if (!Array.isArray(parsed)) return [];
+        return parsed
+            .filter((p): p is Record<string, unknown> => Boolean(p) && typeof p === 'object')
+            .filter((p) => typeof p.id === 'string' && typeof p.name === 'string' && p.name.trim() !== '')
+            .map((p) => ({ id: p.id as string, name: (p.name as string).trim(), weights: sanitizeWeightOverrides(p.weights) }));
+    } catch {
+        return [];
+    }
+}
+
+export function serializeWeightProfiles(profiles: WeightProfile[]): string {
+    return JSON.stringify(profiles.map((p) => ({ id: p.id, name: p.name, weights: sanitizeWeightOverrides(p.weights) })));
+}
+
+export function getWeightProfiles(systemSettings: SystemSetting[]): WeightProfile[] {
+    return parseWeightProfiles(systemSettings.find((s) => s.key === WEIGHT_PROFILES_SETTING_KEY)?.value);
+}
+
+/** The tenant's active profile, or null for the defaults. */
+export function getActiveWeightProfile(systemSettings: SystemSetting[]): WeightProfile | null {
+    const activeId = systemSettings.find((s) => s.key === ACTIVE_WEIGHT_PROFILE_SETTING_KEY)?.value;
+    if (!activeId) return null;
+    return getWeightProfiles(systemSettings).find((p) => p.id === activeId) ?? null;
+}
+
+/** Full weight set for a profile (defaults for everything it does not override). */
+export function resolveWeights(overrides?: Partial<CostWeights> | null): CostWeights {
+    return { ...WEIGHTS, ...sanitizeWeightOverrides(overrides) };
+}
@@ -14,6 +14,11 @@ import { Settings, AlertTriangle, Ban, Info, Plus, Trash2 } from 'lucide-react';
 import { useQualifications } from '@/hooks/useQualifications';
 import type { SystemSetting } from '@/types';
 import type { Qualification } from '@/hooks/useQualifications';
+import { parseRestPeriodConfig, REST_PERIOD_SETTING_KEY } from '@/utils/restPeriod';
+import type { RestPeriodConfig } from '@/utils/restPeriod';
+import { parseWorkingHoursConfig, WORKING_HOURS_SETTING_KEY } from '@/utils/workingHours';
+import type { WorkingHoursConfig } from '@/utils/workingHours';
+import { isPublishWorkflowEnabled, PUBLISH_WORKFLOW_SETTING_KEY } from '@/components/schedule/schedulePublication';
 
 interface ThresholdEntry {
     qualificationId: string;
@@ -132,6 +137,21 @@ export default function AppSettingsDialog() {
         updateSettingMutation.mutate({ key: 'availability_thresholds', value: JSON.stringify(updated) });
     };
 
+    // ─── Ruhezeit (ArbZG §5) ───
+    const restPeriod = parseRestPeriodConfig(settings);
+    const updateRestPeriod = (patch: Partial<RestPeriodConfig>) => {
+        updateSettingMutation.mutate({ key: REST_PERIOD_SETTING_KEY, value: JSON.stringify({ ...restPeriod, ...patch }) });
+    };
+    // ─── Höchstarbeitszeit (ArbZG §3) ───
+    const workingHours = parseWorkingHoursConfig(settings);
+    const updateWorkingHours = (patch: Partial<WorkingHoursConfig>) => {
+        updateSettingMutation.mutate({ key: WORKING_HOURS_SETTING_KEY, value: JSON.stringify({ ...workingHours, ...patch }) });
+    };
+    const parseHoursInput = (value: string): number | null => {
+        const num = parseFloat(value.replace(',', '.'));
+        return Number.isFinite(num) && num > 0 ? num : null;
+    };
+
     const toggleVisibleType = (type: string) => {
         const newTypes = visibleTypes.includes(type) 
             ? visibleTypes.filter(t => t !== type)
@@ -177,6 +197,17 @@ export default function AppSettingsDialog() {
                             />
                         </div>
 
+                        <div className="flex items-center justify-between border p-3 rounded-lg bg-slate-50">
+                            <div className="space-y-0.5">
+                                <Label>Freigabe-Workflow (Entwurf / Veröffentlicht)</Label>
+                                <p className="text-xs text-slate-500">Planer bearbeiten einen Entwurf; Mitarbeitende sehen erst veröffentlichte Zeiträume.</p>
+                            </div>
+                            <Switch
+                                checked={isPublishWorkflowEnabled(settings)}
+                                onCheckedChange={(checked) => { updateSettingMutation.mutate({ key: PUBLISH_WORKFLOW_SETTING_KEY, value: String(checked) }); }}
+                            />
+                        </div>
+
                         <div className="border p-3 rounded-lg bg-slate-50 space-y-3">
                             <div className="space-y-0.5">
                                 <Label>Anzuzeigende Abwesenheitstypen (Jahresübersicht)</Label>
@@ -321,6 +352,160 @@ export default function AppSettingsDialog() {
                                 ))}
                             </div>
                         </div>
+
+                        <div className="border p-4 rounded-lg bg-slate-50 space-y-3">
+                            <div className="flex items-center justify-between gap-2">
+                                <div className="space-y-0.5">
+                                    <h4 className="font-medium text-sm">Ruhezeit zwischen Einsätzen</h4>
+                                    <p className="text-xs text-slate-500">
+                                        Mindestruhezeit zwischen Arbeitsende und nächstem Einsatz (ArbZG §5). Zeiten stammen aus den Timeslots; Dienste über Mitternacht werden berücksichtigt. Die automatische Planung hält die Ruhezeit immer ein.
+                                    </p>
+                                </div>
+                                <Switch
+                                    checked={restPeriod.enabled}
+                                    onCheckedChange={(checked) => { updateRestPeriod({ enabled: checked }); }}
+                                />
+                            </div>
+                            {restPeriod.enabled && (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Mindestruhezeit (Stunden)</Label>
+                                        <Input
+                                            type="number"
+                                            min="1"
+                                            max="24"
+                                            step="0.5"
+                                            defaultValue={restPeriod.minHours}
+                                            key={`rest-min-${restPeriod.minHours}`}
+                                            onBlur={(e) => { const v = parseHoursInput(e.target.value); if (v) updateRestPeriod({ minHours: v }); }}
+                                            className="h-8"
+                                        />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Verkürzt nach Rufbereitschaft (Stunden)</Label>
+                                        <Input
+                                            type="number"
+                                            min="1"
+                                            max="24"
+                                            step="0.5"
+                                            placeholder="keine Verkürzung"
+                                            defaultValue={restPeriod.reducedHours ?? ''}
+                                            key={`rest-reduced-${restPeriod.reducedHours}`}
+                                            onBlur={(e) => { updateRestPeriod({ reducedHours: parseHoursInput(e.target.value) }); }}
+                                            className="h-8"
+                                        />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Verhalten bei Verstoß</Label>
+                                        <Select
+                                            value={restPeriod.severity}
+                                            onValueChange={(val) => { updateRestPeriod({ severity: val as RestPeriodConfig['severity'] }); }}
+                                        >
+                                            <SelectTrigger className="h-8">
+                                                <SelectValue />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                <SelectItem value="blocker">Blockieren</SelectItem>
+                                                <SelectItem value="warning">Warnung</SelectItem>
+                                            </SelectContent>
+                                        </Select>
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Dienstzeit ohne Timeslot (optional)</Label>
+                                        <div className="flex items-center gap-1">
+                                            <Input
+                                                type="time"
+                                                defaultValue={restPeriod.serviceDefaultStart ?? ''}
+                                                key={`rest-svc-start-${restPeriod.serviceDefaultStart}`}
+                                                onBlur={(e) => { updateRestPeriod({ serviceDefaultStart: e.target.value || null }); }}
+                                                className="h-8"
+                                            />
+                                            <span className="text-xs text-slate-500">–</span>
+                                            <Input
+                                                type="time"
+                                                defaultValue={restPeriod.serviceDefaultEnd ?? ''}
+                                                key={`rest-svc-end-${restPeriod.serviceDefaultEnd}`}
+                                                onBlur={(e) => { updateRestPeriod({ serviceDefaultEnd: e.target.value || null }); }}
+                                                className="h-8"
+                                            />
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="border p-4 rounded-lg bg-slate-50 space-y-3">
+                            <div className="flex items-center justify-between gap-2">
+                                <div className="space-y-0.5">
+                                    <h4 className="font-medium text-sm">Höchstarbeitszeit pro Woche</h4>
+                                    <p className="text-xs text-slate-500">
+                                        Summiert die Arbeitszeit je Kalenderwoche (ohne Rufbereitschaft) und den Durchschnitt über den Ausgleichszeitraum (ArbZG §3). Mitarbeitende mit Opt-out sind vom Durchschnitt ausgenommen. Die automatische Planung überschreitet die Wochengrenze nie.
+                                    </p>
+                                </div>
+                                <Switch
+                                    checked={workingHours.enabled}
+                                    onCheckedChange={(checked) => { updateWorkingHours({ enabled: checked }); }}
+                                />
+                            </div>
+                            {workingHours.enabled && (
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Höchstgrenze pro Woche (Stunden)</Label>
+                                        <Input
+                                            type="number"
+                                            min="1"
+                                            max="168"
+                                            step="0.5"
+                                            defaultValue={workingHours.weeklyMaxHours}
+                                            key={`hours-week-${workingHours.weeklyMaxHours}`}
+                                            onBlur={(e) => { const v = parseHoursInput(e.target.value); if (v) updateWorkingHours({ weeklyMaxHours: v }); }}
+                                            className="h-8"
+                                        />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Verhalten bei Verstoß</Label>
+                                        <Select
+                                            value={workingHours.severity}
+                                            onValueChange={(val) => { updateWorkingHours({ severity: val as WorkingHoursConfig['severity'] }); }}
+                                        >
+                                            <SelectTrigger className="h-8">
+                                                <SelectValue />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                <SelectItem value="blocker">Blockieren</SelectItem>
+                                                <SelectItem value="warning">Warnung</SelectItem>
+                                            </SelectContent>
+                                        </Select>
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Durchschnitt max. (Stunden/Woche)</Label>
+                                        <Input
+                                            type="number"
+                                            min="1"
+                                            max="168"
+                                            step="0.5"
+                                            defaultValue={workingHours.averageMaxHours}
+                                            key={`hours-avg-${workingHours.averageMaxHours}`}
+                                            onBlur={(e) => { const v = parseHoursInput(e.target.value); if (v) updateWorkingHours({ averageMaxHours: v }); }}
+                                            className="h-8"
+                                        />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label className="text-xs">Ausgleichszeitraum (Monate)</Label>
+                                        <Input
+                                            type="number"
+                                            min="1"
+                                            max="24"
+                                            step="1"
+                                            defaultValue={workingHours.averagingMonths}
+                                            key={`hours-months-${workingHours.averagingMonths}`}
+                                            onBlur={(e) => { const v = parseHoursInput(e.target.value); if (v) updateWorkingHours({ averagingMonths: Math.round(v) }); }}
+                                            className="h-8"
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
                     </TabsContent>
                 </Tabs>
 
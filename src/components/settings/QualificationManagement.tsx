@@ -39,6 +39,7 @@ interface QualificationFormData {
   certificate_requirement_mode: 'single_document' | 'base_refresh';
   certificate_validity_months: string;
   certificate_refresh_validity_months: string;
+  certificate_grace_days: string;
   certificate_base_label: string;
   certificate_refresh_label: string;
 }
@@ -86,6 +87,7 @@ function QualificationEditDialog({ qualification, open, onOpenChange, onSave }:
         certificate_requirement_mode: 'single_document',
         certificate_validity_months: '',
         certificate_refresh_validity_months: '',
+        certificate_grace_days: '0',
         certificate_base_label: 'Grundnachweis',
         certificate_refresh_label: 'Verlängerung / Auffrischung',
     });
@@ -104,6 +106,7 @@ function QualificationEditDialog({ qualification, open, onOpenChange, onSave }:
                 certificate_requirement_mode: (qualification.certificate_requirement_mode as 'single_document' | 'base_refresh') || 'single_document',
                 certificate_validity_months: qualification.certificate_validity_months != null ? String(qualification.certificate_validity_months) : '',
                 certificate_refresh_validity_months: qualification.certificate_refresh_validity_months != null ? String(qualification.certificate_refresh_validity_months) : '',
+                certificate_grace_days: String(qualification.certificate_grace_days ?? 0),
                 certificate_base_label: qualification.certificate_base_label || 'Grundnachweis',
                 certificate_refresh_label: qualification.certificate_refresh_label || 'Verlängerung / Auffrischung',
             });
@@ -120,6 +123,7 @@ function QualificationEditDialog({ qualification, open, onOpenChange, onSave }:
                 certificate_requirement_mode: 'single_document',
                 certificate_validity_months: '',
                 certificate_refresh_validity_months: '',
+                certificate_grace_days: '0',
                 certificate_base_label: 'Grundnachweis',
                 certificate_refresh_label: 'Verlängerung / Auffrischung',
             });
@@ -134,6 +138,7 @@ function QualificationEditDialog({ qualification, open, onOpenChange, onSave }:
             if (!data.short_label) {
                 data.short_label = data.name.substring(0, 3).toUpperCase();
             }
+            data.certificate_grace_days = String(Math.max(0, parseInt(data.certificate_grace_days, 10) || 0));
             onSave(data);
         }
     };
@@ -320,6 +325,23 @@ function QualificationEditDialog({ qualification, open, onOpenChange, onSave }:
                                 )}
                             </div>
 
+                            <div className="grid gap-2">
+                                <Label htmlFor="certificateGraceDays">Karenzzeit in Tagen</Label>
+                                <Input
+                                    id="certificateGraceDays"
+                                    type="number"
+                                    min="0"
+                                    value={formData.certificate_grace_days}
+                                    onChange={(e) => { setFormData({ ...formData, certificate_grace_days: e.target.value }); }}
+                                    placeholder="0"
+                                />
+                                <div className="text-xs text-slate-500">
+                                    Ohne gültigen Nachweis zählt die Qualifikation nach Ablauf dieser Frist nicht mehr
+                                    für Pflicht-Anforderungen bei Einteilung und AutoFill. Bei fehlendem Nachweis läuft
+                                    die Frist ab der Zuordnung.
+                                </div>
+                            </div>
+
                             {formData.certificate_requirement_mode === 'base_refresh' && (
                                 <div className="grid gap-3 sm:grid-cols-2">
                                     <div className="grid gap-2">
@@ -38,6 +38,7 @@ export interface DoctorFormData {
   target_weekly_hours?: string | number;
   contract_end_date?: string;
   exclude_from_staffing_plan?: boolean;
+  working_time_opt_out?: boolean;
   central_employee_id?: string;
   part_time_model?: string;
   vacation_days?: number;
@@ -153,6 +154,7 @@ export default function DoctorForm({ open, onOpenChange, doctor, onSubmit }: Doc
         target_weekly_hours: '',
         contract_end_date: "",
         exclude_from_staffing_plan: false,
+        working_time_opt_out: false,
         central_employee_id: '',
         part_time_model: 'reduced_daily',
       });
@@ -605,7 +607,21 @@ export default function DoctorForm({ open, onOpenChange, doctor, onSubmit }: Doc
                   onCheckedChange={(checked) => { setFormData({ ...formData, exclude_from_staffing_plan: checked }); }}
               />
           </div>
-          
+
+
+          <div className="flex items-center justify-between border p-3 rounded-lg bg-slate-50">
+              <div className="space-y-0.5">
+                  <Label htmlFor="working_time_opt_out" className="text-base">Opt-out Arbeitszeit</Label>
+                  <div className="text-xs text-slate-500">
+                      Schriftliche Einwilligung nach ArbZG §7 Abs. 7 liegt vor: kein Hinweis bei Überschreiten des 48h-Durchschnitts.
+                  </div>
+              </div>
+              <Switch
+                  id="working_time_opt_out"
+                  checked={formData.working_time_opt_out || false}
+                  onCheckedChange={(checked) => { setFormData({ ...formData, working_time_opt_out: checked }); }}
+              />
+          </div>          
           {/* Zentrale Mitarbeiterverknüpfung (nur bei Bearbeitung) */}
           {doctor && (
           <div className="border rounded-lg p-3 bg-slate-50 space-y-2">
@@ -0,0 +1,255 @@
+import { useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { addDays, addMonths, eachDayOfInterval, format, parseISO, startOfDay } from 'date-fns';
+import { de } from 'date-fns/locale';
+import { db, api } from '@/api/client';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertTriangle, Check, TrendingDown } from 'lucide-react';
+import { useHolidays } from '@/components/useHolidays';
+import { getActiveTokenId } from '@/components/dbTokenStorage';
+import { getTrainingContractInfo } from '@/components/training/trainingContractUtils';
+import { useQualifications, useAllDoctorQualifications, useAllWorkplaceQualifications } from '@/hooks/useQualifications';
+import {
+    buildCoverageForecast,
+    describeCoverageGap,
+    groupGapsByMonth,
+    type CoverageAbsence,
+    type CoverageContract,
+} from './coverageForecast';
+import type { Doctor, ShiftEntry, Workplace } from '@/types';
+
+interface CentralEmployee {
+    id: string;
+    contract_start?: string | null;
+    contract_end?: string | null;
+}
+
+interface CentralAbsence {
+    employee_id?: string | null;
+    date: string;
+    position: string;
+}
+
+interface QualificationCoverageForecastProps {
+    doctors?: Doctor[];
+}
+
+const HORIZON_OPTIONS = [3, 6, 12];
+// Gap days listed per tooltip before "…"
+const TOOLTIP_DAYS = 8;
+
+/**
+ * Abdeckungsprognose: An welchen Tagen der nächsten Monate fehlen für einen
+ * Arbeitsplatz Mitarbeiter mit Pflicht-Qualifikation (Abwesenheiten,
+ * Vertragsende, ablaufende Nachweise)?
+ */
+export default function QualificationCoverageForecast({ doctors = [] }: QualificationCoverageForecastProps) {
+    const [months, setMonths] = useState(3);
+    const { qualificationMap, isLoading: qualsLoading } = useQualifications();
+    const { getQualificationIds, isLoading: dqLoading } = useAllDoctorQualifications();
+    const { allWorkplaceQualifications, isLoading: wqLoading } = useAllWorkplaceQualifications();
+
+    const range = useMemo(() => {
+        const start = startOfDay(new Date());
+        const end = addDays(addMonths(start, months), -1);
+        return {
+            start: format(start, 'yyyy-MM-dd'),
+            end: format(end, 'yyyy-MM-dd'),
+            dates: eachDayOfInterval({ start, end }).map((day) => format(day, 'yyyy-MM-dd')),
+            monthKeys: Array.from({ length: months + 1 }, (_, i) => format(addMonths(start, i), 'yyyy-MM'))
+                .filter((key) => key <= format(end, 'yyyy-MM')),
+        };
+    }, [months]);
+
+    // The horizon spans at most two calendar years
+    const { isPublicHoliday: isHolidayThisYear } = useHolidays(Number(range.start.slice(0, 4)));
+    const { isPublicHoliday: isHolidayNextYear } = useHolidays(Number(range.start.slice(0, 4)) + 1);
+
+    const { data: workplaces = [], isLoading: workplacesLoading } = useQuery<Workplace[]>({
+        queryKey: ['workplaces'],
+        queryFn: () => db.Workplace.list() as Promise<Workplace[]>,
+    });
+
+    const { data: shifts = [], isLoading: shiftsLoading } = useQuery<ShiftEntry[]>({
+        queryKey: ['shifts-coverage-forecast', range.start, range.end],
+        queryFn: () => db.ShiftEntry.filter({
+            date: { $gte: range.start, $lte: range.end },
+        }) as Promise<ShiftEntry[]>,
+        staleTime: 1000 * 60 * 5,
+    });
+
+    const dbTokenId = getActiveTokenId();
+    const { data: centralAbsencesData } = useQuery({
+        queryKey: ['pool', 'central-absences', dbTokenId, range.start, range.end],
+        queryFn: () => api.getGroupCentralAbsences({ from: range.start, to: range.end }) as Promise<{ absences?: CentralAbsence[] }>,
+    });
+
+    const { data: masterEmployees = [] } = useQuery<CentralEmployee[]>({
+        queryKey: ['master-central-employees-for-vacation'],
+        queryFn: async () => {
+            try {
+                const result = await api.request('/api/master/employees') as { employees?: CentralEmployee[] };
+                return result.employees || [];
+            } catch {
+                return [];
+            }
+        },
+        staleTime: 10 * 60 * 1000,
+        refetchOnWindowFocus: false,
+    });
+
+    const rows = useMemo(() => {
+        const employeesById = new Map(masterEmployees.map((employee) => [employee.id, employee]));
+        const doctorByCentralId = new Map<string, string>();
+        const contractByDoctorId: Record<string, CoverageContract> = {};
+        for (const doctor of doctors) {
+            const employee = doctor.central_employee_id ? employeesById.get(doctor.central_employee_id) : null;
+            if (doctor.central_employee_id) doctorByCentralId.set(doctor.central_employee_id, doctor.id);
+            // Central contract first, tenant contract end as fallback
+            const contractInfo = getTrainingContractInfo(
+                employee?.contract_start ?? undefined,
+                employee?.contract_end ?? doctor.contract_end_date ?? undefined,
+            );
+            if (contractInfo) contractByDoctorId[doctor.id] = contractInfo;
+        }
+
+        // Absences from other tenants of the group, mapped to the local doctor
+        const absences: CoverageAbsence[] = [...shifts];
+        for (const absence of centralAbsencesData?.absences || []) {
+            const doctorId = absence.employee_id ? doctorByCentralId.get(absence.employee_id) : null;
+            if (doctorId) absences.push({ doctor_id: doctorId, date: absence.date, position: absence.position });
+        }
+
+        return buildCoverageForecast({
+            dates: range.dates,
+            doctors,
+            workplaces,
+            workplaceQualifications: allWorkplaceQualifications,
+            getDoctorQualIds: getQualificationIds,
+            absences,
+            contractByDoctorId,
+            isPublicHoliday: (dateStr) => {
+                const date = parseISO(dateStr);
+                return !!(dateStr.startsWith(range.start.slice(0, 4)) ? isHolidayThisYear(date) : isHolidayNextYear(date));
+            },
+        }).sort((a, b) => b.gaps.length - a.gaps.length || a.workplaceName.localeCompare(b.workplaceName));
+    }, [masterEmployees, doctors, shifts, centralAbsencesData, range, workplaces, allWorkplaceQualifications, getQualificationIds, isHolidayThisYear, isHolidayNextYear]);
+
+    const rowsWithGaps = rows.filter((row) => row.gaps.length > 0).length;
+    const isLoading = qualsLoading || dqLoading || wqLoading || workplacesLoading || shiftsLoading;
+
+    return (
+        <Card className="flex h-full min-h-0 flex-col">
+            <CardHeader className="pb-3">
+                <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+                    <div>
+                        <CardTitle className="text-lg flex items-center gap-2">
+                            <TrendingDown className="w-5 h-5" />
+                            Abdeckungsprognose
+                        </CardTitle>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Tage, an denen ein Arbeitsplatz weniger verfügbare Mitarbeiter mit Pflicht-Qualifikation hat als die Mindestbesetzung.
+                            Berücksichtigt geplante Abwesenheiten, Vertragsende und ablaufende Nachweise.
+                        </p>
+                    </div>
+                    <div className="flex gap-1">
+                        {HORIZON_OPTIONS.map((option) => (
+                            <Button
+                                key={option}
+                                type="button"
+                                size="sm"
+                                variant={months === option ? 'default' : 'outline'}
+                                onClick={() => { setMonths(option); }}
+                            >
+                                {option} Monate
+                            </Button>
+                        ))}
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent className="min-h-0 flex-1">
+                {isLoading ? (
+                    <div className="flex items-center justify-center h-32 text-slate-400">
+                        Wird geladen...
+                    </div>
+                ) : rows.length === 0 ? (
+                    <div className="py-12 text-center text-sm text-slate-500">
+                        Für keinen Arbeitsplatz sind Pflicht-Qualifikationen hinterlegt.
+                    </div>
+                ) : (
+                    <div className="flex h-full min-h-0 flex-col gap-3">
+                        <div className={`rounded-md border px-3 py-2 text-xs ${rowsWithGaps > 0 ? 'border-amber-200 bg-amber-50 text-amber-800' : 'border-emerald-200 bg-emerald-50 text-emerald-800'}`}>
+                            {rowsWithGaps > 0
+                                ? `${rowsWithGaps} von ${rows.length} Anforderungen mit Engpässen bis ${format(parseISO(range.end), 'dd.MM.yyyy')}.`
+                                : `Alle ${rows.length} Anforderungen bis ${format(parseISO(range.end), 'dd.MM.yyyy')} abgedeckt.`}
+                        </div>
+                        <div className="min-h-0 flex-1 overflow-auto rounded-lg border border-slate-200">
+                            <table className="min-w-max text-sm">
+                                <thead>
+                                    <tr className="border-b">
+                                        <th className="sticky left-0 top-0 z-20 min-w-[220px] bg-white px-3 py-2 text-left font-medium text-slate-600">
+                                            Arbeitsplatz / Qualifikation
+                                        </th>
+                                        <th className="sticky top-0 z-10 bg-white px-2 py-2 text-center font-medium text-slate-600">Min.</th>
+                                        <th className="sticky top-0 z-10 bg-white px-2 py-2 text-center font-medium text-slate-600">Inhaber</th>
+                                        {range.monthKeys.map((key) => (
+                                            <th key={key} className="sticky top-0 z-10 min-w-[72px] bg-white px-2 py-2 text-center font-medium text-slate-600">
+                                                {format(parseISO(`${key}-01`), 'MMM yy', { locale: de })}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map((row) => {
+                                        const qual = qualificationMap[row.qualificationId];
+                                        const gapsByMonth = groupGapsByMonth(row.gaps);
+                                        return (
+                                            <tr key={`${row.workplaceId}:${row.qualificationId}`} className="border-b hover:bg-slate-50">
+                                                <td className="sticky left-0 bg-white px-3 py-2">
+                                                    <div className="flex items-center gap-2">
+                                                        <span className="font-medium text-slate-900">{row.workplaceName}</span>
+                                                        <Badge
+                                                            style={{ backgroundColor: qual?.color_bg || '#e0e7ff', color: qual?.color_text || '#3730a3' }}
+                                                            className="border-0 text-[10px]"
+                                                        >
+                                                            {qual?.short_label || qual?.name || '?'}
+                                                        </Badge>
+                                                    </div>
+                                                </td>
+                                                <td className="px-2 py-2 text-center text-xs text-slate-600">{row.minStaff}</td>
+                                                <td className="px-2 py-2 text-center text-xs text-slate-600">{row.holders}</td>
+                                                {range.monthKeys.map((key) => {
+                                                    const gaps = gapsByMonth[key] || [];
+                                                    const tooltip = gaps.slice(0, TOOLTIP_DAYS).map((gap) => describeCoverageGap(gap, row.minStaff)).join('\n')
+                                                        + (gaps.length > TOOLTIP_DAYS ? `\n… und ${gaps.length - TOOLTIP_DAYS} weitere Tage` : '');
+                                                    return (
+                                                        <td
+                                                            key={key}
+                                                            className={`px-2 py-2 text-center text-xs ${gaps.length > 0 ? 'bg-rose-50 font-semibold text-rose-700' : ''}`}
+                                                            title={tooltip || undefined}
+                                                        >
+                                                            {gaps.length > 0 ? (
+                                                                <span className="inline-flex items-center gap-1">
+                                                                    <AlertTriangle className="w-3.5 h-3.5" />
+                                                                    {gaps.length} T
+                                                                </span>
+                                                            ) : (
+                                                                <Check className="w-4 h-4 text-green-600 mx-auto" />
+                                                            )}
+                                                        </td>
+                                                    );
+                                                })}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
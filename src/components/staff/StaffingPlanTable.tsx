@@ -194,11 +194,12 @@ export default function StaffingPlanTable({ doctors, isReadOnly }: StaffingPlanT
 
     // --- Mutations ---
     const updateEntryMutation = useMutation({
-        mutationFn: async ({ doctor_id, month, value, oldValue, statusStartDay, statusEndDay }: {
+        mutationFn: async ({ doctor_id, month, value, oldValue, expectedVersion, statusStartDay, statusEndDay }: {
             doctor_id: string;
             month: number;
             value: string;
             oldValue?: string;
+            expectedVersion?: number;
             statusStartDay?: number;
             statusEndDay?: number;
         }) => {
@@ -208,6 +209,7 @@ export default function StaffingPlanTable({ doctors, isReadOnly }: StaffingPlanT
                 month,
                 value,
                 old_value_check: oldValue,
+                expected_version: expectedVersion,
                 status_start_day: statusStartDay,
                 status_end_day: statusEndDay,
             });
@@ -328,7 +330,7 @@ export default function StaffingPlanTable({ doctors, isReadOnly }: StaffingPlanT
         const entry = entries.find((e: StaffingPlanEntry) => e.doctor_id === doctorId && e.month === month);
         const oldValue = entry ? entry.value : undefined; // undefined for new entries implies "expecting nothing"
 
-        const payload = { doctor_id: doctorId, month, value: newValue, oldValue, statusStartDay, statusEndDay };
+        const payload = { doctor_id: doctorId, month, value: newValue, oldValue, expectedVersion: entry?.version, statusStartDay, statusEndDay };
 
         updateEntryMutation.mutate(payload);
     };
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildCoverageForecast, describeCoverageGap, groupGapsByMonth } from '@/components/staff/coverageForecast';
+
+// 2026-06-29 is a Monday
+const WEEK = ['2026-06-29', '2026-06-30', '2026-07-01', '2026-07-02', '2026-07-03', '2026-07-04', '2026-07-05'];
+
+const doctors = [
+  { id: 'doctor-1', name: 'Anna' },
+  { id: 'doctor-2', name: 'Ben' },
+  { id: 'doctor-3', name: 'Clara' },
+] as any;
+
+const workplaces = [
+  { id: 'workplace-ct', name: 'CT', category: 'Rotationen', min_staff: 2, active_days: [1, 2, 3, 4, 5] },
+  { id: 'workplace-mrt', name: 'MRT', category: 'Rotationen', min_staff: 0 },
+] as any;
+
+const workplaceQualifications = [
+  { workplace_id: 'workplace-ct', qualification_id: 'qual-ss', is_mandatory: true, is_excluded: false },
+  { workplace_id: 'workplace-ct', qualification_id: 'qual-pref', is_mandatory: false, is_excluded: false },
+  { workplace_id: 'workplace-mrt', qualification_id: 'qual-ss', is_mandatory: true, is_excluded: false },
+] as any;
+
+function forecast(overrides: Record<string, unknown> = {}) {
+  return buildCoverageForecast({
+    dates: WEEK,
+    doctors,
+    workplaces,
+    workplaceQualifications,
+    getDoctorQualIds: (doctorId: string) => (doctorId === 'doctor-3' ? [] : ['qual-ss']),
+    absences: [],
+    ...overrides,
+  });
+}
+
+describe('buildCoverageForecast', () => {
+  it('reports one row per workplace and mandatory qualification', () => {
+    const rows = forecast();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ workplaceName: 'CT', qualificationId: 'qual-ss', minStaff: 2, holders: 2, gaps: [] });
+  });
+
+  it('flags active days with fewer available holders than min_staff', () => {
+    const rows = forecast({
+      absences: [
+        { doctor_id: 'doctor-1', date: '2026-06-30', position: 'Urlaub' },
+        { doctor_id: 'doctor-1', date: '2026-07-04', position: 'Urlaub' },
+        { doctor_id: 'doctor-2', date: '2026-07-01', position: 'CT' },
+      ],
+    });
+    // Saturday is not an active day, a CT assignment is not an absence
+    expect(rows[0].gaps).toEqual([
+      { date: '2026-06-30', available: 1, absent: 1, outOfContract: 0, evidenceLapsed: 0 },
+    ]);
+  });
+
+  it('attributes contract ends and lapsed evidence', () => {
+    const rows = forecast({
+      contractByDoctorId: { 'doctor-2': { contractStart: '2025-01-01', contractEnd: '2026-07-01' } },
+      getDoctorQualIds: (doctorId: string, dateStr?: string) => {
+        if (doctorId === 'doctor-3') return [];
+        if (doctorId === 'doctor-1' && dateStr && dateStr >= '2026-07-03') return [];
+        return ['qual-ss'];
+      },
+    });
+    expect(rows[0].gaps.map((gap) => [gap.date, gap.outOfContract, gap.evidenceLapsed])).toEqual([
+      ['2026-07-02', 1, 0],
+      ['2026-07-03', 1, 1],
+    ]);
+  });
+
+  it('treats public holidays like Sundays', () => {
+    const rows = forecast({
+      absences: [{ doctor_id: 'doctor-1', date: '2026-07-02', position: 'Krank' }],
+      isPublicHoliday: (dateStr: string) => dateStr === '2026-07-02',
+    });
+    expect(rows[0].gaps).toEqual([]);
+  });
+});
+
+describe('groupGapsByMonth / describeCoverageGap', () => {
+  const gap = { date: '2026-07-02', available: 0, absent: 1, outOfContract: 0, evidenceLapsed: 1 };
+
+  it('groups gap days per month', () => {
+    expect(Object.keys(groupGapsByMonth([{ ...gap, date: '2026-06-30' }, gap]))).toEqual(['2026-06', '2026-07']);
+  });
+
+  it('names the causes', () => {
+    expect(describeCoverageGap(gap, 2)).toBe('02.07.2026: 0/2 verfügbar (1 abwesend, 1 ohne gültigen Nachweis)');
+  });
+});
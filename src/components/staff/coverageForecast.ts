@@ -0,0 +1,151 @@
+/**
+ * Coverage forecast for mandatory workplace qualifications.
+ *
+ * For every workplace × Pflicht-Qualifikation and every day of the horizon the
+ * forecast counts the employees who hold the qualification with valid evidence
+ * on that day, are inside their contract and have no planned absence. Days on
+ * which the workplace is active and fewer than `min_staff` of them remain are
+ * reported as gaps, together with how many holders each cause removed.
+ */
+
+import { format, parseISO } from 'date-fns';
+import { isDateWithinContract } from '@/components/training/trainingContractUtils';
+import type { Doctor, Workplace, WorkplaceQualification } from '@/types';
+
+export interface CoverageAbsence {
+  doctor_id?: string | null;
+  date: string;
+  position: string;
+}
+
+export interface CoverageContract {
+  contractStart?: string | null;
+  contractEnd?: string | null;
+}
+
+export interface CoverageGapDay {
+  date: string;
+  /** Holders available on the day. */
+  available: number;
+  /** Holders lost to planned absences. */
+  absent: number;
+  /** Holders outside their contract. */
+  outOfContract: number;
+  /** Holders whose mandatory evidence has lapsed. */
+  evidenceLapsed: number;
+}
+
+export interface CoverageForecastRow {
+  workplaceId: string;
+  workplaceName: string;
+  qualificationId: string;
+  minStaff: number;
+  /** Employees holding the qualification today, regardless of evidence. */
+  holders: number;
+  gaps: CoverageGapDay[];
+}
+
+interface CoverageForecastParams {
+  /** Forecast days (yyyy-MM-dd, ascending). */
+  dates: string[];
+  doctors: Doctor[];
+  workplaces: Workplace[];
+  workplaceQualifications: WorkplaceQualification[];
+  /** Held qualification ids; with `dateStr` only those with valid evidence on that day. */
+  getDoctorQualIds: (doctorId: string, dateStr?: string) => string[];
+  absences: CoverageAbsence[];
+  /** Contract window per doctor id; doctors without entry count as unlimited. */
+  contractByDoctorId?: Record<string, CoverageContract>;
+  isPublicHoliday?: (dateStr: string) => boolean;
+}
+
+export const COVERAGE_ABSENCE_POSITIONS = ['Frei', 'Krank', 'Urlaub', 'Schichturlaub', 'Dienstreise', 'Nicht verfügbar'];
+const DEFAULT_ACTIVE_DAYS = [1, 2, 3, 4, 5];
+
+const isActiveOn = (wp: Workplace, dateStr: string, isPublicHoliday: (dateStr: string) => boolean) => {
+  const activeDays = wp.active_days?.length ? wp.active_days : DEFAULT_ACTIVE_DAYS;
+  // Holidays count like Sundays, as in the AutoFill engine
+  if (isPublicHoliday(dateStr)) return activeDays.includes(0);
+  return activeDays.includes(parseISO(dateStr).getDay());
+};
+
+export function buildCoverageForecast({
+  dates,
+  doctors,
+  workplaces,
+  workplaceQualifications,
+  getDoctorQualIds,
+  absences,
+  contractByDoctorId = {},
+  isPublicHoliday = () => false,
+}: CoverageForecastParams): CoverageForecastRow[] {
+  const absentByDate = new Map<string, Set<string>>();
+  for (const absence of absences) {
+    if (!absence.doctor_id || !COVERAGE_ABSENCE_POSITIONS.includes(absence.position)) continue;
+    const date = String(absence.date).slice(0, 10);
+    if (!absentByDate.has(date)) absentByDate.set(date, new Set());
+    absentByDate.get(date)!.add(absence.doctor_id);
+  }
+
+  const inContract = (doctorId: string, dateStr: string) => {
+    const contract = contractByDoctorId[doctorId];
+    if (!contract) return true;
+    return isDateWithinContract(parseISO(dateStr), contract.contractStart ?? undefined, contract.contractEnd ?? undefined);
+  };
+
+  const rows: CoverageForecastRow[] = [];
+  for (const wp of workplaces) {
+    if (wp.is_active === false) continue;
+    const minStaff = wp.category === 'Dienste' ? 1 : (wp.min_staff ?? 1);
+    if (minStaff <= 0) continue;
+
+    const mandatory = workplaceQualifications.filter((wq) => wq.workplace_id === wp.id && wq.is_mandatory && !wq.is_excluded);
+    for (const wq of mandatory) {
+      const holders = doctors.filter((d) => getDoctorQualIds(d.id).includes(wq.qualification_id));
+      const gaps: CoverageGapDay[] = [];
+
+      for (const dateStr of dates) {
+        if (!isActiveOn(wp, dateStr, isPublicHoliday)) continue;
+        const absentIds = absentByDate.get(dateStr);
+        const gap: CoverageGapDay = { date: dateStr, available: 0, absent: 0, outOfContract: 0, evidenceLapsed: 0 };
+        // First matching cause wins so each holder is counted once
+        for (const doctor of holders) {
+          if (!inContract(doctor.id, dateStr)) gap.outOfContract++;
+          else if (!getDoctorQualIds(doctor.id, dateStr).includes(wq.qualification_id)) gap.evidenceLapsed++;
+          else if (absentIds?.has(doctor.id)) gap.absent++;
+          else gap.available++;
+        }
+        if (gap.available < minStaff) gaps.push(gap);
+      }
+
+      rows.push({
+        workplaceId: wp.id,
+        workplaceName: wp.name,
+        qualificationId: wq.qualification_id,
+        minStaff,
+        holders: holders.length,
+        gaps,
+      });
+    }
+  }
+  return rows;
+}
+
+/** Gap days of a row keyed by month (yyyy-MM). */
+export function groupGapsByMonth(gaps: CoverageGapDay[]): Record<string, CoverageGapDay[]> {
+  const byMonth: Record<string, CoverageGapDay[]> = {};
+  for (const gap of gaps) {
+    (byMonth[format(parseISO(gap.date), 'yyyy-MM')] ??= []).push(gap);
+  }
+  return byMonth;
+}
+
+/** Main cause of a gap day, for tooltips. */
+export function describeCoverageGap(gap: CoverageGapDay, minStaff: number): string {
+  const causes: string[] = [];
+  if (gap.absent > 0) causes.push(`${gap.absent} abwesend`);
+  if (gap.outOfContract > 0) causes.push(`${gap.outOfContract} ohne Vertrag`);
+  if (gap.evidenceLapsed > 0) causes.push(`${gap.evidenceLapsed} ohne gültigen Nachweis`);
+  const date = format(parseISO(gap.date), 'dd.MM.yyyy');
+  return `${date}: ${gap.available}/${minStaff} verfügbar${causes.length > 0 ? ` (${causes.join(', ')})` : ''}`;
+}
@@ -0,0 +1,123 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { api } from '@/api/client';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, Scale } from 'lucide-react';
+import {
+  fairnessLedgerWindow,
+  formatLedgerBalance,
+  LEDGER_DUTIES,
+  LEDGER_DUTY_LABELS,
+} from '@/components/schedule/fairnessLedger';
+import type { FairnessLedger, LedgerDuty } from '@/components/schedule/fairnessLedger';
+import type { Doctor } from '@/types';
+
+/** A balance of at least one full duty counts as owed / as relief. */
+const OPEN_THRESHOLD = 1;
+
+function BalanceCell({ count, balance }: { count: number; balance: number }) {
+  const color =
+    balance >= OPEN_THRESHOLD ? 'text-amber-700' : balance <= -OPEN_THRESHOLD ? 'text-blue-700' : 'text-slate-400';
+  return (
+    <TableCell className="text-right whitespace-nowrap">
+      {count} <span className={`text-xs ${color}`}>({formatLedgerBalance(balance)})</span>
+    </TableCell>
+  );
+}
+
+export default function FairnessLedgerReport({ doctors }: { doctors: Doctor[] }) {
+  const today = useMemo(() => format(new Date(), 'yyyy-MM-dd'), []);
+  const ledgerWindow = useMemo(() => fairnessLedgerWindow(today), [today]);
+
+  const { data: ledger, isLoading } = useQuery({
+    queryKey: ['fairness-ledger', today],
+    queryFn: () => api.getFairnessLedger(today) as Promise<FairnessLedger>,
+  });
+
+  const rows = useMemo(() => {
+    if (!ledger) return [];
+    return doctors
+      .map((doctor) => ({ doctor, entry: ledger.entries[doctor.id] }))
+      .filter(({ entry }) => entry && entry.counts.services > 0)
+      .sort((a, b) => a.entry.balance.services - b.entry.balance.services);
+  }, [ledger, doctors]);
+
+  const openDuties = (balance: Record<LedgerDuty, number>, owes: boolean) =>
+    LEDGER_DUTIES.filter((d) => (owes ? balance[d] <= -OPEN_THRESHOLD : balance[d] >= OPEN_THRESHOLD)).map(
+      (d) => LEDGER_DUTY_LABELS[d],
+    );
+
+  return (
+    <Card data-testid="fairness-ledger-report">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Scale className="w-5 h-5" />
+          Fairness-Konto (12 Monate)
+        </CardTitle>
+        <CardDescription>
+          Dienste vom {format(new Date(ledgerWindow.start + 'T00:00:00'), 'dd.MM.yyyy')} bis{' '}
+          {format(new Date(ledgerWindow.end + 'T00:00:00'), 'dd.MM.yyyy')}. In Klammern die Abweichung vom Anteil
+          nach Stellenumfang (Mittel laut Stellenplan): negativ = schuldet Dienste, positiv = hat Entlastung gut. AutoFill gleicht diese
+          Salden bei der Dienstvergabe aus.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center p-8">
+            <Loader2 className="w-6 h-6 animate-spin text-slate-400" />
+          </div>
+        ) : rows.length === 0 ? (
+          <p className="text-sm text-slate-500">Keine Dienste in den letzten 12 Monaten.</p>
+        ) : (
+          <ScrollArea className="h-[600px]">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Mitarbeiter</TableHead>
+                  <TableHead className="text-right">Stellenumfang</TableHead>
+                  {LEDGER_DUTIES.map((duty) => (
+                    <TableHead key={duty} className="text-right">
+                      {LEDGER_DUTY_LABELS[duty]}
+                    </TableHead>
+                  ))}
+                  <TableHead>Offen</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map(({ doctor, entry }) => {
+                  const owes = openDuties(entry.balance, true);
+                  const relief = openDuties(entry.balance, false);
+                  return (
+                    <TableRow key={doctor.id}>
+                      <TableCell className="font-medium">{doctor.name}</TableCell>
+                      <TableCell className="text-right">{entry.fte.toLocaleString('de-DE')}</TableCell>
+                      {LEDGER_DUTIES.map((duty) => (
+                        <BalanceCell key={duty} count={entry.counts[duty]} balance={entry.balance[duty]} />
+                      ))}
+                      <TableCell className="space-x-1 space-y-1">
+                        {owes.length > 0 && (
+                          <Badge variant="outline" className="border-blue-300 text-blue-700">
+                            schuldet: {owes.join(', ')}
+                          </Badge>
+                        )}
+                        {relief.length > 0 && (
+                          <Badge variant="outline" className="border-amber-300 text-amber-700">
+                            Entlastung: {relief.join(', ')}
+                          </Badge>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </ScrollArea>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
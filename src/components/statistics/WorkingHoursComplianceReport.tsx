@@ -0,0 +1,196 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { db } from "@/api/client";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { format, getISOWeek, parseISO } from 'date-fns';
+import { AlertTriangle, CheckCircle2, Clock } from 'lucide-react';
+import {
+  createWorkingHoursCalculator,
+  evaluateWorkingHours,
+  formatHours,
+  getAveragingWindow,
+  getWeekStart,
+  parseWorkingHoursConfig,
+} from '@/utils/workingHours';
+import type { Doctor, ShiftEntry, Workplace, WorkplaceTimeslot } from '@/types';
+
+interface DoctorWorkingHours {
+  id: string;
+  name: string;
+  optOut: boolean;
+  maxWeekMinutes: number;
+  maxWeekStart: string | null;
+  weeksOverCap: string[];
+  currentAverageMinutes: number;
+  maxAverageMinutes: number;
+  averageExceeded: boolean;
+}
+
+/**
+ * Wochenarbeitszeit-Compliance (ArbZG): Wochen über der Höchstgrenze und
+ * gleitender Durchschnitt über den konfigurierten Ausgleichszeitraum.
+ * Lädt die Dienste selbst, weil der Durchschnitt Monate vor dem Jahresbeginn braucht.
+ */
+export default function WorkingHoursComplianceReport({
+  doctors,
+  workplaces,
+  year,
+}: {
+  doctors: Doctor[];
+  workplaces: Workplace[];
+  year: string;
+}) {
+  const { data: systemSettings = [] } = useQuery({
+    queryKey: ['systemSettings'],
+    queryFn: () => db.SystemSetting.list() as Promise<{ key: string; value: string }[]>,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const { data: timeslots = [] } = useQuery({
+    queryKey: ['workplaceTimeslots'],
+    queryFn: () => db.WorkplaceTimeslot.list() as Promise<WorkplaceTimeslot[]>,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const config = useMemo(() => parseWorkingHoursConfig(systemSettings), [systemSettings]);
+
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  // Ab Beginn des Mittelungsfensters der ersten Jahreswoche laden, damit jeder Durchschnitt vollständig ist
+  const historyStart = getAveragingWindow(getWeekStart(yearStart), config.averagingMonths)[0] ?? yearStart;
+
+  const { data: shifts = [], isLoading } = useQuery({
+    queryKey: ['shifts-working-hours', historyStart, yearEnd],
+    queryFn: () => db.ShiftEntry.filter({
+      date: { $gte: historyStart, $lte: yearEnd },
+    }) as Promise<ShiftEntry[]>,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const stats: DoctorWorkingHours[] = useMemo(() => {
+    const calculator = createWorkingHoursCalculator({ workplaces, timeslots });
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const evaluateUntil = today < yearEnd && today >= yearStart ? today : yearEnd;
+
+    const shiftsByDoctor = new Map<string, ShiftEntry[]>();
+    for (const shift of shifts) {
+      if (!shift.doctor_id) continue;
+      const list = shiftsByDoctor.get(shift.doctor_id);
+      if (list) list.push(shift);
+      else shiftsByDoctor.set(shift.doctor_id, [shift]);
+    }
+
+    return doctors
+      .map(doc => {
+        const optOut = !!doc.working_time_opt_out;
+        const weeks = evaluateWorkingHours({
+          shifts: shiftsByDoctor.get(doc.id) ?? [],
+          calculator,
+          config,
+          optOut,
+          from: yearStart,
+          to: evaluateUntil,
+        });
+
+        let maxWeek = weeks[0];
+        let maxAverageMinutes = 0;
+        for (const week of weeks) {
+          if (!maxWeek || week.minutes > maxWeek.minutes) maxWeek = week;
+          maxAverageMinutes = Math.max(maxAverageMinutes, week.averageMinutes);
+        }
+
+        return {
+          id: doc.id,
+          name: doc.name,
+          optOut,
+          maxWeekMinutes: maxWeek?.minutes ?? 0,
+          maxWeekStart: maxWeek && maxWeek.minutes > 0 ? maxWeek.weekStart : null,
+          weeksOverCap: weeks.filter(w => w.exceedsWeeklyCap).map(w => w.weekStart),
+          currentAverageMinutes: weeks[weeks.length - 1]?.averageMinutes ?? 0,
+          maxAverageMinutes,
+          averageExceeded: weeks.some(w => w.exceedsAverageCap),
+        };
+      })
+      .sort((a, b) => {
+        const aViol = a.weeksOverCap.length > 0 || a.averageExceeded ? 1 : 0;
+        const bViol = b.weeksOverCap.length > 0 || b.averageExceeded ? 1 : 0;
+        if (aViol !== bViol) return bViol - aViol;
+        return a.name.localeCompare(b.name);
+      });
+  }, [doctors, shifts, workplaces, timeslots, config, yearStart, yearEnd]);
+
+  const hasViolations = stats.some(d => d.weeksOverCap.length > 0 || d.averageExceeded);
+  const weekLabel = (weekStart: string) => `KW ${getISOWeek(parseISO(weekStart))}`;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Clock className="h-5 w-5 text-indigo-500" />
+              Wochenarbeitszeit (ArbZG)
+            </CardTitle>
+            <CardDescription>
+              Höchstgrenze {formatHours(config.weeklyMaxHours * 60)} h pro Woche
+              {' · '}Ø max. {formatHours(config.averageMaxHours * 60)} h über {config.averagingMonths} Monate
+              {!config.enabled && ' · Regel in den Konfliktregeln deaktiviert'}
+            </CardDescription>
+          </div>
+          {!isLoading && !hasViolations && <CheckCircle2 className="h-8 w-8 text-green-500" />}
+          {!isLoading && hasViolations && <AlertTriangle className="h-8 w-8 text-amber-500" />}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-slate-500">Wird geladen...</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Arzt</TableHead>
+                <TableHead className="text-right">Max. Woche</TableHead>
+                <TableHead>Wochen über Grenze</TableHead>
+                <TableHead className="text-right">Ø aktuell</TableHead>
+                <TableHead className="text-right">Ø max.</TableHead>
+                <TableHead className="text-right">Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {stats.map(doc => {
+                const weekExceeded = doc.weeksOverCap.length > 0;
+                const hasIssue = weekExceeded || doc.averageExceeded;
+                return (
+                  <TableRow key={doc.id} className={hasIssue ? 'bg-red-50/50' : undefined}>
+                    <TableCell className="font-medium">
+                      {doc.name}
+                      {doc.optOut && <Badge variant="outline" className="ml-2 text-xs">Opt-out</Badge>}
+                    </TableCell>
+                    <TableCell className={`text-right ${weekExceeded ? 'text-red-600 font-bold' : ''}`}>
+                      {formatHours(doc.maxWeekMinutes)} h
+                      {doc.maxWeekStart && <span className="ml-1 text-xs text-slate-500">({weekLabel(doc.maxWeekStart)})</span>}
+                    </TableCell>
+                    <TableCell className="text-xs text-slate-600">
+                      {weekExceeded ? doc.weeksOverCap.map(weekLabel).join(', ') : '–'}
+                    </TableCell>
+                    <TableCell className="text-right">{formatHours(doc.currentAverageMinutes)} h</TableCell>
+                    <TableCell className={`text-right ${doc.averageExceeded ? 'text-red-600 font-bold' : 'text-slate-500'}`}>
+                      {formatHours(doc.maxAverageMinutes)} h
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {weekExceeded && <Badge variant="destructive" className="mr-0.5 text-xs">Woche</Badge>}
+                      {doc.averageExceeded && <Badge variant="destructive" className="mr-0.5 text-xs">Ø</Badge>}
+                      {!hasIssue && <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200">OK</Badge>}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -12,6 +12,7 @@ import { Badge } from "@/components/ui/badge";
 import { Clock, Info } from "lucide-react";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { timeToMinutes } from '@/utils/timeslotUtils';
+import { mergeTimeIntervals } from '@/utils/workingHours';
 import { isNonWorkingShiftPosition } from '@/utils/shiftPositionUtils';
 import { useTeamRoles } from '@/components/settings/TeamRoleSettings';
 import type { Doctor, ShiftEntry, Workplace, WorkplaceTimeslot } from '@/types';
@@ -25,36 +26,6 @@ interface DoctorWorkStats {
     dailyDetails: Record<string, { minutes: number; hours: string; shifts: number }>;
 }
 
-/**
- * Berechnet die effektive Arbeitszeit unter Berücksichtigung von Überlappungen
- * @param {Array} intervals - Array von { start: minutes, end: minutes }
- * @returns {number} Gesamtminuten ohne Überlappung
- */
-function mergeTimeIntervals(intervals: { start: number; end: number }[]): number {
-    if (!intervals || intervals.length === 0) return 0;
-    
-    // Sortiere nach Startzeit
-    const sorted = [...intervals].sort((a, b) => a.start - b.start);
-    
-    const merged = [sorted[0]];
-    
-    for (let i = 1; i < sorted.length; i++) {
-        const current = sorted[i];
-        const last = merged[merged.length - 1];
-        
-        if (current.start <= last.end) {
-            // Überlappung: Erweitere das letzte Intervall
-            last.end = Math.max(last.end, current.end);
-        } else {
-            // Keine Überlappung: Neues Intervall
-            merged.push(current);
-        }
-    }
-    
-    // Summiere alle Intervalle
-    return merged.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
-}
-
 /**
  * Konvertiert eine Schicht in Zeitintervalle (in Minuten seit Mitternacht)
  */
@@ -0,0 +1,281 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { addMonths, endOfMonth, format, parseISO, startOfMonth } from 'date-fns';
+import { AlertTriangle, Loader2, Wand2 } from 'lucide-react';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { db, api } from '@/api/client';
+import { getActiveTokenId } from '@/components/dbTokenStorage';
+import type { ShiftEntry, TrainingRequirement, TrainingRotation } from '@/types';
+import {
+    ROTATION_SKIP_LABELS,
+    planRotations,
+    type RotationDraft,
+    type RotationPlan,
+    type RotationPlanCentralAbsence,
+    type RotationPlanContract,
+    type RotationSkipReason,
+} from './rotationPlanner';
+
+/**
+ * Rotationsvorschlag: plant für alle Assistenzärzte mit Fachgebiet die noch
+ * offenen Monate des Weiterbildungskatalogs über mehrere Jahre. Übernommene
+ * Vorschläge werden wie von Hand gezogene Rotationen gespeichert.
+ */
+
+interface RotationPlannerDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    doctors: { id: string; name: string; is_active?: boolean; training_specialty?: string | null; central_employee_id?: string | null }[];
+    requirements: TrainingRequirement[];
+    rotations: Pick<TrainingRotation, 'doctor_id' | 'modality' | 'start_date' | 'end_date'>[];
+    /** Workplaces of the category "Rotationen" */
+    rotationWorkplaces: { name: string; min_staff?: number | null; optimal_staff?: number | null }[];
+    contractInfoByDoctorId: Record<string, RotationPlanContract>;
+    onAccept: (drafts: RotationDraft[]) => void;
+    isPending: boolean;
+}
+
+const HORIZON_YEARS = [1, 2, 3, 4, 5];
+
+const formatMonth = (value: string) => format(parseISO(value), 'MM/yyyy');
+
+export default function RotationPlannerDialog({
+    open,
+    onOpenChange,
+    doctors,
+    requirements,
+    rotations,
+    rotationWorkplaces,
+    contractInfoByDoctorId,
+    onAccept,
+    isPending,
+}: RotationPlannerDialogProps) {
+    const [startMonth, setStartMonth] = useState(() => format(addMonths(new Date(), 1), 'yyyy-MM'));
+    const [years, setYears] = useState('3');
+    const [capacity, setCapacity] = useState<Record<string, string>>({});
+    const [plan, setPlan] = useState<RotationPlan | null>(null);
+
+    // Default capacity: the workplace's staffing, at least one resident
+    useEffect(() => {
+        setCapacity((current) => {
+            const missing = rotationWorkplaces.filter((workplace) => current[workplace.name] === undefined);
+            if (missing.length === 0) return current;
+            const next = { ...current };
+            for (const workplace of missing) {
+                next[workplace.name] = String(Math.max(1, workplace.optimal_staff || workplace.min_staff || 1));
+            }
+            return next;
+        });
+    }, [rotationWorkplaces]);
+
+    // A reopened dialog plans against the current rotations
+    useEffect(() => {
+        if (open) setPlan(null);
+    }, [open]);
+
+    const range = useMemo(() => {
+        const start = startOfMonth(parseISO(`${startMonth}-01`));
+        return {
+            start: format(start, 'yyyy-MM-dd'),
+            end: format(endOfMonth(addMonths(start, Number(years) * 12 - 1)), 'yyyy-MM-dd'),
+        };
+    }, [startMonth, years]);
+
+    const { data: plannedEntries = [], isLoading: isLoadingTenantAbsences } = useQuery<ShiftEntry[]>({
+        queryKey: ['shifts', 'rotation-planner', range.start, range.end],
+        queryFn: () => db.ShiftEntry.filter({ date: { $gte: range.start, $lte: range.end } }),
+        enabled: open,
+        staleTime: 60 * 1000,
+    });
+
+    // Absences booked in other tenants of the group
+    const dbTokenId = getActiveTokenId();
+    const { data: centralAbsencesData, isLoading: isLoadingCentralAbsences } = useQuery({
+        queryKey: ['pool', 'central-absences', dbTokenId, range.start, range.end],
+        queryFn: () => api.getGroupCentralAbsences({ from: range.start, to: range.end }) as Promise<{ absences?: RotationPlanCentralAbsence[] }>,
+        enabled: open,
+    });
+
+    const isLoadingAbsences = isLoadingTenantAbsences || isLoadingCentralAbsences;
+
+    const doctorName = useMemo(() => new Map(doctors.map((d) => [d.id, d.name])), [doctors]);
+    const requirementName = useMemo(() => new Map(requirements.map((r) => [r.id, r.name])), [requirements]);
+    const residentsWithSpecialty = doctors.filter((d) => d.is_active !== false && d.training_specialty).length;
+
+    const handlePlan = () => {
+        setPlan(planRotations({
+            doctors,
+            requirements,
+            rotations,
+            absences: plannedEntries,
+            centralAbsences: centralAbsencesData?.absences ?? [],
+            contractByDoctorId: contractInfoByDoctorId,
+            capacityByWorkplace: Object.fromEntries(
+                rotationWorkplaces.map((workplace) => [workplace.name, Math.max(0, Number(capacity[workplace.name]) || 0)]),
+            ),
+            startMonth,
+            months: Number(years) * 12,
+        }));
+    };
+
+    const planByDoctor = useMemo(() => {
+        if (!plan) return [];
+        const ids = [...new Set([...plan.drafts.map((d) => d.doctor_id), ...plan.shortfalls.map((s) => s.doctorId)])];
+        return ids
+            .map((id) => {
+                const skipCounts = plan.skipped
+                    .filter((skip) => skip.doctorId === id && skip.reason !== 'occupied')
+                    .reduce<Partial<Record<RotationSkipReason, number>>>((counts, skip) => ({ ...counts, [skip.reason]: (counts[skip.reason] ?? 0) + 1 }), {});
+                return {
+                    id,
+                    name: doctorName.get(id) ?? id,
+                    drafts: plan.drafts.filter((d) => d.doctor_id === id),
+                    shortfalls: plan.shortfalls.filter((s) => s.doctorId === id),
+                    skipCounts,
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    }, [plan, doctorName]);
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-4xl" data-testid="rotation-planner-dialog">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <Wand2 className="w-5 h-5 text-emerald-600" />
+                        Rotationsvorschlag
+                    </DialogTitle>
+                    <DialogDescription>
+                        Verteilt die offenen Monate des Weiterbildungskatalogs auf die Rotationsplätze. Bereits geplante
+                        Rotationen bleiben unverändert; Vertragszeiten und geplante Abwesenheiten werden berücksichtigt.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <section className="space-y-3">
+                    <div className="flex flex-wrap items-end gap-3">
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Ab Monat</Label>
+                            <Input type="month" value={startMonth} onChange={(e) => { if (e.target.value) { setStartMonth(e.target.value); setPlan(null); } }} className="h-9 w-40" />
+                        </div>
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Zeitraum</Label>
+                            <Select value={years} onValueChange={(value) => { setYears(value); setPlan(null); }}>
+                                <SelectTrigger className="h-9 w-32">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {HORIZON_YEARS.map((value) => (
+                                        <SelectItem key={value} value={String(value)}>{value === 1 ? '1 Jahr' : `${value} Jahre`}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+                    <div className="space-y-1">
+                        <Label className="text-xs text-slate-500">Plätze je Monat</Label>
+                        <div className="flex flex-wrap gap-2">
+                            {rotationWorkplaces.map((workplace) => (
+                                <label key={workplace.name} className="flex items-center gap-1.5 rounded border px-2 py-1 text-sm">
+                                    {workplace.name}
+                                    <Input
+                                        type="number"
+                                        min={0}
+                                        value={capacity[workplace.name] ?? ''}
+                                        onChange={(e) => { setCapacity({ ...capacity, [workplace.name]: e.target.value }); setPlan(null); }}
+                                        className="h-7 w-14 px-1 text-center"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <p className="text-xs text-slate-500">
+                            {residentsWithSpecialty === 0
+                                ? 'Keinem Mitarbeiter ist ein Fachgebiet zugeordnet (Ansicht „Weiterbildungsstand“).'
+                                : `${residentsWithSpecialty} Mitarbeiter mit Fachgebiet`}
+                        </p>
+                        <Button onClick={handlePlan} disabled={residentsWithSpecialty === 0 || isLoadingAbsences} data-testid="rotation-planner-run">
+                            {isLoadingAbsences && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            Vorschlag berechnen
+                        </Button>
+                    </div>
+                </section>
+
+                {plan && (
+                    <div className="space-y-2 border-t pt-4" data-testid="rotation-planner-plan">
+                        <p className="text-sm">
+                            <span className="font-semibold text-emerald-700">{plan.drafts.length} Rotationen</span> vorgeschlagen
+                            {plan.shortfalls.length > 0 && <>, <span className="font-semibold text-amber-700">{plan.shortfalls.length} Anforderungen</span> im Zeitraum nicht vollständig planbar</>}.
+                        </p>
+                        <ScrollArea className="h-72 rounded border">
+                            <table className="w-full text-xs">
+                                <thead>
+                                    <tr className="border-b text-left text-slate-500">
+                                        <th className="p-2 font-medium">Mitarbeiter</th>
+                                        <th className="p-2 font-medium">Vorgeschlagene Rotationen</th>
+                                        <th className="p-2 font-medium">Hinweise</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {planByDoctor.map((row) => (
+                                        <tr key={row.id} className="border-b last:border-0 align-top">
+                                            <td className="p-2 font-medium whitespace-nowrap">{row.name}</td>
+                                            <td className="p-2">
+                                                {row.drafts.length === 0 ? '–' : row.drafts.map((draft) => (
+                                                    <div key={`${draft.modality}-${draft.start_date}`}>
+                                                        <span className="font-medium">{draft.modality}</span>{' '}
+                                                        {formatMonth(draft.start_date)}
+                                                        {formatMonth(draft.start_date) !== formatMonth(draft.end_date) && <>–{formatMonth(draft.end_date)}</>}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td className="p-2 text-slate-600">
+                                                {row.shortfalls.map((shortfall) => (
+                                                    <div key={shortfall.requirementId} className="flex items-center gap-1 text-amber-700">
+                                                        <AlertTriangle className="w-3 h-3" />
+                                                        {requirementName.get(shortfall.requirementId) ?? shortfall.requirementId}: {shortfall.missingMonths.toLocaleString('de-DE')} Monate offen
+                                                    </div>
+                                                ))}
+                                                {Object.entries(row.skipCounts).map(([reason, count]) => (
+                                                    <div key={reason}>
+                                                        {count} {count === 1 ? 'Monat' : 'Monate'} {ROTATION_SKIP_LABELS[reason as RotationSkipReason]}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </ScrollArea>
+                    </div>
+                )}
+
+                <DialogFooter>
+                    {plan && (
+                        <Button
+                            onClick={() => { onAccept(plan.drafts); }}
+                            disabled={plan.drafts.length === 0 || isPending}
+                            className="bg-emerald-600 hover:bg-emerald-700 text-white"
+                            data-testid="rotation-planner-accept"
+                        >
+                            {isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            {plan.drafts.length} Rotationen übernehmen
+                        </Button>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
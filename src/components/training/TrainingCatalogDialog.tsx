@@ -0,0 +1,252 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { BookOpen, Loader2, Pencil, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { db } from '@/api/client';
+import type { TrainingRequirement, TrainingRequirementUnit } from '@/types';
+import { TRAINING_UNIT_LABELS, listSpecialties, parseRequirementWorkplaces } from './trainingCatalog';
+
+/**
+ * Pflege des Weiterbildungskatalogs: je Fachgebiet die geforderten Monate
+ * bzw. Einsatztage und die Arbeitsplätze, die darauf angerechnet werden.
+ */
+
+interface TrainingCatalogDialogProps {
+    open: boolean;
+    onOpenChange: (open: boolean) => void;
+    requirements: TrainingRequirement[];
+    /** Workplace names that can be credited */
+    workplaceNames: string[];
+}
+
+interface RequirementForm {
+    id: string | null;
+    specialty: string;
+    name: string;
+    unit: TrainingRequirementUnit;
+    target: string;
+    workplaces: string[];
+}
+
+const emptyForm = (specialty = ''): RequirementForm => ({
+    id: null,
+    specialty,
+    name: '',
+    unit: 'months',
+    target: '',
+    workplaces: [],
+});
+
+export default function TrainingCatalogDialog({ open, onOpenChange, requirements, workplaceNames }: TrainingCatalogDialogProps) {
+    const queryClient = useQueryClient();
+    const specialties = useMemo(() => listSpecialties(requirements), [requirements]);
+    const [form, setForm] = useState<RequirementForm>(() => emptyForm());
+    const [filter, setFilter] = useState('');
+
+    const activeFilter = filter || specialties[0] || '';
+    const visibleRequirements = requirements
+        .filter((r) => r.specialty === activeFilter)
+        .sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name, 'de'));
+
+    const saveMutation = useMutation({
+        mutationFn: async (data: RequirementForm) => {
+            const payload = {
+                specialty: data.specialty.trim(),
+                name: data.name.trim(),
+                unit: data.unit,
+                target: Math.max(0, Number(data.target.replace(',', '.')) || 0),
+                workplaces_json: JSON.stringify(data.workplaces),
+            };
+            if (data.id) return db.TrainingRequirement.update(data.id, payload);
+            const order = requirements.filter((r) => r.specialty === payload.specialty).length;
+            return db.TrainingRequirement.create({ ...payload, order });
+        },
+        onSuccess: (_saved, data) => {
+            queryClient.invalidateQueries({ queryKey: ['trainingRequirements'] });
+            setFilter(data.specialty.trim());
+            setForm(emptyForm(data.specialty.trim()));
+            toast.success(data.id ? 'Anforderung aktualisiert' : 'Anforderung angelegt');
+        },
+        onError: (error: Error) => toast.error(`Speichern fehlgeschlagen: ${error.message}`),
+    });
+
+    const deleteMutation = useMutation({
+        mutationFn: (id: string) => db.TrainingRequirement.delete(id),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['trainingRequirements'] });
+        },
+        onError: (error: Error) => toast.error(`Löschen fehlgeschlagen: ${error.message}`),
+    });
+
+    const toggleWorkplace = (name: string) => {
+        setForm((current) => ({
+            ...current,
+            workplaces: current.workplaces.includes(name)
+                ? current.workplaces.filter((w) => w !== name)
+                : [...current.workplaces, name],
+        }));
+    };
+
+    const editRequirement = (requirement: TrainingRequirement) => {
+        setForm({
+            id: requirement.id,
+            specialty: requirement.specialty,
+            name: requirement.name,
+            unit: requirement.unit,
+            target: String(requirement.target),
+            workplaces: parseRequirementWorkplaces(requirement),
+        });
+    };
+
+    const canSave = form.specialty.trim() !== '' && form.name.trim() !== '' && form.workplaces.length > 0;
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="sm:max-w-3xl" data-testid="training-catalog-dialog">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <BookOpen className="w-5 h-5 text-emerald-600" />
+                        Weiterbildungskatalog
+                    </DialogTitle>
+                    <DialogDescription>
+                        Anforderungen je Fachgebiet. Monate werden aus den geplanten Rotationen, Einsatztage aus den
+                        Einträgen im Wochenplan der gewählten Arbeitsplätze angerechnet.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <section className="space-y-2">
+                    <div className="flex items-center gap-3">
+                        <Label className="text-xs text-slate-500">Fachgebiet</Label>
+                        <Select value={activeFilter} onValueChange={setFilter}>
+                            <SelectTrigger className="h-9 w-64">
+                                <SelectValue placeholder={specialties.length === 0 ? 'Noch kein Fachgebiet' : 'Fachgebiet wählen'} />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {specialties.map((specialty) => (
+                                    <SelectItem key={specialty} value={specialty}>{specialty}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <ScrollArea className="h-48 rounded border">
+                        {visibleRequirements.length === 0 ? (
+                            <p className="p-4 text-sm text-slate-500">Keine Anforderungen hinterlegt.</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <tbody>
+                                    {visibleRequirements.map((requirement) => (
+                                        <tr key={requirement.id} className="border-b last:border-0">
+                                            <td className="p-2 font-medium">{requirement.name}</td>
+                                            <td className="p-2 text-slate-600">
+                                                {requirement.target} {TRAINING_UNIT_LABELS[requirement.unit]}
+                                            </td>
+                                            <td className="p-2 text-xs text-slate-500">{parseRequirementWorkplaces(requirement).join(', ')}</td>
+                                            <td className="p-2 text-right whitespace-nowrap">
+                                                <Button variant="ghost" size="icon" className="h-8 w-8" title="Bearbeiten" onClick={() => { editRequirement(requirement); }}>
+                                                    <Pencil className="w-4 h-4" />
+                                                </Button>
+                                                <Button
+                                                    variant="ghost"
+                                                    size="icon"
+                                                    className="h-8 w-8 text-slate-500"
+                                                    title="Löschen"
+                                                    onClick={() => { deleteMutation.mutate(requirement.id); }}
+                                                    disabled={deleteMutation.isPending}
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </Button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </ScrollArea>
+                </section>
+
+                <section className="space-y-3 border-t pt-4">
+                    <h3 className="text-sm font-medium">{form.id ? 'Anforderung bearbeiten' : 'Neue Anforderung'}</h3>
+                    <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+                        <div className="space-y-1 col-span-2 sm:col-span-1">
+                            <Label className="text-xs text-slate-500">Fachgebiet</Label>
+                            <Input
+                                list="training-catalog-specialties"
+                                value={form.specialty}
+                                onChange={(e) => { setForm({ ...form, specialty: e.target.value }); }}
+                                placeholder="z.B. Radiologie"
+                                className="h-9"
+                            />
+                            <datalist id="training-catalog-specialties">
+                                {specialties.map((specialty) => <option key={specialty} value={specialty} />)}
+                            </datalist>
+                        </div>
+                        <div className="space-y-1 col-span-2 sm:col-span-1">
+                            <Label className="text-xs text-slate-500">Bezeichnung</Label>
+                            <Input value={form.name} onChange={(e) => { setForm({ ...form, name: e.target.value }); }} placeholder="z.B. Schnittbilddiagnostik" className="h-9" />
+                        </div>
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Einheit</Label>
+                            <Select value={form.unit} onValueChange={(unit) => { setForm({ ...form, unit: unit as TrainingRequirementUnit }); }}>
+                                <SelectTrigger className="h-9">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {Object.entries(TRAINING_UNIT_LABELS).map(([unit, label]) => (
+                                        <SelectItem key={unit} value={unit}>{label}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label className="text-xs text-slate-500">Soll</Label>
+                            <Input type="number" min={0} step={form.unit === 'months' ? 0.5 : 1} value={form.target} onChange={(e) => { setForm({ ...form, target: e.target.value }); }} className="h-9" />
+                        </div>
+                    </div>
+                    <div className="space-y-1">
+                        <Label className="text-xs text-slate-500">Angerechnete Arbeitsplätze</Label>
+                        <div className="flex flex-wrap gap-1.5">
+                            {workplaceNames.map((name) => (
+                                <Button
+                                    key={name}
+                                    type="button"
+                                    size="sm"
+                                    variant={form.workplaces.includes(name) ? 'default' : 'outline'}
+                                    className="h-7 text-xs"
+                                    onClick={() => { toggleWorkplace(name); }}
+                                >
+                                    {name}
+                                </Button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="flex justify-end gap-2">
+                        {form.id && (
+                            <Button variant="ghost" onClick={() => { setForm(emptyForm(form.specialty)); }}>Abbrechen</Button>
+                        )}
+                        <Button
+                            onClick={() => { saveMutation.mutate(form); }}
+                            disabled={!canSave || saveMutation.isPending}
+                            className="bg-emerald-600 hover:bg-emerald-700 text-white"
+                            data-testid="training-catalog-save"
+                        >
+                            {saveMutation.isPending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            {form.id ? 'Speichern' : 'Hinzufügen'}
+                        </Button>
+                    </div>
+                </section>
+            </DialogContent>
+        </Dialog>
+    );
+}
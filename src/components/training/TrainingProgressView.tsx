@@ -0,0 +1,152 @@
+import { useMemo } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { format, parseISO } from 'date-fns';
+import { Check, FileDown, GraduationCap } from 'lucide-react';
+import { toast } from 'sonner';
+import { db } from '@/api/client';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import type { ShiftEntry, TrainingRequirement, TrainingRotation } from '@/types';
+import {
+    computeTrainingProgress,
+    formatTrainingAmount,
+    listSpecialties,
+    overallTrainingRatio,
+} from './trainingCatalog';
+import { exportTrainingEvidencePdf } from './trainingEvidencePdf';
+
+interface TrainingProgressViewProps {
+    doctor: { id: string; name: string; training_specialty?: string | null };
+    requirements: TrainingRequirement[];
+    rotations: Pick<TrainingRotation, 'doctor_id' | 'modality' | 'start_date' | 'end_date'>[];
+    shifts: Pick<ShiftEntry, 'doctor_id' | 'date' | 'position'>[];
+    isLoading?: boolean;
+    /** Admins may assign the specialty */
+    canEdit: boolean;
+}
+
+const formatDay = (value: string) => format(parseISO(value), 'dd.MM.yyyy');
+
+/**
+ * Weiterbildungsstand eines Assistenzarztes gegenüber dem Katalog seines
+ * Fachgebiets, mit Nachweis-Export als PDF.
+ */
+export default function TrainingProgressView({ doctor, requirements, rotations, shifts, isLoading = false, canEdit }: TrainingProgressViewProps) {
+    const queryClient = useQueryClient();
+    const asOf = format(new Date(), 'yyyy-MM-dd');
+    const specialties = useMemo(() => listSpecialties(requirements), [requirements]);
+    const specialty = doctor.training_specialty || '';
+
+    const progress = useMemo(() => computeTrainingProgress({
+        doctorId: doctor.id,
+        requirements: requirements.filter((r) => r.specialty === specialty),
+        rotations,
+        shifts,
+        asOf,
+    }), [doctor.id, requirements, specialty, rotations, shifts, asOf]);
+    const overall = Math.round(overallTrainingRatio(progress) * 100);
+
+    const specialtyMutation = useMutation({
+        mutationFn: (value: string) => db.Doctor.update(doctor.id, { training_specialty: value || null }),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['doctors'] });
+        },
+        onError: (error: Error) => toast.error(`Speichern fehlgeschlagen: ${error.message}`),
+    });
+
+    return (
+        <Card data-testid="training-progress-view">
+            <CardHeader className="pb-3">
+                <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+                    <div>
+                        <CardTitle className="text-lg flex items-center gap-2">
+                            <GraduationCap className="w-5 h-5" />
+                            Weiterbildungsstand {doctor.name}
+                        </CardTitle>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Angerechnet werden Rotationen und Einsätze bis heute ({formatDay(asOf)}).
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        {canEdit ? (
+                            <Select value={specialty} onValueChange={(value) => { specialtyMutation.mutate(value); }} disabled={specialtyMutation.isPending}>
+                                <SelectTrigger className="h-9 w-56" data-testid="training-specialty-select">
+                                    <SelectValue placeholder={specialties.length === 0 ? 'Katalog ist leer' : 'Fachgebiet zuordnen'} />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {specialties.map((value) => (
+                                        <SelectItem key={value} value={value}>{value}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        ) : (
+                            specialty && <Badge variant="outline">{specialty}</Badge>
+                        )}
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            className="gap-2"
+                            disabled={progress.length === 0}
+                            onClick={() => { exportTrainingEvidencePdf({ doctorName: doctor.name, specialty, asOf, progress }); }}
+                            data-testid="training-progress-pdf"
+                        >
+                            <FileDown className="w-4 h-4" />
+                            Nachweis (PDF)
+                        </Button>
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {isLoading ? (
+                    <div className="flex items-center justify-center h-32 text-slate-400">
+                        Wird geladen...
+                    </div>
+                ) : !specialty ? (
+                    <div className="py-12 text-center text-sm text-slate-500">
+                        Kein Fachgebiet zugeordnet.
+                    </div>
+                ) : progress.length === 0 ? (
+                    <div className="py-12 text-center text-sm text-slate-500">
+                        Für „{specialty}“ sind keine Anforderungen im Weiterbildungskatalog hinterlegt.
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="flex items-center gap-3">
+                            <span className="text-sm font-medium text-slate-700 w-40">Gesamt</span>
+                            <Progress value={overall} className="h-3 flex-1" />
+                            <span className="text-sm font-semibold w-12 text-right">{overall} %</span>
+                        </div>
+                        <div className="divide-y rounded-lg border border-slate-200">
+                            {progress.map((entry) => (
+                                <div key={entry.requirement.id} className="p-3 space-y-2">
+                                    <div className="flex items-center justify-between gap-3">
+                                        <div className="flex items-center gap-2">
+                                            <span className="font-medium text-slate-900">{entry.requirement.name}</span>
+                                            {entry.complete && <Check className="w-4 h-4 text-green-600" />}
+                                        </div>
+                                        <span className="text-sm text-slate-600">
+                                            {formatTrainingAmount(entry.achieved, entry.target, entry.requirement.unit)}
+                                        </span>
+                                    </div>
+                                    <Progress value={Math.round(entry.ratio * 100)} className="h-2" />
+                                    <p className="text-xs text-slate-500">
+                                        {entry.evidence.length === 0
+                                            ? `Noch keine Nachweise (${entry.workplaces.join(', ')})`
+                                            : entry.evidence.map((item) => (
+                                                item.start === item.end
+                                                    ? `${item.workplace} ${formatDay(item.start)}`
+                                                    : `${item.workplace} ${formatDay(item.start)}–${formatDay(item.end)}`
+                                            )).join(' · ')}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+
+import { planRotations } from '../rotationPlanner';
+
+const requirement = (overrides: Record<string, unknown>) => ({
+  id: 'req',
+  specialty: 'Radiologie',
+  name: 'Anforderung',
+  unit: 'months',
+  target: 2,
+  workplaces_json: '["CT"]',
+  order: 0,
+  ...overrides,
+}) as any;
+
+const requirements = [
+  requirement({ id: 'req-ct', name: 'CT', target: 2, workplaces_json: '["CT"]', order: 1 }),
+  requirement({ id: 'req-mrt', name: 'MRT', target: 1, workplaces_json: '["MRT"]', order: 2 }),
+  requirement({ id: 'req-days', name: 'Dienste', unit: 'days', target: 50, workplaces_json: '["Spätdienst"]' }),
+  requirement({ id: 'req-other', specialty: 'Chirurgie', workplaces_json: '["OP"]' }),
+];
+
+const doctors = [
+  { id: 'doctor-1', training_specialty: 'Radiologie' },
+  { id: 'doctor-2', training_specialty: 'Radiologie' },
+  { id: 'doctor-3', training_specialty: null },
+];
+
+function plan(overrides: Record<string, unknown> = {}) {
+  return planRotations({
+    doctors,
+    requirements,
+    rotations: [],
+    absences: [],
+    capacityByWorkplace: { CT: 1, MRT: 1 },
+    startMonth: '2027-01',
+    months: 4,
+    ...overrides,
+  });
+}
+
+describe('planRotations', () => {
+  it('plans months requirements in blocks within workplace capacity', () => {
+    const { drafts, shortfalls } = plan();
+    const monthsAt = (doctorId: string, modality: string) => drafts
+      .filter((d) => d.doctor_id === doctorId && d.modality === modality)
+      .reduce((sum, d) => sum + Number(d.end_date.slice(5, 7)) - Number(d.start_date.slice(5, 7)) + 1, 0);
+    expect(monthsAt('doctor-1', 'CT')).toBe(2);
+    expect(monthsAt('doctor-1', 'MRT')).toBe(1);
+    expect(monthsAt('doctor-2', 'CT')).toBe(2);
+    expect(monthsAt('doctor-2', 'MRT')).toBe(1);
+    expect(shortfalls).toEqual([]);
+    // Never more than one resident per workplace and month
+    for (const month of ['01', '02', '03', '04']) {
+      for (const modality of ['CT', 'MRT']) {
+        const occupants = drafts.filter((d) => d.modality === modality && d.start_date.slice(5, 7) <= month && d.end_date.slice(5, 7) >= month);
+        expect(occupants.length).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+
+  it('counts existing rotations and keeps their months free', () => {
+    const { drafts, skipped } = plan({
+      doctors: [doctors[0]],
+      rotations: [{ doctor_id: 'doctor-1', modality: 'CT', start_date: '2027-01-01', end_date: '2027-01-31' }],
+    });
+    expect(drafts).toEqual([
+      { doctor_id: 'doctor-1', modality: 'CT', start_date: '2027-02-01', end_date: '2027-02-28' },
+      { doctor_id: 'doctor-1', modality: 'MRT', start_date: '2027-03-01', end_date: '2027-03-31' },
+    ]);
+    expect(skipped).toEqual([{ doctorId: 'doctor-1', month: '2027-01', reason: 'occupied' }]);
+  });
+
+  it('clamps to the contract and reports what is left over', () => {
+    const { drafts, shortfalls, skipped } = plan({
+      doctors: [doctors[0]],
+      contractByDoctorId: { 'doctor-1': { contractStart: '2027-01-16', contractEnd: '2027-02-28' } },
+    });
+    expect(drafts).toEqual([
+      { doctor_id: 'doctor-1', modality: 'CT', start_date: '2027-01-16', end_date: '2027-02-28' },
+    ]);
+    expect(shortfalls).toEqual([
+      { doctorId: 'doctor-1', requirementId: 'req-ct', missingMonths: 0.5 },
+      { doctorId: 'doctor-1', requirementId: 'req-mrt', missingMonths: 1 },
+    ]);
+    expect(skipped.map((skip) => [skip.month, skip.reason])).toEqual([['2027-03', 'contract'], ['2027-04', 'contract']]);
+  });
+
+  it('skips months that are mostly covered by planned absences', () => {
+    const vacation = Array.from({ length: 15 }, (_, i) => ({
+      doctor_id: 'doctor-1',
+      date: `2027-01-${String(i + 1).padStart(2, '0')}`,
+      position: 'Urlaub',
+    }));
+    const { drafts, skipped } = plan({ doctors: [doctors[0]], absences: vacation });
+    expect(skipped).toEqual([{ doctorId: 'doctor-1', month: '2027-01', reason: 'absence' }]);
+    expect(drafts[0]).toMatchObject({ modality: 'CT', start_date: '2027-02-01', end_date: '2027-03-31' });
+  });
+
+  it('counts absences booked in other tenants of the group', () => {
+    const vacation = Array.from({ length: 15 }, (_, i) => ({
+      employee_id: 'central-1',
+      date: `2027-01-${String(i + 1).padStart(2, '0')}`,
+      position: 'Urlaub',
+    }));
+    const { skipped } = plan({
+      doctors: [{ ...doctors[0], central_employee_id: 'central-1' }],
+      centralAbsences: [...vacation, { employee_id: 'central-unknown', date: '2027-02-01', position: 'Krank' }],
+    });
+    expect(skipped).toEqual([{ doctorId: 'doctor-1', month: '2027-01', reason: 'absence' }]);
+  });
+
+  it('reports months without a free place', () => {
+    const { drafts, skipped, shortfalls } = plan({ capacityByWorkplace: { CT: 1 }, months: 2 });
+    expect(drafts.every((d) => d.modality === 'CT')).toBe(true);
+    expect(skipped.filter((skip) => skip.reason === 'capacity')).toHaveLength(2);
+    expect(shortfalls.map((s) => s.requirementId)).toEqual(['req-ct', 'req-mrt', 'req-ct', 'req-mrt']);
+  });
+});
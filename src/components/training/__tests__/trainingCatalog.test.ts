@@ -0,0 +1,160 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  computeTrainingProgress,
+  countCoveredMonths,
+  formatTrainingAmount,
+  overallTrainingRatio,
+  parseRequirementWorkplaces,
+} from '../trainingCatalog';
+import { buildTrainingEvidenceLines, exportTrainingEvidencePdf } from '../trainingEvidencePdf';
+
+const pdfInstance = vi.hoisted(() => ({
+  internal: {
+    pageSize: {
+      getWidth: () => 595,
+      getHeight: () => 842,
+    },
+  },
+  setFont: vi.fn(),
+  setFontSize: vi.fn(),
+  text: vi.fn(),
+  addPage: vi.fn(),
+  splitTextToSize: vi.fn((line) => [line]),
+  save: vi.fn(),
+}));
+
+vi.mock('jspdf', () => {
+  function mockJsPDF() {
+    return pdfInstance;
+  }
+  return { jsPDF: mockJsPDF, default: mockJsPDF };
+});
+
+const requirement = (overrides: Record<string, unknown>) => ({
+  id: 'req',
+  specialty: 'Radiologie',
+  name: 'Anforderung',
+  unit: 'months',
+  target: 6,
+  workplaces_json: '["CT"]',
+  order: 0,
+  ...overrides,
+}) as any;
+
+const requirements = [
+  requirement({ id: 'req-ct', name: 'Schnittbild', workplaces_json: '["CT","MRT"]', order: 1 }),
+  requirement({ id: 'req-service', name: 'Dienste', unit: 'days', target: 4, workplaces_json: '["Spätdienst"]', order: 2 }),
+];
+
+const rotations = [
+  { doctor_id: 'doctor-1', modality: 'CT', start_date: '2026-01-01', end_date: '2026-03-31' },
+  // overlaps the CT rotation by one month, counted once
+  { doctor_id: 'doctor-1', modality: 'MRT', start_date: '2026-03-01', end_date: '2026-12-31' },
+  { doctor_id: 'doctor-1', modality: 'Sono', start_date: '2025-01-01', end_date: '2025-06-30' },
+  { doctor_id: 'doctor-2', modality: 'CT', start_date: '2026-01-01', end_date: '2026-12-31' },
+];
+
+const shifts = [
+  { doctor_id: 'doctor-1', date: '2026-02-02', position: 'Spätdienst' },
+  { doctor_id: 'doctor-1', date: '2026-02-02', position: 'Spätdienst' },
+  { doctor_id: 'doctor-1', date: '2026-02-09', position: 'Spätdienst' },
+  { doctor_id: 'doctor-1', date: '2026-05-04', position: 'Spätdienst' },
+  { doctor_id: 'doctor-1', date: '2026-02-03', position: 'CT' },
+  { doctor_id: 'doctor-2', date: '2026-02-04', position: 'Spätdienst' },
+];
+
+describe('parseRequirementWorkplaces', () => {
+  it('tolerates broken JSON', () => {
+    expect(parseRequirementWorkplaces({ workplaces_json: '["CT", 3, ""]' })).toEqual(['CT']);
+    expect(parseRequirementWorkplaces({ workplaces_json: '{' })).toEqual([]);
+  });
+});
+
+describe('countCoveredMonths', () => {
+  it('adds the covered share of each calendar month', () => {
+    const february = Array.from({ length: 28 }, (_, i) => `2027-02-${String(i + 1).padStart(2, '0')}`);
+    expect(countCoveredMonths(february)).toBe(1);
+    expect(countCoveredMonths(['2027-04-01', '2027-04-02', '2027-04-03'])).toBeCloseTo(0.1);
+  });
+});
+
+describe('computeTrainingProgress', () => {
+  const progress = computeTrainingProgress({
+    doctorId: 'doctor-1',
+    requirements,
+    rotations,
+    shifts,
+    asOf: '2026-04-30',
+  });
+
+  it('counts rotation days up to the reference day once', () => {
+    // 2026-01-01 .. 2026-04-30 = four calendar months
+    expect(progress[0]).toMatchObject({ achieved: 4, target: 6, complete: false });
+    expect(progress[0].evidence).toEqual([
+      { workplace: 'CT', start: '2026-01-01', end: '2026-03-31', days: 90 },
+      { workplace: 'MRT', start: '2026-03-01', end: '2026-04-30', days: 30 },
+    ]);
+  });
+
+  it('counts distinct days with an entry at the workplaces', () => {
+    expect(progress[1]).toMatchObject({ achieved: 2, target: 4, ratio: 0.5 });
+    expect(progress[1].evidence).toEqual([
+      { workplace: 'Spätdienst', start: '2026-02-02', end: '2026-02-09', days: 2 },
+    ]);
+  });
+
+  it('caps the overall ratio per requirement', () => {
+    const done = computeTrainingProgress({
+      doctorId: 'doctor-1',
+      requirements: [requirement({ target: 1 }), requirement({ id: 'req-2', target: 0, workplaces_json: '["Sono"]' })],
+      rotations,
+      shifts,
+      asOf: '2026-04-30',
+    });
+    expect(done.every((entry) => entry.complete)).toBe(true);
+    expect(overallTrainingRatio(done)).toBe(1);
+    expect(overallTrainingRatio([])).toBe(0);
+  });
+
+  it('formats amounts in German', () => {
+    expect(formatTrainingAmount(3.5, 6, 'months')).toBe('3,5 / 6 Monate');
+    expect(formatTrainingAmount(2, 4, 'days')).toBe('2 / 4 Einsatztage');
+  });
+});
+
+describe('exportTrainingEvidencePdf', () => {
+  const progress = computeTrainingProgress({
+    doctorId: 'doctor-1',
+    requirements,
+    rotations,
+    shifts,
+    asOf: '2026-04-30',
+  });
+
+  beforeEach(() => {
+    pdfInstance.text.mockClear();
+    pdfInstance.save.mockClear();
+  });
+
+  it('lists each requirement with its evidence periods', () => {
+    expect(buildTrainingEvidenceLines(progress).map((line) => line.text)).toEqual([
+      'Schnittbild: 4 / 6 Monate (67 %)',
+      'Arbeitsplätze: CT, MRT',
+      '  CT: 01.01.2026 – 31.03.2026 (90 Tage)',
+      '  MRT: 01.03.2026 – 30.04.2026 (30 Tage)',
+      'Dienste: 2 / 4 Einsatztage (50 %)',
+      'Arbeitsplätze: Spätdienst',
+      '  Spätdienst: 02.02.2026 – 09.02.2026 (2 Einsatztage)',
+    ]);
+  });
+
+  it('saves a named PDF with header data', () => {
+    exportTrainingEvidencePdf({ doctorName: 'Dr. Jörg Müller', specialty: 'Radiologie', asOf: '2026-04-30', progress });
+    const texts = pdfInstance.text.mock.calls.map((call) => call[0]);
+    expect(texts).toContain('Weiterbildungsnachweis');
+    expect(texts).toContain('Fachgebiet: Radiologie');
+    expect(texts).toContain('Stichtag: 30.04.2026');
+    expect(pdfInstance.save).toHaveBeenCalledWith('weiterbildungsnachweis_dr-jorg-muller_2026-04-30.pdf');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Rotation plan generator ("Rotationsvorschlag").
+ *
+ * Proposes TrainingRotation drafts month by month for every resident with a
+ * specialty, until the months requirements of the Weiterbildungskatalog are
+ * covered. A month is planned for a resident only if
+ *   - no rotation is planned for them in that month yet,
+ *   - it lies (at least partly) inside the contract; partial months are clamped,
+ *   - planned absences cover less than half of its weekdays,
+ * and only at a workplace whose monthly capacity is not used up by existing
+ * rotations and earlier drafts. Residents with the least slack (remaining
+ * months vs. available months) choose first; a running rotation is continued
+ * while its requirement is still open, so the result reads as blocks.
+ */
+
+import { addDays, addMonths, eachDayOfInterval, endOfMonth, format, isWeekend, parseISO } from 'date-fns';
+import type { TrainingRequirement, TrainingRotation } from '@/types';
+import { COVERAGE_ABSENCE_POSITIONS } from '@/components/staff/coverageForecast';
+import { clampRangeToContract } from './trainingContractUtils';
+import { computeTrainingProgress, countCoveredMonths, parseRequirementWorkplaces } from './trainingCatalog';
+
+type RotationLike = Pick<TrainingRotation, 'doctor_id' | 'modality' | 'start_date' | 'end_date'>;
+
+export interface RotationPlanDoctor {
+  id: string;
+  training_specialty?: string | null;
+  is_active?: boolean;
+  central_employee_id?: string | null;
+}
+
+export interface RotationPlanAbsence {
+  doctor_id?: string | null;
+  date: string;
+  position: string;
+}
+
+/** Absence booked in another tenant of the group (central employee). */
+export interface RotationPlanCentralAbsence {
+  employee_id?: string | null;
+  date: string;
+  position: string;
+}
+
+export interface RotationPlanContract {
+  contractStart?: string | null;
+  contractEnd?: string | null;
+}
+
+export interface RotationDraft {
+  doctor_id: string;
+  modality: string;
+  start_date: string;
+  end_date: string;
+}
+
+export type RotationSkipReason = 'occupied' | 'contract' | 'absence' | 'capacity';
+
+export interface RotationPlanSkip {
+  doctorId: string;
+  /** yyyy-MM */
+  month: string;
+  reason: RotationSkipReason;
+}
+
+export interface RotationPlanShortfall {
+  doctorId: string;
+  requirementId: string;
+  /** Months still open after the horizon, one decimal. */
+  missingMonths: number;
+}
+
+export interface RotationPlan {
+  drafts: RotationDraft[];
+  skipped: RotationPlanSkip[];
+  shortfalls: RotationPlanShortfall[];
+}
+
+export const ROTATION_SKIP_LABELS: Record<RotationSkipReason, string> = {
+  occupied: 'bereits geplant',
+  contract: 'außerhalb des Vertrags',
+  absence: 'überwiegend abwesend',
+  capacity: 'kein freier Platz',
+};
+
+interface PlanRotationsParams {
+  doctors: RotationPlanDoctor[];
+  requirements: TrainingRequirement[];
+  /** Existing rotations of all doctors */
+  rotations: RotationLike[];
+  absences: RotationPlanAbsence[];
+  /** Absences from other tenants of the group, mapped via `central_employee_id` */
+  centralAbsences?: RotationPlanCentralAbsence[];
+  contractByDoctorId?: Record<string, RotationPlanContract>;
+  /** Residents per workplace and month; workplaces without entry are not planned */
+  capacityByWorkplace: Record<string, number>;
+  /** First month (yyyy-MM) */
+  startMonth: string;
+  months: number;
+}
+
+interface MonthSlot {
+  key: string;
+  start: string;
+  end: string;
+}
+
+const dayKey = (date: Date) => format(date, 'yyyy-MM-dd');
+// Rounding noise below a twentieth of a month does not open a new rotation
+const EPSILON = 0.05;
+
+const overlaps = (rotation: RotationLike, start: string, end: string) =>
+  rotation.start_date.slice(0, 10) <= end && rotation.end_date.slice(0, 10) >= start;
+
+export function planRotations({
+  doctors,
+  requirements,
+  rotations,
+  absences,
+  centralAbsences = [],
+  contractByDoctorId = {},
+  capacityByWorkplace,
+  startMonth,
+  months,
+}: PlanRotationsParams): RotationPlan {
+  const first = parseISO(`${startMonth}-01`);
+  const slots: MonthSlot[] = Array.from({ length: months }, (_, i) => {
+    const monthStart = addMonths(first, i);
+    return { key: format(monthStart, 'yyyy-MM'), start: dayKey(monthStart), end: dayKey(endOfMonth(monthStart)) };
+  });
+  if (slots.length === 0) return { drafts: [], skipped: [], shortfalls: [] };
+  const horizonEnd = slots[slots.length - 1].end;
+
+  const doctorByCentralId = new Map<string, string>();
+  for (const doctor of doctors) {
+    if (doctor.central_employee_id) doctorByCentralId.set(doctor.central_employee_id, doctor.id);
+  }
+  const absentDays = new Map<string, Set<string>>();
+  const addAbsence = (doctorId: string | null | undefined, date: string, position: string) => {
+    if (!doctorId || !COVERAGE_ABSENCE_POSITIONS.includes(position)) return;
+    if (!absentDays.has(doctorId)) absentDays.set(doctorId, new Set());
+    absentDays.get(doctorId)!.add(String(date).slice(0, 10));
+  };
+  for (const absence of absences) addAbsence(absence.doctor_id, absence.date, absence.position);
+  for (const absence of centralAbsences) {
+    addAbsence(absence.employee_id ? doctorByCentralId.get(absence.employee_id) : null, absence.date, absence.position);
+  }
+
+  // Residents already placed per month and workplace by existing rotations
+  const load = new Map<string, Map<string, Set<string>>>();
+  const loadOf = (monthKey: string, workplace: string) => {
+    if (!load.has(monthKey)) load.set(monthKey, new Map());
+    const byWorkplace = load.get(monthKey)!;
+    if (!byWorkplace.has(workplace)) byWorkplace.set(workplace, new Set());
+    return byWorkplace.get(workplace)!;
+  };
+  for (const slot of slots) {
+    for (const rotation of rotations) {
+      if (rotation.modality && overlaps(rotation, slot.start, slot.end)) loadOf(slot.key, rotation.modality).add(rotation.doctor_id);
+    }
+  }
+  const hasRoom = (monthKey: string, workplace: string) =>
+    loadOf(monthKey, workplace).size < (capacityByWorkplace[workplace] ?? 0);
+
+  const skipped: RotationPlanSkip[] = [];
+  const residents = doctors
+    .filter((doctor) => doctor.is_active !== false && doctor.training_specialty)
+    .map((doctor) => {
+      const own = requirements.filter((r) => r.specialty === doctor.training_specialty && r.unit === 'months');
+      // Existing rotations up to the end of the horizon already count
+      const progress = computeTrainingProgress({ doctorId: doctor.id, requirements: own, rotations, shifts: [], asOf: horizonEnd });
+      const remaining = new Map(progress.map((entry) => [entry.requirement.id, Math.max(0, entry.target - entry.achieved)]));
+      const contract = contractByDoctorId[doctor.id];
+      const absent = absentDays.get(doctor.id) ?? new Set<string>();
+
+      // Month windows this resident can be planned in
+      const windows = new Map<string, { start: string; end: string; credit: number }>();
+      for (const slot of slots) {
+        if (rotations.some((rotation) => rotation.doctor_id === doctor.id && overlaps(rotation, slot.start, slot.end))) {
+          skipped.push({ doctorId: doctor.id, month: slot.key, reason: 'occupied' });
+          continue;
+        }
+        const clamped = clampRangeToContract(parseISO(slot.start), parseISO(slot.end), contract?.contractStart ?? undefined, contract?.contractEnd ?? undefined);
+        if (!clamped) {
+          skipped.push({ doctorId: doctor.id, month: slot.key, reason: 'contract' });
+          continue;
+        }
+        const days = eachDayOfInterval({ start: clamped.startDate, end: clamped.endDate });
+        const weekdays = days.filter((day) => !isWeekend(day)).map(dayKey);
+        const absentWeekdays = weekdays.filter((day) => absent.has(day)).length;
+        if (weekdays.length === 0 || absentWeekdays * 2 >= weekdays.length) {
+          skipped.push({ doctorId: doctor.id, month: slot.key, reason: 'absence' });
+          continue;
+        }
+        windows.set(slot.key, {
+          start: dayKey(clamped.startDate),
+          end: dayKey(clamped.endDate),
+          credit: countCoveredMonths(days.map(dayKey)),
+        });
+      }
+
+      return {
+        id: doctor.id,
+        requirements: [...own].sort((a, b) => (a.order || 0) - (b.order || 0)),
+        remaining,
+        windows,
+        current: null as string | null,
+      };
+    })
+    .filter((resident) => resident.requirements.length > 0);
+
+  const openMonths = (resident: (typeof residents)[number]) =>
+    [...resident.remaining.values()].reduce((sum, value) => sum + (value > EPSILON ? value : 0), 0);
+  const openRequirementsAt = (resident: (typeof residents)[number], workplace: string) =>
+    resident.requirements.filter((r) => (resident.remaining.get(r.id) ?? 0) > EPSILON && parseRequirementWorkplaces(r).includes(workplace));
+
+  const placed: (RotationDraft & { month: string })[] = [];
+  slots.forEach((slot, slotIndex) => {
+    const windowsLeft = (resident: (typeof residents)[number]) =>
+      slots.slice(slotIndex).filter((s) => resident.windows.has(s.key)).length;
+    const ordered = residents
+      .filter((resident) => resident.windows.has(slot.key) && openMonths(resident) > EPSILON)
+      .sort((a, b) => (windowsLeft(a) - openMonths(a)) - (windowsLeft(b) - openMonths(b)) || a.id.localeCompare(b.id));
+
+    for (const resident of ordered) {
+      const window = resident.windows.get(slot.key)!;
+      let workplace: string | null = null;
+      if (resident.current && openRequirementsAt(resident, resident.current).length > 0 && hasRoom(slot.key, resident.current)) {
+        workplace = resident.current;
+      } else {
+        const byNeed = resident.requirements
+          .filter((r) => (resident.remaining.get(r.id) ?? 0) > EPSILON)
+          .sort((a, b) => (resident.remaining.get(b.id) ?? 0) - (resident.remaining.get(a.id) ?? 0));
+        for (const requirement of byNeed) {
+          const candidates = parseRequirementWorkplaces(requirement)
+            .filter((name) => hasRoom(slot.key, name))
+            .sort((a, b) => loadOf(slot.key, a).size - loadOf(slot.key, b).size);
+          if (candidates.length > 0) {
+            workplace = candidates[0];
+            break;
+          }
+        }
+      }
+
+      if (!workplace) {
+        resident.current = null;
+        skipped.push({ doctorId: resident.id, month: slot.key, reason: 'capacity' });
+        continue;
+      }
+      loadOf(slot.key, workplace).add(resident.id);
+      // A workplace counts for every requirement that lists it, as in the progress view
+      for (const requirement of openRequirementsAt(resident, workplace)) {
+        resident.remaining.set(requirement.id, Math.max(0, (resident.remaining.get(requirement.id) ?? 0) - window.credit));
+      }
+      resident.current = workplace;
+      placed.push({ doctor_id: resident.id, modality: workplace, start_date: window.start, end_date: window.end, month: slot.key });
+    }
+
+    // Residents not planned this month start a new block next time
+    for (const resident of residents) {
+      if (!placed.some((draft) => draft.doctor_id === resident.id && draft.month === slot.key)) resident.current = null;
+    }
+  });
+
+  // Merge consecutive months at the same workplace into one rotation
+  const drafts: RotationDraft[] = [];
+  const sorted = [...placed].sort((a, b) => a.doctor_id.localeCompare(b.doctor_id) || a.start_date.localeCompare(b.start_date));
+  for (const { month: _month, ...draft } of sorted) {
+    const previous = drafts[drafts.length - 1];
+    const dayAfterPrevious = previous ? dayKey(addDays(parseISO(previous.end_date), 1)) : null;
+    if (previous && previous.doctor_id === draft.doctor_id && previous.modality === draft.modality && dayAfterPrevious === draft.start_date) {
+      previous.end_date = draft.end_date;
+    } else {
+      drafts.push({ ...draft });
+    }
+  }
+
+  const shortfalls: RotationPlanShortfall[] = [];
+  for (const resident of residents) {
+    for (const requirement of resident.requirements) {
+      const missing = resident.remaining.get(requirement.id) ?? 0;
+      if (missing > EPSILON) {
+        shortfalls.push({ doctorId: resident.id, requirementId: requirement.id, missingMonths: Math.round(missing * 10) / 10 });
+      }
+    }
+  }
+
+  const residentIds = new Set(residents.map((resident) => resident.id));
+  return { drafts, skipped: skipped.filter((skip) => residentIds.has(skip.doctorId)), shortfalls };
+}
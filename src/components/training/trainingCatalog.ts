@@ -0,0 +1,153 @@
+/**
+ * Residency training catalogue ("Weiterbildungskatalog").
+ *
+ * A TrainingRequirement asks for a number of months or of working days at a
+ * set of workplaces, per specialty. Progress comes from the plan itself:
+ *   - months  elapsed days of TrainingRotation periods at those workplaces
+ *             (up to the reference day); each calendar month contributes the
+ *             share of its days covered, so January + February are 2 months
+ *   - days    distinct days with a ShiftEntry at those workplaces
+ *             (up to the reference day)
+ * Days covered twice (overlapping rotations, two entries on one day) count once.
+ */
+
+import { eachDayOfInterval, format, getDaysInMonth, parseISO } from 'date-fns';
+import type { ShiftEntry, TrainingRequirement, TrainingRequirementUnit, TrainingRotation } from '@/types';
+
+export const TRAINING_UNIT_LABELS: Record<TrainingRequirementUnit, string> = {
+  months: 'Monate',
+  days: 'Einsatztage',
+};
+
+type RotationLike = Pick<TrainingRotation, 'doctor_id' | 'modality' | 'start_date' | 'end_date'>;
+type ShiftLike = Pick<ShiftEntry, 'doctor_id' | 'date' | 'position'>;
+
+/** One block of evidence behind a requirement, e.g. a rotation period. */
+export interface TrainingEvidence {
+  workplace: string;
+  start: string;
+  end: string;
+  days: number;
+}
+
+export interface TrainingProgress {
+  requirement: TrainingRequirement;
+  workplaces: string[];
+  target: number;
+  /** In the unit of the requirement; months with one decimal. */
+  achieved: number;
+  /** 0..1 */
+  ratio: number;
+  complete: boolean;
+  evidence: TrainingEvidence[];
+}
+
+/** Workplace names of a requirement; tolerates broken JSON. */
+export function parseRequirementWorkplaces(requirement: Pick<TrainingRequirement, 'workplaces_json'>): string[] {
+  try {
+    const parsed = JSON.parse(requirement.workplaces_json || '[]') as unknown;
+    return Array.isArray(parsed) ? parsed.filter((name): name is string => typeof name === 'string' && name !== '') : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Specialties of the catalogue, sorted. */
+export function listSpecialties(requirements: Pick<TrainingRequirement, 'specialty'>[]): string[] {
+  return [...new Set(requirements.map((r) => r.specialty).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'de'));
+}
+
+const dayKey = (date: Date) => format(date, 'yyyy-MM-dd');
+
+/** Months covered by a set of days (yyyy-MM-dd), as fractions of calendar months. */
+export function countCoveredMonths(days: Iterable<string>): number {
+  const perMonth = new Map<string, number>();
+  for (const day of days) perMonth.set(day.slice(0, 7), (perMonth.get(day.slice(0, 7)) ?? 0) + 1);
+  let months = 0;
+  perMonth.forEach((count, month) => { months += count / getDaysInMonth(parseISO(`${month}-01`)); });
+  return months;
+}
+
+function rotationEvidence(rotations: RotationLike[], workplaces: string[], asOf: string) {
+  const evidence: TrainingEvidence[] = [];
+  const days = new Set<string>();
+  const sorted = [...rotations]
+    .filter((rotation) => rotation.modality && workplaces.includes(rotation.modality))
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+  for (const rotation of sorted) {
+    const start = rotation.start_date.slice(0, 10);
+    const end = rotation.end_date.slice(0, 10) < asOf ? rotation.end_date.slice(0, 10) : asOf;
+    if (start > end) continue;
+    const periodDays = eachDayOfInterval({ start: parseISO(start), end: parseISO(end) }).map(dayKey);
+    const fresh = periodDays.filter((day) => !days.has(day));
+    fresh.forEach((day) => days.add(day));
+    if (fresh.length > 0) evidence.push({ workplace: rotation.modality as string, start, end, days: fresh.length });
+  }
+  return { evidence, total: countCoveredMonths(days) };
+}
+
+function shiftEvidence(shifts: ShiftLike[], workplaces: string[], asOf: string) {
+  const days = new Set<string>();
+  const byWorkplace = new Map<string, string[]>();
+  for (const shift of shifts) {
+    const date = String(shift.date).slice(0, 10);
+    if (date > asOf || !workplaces.includes(shift.position)) continue;
+    if (days.has(date)) continue;
+    days.add(date);
+    byWorkplace.set(shift.position, [...(byWorkplace.get(shift.position) ?? []), date]);
+  }
+  const evidence = [...byWorkplace.entries()]
+    .map(([workplace, dates]) => {
+      const ordered = [...dates].sort();
+      return { workplace, start: ordered[0], end: ordered[ordered.length - 1], days: ordered.length };
+    })
+    .sort((a, b) => workplaces.indexOf(a.workplace) - workplaces.indexOf(b.workplace));
+  return { evidence, total: days.size };
+}
+
+/**
+ * Progress of one resident against the requirements of a specialty.
+ * `rotations` and `shifts` may contain other doctors; they are filtered here.
+ * `asOf` (yyyy-MM-dd) is the last day counted, usually today.
+ */
+export function computeTrainingProgress({
+  doctorId,
+  requirements,
+  rotations,
+  shifts,
+  asOf,
+}: {
+  doctorId: string;
+  requirements: TrainingRequirement[];
+  rotations: RotationLike[];
+  shifts: ShiftLike[];
+  asOf: string;
+}): TrainingProgress[] {
+  const ownRotations = rotations.filter((rotation) => rotation.doctor_id === doctorId);
+  const ownShifts = shifts.filter((shift) => shift.doctor_id === doctorId);
+
+  return [...requirements]
+    .sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name, 'de'))
+    .map((requirement) => {
+      const workplaces = parseRequirementWorkplaces(requirement);
+      const target = Number(requirement.target) || 0;
+      const { evidence, total } = requirement.unit === 'days'
+        ? shiftEvidence(ownShifts, workplaces, asOf)
+        : rotationEvidence(ownRotations, workplaces, asOf);
+      const achieved = requirement.unit === 'days' ? total : Math.round(total * 10) / 10;
+      const ratio = target > 0 ? Math.min(1, achieved / target) : 1;
+      return { requirement, workplaces, target, achieved, ratio, complete: achieved >= target, evidence };
+    });
+}
+
+/** Share of the catalogue fulfilled (mean of the capped ratios), 0..1. */
+export function overallTrainingRatio(progress: TrainingProgress[]): number {
+  if (progress.length === 0) return 0;
+  return progress.reduce((sum, entry) => sum + entry.ratio, 0) / progress.length;
+}
+
+/** "3,5 / 6 Monate" */
+export function formatTrainingAmount(value: number, target: number, unit: TrainingRequirementUnit): string {
+  const number = (n: number) => n.toLocaleString('de-DE', { maximumFractionDigits: 1 });
+  return `${number(value)} / ${number(target)} ${TRAINING_UNIT_LABELS[unit] ?? unit}`;
+}
@@ -0,0 +1,98 @@
+import { jsPDF } from 'jspdf';
+import { format, parseISO } from 'date-fns';
+import { formatTrainingAmount, overallTrainingRatio, type TrainingProgress } from './trainingCatalog';
+
+interface TrainingEvidencePdfParams {
+    doctorName: string;
+    specialty: string;
+    /** Last day counted (yyyy-MM-dd). */
+    asOf: string;
+    progress: TrainingProgress[];
+}
+
+const formatDay = (value: string) => format(parseISO(value), 'dd.MM.yyyy');
+
+function buildFileName(doctorName: string, asOf: string): string {
+    const slug = doctorName
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase();
+    return `weiterbildungsnachweis_${slug || 'mitarbeiter'}_${asOf}.pdf`;
+}
+
+/** Lines of the evidence document; one requirement block after another. */
+export function buildTrainingEvidenceLines(progress: TrainingProgress[]): { text: string; bold: boolean }[] {
+    const lines: { text: string; bold: boolean }[] = [];
+    progress.forEach((entry) => {
+        const { requirement } = entry;
+        const state = entry.complete ? 'erfüllt' : `${Math.round(entry.ratio * 100)} %`;
+        lines.push({
+            text: `${requirement.name}: ${formatTrainingAmount(entry.achieved, entry.target, requirement.unit)} (${state})`,
+            bold: true,
+        });
+        lines.push({ text: `Arbeitsplätze: ${entry.workplaces.join(', ') || '–'}`, bold: false });
+        if (entry.evidence.length === 0) {
+            lines.push({ text: '  Keine Nachweise bis zum Stichtag.', bold: false });
+        }
+        entry.evidence.forEach((item) => {
+            const period = item.start === item.end
+                ? formatDay(item.start)
+                : `${formatDay(item.start)} – ${formatDay(item.end)}`;
+            const unit = requirement.unit === 'days' ? 'Einsatztage' : 'Tage';
+            lines.push({ text: `  ${item.workplace}: ${period} (${item.days} ${unit})`, bold: false });
+        });
+    });
+    return lines;
+}
+
+export function exportTrainingEvidencePdf({ doctorName, specialty, asOf, progress }: TrainingEvidencePdfParams): void {
+    const pdfDocument = new jsPDF({
+        orientation: 'portrait',
+        unit: 'pt',
+        format: 'a4',
+        compress: true,
+    });
+
+    const pageWidth = pdfDocument.internal.pageSize.getWidth();
+    const pageHeight = pdfDocument.internal.pageSize.getHeight();
+    const margin = 40;
+    const lineHeight = 12;
+    const maxTextWidth = pageWidth - (margin * 2);
+
+    let cursorY = margin;
+
+    pdfDocument.setFont('helvetica', 'bold');
+    pdfDocument.setFontSize(16);
+    pdfDocument.text('Weiterbildungsnachweis', margin, cursorY);
+    cursorY += 24;
+
+    pdfDocument.setFont('helvetica', 'normal');
+    pdfDocument.setFontSize(10);
+    pdfDocument.text(`Mitarbeiter: ${doctorName}`, margin, cursorY);
+    cursorY += 12;
+    pdfDocument.text(`Fachgebiet: ${specialty}`, margin, cursorY);
+    cursorY += 12;
+    pdfDocument.text(`Stichtag: ${formatDay(asOf)}`, margin, cursorY);
+    cursorY += 12;
+    pdfDocument.text(`Gesamtfortschritt: ${Math.round(overallTrainingRatio(progress) * 100)} %`, margin, cursorY);
+    cursorY += 20;
+
+    buildTrainingEvidenceLines(progress).forEach((line) => {
+        const wrappedLines = pdfDocument.splitTextToSize(line.text, maxTextWidth);
+
+        if (cursorY + (wrappedLines.length * lineHeight) > pageHeight - margin) {
+            pdfDocument.addPage();
+            cursorY = margin;
+        }
+
+        if (line.bold && cursorY > margin) cursorY += 6;
+        pdfDocument.setFont('helvetica', line.bold ? 'bold' : 'normal');
+        pdfDocument.setFontSize(line.bold ? 11 : 9);
+        pdfDocument.text(wrappedLines, margin, cursorY);
+        cursorY += wrappedLines.length * lineHeight;
+    });
+
+    pdfDocument.save(buildFileName(doctorName, asOf));
+}
@@ -0,0 +1,168 @@
+import { useEffect, useMemo, useState } from 'react';
+import { CalendarDays } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { countVacationRangeDays } from './vacationBalance';
+import { formatDayCount } from './absenceRequestRange';
+
+export interface AbsenceRequestDraft {
+  date: string;
+  endDate: string | null;
+  startHalfDay: boolean;
+  endHalfDay: boolean;
+  reason: string;
+}
+
+interface AbsenceRequestDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  position: string;
+  /** Preselected range (yyyy-MM-dd), e.g. from a calendar drag. */
+  initialFrom: string;
+  initialTo: string;
+  /** Earliest requestable day (tomorrow). */
+  minDate: string;
+  publicHolidayDates: Set<string>;
+  isSubmitting?: boolean;
+  onSubmit: (draft: AbsenceRequestDraft) => void;
+}
+
+/**
+ * Antrag für einen Zeitraum (Read-Only-User). Halbe Tage gibt es nur am
+ * Anfang und Ende; die Vorschau zählt wie das Urlaubskonto nur Werktage
+ * ohne Feiertage.
+ */
+export default function AbsenceRequestDialog({
+  open,
+  onOpenChange,
+  position,
+  initialFrom,
+  initialTo,
+  minDate,
+  publicHolidayDates,
+  isSubmitting = false,
+  onSubmit,
+}: AbsenceRequestDialogProps) {
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState(initialTo);
+  const [startHalfDay, setStartHalfDay] = useState(false);
+  const [endHalfDay, setEndHalfDay] = useState(false);
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setFrom(initialFrom);
+    setTo(initialTo);
+    setStartHalfDay(false);
+    setEndHalfDay(false);
+    setReason('');
+  }, [open, initialFrom, initialTo]);
+
+  const isSingleDay = from === to;
+  const isRangeValid = Boolean(from && to) && from >= minDate && to >= from;
+
+  const dayCount = useMemo(() => {
+    if (!isRangeValid) return 0;
+    return countVacationRangeDays({
+      from,
+      to,
+      startHalfDay,
+      endHalfDay: !isSingleDay && endHalfDay,
+      publicHolidayDates,
+    });
+  }, [from, to, startHalfDay, endHalfDay, isSingleDay, isRangeValid, publicHolidayDates]);
+
+  const handleSubmit = () => {
+    if (!isRangeValid) return;
+    onSubmit({
+      date: from,
+      endDate: isSingleDay ? null : to,
+      startHalfDay,
+      endHalfDay: !isSingleDay && endHalfDay,
+      reason: reason.trim(),
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[440px]" data-testid="absence-request-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarDays className="h-5 w-5 text-indigo-600" />
+            {position} beantragen
+          </DialogTitle>
+          <DialogDescription>
+            Der Antrag wird als Ganzes genehmigt oder abgelehnt.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1.5">
+              <Label className="text-sm font-semibold text-slate-700">Von</Label>
+              <Input
+                type="date"
+                value={from}
+                min={minDate}
+                onChange={(e) => {
+                  setFrom(e.target.value);
+                  if (e.target.value > to) setTo(e.target.value);
+                }}
+              />
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <Checkbox checked={startHalfDay} onCheckedChange={(v) => { setStartHalfDay(v === true); }} />
+                {isSingleDay ? 'Halber Tag' : 'Erster Tag halb'}
+              </label>
+            </div>
+            <div className="space-y-1.5">
+              <Label className="text-sm font-semibold text-slate-700">Bis</Label>
+              <Input
+                type="date"
+                value={to}
+                min={from || minDate}
+                onChange={(e) => { setTo(e.target.value); }}
+              />
+              {!isSingleDay && (
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <Checkbox checked={endHalfDay} onCheckedChange={(v) => { setEndHalfDay(v === true); }} />
+                  Letzter Tag halb
+                </label>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <Label className="text-sm font-semibold text-slate-700">Grund (optional)</Label>
+            <Textarea value={reason} onChange={(e) => { setReason(e.target.value); }} rows={2} />
+          </div>
+
+          <div className="rounded-md bg-slate-50 px-3 py-2 text-sm text-slate-600" data-testid="absence-request-day-count">
+            {isRangeValid
+              ? <><span className="font-semibold text-slate-800">{formatDayCount(dayCount)}</span> {dayCount === 1 ? 'Arbeitstag' : 'Arbeitstage'} (ohne Wochenenden und Feiertage)</>
+              : 'Bitte einen zukünftigen Zeitraum wählen.'}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => { onOpenChange(false); }}>
+            Abbrechen
+          </Button>
+          <Button onClick={handleSubmit} disabled={!isRangeValid || isSubmitting}>
+            Beantragen
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -432,7 +432,7 @@ export default function VacationOverview({ year, doctors, shifts, contractInfoBy
                     if (!isWeekend(d) && !isPublicHoliday(d)) {
                         if (s.doctor_id && counts[s.doctor_id] !== undefined) {
                             if (s.date > todayStr || hasTisowareConfirmation(s.note)) {
-                                counts[s.doctor_id]++;
+                                counts[s.doctor_id] += s.half_day ? 0.5 : 1;
                             }
                         }
                     }
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  describeApprovalProgress,
+  describeApprovalRuleConditions,
+  parseListInput,
+  type AbsenceApprovalStep,
+} from '../absenceApproval';
+
+const steps: AbsenceApprovalStep[] = [
+  { label: 'Oberarzt', approver_user_ids: ['oa-1'], escalate_after_days: 3 },
+  { label: 'Chefarzt', approver_user_ids: ['ca-1'], escalate_after_days: null },
+  { label: '', approver_user_ids: ['hr-1'], escalate_after_days: null },
+];
+
+describe('describeApprovalProgress', () => {
+  it('describes the open step of a chained request', () => {
+    expect(describeApprovalProgress({ status: 'pending', approval_steps: steps, current_step: 1 })).toEqual({
+      step: 2,
+      total: 3,
+      label: 'Chefarzt',
+      escalated: false,
+      text: 'Stufe 2 von 3: Chefarzt',
+    });
+  });
+
+  it('falls back to the step number and flags escalation', () => {
+    const progress = describeApprovalProgress({
+      status: 'pending', approval_steps: steps, current_step: 2, escalated_date: '2026-06-04T08:00:00Z',
+    });
+    expect(progress?.text).toBe('Stufe 3 von 3: Stufe 3');
+    expect(progress?.escalated).toBe(true);
+  });
+
+  it('returns null for single-step and decided requests', () => {
+    expect(describeApprovalProgress({ status: 'pending', approval_steps: null })).toBeNull();
+    expect(describeApprovalProgress({ status: 'approved', approval_steps: steps, current_step: 2 })).toBeNull();
+  });
+});
+
+describe('parseListInput', () => {
+  it('splits, trims and dedupes', () => {
+    expect(parseListInput(' Urlaub, Frei,,Urlaub ')).toEqual(['Urlaub', 'Frei']);
+    expect(parseListInput('')).toEqual([]);
+  });
+});
+
+describe('describeApprovalRuleConditions', () => {
+  it('summarizes the rule conditions', () => {
+    expect(describeApprovalRuleConditions({ positions: ['Urlaub'], min_days: 10.5, requester_roles: ['Assistenzarzt'] }))
+      .toBe('Urlaub · ab 10,5 Tagen · Rolle: Assistenzarzt');
+    expect(describeApprovalRuleConditions({ positions: [], min_days: null, requester_roles: [] })).toBe('Alle Anträge');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  absenceRequestDates,
+  absenceRequestOverlaps,
+  formatAbsenceRequestPeriod,
+  indexAbsenceRequestsByDate,
+  type AbsenceRequestRange,
+} from '../absenceRequestRange';
+
+const range: AbsenceRequestRange = {
+  id: 'req-1',
+  date: '2026-06-12',
+  end_date: '2026-06-15',
+  start_half_day: 1,
+  end_half_day: 0,
+  day_count: '1.5',
+  position: 'Urlaub',
+  status: 'pending',
+  source_tenant_doctor_id: 'doc-1',
+};
+
+const single: AbsenceRequestRange = {
+  id: 'req-2',
+  date: '2026-06-20',
+  end_date: null,
+  position: 'Frei',
+  status: 'approved',
+  source_tenant_doctor_id: 'doc-2',
+};
+
+describe('absenceRequestDates', () => {
+  it('expands a range to every calendar day', () => {
+    expect(absenceRequestDates(range)).toEqual(['2026-06-12', '2026-06-13', '2026-06-14', '2026-06-15']);
+  });
+
+  it('treats a missing end date as a single day', () => {
+    expect(absenceRequestDates(single)).toEqual(['2026-06-20']);
+  });
+});
+
+describe('indexAbsenceRequestsByDate', () => {
+  it('keys each covered day by date or by a custom key', () => {
+    const byDate = indexAbsenceRequestsByDate([range, single]);
+    expect(Object.keys(byDate).sort()).toEqual(['2026-06-12', '2026-06-13', '2026-06-14', '2026-06-15', '2026-06-20']);
+    expect(byDate['2026-06-14'].id).toBe('req-1');
+
+    const byCell = indexAbsenceRequestsByDate([single], (r, date) => `${r.source_tenant_doctor_id}_${date}`);
+    expect(Object.keys(byCell)).toEqual(['doc-2_2026-06-20']);
+  });
+});
+
+describe('absenceRequestOverlaps', () => {
+  it('detects inclusive overlaps', () => {
+    expect(absenceRequestOverlaps(range, '2026-06-15', '2026-06-18')).toBe(true);
+    expect(absenceRequestOverlaps(range, '2026-06-16', '2026-06-18')).toBe(false);
+    expect(absenceRequestOverlaps(single, '2026-06-20', '2026-06-20')).toBe(true);
+  });
+});
+
+describe('formatAbsenceRequestPeriod', () => {
+  it('shows both ends, half days and the day count', () => {
+    expect(formatAbsenceRequestPeriod(range)).toBe('12.06.2026 (½) – 15.06.2026 · 1,5 Tage');
+  });
+
+  it('shows a plain date for a full single day', () => {
+    expect(formatAbsenceRequestPeriod({ ...single, day_count: 1 })).toBe('20.06.2026');
+  });
+});
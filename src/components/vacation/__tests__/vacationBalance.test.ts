@@ -1,6 +1,11 @@
 import { describe, it, expect } from 'vitest';
 import { addDays, isWeekend, format } from 'date-fns';
-import { computeVacationBalance, decidePositionsForUrlaubsDays, parseAnnualVacationDays } from '../vacationBalance';
+import {
+  computeVacationBalance,
+  countVacationRangeDays,
+  decidePositionsForUrlaubsDays,
+  parseAnnualVacationDays,
+} from '../vacationBalance';
 
 /**
  * Build `count` consecutive weekday dates (Mon–Fri) starting from
@@ -167,6 +172,22 @@ describe('computeVacationBalance', () => {
     expect(result.overshoot).toBe(true);
   });
 
+  it('counts half-day rows as 0.5', () => {
+    const result = computeVacationBalance({
+      shifts: [
+        { date: `${YEAR}-06-10`, position: 'Urlaub', half_day: 1 },
+        { date: `${YEAR}-06-16`, position: 'Urlaub', half_day: true },
+        { date: `${YEAR}-06-17`, position: 'Urlaub', half_day: 0 },
+      ],
+      year: YEAR,
+      annualVacationDays: 30,
+      today: TODAY,
+    });
+    expect(result.taken).toBe(0.5);
+    expect(result.planned).toBe(1.5);
+    expect(result.remaining).toBe(28);
+  });
+
   it('includes the candidateDate in the planned count (UI in-progress)', () => {
     // 2026-06-16 is a Tuesday — future relative to today.
     const result = computeVacationBalance({
@@ -356,6 +377,31 @@ describe('computeVacationBalance — tisowareConfirmedOnly', () => {
   });
 });
 
+describe('countVacationRangeDays', () => {
+  it('counts weekdays only', () => {
+    // Fr 2026-06-12 … Di 2026-06-16
+    expect(countVacationRangeDays({ from: `${YEAR}-06-12`, to: `${YEAR}-06-16` })).toBe(3);
+  });
+
+  it('skips public holidays', () => {
+    expect(countVacationRangeDays({
+      from: `${YEAR}-06-12`,
+      to: `${YEAR}-06-16`,
+      publicHolidayDates: [`${YEAR}-06-15`],
+    })).toBe(2);
+  });
+
+  it('counts half first and last days as 0.5', () => {
+    expect(countVacationRangeDays({
+      from: `${YEAR}-06-15`,
+      to: `${YEAR}-06-19`,
+      startHalfDay: true,
+      endHalfDay: true,
+    })).toBe(4);
+    expect(countVacationRangeDays({ from: `${YEAR}-06-16`, startHalfDay: true })).toBe(0.5);
+  });
+});
+
 describe('parseAnnualVacationDays', () => {
   it('returns the numeric value for finite numbers', () => {
     expect(parseAnnualVacationDays(30)).toBe(30);
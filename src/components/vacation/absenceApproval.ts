@@ -0,0 +1,79 @@
+/**
+ * Helpers for multi-step absence approval (`/api/absence-requests`).
+ *
+ * A request created under an approval rule carries a snapshot of the rule's
+ * steps (`approval_steps`) and the index of the open step (`current_step`).
+ * Requests without a snapshot use the single-step approval.
+ */
+
+export interface AbsenceApprovalStep {
+  label: string;
+  approver_user_ids: string[];
+  escalate_after_days: number | null;
+}
+
+export interface AbsenceApprovalDecision {
+  step_index: number;
+  step_label: string | null;
+  decision: 'approved' | 'rejected' | 'escalated';
+  decided_by: string | null;
+  on_behalf_of: string | null;
+  created_date: string;
+}
+
+export interface AbsenceApprovalRule {
+  id: string;
+  name: string;
+  priority: number;
+  is_active: boolean;
+  positions: string[];
+  min_days: number | null;
+  requester_roles: string[];
+  steps: AbsenceApprovalStep[];
+}
+
+export interface AbsenceRequestApprovalState {
+  status: string;
+  approval_steps?: AbsenceApprovalStep[] | null;
+  current_step?: number | null;
+  escalated_date?: string | null;
+}
+
+export interface AbsenceApprovalProgress {
+  /** 1-based for display. */
+  step: number;
+  total: number;
+  label: string;
+  escalated: boolean;
+  /** "Stufe 2 von 3: Chefarzt" */
+  text: string;
+}
+
+/** Progress of a pending chained request; null for single-step or decided requests. */
+export function describeApprovalProgress(request: AbsenceRequestApprovalState): AbsenceApprovalProgress | null {
+  const steps = request.approval_steps || [];
+  if (request.status !== 'pending' || steps.length === 0) return null;
+  const index = Math.min(Math.max(Number(request.current_step) || 0, 0), steps.length - 1);
+  const label = steps[index].label || `Stufe ${index + 1}`;
+  return {
+    step: index + 1,
+    total: steps.length,
+    label,
+    escalated: Boolean(request.escalated_date),
+    text: `Stufe ${index + 1} von ${steps.length}: ${label}`,
+  };
+}
+
+/** "Urlaub, Frei" → ['Urlaub', 'Frei'] (trimmed, without empties and duplicates). */
+export function parseListInput(value: string): string[] {
+  return Array.from(new Set(value.split(',').map((part) => part.trim()).filter(Boolean)));
+}
+
+/** One-line summary of a rule's conditions for the settings list. */
+export function describeApprovalRuleConditions(rule: Pick<AbsenceApprovalRule, 'positions' | 'min_days' | 'requester_roles'>): string {
+  const parts: string[] = [];
+  if (rule.positions.length > 0) parts.push(rule.positions.join(', '));
+  if (rule.min_days !== null && rule.min_days !== undefined) parts.push(`ab ${String(rule.min_days).replace('.', ',')} Tagen`);
+  if (rule.requester_roles.length > 0) parts.push(`Rolle: ${rule.requester_roles.join(', ')}`);
+  return parts.length > 0 ? parts.join(' · ') : 'Alle Anträge';
+}
@@ -0,0 +1,95 @@
+/**
+ * Helpers for range-based absence requests (`/api/absence-requests`).
+ *
+ * A request covers `date` … `end_date` (`end_date` null = single day,
+ * rows created before ranges existed) with an optional half first/last
+ * day. The calendar views key requests by date, so a range is expanded
+ * to every calendar day it covers.
+ */
+import { format, isValid, parseISO } from 'date-fns';
+import { de } from 'date-fns/locale';
+
+export type AbsenceRequestStatus = 'pending' | 'approved' | 'rejected';
+
+export interface AbsenceRequestRange {
+  id: string;
+  date: string;
+  end_date?: string | null;
+  start_half_day?: number | boolean | null;
+  end_half_day?: number | boolean | null;
+  /** Vacation days (weekdays without public holidays), computed by the server. */
+  day_count?: number | string | null;
+  position: string;
+  status: AbsenceRequestStatus;
+  source_tenant_doctor_id?: string | null;
+}
+
+export function absenceRequestEndDate(request: Pick<AbsenceRequestRange, 'date' | 'end_date'>): string {
+  return String(request.end_date || request.date).slice(0, 10);
+}
+
+/** Every calendar day (yyyy-MM-dd) the request covers. */
+export function absenceRequestDates(request: Pick<AbsenceRequestRange, 'date' | 'end_date'>): string[] {
+  const from = String(request.date).slice(0, 10);
+  const to = absenceRequestEndDate(request);
+  const dates: string[] = [];
+  const current = new Date(`${from}T12:00:00`);
+  const last = new Date(`${to}T12:00:00`);
+  if (Number.isNaN(current.getTime()) || Number.isNaN(last.getTime())) return [from];
+  while (current <= last) {
+    dates.push(format(current, 'yyyy-MM-dd'));
+    current.setDate(current.getDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Maps every covered date to its request. `keyFor` builds the map key, e.g.
+ * `${doctorId}_${date}` for the multi-doctor overview.
+ */
+export function indexAbsenceRequestsByDate<T extends AbsenceRequestRange>(
+  requests: T[],
+  keyFor: (request: T, date: string) => string = (_request, date) => date,
+): Record<string, T> {
+  const map: Record<string, T> = {};
+  for (const request of requests) {
+    for (const date of absenceRequestDates(request)) {
+      map[keyFor(request, date)] = request;
+    }
+  }
+  return map;
+}
+
+/** Whether the request overlaps the inclusive range `from` … `to`. */
+export function absenceRequestOverlaps(request: Pick<AbsenceRequestRange, 'date' | 'end_date'>, from: string, to: string): boolean {
+  return String(request.date).slice(0, 10) <= to && absenceRequestEndDate(request) >= from;
+}
+
+function formatDay(dateStr: string): string {
+  const d = parseISO(dateStr);
+  return isValid(d) ? format(d, 'dd.MM.yyyy', { locale: de }) : dateStr;
+}
+
+/** "1" / "4,5" — German decimal for the day count. */
+export function formatDayCount(count: number | string | null | undefined): string {
+  const n = Number(count);
+  if (!Number.isFinite(n)) return '';
+  return String(n).replace('.', ',');
+}
+
+/**
+ * "02.03.2026 (½) – 06.03.2026 · 4,5 Tage", or "02.03.2026 (½)" for a
+ * single day. The day count is left out for legacy rows without one.
+ */
+export function formatAbsenceRequestPeriod(request: AbsenceRequestRange): string {
+  const from = String(request.date).slice(0, 10);
+  const to = absenceRequestEndDate(request);
+  const half = ' (½)';
+  let period = `${formatDay(from)}${request.start_half_day ? half : ''}`;
+  if (to !== from) period += ` – ${formatDay(to)}${request.end_half_day ? half : ''}`;
+  if (request.day_count !== null && request.day_count !== undefined && (to !== from || request.start_half_day)) {
+    const count = Number(request.day_count);
+    period += ` · ${formatDayCount(count)} ${count === 1 ? 'Tag' : 'Tage'}`;
+  }
+  return period;
+}
@@ -13,6 +13,7 @@
  *    own balance with identical counting rules.
  *  - Weekends (Sat/Sun) do not consume vacation.
  *  - Public holidays do not consume vacation.
+ *  - Rows flagged `half_day` (approved half-day requests) count 0.5.
  *  - A date on or before `today` is "taken", a date after is "planned".
  *  - The candidate date (the shift the user is currently planning) is
  *    optionally added on top so the UI can show the live over/undershoot
@@ -36,6 +37,8 @@ interface VacationShift {
     /** Optional note; inspected for the [TISO:...] marker when
      *  `tisowareConfirmedOnly` is set. */
     note?: string | null;
+    /** Half a day off (CentralAbsenceEntry.half_day). */
+    half_day?: boolean | number | null;
 }
 
 interface VacationBalanceParams {
@@ -91,8 +94,9 @@ export function computeVacationBalance({
     // count — they are planning entries not yet synced to Tisoware.
     if (tisowareConfirmedOnly && dateStr <= todayStr && !hasTisowareConfirmation(shift.note)) continue;
 
-    if (dateStr <= todayStr) taken += 1;
-    else planned += 1;
+    const days = shift.half_day ? 0.5 : 1;
+    if (dateStr <= todayStr) taken += days;
+    else planned += days;
   }
 
   // Add the in-progress candidate date (does not need to be in the shifts
@@ -287,6 +291,43 @@ export function decidePositionsForUrlaubsDays({
   };
 }
 
+/**
+ * Vacation days a requested range consumes: weekdays off the public-holiday
+ * set, with a half first/last day counting 0.5. Mirrors
+ * countAbsenceRequestDays on the server, which stores the authoritative
+ * `day_count` of a request.
+ */
+export function countVacationRangeDays({
+  from,
+  to,
+  startHalfDay = false,
+  endHalfDay = false,
+  publicHolidayDates,
+}: {
+  from: string;
+  to?: string | null;
+  startHalfDay?: boolean;
+  endHalfDay?: boolean;
+  publicHolidayDates?: Set<string> | string[] | null;
+}): number {
+  const holidaySet: Set<string> = publicHolidayDates instanceof Set
+    ? publicHolidayDates
+    : new Set(Array.isArray(publicHolidayDates) ? publicHolidayDates : []);
+  const end = to || from;
+  let count = 0;
+  const current = new Date(`${from}T12:00:00`);
+  const last = new Date(`${end}T12:00:00`);
+  while (current <= last) {
+    const dateStr = formatYmd(current);
+    if (isCountableVacationDay(dateStr, holidaySet)) {
+      const half = (dateStr === from && startHalfDay) || (dateStr === end && endHalfDay);
+      count += half ? 0.5 : 1;
+    }
+    current.setDate(current.getDate() + 1);
+  }
+  return count;
+}
+
 /**
  * Returns true iff the given `yyyy-MM-dd` date is a workday that
  * consumes vacation (Mon–Fri, not on the public-holiday set).
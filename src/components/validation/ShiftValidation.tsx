@@ -5,6 +5,10 @@ import type { TimeslotLike } from '@/utils/timeslotUtils';
 import { getAutoFreiDate } from '@/utils/autoFrei';
 import { categoryAllowsMultiple, getWorkplaceCategoriesFromSettings, workplaceAllowsMultiple } from '@/utils/workplaceCategoryUtils';
 import { computeVacationBalance } from '@/components/vacation/vacationBalance';
+import { parseRestPeriodConfig } from '@/utils/restPeriod';
+import type { RestPeriodConfig } from '@/utils/restPeriod';
+import { parseWorkingHoursConfig } from '@/utils/workingHours';
+import type { WorkingHoursConfig } from '@/utils/workingHours';
 import { RULES } from './rules';
 import type { RuleContext } from './rules';
 
@@ -40,11 +44,14 @@ interface ShiftValidatorOptions {
     specialistRoles?: string[];
     timeslots?: WorkplaceTimeslot[];
     qualificationMap?: Record<string, { id: string; name: string }>;
-    getDoctorQualIds?: (doctorId: string) => string[];
+    /** With `dateStr`, only qualifications with valid certificate evidence on that date */
+    getDoctorQualIds?: (doctorId: string, dateStr?: string) => string[];
     wpQualsByWorkplace?: Record<string, WorkplaceQualification[]>;
     sharedShifts?: SharedShift[];
     getPublicHolidayDatesForYear?: (year: number) => string[] | null;
     employeeRelationships?: Map<string, string[]>;
+    /** First date of the loaded range of `shifts`; earlier entries are unknown (default: complete). */
+    shiftsFrom?: string | null;
 }
 
 // Hilfsfunktion für Fehlermeldungen
@@ -76,22 +83,25 @@ export class ShiftValidator {
     assistantRoles: string[];
     timeslots: WorkplaceTimeslot[];
     qualificationMap: Record<string, { id: string; name: string }>;
-    getDoctorQualIds: (doctorId: string) => string[];
+    getDoctorQualIds: (doctorId: string, dateStr?: string) => string[];
     wpQualsByWorkplace: Record<string, WorkplaceQualification[]>;
     getPublicHolidayDatesForYear: (year: number) => string[] | null;
     employeeRelationships: Map<string, string[]>;
+    shiftsFrom: string | null;
 
     private _customCategories: ReturnType<typeof getWorkplaceCategoriesFromSettings>;
     absenceBlockingRules: Record<string, boolean>;
     limits: { foreground: number; background: number; weekend: number };
     staffingMinimums: Array<{ qualificationId: string; qualificationName?: string; min: number }>;
+    restPeriodConfig: RestPeriodConfig;
+    workingHoursConfig: WorkingHoursConfig;
 
     constructor(options: ShiftValidatorOptions) {
         const {
             doctors, shifts, workplaces, wishes, systemSettings, staffingEntries,
             specialistRoles, timeslots, qualificationMap, getDoctorQualIds,
             wpQualsByWorkplace, sharedShifts, getPublicHolidayDatesForYear,
-            employeeRelationships
+            employeeRelationships, shiftsFrom
         } = options;
 
         this.doctors = doctors || [];
@@ -114,6 +124,8 @@ export class ShiftValidator {
         this.getPublicHolidayDatesForYear = getPublicHolidayDatesForYear || (() => null);
         // Mitarbeiterbeziehungen mit Dienstkonflikt (employee_id → [related_employee_id, ...])
         this.employeeRelationships = employeeRelationships || new Map();
+        // Beginn des geladenen Zeitraums (Wochenschnitt nur bei vollständigem Fenster)
+        this.shiftsFrom = shiftsFrom || null;
 
         // Custom-Kategorien parsen für Mehrfachbesetzungs-Prüfung
         this._customCategories = getWorkplaceCategoriesFromSettings(this.systemSettings);
@@ -122,6 +134,8 @@ export class ShiftValidator {
         this.absenceBlockingRules = this._parseAbsenceRules();
         this.limits = this._parseLimits();
         this.staffingMinimums = this._parseStaffingMinimums();
+        this.restPeriodConfig = parseRestPeriodConfig(this.systemSettings);
+        this.workingHoursConfig = parseWorkingHoursConfig(this.systemSettings);
     }
 
     /**
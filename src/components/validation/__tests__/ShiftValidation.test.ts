@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { createShiftValidator } from '../ShiftValidation';
+import { getEvidenceBlockedFrom } from '@/lib/qualificationEvidence';
 
 function createValidator(workplaces: any[] = []) {
   return createShiftValidator({
@@ -545,3 +546,158 @@ describe('ShiftValidator shouldCreateAutoFrei', () => {
     expect(validator.shouldCreateAutoFrei('Bereitschaftsdienst', '2026-05-19', () => false)).toBeNull();
   });
 });
+
+describe('ShiftValidator rest period', () => {
+  function createValidator(systemSettings: any[] = []) {
+    return createShiftValidator({
+      doctors: [{ id: 'doctor-1', role: 'Facharzt', fte: 1 }] as any,
+      shifts: [
+        { id: 'shift-1', doctor_id: 'doctor-1', date: '2026-06-22', position: 'Nachtdienst', timeslot_id: 'ts-night' },
+      ] as any,
+      workplaces: [
+        { id: 'workplace-1', name: 'Nachtdienst', category: 'Dienste', timeslots_enabled: true },
+        { id: 'workplace-2', name: 'CT', category: 'Rotationen' },
+      ] as any,
+      wishes: [],
+      systemSettings,
+      staffingEntries: [],
+      timeslots: [
+        { id: 'ts-night', workplace_id: 'workplace-1', label: 'Nacht', start_time: '21:00', end_time: '07:30' },
+      ] as any,
+      sharedShifts: [],
+      qualificationMap: {},
+      getDoctorQualIds: () => [],
+      wpQualsByWorkplace: {},
+    });
+  }
+
+  it('blocks a day assignment directly after a night service when configured as blocker', () => {
+    const result = createValidator([
+      { key: 'rest_period_rules', value: JSON.stringify({ severity: 'blocker' }) },
+    ]).validate('doctor-1', '2026-06-23', 'CT');
+    expect(result.canProceed).toBe(false);
+    expect(result.blockers.some((b: string) => b.startsWith('Ruhezeit unterschritten: nur 0,5 h nach "Nachtdienst"'))).toBe(true);
+  });
+
+  it('only warns without a tenant setting', () => {
+    const result = createValidator().validate('doctor-1', '2026-06-23', 'CT');
+    expect(result.canProceed).toBe(true);
+    expect(result.warnings.some((w: string) => w.startsWith('Ruhezeit unterschritten'))).toBe(true);
+  });
+
+  it('accepts the assignment with a day in between', () => {
+    const result = createValidator().validate('doctor-1', '2026-06-24', 'CT');
+    expect(result.blockers.filter((b: string) => b.startsWith('Ruhezeit'))).toEqual([]);
+  });
+});
+
+describe('ShiftValidator working hours', () => {
+  const week = ['2026-06-22', '2026-06-23', '2026-06-24', '2026-06-25', '2026-06-26'];
+
+  function createValidator({ systemSettings = [] as any[], optOut = false, shiftsFrom = null as string | null } = {}) {
+    return createShiftValidator({
+      shiftsFrom,
+      doctors: [{ id: 'doctor-1', role: 'Facharzt', fte: 1, working_time_opt_out: optOut }] as any,
+      shifts: week.map((date, i) => ({
+        id: `shift-${i}`, doctor_id: 'doctor-1', date, position: 'CT', timeslot_id: 'ts-long',
+      })) as any,
+      workplaces: [
+        { id: 'workplace-1', name: 'CT', category: 'Rotationen', timeslots_enabled: true },
+        { id: 'workplace-2', name: 'MRT', category: 'Rotationen' },
+      ] as any,
+      wishes: [],
+      systemSettings,
+      staffingEntries: [],
+      timeslots: [
+        { id: 'ts-long', workplace_id: 'workplace-1', label: 'Lang', start_time: '07:00', end_time: '19:00' },
+      ] as any,
+      sharedShifts: [],
+      qualificationMap: {},
+      getDoctorQualIds: () => [],
+      wpQualsByWorkplace: {},
+    });
+  }
+
+  it('warns when the assignment pushes the week above the cap', () => {
+    // 5 × 12h = 60h, Saturday adds 8h
+    const result = createValidator().validate('doctor-1', '2026-06-27', 'MRT');
+    expect(result.canProceed).toBe(true);
+    expect(result.warnings).toContain('Wochenarbeitszeit überschritten: 68 h in KW 26 (max. 60 h).');
+  });
+
+  it('blocks when the tenant configured the cap as blocker', () => {
+    const result = createValidator({
+      systemSettings: [{ key: 'working_hours_rules', value: JSON.stringify({ severity: 'blocker' }) }],
+    }).validate('doctor-1', '2026-06-27', 'MRT');
+    expect(result.canProceed).toBe(false);
+  });
+
+  it('does not report the average for employees with opt-out', () => {
+    const settings = [{ key: 'working_hours_rules', value: JSON.stringify({ averageMaxHours: 1, averagingMonths: 1 }) }];
+    const withAverage = createValidator({ systemSettings: settings }).validate('doctor-1', '2026-06-29', 'MRT');
+    expect(withAverage.warnings.some((w: string) => w.startsWith('Durchschnittliche Wochenarbeitszeit'))).toBe(true);
+    const optedOut = createValidator({ systemSettings: settings, optOut: true }).validate('doctor-1', '2026-06-29', 'MRT');
+    expect(optedOut.warnings.some((w: string) => w.startsWith('Durchschnittliche Wochenarbeitszeit'))).toBe(false);
+  });
+
+  it('skips the average while the loaded shifts do not cover the averaging window', () => {
+    const settings = [{ key: 'working_hours_rules', value: JSON.stringify({ averageMaxHours: 1, averagingMonths: 1 }) }];
+    const partial = createValidator({ systemSettings: settings, shiftsFrom: '2026-06-15' }).validate('doctor-1', '2026-06-29', 'MRT');
+    expect(partial.warnings.some((w: string) => w.startsWith('Durchschnittliche Wochenarbeitszeit'))).toBe(false);
+    const covered = createValidator({ systemSettings: settings, shiftsFrom: '2026-06-01' }).validate('doctor-1', '2026-06-29', 'MRT');
+    expect(covered.warnings.some((w: string) => w.startsWith('Durchschnittliche Wochenarbeitszeit'))).toBe(true);
+  });
+
+  it('ignores assignments that add no working time', () => {
+    const result = createValidator().validate('doctor-1', '2026-06-27', 'Urlaub');
+    expect(result.warnings.filter((w: string) => w.startsWith('Wochenarbeitszeit'))).toEqual([]);
+  });
+});
+
+describe('ShiftValidator certificate evidence', () => {
+  // Strahlenschutz evidence valid until 2026-06-30, 3 days grace
+  const blockedFrom = getEvidenceBlockedFrom(
+    { requires_certificate: true, certificate_grace_days: 3 },
+    { certificate_status: 'expired', certificate_valid_until: '2026-06-30' },
+  );
+
+  function createValidator() {
+    return createShiftValidator({
+      doctors: [{ id: 'doctor-1', role: 'Facharzt', fte: 1 }] as any,
+      shifts: [],
+      workplaces: [{ id: 'workplace-1', name: 'CT', category: 'Rotationen' }] as any,
+      wishes: [],
+      systemSettings: [],
+      staffingEntries: [],
+      timeslots: [],
+      qualificationMap: { 'qual-ss': { id: 'qual-ss', name: 'Strahlenschutz' } } as any,
+      getDoctorQualIds: (_doctorId: string, dateStr?: string) =>
+        (dateStr && blockedFrom && dateStr >= blockedFrom ? [] : ['qual-ss']),
+      wpQualsByWorkplace: {
+        'workplace-1': [{ workplace_id: 'workplace-1', qualification_id: 'qual-ss', is_mandatory: true, is_excluded: false }],
+      } as any,
+    });
+  }
+
+  it('blocks the qualification from the day after validity plus grace', () => {
+    expect(blockedFrom).toBe('2026-07-04');
+    expect(createValidator().validate('doctor-1', '2026-07-03', 'CT').canProceed).toBe(true);
+
+    const result = createValidator().validate('doctor-1', '2026-07-04', 'CT');
+    expect(result.canProceed).toBe(false);
+    expect(result.blockers).toContain('Pflicht-Qualifikation ohne gültigen Nachweis: Strahlenschutz');
+  });
+
+  it('only applies to qualifications that require evidence', () => {
+    expect(getEvidenceBlockedFrom({ requires_certificate: false }, { certificate_status: 'missing' })).toBeNull();
+    expect(getEvidenceBlockedFrom({ requires_certificate: true }, { certificate_status: 'missing', created_date: '2026-05-01T08:00:00' }))
+      .toBe('2026-05-01');
+  });
+
+  it('treats qualifications without an evaluated evidence status as missing evidence', () => {
+    expect(getEvidenceBlockedFrom({ requires_certificate: true, certificate_grace_days: 14 }, { certificate_status: null, created_date: '2026-05-01T08:00:00' }))
+      .toBe('2026-05-15');
+    expect(getEvidenceBlockedFrom({ requires_certificate: true }, { certificate_status: null })).toBe('0000-01-01');
+    expect(getEvidenceBlockedFrom({ requires_certificate: true }, {})).toBe('0000-01-01');
+  });
+});
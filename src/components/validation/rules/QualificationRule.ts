@@ -3,6 +3,8 @@ import { ValidationRule, type RuleContext, type RuleViolation } from './Validati
 /**
  * Checks if the doctor meets the qualification requirements of the workplace.
  * Can produce both blockers (missing mandatory quals) and warnings (preferred/discouraged).
+ * Mandatory and preferred quals only count on dates their certificate evidence
+ * is valid (see useAllDoctorQualifications); exclusions use every held qual.
  * Migrated from ShiftValidator._checkQualificationRequirements.
  */
 export class QualificationRule extends ValidationRule {
@@ -27,6 +29,7 @@ export class QualificationRule extends ValidationRule {
         if (wpQuals.length === 0) return null;
 
         const docQualIds = v.getDoctorQualIds(doctorId);
+        const usableQualIds = dateStr ? v.getDoctorQualIds(doctorId, dateStr) : docQualIds;
         const violations: RuleViolation[] = [];
 
         // Excluded qualifications: hard blocker (not override-able)
@@ -68,7 +71,7 @@ export class QualificationRule extends ValidationRule {
                 // Only mandatory quals are required for the "qualified colleague" check
                 const mandatoryQualIds = mandatoryQuals.map(wq => wq.qualification_id);
                 const hasQualifiedColleague = otherAssignments.some(s => {
-                    const colleagueQuals = v.getDoctorQualIds(s.doctor_id || '');
+                    const colleagueQuals = v.getDoctorQualIds(s.doctor_id || '', dateStr);
                     return mandatoryQualIds.every(qid => colleagueQuals.includes(qid));
                 });
 
@@ -78,16 +81,18 @@ export class QualificationRule extends ValidationRule {
             }
         }
 
-        // Mandatory qualifications: blocker if missing
-        const missingMandatory = mandatoryQuals.filter(wq => !docQualIds.includes(wq.qualification_id));
+        // Mandatory qualifications: blocker if missing or without valid evidence on this date
+        const missingMandatory = mandatoryQuals.filter(wq => !usableQualIds.includes(wq.qualification_id));
         if (missingMandatory.length > 0) {
-            const names = missingMandatory
-                .map(wq => v.qualificationMap[wq.qualification_id]?.name || '?')
-                .join(', ');
+            const nameOf = (wq: { qualification_id: string }) => v.qualificationMap[wq.qualification_id]?.name || '?';
+            const lapsed = missingMandatory.filter(wq => docQualIds.includes(wq.qualification_id));
+            const missing = missingMandatory.filter(wq => !docQualIds.includes(wq.qualification_id));
             violations.push({
                 ruleId: this.id,
                 severity: 'blocker',
-                message: `Fehlende Pflicht-Qualifikation: ${names}`,
+                message: missing.length > 0
+                    ? `Fehlende Pflicht-Qualifikation: ${missingMandatory.map(nameOf).join(', ')}`
+                    : `Pflicht-Qualifikation ohne gültigen Nachweis: ${lapsed.map(nameOf).join(', ')}`,
                 shiftIds: [],
             });
             return violations;
@@ -108,7 +113,7 @@ export class QualificationRule extends ValidationRule {
 
         // Preferred qualifications: warning if doctor doesn't have them
         if (preferredQuals.length > 0) {
-            const missingPreferred = preferredQuals.filter(wq => !docQualIds.includes(wq.qualification_id));
+            const missingPreferred = preferredQuals.filter(wq => !usableQualIds.includes(wq.qualification_id));
             if (missingPreferred.length > 0) {
                 const names = missingPreferred
                     .map(wq => v.qualificationMap[wq.qualification_id]?.name || '?')
@@ -0,0 +1,58 @@
+import { format, parseISO } from 'date-fns';
+import { ValidationRule, type RuleContext, type RuleViolation } from './ValidationRule';
+import { createRestPeriodChecker, formatRestHours } from '@/utils/restPeriod';
+import { isNonWorkingShiftPosition } from '@/utils/shiftPositionUtils';
+
+/**
+ * Checks the statutory minimum rest (Ruhezeit, default 11h) between the end of
+ * the previous day's work and the new assignment, and between the new
+ * assignment and the next day's work. Times come from explicit shift times or
+ * timeslots; night services are placed across midnight.
+ * Severity and hours are configured per tenant (SystemSetting `rest_period_rules`).
+ */
+export class RestPeriodRule extends ValidationRule {
+    readonly id = 'rest_period';
+    readonly severity = 'blocker';
+    readonly label = 'Ruhezeit';
+
+    applies(ctx: RuleContext): boolean {
+        return ctx.validator.restPeriodConfig.enabled && !isNonWorkingShiftPosition(ctx.position);
+    }
+
+    check(ctx: RuleContext): RuleViolation[] | null {
+        const { doctorId, dateStr, position, timeslotId, excludeShiftId, validator: v } = ctx;
+        const config = v.restPeriodConfig;
+
+        const checker = createRestPeriodChecker({
+            workplaces: v.workplaces,
+            timeslots: v.timeslots,
+            config,
+        });
+
+        // When re-validating an existing entry (move, conflict scan) keep its explicit times.
+        const existing = excludeShiftId ? v.shifts.find(s => s.id === excludeShiftId) : undefined;
+        const keepTimes = existing && existing.position === position && existing.date === dateStr;
+        const candidate = {
+            date: dateStr,
+            position,
+            timeslot_id: timeslotId,
+            start_time: keepTimes ? existing.start_time : null,
+            end_time: keepTimes ? existing.end_time : null,
+        };
+
+        const neighbours = v.shifts.filter(s => s.doctor_id === doctorId && s.id !== excludeShiftId);
+        const violations = checker.findViolations(candidate, neighbours);
+        if (violations.length === 0) return null;
+
+        return violations.map(violation => {
+            const otherDate = format(parseISO(violation.shift.date), 'dd.MM.');
+            const relation = violation.direction === 'before' ? 'nach' : 'vor';
+            return {
+                ruleId: this.id,
+                severity: config.severity,
+                message: `Ruhezeit unterschritten: nur ${formatRestHours(violation.restMinutes)} h ${relation} "${violation.shift.position}" (${otherDate}), mindestens ${formatRestHours(violation.requiredMinutes)} h erforderlich.`,
+                shiftIds: [violation.shift.id].filter((id): id is string => !!id),
+            };
+        });
+    }
+}
@@ -43,7 +43,7 @@ export class StaffingMinimumsRule extends ValidationRule {
             const minCount = threshold.min;
 
             const docsWithQual = v.doctors.filter(d => {
-                const qualIds = v.getDoctorQualIds(d.id);
+                const qualIds = v.getDoctorQualIds(d.id, dateStr);
                 return qualIds.includes(qId);
             });
 
@@ -0,0 +1,96 @@
+import { addDays, format, getISOWeek, parseISO } from 'date-fns';
+import { ValidationRule, type RuleContext, type RuleViolation } from './ValidationRule';
+import {
+    computeAverageWeeklyMinutes,
+    createWorkingHoursCalculator,
+    formatHours,
+    getAveragingWindow,
+    getWeekStart,
+    type WorkingHoursShift,
+} from '@/utils/workingHours';
+import { isNonWorkingShiftPosition } from '@/utils/shiftPositionUtils';
+
+/**
+ * Checks the weekly working-hours ceiling and the rolling average (ArbZG §3:
+ * 48h over 6 months) including the new assignment. The weekly cap uses the
+ * tenant's configured severity; the average only warns and is skipped for
+ * employees with an individual opt-out (`Doctor.working_time_opt_out`) and
+ * when the validator's shifts do not reach back over the whole averaging
+ * window (`shiftsFrom`), since missing weeks would count as zero hours.
+ * Only reports when the new assignment actually adds working time.
+ */
+export class WorkingHoursRule extends ValidationRule {
+    readonly id = 'working_hours';
+    readonly severity = 'warning';
+    readonly label = 'Höchstarbeitszeit';
+
+    applies(ctx: RuleContext): boolean {
+        return ctx.validator.workingHoursConfig.enabled && !isNonWorkingShiftPosition(ctx.position);
+    }
+
+    check(ctx: RuleContext): RuleViolation[] | null {
+        const { doctorId, dateStr, position, timeslotId, excludeShiftId, validator: v } = ctx;
+        const config = v.workingHoursConfig;
+
+        const calculator = createWorkingHoursCalculator({
+            workplaces: v.workplaces,
+            timeslots: v.timeslots,
+        });
+
+        // When re-validating an existing entry (move, conflict scan) keep its explicit times.
+        const existing = excludeShiftId ? v.shifts.find(s => s.id === excludeShiftId) : undefined;
+        const keepTimes = existing && existing.position === position && existing.date === dateStr;
+        const candidate: WorkingHoursShift = {
+            date: dateStr,
+            position,
+            timeslot_id: timeslotId,
+            start_time: keepTimes ? existing.start_time : null,
+            end_time: keepTimes ? existing.end_time : null,
+            break_minutes: keepTimes ? existing.break_minutes : null,
+        };
+        if (!calculator.getInterval(candidate)) return null;
+
+        const weekStart = getWeekStart(dateStr);
+        const window = getAveragingWindow(weekStart, config.averagingMonths);
+        const windowStart = window[0] ?? weekStart;
+        const weekEndStr = format(addDays(parseISO(weekStart), 6), 'yyyy-MM-dd');
+
+        const others = v.shifts.filter(s =>
+            s.doctor_id === doctorId && s.id !== excludeShiftId &&
+            s.date >= windowStart && s.date <= weekEndStr
+        );
+        const before = calculator.weeklyMinutes(others);
+        const after = calculator.weeklyMinutes([...others, candidate]);
+
+        const weekMinutes = after.get(weekStart) ?? 0;
+        if (weekMinutes <= (before.get(weekStart) ?? 0)) return null;
+
+        const violations: RuleViolation[] = [];
+        const kw = getISOWeek(parseISO(weekStart));
+
+        if (weekMinutes > config.weeklyMaxHours * 60) {
+            violations.push({
+                ruleId: this.id,
+                severity: config.severity,
+                message: `Wochenarbeitszeit überschritten: ${formatHours(weekMinutes)} h in KW ${kw} (max. ${formatHours(config.weeklyMaxHours * 60)} h).`,
+                shiftIds: [],
+            });
+        }
+
+        const doctor = v.doctors.find(d => d.id === doctorId);
+        const windowLoaded = !v.shiftsFrom || windowStart >= v.shiftsFrom;
+        if (!doctor?.working_time_opt_out && windowLoaded) {
+            const average = computeAverageWeeklyMinutes(after, weekStart, config.averagingMonths);
+            if (average > config.averageMaxHours * 60) {
+                violations.push({
+                    ruleId: this.id,
+                    severity: 'warning',
+                    message: `Durchschnittliche Wochenarbeitszeit überschritten: Ø ${formatHours(average)} h in ${config.averagingMonths} Monaten bis KW ${kw} (max. ${formatHours(config.averageMaxHours * 60)} h).`,
+                    shiftIds: [],
+                });
+            }
+        }
+
+        return violations.length > 0 ? violations : null;
+    }
+}
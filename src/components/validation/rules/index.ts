@@ -16,6 +16,8 @@ import { VacationOvershootRule } from './VacationOvershootRule';
 import { QualificationRule } from './QualificationRule';
 import { TimeslotOverlapRule } from './TimeslotOverlapRule';
 import { RelationshipConflictRule } from './RelationshipConflictRule';
+import { RestPeriodRule } from './RestPeriodRule';
+import { WorkingHoursRule } from './WorkingHoursRule';
 
 /**
  * All validation rules in execution order.
@@ -30,6 +32,8 @@ export const RULES: ValidationRule[] = [
     new VacationOvershootRule(),
     new QualificationRule(),
     new TimeslotOverlapRule(),
+    new RestPeriodRule(),
+    new WorkingHoursRule(),
     new RelationshipConflictRule(),
 ];
 
@@ -3,7 +3,7 @@ import { db, api } from "@/api/client";
 import { useMemo, useCallback } from 'react';
 import type { ShiftEntry, Doctor, SystemSetting, Workplace, StaffingPlanEntry, WorkplaceTimeslot } from '@/types';
 import type { SharedShift } from './ShiftValidation';
-import { ShiftValidator } from './ShiftValidation';
+import { ShiftValidator, createShiftValidator } from './ShiftValidation';
 import type { ValidationResult } from './ShiftValidation';
 import { toast } from 'sonner';
 import { useAllDoctorQualifications, useAllWorkplaceQualifications, useQualifications } from '@/hooks/useQualifications';
@@ -35,6 +35,7 @@ interface UseShiftValidationReturn {
     isAutoOffPosition: (position: string) => boolean;
     checkCrossTenantConflicts: (doctorId: string, dateStr: string) => Promise<unknown[]>;
     validator: ShiftValidator;
+    createValidator: (shifts: ShiftEntry[]) => ShiftValidator;
 }
 
 /**
@@ -102,22 +103,31 @@ export function useShiftValidation(shifts: ShiftEntry[] = [], customOptions: Rec
     // Exclude already-extracted properties to avoid overriding typed values with unknown from the spread
     const { doctors: _, workplaces: __, systemSettings: ___, staffingEntries: ____, timeslots: _____, sharedShifts: ______, ...restCustomOptions } = customOptions;
 
+    const validatorOptions = useMemo(() => ({
+        ...restCustomOptions,
+        doctors,
+        workplaces,
+        systemSettings,
+        staffingEntries,
+        timeslots,
+        sharedShifts,
+        qualificationMap,
+        getDoctorQualIds,
+        wpQualsByWorkplace,
+        employeeRelationships,
+    }), [doctors, workplaces, systemSettings, staffingEntries, timeslots, sharedShifts, qualificationMap, getDoctorQualIds, wpQualsByWorkplace, employeeRelationships, allDoctorQualifications, allWorkplaceQualifications, customOptions]);
+
     const validator = useMemo(() => {
-        return new ShiftValidator({
-            ...restCustomOptions,
-            doctors,
-            shifts,
-            workplaces,
-            systemSettings,
-            staffingEntries,
-            timeslots,
-            sharedShifts,
-            qualificationMap,
-            getDoctorQualIds,
-            wpQualsByWorkplace,
-            employeeRelationships,
-        });
-    }, [doctors, shifts, workplaces, systemSettings, staffingEntries, timeslots, sharedShifts, qualificationMap, getDoctorQualIds, wpQualsByWorkplace, employeeRelationships, allDoctorQualifications, allWorkplaceQualifications, customOptions]);
+        return new ShiftValidator({ ...validatorOptions, shifts });
+    }, [validatorOptions, shifts]);
+
+    /**
+     * Validator über eine andere Dienstliste mit denselben Stammdaten,
+     * z. B. einen simulierten Plan nach einem Diensttausch.
+     */
+    const createValidator = useCallback((otherShifts: ShiftEntry[]): ShiftValidator => {
+        return createShiftValidator({ ...validatorOptions, shifts: otherShifts });
+    }, [validatorOptions]);
 
     /**
      * Validiert eine geplante Shift-Operation
@@ -216,6 +226,7 @@ export function useShiftValidation(shifts: ShiftEntry[] = [], customOptions: Rec
         findAutoFreiToCleanup,
         isAutoOffPosition,
         checkCrossTenantConflicts,
-        validator
+        validator,
+        createValidator
     };
 }
@@ -24,9 +24,17 @@ interface CertificatesFilter {
   enabled?: boolean;
 }
 
+/** Reminder stage sent by the server scheduler (`before_<days>` or `expired`) */
+export interface CertificateReminder {
+  stage: string;
+  sent_at: string;
+}
+
 interface CertificateItem {
   id?: string | number;
   analysis_status?: string;
+  /** Only on `/expiring` rows: reminders sent for the current validity end */
+  reminders?: CertificateReminder[];
   [key: string]: unknown;
 }
 
@@ -10,6 +10,7 @@
 import { useMemo, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { db } from '@/api/client';
+import { getEvidenceBlockedFrom } from '@/lib/qualificationEvidence';
 import type {
   Qualification as QualificationBase,
   DoctorQualification,
@@ -280,7 +281,14 @@ export function useDoctorQualifications(doctorId: string | null | undefined) {
 
 // ─── useAllDoctorQualifications ──────────────────────────────────────────────
 
-/** Fetches ALL doctor-qualification assignments for list views. */
+/**
+ * Fetches ALL doctor-qualification assignments for list views.
+ *
+ * `getQualificationIds(doctorId, dateStr)` leaves out qualifications whose
+ * mandatory certificate evidence is missing or expired on that date (after
+ * the qualification's grace period), so validation and AutoFill stop using
+ * them; without a date every held qualification is returned.
+ */
 export function useAllDoctorQualifications() {
   const {
     data: allDoctorQualifications = [] as DoctorQualification[],
@@ -289,6 +297,18 @@ export function useAllDoctorQualifications() {
     queryKey: ['allDoctorQualifications'],
     queryFn: () => db.DoctorQualification.list(),
   });
+  const { qualifications } = useQualifications();
+
+  // DoctorQualification id → first date without valid evidence
+  const blockedFromById: Record<string, string> = useMemo(() => {
+    const byId = new Map(qualifications.map((q) => [String(q.id), q]));
+    const result: Record<string, string> = {};
+    for (const dq of allDoctorQualifications) {
+      const blockedFrom = getEvidenceBlockedFrom(byId.get(String(dq.qualification_id)), dq);
+      if (blockedFrom) result[String(dq.id)] = blockedFrom;
+    }
+    return result;
+  }, [allDoctorQualifications, qualifications]);
 
   // Group by doctor_id for fast lookup (memoized – stable reference)
   const byDoctor: Record<string, DoctorQualification[]> = useMemo(() => {
@@ -304,17 +324,21 @@ export function useAllDoctorQualifications() {
   }, [allDoctorQualifications]);
 
   const getQualificationIds = useCallback(
-    (doctorId: string): string[] => {
-      return (byDoctor[doctorId] || []).map((dq) =>
-        String(dq.qualification_id ?? ''),
-      );
+    (doctorId: string, dateStr?: string): string[] => {
+      return (byDoctor[doctorId] || [])
+        .filter((dq) => {
+          const blockedFrom = blockedFromById[String(dq.id)];
+          return !dateStr || !blockedFrom || dateStr < blockedFrom;
+        })
+        .map((dq) => String(dq.qualification_id ?? ''));
     },
-    [byDoctor],
+    [byDoctor, blockedFromById],
   );
 
   return {
     allDoctorQualifications,
     byDoctor,
+    blockedFromById,
     getQualificationIds,
     isLoading,
   };
@@ -12,6 +12,9 @@ import { Button } from "@/components/ui/button";
 import EmployeeSelect from '@/components/staff/EmployeeSelect';
 import { LayoutDashboard, CalendarDays, User, Clock, AlertCircle, CheckCircle2, XCircle, Loader2, Check, X, ClipboardList, Mail, Trash2, ChevronDown } from "lucide-react";
 import CertificateExpiryWidget from '@/components/dashboard/CertificateExpiryWidget';
+import CalendarSubscriptionWidget from '@/components/dashboard/CalendarSubscriptionWidget';
+import ShiftSwapWidget from '@/components/dashboard/ShiftSwapWidget';
+import ShiftSwapApprovalSection from '@/components/dashboard/ShiftSwapApprovalSection';
 import { Switch } from "@/components/ui/switch";
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useToast } from "@/components/ui/use-toast";
@@ -19,6 +22,8 @@ import { getWishStartDate, getWishEndDate, hasWishRange } from '@/utils/wishRang
 import { isAlphabeticalDoctorSortingEnabled, sortDoctorsAlphabetically } from '@/utils/doctorSorting';
 import { HolidayCalculator } from '@/components/schedule/holidayUtils';
 import { getAutoFreiDate } from '@/utils/autoFrei';
+import { absenceRequestEndDate, formatAbsenceRequestPeriod } from '@/components/vacation/absenceRequestRange';
+import { describeApprovalProgress } from '@/components/vacation/absenceApproval';
 
 // Safe parseISO that handles undefined/null
 const safeParseISO = (dateStr) => {
@@ -254,11 +259,11 @@ function AbsenceRequestSection({ doctors }) {
         refetchInterval: 30 * 1000,
     });
 
-    // Nur Anträge ab heute und Zukunft anzeigen
+    // Nur Anträge anzeigen, die heute oder später enden
     const futureRequests = React.useMemo(() => {
         const todayStart = startOfDay(new Date());
         return pendingRequests.filter(req => {
-            const d = safeParseISO(req.date);
+            const d = safeParseISO(absenceRequestEndDate(req));
             return d && d.getTime() >= todayStart.getTime();
         });
     }, [pendingRequests]);
@@ -272,13 +277,17 @@ function AbsenceRequestSection({ doctors }) {
             });
             return res;
         },
-        onSuccess: () => {
+        onSuccess: (res) => {
             queryClient.invalidateQueries({ queryKey: ['absence-requests'] });
             queryClient.invalidateQueries({ queryKey: ['shifts'] });
             queryClient.invalidateQueries({ queryKey: ['central-absences'] });
+            // Zwischenstufe einer Genehmigungskette: Antrag bleibt offen
+            const stillPending = res?.request?.status === 'pending';
             toast({
-                title: "Antrag bearbeitet",
-                description: "Der Urlaubsantrag wurde erfolgreich bearbeitet.",
+                title: stillPending ? "Stufe genehmigt" : "Antrag bearbeitet",
+                description: stillPending
+                    ? "Der Antrag wurde an die nächste Genehmigungsstufe weitergeleitet."
+                    : "Der Urlaubsantrag wurde erfolgreich bearbeitet.",
             });
         },
         onError: (err) => {
@@ -323,7 +332,9 @@ function AbsenceRequestSection({ doctors }) {
                 ) : (
                     <>
                         <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-3 sm:gap-4">
-                            {visibleRequests.map(req => (
+                            {visibleRequests.map(req => {
+                                const progress = describeApprovalProgress(req);
+                                return (
                                 <div key={req.id} className="bg-white border border-slate-200 rounded-lg p-3 shadow-sm hover:shadow-md transition-shadow flex flex-col justify-between gap-2 min-w-0">
                                     <div>
                                         <div className="flex justify-between items-start mb-1">
@@ -336,15 +347,32 @@ function AbsenceRequestSection({ doctors }) {
                                         </div>
                                         <div className="text-sm text-slate-600 mb-2">
                                             <span className="font-medium">
-                                                {safeFormatDate(req.date, 'dd.MM.yyyy (EEEEEE)', { locale: de })}
+                                                {absenceRequestEndDate(req) !== req.date
+                                                    ? formatAbsenceRequestPeriod(req)
+                                                    : `${safeFormatDate(req.date, 'dd.MM.yyyy (EEEEEE)', { locale: de })}${req.start_half_day ? ' (½)' : ''}`}
                                             </span>
                                         </div>
+                                        {progress && (
+                                            <div className="flex flex-wrap items-center gap-1.5 text-xs text-slate-600 mb-2" data-testid="absence-approval-progress">
+                                                <span>{progress.text}</span>
+                                                {progress.escalated && (
+                                                    <Badge variant="outline" className="bg-red-50 text-red-700 border-red-200 text-[10px] px-1.5 py-0">
+                                                        Eskaliert
+                                                    </Badge>
+                                                )}
+                                            </div>
+                                        )}
                                         {req.reason && (
                                             <p className="text-xs text-slate-500 bg-slate-50 p-2 rounded italic mb-2">
                                                 "{req.reason}"
                                             </p>
                                         )}
                                     </div>
+                                    {req.can_decide === false ? (
+                                        <div className="mt-auto pt-2 border-t border-slate-100 text-xs text-slate-400">
+                                            Wartet auf {progress?.label || 'andere Genehmigende'}
+                                        </div>
+                                    ) : (
                                     <div className="flex flex-wrap gap-1.5 mt-auto pt-2 border-t border-slate-100">
                                         <Button 
                                             size="sm" 
@@ -364,8 +392,10 @@ function AbsenceRequestSection({ doctors }) {
                                             <X className="w-3 h-3 mr-0.5" /> Nein
                                         </Button>
                                     </div>
+                                    )}
                                 </div>
-                            ))}
+                                );
+                            })}
                         </div>
                         
                         {hasMore && (
@@ -525,6 +555,7 @@ export default function MyDashboardPage() {
     const isAdmin = user?.role === 'admin';
     const canApproveWishes = can('can_approve_wishes');
     const canApproveAbsence = can('can_approve_absence');
+    const canApproveSwaps = isAdmin && can('can_edit_schedule');
 
     // Admin: Fetch all pending wishes (including cancellation requests)
     const { data: allPendingWishes = [], isLoading: isLoadingPending } = useQuery({
@@ -826,9 +857,25 @@ export default function MyDashboardPage() {
                 />
             )}
 
+            {/* Diensttausche (Admin with schedule edit permission) */}
+            {canApproveSwaps && <ShiftSwapApprovalSection doctors={doctors} />}
+
             {/* Certificate expiry warnings (admins: all; users: own) */}
             <CertificateExpiryWidget doctors={doctors} isAdmin={isAdmin} />
 
+            {/* ICS subscription for the selected employee */}
+            {selectedDoctorId && <CalendarSubscriptionWidget doctorId={selectedDoctorId} />}
+
+            {/* Shift swap marketplace — only for the user's own services */}
+            {user?.doctor_id && selectedDoctorId === user.doctor_id && (
+                <ShiftSwapWidget
+                    doctorId={selectedDoctorId}
+                    doctors={doctors}
+                    services={upcomingServices}
+                    servicePositionNames={servicePositionNames}
+                />
+            )}
+
             {!selectedDoctorId ? (
                 <Card>
                     <CardContent className="p-12 text-center text-slate-500">
@@ -1043,7 +1090,7 @@ export default function MyDashboardPage() {
                                             <div key={req.id} className="flex items-center justify-between p-2 bg-white rounded border border-slate-100 gap-2">
                                                 <div className="flex flex-col">
                                                     <span className="text-sm font-medium">
-                                                        {safeFormatDate(req.date, 'dd.MM.yyyy')} – {req.position}
+                                                        {formatAbsenceRequestPeriod(req)} – {req.position}
                                                     </span>
                                                     {req.admin_comment && (
                                                         <span className="text-xs text-slate-500 italic">"{req.admin_comment}"</span>
@@ -125,6 +125,7 @@ export default function ServiceStaffingPage() {
     const { validateWithUI, validate, shouldCreateAutoFrei, findAutoFreiToCleanup, checkCrossTenantConflicts } = useShiftValidation(allShifts, {
         workplaces,
         sharedShifts: visiblePoolData?.shifts || [],
+        shiftsFrom: fetchRange.start,
     });
 
     // Override-Validierung mit Dialog
@@ -808,8 +809,9 @@ export default function ServiceStaffingPage() {
                                             }
 
                                             // If workplace has mandatory qualification requirements, enforce them
+                                            // (only qualifications with valid certificate evidence on this day)
                                             if (mandatoryQualIds.length > 0) {
-                                                const docQualIds = getDoctorQualIds(doc.id);
+                                                const docQualIds = getDoctorQualIds(doc.id, dateStr);
                                                 const hasMandatory = mandatoryQualIds.every(qid => docQualIds.includes(qid));
                                                 if (!hasMandatory) return false;
                                             }
@@ -846,7 +848,7 @@ export default function ServiceStaffingPage() {
                                         if (preferredQualIds.length > 0) {
                                             const withPreferred = afterDiscouragedFilter.filter(doc => {
                                                 if (doc.id === assignedDoctorId) return true;
-                                                const docQualIds = getDoctorQualIds(doc.id);
+                                                const docQualIds = getDoctorQualIds(doc.id, dateStr);
                                                 return preferredQualIds.every(qid => docQualIds.includes(qid));
                                             });
                                             const hasPreferredChoices = withPreferred.some(d => d.id !== assignedDoctorId);
@@ -938,7 +940,7 @@ export default function ServiceStaffingPage() {
                                                                     else if (wish.type === 'no_service') itemClassName = 'text-red-600 font-medium bg-red-50';
                                                                 }
 
-                                                                const docQualIds = getDoctorQualIds(doc.id);
+                                                                const docQualIds = getDoctorQualIds(doc.id, dateStr);
                                                                 const missingPreferred = preferredQualIds.filter((qualificationId) => !docQualIds.includes(qualificationId));
                                                                 const hasPreferredWarning = missingPreferred.length > 0 && doc.id !== assignedDoctorId;
                                                                 const missingPreferredNames = missingPreferred.map((qualificationId) => qualificationMap[qualificationId]?.name || '?').join(', ');
@@ -31,6 +31,7 @@ import QualificationManagement from '@/components/settings/QualificationManageme
 import { DoctorQualificationBadges } from '@/components/staff/DoctorQualificationEditor';
 import { useQualifications, useAllDoctorQualifications } from '@/hooks/useQualifications';
 import QualificationOverview from '@/components/staff/QualificationOverview';
+import QualificationCoverageForecast from '@/components/staff/QualificationCoverageForecast';
 import { toast } from 'sonner';
 import { getActiveTokenId } from '@/components/dbTokenStorage';
 import { syncTenantDoctorCentralLink } from '@/components/staff/centralLinkSync';
@@ -273,6 +274,7 @@ export default function StaffPage() {
           <TabsList className="w-fit">
               <TabsTrigger value="list" data-testid="staff-tab-list">Mitarbeiterliste</TabsTrigger>
               <TabsTrigger value="qualifications" data-testid="staff-tab-qualifications">Qualifikationen</TabsTrigger>
+              <TabsTrigger value="coverage" data-testid="staff-tab-coverage">Abdeckungsprognose</TabsTrigger>
               <TabsTrigger value="staffing" data-testid="staff-tab-staffing">Stellenplan</TabsTrigger>
           </TabsList>
 
@@ -516,6 +518,10 @@ export default function StaffPage() {
               <QualificationOverview doctors={doctors} isReadOnly={isReadOnly} />
           </TabsContent>
 
+          <TabsContent value="coverage" className="mt-0 min-h-0 flex-1 overflow-hidden">
+              <QualificationCoverageForecast doctors={doctors} />
+          </TabsContent>
+
           <TabsContent value="staffing" className="mt-0 min-h-0 flex-1 overflow-hidden">
               <div className="h-full overflow-y-auto pr-1">
                 <StaffingPlanTable doctors={doctors} isReadOnly={isReadOnly} />
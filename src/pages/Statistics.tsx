@@ -8,13 +8,15 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { ScrollArea } from "@/components/ui/scroll-area";
-import { Download, Loader2, BarChart3, Table as TableIcon, User, Clock, CalendarX2 } from "lucide-react";
+import { Download, Loader2, BarChart3, Table as TableIcon, User, Clock, CalendarX2, Scale } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import ChartCard from "@/components/statistics/ChartCard";
 import WishFulfillmentReport from "@/components/statistics/WishFulfillmentReport";
 import ComplianceReport from "@/components/statistics/ComplianceReport";
+import WorkingHoursComplianceReport from "@/components/statistics/WorkingHoursComplianceReport";
 import WorkingTimeReport from "@/components/statistics/WorkingTimeReport";
 import AbsenceReport from "@/components/statistics/AbsenceReport";
+import FairnessLedgerReport from "@/components/statistics/FairnessLedgerReport";
 import { useToast } from '@/components/ui/use-toast';
 import { exportStatisticsCsv, exportStatisticsExcel, exportStatisticsPdf } from '@/components/statistics/exportUtils';
 
@@ -304,6 +306,7 @@ export default function StatisticsPage() {
                         <TabsTrigger value="compliance" className="flex items-center gap-2" data-testid="statistics-tab-compliance">Regel-Compliance</TabsTrigger>
                         <TabsTrigger value="wishes" className="flex items-center gap-2" data-testid="statistics-tab-wishes">Wunscherfüllung</TabsTrigger>
                         <TabsTrigger value="absences" className="flex items-center gap-2" data-testid="statistics-tab-absences"><CalendarX2 className="w-4 h-4 shrink-0" /> Fehlzeiten</TabsTrigger>
+                        <TabsTrigger value="ledger" className="flex items-center gap-2" data-testid="statistics-tab-ledger"><Scale className="w-4 h-4 shrink-0" /> Fairness-Konto</TabsTrigger>
                         <TabsTrigger value="details" className="flex items-center gap-2" data-testid="statistics-tab-details"><TableIcon className="w-4 h-4 shrink-0" /> Detaillierte Tabelle</TabsTrigger>
                     </TabsList>
                 </div>
@@ -395,7 +398,10 @@ export default function StatisticsPage() {
                 </TabsContent>
 
                 <TabsContent value="compliance">
-                    <ComplianceReport doctors={doctors} shifts={shifts} workplaces={workplaces} month={month} />
+                    <div className="space-y-6">
+                        <ComplianceReport doctors={doctors} shifts={shifts} workplaces={workplaces} month={month} />
+                        <WorkingHoursComplianceReport doctors={doctors} workplaces={workplaces} year={year} />
+                    </div>
                 </TabsContent>
 
                 <TabsContent value="wishes">
@@ -406,6 +412,10 @@ export default function StatisticsPage() {
                     <AbsenceReport year={year} month={month} />
                 </TabsContent>
 
+                <TabsContent value="ledger">
+                    <FairnessLedgerReport doctors={doctors} />
+                </TabsContent>
+
                 <TabsContent value="details">
                     <Card data-testid="statistics-details-table">
                         <CardHeader>
@@ -4,13 +4,16 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api, db } from "@/api/client";
 import { useAuth } from '@/components/AuthProvider';
 import { format, getYear, eachDayOfInterval, startOfMonth, endOfMonth } from 'date-fns';
-import { ChevronLeft, ChevronRight, GraduationCap, Eraser, ArrowRightToLine } from 'lucide-react';
+import { ChevronLeft, ChevronRight, GraduationCap, Eraser, ArrowRightToLine, BookOpen, Wand2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import EmployeeSelect from '@/components/staff/EmployeeSelect';
 import DoctorYearView from '@/components/vacation/DoctorYearView';
 import TrainingOverview from '@/components/training/TrainingOverview';
 import TrainingMultiYearOverview from '@/components/training/TrainingMultiYearOverview';
 import TransferToSchedulerDialog from '@/components/training/TransferToSchedulerDialog';
+import TrainingCatalogDialog from '@/components/training/TrainingCatalogDialog';
+import TrainingProgressView from '@/components/training/TrainingProgressView';
+import RotationPlannerDialog from '@/components/training/RotationPlannerDialog';
 import { clampRangeToContract, getTrainingContractInfo, isDateWithinContract } from '@/components/training/trainingContractUtils';
 import { useTeamRoles } from '@/components/settings/TeamRoleSettings';
 import { useHolidays } from '@/components/useHolidays';
@@ -27,8 +30,10 @@ export default function TrainingPage() {
   const [selectedDoctorId, setSelectedDoctorId] = useState(null);
   const [activeModality, setActiveModality] = useState('CT');
   const [rangeStart, setRangeStart] = useState(null);
-    const [viewMode, setViewMode] = useState('single'); // 'single' | 'overview' | 'multi-year'
+    const [viewMode, setViewMode] = useState('single'); // 'single' | 'overview' | 'multi-year' | 'progress'
   const [showTransferDialog, setShowTransferDialog] = useState(false);
+  const [showCatalogDialog, setShowCatalogDialog] = useState(false);
+  const [showPlannerDialog, setShowPlannerDialog] = useState(false);
     const rotationsCaption = getSectionName('Rotationen');
     const rotationsPageTitle = rotationsCaption === 'Rotationen' ? 'Rotationsplaner' : rotationsCaption;
     const rotationsSubtitle = rotationsCaption === 'Rotationen'
@@ -128,6 +133,19 @@ export default function TrainingPage() {
     staleTime: 30 * 1000,
   });
 
+  // Weiterbildungskatalog and the selected resident's full shift history (progress view only)
+  const { data: trainingRequirements = [] } = useQuery({
+    queryKey: ['trainingRequirements'],
+    queryFn: () => db.TrainingRequirement.list(),
+  });
+
+  const { data: doctorShiftHistory = [], isLoading: isLoadingShiftHistory } = useQuery({
+    queryKey: ['shifts', 'training-progress', selectedDoctorId],
+    queryFn: () => db.ShiftEntry.filter({ doctor_id: selectedDoctorId }) as Promise<{ date: string; position: string; doctor_id: string }[]>,
+    enabled: viewMode === 'progress' && !!selectedDoctorId,
+    staleTime: 60 * 1000,
+  });
+
   // Fetch staffing plan entries for availability checks
   const { data: staffingPlanEntries = [] as unknown[] } = useQuery({
     queryKey: ['staffingPlanEntries', selectedYear],
@@ -202,6 +220,30 @@ export default function TrainingPage() {
         },
   });
 
+  // Accepted planner drafts go through the same range replace as drawn rotations, in one transaction
+  const acceptRotationPlanMutation = useMutation({
+      mutationFn: async (drafts: { doctor_id: string; modality: string; start_date: string; end_date: string }[]) => {
+          await api.replaceTrainingRotationRanges(drafts);
+          return drafts.length;
+      },
+      onSuccess: (count) => {
+          queryClient.invalidateQueries({ queryKey: ['trainingRotations'] });
+          toast({
+              title: `${count} Rotationen übernommen`,
+              description: 'Die Rotationen können jetzt in den Wochenplan übertragen werden.',
+          });
+          setShowPlannerDialog(false);
+          setShowTransferDialog(true);
+      },
+      onError: (error: Error) => {
+          toast({
+              variant: 'destructive',
+              title: 'Rotationsvorschlag konnte nicht übernommen werden',
+              description: `${error.message || 'Unbekannter Fehler'} – es wurde keine Rotation gespeichert.`,
+          });
+      },
+  });
+
   // Bulk operations for transferring training to scheduler
   const bulkCreateShiftMutation = useMutation({
     mutationFn: (data: Record<string, unknown>[]) => db.ShiftEntry.bulkCreate(data),
@@ -444,12 +486,12 @@ export default function TrainingPage() {
       handleToggle(date, currentStatus, event);
   };
 
-  const modalities = useMemo(() => {
-      // Filter only Rotations
-      const rotationWorkplaces = workplaces
-          .filter(w => w.category === 'Rotationen')
-          .sort((a, b) => (a.order || 0) - (b.order || 0));
+  // Workplaces of the category "Rotationen", in display order (also offered to the planner)
+  const rotationWorkplaces = useMemo(() => workplaces
+      .filter(w => w.category === 'Rotationen')
+      .sort((a, b) => (a.order || 0) - (b.order || 0)), [workplaces]);
 
+  const modalities = useMemo(() => {
       let mods = [];
       // Dynamische Modalitäten aus der aktuellen Mandanten-Datenbank
       // Kein Fallback mehr auf hardcodierte Werte
@@ -479,7 +521,7 @@ export default function TrainingPage() {
       }
       
       return mods;
-  }, [workplaces, colorSettings]);
+  }, [rotationWorkplaces, colorSettings]);
 
   // If active modality is not in the list (e.g. after rename or initial load), set to first
   React.useEffect(() => {
@@ -566,6 +608,28 @@ export default function TrainingPage() {
         </div>
 
         <div className="flex items-center gap-4">
+            {!isReadOnly && user?.role === 'admin' && viewMode === 'progress' && (
+                <Button
+                    data-testid="training-catalog-button"
+                    variant="outline"
+                    onClick={() => setShowCatalogDialog(true)}
+                    className="gap-2"
+                >
+                    <BookOpen className="w-4 h-4" />
+                    Weiterbildungskatalog
+                </Button>
+            )}
+            {!isReadOnly && user?.role === 'admin' && (viewMode === 'overview' || viewMode === 'multi-year') && (
+                <Button
+                    data-testid="training-planner-button"
+                    variant="outline"
+                    onClick={() => setShowPlannerDialog(true)}
+                    className="gap-2"
+                >
+                    <Wand2 className="w-4 h-4" />
+                    Rotationsvorschlag
+                </Button>
+            )}
             {!isReadOnly && user?.role === 'admin' && (
                 <Button 
                     data-testid="training-transfer-button"
@@ -601,6 +665,13 @@ export default function TrainingPage() {
                 >
                     Mehrjahresübersicht
                 </button>
+                <button 
+                    data-testid="training-view-progress"
+                    onClick={() => setViewMode('progress')}
+                    className={`px-3 py-1 text-sm font-medium rounded-md transition-all ${viewMode === 'progress' ? 'bg-white shadow text-emerald-600' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                    Weiterbildungsstand
+                </button>
             </div>
 
             <div className="flex items-center gap-4 bg-white p-2 rounded-lg shadow-sm border border-slate-200">
@@ -614,7 +685,7 @@ export default function TrainingPage() {
                  </Button>
                </div>
                
-               {viewMode === 'single' ? (
+               {viewMode === 'single' || viewMode === 'progress' ? (
                <>
                    <div className="w-px h-8 bg-slate-200 mx-2" />
 
@@ -643,7 +714,7 @@ export default function TrainingPage() {
         </div>
       </div>
       
-      <div className="flex gap-2 mb-6 overflow-x-auto pb-2">
+      <div className={`flex gap-2 mb-6 overflow-x-auto pb-2 ${viewMode === 'progress' ? 'hidden' : ''}`}>
           {modalities.length > 0 ? (
               modalities.map(type => (
                    <Button
@@ -698,6 +769,21 @@ export default function TrainingPage() {
             </div>
           )}
         </>
+            ) : viewMode === 'progress' ? (
+          selectedDoctor ? (
+            <TrainingProgressView
+                doctor={selectedDoctor}
+                requirements={trainingRequirements}
+                rotations={rotations}
+                shifts={doctorShiftHistory}
+                isLoading={isLoadingShiftHistory}
+                canEdit={!isReadOnly && user?.role === 'admin'}
+            />
+          ) : (
+            <div className="text-center py-12 text-slate-500">
+                Bitte wählen Sie eine Person aus.
+            </div>
+          )
             ) : viewMode === 'overview' ? (
         <TrainingOverview 
             year={selectedYear} 
@@ -730,6 +816,25 @@ export default function TrainingPage() {
                 />
       )}
 
+      <TrainingCatalogDialog
+          open={showCatalogDialog}
+          onOpenChange={setShowCatalogDialog}
+          requirements={trainingRequirements}
+          workplaceNames={workplaces.filter(w => w.is_active !== false).map(w => w.name)}
+      />
+
+      <RotationPlannerDialog
+          open={showPlannerDialog}
+          onOpenChange={setShowPlannerDialog}
+          doctors={doctorsForSelection}
+          requirements={trainingRequirements}
+          rotations={rotations}
+          rotationWorkplaces={rotationWorkplaces}
+          contractInfoByDoctorId={contractInfoByDoctorId}
+          onAccept={(drafts) => acceptRotationPlanMutation.mutate(drafts)}
+          isPending={acceptRotationPlanMutation.isPending}
+      />
+
       {/* Transfer to Scheduler Dialog */}
       <TransferToSchedulerDialog
           open={showTransferDialog}
@@ -4,7 +4,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'sonner';
 import { api, db } from "@/api/client";
 import { useAuth } from '@/components/AuthProvider';
-import { format, getYear, startOfYear, endOfYear, eachDayOfInterval, isAfter, startOfDay } from 'date-fns';
+import { format, getYear, startOfYear, endOfYear, eachDayOfInterval, isAfter, startOfDay, addDays } from 'date-fns';
 import { ChevronLeft, ChevronRight, Eraser, RotateCcw, Wand2 } from 'lucide-react';
 import { isDoctorAvailable } from '@/components/schedule/staffingUtils';
 import { Button } from '@/components/ui/button';
@@ -17,6 +17,8 @@ import VacationOverview from '@/components/vacation/VacationOverview';
 import AppSettingsDialog from '@/components/settings/AppSettingsDialog';
 import ConflictDialog, { categorizeConflict } from '@/components/vacation/ConflictDialog';
 import WeekdayRecurrenceDialog from '@/components/vacation/WeekdayRecurrenceDialog';
+import AbsenceRequestDialog from '@/components/vacation/AbsenceRequestDialog';
+import { absenceRequestOverlaps, indexAbsenceRequestsByDate } from '@/components/vacation/absenceRequestRange';
 import { parseAnnualVacationDays, computeVacationBalance, decidePositionsForUrlaubsDays } from '@/components/vacation/vacationBalance';
 
 import { useHolidays } from '@/components/useHolidays';
@@ -588,8 +590,11 @@ export default function VacationPage() {
 
   // ─── Absence Request (Read-Only → Admin-Approval) ─────────────────────────
 
+  // Zeitraum-Antrag: Dialog statt Einzelanträgen pro Tag
+  const [requestDialog, setRequestDialog] = useState(null);
+
   const createAbsenceRequestMutation = useMutation({
-    mutationFn: async ({ date, position, reason }) => {
+    mutationFn: async ({ date, endDate, startHalfDay, endHalfDay, position, reason }) => {
       const selectedDoc = doctors.find(d => d.id === selectedDoctorId);
       if (!selectedDoc) throw new Error('Kein Mitarbeiter ausgewählt');
       const res = await api.request('/api/absence-requests', {
@@ -597,6 +602,9 @@ export default function VacationPage() {
         body: JSON.stringify({
           doctorId: selectedDoctorId,
           date,
+          endDate: endDate || null,
+          startHalfDay: Boolean(startHalfDay),
+          endHalfDay: Boolean(endHalfDay),
           position,
           reason: reason || '',
         }),
@@ -606,6 +614,7 @@ export default function VacationPage() {
     },
     onSuccess: () => {
       toast.success('Urlaubsantrag wurde gestellt und wartet auf Genehmigung.');
+      setRequestDialog(null);
       queryClient.invalidateQueries({ queryKey: ['absence-requests'] });
     },
     onError: (err) => {
@@ -817,17 +826,17 @@ export default function VacationPage() {
         const conflictingDates = futureDays.filter(d => {
           const dStr = format(d, 'yyyy-MM-dd');
           return relevantShifts.some(s => s.date === dStr)
-            || myAbsenceRequests.some(r => r.date === dStr && r.status === 'pending');
+            || myAbsenceRequests.some(r => r.status === 'pending' && absenceRequestOverlaps(r, dStr, dStr));
         });
         if (conflictingDates.length > 0) {
           const conflictStr = conflictingDates.map(d => format(d, 'dd.MM.')).join(', ');
-          toast.error(`Konflikte an: ${conflictStr}. Bitte einzeln beantragen.`);
+          toast.error(`Konflikte an: ${conflictStr}. Bitte einen anderen Zeitraum wählen.`);
           return;
         }
-        if (!confirm(`${futureDays.length} Tag(e) als ${activeType} beantragen?`)) return;
-        futureDays.forEach(d => {
-          const dStr = format(d, 'yyyy-MM-dd');
-          createAbsenceRequestMutation.mutate({ date: dStr, position: activeType, reason: '' });
+        setRequestDialog({
+          from: format(futureDays[0], 'yyyy-MM-dd'),
+          to: format(futureDays[futureDays.length - 1], 'yyyy-MM-dd'),
+          position: activeType,
         });
         return;
       }
@@ -970,14 +979,13 @@ export default function VacationPage() {
         return;
       }
       // Prüfen ob bereits ein Antrag für dieses Datum existiert
-      const existingRequest = myAbsenceRequests.find(r => r.date === dateStr && r.status === 'pending');
+      const existingRequest = myAbsenceRequests.find(r => r.status === 'pending' && absenceRequestOverlaps(r, dateStr, dateStr));
       if (existingRequest) {
         toast.info('Für diesen Tag wurde bereits ein Antrag gestellt.');
         return;
       }
-      // Bestätigungsdialog
-      if (!confirm(`${activeType} für den ${dateStr} beantragen?`)) return;
-      createAbsenceRequestMutation.mutate({ date: dateStr, position: activeType, reason: '' });
+      // Antragsdialog (Zeitraum und halbe Tage lassen sich dort anpassen)
+      setRequestDialog({ from: dateStr, to: dateStr, position: activeType });
       return;
     }
 
@@ -1181,39 +1189,27 @@ export default function VacationPage() {
   }, [customColors, isReadOnly]);
 
   // Build maps for pending/rejected requests per date (for badge overlays)
-  const pendingRequestsByDate = useMemo(() => {
-    const map = {};
-    myAbsenceRequests
-      .filter(r => r.status === 'pending')
-      .forEach(r => { map[r.date] = r; });
-    return map;
-  }, [myAbsenceRequests]);
+  // Zeitraum-Anträge werden auf jeden abgedeckten Tag verteilt.
+  const pendingRequestsByDate = useMemo(
+    () => indexAbsenceRequestsByDate(myAbsenceRequests.filter(r => r.status === 'pending')),
+    [myAbsenceRequests]
+  );
 
-  const rejectedRequestsByDate = useMemo(() => {
-    const map = {};
-    myAbsenceRequests
-      .filter(r => r.status === 'rejected')
-      .forEach(r => { map[r.date] = r; });
-    return map;
-  }, [myAbsenceRequests]);
+  const rejectedRequestsByDate = useMemo(
+    () => indexAbsenceRequestsByDate(myAbsenceRequests.filter(r => r.status === 'rejected')),
+    [myAbsenceRequests]
+  );
 
-  const approvedRequestsByDate = useMemo(() => {
-    const map = {};
-    myAbsenceRequests
-      .filter(r => r.status === 'approved')
-      .forEach(r => { map[r.date] = r; });
-    return map;
-  }, [myAbsenceRequests]);
+  const approvedRequestsByDate = useMemo(
+    () => indexAbsenceRequestsByDate(myAbsenceRequests.filter(r => r.status === 'approved')),
+    [myAbsenceRequests]
+  );
 
   // Für die Jahresübersicht: Map über alle Anträge (alle Ärzte), key = doctorId_date
-  const requestByCellKey = useMemo(() => {
-    const map = {};
-    allAbsenceRequests.forEach(r => {
-      const key = `${r.source_tenant_doctor_id}_${r.date}`;
-      map[key] = r;
-    });
-    return map;
-  }, [allAbsenceRequests]);
+  const requestByCellKey = useMemo(
+    () => indexAbsenceRequestsByDate(allAbsenceRequests, (r, date) => `${r.source_tenant_doctor_id}_${date}`),
+    [allAbsenceRequests]
+  );
 
   return (
     <div className="container mx-auto max-w-7xl" data-testid="vacation-page">
@@ -1396,6 +1392,21 @@ export default function VacationPage() {
         />
       )}
 
+      {/* Zeitraum-Antrag (Read-Only-User) */}
+      {isReadOnly && (
+        <AbsenceRequestDialog
+          open={Boolean(requestDialog)}
+          onOpenChange={(open) => { if (!open) setRequestDialog(null); }}
+          position={requestDialog?.position || activeType}
+          initialFrom={requestDialog?.from || ''}
+          initialTo={requestDialog?.to || ''}
+          minDate={format(addDays(startOfDay(new Date()), 1), 'yyyy-MM-dd')}
+          publicHolidayDates={publicHolidayDates}
+          isSubmitting={createAbsenceRequestMutation.isPending}
+          onSubmit={(draft) => createAbsenceRequestMutation.mutate({ ...draft, position: requestDialog?.position || activeType })}
+        />
+      )}
+
       {/* Conflict Warning Dialog */}
       <ConflictDialog
           open={conflictDialog.open}
@@ -225,6 +225,10 @@ export function createAuthHandlers({
       })
     ),
     http.post('*/api/auth/presence', () => HttpResponse.json({ success: true })),
+    http.post('*/api/auth/presence/board', () =>
+      HttpResponse.json({ presence: null, lockedBy: null, sessions: [] })
+    ),
+    http.post('*/api/auth/presence/board/leave', () => HttpResponse.json({ success: true })),
     http.post('*/api/auth/activate-tenant/:tokenId', ({ params }) =>
       HttpResponse.json({
         success: true,
@@ -30,6 +30,10 @@ export interface Doctor extends Auditable {
   central_employee_id?: string | null;
   work_time_model_id?: string | null;
   part_time_model?: string | null;
+  /** Individual opt-out (ArbZG §7 Abs. 7): exempt from the 48h average. */
+  working_time_opt_out?: boolean;
+  /** Specialty of the residency training catalogue (TrainingRequirement.specialty). */
+  training_specialty?: string | null;
   order: number;
   is_active: boolean;
 }
@@ -83,6 +87,10 @@ export interface ShiftEntry extends Auditable {
   source_tenant_id?: string | null;
   /** Internal use only, set on central-absence entries. */
   source_tenant_doctor_id?: string | null;
+  /** Central-absence entries only: half a day off, counts 0.5 vacation days. */
+  half_day?: boolean | number | null;
+  /** Row version, bumped by every write (optimistic concurrency). Absent on central-absence entries. */
+  version?: number;
 }
 
 // ── Wish ───────────────────────────────────────────────────────────────────
@@ -120,6 +128,8 @@ export interface Qualification extends Auditable {
   order: number;
   requires_certificate?: boolean;
   certificate_validity_months?: number | null;
+  /** Days the qualification stays usable for scheduling after its evidence lapsed */
+  certificate_grace_days?: number | null;
 }
 
 export interface DoctorQualification extends Auditable {
@@ -129,6 +139,8 @@ export interface DoctorQualification extends Auditable {
   granted_date?: string | null;
   expiry_date?: string | null;
   notes?: string | null;
+  certificate_status?: string;
+  certificate_valid_until?: string;
 }
 
 export interface WorkplaceQualification extends Auditable {
@@ -186,6 +198,17 @@ export interface ScheduleBlock extends Auditable {
   reason?: string | null;
 }
 
+// ── Schedule template ("Regelwoche") ──────────────────────────────────────
+
+export interface ShiftTemplate extends Auditable {
+  id: string;
+  name: string;
+  /** Length of the cycle in weeks (1 = one regular week). */
+  cycle_weeks: number;
+  /** JSON array of ShiftTemplateEntry, see components/schedule/shiftTemplates.ts */
+  entries_json: string;
+}
+
 // ── Schedule note ──────────────────────────────────────────────────────────
 
 export interface ScheduleNote extends Auditable {
@@ -193,6 +216,8 @@ export interface ScheduleNote extends Auditable {
   date: string;
   position: string;
   content: string;
+  /** Row version, bumped by every write (optimistic concurrency). */
+  version?: number;
 }
 
 // ── Staffing plan ──────────────────────────────────────────────────────────
@@ -207,6 +232,8 @@ export interface StaffingPlanEntry extends Auditable {
   status_end_day?: number | null;
   reason?: string | null;
   note?: string | null;
+  /** Row version, bumped by every write (optimistic concurrency). */
+  version?: number;
 }
 
 export interface StaffingPlanNote extends Auditable {
@@ -269,6 +296,22 @@ export interface TrainingRotation extends Auditable {
   notes?: string | null;
 }
 
+// ── Training requirement ("Weiterbildungskatalog") ─────────────────────────
+
+export type TrainingRequirementUnit = 'months' | 'days';
+
+export interface TrainingRequirement extends Auditable {
+  id: string;
+  specialty: string;
+  name: string;
+  /** months: from TrainingRotation periods; days: ShiftEntry days. */
+  unit: TrainingRequirementUnit;
+  target: number;
+  /** JSON array of workplace names, see components/training/trainingCatalog.ts */
+  workplaces_json: string;
+  order: number;
+}
+
 // ── Custom holiday ─────────────────────────────────────────────────────────
 
 export interface CustomHoliday extends Auditable {
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRestPeriodChecker,
+  parseRestPeriodConfig,
+  formatRestHours,
+  DEFAULT_REST_PERIOD_CONFIG,
+  REST_PERIOD_SETTING_KEY,
+} from '../restPeriod';
+
+const WORKPLACES = [
+  { name: 'Nachtdienst', category: 'Dienste', service_type: 1 },
+  { name: 'Rufdienst', category: 'Dienste', service_type: 2 },
+  { name: 'CT', category: 'Rotationen' },
+];
+
+const TIMESLOTS = [
+  { id: 'ts-night', start_time: '21:00:00', end_time: '07:30:00' },
+  { id: 'ts-late', start_time: '14:00', end_time: '22:00' },
+  { id: 'ts-early', start_time: '06:00', end_time: '14:00' },
+];
+
+function settings(value: unknown) {
+  return [{ key: REST_PERIOD_SETTING_KEY, value: typeof value === 'string' ? value : JSON.stringify(value) }];
+}
+
+describe('parseRestPeriodConfig', () => {
+  it('returns the defaults without setting or for invalid JSON', () => {
+    expect(parseRestPeriodConfig([])).toEqual(DEFAULT_REST_PERIOD_CONFIG);
+    expect(parseRestPeriodConfig(undefined)).toEqual(DEFAULT_REST_PERIOD_CONFIG);
+    expect(parseRestPeriodConfig(settings('{oops'))).toEqual(DEFAULT_REST_PERIOD_CONFIG);
+  });
+
+  it('merges valid keys and ignores invalid ones', () => {
+    const config = parseRestPeriodConfig(settings({
+      minHours: 10, reducedHours: 9, severity: 'blocker', dayDefaultStart: 'abc', serviceDefaultEnd: '08:00',
+    }));
+    expect(config.minHours).toBe(10);
+    expect(config.reducedHours).toBe(9);
+    expect(config.severity).toBe('blocker');
+    expect(config.dayDefaultStart).toBeNull();
+    expect(config.dayDefaultEnd).toBe('16:00');
+    expect(config.serviceDefaultEnd).toBe('08:00');
+  });
+
+  it('falls back for out-of-range hours', () => {
+    expect(parseRestPeriodConfig(settings({ minHours: 0 })).minHours).toBe(11);
+    expect(parseRestPeriodConfig(settings({ minHours: 30 })).minHours).toBe(11);
+  });
+});
+
+describe('formatRestHours', () => {
+  it('formats minutes as German decimal hours', () => {
+    expect(formatRestHours(570)).toBe('9,5');
+    expect(formatRestHours(660)).toBe('11');
+  });
+});
+
+describe('createRestPeriodChecker', () => {
+  const checker = createRestPeriodChecker({ workplaces: WORKPLACES, timeslots: TIMESLOTS, config: DEFAULT_REST_PERIOD_CONFIG });
+
+  it('resolves times from explicit values, timeslot and defaults', () => {
+    expect(checker.getInterval({ position: 'CT', start_time: '09:00', end_time: '12:00', timeslot_id: 'ts-early' }))
+      .toEqual({ start: 540, end: 720 });
+    expect(checker.getInterval({ position: 'CT', timeslot_id: 'ts-early' })).toEqual({ start: 360, end: 840 });
+    expect(checker.getInterval({ position: 'CT' })).toEqual({ start: 480, end: 960 });
+    expect(checker.getInterval({ position: 'Nachtdienst', timeslot_id: 'ts-night' })).toEqual({ start: 1260, end: 1890 });
+  });
+
+  it('ignores untimed services, absences and free text', () => {
+    expect(checker.getInterval({ position: 'Nachtdienst' })).toBeNull();
+    expect(checker.getInterval({ position: 'Urlaub' })).toBeNull();
+    expect(checker.getInterval({ position: 'CT', is_free_text: true })).toBeNull();
+  });
+
+  it('detects a night service across midnight followed by a day assignment', () => {
+    const violations = checker.findViolations(
+      { date: '2026-03-03', position: 'CT' },
+      [{ id: 'n1', date: '2026-03-02', position: 'Nachtdienst', timeslot_id: 'ts-night' }],
+    );
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ direction: 'before', restMinutes: 30, requiredMinutes: 660 });
+  });
+
+  it('detects a following early shift after a late assignment', () => {
+    const violations = checker.findViolations(
+      { date: '2026-03-02', position: 'Nachtdienst', timeslot_id: 'ts-late' },
+      [{ id: 'e1', date: '2026-03-03', position: 'CT', timeslot_id: 'ts-early' }],
+    );
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ direction: 'after', restMinutes: 480 });
+  });
+
+  it('only checks adjacent days', () => {
+    expect(checker.findViolations(
+      { date: '2026-03-04', position: 'CT' },
+      [
+        { date: '2026-03-02', position: 'Nachtdienst', timeslot_id: 'ts-night' },
+        { date: '2026-03-04', position: 'Nachtdienst', timeslot_id: 'ts-night' },
+      ],
+    )).toEqual([]);
+  });
+
+  it('applies the reduced rest after the configured service types', () => {
+    const reduced = createRestPeriodChecker({
+      workplaces: WORKPLACES,
+      timeslots: TIMESLOTS,
+      config: { ...DEFAULT_REST_PERIOD_CONFIG, reducedHours: 10 },
+    });
+    expect(reduced.requiredRestAfter('Rufdienst')).toBe(600);
+    expect(reduced.requiredRestAfter('Nachtdienst')).toBe(660);
+    // Rufdienst 14:00–22:00, next day CT 08:00 → 10h rest
+    expect(reduced.findViolations(
+      { date: '2026-03-03', position: 'CT' },
+      [{ date: '2026-03-02', position: 'Rufdienst', timeslot_id: 'ts-late' }],
+    )).toEqual([]);
+    expect(reduced.findViolations(
+      { date: '2026-03-03', position: 'CT' },
+      [{ date: '2026-03-02', position: 'Nachtdienst', timeslot_id: 'ts-late' }],
+    )).toHaveLength(1);
+  });
+
+  it('reports nothing when disabled', () => {
+    const disabled = createRestPeriodChecker({
+      workplaces: WORKPLACES,
+      timeslots: TIMESLOTS,
+      config: { ...DEFAULT_REST_PERIOD_CONFIG, enabled: false },
+    });
+    expect(disabled.findViolations(
+      { date: '2026-03-03', position: 'CT' },
+      [{ date: '2026-03-02', position: 'Nachtdienst', timeslot_id: 'ts-night' }],
+    )).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { createRandomSeed, createSeededRandom, hashSeed, shuffleWith } from '../seededRandom';
+
+describe('seededRandom', () => {
+  it('produces the same sequence for the same seed', () => {
+    const a = createSeededRandom('kw12');
+    const b = createSeededRandom('kw12');
+    const seqA = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(seqA);
+    expect(seqA.every((v) => v >= 0 && v < 1)).toBe(true);
+  });
+
+  it('treats numeric and string seeds alike and differs between seeds', () => {
+    expect(hashSeed(42)).toBe(hashSeed('42'));
+    expect(createSeededRandom('a')()).not.toBe(createSeededRandom('b')());
+  });
+
+  it('shuffles reproducibly without touching the input', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const first = shuffleWith(items, createSeededRandom('x'));
+    expect(shuffleWith(items, createSeededRandom('x'))).toEqual(first);
+    expect([...first].sort((a, b) => a - b)).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('creates short base-36 seeds', () => {
+    expect(createRandomSeed()).toMatch(/^[0-9a-z]{8}$/);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createWorkingHoursCalculator,
+  evaluateWorkingHours,
+  getAveragingWindow,
+  getWeekStart,
+  mergeTimeIntervals,
+  parseWorkingHoursConfig,
+  shiftToInterval,
+  DEFAULT_WORKING_HOURS_CONFIG,
+  WORKING_HOURS_SETTING_KEY,
+} from '../workingHours';
+
+const WORKPLACES = [
+  { name: 'Nachtdienst', category: 'Dienste', service_type: 1 },
+  { name: 'Rufdienst', category: 'Dienste', service_type: 2 },
+  { name: 'CT', category: 'Rotationen' },
+  { name: 'Demo', category: 'Sonstiges', affects_availability: false },
+  { name: 'Halbtags', category: 'Rotationen', work_time_percentage: 50 },
+];
+
+const TIMESLOTS = [
+  { id: 'ts-night', start_time: '21:00', end_time: '07:30' },
+  { id: 'ts-long', start_time: '07:00', end_time: '19:00' },
+];
+
+describe('parseWorkingHoursConfig', () => {
+  it('returns the defaults without setting or for invalid JSON', () => {
+    expect(parseWorkingHoursConfig([])).toEqual(DEFAULT_WORKING_HOURS_CONFIG);
+    expect(parseWorkingHoursConfig([{ key: WORKING_HOURS_SETTING_KEY, value: 'nope' }])).toEqual(DEFAULT_WORKING_HOURS_CONFIG);
+  });
+
+  it('merges valid keys and ignores invalid ones', () => {
+    const config = parseWorkingHoursConfig([{
+      key: WORKING_HOURS_SETTING_KEY,
+      value: JSON.stringify({ weeklyMaxHours: 48, averageMaxHours: -1, averagingMonths: 12, severity: 'blocker' }),
+    }]);
+    expect(config).toMatchObject({ weeklyMaxHours: 48, averageMaxHours: 48, averagingMonths: 12, severity: 'blocker' });
+  });
+});
+
+describe('interval helpers', () => {
+  it('merges overlapping intervals', () => {
+    expect(mergeTimeIntervals([{ start: 480, end: 960 }, { start: 900, end: 1020 }, { start: 1200, end: 1260 }])).toBe(600);
+    expect(mergeTimeIntervals([])).toBe(0);
+  });
+
+  it('prefers explicit times minus break, then timeslot, then the default day', () => {
+    expect(shiftToInterval({ start_time: '08:00', end_time: '17:00', break_minutes: 30 }, null, null)).toEqual({ start: 480, end: 990 });
+    expect(shiftToInterval({}, { start_time: '21:00', end_time: '07:30' }, null)).toEqual({ start: 1260, end: 1890 });
+    expect(shiftToInterval({}, null, { name: 'x', work_time_percentage: 50 })).toEqual({ start: 480, end: 720 });
+  });
+});
+
+describe('week helpers', () => {
+  it('returns the Monday of the week', () => {
+    expect(getWeekStart('2026-03-04')).toBe('2026-03-02');
+    expect(getWeekStart('2026-03-08')).toBe('2026-03-02');
+    expect(getWeekStart('2026-03-09')).toBe('2026-03-09');
+  });
+
+  it('builds a window of roughly 26 weeks for 6 months', () => {
+    const window = getAveragingWindow('2026-06-29', 6);
+    expect(window[window.length - 1]).toBe('2026-06-29');
+    expect(window[0]).toBe('2026-01-05');
+    expect(window).toHaveLength(26);
+  });
+});
+
+describe('createWorkingHoursCalculator', () => {
+  const calculator = createWorkingHoursCalculator({ workplaces: WORKPLACES, timeslots: TIMESLOTS });
+
+  it('ignores on-call, non-availability workplaces, absences and free text', () => {
+    expect(calculator.getInterval({ position: 'Rufdienst' })).toBeNull();
+    expect(calculator.getInterval({ position: 'Demo' })).toBeNull();
+    expect(calculator.getInterval({ position: 'Urlaub' })).toBeNull();
+    expect(calculator.getInterval({ position: 'CT', is_free_text: true })).toBeNull();
+  });
+
+  it('sums per week and attributes night services to their start day', () => {
+    const weekly = calculator.weeklyMinutes([
+      { date: '2026-03-02', position: 'CT' },
+      { date: '2026-03-02', position: 'Halbtags' },
+      { date: '2026-03-08', position: 'Nachtdienst', timeslot_id: 'ts-night' },
+      { date: '2026-03-09', position: 'CT' },
+    ]);
+    expect(weekly.get('2026-03-02')).toBe(480 + 630);
+    expect(weekly.get('2026-03-09')).toBe(480);
+  });
+});
+
+describe('evaluateWorkingHours', () => {
+  const calculator = createWorkingHoursCalculator({ workplaces: WORKPLACES, timeslots: TIMESLOTS });
+  const longWeek = ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07']
+    .map(date => ({ date, position: 'CT', timeslot_id: 'ts-long' }));
+
+  it('flags weeks above the weekly cap', () => {
+    const weeks = evaluateWorkingHours({
+      shifts: longWeek,
+      calculator,
+      config: { ...DEFAULT_WORKING_HOURS_CONFIG, weeklyMaxHours: 60 },
+      optOut: false,
+      from: '2026-03-02',
+      to: '2026-03-15',
+    });
+    expect(weeks.map(w => w.weekStart)).toEqual(['2026-03-02', '2026-03-09']);
+    expect(weeks[0]).toMatchObject({ minutes: 72 * 60, exceedsWeeklyCap: true });
+    expect(weeks[1].exceedsWeeklyCap).toBe(false);
+  });
+
+  it('flags the rolling average unless the employee opted out', () => {
+    const config = { ...DEFAULT_WORKING_HOURS_CONFIG, averageMaxHours: 2, averagingMonths: 1 };
+    const base = { shifts: longWeek, calculator, config, from: '2026-03-02', to: '2026-03-08' };
+    expect(evaluateWorkingHours({ ...base, optOut: false })[0].exceedsAverageCap).toBe(true);
+    expect(evaluateWorkingHours({ ...base, optOut: true })[0].exceedsAverageCap).toBe(false);
+  });
+});
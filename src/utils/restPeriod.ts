@@ -0,0 +1,289 @@
+/**
+ * CuraFlow — Rest Period Utilities (Ruhezeit nach ArbZG §5)
+ *
+ * Computes the uninterrupted rest between the end of one working day and the
+ * start of the next assignment. Assignment times come from (in this order):
+ * explicit start/end on the shift, the assigned workplace timeslot, and the
+ * tenant's configured defaults. Services ending after midnight are handled
+ * by placing all intervals on a common minute axis relative to the day
+ * of the checked assignment.
+ *
+ * Shared by the ShiftValidator (RestPeriodRule) and the deterministic
+ * AutoFill engine so both apply exactly the same rule.
+ *
+ * @module utils/restPeriod
+ */
+
+import { timeToMinutes } from './timeslotUtils';
+import { isNonWorkingShiftPosition } from './shiftPositionUtils';
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+export type RestPeriodSeverity = 'blocker' | 'warning';
+
+/** Per-tenant configuration, stored as JSON in SystemSetting `rest_period_rules`. */
+export interface RestPeriodConfig {
+  enabled: boolean;
+  /** Regular minimum rest in hours (ArbZG §5 Abs. 1: 11h). */
+  minHours: number;
+  /**
+   * Reduced minimum rest in hours after the service types listed in
+   * `reducedServiceTypes` (e.g. 10h after Rufbereitschaft with compensation).
+   * `null` disables the reduction.
+   */
+  reducedHours: number | null;
+  /** Workplace `service_type` values that qualify for `reducedHours` (2 = Rufbereitschaft). */
+  reducedServiceTypes: number[];
+  severity: RestPeriodSeverity;
+  /** Assumed times for non-service assignments without timeslot ("HH:MM"). */
+  dayDefaultStart: string | null;
+  dayDefaultEnd: string | null;
+  /**
+   * Assumed times for services without timeslot ("HH:MM"). Left empty by
+   * default: untimed services are then ignored, because guessing their end
+   * would produce false positives for every tenant without timeslots.
+   */
+  serviceDefaultStart: string | null;
+  serviceDefaultEnd: string | null;
+}
+
+interface SettingLike {
+  key: string;
+  value?: string | null;
+}
+
+interface WorkplaceLike {
+  name: string;
+  category?: string | null;
+  service_type?: number | null;
+}
+
+interface TimeslotLike {
+  id?: string | number | null;
+  start_time?: string | null;
+  end_time?: string | null;
+}
+
+/** Minimal shift shape understood by the checker. */
+export interface RestPeriodShift {
+  id?: string | null;
+  date: string;
+  position: string;
+  timeslot_id?: string | null;
+  start_time?: string | null;
+  end_time?: string | null;
+  is_free_text?: boolean | null;
+}
+
+export interface AssignmentInterval {
+  /** Minutes relative to 00:00 of the assignment's own date. */
+  start: number;
+  /** Minutes relative to 00:00 of the assignment's own date (> 1440 across midnight). */
+  end: number;
+}
+
+export interface RestPeriodViolation {
+  /** The neighbouring shift that is too close. */
+  shift: RestPeriodShift;
+  /** 'before' = neighbour ends before the checked assignment; 'after' = starts after it. */
+  direction: 'before' | 'after';
+  /** Actual rest in minutes (0 if the intervals overlap). */
+  restMinutes: number;
+  requiredMinutes: number;
+}
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+
+export const REST_PERIOD_SETTING_KEY = 'rest_period_rules';
+
+export const DEFAULT_REST_PERIOD_CONFIG: RestPeriodConfig = {
+  enabled: true,
+  minHours: 11,
+  reducedHours: null,
+  reducedServiceTypes: [2],
+  // Existing tenants only get warnings until they opt in to blocking
+  severity: 'warning',
+  dayDefaultStart: '08:00',
+  dayDefaultEnd: '16:00',
+  serviceDefaultStart: null,
+  serviceDefaultEnd: null,
+};
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?$/;
+
+function normalizeTime(value: unknown): string | null {
+  if (typeof value !== 'string' || !TIME_PATTERN.test(value.trim())) return null;
+  return value.trim();
+}
+
+function normalizeHours(value: unknown, fallback: number | null): number | null {
+  if (value === null) return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 && num <= 24 ? num : fallback;
+}
+
+/**
+ * Reads the rest-period configuration from the tenant's system settings.
+ * Missing or invalid keys inherit the defaults.
+ */
+export function parseRestPeriodConfig(systemSettings: SettingLike[] | null | undefined): RestPeriodConfig {
+  const raw = (systemSettings ?? []).find(s => s.key === REST_PERIOD_SETTING_KEY)?.value;
+  if (!raw) return { ...DEFAULT_REST_PERIOD_CONFIG };
+
+  let parsed: Partial<Record<keyof RestPeriodConfig, unknown>>;
+  try {
+    parsed = (JSON.parse(raw) as typeof parsed | null) ?? {};
+  } catch {
+    return { ...DEFAULT_REST_PERIOD_CONFIG };
+  }
+
+  const d = DEFAULT_REST_PERIOD_CONFIG;
+  const timeOr = (key: keyof RestPeriodConfig, def: string | null) =>
+    key in parsed ? normalizeTime(parsed[key]) : def;
+
+  return {
+    enabled: typeof parsed.enabled === 'boolean' ? parsed.enabled : d.enabled,
+    minHours: normalizeHours(parsed.minHours, d.minHours) ?? d.minHours,
+    reducedHours: 'reducedHours' in parsed ? normalizeHours(parsed.reducedHours, null) : d.reducedHours,
+    reducedServiceTypes: Array.isArray(parsed.reducedServiceTypes)
+      ? parsed.reducedServiceTypes.map(Number).filter(Number.isFinite)
+      : d.reducedServiceTypes,
+    severity: parsed.severity === 'warning' || parsed.severity === 'blocker' ? parsed.severity : d.severity,
+    dayDefaultStart: timeOr('dayDefaultStart', d.dayDefaultStart),
+    dayDefaultEnd: timeOr('dayDefaultEnd', d.dayDefaultEnd),
+    serviceDefaultStart: timeOr('serviceDefaultStart', d.serviceDefaultStart),
+    serviceDefaultEnd: timeOr('serviceDefaultEnd', d.serviceDefaultEnd),
+  };
+}
+
+// ─── Date helpers ────────────────────────────────────────────────────────────
+
+/** Whole days between two "YYYY-MM-DD" dates (b - a). DST-neutral. */
+function dayDiff(a: string, b: string): number {
+  const toUtc = (s: string) => {
+    const [y, m, d] = s.substring(0, 10).split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((toUtc(b) - toUtc(a)) / 86400000);
+}
+
+/** Formats minutes as German hours string, e.g. 570 → "9,5". */
+export function formatRestHours(minutes: number): string {
+  const hours = Math.round((minutes / 60) * 10) / 10;
+  return String(hours).replace('.', ',');
+}
+
+// ─── Checker ─────────────────────────────────────────────────────────────────
+
+function toInterval(start: string, end: string): AssignmentInterval {
+  const s = timeToMinutes(start);
+  let e = timeToMinutes(end);
+  // Over midnight (end ≤ start, e.g. 21:00–07:30) → ends on the next day
+  if (e <= s) e += 24 * 60;
+  return { start: s, end: e };
+}
+
+/**
+ * Creates a checker bound to the tenant's workplaces, timeslots and rest
+ * configuration. Build it once per validation/planning run.
+ */
+export function createRestPeriodChecker({
+  workplaces,
+  timeslots,
+  config,
+}: {
+  workplaces: WorkplaceLike[];
+  timeslots: TimeslotLike[];
+  config: RestPeriodConfig;
+}) {
+  const wpByName = new Map<string, WorkplaceLike>();
+  for (const wp of workplaces) wpByName.set(wp.name, wp);
+  const tsById = new Map<string, TimeslotLike>();
+  for (const ts of timeslots) {
+    if (ts.id !== null && ts.id !== undefined) tsById.set(String(ts.id), ts);
+  }
+
+  /** Working interval of an assignment, or null if it is no work / has unknown times. */
+  const getInterval = (shift: Omit<RestPeriodShift, 'date'>): AssignmentInterval | null => {
+    if (!shift.position || shift.is_free_text) return null;
+    if (isNonWorkingShiftPosition(shift.position)) return null;
+
+    const explicitStart = normalizeTime(shift.start_time);
+    const explicitEnd = normalizeTime(shift.end_time);
+    if (explicitStart && explicitEnd) return toInterval(explicitStart, explicitEnd);
+
+    const ts = shift.timeslot_id ? tsById.get(String(shift.timeslot_id)) : undefined;
+    const tsStart = normalizeTime(ts?.start_time);
+    const tsEnd = normalizeTime(ts?.end_time);
+    if (tsStart && tsEnd) return toInterval(tsStart, tsEnd);
+
+    const wp = wpByName.get(shift.position);
+    if (!wp) return null;
+    if (wp.category === 'Dienste') {
+      return config.serviceDefaultStart && config.serviceDefaultEnd
+        ? toInterval(config.serviceDefaultStart, config.serviceDefaultEnd)
+        : null;
+    }
+    return config.dayDefaultStart && config.dayDefaultEnd
+      ? toInterval(config.dayDefaultStart, config.dayDefaultEnd)
+      : null;
+  };
+
+  /** Required rest after the given (earlier) assignment, in minutes. */
+  const requiredRestAfter = (position: string): number => {
+    const wp = wpByName.get(position);
+    if (
+      config.reducedHours !== null &&
+      wp?.category === 'Dienste' &&
+      wp.service_type !== null && wp.service_type !== undefined &&
+      config.reducedServiceTypes.includes(wp.service_type)
+    ) {
+      return Math.round(config.reducedHours * 60);
+    }
+    return Math.round(config.minHours * 60);
+  };
+
+  /**
+   * Checks a (planned) assignment against the doctor's assignments on the
+   * previous and the following day.
+   *
+   * @param candidate — the assignment being checked (date + position + time source)
+   * @param neighbours — the same doctor's other assignments (any dates; filtered here)
+   */
+  const findViolations = (candidate: RestPeriodShift, neighbours: RestPeriodShift[]): RestPeriodViolation[] => {
+    if (!config.enabled) return [];
+    const own = getInterval(candidate);
+    if (!own) return [];
+
+    const violations: RestPeriodViolation[] = [];
+    for (const other of neighbours) {
+      const offsetDays = dayDiff(candidate.date, other.date);
+      // Intervals never exceed 48h, so only adjacent days can cut the rest period.
+      if (offsetDays !== -1 && offsetDays !== 1) continue;
+      const interval = getInterval(other);
+      if (!interval) continue;
+
+      const start = interval.start + offsetDays * 1440;
+      const end = interval.end + offsetDays * 1440;
+
+      if (offsetDays === -1) {
+        const required = requiredRestAfter(other.position);
+        const rest = own.start - end;
+        if (rest < required) {
+          violations.push({ shift: other, direction: 'before', restMinutes: Math.max(0, rest), requiredMinutes: required });
+        }
+      } else {
+        const required = requiredRestAfter(candidate.position);
+        const rest = start - own.end;
+        if (rest < required) {
+          violations.push({ shift: other, direction: 'after', restMinutes: Math.max(0, rest), requiredMinutes: required });
+        }
+      }
+    }
+    return violations;
+  };
+
+  return { getInterval, requiredRestAfter, findViolations };
+}
+
+export type RestPeriodChecker = ReturnType<typeof createRestPeriodChecker>;
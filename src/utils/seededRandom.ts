@@ -0,0 +1,50 @@
+/**
+ * CuraFlow — Seeded pseudo-random numbers
+ *
+ * Small, fast PRNG (mulberry32) for planning runs that must be reproducible:
+ * the same seed yields the same sequence on every machine and browser.
+ * Not suitable for anything security-related.
+ *
+ * @module utils/seededRandom
+ */
+
+/** Seeds are stored and shown as strings; numbers are accepted for convenience. */
+export type RandomSeed = string | number;
+
+/** 32-bit FNV-1a hash of the seed's string form. */
+export function hashSeed(seed: RandomSeed): number {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Returns a `Math.random`-compatible function (values in [0, 1)) for the seed. */
+export function createSeededRandom(seed: RandomSeed): () => number {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Fresh seed for runs without a fixed one: 8 base-36 characters, easy to copy. */
+export function createRandomSeed(): string {
+  return Math.floor(Math.random() * 36 ** 8).toString(36).padStart(8, '0');
+}
+
+/** Fisher-Yates shuffle into a new array using the given random function. */
+export function shuffleWith<T>(items: readonly T[], random: () => number): T[] {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
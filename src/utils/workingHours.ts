@@ -0,0 +1,343 @@
+/**
+ * CuraFlow — Working Hours Utilities (Höchstarbeitszeit nach ArbZG §3, §7)
+ *
+ * Sums the effective working time of an employee per calendar week and over
+ * a rolling averaging window (default 6 months). Shift durations follow the
+ * same rules as the time-tracking sync in `/api/master/time-tracking`:
+ * explicit times (minus break) > timeslot > 08:00–16:00 default, scaled by
+ * the workplace's `work_time_percentage`; overlapping entries on the same day
+ * are merged. Rufbereitschaft (service_type 2), non-availability workplaces,
+ * absences and free text do not count as working time.
+ *
+ * Hours are attributed to the day an assignment starts, so a night service
+ * from Sunday to Monday belongs to the week of the Sunday.
+ *
+ * Shared by the ShiftValidator (WorkingHoursRule), the deterministic AutoFill
+ * engine and the compliance report.
+ *
+ * @module utils/workingHours
+ */
+
+import { timeToMinutes } from './timeslotUtils';
+import { isNonWorkingShiftPosition } from './shiftPositionUtils';
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+export type WorkingHoursSeverity = 'blocker' | 'warning';
+
+/** Per-tenant configuration, stored as JSON in SystemSetting `working_hours_rules`. */
+export interface WorkingHoursConfig {
+  enabled: boolean;
+  /** Maximum hours in a single calendar week (ArbZG: 6 × 10h = 60h). */
+  weeklyMaxHours: number;
+  /** Maximum average weekly hours over the averaging window (ArbZG: 48h). */
+  averageMaxHours: number;
+  /** Length of the averaging window in calendar months. */
+  averagingMonths: number;
+  /** Severity of a weekly-cap violation in the validator. AutoFill always treats it as hard. */
+  severity: WorkingHoursSeverity;
+}
+
+interface SettingLike {
+  key: string;
+  value?: string | null;
+}
+
+interface WorkplaceLike {
+  name: string;
+  service_type?: number | null;
+  affects_availability?: boolean | null;
+  work_time_percentage?: number | string | null;
+}
+
+interface TimeslotLike {
+  id?: string | number | null;
+  start_time?: string | null;
+  end_time?: string | null;
+}
+
+/** Minimal shift shape understood by the calculator. */
+export interface WorkingHoursShift {
+  id?: string | null;
+  date: string;
+  position: string;
+  timeslot_id?: string | null;
+  start_time?: string | null;
+  end_time?: string | null;
+  break_minutes?: number | string | null;
+  is_free_text?: boolean | null;
+}
+
+export interface TimeInterval {
+  start: number;
+  end: number;
+}
+
+export interface WeeklyHoursEntry {
+  /** Monday of the week ("YYYY-MM-DD"). */
+  weekStart: string;
+  minutes: number;
+  /** Average weekly minutes over the averaging window ending with this week. */
+  averageMinutes: number;
+  exceedsWeeklyCap: boolean;
+  /** Always false for employees with opt-out. */
+  exceedsAverageCap: boolean;
+}
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+
+export const WORKING_HOURS_SETTING_KEY = 'working_hours_rules';
+
+export const DEFAULT_WORKING_HOURS_CONFIG: WorkingHoursConfig = {
+  enabled: true,
+  weeklyMaxHours: 60,
+  averageMaxHours: 48,
+  averagingMonths: 6,
+  severity: 'warning',
+};
+
+function normalizeNumber(value: unknown, fallback: number, max: number): number {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 && num <= max ? num : fallback;
+}
+
+/**
+ * Reads the working-hours configuration from the tenant's system settings.
+ * Missing or invalid keys inherit the defaults.
+ */
+export function parseWorkingHoursConfig(systemSettings: SettingLike[] | null | undefined): WorkingHoursConfig {
+  const raw = (systemSettings ?? []).find(s => s.key === WORKING_HOURS_SETTING_KEY)?.value;
+  if (!raw) return { ...DEFAULT_WORKING_HOURS_CONFIG };
+
+  let parsed: Partial<Record<keyof WorkingHoursConfig, unknown>>;
+  try {
+    parsed = (JSON.parse(raw) as typeof parsed | null) ?? {};
+  } catch {
+    return { ...DEFAULT_WORKING_HOURS_CONFIG };
+  }
+
+  const d = DEFAULT_WORKING_HOURS_CONFIG;
+  return {
+    enabled: typeof parsed.enabled === 'boolean' ? parsed.enabled : d.enabled,
+    weeklyMaxHours: normalizeNumber(parsed.weeklyMaxHours, d.weeklyMaxHours, 168),
+    averageMaxHours: normalizeNumber(parsed.averageMaxHours, d.averageMaxHours, 168),
+    averagingMonths: Math.round(normalizeNumber(parsed.averagingMonths, d.averagingMonths, 24)),
+    severity: parsed.severity === 'warning' || parsed.severity === 'blocker' ? parsed.severity : d.severity,
+  };
+}
+
+// ─── Interval logic (mirrors server/routes/master.ts) ────────────────────────
+
+/**
+ * Sums intervals, counting overlapping parts only once.
+ * @returns total minutes
+ */
+export function mergeTimeIntervals(intervals: TimeInterval[]): number {
+  if (!intervals || intervals.length === 0) return 0;
+
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [{ ...sorted[0] }];
+
+  for (let i = 1; i < sorted.length; i++) {
+    const current = sorted[i];
+    const last = merged[merged.length - 1];
+    if (current.start <= last.end) {
+      last.end = Math.max(last.end, current.end);
+    } else {
+      merged.push({ ...current });
+    }
+  }
+
+  return merged.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+}
+
+/**
+ * Converts an assignment into an interval in minutes since 00:00 of its date.
+ * Explicit times win (minus break), then the timeslot, then 08:00–16:00;
+ * timeslot and default durations are scaled by `work_time_percentage`.
+ */
+export function shiftToInterval(
+  shift: Pick<WorkingHoursShift, 'start_time' | 'end_time' | 'break_minutes'>,
+  timeslot: TimeslotLike | null | undefined,
+  workplace: WorkplaceLike | null | undefined,
+): TimeInterval {
+  if (shift.start_time && shift.end_time) {
+    const start = timeToMinutes(shift.start_time);
+    let end = timeToMinutes(shift.end_time);
+    if (end < start) end += 24 * 60;
+    const breakMinutes = Number(shift.break_minutes) || 0;
+    return { start, end: Math.max(start, end - breakMinutes) };
+  }
+
+  const workTimePercentage = Number(workplace?.work_time_percentage ?? 100) / 100;
+
+  if (timeslot?.start_time && timeslot?.end_time) {
+    const start = timeToMinutes(timeslot.start_time);
+    let end = timeToMinutes(timeslot.end_time);
+    if (end <= start) end += 24 * 60;
+    return { start, end: start + (end - start) * workTimePercentage };
+  }
+
+  const defaultStart = 8 * 60;
+  const defaultEnd = 16 * 60;
+  return { start: defaultStart, end: defaultStart + (defaultEnd - defaultStart) * workTimePercentage };
+}
+
+// ─── Date helpers ────────────────────────────────────────────────────────────
+
+function toUtc(dateStr: string): Date {
+  const [y, m, d] = dateStr.substring(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function toDateStr(date: Date): string {
+  return date.toISOString().substring(0, 10);
+}
+
+/** Monday of the calendar week containing `dateStr` ("YYYY-MM-DD"). */
+export function getWeekStart(dateStr: string): string {
+  const date = toUtc(dateStr);
+  const offset = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - offset);
+  return toDateStr(date);
+}
+
+/**
+ * Week starts (Mondays) of the averaging window ending with `weekStart`:
+ * all weeks that touch the last `months` calendar months (6 months ≈ 26 weeks).
+ */
+export function getAveragingWindow(weekStart: string, months: number): string[] {
+  const end = toUtc(weekStart);
+  const from = new Date(end);
+  from.setUTCDate(from.getUTCDate() + 7);
+  from.setUTCMonth(from.getUTCMonth() - months);
+
+  const cursor = toUtc(getWeekStart(toDateStr(from)));
+
+  const weeks: string[] = [];
+  while (cursor <= end) {
+    weeks.push(toDateStr(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+  return weeks;
+}
+
+/** Formats minutes as German hours string, e.g. 2910 → "48,5". */
+export function formatHours(minutes: number): string {
+  const hours = Math.round((minutes / 60) * 10) / 10;
+  return String(hours).replace('.', ',');
+}
+
+// ─── Calculator ──────────────────────────────────────────────────────────────
+
+/**
+ * Creates a calculator bound to the tenant's workplaces and timeslots.
+ * Build it once per validation/planning/report run.
+ */
+export function createWorkingHoursCalculator({
+  workplaces,
+  timeslots,
+}: {
+  workplaces: WorkplaceLike[];
+  timeslots: TimeslotLike[];
+}) {
+  const wpByName = new Map<string, WorkplaceLike>();
+  for (const wp of workplaces) wpByName.set(wp.name, wp);
+  const tsById = new Map<string, TimeslotLike>();
+  for (const ts of timeslots) {
+    if (ts.id !== null && ts.id !== undefined) tsById.set(String(ts.id), ts);
+  }
+
+  /** Working interval of an assignment, or null if it is not working time. */
+  const getInterval = (shift: Omit<WorkingHoursShift, 'date'>): TimeInterval | null => {
+    if (!shift.position || shift.is_free_text) return null;
+    if (isNonWorkingShiftPosition(shift.position)) return null;
+    const wp = wpByName.get(shift.position);
+    if (wp?.service_type === 2) return null;
+    if (wp?.affects_availability === false) return null;
+    const ts = shift.timeslot_id ? tsById.get(String(shift.timeslot_id)) : undefined;
+    return shiftToInterval(shift, ts, wp);
+  };
+
+  /** Effective minutes of one employee's assignments on one day. */
+  const dayMinutes = (dayShifts: Omit<WorkingHoursShift, 'date'>[]): number =>
+    mergeTimeIntervals(dayShifts.map(getInterval).filter((i): i is TimeInterval => i !== null));
+
+  /** Effective minutes per week start for one employee's assignments. */
+  const weeklyMinutes = (shifts: WorkingHoursShift[]): Map<string, number> => {
+    const byDate = new Map<string, WorkingHoursShift[]>();
+    for (const shift of shifts) {
+      const date = shift.date.substring(0, 10);
+      const list = byDate.get(date);
+      if (list) list.push(shift);
+      else byDate.set(date, [shift]);
+    }
+    const weeks = new Map<string, number>();
+    for (const [date, dayShifts] of byDate) {
+      const minutes = dayMinutes(dayShifts);
+      if (minutes <= 0) continue;
+      const week = getWeekStart(date);
+      weeks.set(week, (weeks.get(week) ?? 0) + minutes);
+    }
+    return weeks;
+  };
+
+  return { getInterval, dayMinutes, weeklyMinutes };
+}
+
+export type WorkingHoursCalculator = ReturnType<typeof createWorkingHoursCalculator>;
+
+/** Average weekly minutes over the averaging window ending with `weekStart`. */
+export function computeAverageWeeklyMinutes(
+  weekly: Map<string, number>,
+  weekStart: string,
+  months: number,
+): number {
+  const window = getAveragingWindow(weekStart, months);
+  if (window.length === 0) return 0;
+  const total = window.reduce((sum, week) => sum + (weekly.get(week) ?? 0), 0);
+  return total / window.length;
+}
+
+/**
+ * Evaluates every week from `from` to `to` (inclusive) for one employee.
+ * `shifts` should reach back `averagingMonths` before `from` so the first
+ * averages are complete.
+ */
+export function evaluateWorkingHours({
+  shifts,
+  calculator,
+  config,
+  optOut,
+  from,
+  to,
+}: {
+  shifts: WorkingHoursShift[];
+  calculator: WorkingHoursCalculator;
+  config: WorkingHoursConfig;
+  optOut: boolean;
+  from: string;
+  to: string;
+}): WeeklyHoursEntry[] {
+  const weekly = calculator.weeklyMinutes(shifts);
+  const weeklyCap = config.weeklyMaxHours * 60;
+  const averageCap = config.averageMaxHours * 60;
+
+  const entries: WeeklyHoursEntry[] = [];
+  const cursor = toUtc(getWeekStart(from));
+  const end = toUtc(to);
+  while (cursor <= end) {
+    const weekStart = toDateStr(cursor);
+    const minutes = weekly.get(weekStart) ?? 0;
+    const averageMinutes = computeAverageWeeklyMinutes(weekly, weekStart, config.averagingMonths);
+    entries.push({
+      weekStart,
+      minutes,
+      averageMinutes,
+      exceedsWeeklyCap: minutes > weeklyCap,
+      exceedsAverageCap: !optOut && averageMinutes > averageCap,
+    });
+    cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+  return entries;
+}